@@ -0,0 +1,44 @@
+// scripts/analytics-rollup.js
+/**
+ * Folds raw activity into the daily and monthly analytics rollups
+ *
+ * Without a range it brings the last week up to date: today and every
+ * recent day whose rollup is missing, partial or outdated. Schedule it
+ * (cron, Cloud Scheduler) at least hourly; the dashboard and the
+ * analytics page only read what it writes. --from/--to backfill a range,
+ * skipping days that are already current unless --force is given.
+ *
+ *   node scripts/analytics-rollup.js [--from=2025-01-01] [--to=2025-01-31] [--force]
+ */
+import { runScript, loadAppModule } from './firebase.js';
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const force = process.argv.includes('--force');
+const readArg = (name) => process.argv.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+
+runScript(async () => {
+  const from = readArg('from');
+  const to = readArg('to') || new Date().toISOString().slice(0, 10);
+  [from, to].filter(Boolean).forEach(date => {
+    if (!DATE_KEY.test(date)) {
+      throw new Error(`Invalid date: ${date}, use YYYY-MM-DD`);
+    }
+  });
+
+  const { backfillAnalytics, refreshRecentRollups } = await loadAppModule('/src/services/database/analyticsRollup.js');
+  const summary = from
+    ? await backfillAnalytics(from, to, {
+      force,
+      onProgress: ({ done, total, date }) => console.log(`${date} (${done}/${total})`)
+    })
+    : await refreshRecentRollups();
+
+  const { failed, ...counts } = summary;
+  console.log('Rolled up:', counts);
+
+  if (failed.length > 0) {
+    failed.forEach(failure => console.error(`${failure.date}: ${failure.error}`));
+    throw new Error(`${failed.length} rollups failed`);
+  }
+});
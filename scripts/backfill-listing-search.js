@@ -0,0 +1,63 @@
+// scripts/backfill-listing-search.js
+/**
+ * Backfills the search fields of existing listings
+ *
+ * Listings saved before searchKeywords, price and revenue existed cannot
+ * be found by search or the price and revenue filters. This recomputes
+ * the fields for every listing whose stored values differ.
+ *
+ *   node scripts/backfill-listing-search.js [--dry-run]
+ */
+import {
+  collection, query, orderBy, limit, startAfter, getDocs, writeBatch, documentId
+} from 'firebase/firestore';
+import { runScript } from './firebase.js';
+import { buildSearchFields } from '../src/utils/listing-search.js';
+
+// Firestore allows 500 writes per batch
+const PAGE_SIZE = 400;
+
+const dryRun = process.argv.includes('--dry-run');
+
+function isCurrent(listing, fields) {
+  return listing.price === fields.price
+    && listing.revenue === fields.revenue
+    && JSON.stringify(listing.searchKeywords || []) === JSON.stringify(fields.searchKeywords);
+}
+
+runScript(async ({ db }) => {
+  let cursor = null;
+  let hasMore = true;
+  let scanned = 0;
+  let updated = 0;
+
+  while (hasMore) {
+    const snapshot = await getDocs(query(
+      collection(db, 'listings'),
+      orderBy(documentId()),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(PAGE_SIZE)
+    ));
+
+    const batch = writeBatch(db);
+    let pending = 0;
+
+    snapshot.docs.forEach(docSnap => {
+      const fields = buildSearchFields(docSnap.data());
+      if (!isCurrent(docSnap.data(), fields)) {
+        batch.update(docSnap.ref, fields);
+        pending++;
+      }
+    });
+
+    if (pending > 0 && !dryRun) {
+      await batch.commit();
+    }
+
+    scanned += snapshot.size;
+    updated += pending;
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+    hasMore = snapshot.size === PAGE_SIZE;
+    console.log(`Scanned ${scanned} listings, ${updated} ${dryRun ? 'need updating' : 'updated'}`);
+  }
+});
@@ -0,0 +1,97 @@
+// scripts/firebase.js
+/**
+ * Firebase access for maintenance scripts run with Node
+ *
+ * Uses the app's .env configuration and signs in as an admin panel
+ * account (SCRIPT_ADMIN_EMAIL / SCRIPT_ADMIN_PASSWORD), so scripts go
+ * through the same security rules as the admin panel.
+ */
+import { config } from 'dotenv';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword, signOut, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { createServer } from 'vite';
+
+config();
+
+/**
+ * Initializes Firebase and signs in the script's admin account
+ *
+ * @returns {Promise<Object>} - { db, auth, user }
+ */
+export async function connect() {
+  const app = initializeApp({
+    apiKey: process.env.VITE_FIREBASE_API_KEY,
+    authDomain: process.env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: process.env.VITE_FIREBASE_PROJECT_ID,
+    storageBucket: process.env.VITE_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: process.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+    appId: process.env.VITE_FIREBASE_APP_ID
+  });
+
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+
+  if (process.env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, process.env.VITE_FIREBASE_AUTH_EMULATOR_HOST || 'http://localhost:9099');
+    connectFirestoreEmulator(db, 'localhost', 8080);
+  }
+
+  const email = process.env.SCRIPT_ADMIN_EMAIL;
+  const password = process.env.SCRIPT_ADMIN_PASSWORD;
+  if (!email || !password) {
+    throw new Error('Set SCRIPT_ADMIN_EMAIL and SCRIPT_ADMIN_PASSWORD to an admin panel account');
+  }
+
+  const { user } = await signInWithEmailAndPassword(auth, email, password);
+  return { db, auth, user };
+}
+
+/**
+ * Loads a module of the app, such as a database service, through Vite
+ *
+ * App modules read import.meta.env and resolve the @ alias, which plain
+ * Node cannot do. Call it after connect(): the app's Firebase config then
+ * picks up the already initialized, signed-in app instead of creating its
+ * own. The modules load in production mode so the config leaves emulator
+ * setup to connect().
+ *
+ * @param {string} path - Module path from the repository root, e.g. /src/services/database/subscription.js
+ * @returns {Promise<Object>} - The module's exports
+ */
+export async function loadAppModule(path) {
+  process.env.NODE_ENV = 'production';
+  const server = await createServer({
+    mode: 'production',
+    appType: 'custom',
+    logLevel: 'error',
+    server: { middlewareMode: true, hmr: false }
+  });
+
+  try {
+    return await server.ssrLoadModule(path);
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Runs a script's main function with a signed-in connection
+ *
+ * @param {Function} main - Receives { db, auth, user } and returns a promise
+ */
+export function runScript(main) {
+  connect()
+    .then(async (connection) => {
+      try {
+        await main(connection);
+      } finally {
+        await signOut(connection.auth);
+      }
+    })
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,61 @@
+// scripts/move-reviewer-notes.js
+/**
+ * Moves reviewer notes out of the listing documents
+ *
+ * Notes used to be kept in moderation.notes on the listing, which its
+ * owner can read. This copies them into the staff-only
+ * listings/{id}/reviewerNotes subcollection and removes the field, one
+ * batch per listing so a listing never ends up with its notes half moved.
+ *
+ *   node scripts/move-reviewer-notes.js [--dry-run]
+ */
+import {
+  collection, doc, query, orderBy, limit, startAfter, getDocs, writeBatch, documentId, deleteField
+} from 'firebase/firestore';
+import { runScript } from './firebase.js';
+
+const PAGE_SIZE = 400;
+
+const dryRun = process.argv.includes('--dry-run');
+
+runScript(async ({ db }) => {
+  let cursor = null;
+  let hasMore = true;
+  let scanned = 0;
+  let moved = 0;
+
+  while (hasMore) {
+    const snapshot = await getDocs(query(
+      collection(db, 'listings'),
+      orderBy(documentId()),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(PAGE_SIZE)
+    ));
+
+    for (const docSnap of snapshot.docs) {
+      const notes = docSnap.data().moderation?.notes;
+      if (!Array.isArray(notes)) continue;
+
+      const batch = writeBatch(db);
+      notes.forEach(entry => {
+        batch.set(doc(collection(docSnap.ref, 'reviewerNotes')), {
+          note: entry.note || '',
+          authorId: entry.authorId || null,
+          authorName: entry.authorName || '',
+          createdAt: entry.createdAt || null
+        });
+      });
+      batch.update(docSnap.ref, { 'moderation.notes': deleteField() });
+
+      if (!dryRun) {
+        await batch.commit();
+      }
+      moved += notes.length;
+    }
+
+    scanned += snapshot.size;
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+    hasMore = snapshot.size === PAGE_SIZE;
+    console.log(`Scanned ${scanned} listings, ${moved} notes ${dryRun ? 'to move' : 'moved'}`);
+  }
+});
@@ -0,0 +1,45 @@
+// scripts/subscription-sweep.js
+/**
+ * Runs the subscription lifecycle sweep
+ *
+ * Sets missing end dates, sends expiry reminders, charges auto-renewing
+ * subscriptions that reached their end date for the next period, pauses
+ * ended subscriptions for the grace period (renewals until their charge
+ * completes) and expires paused subscriptions once it is over.
+ * Schedule it (cron, Cloud Scheduler) at the sweep interval; a run that
+ * starts within SUBSCRIPTION_SWEEP_INTERVAL_MINUTES of the last one exits
+ * without changes unless forced.
+ *
+ *   node scripts/subscription-sweep.js [--dry-run] [--force] [--now=2025-01-31T00:00:00Z]
+ */
+import { runScript, loadAppModule } from './firebase.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+const nowArg = process.argv.find(arg => arg.startsWith('--now='));
+
+runScript(async () => {
+  const now = nowArg ? new Date(nowArg.slice('--now='.length)) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    throw new Error(`Invalid --now date: ${nowArg}`);
+  }
+
+  const { runSubscriptionSweep } = await loadAppModule('/src/services/database/subscription.js');
+  const summary = await runSubscriptionSweep({ now, force, dryRun });
+
+  if (!summary) {
+    console.log('The sweep already ran within the sweep interval; use --force to run it again');
+    return;
+  }
+
+  const { steps, errors, ...counts } = summary;
+  if (dryRun) {
+    steps.forEach(step => console.log(JSON.stringify(step)));
+  }
+  console.log(`${dryRun ? 'Would apply' : 'Applied'} ${steps.length} steps:`, counts);
+
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`${error.subscriptionId}: ${error.message}`));
+    throw new Error(`${errors.length} subscriptions could not be swept`);
+  }
+});
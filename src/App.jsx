@@ -12,7 +12,7 @@ import { USER_ROLES } from './config/constants';
 import './App.css';
 
 function App() {
-  const { currentUser, userDetails, loading, isAdmin, offline, error } = useAuth();
+  const { currentUser, userDetails, loading, permissionsLoading, provisioning, canAccessAdmin, offline, error } = useAuth();
   
   // Show loading state
   if (loading) {
@@ -49,8 +49,9 @@ function App() {
     );
   }
   
-  // Show waiting state when user is logged in but details are still loading
-  if (currentUser && !userDetails) {
+  // Show waiting state when user is logged in but details are still loading;
+  // an invitee's account is still being set up by AcceptInvitePage
+  if (currentUser && !provisioning && (!userDetails || permissionsLoading)) {
     return (
       <div className="h-screen w-screen flex items-center justify-center bg-gray-50">
         <div className="text-center">
@@ -61,10 +62,8 @@ function App() {
     );
   }
   
-  // Check if user is logged in and has admin privileges
-  const hasAdminAccess = currentUser && (
-    isAdmin() || (import.meta.env.DEV && currentUser.email === 'admin@businessoptions.in')
-  );
+  // Any role granting at least one permission may use the admin panel
+  const hasAdminAccess = Boolean(currentUser) && canAccessAdmin();
   
   // Show error state if there's an auth error
   if (error) {
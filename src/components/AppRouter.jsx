@@ -2,16 +2,24 @@ import React from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import AdminLayout from '../layouts/AdminLayout';
 import LoginPage from '../pages/LoginPage';
+import AcceptInvitePage from '../pages/AcceptInvitePage';
 import DashboardPage from '../pages/DashboardPage';
 import UserRolesPage from '../pages/UserRolesPage';
 import AdvisorManagementPage from '../pages/AdvisorManagementPage';
 import ListingsPage from '../pages/ListingsPage';
 import ListingFormPage from '../pages/ListingFormPage'; // Import the new form page
+import ModerationPage from '../pages/ModerationPage';
 import UsersPage from '../pages/UsersPage';
 import ApplicationsPage from '../pages/ApplicationsPage';
 import AnalyticsPage from '../pages/AnalyticsPage';
 import ContentPage from '../pages/ContentPage';
 import SettingsPage from '../pages/SettingsPage';
+import FeatureFlagsPage from '../pages/FeatureFlagsPage';
+import AuditLogPage from '../pages/AuditLogPage';
+import PlansPage from '../pages/PlansPage';
+import FinancePage from '../pages/FinancePage';
+import RequirePermission from './common/RequirePermission';
+import { PERMISSIONS } from '../config/constants';
 
 const AppRouter = ({ isAuthenticated }) => {
   return (
@@ -21,29 +29,67 @@ const AppRouter = ({ isAuthenticated }) => {
       v7_relativeSplatPath: true
     }}
     >
-      {/* Public route */}
+      {/* Public routes */}
       <Route path="/login" element={
         isAuthenticated ? <Navigate to="/" replace /> : <LoginPage />
       } />
+      <Route path="/accept-invite" element={
+        isAuthenticated ? <Navigate to="/" replace /> : <AcceptInvitePage />
+      } />
 
       {/* Protected admin routes */}
       <Route path="/" element={
         isAuthenticated ? <AdminLayout /> : <Navigate to="/login" replace />
       }>
         <Route index element={<DashboardPage />} />
-        <Route path="user-roles" element={<UserRolesPage />} />
-        <Route path="advisors" element={<AdvisorManagementPage />} />
+        <Route path="user-roles" element={
+          <RequirePermission permission={[PERMISSIONS.VIEW_ROLES, PERMISSIONS.VIEW_USERS]}><UserRolesPage /></RequirePermission>
+        } />
+        <Route path="advisors" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_ADVISORS}><AdvisorManagementPage /></RequirePermission>
+        } />
         
         {/* Listings routes */}
-        <Route path="listings" element={<ListingsPage />} />
-        <Route path="listings/create" element={<ListingFormPage />} />
-        <Route path="listings/edit/:id" element={<ListingFormPage />} />
+        <Route path="listings" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_LISTINGS}><ListingsPage /></RequirePermission>
+        } />
+        <Route path="listings/create" element={
+          <RequirePermission permission={PERMISSIONS.CREATE_LISTINGS}><ListingFormPage /></RequirePermission>
+        } />
+        <Route path="listings/edit/:id" element={
+          <RequirePermission permission={PERMISSIONS.EDIT_LISTINGS}><ListingFormPage /></RequirePermission>
+        } />
+        <Route path="moderation" element={
+          <RequirePermission permission={PERMISSIONS.APPROVE_LISTINGS}><ModerationPage /></RequirePermission>
+        } />
         
-        <Route path="users" element={<UsersPage />} />
-        <Route path="applications" element={<ApplicationsPage />} />
-        <Route path="analytics" element={<AnalyticsPage />} />
-        <Route path="content" element={<ContentPage />} />
-        <Route path="settings" element={<SettingsPage />} />
+        <Route path="users" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_USERS}><UsersPage /></RequirePermission>
+        } />
+        <Route path="applications" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_APPLICATIONS}><ApplicationsPage /></RequirePermission>
+        } />
+        <Route path="analytics" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_ANALYTICS}><AnalyticsPage /></RequirePermission>
+        } />
+        <Route path="content" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_CONTENT}><ContentPage /></RequirePermission>
+        } />
+        <Route path="settings" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_SETTINGS}><SettingsPage /></RequirePermission>
+        } />
+        <Route path="feature-flags" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_SETTINGS}><FeatureFlagsPage /></RequirePermission>
+        } />
+        <Route path="plans" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_PLANS}><PlansPage /></RequirePermission>
+        } />
+        <Route path="finance" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_TRANSACTIONS}><FinancePage /></RequirePermission>
+        } />
+        <Route path="audit-log" element={
+          <RequirePermission permission={PERMISSIONS.VIEW_AUDIT_LOG}><AuditLogPage /></RequirePermission>
+        } />
       </Route>
 
       {/* Catch all - redirect to login or dashboard based on authentication */}
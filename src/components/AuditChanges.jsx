@@ -0,0 +1,90 @@
+// components/AuditChanges.jsx
+import React from 'react';
+import { AUDIT_ACTIONS } from '../config/constants';
+import { formatDiffValue } from '../utils/diff';
+import { getAuditChanges, getAuditDetails, formatAuditLabel } from '../utils/audit';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+
+const ACTION_STYLES = {
+  [AUDIT_ACTIONS.CREATE]: 'bg-green-100 text-green-800 border-green-300',
+  [AUDIT_ACTIONS.UPDATE]: 'bg-blue-100 text-blue-800 border-blue-300',
+  [AUDIT_ACTIONS.DELETE]: 'bg-red-100 text-red-800 border-red-300',
+  [AUDIT_ACTIONS.LOGIN]: 'bg-gray-100 text-gray-700 border-gray-300',
+  [AUDIT_ACTIONS.PERMISSION_CHANGE]: 'bg-amber-100 text-amber-800 border-amber-300'
+};
+
+export const AuditActionBadge = ({ action }) => (
+  <Badge className={ACTION_STYLES[action] || 'bg-gray-100 text-gray-700 border-gray-300'}>
+    {formatAuditLabel(action)}
+  </Badge>
+);
+
+/**
+ * Before/after values and remaining details of one audit log entry
+ */
+const AuditChanges = ({ entry }) => {
+  const changes = getAuditChanges(entry);
+  const otherDetails = getAuditDetails(entry);
+
+  if (changes.length === 0 && otherDetails.length === 0) {
+    return <p className="text-sm text-gray-500">No details recorded.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {changes.length > 0 && (
+        <div className="border rounded-md overflow-x-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Field</TableHead>
+                <TableHead>Before</TableHead>
+                <TableHead>After</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {changes.map(change => (
+                <TableRow key={change.path}>
+                  <TableCell className="font-mono text-xs align-top">{change.path}</TableCell>
+                  {change.recorded ? (
+                    <>
+                      <TableCell className="align-top text-red-700 break-words max-w-[260px]">
+                        {formatDiffValue(change.before)}
+                      </TableCell>
+                      <TableCell className="align-top text-green-700 break-words max-w-[260px]">
+                        {formatDiffValue(change.after)}
+                      </TableCell>
+                    </>
+                  ) : (
+                    <TableCell colSpan={2} className="text-gray-400 italic">Values not recorded</TableCell>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+
+      {otherDetails.length > 0 && (
+        <dl className="grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1 text-sm">
+          {otherDetails.map(([key, value]) => (
+            <React.Fragment key={key}>
+              <dt className="text-gray-500">{formatAuditLabel(key)}</dt>
+              <dd className="text-gray-800 break-words">{formatDiffValue(value)}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+};
+
+export default AuditChanges;
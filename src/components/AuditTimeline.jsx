@@ -0,0 +1,127 @@
+// components/AuditTimeline.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { History, Loader2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { formatDate } from '../utils/helpers';
+import { formatAuditLabel } from '../utils/audit';
+import AuditChanges, { AuditActionBadge } from './AuditChanges';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle
+} from '@/components/ui/sheet';
+
+// Entries loaded per page of the timeline
+const TIMELINE_PAGE_SIZE = 25;
+
+/**
+ * Sheet listing every audit logged change to one entity, newest first
+ *
+ * @param {Object} props - { entity: { type, id, name } | null, onClose }
+ */
+const AuditTimeline = ({ entity, onClose }) => {
+  const { AuditLogService } = useDatabase();
+  const [logs, setLogs] = useState([]);
+  const [actors, setActors] = useState({});
+  const [lastVisible, setLastVisible] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const entityType = entity?.type;
+  const entityId = entity?.id;
+
+  const fetchPage = useCallback(async (cursor = null) => {
+    try {
+      setLoading(true);
+      const page = await AuditLogService.getAuditLogs(
+        { entityType, entityId },
+        TIMELINE_PAGE_SIZE,
+        cursor
+      );
+      const pageActors = await AuditLogService.getAuditActors(page.logs.map(log => log.performedBy));
+
+      setLogs(prev => (cursor ? [...prev, ...page.logs] : page.logs));
+      setActors(prev => ({ ...prev, ...pageActors }));
+      setLastVisible(page.lastVisible);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      toast.error(`Failed to load history: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [AuditLogService, entityType, entityId]);
+
+  useEffect(() => {
+    setLogs([]);
+    if (entityType && entityId) {
+      fetchPage();
+    }
+  }, [entityType, entityId, fetchPage]);
+
+  return (
+    <Sheet open={Boolean(entity)} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <SheetContent className="sm:max-w-2xl overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle className="flex items-center gap-2">
+            <History size={18} />
+            {entity?.name || entity?.id}
+          </SheetTitle>
+          <SheetDescription>
+            Audit history of {formatAuditLabel(entity?.type).toLowerCase()} <span className="font-mono">{entity?.id}</span>.{' '}
+            <Link
+              to={`/audit-log?entityType=${encodeURIComponent(entity?.type || '')}&entityId=${encodeURIComponent(entity?.id || '')}`}
+              className="text-blue-600 hover:text-blue-800"
+              onClick={onClose}
+            >
+              Open in audit log
+            </Link>
+          </SheetDescription>
+        </SheetHeader>
+
+        {logs.length === 0 && loading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-6 w-6 mr-2 animate-spin" />
+            Loading history...
+          </div>
+        ) : logs.length === 0 ? (
+          <p className="text-sm text-gray-500 py-8 text-center">No audit entries for this record.</p>
+        ) : (
+          <ol className="relative border-l border-gray-200 ml-2 mt-6 space-y-6">
+            {logs.map(log => (
+              <li key={log.id} className="ml-4">
+                <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full bg-blue-500 border-2 border-white" />
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                  <AuditActionBadge action={log.action} />
+                  <span className="text-sm font-medium text-gray-800">
+                    {actors[log.performedBy]?.name || log.performedBy}
+                  </span>
+                  <span className="text-xs text-gray-500">{formatDate(log.timestamp, 'long')}</span>
+                </div>
+                <AuditChanges entry={log} />
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {hasMore && (
+          <div className="flex justify-center mt-6">
+            <button
+              type="button"
+              className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+              onClick={() => fetchPage(lastVisible)}
+              disabled={loading}
+            >
+              {loading && <Loader2 size={16} className="animate-spin" />}
+              Load older entries
+            </button>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default AuditTimeline;
@@ -0,0 +1,300 @@
+// components/ExperimentResults.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trophy, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { CONVERSION_ACTIVITY_TYPES } from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import { CONFIDENCE_LEVEL, MIN_SAMPLE_SIZE } from '../utils/experiments';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle
+} from '@/components/ui/sheet';
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+const EMPTY_GOAL = { name: '', activityType: '' };
+
+/**
+ * Formats a fraction as a percentage
+ *
+ * @param {number|null} value - Fraction
+ * @returns {string} - e.g. "12.34%", or a dash when missing
+ */
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(2)}%`);
+
+/**
+ * Formats a p-value, collapsing tiny values
+ *
+ * @param {number|null} pValue - p-value
+ * @returns {string} - Formatted p-value
+ */
+const formatPValue = (pValue) => {
+  if (pValue === null) return '—';
+  return pValue < 0.001 ? '< 0.001' : pValue.toFixed(3);
+};
+
+/**
+ * Significance badge of a variant row
+ *
+ * @param {Object} props - { row }
+ */
+const SignificanceBadge = ({ row }) => {
+  if (row.isControl) {
+    return <Badge variant="secondary">Control</Badge>;
+  }
+  if (!row.enoughData) {
+    return <Badge variant="outline">Not enough data</Badge>;
+  }
+  if (!row.significant) {
+    return <Badge className="bg-gray-100 text-gray-600 border-gray-300">Not significant</Badge>;
+  }
+  return row.lift > 0
+    ? <Badge className="bg-green-100 text-green-800 border-green-300">Better</Badge>
+    : <Badge className="bg-red-100 text-red-800 border-red-300">Worse</Badge>;
+};
+
+const ExperimentResults = ({ flagId, onClose, onPromoted, canEdit }) => {
+  const { ExperimentService } = useDatabase();
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [goals, setGoals] = useState([]);
+  const [isSavingGoals, setIsSavingGoals] = useState(false);
+  const [isPromoting, setIsPromoting] = useState(false);
+
+  const fetchResults = useCallback(async () => {
+    try {
+      setLoading(true);
+      const experiment = await ExperimentService.getExperimentResults(flagId);
+      setResults(experiment);
+      setGoals(experiment.flag.conversionGoals || []);
+    } catch (err) {
+      toast.error(`Failed to load experiment results: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [ExperimentService, flagId]);
+
+  useEffect(() => {
+    setResults(null);
+    if (flagId) {
+      fetchResults();
+    }
+  }, [flagId, fetchResults]);
+
+  const updateGoal = (goalIndex, changes) => {
+    setGoals(prev => prev.map((goal, index) => (index === goalIndex ? { ...goal, ...changes } : goal)));
+  };
+
+  const handleSaveGoals = async () => {
+    try {
+      setIsSavingGoals(true);
+      await ExperimentService.setConversionGoals(flagId, goals);
+      toast.success('Conversion goals saved');
+      await fetchResults();
+    } catch (err) {
+      toast.error(`Failed to save conversion goals: ${err.message}`);
+    } finally {
+      setIsSavingGoals(false);
+    }
+  };
+
+  const handlePromote = async (variant) => {
+    if (!window.confirm(
+      `Promote "${variant.name || variant.id}"? The test ends and everyone who gets this flag is served this variant.`
+    )) {
+      return;
+    }
+
+    try {
+      setIsPromoting(true);
+      await ExperimentService.promoteWinner(flagId, variant.id || variant.name);
+      toast.success('Variant promoted');
+      onPromoted();
+    } catch (err) {
+      toast.error(`Failed to promote variant: ${err.message}`);
+    } finally {
+      setIsPromoting(false);
+    }
+  };
+
+  const storedGoals = results?.flag.conversionGoals || [];
+  const goalsChanged = JSON.stringify(goals) !== JSON.stringify(storedGoals);
+
+  return (
+    <Sheet open={Boolean(flagId)} onOpenChange={(isOpen) => !isOpen && onClose()}>
+      <SheetContent className="sm:max-w-3xl overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle>{flagId} results</SheetTitle>
+          <SheetDescription>
+            Users are counted in the variant they were first served and convert when they log the
+            goal activity afterwards. The first variant is the control; intervals are {CONFIDENCE_LEVEL * 100}% Wilson intervals.
+          </SheetDescription>
+        </SheetHeader>
+
+        {loading || !results ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-6 w-6 mr-2 animate-spin" />
+            Loading results...
+          </div>
+        ) : (
+          <div className="space-y-8 mt-6">
+            <p className="text-sm text-gray-600">
+              {results.totalExposures} exposed users
+              {results.startedAt && ` since ${formatDate(results.startedAt, 'long')}`}
+            </p>
+
+            {results.goals.length === 0 && (
+              <p className="text-sm text-gray-500">Add a conversion goal below to see results.</p>
+            )}
+
+            {results.goals.map(goal => (
+              <div key={goal.id}>
+                <h4 className="font-semibold text-gray-800">{goal.name}</h4>
+                <p className="text-xs text-gray-500 mb-2">
+                  Activity <span className="font-mono">{goal.activityType}</span>
+                </p>
+
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>Variant</TableHead>
+                      <TableHead className="text-right">Exposed</TableHead>
+                      <TableHead className="text-right">Converted</TableHead>
+                      <TableHead className="text-right">Rate</TableHead>
+                      <TableHead>{CONFIDENCE_LEVEL * 100}% CI</TableHead>
+                      <TableHead className="text-right">Lift</TableHead>
+                      <TableHead className="text-right">p-value</TableHead>
+                      <TableHead></TableHead>
+                      {canEdit && <TableHead></TableHead>}
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {goal.rows.map(row => (
+                      <TableRow key={row.variant.id || row.variant.name}>
+                        <TableCell className="font-medium">
+                          <span className="flex items-center gap-1">
+                            {goal.winner === row && <Trophy size={14} className="text-amber-500" />}
+                            {row.variant.name || row.variant.id}
+                          </span>
+                        </TableCell>
+                        <TableCell className="text-right">{row.exposures}</TableCell>
+                        <TableCell className="text-right">{row.conversions}</TableCell>
+                        <TableCell className="text-right">{formatPercent(row.rate)}</TableCell>
+                        <TableCell className="text-sm text-gray-600">
+                          {row.interval
+                            ? `${formatPercent(row.interval.low)} – ${formatPercent(row.interval.high)}`
+                            : '—'}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {row.lift === null ? '—' : `${row.lift > 0 ? '+' : ''}${(row.lift * 100).toFixed(1)}%`}
+                        </TableCell>
+                        <TableCell className="text-right">{formatPValue(row.pValue)}</TableCell>
+                        <TableCell><SignificanceBadge row={row} /></TableCell>
+                        {canEdit && (
+                          <TableCell>
+                            <button
+                              type="button"
+                              className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-50 whitespace-nowrap"
+                              onClick={() => handlePromote(row.variant)}
+                              disabled={isPromoting}
+                            >
+                              Promote
+                            </button>
+                          </TableCell>
+                        )}
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+
+                <p className="text-xs text-gray-500 mt-2">
+                  {goal.winner
+                    ? `${goal.winner.variant.name || goal.winner.variant.id} beats the control at ${CONFIDENCE_LEVEL * 100}% confidence.`
+                    : `No variant beats the control yet. Significance is only reported once every compared group has ${MIN_SAMPLE_SIZE} users.`}
+                </p>
+              </div>
+            ))}
+
+            <div>
+              <h4 className="font-semibold text-gray-800 mb-1">Conversion Goals</h4>
+              <p className="text-sm text-gray-500 mb-3">Each goal is an activity type users log, such as viewing a listing.</p>
+
+              <div className="space-y-2 mb-3">
+                {goals.map((goal, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      className={inputClassName}
+                      placeholder="Goal name"
+                      value={goal.name}
+                      onChange={(e) => updateGoal(index, { name: e.target.value })}
+                      disabled={!canEdit}
+                    />
+                    <input
+                      type="text"
+                      className={`${inputClassName} font-mono`}
+                      placeholder="Activity type"
+                      list="conversionActivityTypes"
+                      value={goal.activityType}
+                      onChange={(e) => updateGoal(index, { activityType: e.target.value })}
+                      disabled={!canEdit}
+                    />
+                    {canEdit && (
+                      <button
+                        type="button"
+                        className="p-1 text-gray-400 hover:text-red-600"
+                        title="Remove goal"
+                        onClick={() => setGoals(prev => prev.filter((_, i) => i !== index))}
+                      >
+                        <X size={16} />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <datalist id="conversionActivityTypes">
+                  {CONVERSION_ACTIVITY_TYPES.map(type => <option key={type} value={type} />)}
+                </datalist>
+              </div>
+
+              {canEdit && (
+                <div className="flex items-center gap-3">
+                  <button
+                    type="button"
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                    onClick={() => setGoals(prev => [...prev, EMPTY_GOAL])}
+                  >
+                    <Plus size={14} />
+                    Add goal
+                  </button>
+                  <button
+                    type="button"
+                    className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                    onClick={handleSaveGoals}
+                    disabled={!goalsChanged || isSavingGoals}
+                  >
+                    {isSavingGoals ? 'Saving...' : 'Save Goals'}
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default ExperimentResults;
@@ -0,0 +1,310 @@
+// components/ListingImportDialog.jsx
+import React, { useState } from 'react';
+import { Upload, Download, RefreshCw, CheckCircle, AlertTriangle, FileSpreadsheet } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { downloadBlob } from '../utils/export';
+import { EXPORT_COLUMN_GROUPS } from '../utils/listing-export';
+import {
+  LISTING_IMPORT_FIELDS,
+  parseListingCsv,
+  autoMapHeaders,
+  buildListingFromRow,
+  buildImportErrorReport
+} from '../utils/listing-import';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Progress } from '@/components/ui/progress';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+
+// Largest file accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+// Select value for columns that are not imported
+const UNMAPPED = '__ignore__';
+
+const ListingImportDialog = ({ open, onOpenChange, onImported }) => {
+  const { ListingService } = useDatabase();
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState([]);
+  const [dryRun, setDryRun] = useState(true);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+
+  const reset = () => {
+    setFileName('');
+    setHeaders([]);
+    setRows([]);
+    setMapping([]);
+    setProgress(0);
+    setResult(null);
+  };
+
+  const handleOpenChange = (isOpen) => {
+    if (isImporting) return;
+    if (!isOpen) reset();
+    onOpenChange(isOpen);
+  };
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    try {
+      const parsed = parseListingCsv(await file.text());
+
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        toast.error('The file has no data rows');
+        return;
+      }
+
+      if (parsed.rows.length > MAX_IMPORT_ROWS) {
+        toast.error(`Files are limited to ${MAX_IMPORT_ROWS} rows, this one has ${parsed.rows.length}`);
+        return;
+      }
+
+      setFileName(file.name);
+      setHeaders(parsed.headers);
+      setRows(parsed.rows);
+      setMapping(autoMapHeaders(parsed.headers));
+      setResult(null);
+    } catch (err) {
+      toast.error(`Failed to read file: ${err.message}`);
+    }
+  };
+
+  const handleMappingChange = (index, key) => {
+    setMapping(prev => prev.map((current, i) => (i === index ? (key === UNMAPPED ? null : key) : current)));
+  };
+
+  const handleImport = async () => {
+    if (!mapping.includes('type')) {
+      toast.error('Map a column to Type before importing');
+      return;
+    }
+
+    try {
+      setIsImporting(true);
+      setProgress(0);
+
+      const importRows = rows.map(row => ({
+        rowNumber: row.rowNumber,
+        data: buildListingFromRow(row.cells, mapping)
+      }));
+
+      const importResult = await ListingService.importListings(importRows, {
+        dryRun,
+        onProgress: setProgress
+      });
+
+      setResult({ ...importResult, dryRun });
+
+      if (dryRun) {
+        toast.success(`Dry run: ${importResult.valid} of ${importResult.total} rows are valid`);
+      } else {
+        toast.success(`Imported ${importResult.created.length} of ${importResult.total} listings`);
+        if (importResult.created.length > 0) {
+          onImported?.();
+        }
+      }
+    } catch (err) {
+      toast.error(`Failed to import listings: ${err.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const handleDownloadErrors = () => {
+    const baseName = fileName.replace(/\.csv$/i, '');
+    downloadBlob(buildImportErrorReport(headers, rows, result.failed), `${baseName}-errors.csv`);
+  };
+
+  const mappedCount = mapping.filter(Boolean).length;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Listings</DialogTitle>
+          <DialogDescription>
+            Upload a CSV with one listing per row. Columns are matched to listing fields by name;
+            files exported from this page can be imported as they are. Imported listings are saved
+            as drafts and go through moderation like any other.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          <div className="space-y-2">
+            <Label htmlFor="listing-import-file">CSV file</Label>
+            <Input
+              id="listing-import-file"
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFileChange}
+              disabled={isImporting}
+            />
+            {fileName && (
+              <p className="text-sm text-muted-foreground flex items-center">
+                <FileSpreadsheet className="h-4 w-4 mr-1" />
+                {fileName}: {rows.length} rows, {mappedCount} of {headers.length} columns mapped
+              </p>
+            )}
+          </div>
+
+          {headers.length > 0 && (
+            <div className="space-y-2">
+              <Label>Column mapping</Label>
+              <div className="border rounded-md max-h-72 overflow-y-auto">
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>CSV column</TableHead>
+                      <TableHead>Sample</TableHead>
+                      <TableHead>Listing field</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {headers.map((header, index) => (
+                      <TableRow key={`${header}-${index}`}>
+                        <TableCell className="font-medium">{header || `Column ${index + 1}`}</TableCell>
+                        <TableCell className="text-muted-foreground max-w-[160px] truncate">
+                          {rows[0]?.cells[index]}
+                        </TableCell>
+                        <TableCell>
+                          <Select
+                            value={mapping[index] || UNMAPPED}
+                            onValueChange={(key) => handleMappingChange(index, key)}
+                            disabled={isImporting}
+                          >
+                            <SelectTrigger className="w-56">
+                              <SelectValue />
+                            </SelectTrigger>
+                            <SelectContent>
+                              <SelectItem value={UNMAPPED}>Do not import</SelectItem>
+                              {LISTING_IMPORT_FIELDS.map(field => (
+                                <SelectItem key={field.key} value={field.key}>
+                                  {EXPORT_COLUMN_GROUPS[field.group]}: {field.label}
+                                </SelectItem>
+                              ))}
+                            </SelectContent>
+                          </Select>
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </div>
+            </div>
+          )}
+
+          {headers.length > 0 && (
+            <div className="flex items-center space-x-2">
+              <Switch id="listing-import-dry-run" checked={dryRun} onCheckedChange={setDryRun} disabled={isImporting} />
+              <Label htmlFor="listing-import-dry-run">
+                Dry run (validate every row without creating listings)
+              </Label>
+            </div>
+          )}
+
+          {isImporting && (
+            <div className="space-y-2">
+              <Progress value={rows.length > 0 ? (progress / rows.length) * 100 : 0} />
+              <p className="text-sm text-muted-foreground">
+                Processed {progress} of {rows.length} rows...
+              </p>
+            </div>
+          )}
+
+          {result && !isImporting && (
+            <div className="rounded-md border p-4 space-y-3">
+              <div className="flex flex-wrap gap-2">
+                <Badge variant="outline">{result.total} rows</Badge>
+                <Badge className="bg-green-100 text-green-800 border-green-300">
+                  <CheckCircle className="h-3 w-3 mr-1" />
+                  {result.dryRun ? `${result.valid} valid` : `${result.created.length} created`}
+                </Badge>
+                {result.failed.length > 0 && (
+                  <Badge className="bg-red-100 text-red-800 border-red-300">
+                    <AlertTriangle className="h-3 w-3 mr-1" />
+                    {result.failed.length} failed
+                  </Badge>
+                )}
+                {result.dryRun && <Badge variant="secondary">Dry run, nothing was saved</Badge>}
+              </div>
+
+              {result.failed.length > 0 && (
+                <>
+                  <ul className="text-sm text-red-700 space-y-1 max-h-40 overflow-y-auto">
+                    {result.failed.slice(0, 10).map(({ rowNumber, errors }) => (
+                      <li key={rowNumber}>
+                        Row {rowNumber}: {Object.values(errors).join('; ')}
+                      </li>
+                    ))}
+                    {result.failed.length > 10 && (
+                      <li className="text-muted-foreground">
+                        and {result.failed.length - 10} more rows, see the error report
+                      </li>
+                    )}
+                  </ul>
+                  <Button variant="outline" size="sm" onClick={handleDownloadErrors}>
+                    <Download className="h-4 w-4 mr-2" />
+                    Download error report
+                  </Button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => handleOpenChange(false)} disabled={isImporting}>
+            Close
+          </Button>
+          <Button onClick={handleImport} disabled={isImporting || rows.length === 0}>
+            {isImporting ? (
+              <>
+                <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                {dryRun ? 'Validating...' : 'Importing...'}
+              </>
+            ) : (
+              <>
+                <Upload className="h-4 w-4 mr-2" />
+                {dryRun ? 'Validate' : `Import ${rows.length} listings`}
+              </>
+            )}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ListingImportDialog;
@@ -0,0 +1,300 @@
+// components/ListingVersionHistory.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { History, RotateCcw, RefreshCw, ArrowRight } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import { diffObjects, formatDiffValue } from '../utils/diff';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle
+} from '@/components/ui/alert-dialog';
+
+// Bookkeeping and derived fields that change on every save
+const DIFF_IGNORED_FIELDS = [
+  'id', 'version', 'versionHistory', 'searchKeywords',
+  'updatedAt', 'updatedBy', 'price', 'revenue'
+];
+
+const REASON_LABELS = {
+  update: 'Edited',
+  moderation: 'Moderation',
+  restore: 'Restored'
+};
+
+const KIND_STYLES = {
+  added: 'bg-green-100 text-green-800 border-green-300',
+  removed: 'bg-red-100 text-red-800 border-red-300',
+  changed: 'bg-blue-100 text-blue-800 border-blue-300'
+};
+
+const ListingVersionHistory = ({ listing, onRestored }) => {
+  const { ListingService } = useDatabase();
+  const { can } = useAuth();
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const [restoreTarget, setRestoreTarget] = useState(null);
+  const [restoreNote, setRestoreNote] = useState('');
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const currentVersion = listing.version || 1;
+  const canRestore = can(PERMISSIONS.EDIT_LISTINGS);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const snapshots = await ListingService.getListingVersions(listing.id);
+      setVersions(snapshots);
+      setFromVersion(snapshots[0]?.version ?? null);
+      setToVersion(currentVersion);
+    } catch (err) {
+      toast.error(`Failed to load version history: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [ListingService, listing.id, currentVersion]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  // Data of every available version, the current one included
+  const versionData = useMemo(() => {
+    const map = new Map(versions.map(snapshot => [snapshot.version, snapshot.data]));
+    map.set(currentVersion, listing);
+    return map;
+  }, [versions, listing, currentVersion]);
+
+  // Who made each version and why, from the listing's versionHistory
+  const versionMeta = useMemo(() => {
+    const map = new Map((listing.versionHistory || []).map(entry => [entry.version, entry]));
+    if (!map.has(1)) {
+      map.set(1, { version: 1, changedAt: listing.createdAt, changedByName: listing.ownerName, reason: 'create' });
+    }
+    return map;
+  }, [listing]);
+
+  const versionNumbers = useMemo(
+    () => [...versionData.keys()].sort((a, b) => b - a),
+    [versionData]
+  );
+
+  const changes = useMemo(() => {
+    if (fromVersion === null || toVersion === null) return [];
+    return diffObjects(versionData.get(fromVersion), versionData.get(toVersion), {
+      ignore: DIFF_IGNORED_FIELDS
+    });
+  }, [versionData, fromVersion, toVersion]);
+
+  const describeVersion = (version) => {
+    const meta = versionMeta.get(version);
+    const label = version === currentVersion ? `v${version} (current)` : `v${version}`;
+    return meta?.changedAt ? `${label} · ${formatDate(meta.changedAt, 'long')}` : label;
+  };
+
+  const handleRestore = async () => {
+    try {
+      setIsRestoring(true);
+      const newVersion = await ListingService.restoreListingVersion(
+        listing.id,
+        restoreTarget,
+        restoreNote.trim() || null
+      );
+      toast.success(`Restored version ${restoreTarget} as version ${newVersion}`);
+      setRestoreTarget(null);
+      setRestoreNote('');
+
+      const refreshed = await ListingService.getListingById(listing.id);
+      onRestored?.(refreshed);
+    } catch (err) {
+      toast.error(`Failed to restore listing: ${err.message}`);
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-500">
+        <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+        Loading history...
+      </div>
+    );
+  }
+
+  if (versionNumbers.length < 2) {
+    return (
+      <div className="flex flex-col items-center justify-center py-8 text-gray-500">
+        <History className="h-8 w-8 mb-2" />
+        <p>This listing has not been changed since it was created.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="space-y-2">
+        <h3 className="text-sm font-medium text-gray-500">Versions</h3>
+        <ul className="divide-y border rounded-md max-h-56 overflow-y-auto">
+          {versionNumbers.map(version => {
+            const meta = versionMeta.get(version);
+            return (
+              <li key={version} className="flex items-center justify-between p-3 text-sm">
+                <div>
+                  <div className="flex items-center space-x-2">
+                    <span className="font-medium">v{version}</span>
+                    {version === currentVersion && <Badge variant="secondary">Current</Badge>}
+                    {meta?.reason && (
+                      <Badge variant="outline">
+                        {meta.reason === 'restore' && meta.restoredFrom
+                          ? `Restored from v${meta.restoredFrom}`
+                          : REASON_LABELS[meta.reason] || 'Created'}
+                      </Badge>
+                    )}
+                  </div>
+                  <p className="text-gray-500 mt-1">
+                    {meta?.changedByName || meta?.changedBy || 'Unknown'}
+                    {meta?.changedAt && ` · ${formatDate(meta.changedAt, 'long')}`}
+                    {meta?.changes?.length > 0 && ` · ${meta.changes.join(', ')}`}
+                  </p>
+                </div>
+                {canRestore && version !== currentVersion && (
+                  <Button variant="outline" size="sm" onClick={() => setRestoreTarget(version)}>
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Restore
+                  </Button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+
+      <div className="space-y-3">
+        <h3 className="text-sm font-medium text-gray-500">Compare</h3>
+        <div className="flex items-center space-x-2">
+          <Select value={String(fromVersion)} onValueChange={(value) => setFromVersion(Number(value))}>
+            <SelectTrigger className="flex-1">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {versionNumbers.map(version => (
+                <SelectItem key={version} value={String(version)}>{describeVersion(version)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <ArrowRight className="h-4 w-4 text-gray-400 flex-shrink-0" />
+          <Select value={String(toVersion)} onValueChange={(value) => setToVersion(Number(value))}>
+            <SelectTrigger className="flex-1">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {versionNumbers.map(version => (
+                <SelectItem key={version} value={String(version)}>{describeVersion(version)}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+
+        {changes.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4 text-center">No field differences between these versions.</p>
+        ) : (
+          <div className="border rounded-md max-h-80 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Field</TableHead>
+                  <TableHead>v{fromVersion}</TableHead>
+                  <TableHead>v{toVersion}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {changes.map(change => (
+                  <TableRow key={change.path}>
+                    <TableCell className="font-medium align-top">
+                      <div className="flex flex-col items-start gap-1">
+                        <span className="font-mono text-xs">{change.path}</span>
+                        <Badge className={KIND_STYLES[change.kind]}>{change.kind}</Badge>
+                      </div>
+                    </TableCell>
+                    <TableCell className="align-top text-red-700 break-words max-w-[220px]">
+                      {formatDiffValue(change.before)}
+                    </TableCell>
+                    <TableCell className="align-top text-green-700 break-words max-w-[220px]">
+                      {formatDiffValue(change.after)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </div>
+
+      <AlertDialog open={restoreTarget !== null} onOpenChange={(isOpen) => !isOpen && !isRestoring && setRestoreTarget(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Restore version {restoreTarget}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              The listing content will be replaced with version {restoreTarget} and saved as
+              version {currentVersion + 1}. Status, owner and analytics are kept as they are.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <div className="space-y-2">
+            <Label htmlFor="restore-note">Reason (optional)</Label>
+            <Input
+              id="restore-note"
+              value={restoreNote}
+              onChange={(e) => setRestoreNote(e.target.value)}
+              placeholder="Recorded in the audit log"
+              disabled={isRestoring}
+            />
+          </div>
+          <AlertDialogFooter>
+            <AlertDialogCancel disabled={isRestoring}>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={(e) => {
+                e.preventDefault();
+                handleRestore();
+              }}
+              disabled={isRestoring}
+            >
+              {isRestoring ? 'Restoring...' : 'Restore'}
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default ListingVersionHistory;
@@ -0,0 +1,264 @@
+// components/MaintenanceSchedule.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { CalendarClock, Loader2, Plus, ShieldCheck, X } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { USER_ROLES } from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import { Badge } from '@/components/ui/badge';
+import { Checkbox } from '@/components/ui/checkbox';
+
+const WINDOW_STATUS_STYLES = {
+  active: 'bg-red-100 text-red-800 border-red-300',
+  upcoming: 'bg-amber-100 text-amber-800 border-amber-300',
+  finished: 'bg-gray-100 text-gray-600 border-gray-300'
+};
+
+const WINDOW_STATUS_LABELS = {
+  active: 'In progress',
+  upcoming: 'Upcoming',
+  finished: 'Finished'
+};
+
+const EMPTY_WINDOW = { startAt: '', endAt: '', message: '' };
+
+/**
+ * Status of a maintenance window at a moment
+ *
+ * @param {Object} entry - Window with Date boundaries
+ * @param {Date} now - Current time
+ * @returns {string} - 'active', 'upcoming' or 'finished'
+ */
+const getWindowStatus = (entry, now) => {
+  if (entry.endAt <= now) return 'finished';
+  return entry.startAt <= now ? 'active' : 'upcoming';
+};
+
+const MaintenanceSchedule = ({ readOnly }) => {
+  const { SettingsService, RoleService } = useDatabase();
+  const [status, setStatus] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [bypassRoles, setBypassRoles] = useState([]);
+  const [newWindow, setNewWindow] = useState(EMPTY_WINDOW);
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [isSavingRoles, setIsSavingRoles] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    const maintenance = await SettingsService.getMaintenanceStatus();
+    setStatus(maintenance);
+    setBypassRoles(maintenance.bypassRoles);
+  }, [SettingsService]);
+
+  useEffect(() => {
+    const fetchData = async () => {
+      try {
+        const [, allRoles] = await Promise.all([fetchStatus(), RoleService.getRoles()]);
+        setRoles(allRoles);
+      } catch (err) {
+        toast.error(`Failed to load maintenance schedule: ${err.message}`);
+      }
+    };
+
+    fetchData();
+  }, [RoleService, fetchStatus]);
+
+  const handleSchedule = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsScheduling(true);
+      await SettingsService.scheduleMaintenanceWindow({
+        startAt: new Date(newWindow.startAt),
+        endAt: new Date(newWindow.endAt),
+        message: newWindow.message
+      });
+      toast.success('Maintenance window scheduled');
+      setNewWindow(EMPTY_WINDOW);
+      await fetchStatus();
+    } catch (err) {
+      toast.error(`Failed to schedule maintenance: ${err.message}`);
+    } finally {
+      setIsScheduling(false);
+    }
+  };
+
+  const handleCancel = async (entry) => {
+    const inProgress = getWindowStatus(entry, new Date()) === 'active';
+    if (!window.confirm(inProgress
+      ? 'This window is in progress. Cancelling it ends maintenance now. Continue?'
+      : 'Cancel this maintenance window?')) {
+      return;
+    }
+
+    try {
+      await SettingsService.cancelMaintenanceWindow(entry.id);
+      toast.success('Maintenance window cancelled');
+      await fetchStatus();
+    } catch (err) {
+      toast.error(`Failed to cancel maintenance window: ${err.message}`);
+    }
+  };
+
+  const toggleBypassRole = (roleId, checked) => {
+    setBypassRoles(prev => (checked ? [...prev, roleId] : prev.filter(id => id !== roleId)));
+  };
+
+  const handleSaveRoles = async () => {
+    try {
+      setIsSavingRoles(true);
+      await SettingsService.updateMaintenanceBypassRoles(bypassRoles);
+      toast.success('Maintenance access updated');
+      await fetchStatus();
+    } catch (err) {
+      toast.error(`Failed to update maintenance access: ${err.message}`);
+    } finally {
+      setIsSavingRoles(false);
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="flex items-center justify-center py-8 text-gray-500">
+        <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+        Loading schedule...
+      </div>
+    );
+  }
+
+  const now = new Date();
+  const rolesChanged = [...bypassRoles].sort().join() !== [...status.bypassRoles].sort().join();
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h4 className="flex items-center gap-2 font-semibold text-gray-800 mb-1">
+          <CalendarClock size={16} />
+          Scheduled Windows
+        </h4>
+        <p className="text-sm text-gray-500 mb-4">
+          Maintenance switches on and off by itself at the start and end of each window.
+        </p>
+
+        {status.windows.length === 0 ? (
+          <p className="text-sm text-gray-500 py-4">No maintenance windows scheduled.</p>
+        ) : (
+          <ul className="divide-y border rounded-md mb-4">
+            {status.windows.slice().reverse().map(entry => {
+              const windowStatus = getWindowStatus(entry, now);
+              return (
+                <li key={entry.id} className="flex items-start justify-between p-3 text-sm">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium">
+                        {formatDate(entry.startAt, 'long')} – {formatDate(entry.endAt, 'long')}
+                      </span>
+                      <Badge className={WINDOW_STATUS_STYLES[windowStatus]}>{WINDOW_STATUS_LABELS[windowStatus]}</Badge>
+                    </div>
+                    <p className="text-gray-500 mt-1">{entry.message}</p>
+                  </div>
+                  {!readOnly && windowStatus !== 'finished' && (
+                    <button
+                      type="button"
+                      className="flex items-center gap-1 text-red-600 hover:text-red-800"
+                      onClick={() => handleCancel(entry)}
+                    >
+                      <X size={14} />
+                      Cancel
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+
+        {!readOnly && (
+          <form onSubmit={handleSchedule} className="grid grid-cols-1 md:grid-cols-2 gap-4 max-w-2xl">
+            <div>
+              <label htmlFor="windowStart" className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+              <input
+                id="windowStart"
+                type="datetime-local"
+                className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                value={newWindow.startAt}
+                onChange={(e) => setNewWindow(prev => ({ ...prev, startAt: e.target.value }))}
+                required
+              />
+            </div>
+            <div>
+              <label htmlFor="windowEnd" className="block text-sm font-medium text-gray-700 mb-1">Ends</label>
+              <input
+                id="windowEnd"
+                type="datetime-local"
+                className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                value={newWindow.endAt}
+                min={newWindow.startAt || undefined}
+                onChange={(e) => setNewWindow(prev => ({ ...prev, endAt: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="md:col-span-2">
+              <label htmlFor="windowMessage" className="block text-sm font-medium text-gray-700 mb-1">Message</label>
+              <textarea
+                id="windowMessage"
+                rows={2}
+                className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                placeholder="We're upgrading our systems and will be back shortly."
+                value={newWindow.message}
+                onChange={(e) => setNewWindow(prev => ({ ...prev, message: e.target.value }))}
+                required
+              />
+            </div>
+            <div className="md:col-span-2">
+              <button
+                type="submit"
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                disabled={isScheduling}
+              >
+                {isScheduling ? <Loader2 size={16} className="animate-spin" /> : <Plus size={16} />}
+                Schedule Window
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      <div>
+        <h4 className="flex items-center gap-2 font-semibold text-gray-800 mb-1">
+          <ShieldCheck size={16} />
+          Write Access During Maintenance
+        </h4>
+        <p className="text-sm text-gray-500 mb-4">
+          Users with these roles can keep saving changes while maintenance is on. Everyone else gets a maintenance error.
+        </p>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 max-w-2xl mb-4">
+          {roles.map(role => (
+            <label key={role.id} className="flex items-center gap-2 text-sm text-gray-700">
+              <Checkbox
+                checked={role.id === USER_ROLES.ADMIN || bypassRoles.includes(role.id)}
+                onCheckedChange={(checked) => toggleBypassRole(role.id, checked)}
+                disabled={readOnly || role.id === USER_ROLES.ADMIN}
+              />
+              {role.name}
+              {role.id === USER_ROLES.ADMIN && <span className="text-xs text-gray-400">(always)</span>}
+            </label>
+          ))}
+        </div>
+
+        {!readOnly && (
+          <button
+            type="button"
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            onClick={handleSaveRoles}
+            disabled={!rolesChanged || isSavingRoles}
+          >
+            {isSavingRoles ? 'Saving...' : 'Save Access'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MaintenanceSchedule;
@@ -5,8 +5,11 @@ import { Eye, Edit, Trash2 } from 'lucide-react';
 const RecentListings = ({ listings }) => {
   // Status badge colors
   const statusColors = {
+    "Draft": "bg-gray-100 text-gray-800",
     "Pending": "bg-yellow-100 text-yellow-800",
     "Approved": "bg-green-100 text-green-800",
+    "Published": "bg-green-100 text-green-800",
+    "Archived": "bg-gray-100 text-gray-800",
     "Featured": "bg-blue-100 text-blue-800",
     "Rejected": "bg-red-100 text-red-800"
   };
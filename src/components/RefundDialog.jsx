@@ -0,0 +1,234 @@
+// components/RefundDialog.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { formatAuditLabel } from '../utils/audit';
+import { getRefundableAmount, getRefundedAmount } from '../utils/finance';
+import { PERMISSIONS, TRANSACTION_TYPES } from '../config/constants';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog';
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+// Payments that grant a subscription, which a refund can reverse
+const SUBSCRIPTION_TYPES = [
+  TRANSACTION_TYPES.SUBSCRIPTION_PURCHASE,
+  TRANSACTION_TYPES.SUBSCRIPTION_RENEWAL,
+  TRANSACTION_TYPES.SUBSCRIPTION_CHANGE
+];
+
+/**
+ * Refunds all or part of a transaction, listing its earlier refunds
+ *
+ * Anyone who can refund can also cancel the subscription the payment bought
+ * and revoke the unused connects it granted.
+ *
+ * @param {Object} props - { transaction | null, onClose, onRefunded }
+ */
+const RefundDialog = ({ transaction, onClose, onRefunded }) => {
+  const { TransactionService } = useDatabase();
+  const { can } = useAuth();
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+  const [cancelSubscription, setCancelSubscription] = useState(false);
+  const [revokeConnects, setRevokeConnects] = useState(false);
+  const [refunds, setRefunds] = useState([]);
+  const [isLoadingRefunds, setIsLoadingRefunds] = useState(false);
+  const [error, setError] = useState(null);
+  const [isRefunding, setIsRefunding] = useState(false);
+
+  const refundable = transaction ? getRefundableAmount(transaction) : 0;
+  const canReverse = can(PERMISSIONS.REFUND_TRANSACTIONS) && SUBSCRIPTION_TYPES.includes(transaction?.type);
+
+  const transactionId = transaction?.id;
+  const hasRefunds = transaction ? getRefundedAmount(transaction) > 0 : false;
+
+  const loadRefunds = useCallback(async (id) => {
+    try {
+      setIsLoadingRefunds(true);
+      setRefunds(await TransactionService.getTransactionRefunds(id));
+    } catch (err) {
+      toast.error(`Failed to load refunds: ${err.message}`);
+    } finally {
+      setIsLoadingRefunds(false);
+    }
+  }, [TransactionService]);
+
+  // Start over whenever another transaction is opened
+  useEffect(() => {
+    setAmount(refundable ? String(refundable) : '');
+    setReason('');
+    setCancelSubscription(false);
+    setRevokeConnects(false);
+    setError(null);
+    setRefunds([]);
+
+    if (transactionId && hasRefunds) {
+      loadRefunds(transactionId);
+    }
+  }, [transactionId, refundable, hasRefunds, loadRefunds]);
+
+  const handleRefund = async () => {
+    const refundAmount = Number(amount);
+
+    if (!amount || !(refundAmount > 0)) {
+      setError('Enter an amount above zero');
+      return;
+    }
+
+    if (refundAmount > refundable) {
+      setError(`At most ${formatCurrency(refundable, transaction.currency)} can be refunded`);
+      return;
+    }
+
+    if (!reason.trim()) {
+      setError('Enter a reason for the refund');
+      return;
+    }
+
+    try {
+      setIsRefunding(true);
+      const result = await TransactionService.refundTransaction(transaction.id, reason.trim(), refundAmount, {
+        cancelSubscription,
+        revokeConnects
+      });
+      toast.success(result.remaining > 0
+        ? `Refunded ${formatCurrency(result.amount, transaction.currency)}; ${formatCurrency(result.remaining, transaction.currency)} remains refundable`
+        : `Refunded ${formatCurrency(result.amount, transaction.currency)}`);
+      onRefunded?.();
+      onClose();
+    } catch (err) {
+      toast.error(`Failed to refund transaction: ${err.message}`);
+    } finally {
+      setIsRefunding(false);
+    }
+  };
+
+  return (
+    <Dialog open={Boolean(transaction)} onOpenChange={(isOpen) => !isOpen && !isRefunding && onClose()}>
+      <DialogContent className="sm:max-w-md">
+        <DialogHeader>
+          <DialogTitle>Refund Transaction</DialogTitle>
+          <DialogDescription>
+            {transaction && (
+              <>
+                {formatAuditLabel(transaction.type)} of {formatCurrency(transaction.amount, transaction.currency)}.{' '}
+                {getRefundedAmount(transaction) > 0 && (
+                  <>{formatCurrency(getRefundedAmount(transaction), transaction.currency)} refunded so far. </>
+                )}
+                Up to {formatCurrency(refundable, transaction.currency)} can be refunded.
+              </>
+            )}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          {isLoadingRefunds && (
+            <div className="flex items-center text-sm text-gray-500">
+              <Loader2 size={16} className="mr-2 animate-spin" />
+              Loading refunds...
+            </div>
+          )}
+          {refunds.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-700 mb-1">Earlier refunds</h4>
+              <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md text-sm">
+                {refunds.map(refund => (
+                  <li key={refund.id} className="flex items-start justify-between gap-3 px-3 py-2">
+                    <div>
+                      <div className="text-gray-800">{refund.reason}</div>
+                      <div className="text-xs text-gray-500">
+                        {formatDate(refund.createdAt, 'long')}
+                        {refund.reversal?.subscriptionCancelled && ' · subscription cancelled'}
+                        {refund.reversal?.connectsRevoked > 0 && ` · ${refund.reversal.connectsRevoked} connects revoked`}
+                      </div>
+                    </div>
+                    <span className="whitespace-nowrap">{formatCurrency(refund.amount, transaction.currency)}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div>
+            <label htmlFor="refundAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+            <input
+              id="refundAmount"
+              type="number"
+              min="0"
+              step="0.01"
+              max={refundable}
+              className={inputClassName}
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              disabled={isRefunding}
+            />
+          </div>
+          <div>
+            <label htmlFor="refundReason" className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <textarea
+              id="refundReason"
+              rows={3}
+              className={inputClassName}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              disabled={isRefunding}
+            />
+          </div>
+          {canReverse && (
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <Checkbox
+                  checked={cancelSubscription}
+                  onCheckedChange={(checked) => setCancelSubscription(checked === true)}
+                  disabled={isRefunding}
+                />
+                Cancel the subscription this payment bought
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <Checkbox
+                  checked={revokeConnects}
+                  onCheckedChange={(checked) => setRevokeConnects(checked === true)}
+                  disabled={isRefunding}
+                />
+                Revoke the unused connects it granted
+              </label>
+            </div>
+          )}
+          {error && <p className="text-xs text-red-600">{error}</p>}
+        </div>
+
+        <DialogFooter>
+          <button
+            type="button"
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm"
+            onClick={onClose}
+            disabled={isRefunding}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            onClick={handleRefund}
+            disabled={isRefunding}
+          >
+            {isRefunding && <Loader2 size={16} className="animate-spin" />}
+            {isRefunding ? 'Refunding...' : 'Refund'}
+          </button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default RefundDialog;
@@ -1,30 +1,57 @@
 // components/StatsCards.jsx
 import React from 'react';
-import { ArrowUpRight } from 'lucide-react';
+import { ArrowUpRight, ArrowDownRight, Minus } from 'lucide-react';
 
-const StatsCards = ({ stats }) => {
+/**
+ * Formats a percentage change with its sign
+ *
+ * @param {number} change - Change in percent
+ * @returns {string} - e.g. "+12.5%"
+ */
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
+
+const StatsCards = ({ stats, comparisonLabel = 'vs previous period' }) => {
   return (
     <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-      {stats.map((stat, index) => (
-        <div key={index} className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="text-sm font-medium text-gray-500 mb-1">{stat.title}</p>
-              <h3 className="text-2xl font-bold text-gray-800">{stat.value}</h3>
-              <div className="flex items-center mt-2">
-                <ArrowUpRight size={14} className="text-green-500" />
-                <span className="text-xs font-medium text-green-500 ml-1">{stat.change}</span>
-                <span className="text-xs text-gray-500 ml-2">vs last month</span>
+      {stats.map((stat, index) => {
+        const hasChange = typeof stat.change === 'number' && Number.isFinite(stat.change);
+        const ChangeIcon = !hasChange || stat.change === 0
+          ? Minus
+          : stat.change > 0 ? ArrowUpRight : ArrowDownRight;
+        const changeColor = !hasChange || stat.change === 0
+          ? 'text-gray-400'
+          : stat.change > 0 ? 'text-green-500' : 'text-red-500';
+
+        return (
+          <div key={index} className="bg-white rounded-xl shadow-sm p-6 border border-gray-100">
+            <div className="flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-500 mb-1">{stat.title}</p>
+                <h3 className="text-2xl font-bold text-gray-800">{stat.value}</h3>
+                <div className="flex items-center mt-2">
+                  {hasChange ? (
+                    <>
+                      <ChangeIcon size={14} className={changeColor} />
+                      <span className={`text-xs font-medium ml-1 ${changeColor}`}>{formatChange(stat.change)}</span>
+                      <span className="text-xs text-gray-500 ml-2">{comparisonLabel}</span>
+                    </>
+                  ) : (
+                    <span className="text-xs text-gray-500">{stat.note || 'No data for the previous period'}</span>
+                  )}
+                </div>
+                {hasChange && stat.note && (
+                  <p className="text-xs text-gray-500 mt-1">{stat.note}</p>
+                )}
+              </div>
+              <div className={`bg-${stat.color}-50 p-3 rounded-lg`}>
+                <stat.icon size={24} className={`text-${stat.color}-500`} />
               </div>
-            </div>
-            <div className={`bg-${stat.color}-50 p-3 rounded-lg`}>
-              <stat.icon size={24} className={`text-${stat.color}-500`} />
             </div>
           </div>
-        </div>
-      ))}
+        );
+      })}
     </div>
   );
 };
 
-export default StatsCards;
\ No newline at end of file
+export default StatsCards;
@@ -0,0 +1,272 @@
+// components/SubscriptionPlanChange.jsx
+import React, { useState } from 'react';
+import { ArrowRightLeft, Search, Loader2 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { Badge } from '@/components/ui/badge';
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+const DIRECTION_LABELS = {
+  upgrade: 'Upgrade',
+  downgrade: 'Downgrade',
+  change: 'Plan change'
+};
+
+const EMPTY_PAYMENT = { method: '', transactionId: '' };
+
+/**
+ * Moves a user's active subscription to another plan; the prorated charge is
+ * previewed before the change is confirmed, and a charge needs the reference
+ * of the payment that settled it
+ *
+ * @param {Object} props - { plans, onChanged }
+ */
+const SubscriptionPlanChange = ({ plans, onChanged }) => {
+  const { UserService, SubscriptionService } = useDatabase();
+  const [lookup, setLookup] = useState('');
+  const [user, setUser] = useState(null);
+  const [subscription, setSubscription] = useState(null);
+  const [planId, setPlanId] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [payment, setPayment] = useState(EMPTY_PAYMENT);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isChanging, setIsChanging] = useState(false);
+
+  const targetPlans = plans.filter(plan => plan.isActive !== false && plan.id !== subscription?.planId);
+
+  const reset = () => {
+    setUser(null);
+    setSubscription(null);
+    setPlanId('');
+    setQuote(null);
+    setPayment(EMPTY_PAYMENT);
+  };
+
+  const handleLookup = async (e) => {
+    e.preventDefault();
+    const value = lookup.trim();
+    if (!value) return;
+
+    reset();
+
+    try {
+      setIsLoading(true);
+      const foundUser = value.includes('@')
+        ? await UserService.getUserByEmail(value)
+        : await UserService.getUserById(value);
+
+      if (!foundUser) {
+        throw new Error(`No user matches ${value}`);
+      }
+
+      setUser(foundUser);
+      setSubscription(await SubscriptionService.getActiveSubscription(foundUser.id));
+    } catch (err) {
+      toast.error(`Failed to load subscription: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handlePreview = async (nextPlanId) => {
+    setPlanId(nextPlanId);
+    setQuote(null);
+    setPayment(EMPTY_PAYMENT);
+    if (!nextPlanId) return;
+
+    try {
+      setIsLoading(true);
+      setQuote(await SubscriptionService.previewPlanChange(subscription.id, nextPlanId));
+    } catch (err) {
+      toast.error(`Failed to preview plan change: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    try {
+      setIsChanging(true);
+      const paymentData = quote.amountDue > 0
+        ? { method: payment.method.trim(), transactionId: payment.transactionId.trim(), amount: quote.amountDue }
+        : {};
+      await SubscriptionService.changePlan(subscription.id, planId, { paymentData });
+      toast.success('Plan changed');
+      reset();
+      onChanged?.();
+    } catch (err) {
+      toast.error(`Failed to change plan: ${err.message}`);
+    } finally {
+      setIsChanging(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+      <h3 className="flex items-center gap-2 font-semibold text-gray-800 mb-1">
+        <ArrowRightLeft size={18} />
+        Change a Subscriber's Plan
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Unused days and the subscriber's account credit go towards the new plan, and remaining connects move over.
+      </p>
+
+      <form onSubmit={handleLookup} className="flex flex-wrap items-end gap-3 mb-4">
+        <div className="flex-1 min-w-[240px]">
+          <label htmlFor="planChangeLookup" className="block text-sm font-medium text-gray-700 mb-1">User email or ID</label>
+          <input
+            id="planChangeLookup"
+            type="text"
+            className={inputClassName}
+            value={lookup}
+            onChange={(e) => setLookup(e.target.value)}
+            placeholder="user@example.com"
+          />
+        </div>
+        <button
+          type="submit"
+          className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+          disabled={isLoading || isChanging || !lookup.trim()}
+        >
+          {isLoading && !user ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />}
+          Find
+        </button>
+      </form>
+
+      {user && !subscription && (
+        <p className="text-sm text-gray-500">{user.displayName || user.email} has no active subscription.</p>
+      )}
+
+      {subscription && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            <span className="font-medium">{user.displayName || user.email}</span>
+            {' · '}{subscription.details?.planName || subscription.planId}
+            {' · '}{formatCurrency(subscription.payment?.amount || 0, subscription.payment?.currency)}
+            {' · '}{subscription.usage?.connectsRemaining ?? 0} connects left
+            {subscription.endDate && ` · ends ${formatDate(subscription.endDate)}`}
+          </p>
+
+          <div className="max-w-sm">
+            <label htmlFor="planChangeTarget" className="block text-sm font-medium text-gray-700 mb-1">Move to</label>
+            <select
+              id="planChangeTarget"
+              className={inputClassName}
+              value={planId}
+              onChange={(e) => handlePreview(e.target.value)}
+              disabled={isLoading || isChanging}
+            >
+              <option value="">Select a plan</option>
+              {targetPlans.map(plan => (
+                <option key={plan.id} value={plan.id}>
+                  {plan.name} · {formatCurrency(plan.pricing?.amount || 0, plan.pricing?.currency)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isLoading && planId && (
+            <div className="flex items-center text-sm text-gray-500">
+              <Loader2 size={16} className="mr-2 animate-spin" />
+              Calculating...
+            </div>
+          )}
+
+          {quote && (
+            <div className="border border-gray-200 rounded-lg p-4 max-w-lg">
+              <div className="flex items-center gap-2 mb-3">
+                <Badge variant="outline">{DIRECTION_LABELS[quote.direction]}</Badge>
+                <span className="text-sm text-gray-600">
+                  {quote.subscription.details?.planName} → {quote.plan.name}
+                </span>
+              </div>
+              <dl className="grid grid-cols-[1fr_max-content] gap-x-6 gap-y-1 text-sm">
+                <dt className="text-gray-600">{quote.plan.name} ({quote.durationDays} days)</dt>
+                <dd className="text-right">{formatCurrency(quote.charge, quote.currency)}</dd>
+                <dt className="text-gray-600">
+                  Credit for {quote.period.unusedDays} unused of {quote.period.days} days
+                </dt>
+                <dd className="text-right text-green-700">−{formatCurrency(quote.credit.amount, quote.currency)}</dd>
+                {quote.creditApplied > 0 && (
+                  <>
+                    <dt className="text-gray-600">Paid from account credit</dt>
+                    <dd className="text-right text-green-700">−{formatCurrency(quote.creditApplied, quote.currency)}</dd>
+                  </>
+                )}
+                <dt className="font-medium text-gray-800 border-t pt-1">Due now</dt>
+                <dd className="font-medium text-right border-t pt-1">{formatCurrency(quote.amountDue, quote.currency)}</dd>
+                {quote.accountCredit > 0 && (
+                  <>
+                    <dt className="text-gray-600">Added to account credit</dt>
+                    <dd className="text-right">{formatCurrency(quote.accountCredit, quote.currency)}</dd>
+                  </>
+                )}
+                <dt className="text-gray-600 pt-2">Connects</dt>
+                <dd className="text-right pt-2">
+                  {quote.connects.plan} + {quote.connects.carriedOver} carried over = {quote.connects.total}
+                </dd>
+                <dt className="text-gray-600">New period</dt>
+                <dd className="text-right">{formatDate(quote.startDate)} – {formatDate(quote.endDate)}</dd>
+              </dl>
+
+              {quote.amountDue > 0 && (
+                <div className="grid grid-cols-2 gap-3 mt-4">
+                  <div>
+                    <label htmlFor="planChangePaymentMethod" className="block text-sm font-medium text-gray-700 mb-1">Payment method</label>
+                    <input
+                      id="planChangePaymentMethod"
+                      type="text"
+                      className={inputClassName}
+                      value={payment.method}
+                      onChange={(e) => setPayment(prev => ({ ...prev, method: e.target.value }))}
+                      placeholder={quote.subscription.payment?.paymentMethod || 'card'}
+                      disabled={isChanging}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="planChangePaymentReference" className="block text-sm font-medium text-gray-700 mb-1">Payment reference</label>
+                    <input
+                      id="planChangePaymentReference"
+                      type="text"
+                      className={inputClassName}
+                      value={payment.transactionId}
+                      onChange={(e) => setPayment(prev => ({ ...prev, transactionId: e.target.value }))}
+                      disabled={isChanging}
+                    />
+                  </div>
+                  <p className="col-span-2 text-xs text-gray-500">
+                    Take the {formatCurrency(quote.amountDue, quote.currency)} first; the plan changes once its payment reference is entered.
+                  </p>
+                </div>
+              )}
+
+              <div className="flex justify-end gap-2 mt-4">
+                <button
+                  type="button"
+                  className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm"
+                  onClick={() => handlePreview('')}
+                  disabled={isChanging}
+                >
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                  onClick={handleConfirm}
+                  disabled={isChanging || (quote.amountDue > 0 && !payment.transactionId.trim())}
+                >
+                  {isChanging && <Loader2 size={16} className="animate-spin" />}
+                  {isChanging ? 'Changing...' : 'Confirm Plan Change'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubscriptionPlanChange;
@@ -1,9 +1,24 @@
-
 // components/UserActivity.jsx
 import React from 'react';
-import { BarChart3 } from 'lucide-react';
+import { ArrowUpRight, ArrowDownRight, Minus } from 'lucide-react';
+
+/**
+ * Formats a percentage change with its sign
+ *
+ * @param {number} change - Change in percent
+ * @returns {string} - e.g. "+12.5%"
+ */
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change.toFixed(1)}%`;
 
 const UserActivity = ({ activityData }) => {
+  if (activityData.length === 0) {
+    return (
+      <p className="px-6 py-8 text-sm text-center text-gray-500">
+        No page views rolled up for this period yet
+      </p>
+    );
+  }
+
   return (
     <div className="overflow-x-auto">
       <table className="w-full">
@@ -11,42 +26,50 @@ const UserActivity = ({ activityData }) => {
           <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
             <th className="px-6 py-3">Page</th>
             <th className="px-6 py-3">Visits</th>
-            <th className="px-6 py-3">Interaction Rate</th>
-            <th className="px-6 py-3">Conversion</th>
+            <th className="px-6 py-3">Share of Page Views</th>
             <th className="px-6 py-3">Trend</th>
           </tr>
         </thead>
         <tbody className="divide-y divide-gray-100">
-          {activityData.map((activity, index) => (
-            <tr key={index} className="hover:bg-gray-50">
-              <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-800">
-                {activity.page}
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                {activity.visits.toLocaleString()}
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <div className="flex items-center">
-                  <div className="w-full bg-gray-200 rounded-full h-2">
-                    <div 
-                      className="bg-blue-600 h-2 rounded-full" 
-                      style={{ width: `${activity.interaction}%` }}
-                    ></div>
+          {activityData.map((activity) => {
+            const hasChange = typeof activity.change === 'number' && Number.isFinite(activity.change);
+            const TrendIcon = !hasChange || activity.change === 0
+              ? Minus
+              : activity.change > 0 ? ArrowUpRight : ArrowDownRight;
+            const trendColor = !hasChange || activity.change === 0
+              ? 'text-gray-400'
+              : activity.change > 0 ? 'text-green-500' : 'text-red-500';
+
+            return (
+              <tr key={activity.page} className="hover:bg-gray-50">
+                <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-800">
+                  {activity.page}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                  {activity.visits.toLocaleString()}
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-blue-600 h-2 rounded-full"
+                        style={{ width: `${activity.share}%` }}
+                      ></div>
+                    </div>
+                    <span className="ml-2 text-sm text-gray-500">{activity.share.toFixed(1)}%</span>
+                  </div>
+                </td>
+                <td className="px-6 py-4 whitespace-nowrap">
+                  <div className="flex items-center">
+                    <TrendIcon size={16} className={trendColor} />
+                    {hasChange && (
+                      <span className={`text-xs font-medium ml-1 ${trendColor}`}>{formatChange(activity.change)}</span>
+                    )}
                   </div>
-                  <span className="ml-2 text-sm text-gray-500">{activity.interaction}%</span>
-                </div>
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                {activity.conversion}%
-              </td>
-              <td className="px-6 py-4 whitespace-nowrap">
-                <BarChart3 
-                  size={20} 
-                  className={index % 2 === 0 ? "text-green-500" : "text-amber-500"} 
-                />
-              </td>
-            </tr>
-          ))}
+                </td>
+              </tr>
+            );
+          })}
         </tbody>
       </table>
     </div>
@@ -0,0 +1,47 @@
+// components/charts/DistributionList.jsx
+import React from 'react';
+import { formatNumber } from '../../utils/helpers';
+
+/**
+ * Horizontal bars showing each item's share of the total
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.items - Items ({ key, label, value })
+ * @param {string} props.unit - Unit shown after each value, e.g. "views"
+ * @param {Function} props.onSelect - Called with the item when a row is clicked
+ */
+const DistributionList = ({ items, unit = '', onSelect }) => {
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+
+  if (total === 0) {
+    return <p className="text-sm text-gray-500 py-6 text-center">No data for this period</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      {items.map(item => {
+        const share = (item.value / total) * 100;
+        return (
+          <div
+            key={item.key}
+            className={`pb-4 border-b border-gray-100 last:border-0 last:pb-0 ${onSelect ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+            onClick={onSelect ? () => onSelect(item) : undefined}
+          >
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-medium text-gray-800">{item.label}</p>
+              <p className="text-sm font-medium text-gray-800">
+                {formatNumber(item.value)}{unit && ` ${unit}`}
+              </p>
+            </div>
+            <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-500 rounded-full" style={{ width: `${share}%` }}></div>
+            </div>
+            <p className="text-xs text-gray-500 mt-1 text-right">{share.toFixed(1)}% of total</p>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DistributionList;
@@ -0,0 +1,169 @@
+// components/charts/TimeSeriesChart.jsx
+import React, { useState } from 'react';
+import { formatNumber } from '../../utils/helpers';
+
+const VIEW_WIDTH = 640;
+const VIEW_HEIGHT = 200;
+
+/**
+ * Formats a YYYY-MM-DD key as a short axis label
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} - e.g. "12 Mar"
+ */
+const formatDay = (dateKey) => new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-IN', {
+  day: 'numeric',
+  month: 'short',
+  timeZone: 'UTC'
+});
+
+/**
+ * Line chart of daily values, optionally overlaid with the previous period
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - One row per day ({ date, [series.key]: number })
+ * @param {Array<Object>} props.series - Lines to draw ({ key, label, color })
+ * @param {Array<Object>|null} props.previousData - Rows of the previous period, matched by position
+ * @param {Function} props.valueFormatter - Formats values in the tooltip and axis
+ * @param {Function} props.onSelect - Called with (row, index) when a day is clicked
+ * @param {number} props.height - Chart height in pixels
+ */
+const TimeSeriesChart = ({
+  data,
+  series,
+  previousData = null,
+  valueFormatter = formatNumber,
+  onSelect,
+  height = 240
+}) => {
+  const [hoverIndex, setHoverIndex] = useState(null);
+
+  if (data.length === 0) {
+    return (
+      <div className="w-full bg-gray-50 flex items-center justify-center" style={{ height }}>
+        <p className="text-sm text-gray-500">No data for this period</p>
+      </div>
+    );
+  }
+
+  const comparison = previousData ? previousData.slice(0, data.length) : [];
+  const values = series.flatMap(line => [
+    ...data.map(row => row[line.key] || 0),
+    ...comparison.map(row => row[line.key] || 0)
+  ]);
+  const max = Math.max(1, ...values);
+
+  const x = (index) => (data.length > 1 ? (index / (data.length - 1)) * VIEW_WIDTH : VIEW_WIDTH / 2);
+  const y = (value) => VIEW_HEIGHT - ((value || 0) / max) * VIEW_HEIGHT;
+  const toPath = (rows, key) => rows
+    .map((row, index) => `${index === 0 ? 'M' : 'L'}${x(index)},${y(row[key])}`)
+    .join(' ');
+  const columnWidth = VIEW_WIDTH / Math.max(data.length, 1);
+  const hovered = hoverIndex !== null ? data[hoverIndex] : null;
+
+  return (
+    <div>
+      <div className="flex">
+        <div className="flex flex-col justify-between text-xs text-gray-400 pr-2 text-right" style={{ height }}>
+          <span>{valueFormatter(max)}</span>
+          <span>{valueFormatter(max / 2)}</span>
+          <span>0</span>
+        </div>
+        <div className="relative flex-1" onMouseLeave={() => setHoverIndex(null)}>
+          <svg
+            viewBox={`0 0 ${VIEW_WIDTH} ${VIEW_HEIGHT}`}
+            preserveAspectRatio="none"
+            className="w-full block"
+            style={{ height }}
+          >
+            {[0, 0.5, 1].map(ratio => (
+              <line
+                key={ratio}
+                x1={0}
+                x2={VIEW_WIDTH}
+                y1={VIEW_HEIGHT * ratio}
+                y2={VIEW_HEIGHT * ratio}
+                stroke="#f3f4f6"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {comparison.length > 0 && series.map(line => (
+              <path
+                key={`previous-${line.key}`}
+                d={toPath(comparison, line.key)}
+                fill="none"
+                stroke={line.color}
+                strokeOpacity={0.35}
+                strokeWidth={2}
+                strokeDasharray="4 4"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {series.map(line => (
+              <path
+                key={line.key}
+                d={toPath(data, line.key)}
+                fill="none"
+                stroke={line.color}
+                strokeWidth={2}
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {hovered && (
+              <line
+                x1={x(hoverIndex)}
+                x2={x(hoverIndex)}
+                y1={0}
+                y2={VIEW_HEIGHT}
+                stroke="#9ca3af"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+            {data.map((row, index) => (
+              <rect
+                key={row.date}
+                x={x(index) - columnWidth / 2}
+                y={0}
+                width={columnWidth}
+                height={VIEW_HEIGHT}
+                fill="transparent"
+                className={onSelect ? 'cursor-pointer' : undefined}
+                onMouseEnter={() => setHoverIndex(index)}
+                onClick={() => onSelect?.(row, index)}
+              />
+            ))}
+          </svg>
+
+          {hovered && (
+            <div
+              className="absolute top-0 z-10 bg-white border border-gray-200 rounded-lg shadow-sm p-2 text-xs pointer-events-none"
+              style={{
+                left: `${(x(hoverIndex) / VIEW_WIDTH) * 100}%`,
+                transform: x(hoverIndex) > VIEW_WIDTH / 2 ? 'translateX(-105%)' : 'translateX(5%)'
+              }}
+            >
+              <p className="font-medium text-gray-800 mb-1">{formatDay(hovered.date)}</p>
+              {series.map(line => (
+                <p key={line.key} className="text-gray-600 whitespace-nowrap">
+                  <span className="inline-block h-2 w-2 rounded-full mr-1" style={{ backgroundColor: line.color }}></span>
+                  {line.label}: {valueFormatter(hovered[line.key] || 0)}
+                  {comparison[hoverIndex] && (
+                    <span className="text-gray-400"> (prev. {valueFormatter(comparison[hoverIndex][line.key] || 0)})</span>
+                  )}
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="flex justify-between text-xs text-gray-400 mt-2 pl-8">
+        <span>{formatDay(data[0].date)}</span>
+        {data.length > 2 && <span>{formatDay(data[Math.floor(data.length / 2)].date)}</span>}
+        {data.length > 1 && <span>{formatDay(data[data.length - 1].date)}</span>}
+      </div>
+    </div>
+  );
+};
+
+export default TimeSeriesChart;
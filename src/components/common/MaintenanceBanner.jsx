@@ -0,0 +1,93 @@
+// src/components/common/MaintenanceBanner.jsx
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Wrench, Clock } from 'lucide-react';
+import { useDatabase } from '../../contexts/DatabaseContext';
+import { useAuth } from '../../contexts/AuthContext';
+import { MAINTENANCE_NOTICE_HOURS, PERMISSIONS } from '../../config/constants';
+import { formatDate } from '../../utils/helpers';
+import { getMaintenanceState, canBypassMaintenance, formatCountdown } from '../../utils/maintenance';
+
+// Settings are re-read this often so changes made elsewhere show up
+const REFRESH_INTERVAL_MS = 60 * 1000;
+
+const MaintenanceBanner = () => {
+  const { SettingsService } = useDatabase();
+  const { userDetails, can } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        setSettings(await SettingsService.getGeneralSettings());
+      } catch (err) {
+        console.error("Error loading maintenance settings:", err);
+      }
+    };
+
+    fetchSettings();
+    const refresh = setInterval(fetchSettings, REFRESH_INTERVAL_MS);
+    return () => clearInterval(refresh);
+  }, [SettingsService]);
+
+  // The state is worked out every second, so the banner switches at the
+  // window boundaries without waiting for the next refresh
+  useEffect(() => {
+    const tick = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(tick);
+  }, []);
+
+  const state = getMaintenanceState(settings, now);
+  const noticeStart = state.nextWindow
+    && state.nextWindow.startAt - now <= MAINTENANCE_NOTICE_HOURS * 60 * 60 * 1000;
+
+  if (!state.active && !noticeStart) return null;
+
+  const canWrite = canBypassMaintenance(state, userDetails?.role);
+  const settingsLink = can(PERMISSIONS.VIEW_SETTINGS) && (
+    <Link to="/settings" className="underline font-medium whitespace-nowrap">Manage</Link>
+  );
+
+  if (state.active) {
+    return (
+      <div className="flex items-start gap-3 px-6 py-3 bg-red-50 border-b border-red-200 text-red-800 text-sm">
+        <Wrench size={18} className="mt-0.5 flex-shrink-0" />
+        <div className="flex-1">
+          <p className="font-medium">
+            {state.source === 'scheduled'
+              ? `Scheduled maintenance in progress · ends in ${formatCountdown(state.window.endAt, now)}`
+              : 'Maintenance mode is on'}
+          </p>
+          {state.message && <p>{state.message}</p>}
+          <p className="text-xs mt-1">
+            {canWrite
+              ? 'Your role keeps write access during maintenance.'
+              : 'Changes cannot be saved until maintenance ends.'}
+          </p>
+        </div>
+        {settingsLink}
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-start gap-3 px-6 py-3 bg-amber-50 border-b border-amber-200 text-amber-800 text-sm">
+      <Clock size={18} className="mt-0.5 flex-shrink-0" />
+      <div className="flex-1">
+        <p className="font-medium">
+          Scheduled maintenance starts in {formatCountdown(state.nextWindow.startAt, now)}
+          {' '}({formatDate(state.nextWindow.startAt, 'long')} – {formatDate(state.nextWindow.endAt, 'long')})
+        </p>
+        {state.nextWindow.message && <p>{state.nextWindow.message}</p>}
+        {!canWrite && (
+          <p className="text-xs mt-1">Save your work before then; changes will be blocked while it runs.</p>
+        )}
+      </div>
+      {settingsLink}
+    </div>
+  );
+};
+
+export default MaintenanceBanner;
@@ -0,0 +1,37 @@
+// src/components/common/RequirePermission.jsx
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Lock } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * Route guard that renders its children only when the user's role grants
+ * the permission (or any of a list of permissions)
+ */
+const RequirePermission = ({ permission, children }) => {
+  const { can } = useAuth();
+
+  if (can(permission)) {
+    return children;
+  }
+
+  return (
+    <div className="flex items-center justify-center py-24">
+      <div className="text-center max-w-md p-6 bg-white rounded-lg shadow-sm border border-gray-100">
+        <div className="w-12 h-12 bg-gray-100 text-gray-500 rounded-full flex items-center justify-center mx-auto mb-4">
+          <Lock size={20} />
+        </div>
+        <h2 className="text-lg font-bold text-gray-800 mb-2">Access denied</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Your role does not include access to this page. Ask an administrator if you need it.
+        </p>
+        <Link to="/" className="text-sm font-medium text-blue-600 hover:text-blue-800">
+          Back to dashboard
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default RequirePermission;
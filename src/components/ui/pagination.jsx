@@ -32,15 +32,18 @@ PaginationItem.displayName = "PaginationItem"
 const PaginationLink = ({
   className,
   isActive,
+  disabled,
   size = "icon",
   ...props
 }) => (
   <a
     aria-current={isActive ? "page" : undefined}
+    aria-disabled={disabled || undefined}
+    tabIndex={disabled ? -1 : undefined}
     className={cn(buttonVariants({
       variant: isActive ? "outline" : "ghost",
       size,
-    }), className)}
+    }), "cursor-pointer", disabled && "pointer-events-none opacity-50", className)}
     {...props} />
 )
 PaginationLink.displayName = "PaginationLink"
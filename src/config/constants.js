@@ -11,6 +11,91 @@ export const USER_ROLES = {
   USER: 'user'
 };
 
+// Permissions granted to admin panel users through their role
+export const PERMISSIONS = {
+  VIEW_USERS: 'view_users',
+  CREATE_USERS: 'create_users',
+  EDIT_USERS: 'edit_users',
+  DELETE_USERS: 'delete_users',
+  VIEW_ROLES: 'view_roles',
+  MANAGE_ROLES: 'manage_roles',
+  VIEW_LISTINGS: 'view_listings',
+  CREATE_LISTINGS: 'create_listings',
+  EDIT_LISTINGS: 'edit_listings',
+  DELETE_LISTINGS: 'delete_listings',
+  APPROVE_LISTINGS: 'approve_listings',
+  VIEW_CONTENT: 'view_content',
+  EDIT_CONTENT: 'edit_content',
+  PUBLISH_CONTENT: 'publish_content',
+  VIEW_APPLICATIONS: 'view_applications',
+  RESPOND_APPLICATIONS: 'respond_applications',
+  DELETE_APPLICATIONS: 'delete_applications',
+  VIEW_ANALYTICS: 'view_analytics',
+  EXPORT_REPORTS: 'export_reports',
+  VIEW_ADVISORS: 'view_advisors',
+  CREATE_ADVISORS: 'create_advisors',
+  EDIT_ADVISORS: 'edit_advisors',
+  DELETE_ADVISORS: 'delete_advisors',
+  VIEW_COMMISSIONS: 'view_commissions',
+  PAY_COMMISSIONS: 'pay_commissions',
+  VIEW_SETTINGS: 'view_settings',
+  EDIT_SETTINGS: 'edit_settings',
+  VIEW_AUDIT_LOG: 'view_audit_log',
+  VIEW_PLANS: 'view_plans',
+  MANAGE_PLANS: 'manage_plans',
+  VIEW_TRANSACTIONS: 'view_transactions',
+  REFUND_TRANSACTIONS: 'refund_transactions'
+};
+
+// Grant that implies every permission (Super Admin)
+export const ALL_PERMISSIONS = 'all';
+
+// Permissions grouped by area, as shown in the permissions editor
+export const PERMISSION_GROUPS = {
+  users: [PERMISSIONS.VIEW_USERS, PERMISSIONS.CREATE_USERS, PERMISSIONS.EDIT_USERS, PERMISSIONS.DELETE_USERS],
+  roles: [PERMISSIONS.VIEW_ROLES, PERMISSIONS.MANAGE_ROLES],
+  listings: [
+    PERMISSIONS.VIEW_LISTINGS, PERMISSIONS.CREATE_LISTINGS, PERMISSIONS.EDIT_LISTINGS,
+    PERMISSIONS.DELETE_LISTINGS, PERMISSIONS.APPROVE_LISTINGS
+  ],
+  content: [PERMISSIONS.VIEW_CONTENT, PERMISSIONS.EDIT_CONTENT, PERMISSIONS.PUBLISH_CONTENT],
+  applications: [PERMISSIONS.VIEW_APPLICATIONS, PERMISSIONS.RESPOND_APPLICATIONS, PERMISSIONS.DELETE_APPLICATIONS],
+  analytics: [PERMISSIONS.VIEW_ANALYTICS, PERMISSIONS.EXPORT_REPORTS],
+  advisors: [
+    PERMISSIONS.VIEW_ADVISORS, PERMISSIONS.CREATE_ADVISORS, PERMISSIONS.EDIT_ADVISORS,
+    PERMISSIONS.DELETE_ADVISORS, PERMISSIONS.VIEW_COMMISSIONS, PERMISSIONS.PAY_COMMISSIONS
+  ],
+  settings: [PERMISSIONS.VIEW_SETTINGS, PERMISSIONS.EDIT_SETTINGS],
+  audit: [PERMISSIONS.VIEW_AUDIT_LOG],
+  plans: [PERMISSIONS.VIEW_PLANS, PERMISSIONS.MANAGE_PLANS],
+  finance: [PERMISSIONS.VIEW_TRANSACTIONS, PERMISSIONS.REFUND_TRANSACTIONS]
+};
+
+// Built-in roles, used until an admin saves a roles/{id} document for them
+export const SYSTEM_ROLES = {
+  [USER_ROLES.ADMIN]: {
+    name: 'Super Admin',
+    description: 'Full access to all system functions',
+    permissions: [ALL_PERMISSIONS]
+  },
+  [USER_ROLES.MODERATOR]: {
+    name: 'Moderator',
+    description: 'Review listings and handle applications',
+    permissions: [
+      PERMISSIONS.VIEW_USERS,
+      PERMISSIONS.VIEW_LISTINGS,
+      PERMISSIONS.EDIT_LISTINGS,
+      PERMISSIONS.APPROVE_LISTINGS,
+      PERMISSIONS.VIEW_APPLICATIONS,
+      PERMISSIONS.RESPOND_APPLICATIONS,
+      PERMISSIONS.VIEW_CONTENT
+    ]
+  }
+};
+
+// Marketplace roles; these never get admin panel access
+export const MEMBER_ROLES = [USER_ROLES.USER, USER_ROLES.BUSINESS_OWNER];
+
 // Listing types
 export const LISTING_TYPES = {
   BUSINESS: 'business',
@@ -29,6 +114,18 @@ export const LISTING_STATUS = {
   ARCHIVED: 'archived'
 };
 
+// Reasons a reviewer can pick when rejecting a listing in moderation
+export const LISTING_REJECTION_REASONS = {
+  INCOMPLETE_INFORMATION: 'incomplete_information',
+  INACCURATE_FINANCIALS: 'inaccurate_financials',
+  DUPLICATE_LISTING: 'duplicate_listing',
+  PROHIBITED_CONTENT: 'prohibited_content',
+  POOR_QUALITY_MEDIA: 'poor_quality_media',
+  CONTACT_DETAILS_IN_DESCRIPTION: 'contact_details_in_description',
+  UNVERIFIED_OWNERSHIP: 'unverified_ownership',
+  OTHER: 'other'
+};
+
 // Business types
 export const BUSINESS_TYPES = [
   { value: 'retail', label: 'Retail Business' },
@@ -78,14 +175,66 @@ export const SUBSCRIPTION_STATUS = {
   PAUSED: 'paused'
 };
 
+// Billing cycles a plan can be sold on
+export const PLAN_BILLING_CYCLES = ['monthly', 'quarterly', 'yearly', 'one_time'];
+
+// Plan length used when a plan does not set duration.days
+export const DEFAULT_PLAN_DURATION_DAYS = 30;
+
+// Days a subscription that ended without renewing stays paused before it expires
+export const SUBSCRIPTION_GRACE_DAYS = 7;
+
+// Days before the end date on which subscribers get a reminder
+export const SUBSCRIPTION_REMINDER_DAYS = [7, 1];
+
+// Minimum minutes between two subscription sweeps started from the admin panel
+export const SUBSCRIPTION_SWEEP_INTERVAL_MINUTES = 60;
+
 // Transaction statuses
 export const TRANSACTION_STATUS = {
   PENDING: 'pending',
   COMPLETED: 'completed',
   FAILED: 'failed',
+  PARTIALLY_REFUNDED: 'partially_refunded',
   REFUNDED: 'refunded'
 };
 
+// Transaction types; subscription payments are revenue, commissions are payouts
+export const TRANSACTION_TYPES = {
+  SUBSCRIPTION_PURCHASE: 'subscription_purchase',
+  SUBSCRIPTION_RENEWAL: 'subscription_renewal',
+  SUBSCRIPTION_CHANGE: 'subscription_change',
+  ADVISOR_COMMISSION: 'advisor_commission'
+};
+
+// Most transactions the finance page loads for one set of filters
+export const FINANCE_SCAN_LIMIT = 5000;
+
+// Application (inquiry) statuses
+export const APPLICATION_STATUS = {
+  NEW: 'new',
+  IN_PROGRESS: 'in_progress',
+  CONTACTED: 'contacted',
+  SUCCESSFUL: 'successful',
+  CLOSED: 'closed',
+  REJECTED: 'rejected'
+};
+
+// Advisor statuses
+export const ADVISOR_STATUS = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  INACTIVE: 'inactive'
+};
+
+// Advisor commission statuses (pending → approved → paid)
+export const COMMISSION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  PAID: 'paid',
+  REJECTED: 'rejected'
+};
+
 // User statuses
 export const USER_STATUS = {
   ACTIVE: 'active',
@@ -93,13 +242,72 @@ export const USER_STATUS = {
   DISABLED: 'disabled'
 };
 
+// Admin invitation states; expired is derived from expiresAt while pending
+export const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  EXPIRED: 'expired',
+  REVOKED: 'revoked'
+};
+
+// Days an invitation link stays valid
+export const INVITATION_EXPIRY_DAYS = 7;
+
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  LOGIN: 'login',
+  PERMISSION_CHANGE: 'permission_change'
+};
+
+// Entity types audit log entries refer to
+export const AUDIT_ENTITY_TYPES = {
+  LISTING: 'listing',
+  USER: 'user',
+  ROLE: 'role',
+  INVITATION: 'invitation',
+  SETTINGS: 'settings',
+  FEATURE_FLAG: 'featureFlag',
+  PLAN: 'plan'
+};
+
+// Most entries a single audit log export may contain
+export const AUDIT_EXPORT_LIMIT = 10000;
+
+// Reporting periods for dashboard KPIs, each compared with the period before it
+export const METRIC_PERIODS = {
+  LAST_7_DAYS: { id: '7d', label: 'Last 7 days', days: 7 },
+  LAST_30_DAYS: { id: '30d', label: 'Last 30 days', days: 30 },
+  LAST_90_DAYS: { id: '90d', label: 'Last 90 days', days: 90 }
+};
+
+// Roles that keep write access during maintenance unless settings say otherwise
+export const MAINTENANCE_BYPASS_ROLES = [USER_ROLES.ADMIN];
+
+// How long before a scheduled maintenance window the admin banner appears
+export const MAINTENANCE_NOTICE_HOURS = 24;
+
+// Error code of writes rejected because of maintenance
+export const MAINTENANCE_ERROR_CODE = 'maintenance/active';
+
+// Activity types suggested as A/B test conversion goals
+export const CONVERSION_ACTIVITY_TYPES = [
+  'view_listing',
+  'favorite_listing',
+  'page_view',
+  'account_created'
+];
+
 // Notification types
 export const NOTIFICATION_TYPES = {
   SYSTEM: 'system',
   LISTING: 'listing',
   MESSAGE: 'message',
   TRANSACTION: 'transaction',
-  APPLICATION: 'application'
+  APPLICATION: 'application',
+  SUBSCRIPTION: 'subscription'
 };
 
 // Collection names for Firestore
@@ -128,11 +336,41 @@ export const COLLECTIONS = {
   FAQS: 'faqs',
   AUDIT_LOGS: 'auditLogs',
   FEATURE_FLAGS: 'featureFlags',
-  SUPPORT_TICKETS: 'supportTickets'
+  EXPERIMENT_EXPOSURES: 'experimentExposures',
+  JOBS: 'jobs',
+  SUPPORT_TICKETS: 'supportTickets',
+  APPLICATIONS: 'applications',
+  ADVISORS: 'advisors',
+  ADVISOR_COMMISSIONS: 'advisorCommissions',
+  ROLES: 'roles',
+  INVITATIONS: 'invitations',
+  INVITATION_LINKS: 'invitationLinks'
 };
 
 // Pagination defaults
 export const PAGINATION = {
   DEFAULT_PAGE_SIZE: 10,
   MAX_PAGE_SIZE: 50
-};
\ No newline at end of file
+};
+// Who can open a listing document
+export const MEDIA_ACCESS = {
+  PUBLIC: 'public',
+  VERIFIED_BUYERS: 'verified_buyers'
+};
+
+// Upload limits for listing media (mirrored in storage.rules)
+export const MEDIA_LIMITS = {
+  IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+  DOCUMENT_TYPES: [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ],
+  MAX_IMAGE_SIZE: 5 * 1024 * 1024,
+  MAX_DOCUMENT_SIZE: 20 * 1024 * 1024,
+  MAX_GALLERY_IMAGES: 20,
+  IMAGE_MAX_DIMENSION: 1600,
+  THUMBNAIL_MAX_DIMENSION: 400
+};
@@ -4,19 +4,23 @@
  * Authentication Context
  * Manages user authentication state and related functions
  */
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useRef } from 'react';
 import { 
   onAuthStateChanged, 
   signInWithEmailAndPassword, 
+  createUserWithEmailAndPassword,
+  deleteUser,
   signOut, 
   sendPasswordResetEmail,
   updateEmail,
   updatePassword,
   updateProfile
 } from 'firebase/auth';
-import { doc, getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, setDoc, updateDoc, onSnapshot, serverTimestamp } from 'firebase/firestore';
 import { auth, db } from '../config/firebase';
-import { COLLECTIONS, USER_ROLES, USER_STATUS } from '../config/constants';
+import { COLLECTIONS, USER_ROLES, USER_STATUS, ALL_PERMISSIONS, MEMBER_ROLES } from '../config/constants';
+import { hasPermission, resolveRolePermissions } from '../utils/permissions';
+import { getInvitationByToken, completeInvitation } from '../services/database/invitation';
 
 // Create the context
 const AuthContext = createContext();
@@ -40,6 +44,12 @@ export function AuthProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [offline, setOffline] = useState(!navigator.onLine);
+  const [permissions, setPermissions] = useState([]);
+  const [permissionsLoading, setPermissionsLoading] = useState(false);
+  // Set while acceptInvitation creates an account, so the auth listener
+  // does not race it by creating a default 'user' document
+  const provisioningRef = useRef(false);
+  const [provisioning, setProvisioning] = useState(false);
 
   // Handle online/offline events
   useEffect(() => {
@@ -62,7 +72,9 @@ export function AuthProvider({ children }) {
       console.log("Auth state changed, user:", user ? `${user.email} (${user.uid})` : "No user");
       setCurrentUser(user);
       
-      if (user) {
+      if (user && provisioningRef.current) {
+        console.log("Account is being provisioned from an invitation, skipping user document lookup");
+      } else if (user) {
         try {
           // Get additional user data from Firestore
           console.log(`Fetching Firestore user document for UID: ${user.uid}`);
@@ -95,7 +107,7 @@ export function AuthProvider({ children }) {
             uid: user.uid,
             email: user.email,
             displayName: user.displayName || user.email.split('@')[0],
-            role: user.email === 'admin@businessoptions.in' ? USER_ROLES.ADMIN.toLowerCase() : USER_ROLES.USER.toLowerCase()
+            role: USER_ROLES.USER.toLowerCase()
           });
         }
       } else {
@@ -109,6 +121,34 @@ export function AuthProvider({ children }) {
     return unsubscribe;
   }, []);
   
+  // Keep permissions in sync with the user's role document, so role edits
+  // on UserRolesPage apply without signing in again
+  useEffect(() => {
+    const role = userDetails?.role;
+
+    if (!role || MEMBER_ROLES.includes(role)) {
+      setPermissions([]);
+      setPermissionsLoading(false);
+      return undefined;
+    }
+
+    setPermissionsLoading(true);
+    const unsubscribe = onSnapshot(
+      doc(db, COLLECTIONS.ROLES, role),
+      (roleSnap) => {
+        setPermissions(resolveRolePermissions(role, roleSnap.exists() ? roleSnap.data() : null));
+        setPermissionsLoading(false);
+      },
+      (err) => {
+        console.error("Error loading role permissions:", err);
+        setPermissions(resolveRolePermissions(role));
+        setPermissionsLoading(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [userDetails?.role]);
+  
   // Helper function to handle user document snapshot
   const handleUserDocSnapshot = (docSnap, user) => {
     if (docSnap.exists()) {
@@ -120,14 +160,6 @@ export function AuthProvider({ children }) {
       
       setUserDetails(userData);
       
-      // Check if the special admin account needs a role update
-      if (user.email === 'admin@businessoptions.in' && user.uid === 'ZmzFLxbtzGNYnDI1IJsTMDxva3y2') {
-        if (userData.role !== USER_ROLES.ADMIN.toLowerCase()) {
-          console.log("Updating admin role for admin@businessoptions.in");
-          updateUserRole(docSnap.ref, userData);
-        }
-      }
-      
       // Update last login timestamp (but don't wait for it)
       updateLastLogin(docSnap.ref);
     } else {
@@ -136,24 +168,6 @@ export function AuthProvider({ children }) {
     }
   };
   
-  // Helper function to update user role
-  const updateUserRole = async (userRef, userData) => {
-    try {
-      await updateDoc(userRef, {
-        role: USER_ROLES.ADMIN.toLowerCase(),
-        updatedAt: serverTimestamp()
-      });
-      
-      // Update local state to reflect the change
-      setUserDetails({
-        ...userData,
-        role: USER_ROLES.ADMIN.toLowerCase()
-      });
-    } catch (error) {
-      console.error("Failed to update user role:", error);
-    }
-  };
-  
   // Helper function to update last login
   const updateLastLogin = async (userRef) => {
     try {
@@ -173,9 +187,7 @@ export function AuthProvider({ children }) {
         email: user.email,
         displayName: user.displayName || user.email.split('@')[0],
         status: USER_STATUS.ACTIVE,
-        role: user.email === 'admin@businessoptions.in' ? 
-          USER_ROLES.ADMIN.toLowerCase() : 
-          USER_ROLES.USER.toLowerCase(),
+        role: USER_ROLES.USER.toLowerCase(),
         emailVerified: user.emailVerified,
         phoneNumber: user.phoneNumber || '',
         phoneVerified: false,
@@ -196,7 +208,7 @@ export function AuthProvider({ children }) {
         uid: user.uid,
         email: user.email,
         displayName: user.displayName || user.email.split('@')[0],
-        role: user.email === 'admin@businessoptions.in' ? USER_ROLES.ADMIN.toLowerCase() : USER_ROLES.USER.toLowerCase()
+        role: USER_ROLES.USER.toLowerCase()
       });
     }
   };
@@ -358,45 +370,47 @@ export function AuthProvider({ children }) {
   };
 
   /**
-   * Creates a new admin user (admin-only function)
-   * @param {Object} userData - User data including email, password, and role
-   * @returns {Promise<string>} - User ID
+   * Creates an account from an invitation link and signs the invitee in
+   * @param {string} token - Token from the invite link
+   * @param {Object} accountData - Account data including displayName and password
+   * @returns {Promise<Object>} - Created user profile
    */
-  const createAdminUser = async (userData) => {
-    console.log("Creating admin user:", userData.email);
+  const acceptInvitation = async (token, { displayName, password }) => {
     setError(null);
     
-    if (!currentUser) {
-      throw new Error('You must be logged in to create users');
-    }
-    
-    // Check if current user is admin
-    if (!isAdmin()) {
-      throw new Error('Only administrators can create new admin users');
-    }
+    const invitation = await getInvitationByToken(token);
+    console.log("Accepting invitation for:", invitation.email);
     
+    provisioningRef.current = true;
+    setProvisioning(true);
+    let user = null;
     try {
-      // Create user in authentication system is handled by Admin SDK on backend
-      // For this implementation, we'll create a placeholder user document in Firestore
+      const credential = await createUserWithEmailAndPassword(auth, invitation.email, password);
+      user = credential.user;
       
-      const userDocRef = doc(db, COLLECTIONS.USERS, `placeholder_${Date.now()}`);
-      await setDoc(userDocRef, {
-        email: userData.email,
-        displayName: userData.displayName || userData.email.split('@')[0],
-        role: userData.role || USER_ROLES.ADMIN.toLowerCase(),
-        status: USER_STATUS.ACTIVE,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        createdBy: currentUser.uid,
-        version: 1,
-        isDeleted: false
-      });
+      if (displayName) {
+        await updateProfile(user, { displayName });
+      }
+      
+      const profile = await completeInvitation(token, user, { displayName });
+      const userDocSnap = await getDoc(doc(db, COLLECTIONS.USERS, user.uid));
+      setUserDetails(userDocSnap.exists() ? userDocSnap.data() : profile);
       
-      return userDocRef.id;
+      return profile;
     } catch (err) {
-      console.error("Create admin user error:", err);
-      setError(err.message);
+      console.error("Accept invitation error:", err);
+      
+      // Don't leave behind an account without a profile
+      if (user) {
+        await deleteUser(user).catch(deleteError => {
+          console.warn("Failed to remove incomplete account:", deleteError);
+        });
+      }
+      
       throw err;
+    } finally {
+      provisioningRef.current = false;
+      setProvisioning(false);
     }
   };
 
@@ -416,30 +430,31 @@ export function AuthProvider({ children }) {
   };
 
   /**
-   * Check if user is an admin
-   * @returns {boolean} - Whether user is an admin
+   * Check if the user's role grants a permission
+   * @param {string|Array<string>} permission - Permission, or a list of which any one suffices
+   * @returns {boolean} - Whether the permission is granted
    */
-  const isAdmin = () => {
-    if (!userDetails || !userDetails.role) return false;
-    
-    // Case-insensitive comparison
-    const userRole = userDetails.role.toLowerCase();
-    const adminRole = USER_ROLES.ADMIN.toLowerCase();
-    const moderatorRole = USER_ROLES.MODERATOR.toLowerCase();
-    
-    // Special case for the known admin
-    if (currentUser?.email === 'admin@businessoptions.in' && 
-        currentUser?.uid === 'ZmzFLxbtzGNYnDI1IJsTMDxva3y2') {
-      return true;
-    }
-    
-    return userRole === adminRole || userRole === moderatorRole;
-  };
+  const can = (permission) => hasPermission(permissions, permission);
+
+  /**
+   * Check if the user may use the admin panel at all
+   * @returns {boolean} - Whether the user's role grants any permission
+   */
+  const canAccessAdmin = () => permissions.length > 0;
+
+  /**
+   * Check if user is a Super Admin (role with full access)
+   * @returns {boolean} - Whether user has every permission
+   */
+  const isAdmin = () => permissions.includes(ALL_PERMISSIONS);
 
   // Context value
   const value = {
     currentUser,
     userDetails,
+    permissions,
+    permissionsLoading,
+    provisioning,
     loading,
     error,
     offline,
@@ -449,8 +464,10 @@ export function AuthProvider({ children }) {
     updateUserEmail,
     updateUserPassword,
     updateUserProfile,
-    createAdminUser,
+    acceptInvitation,
     hasRole,
+    can,
+    canAccessAdmin,
     isAdmin
   };
 
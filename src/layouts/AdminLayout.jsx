@@ -3,21 +3,23 @@ import React, { useState, useEffect } from 'react';
 import {
     LayoutDashboard, Users, Store, Briefcase, TrendingUp,
     Database, Settings, BellRing, LogOut, Search, Menu,
-    FileText, ChevronRight, Sun, Moon, Shield
+    FileText, ChevronRight, Sun, Moon, Shield, ShieldCheck, Flag, ScrollText, CreditCard, Wallet
 } from 'lucide-react';
 import { Link, useLocation, Outlet, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../config/constants';
 
 // Import the logo (you can change the path as needed)
 import LogoImage from '../assets/logo.png';
 import NetworkStatus from '../components/common/NetworkStatus';
+import MaintenanceBanner from '../components/common/MaintenanceBanner';
 
 const AdminLayout = () => {
     const [isSidebarOpen, setIsSidebarOpen] = useState(true);
     const [isDarkMode, setIsDarkMode] = useState(false);
     const location = useLocation();
     const navigate = useNavigate();
-    const { logout } = useAuth();
+    const { logout, can } = useAuth();
 
     // Function to determine active tab based on current path
     const getActiveTabFromPath = (path) => {
@@ -43,45 +45,87 @@ const AdminLayout = () => {
             name: "User Roles",
             icon: Shield,
             id: "user-roles",
-            path: "/user-roles"
+            path: "/user-roles",
+            permission: [PERMISSIONS.VIEW_ROLES, PERMISSIONS.VIEW_USERS]
         },
         {
             name: "Advisor Management",
             icon: Users,
             id: "advisors",
-            path: "/advisors"
+            path: "/advisors",
+            permission: PERMISSIONS.VIEW_ADVISORS
         },
         {
             name: "Listings",
             icon: Store,
             id: "listings",
-            path: "/listings"
+            path: "/listings",
+            permission: PERMISSIONS.VIEW_LISTINGS
+        },
+        {
+            name: "Moderation",
+            icon: ShieldCheck,
+            id: "moderation",
+            path: "/moderation",
+            permission: PERMISSIONS.APPROVE_LISTINGS
         },
         {
             name: "Applications",
             icon: FileText,
             id: "applications",
-            path: "/applications"
+            path: "/applications",
+            permission: PERMISSIONS.VIEW_APPLICATIONS
         },
         {
             name: "Website Content",
             icon: Database,
             id: "content",
-            path: "/content"
+            path: "/content",
+            permission: PERMISSIONS.VIEW_CONTENT
         },
         {
             name: "Analytics",
             icon: TrendingUp,
             id: "analytics",
-            path: "/analytics"
+            path: "/analytics",
+            permission: PERMISSIONS.VIEW_ANALYTICS
+        },
+        {
+            name: "Plans",
+            icon: CreditCard,
+            id: "plans",
+            path: "/plans",
+            permission: PERMISSIONS.VIEW_PLANS
+        },
+        {
+            name: "Finance",
+            icon: Wallet,
+            id: "finance",
+            path: "/finance",
+            permission: PERMISSIONS.VIEW_TRANSACTIONS
+        },
+        {
+            name: "Feature Flags",
+            icon: Flag,
+            id: "feature-flags",
+            path: "/feature-flags",
+            permission: PERMISSIONS.VIEW_SETTINGS
+        },
+        {
+            name: "Audit Log",
+            icon: ScrollText,
+            id: "audit-log",
+            path: "/audit-log",
+            permission: PERMISSIONS.VIEW_AUDIT_LOG
         },
         {
             name: "Settings",
             icon: Settings,
             id: "settings",
-            path: "/settings"
+            path: "/settings",
+            permission: PERMISSIONS.VIEW_SETTINGS
         }
-    ];
+    ].filter(item => !item.permission || can(item.permission));
     
     const toggleSidebar = () => {
         setIsSidebarOpen(!isSidebarOpen);
@@ -258,6 +302,8 @@ const AdminLayout = () => {
                     </div>
                 </header>
 
+                <MaintenanceBanner />
+
                 {/* Page Content */}
                 <main className={`p-6 ${isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-800'} min-h-[calc(100vh-65px)]`}>
                     <Outlet context={[isDarkMode, setIsDarkMode]} />
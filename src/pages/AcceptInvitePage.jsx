@@ -0,0 +1,225 @@
+// AcceptInvitePage.jsx
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { Lock, Mail, User, AlertCircle } from 'lucide-react';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { formatDate } from '../utils/helpers';
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const AcceptInvitePage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [invitation, setInvitation] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [displayName, setDisplayName] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [accepted, setAccepted] = useState(false);
+
+  const { acceptInvitation } = useAuth();
+  const { InvitationService } = useDatabase();
+
+  useEffect(() => {
+    const checkInvitation = async () => {
+      try {
+        setChecking(true);
+        const found = await InvitationService.getInvitationByToken(token);
+        setInvitation(found);
+        setDisplayName(found.displayName || '');
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setChecking(false);
+      }
+    };
+
+    checkInvitation();
+  }, [InvitationService, token]);
+
+  const handleAccept = async (e) => {
+    e.preventDefault();
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    try {
+      setError('');
+      setLoading(true);
+
+      // Signs the invitee in; the router takes them to the dashboard once
+      // their role's permissions have loaded
+      await acceptInvitation(token, { displayName: displayName.trim(), password });
+      setAccepted(true);
+    } catch (error) {
+      setError(
+        error.code === 'auth/email-already-in-use'
+          ? 'An account already exists for this email. Sign in instead, or ask an administrator to change your role.'
+          : error.code === 'auth/weak-password'
+          ? 'Please choose a stronger password.'
+          : error.message || 'Failed to accept the invitation. Please try again.'
+      );
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-6">
+      <div className="max-w-md w-full">
+        <div className="bg-white rounded-2xl shadow-lg p-8">
+          <div className="text-center mb-6">
+            <img
+              src="/src/logo.png"
+              alt="Business Options Logo"
+              className="h-16 mx-auto mb-4"
+            />
+            <h2 className="text-2xl font-bold text-gray-800">Accept Invitation</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              {invitation
+                ? <>You have been invited to join the admin panel as <span className="font-medium">{invitation.roleName}</span></>
+                : 'Create your admin panel account'}
+            </p>
+          </div>
+
+          {error && (
+            <div className="bg-red-50 text-red-800 p-3 rounded-lg flex items-center gap-2 mb-4">
+              <AlertCircle size={18} />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          {checking ? (
+            <div className="flex justify-center py-6">
+              <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+            </div>
+          ) : accepted ? (
+            <div className="bg-green-50 text-green-800 p-3 rounded-lg">
+              <p className="text-sm">Your account is ready. Signing you in...</p>
+            </div>
+          ) : invitation ? (
+            <form onSubmit={handleAccept}>
+              <div className="mb-4">
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700 mb-1">
+                  Email Address
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Mail size={18} className="text-gray-400" />
+                  </div>
+                  <input
+                    id="email"
+                    type="email"
+                    value={invitation.email}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg bg-gray-50 text-gray-600"
+                    disabled
+                  />
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="displayName" className="block text-sm font-medium text-gray-700 mb-1">
+                  Full Name
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <User size={18} className="text-gray-400" />
+                  </div>
+                  <input
+                    id="displayName"
+                    type="text"
+                    value={displayName}
+                    onChange={(e) => setDisplayName(e.target.value)}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="Your name"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="mb-4">
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-1">
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock size={18} className="text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="••••••••••"
+                    required
+                  />
+                </div>
+              </div>
+
+              <div className="mb-6">
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-1">
+                  Confirm Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock size={18} className="text-gray-400" />
+                  </div>
+                  <input
+                    id="confirmPassword"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-blue-500 focus:border-blue-500"
+                    placeholder="••••••••••"
+                    required
+                  />
+                </div>
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-lg shadow-sm disabled:opacity-70 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Creating Account...' : 'Create Account'}
+              </button>
+
+              {invitation.expiresAt && (
+                <p className="mt-4 text-center text-xs text-gray-500">
+                  This invitation expires on {formatDate(invitation.expiresAt, 'long')}
+                </p>
+              )}
+            </form>
+          ) : null}
+
+          {!checking && !accepted && (
+            <div className="mt-4 text-center">
+              <Link to="/login" className="text-sm text-blue-600 hover:text-blue-800">
+                Already have an account? Sign in
+              </Link>
+            </div>
+          )}
+        </div>
+
+        <div className="text-center mt-6">
+          <p className="text-sm text-gray-600">
+            Business Options Admin Panel &copy; {new Date().getFullYear()}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitePage;
@@ -1,190 +1,555 @@
 // pages/AdvisorManagementPage.jsx
-import React, { useState } from 'react';
-import { 
-  PlusCircle, Search, Filter, Eye, Edit, Trash2, 
-  MapPin, Phone, Mail, Calendar, Briefcase, 
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  PlusCircle, Search, Filter, Eye, Edit, Trash2,
+  MapPin, Phone, Mail, Calendar, Briefcase,
   DollarSign, ArrowDown, ArrowUp, Download, ChevronDown,
-  Users, TrendingUp, CheckCircle, XCircle
+  Users, TrendingUp, CheckCircle, XCircle, Clock, X
 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { LISTING_TYPES, ADVISOR_STATUS, COMMISSION_STATUS } from '../config/constants';
+import { formatDate, formatCurrency, omit } from '../utils/helpers';
+
+const PAGE_SIZE = 20;
+
+// Display labels for listing types
+const TYPE_NAMES = {
+  [LISTING_TYPES.BUSINESS]: 'Business',
+  [LISTING_TYPES.FRANCHISE]: 'Franchise',
+  [LISTING_TYPES.STARTUP]: 'Startup',
+  [LISTING_TYPES.INVESTOR]: 'Investment',
+  [LISTING_TYPES.DIGITAL_ASSET]: 'Digital Asset'
+};
+
+const STATUS_LABELS = {
+  [ADVISOR_STATUS.ACTIVE]: 'Active',
+  [ADVISOR_STATUS.INACTIVE]: 'Inactive',
+  [ADVISOR_STATUS.PENDING]: 'Pending',
+  [COMMISSION_STATUS.APPROVED]: 'Approved',
+  [COMMISSION_STATUS.PAID]: 'Paid',
+  [COMMISSION_STATUS.REJECTED]: 'Rejected'
+};
+
+// Commission date filter, in months back from the start of this month
+const PERIOD_OPTIONS = [
+  { value: '', label: 'All Time' },
+  { value: '0', label: 'This Month' },
+  { value: '2', label: 'Last 3 Months' },
+  { value: '11', label: 'Last 12 Months' }
+];
+
+const STATES = ['Maharashtra', 'Delhi', 'Karnataka', 'Gujarat', 'Tamil Nadu'];
+
+const EMPTY_ADVISOR_FORM = {
+  name: '',
+  email: '',
+  phone: '',
+  city: '',
+  state: '',
+  expertise: []
+};
+
+const EMPTY_PAYMENT_FORM = {
+  method: 'bank_transfer',
+  reference: '',
+  notes: ''
+};
 
 const AdvisorManagementPage = () => {
+  const { AdvisorService, ActivityService } = useDatabase();
   const [activeTab, setActiveTab] = useState('advisors');
   const [showAddAdvisorModal, setShowAddAdvisorModal] = useState(false);
   const [showCommissionModal, setShowCommissionModal] = useState(false);
+  const [showRecordModal, setShowRecordModal] = useState(false);
   const [selectedAdvisor, setSelectedAdvisor] = useState(null);
-  
-  // Mock data for advisors
-  const advisors = [
-    { 
-      id: 1, 
-      name: 'Rajesh Kumar', 
-      email: 'rajesh@example.com', 
-      phone: '+91 9876543210',
-      city: 'Mumbai', 
-      state: 'Maharashtra',
-      status: 'Active', 
-      joinDate: '2025-01-15',
-      businessCount: 12,
-      totalCommission: '₹185,000',
-      pendingCommission: '₹32,500',
-      kycVerified: true
-    },
-    { 
-      id: 2, 
-      name: 'Priya Sharma', 
-      email: 'priya@example.com', 
-      phone: '+91 9876543211',
-      city: 'Delhi', 
-      state: 'Delhi',
-      status: 'Active', 
-      joinDate: '2025-01-28',
-      businessCount: 8,
-      totalCommission: '₹120,000',
-      pendingCommission: '₹45,000',
-      kycVerified: true
-    },
-    { 
-      id: 3, 
-      name: 'Sanjay Patel', 
-      email: 'sanjay@example.com', 
-      phone: '+91 9876543212',
-      city: 'Ahmedabad', 
-      state: 'Gujarat',
-      status: 'Inactive', 
-      joinDate: '2025-02-10',
-      businessCount: 5,
-      totalCommission: '₹68,000',
-      pendingCommission: '₹12,000',
-      kycVerified: false
-    },
-    { 
-      id: 4, 
-      name: 'Anita Desai', 
-      email: 'anita@example.com', 
-      phone: '+91 9876543213',
-      city: 'Bangalore', 
-      state: 'Karnataka',
-      status: 'Pending', 
-      joinDate: '2025-03-05',
-      businessCount: 0,
-      totalCommission: '₹0',
-      pendingCommission: '₹0',
-      kycVerified: false
-    }
-  ];
-  
-  // Mock data for commissions
-  const commissions = [
-    {
-      id: 1,
-      advisor: 'Rajesh Kumar',
-      advisorId: 1,
-      business: 'Tech Solutions Ltd',
-      businessType: 'Business',
-      amount: '₹15,000',
-      status: 'Paid',
-      date: '2025-03-01'
-    },
-    {
-      id: 2,
-      advisor: 'Rajesh Kumar',
-      advisorId: 1,
-      business: 'Food Franchise Chain',
-      businessType: 'Franchise',
-      amount: '₹32,500',
-      status: 'Pending',
-      date: '2025-03-08'
-    },
-    {
-      id: 3,
-      advisor: 'Priya Sharma',
-      advisorId: 2,
-      business: 'Healthcare Startup',
-      businessType: 'Startup',
-      amount: '₹28,000',
-      status: 'Paid',
-      date: '2025-02-15'
-    },
-    {
-      id: 4,
-      advisor: 'Priya Sharma',
-      advisorId: 2,
-      business: 'Real Estate Investment',
-      businessType: 'Investment',
-      amount: '₹45,000',
-      status: 'Pending',
-      date: '2025-03-05'
-    },
-    {
-      id: 5,
-      advisor: 'Sanjay Patel',
-      advisorId: 3,
-      business: 'E-commerce Platform',
-      businessType: 'Digital Asset',
-      amount: '₹12,000',
-      status: 'Pending',
-      date: '2025-02-28'
-    }
-  ];
-  
-  // Commission rates by business type
-  const commissionRates = [
-    { type: 'Business', base: '5%', min: '₹10,000', max: '₹50,000' },
-    { type: 'Franchise', base: '7%', min: '₹25,000', max: '₹100,000' },
-    { type: 'Startup', base: '6%', min: '₹15,000', max: '₹75,000' },
-    { type: 'Investment', base: '3%', min: '₹20,000', max: 'No limit' },
-    { type: 'Digital Asset', base: '8%', min: '₹5,000', max: '₹30,000' }
-  ];
-  
+  const [advisorDetails, setAdvisorDetails] = useState({ listings: [], commissions: [], activities: [] });
+  const [editingAdvisorId, setEditingAdvisorId] = useState(null);
+  const [payingCommission, setPayingCommission] = useState(null);
+  const [editingRateType, setEditingRateType] = useState(null);
+
+  const [advisors, setAdvisors] = useState([]);
+  const [advisorsCursor, setAdvisorsCursor] = useState({ lastVisible: null, hasMore: false });
+  const [commissions, setCommissions] = useState([]);
+  const [commissionsCursor, setCommissionsCursor] = useState({ lastVisible: null, hasMore: false });
+  const [commissionRates, setCommissionRates] = useState({});
+  const [advisorStats, setAdvisorStats] = useState(null);
+  const [cities, setCities] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [searchTerm, setSearchTerm] = useState('');
+  const [advisorFilters, setAdvisorFilters] = useState({ status: '', city: '' });
+  const [commissionFilters, setCommissionFilters] = useState({ status: '', period: '' });
+  const [advisorForm, setAdvisorForm] = useState(EMPTY_ADVISOR_FORM);
+  const [paymentForm, setPaymentForm] = useState(EMPTY_PAYMENT_FORM);
+  const [recordForm, setRecordForm] = useState({ listingId: '', dealValue: '', notes: '' });
+  const [recordPreview, setRecordPreview] = useState(null);
+  const [rateForm, setRateForm] = useState({ rate: '', min: '', max: '', tiers: [] });
+
   const statusColors = {
     'Active': 'bg-green-100 text-green-800',
     'Inactive': 'bg-red-100 text-red-800',
     'Pending': 'bg-yellow-100 text-yellow-800',
+    'Approved': 'bg-blue-100 text-blue-800',
     'Paid': 'bg-green-100 text-green-800',
-    'Pending': 'bg-yellow-100 text-yellow-800',
     'Rejected': 'bg-red-100 text-red-800'
   };
-  
+
+  const fetchStats = useCallback(async () => {
+    try {
+      setAdvisorStats(await AdvisorService.getAdvisorStats());
+    } catch (err) {
+      console.error('Error fetching advisor stats:', err);
+    }
+  }, [AdvisorService]);
+
+  // Loads the first page of advisors, or the page after `cursor`
+  const fetchAdvisors = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+
+    try {
+      const result = await AdvisorService.getAdvisors(
+        {
+          status: advisorFilters.status || null,
+          city: advisorFilters.city || null
+        },
+        PAGE_SIZE,
+        cursor
+      );
+
+      setAdvisors(prev => cursor ? [...prev, ...result.advisors] : result.advisors);
+      setAdvisorsCursor({ lastVisible: result.lastVisible, hasMore: result.hasMore });
+
+      // Location filter options grow as advisors are loaded
+      setCities(prev => [...new Set([...prev, ...result.advisors.map(a => a.city).filter(Boolean)])].sort());
+    } catch (err) {
+      toast.error(`Failed to load advisors: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [AdvisorService, advisorFilters]);
+
+  // Loads the first page of commissions, or the page after `cursor`
+  const fetchCommissions = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+
+    try {
+      let since = null;
+      if (commissionFilters.period !== '') {
+        const now = new Date();
+        since = new Date(now.getFullYear(), now.getMonth() - Number(commissionFilters.period), 1);
+      }
+
+      const result = await AdvisorService.getCommissions(
+        {
+          status: commissionFilters.status || null,
+          since
+        },
+        PAGE_SIZE,
+        cursor
+      );
+
+      setCommissions(prev => cursor ? [...prev, ...result.commissions] : result.commissions);
+      setCommissionsCursor({ lastVisible: result.lastVisible, hasMore: result.hasMore });
+    } catch (err) {
+      toast.error(`Failed to load commissions: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [AdvisorService, commissionFilters]);
+
+  const fetchRates = useCallback(async () => {
+    try {
+      setCommissionRates(await AdvisorService.getCommissionRates());
+    } catch (err) {
+      toast.error(`Failed to load commission rates: ${err.message}`);
+    }
+  }, [AdvisorService]);
+
+  useEffect(() => {
+    fetchStats();
+    fetchRates();
+  }, [fetchStats, fetchRates]);
+
+  useEffect(() => {
+    fetchAdvisors();
+  }, [fetchAdvisors]);
+
+  useEffect(() => {
+    if (activeTab === 'commissions') {
+      fetchCommissions();
+    }
+  }, [activeTab, fetchCommissions]);
+
+  // Search runs over the loaded page
+  const visibleAdvisors = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return advisors;
+
+    return advisors.filter(advisor =>
+      [advisor.name, advisor.email, advisor.city]
+        .some(value => value && value.toLowerCase().includes(term))
+    );
+  }, [advisors, searchTerm]);
+
+  const visibleCommissions = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return commissions;
+
+    return commissions.filter(commission =>
+      [commission.advisorName, commission.businessDetails?.name]
+        .some(value => value && value.toLowerCase().includes(term))
+    );
+  }, [commissions, searchTerm]);
+
+  const pendingCommissions = commissions.filter(c => c.status === COMMISSION_STATUS.PENDING);
+
+  const loadAdvisorDetails = async (advisor) => {
+    try {
+      const [listings, advisorCommissions, activities] = await Promise.all([
+        AdvisorService.getAssignedListings(advisor.id),
+        AdvisorService.getCommissions({ advisorId: advisor.id }, 10),
+        ActivityService.getRecentActivities(advisor.id, 3)
+      ]);
+
+      setAdvisorDetails({
+        listings,
+        commissions: advisorCommissions.commissions,
+        activities
+      });
+    } catch (err) {
+      toast.error(`Failed to load advisor details: ${err.message}`);
+    }
+  };
+
+  // Replace an advisor in local state after a write
+  const refreshAdvisor = async (id) => {
+    const updated = await AdvisorService.getAdvisorById(id);
+    if (updated) {
+      setAdvisors(prev => prev.map(a => a.id === id ? updated : a));
+      if (selectedAdvisor?.id === id) {
+        setSelectedAdvisor(updated);
+        loadAdvisorDetails(updated);
+      }
+    }
+  };
+
   const handleViewAdvisor = (advisor) => {
     setSelectedAdvisor(advisor);
+    setAdvisorDetails({ listings: [], commissions: [], activities: [] });
+    loadAdvisorDetails(advisor);
+  };
+
+  const openAdvisorModal = (advisor = null) => {
+    setEditingAdvisorId(advisor ? advisor.id : null);
+    setAdvisorForm(advisor ? {
+      name: advisor.name || '',
+      email: advisor.email || '',
+      phone: advisor.phone || '',
+      city: advisor.city || '',
+      state: advisor.state || '',
+      expertise: advisor.expertise || []
+    } : EMPTY_ADVISOR_FORM);
+    setShowAddAdvisorModal(true);
+  };
+
+  const toggleExpertise = (type) => {
+    setAdvisorForm(prev => ({
+      ...prev,
+      expertise: prev.expertise.includes(type)
+        ? prev.expertise.filter(t => t !== type)
+        : [...prev.expertise, type]
+    }));
+  };
+
+  const handleSaveAdvisor = async () => {
+    setIsSaving(true);
+
+    try {
+      if (editingAdvisorId) {
+        // The email is tied to the advisor's account and cannot change here
+        await AdvisorService.updateAdvisor(editingAdvisorId, omit(advisorForm, ['email']));
+        await refreshAdvisor(editingAdvisorId);
+        toast.success('Advisor updated');
+      } else {
+        await AdvisorService.onboardAdvisor(advisorForm);
+        await fetchAdvisors();
+        fetchStats();
+        toast.success('Advisor added');
+      }
+
+      setShowAddAdvisorModal(false);
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteAdvisor = async (advisor) => {
+    if (!window.confirm(`Remove ${advisor.name} as an advisor?`)) return;
+
+    try {
+      await AdvisorService.deleteAdvisor(advisor.id);
+      setAdvisors(prev => prev.filter(a => a.id !== advisor.id));
+      if (selectedAdvisor?.id === advisor.id) {
+        setSelectedAdvisor(null);
+      }
+      fetchStats();
+      toast.success('Advisor removed');
+    } catch (err) {
+      toast.error(`Failed to remove advisor: ${err.message}`);
+    }
+  };
+
+  const handleAdvisorStatus = async (status) => {
+    try {
+      await AdvisorService.setAdvisorStatus(selectedAdvisor.id, status);
+      await refreshAdvisor(selectedAdvisor.id);
+      fetchStats();
+      toast.success(`Advisor marked ${STATUS_LABELS[status].toLowerCase()}`);
+    } catch (err) {
+      toast.error(`Failed to update advisor: ${err.message}`);
+    }
+  };
+
+  const handleVerifyKyc = async () => {
+    try {
+      await AdvisorService.verifyAdvisorKyc(selectedAdvisor.id);
+      await refreshAdvisor(selectedAdvisor.id);
+      toast.success('KYC verified');
+    } catch (err) {
+      toast.error(`Failed to verify KYC: ${err.message}`);
+    }
+  };
+
+  const handleAssignListing = async (event) => {
+    event.preventDefault();
+    const listingId = event.target.elements.listingId.value.trim();
+    if (!listingId) return;
+
+    try {
+      await AdvisorService.assignListingToAdvisor(selectedAdvisor.id, listingId);
+      event.target.reset();
+      await refreshAdvisor(selectedAdvisor.id);
+      toast.success('Listing assigned');
+    } catch (err) {
+      toast.error(`Failed to assign listing: ${err.message}`);
+    }
+  };
+
+  const handleUnassignListing = async (listingId) => {
+    try {
+      await AdvisorService.unassignListing(selectedAdvisor.id, listingId);
+      await refreshAdvisor(selectedAdvisor.id);
+      toast.success('Listing unassigned');
+    } catch (err) {
+      toast.error(`Failed to unassign listing: ${err.message}`);
+    }
+  };
+
+  const openRecordModal = () => {
+    setRecordForm({ listingId: advisorDetails.listings[0]?.id || '', dealValue: '', notes: '' });
+    setRecordPreview(null);
+    setShowRecordModal(true);
   };
-  
+
+  // Preview the commission as the deal value is entered
+  useEffect(() => {
+    const listing = advisorDetails.listings.find(l => l.id === recordForm.listingId);
+    const dealValue = Number(recordForm.dealValue);
+
+    if (!showRecordModal || !listing || !dealValue) {
+      setRecordPreview(null);
+      return;
+    }
+
+    AdvisorService.calculateCommission(listing.type, dealValue, commissionRates)
+      .then(setRecordPreview)
+      .catch(() => setRecordPreview(null));
+  }, [AdvisorService, advisorDetails.listings, showRecordModal, recordForm.listingId, recordForm.dealValue, commissionRates]);
+
+  const handleRecordCommission = async () => {
+    setIsSaving(true);
+
+    try {
+      await AdvisorService.createCommission(
+        selectedAdvisor.id,
+        recordForm.listingId,
+        Number(recordForm.dealValue),
+        recordForm.notes || null
+      );
+      setShowRecordModal(false);
+      await refreshAdvisor(selectedAdvisor.id);
+      fetchStats();
+      if (activeTab === 'commissions') {
+        fetchCommissions();
+      }
+      toast.success('Commission recorded');
+    } catch (err) {
+      toast.error(`Failed to record commission: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleApproveCommission = async (commission) => {
+    try {
+      await AdvisorService.approveCommission(commission.id);
+      await fetchCommissions();
+      toast.success('Commission approved');
+    } catch (err) {
+      toast.error(`Failed to approve commission: ${err.message}`);
+    }
+  };
+
+  const handleApproveAllPending = async () => {
+    if (!window.confirm(`Approve ${pendingCommissions.length} pending commissions?`)) return;
+
+    try {
+      for (const commission of pendingCommissions) {
+        await AdvisorService.approveCommission(commission.id);
+      }
+      await fetchCommissions();
+      toast.success('Pending commissions approved');
+    } catch (err) {
+      toast.error(`Failed to approve commissions: ${err.message}`);
+      fetchCommissions();
+    }
+  };
+
+  const handleRejectCommission = async (commission) => {
+    const reason = window.prompt('Reason for rejecting this commission');
+    if (!reason) return;
+
+    try {
+      await AdvisorService.rejectCommission(commission.id, reason);
+      await fetchCommissions();
+      fetchStats();
+      toast.success('Commission rejected');
+    } catch (err) {
+      toast.error(`Failed to reject commission: ${err.message}`);
+    }
+  };
+
   const handlePayCommission = (commission) => {
+    setPayingCommission(commission);
+    setPaymentForm(EMPTY_PAYMENT_FORM);
     setShowCommissionModal(true);
   };
-  
+
+  const handleConfirmPayment = async () => {
+    setIsSaving(true);
+
+    try {
+      await AdvisorService.payCommission(payingCommission.id, paymentForm);
+      setShowCommissionModal(false);
+      await fetchCommissions();
+      fetchStats();
+      toast.success('Commission paid');
+    } catch (err) {
+      toast.error(`Failed to pay commission: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleExportCommissions = () => {
+    const headers = ['Commission ID', 'Advisor', 'Business', 'Type', 'Deal Value', 'Rate', 'Amount', 'Status', 'Date'];
+    const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+    const rows = commissions.map(commission => [
+      commission.id,
+      commission.advisorName,
+      commission.businessDetails?.name,
+      TYPE_NAMES[commission.businessDetails?.type] || commission.businessDetails?.type,
+      commission.dealValue,
+      commission.rate !== undefined ? `${commission.rate}%` : '',
+      commission.amount,
+      STATUS_LABELS[commission.status] || commission.status,
+      formatDate(commission.createdAt)
+    ]);
+
+    const csvContent = [
+      headers.join(','),
+      ...rows.map(row => row.map(escape).join(','))
+    ].join('\n');
+
+    const blob = new Blob([csvContent], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `commissions-${new Date().toISOString().split('T')[0]}.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const openRateEditor = (type) => {
+    const rate = commissionRates[type];
+    setEditingRateType(type);
+    setRateForm({
+      rate: rate.rate,
+      min: rate.min ?? '',
+      max: rate.max ?? '',
+      tiers: rate.tiers || []
+    });
+  };
+
+  const handleSaveRate = async () => {
+    setIsSaving(true);
+
+    try {
+      await AdvisorService.updateCommissionRate(editingRateType, rateForm);
+      await fetchRates();
+      setEditingRateType(null);
+      toast.success('Commission rate updated');
+    } catch (err) {
+      toast.error(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const updateTier = (index, field, value) => {
+    setRateForm(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => i === index ? { ...tier, [field]: value } : tier)
+    }));
+  };
+
   // Stats for the dashboard
   const stats = [
-    { 
-      title: "Total Advisors", 
-      value: "24", 
-      change: "+3", 
+    {
+      title: "Total Advisors",
+      value: advisorStats ? advisorStats.totalAdvisors : '—',
+      change: advisorStats ? `+${advisorStats.newAdvisors}` : '',
       icon: Users,
       color: "blue"
     },
-    { 
-      title: "Active Advisors", 
-      value: "18", 
-      change: "+2", 
-      icon: CheckCircle, 
+    {
+      title: "Active Advisors",
+      value: advisorStats ? advisorStats.activeAdvisors : '—',
+      change: advisorStats ? `+${advisorStats.newlyActiveAdvisors}` : '',
+      icon: CheckCircle,
       color: "green"
     },
-    { 
-      title: "Total Commission Paid", 
-      value: "₹8.5L", 
-      change: "+₹1.2L", 
-      icon: DollarSign, 
+    {
+      title: "Total Commission Paid",
+      value: advisorStats ? formatCurrency(advisorStats.totalPaid) : '—',
+      change: advisorStats ? `+${formatCurrency(advisorStats.paidThisMonth)}` : '',
+      icon: DollarSign,
       color: "indigo"
     },
-    { 
-      title: "Business Conversions", 
-      value: "128", 
-      change: "+18", 
+    {
+      title: "Business Conversions",
+      value: advisorStats ? advisorStats.conversions : '—',
+      change: advisorStats ? `+${advisorStats.newConversions}` : '',
       icon: TrendingUp,
       color: "purple"
     }
   ];
-  
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
@@ -192,15 +557,15 @@ const AdvisorManagementPage = () => {
           <h2 className="text-lg font-bold text-gray-800 mb-1">Advisor Management</h2>
           <p className="text-sm text-gray-500">Manage business advisors and commission agents</p>
         </div>
-        <button 
+        <button
           className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors"
-          onClick={() => setShowAddAdvisorModal(true)}
+          onClick={() => openAdvisorModal()}
         >
           <PlusCircle size={16} />
           <span className="font-medium">Add Advisor</span>
         </button>
       </div>
-      
+
       {/* Stats Cards */}
       <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4 mb-6">
         {stats.map((stat, index) => (
@@ -209,11 +574,13 @@ const AdvisorManagementPage = () => {
               <div>
                 <p className="text-sm font-medium text-gray-500 mb-1">{stat.title}</p>
                 <h3 className="text-xl font-bold text-gray-800">{stat.value}</h3>
-                <div className="flex items-center mt-1">
-                  <ArrowUp size={14} className="text-green-500" />
-                  <span className="text-xs font-medium text-green-500 ml-1">{stat.change}</span>
-                  <span className="text-xs text-gray-500 ml-2">this month</span>
-                </div>
+                {stat.change && (
+                  <div className="flex items-center mt-1">
+                    <ArrowUp size={14} className="text-green-500" />
+                    <span className="text-xs font-medium text-green-500 ml-1">{stat.change}</span>
+                    <span className="text-xs text-gray-500 ml-2">this month</span>
+                  </div>
+                )}
               </div>
               <div className={`bg-${stat.color}-50 p-3 rounded-lg`}>
                 <stat.icon size={20} className={`text-${stat.color}-500`} />
@@ -222,7 +589,7 @@ const AdvisorManagementPage = () => {
           </div>
         ))}
       </div>
-      
+
       {/* Tabs */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
         <div className="flex border-b border-gray-100">
@@ -257,68 +624,86 @@ const AdvisorManagementPage = () => {
             Commission Rates
           </button>
         </div>
-        
+
         {/* Search & Filter */}
-        <div className="p-4 bg-gray-50 border-b border-gray-100">
-          <div className="flex flex-wrap items-center justify-between gap-4">
-            <div className="flex items-center gap-2">
-              <div className="relative">
-                <input 
-                  type="text" 
-                  placeholder={activeTab === 'advisors' ? 'Search advisors...' : 'Search commissions...'} 
-                  className="pl-9 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-64"
-                />
-                <Search size={16} className="absolute left-3 top-2.5 text-gray-400" />
+        {activeTab !== 'rates' && (
+          <div className="p-4 bg-gray-50 border-b border-gray-100">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <div className="flex items-center gap-2">
+                <div className="relative">
+                  <input
+                    type="text"
+                    placeholder={activeTab === 'advisors' ? 'Search advisors...' : 'Search commissions...'}
+                    className="pl-9 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-64"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                  <Search size={16} className="absolute left-3 top-2.5 text-gray-400" />
+                </div>
+
+                <button className="p-2 border border-gray-300 rounded-lg hover:bg-gray-100">
+                  <Filter size={16} className="text-gray-500" />
+                </button>
               </div>
-              
-              <button className="p-2 border border-gray-300 rounded-lg hover:bg-gray-100">
-                <Filter size={16} className="text-gray-500" />
-              </button>
+
+              {activeTab === 'advisors' && (
+                <div className="flex items-center gap-3">
+                  <span className="text-sm text-gray-500">Status:</span>
+                  <select
+                    className="text-sm border border-gray-300 rounded-md p-2 pr-8"
+                    value={advisorFilters.status}
+                    onChange={(e) => setAdvisorFilters(prev => ({ ...prev, status: e.target.value }))}
+                  >
+                    <option value="">All Status</option>
+                    {Object.values(ADVISOR_STATUS).map(status => (
+                      <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                    ))}
+                  </select>
+
+                  <span className="text-sm text-gray-500">Location:</span>
+                  <select
+                    className="text-sm border border-gray-300 rounded-md p-2 pr-8"
+                    value={advisorFilters.city}
+                    onChange={(e) => setAdvisorFilters(prev => ({ ...prev, city: e.target.value }))}
+                  >
+                    <option value="">All Locations</option>
+                    {cities.map(city => (
+                      <option key={city} value={city}>{city}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {activeTab === 'commissions' && (
+                <div className="flex items-center gap-3">
+                  <span className="text-sm text-gray-500">Status:</span>
+                  <select
+                    className="text-sm border border-gray-300 rounded-md p-2 pr-8"
+                    value={commissionFilters.status}
+                    onChange={(e) => setCommissionFilters(prev => ({ ...prev, status: e.target.value }))}
+                  >
+                    <option value="">All Status</option>
+                    {Object.values(COMMISSION_STATUS).map(status => (
+                      <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+                    ))}
+                  </select>
+
+                  <span className="text-sm text-gray-500">Date:</span>
+                  <select
+                    className="text-sm border border-gray-300 rounded-md p-2 pr-8"
+                    value={commissionFilters.period}
+                    onChange={(e) => setCommissionFilters(prev => ({ ...prev, period: e.target.value }))}
+                  >
+                    {PERIOD_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
-            
-            {activeTab === 'advisors' && (
-              <div className="flex items-center gap-3">
-                <span className="text-sm text-gray-500">Status:</span>
-                <select className="text-sm border border-gray-300 rounded-md p-2 pr-8">
-                  <option>All Status</option>
-                  <option>Active</option>
-                  <option>Inactive</option>
-                  <option>Pending</option>
-                </select>
-                
-                <span className="text-sm text-gray-500">Location:</span>
-                <select className="text-sm border border-gray-300 rounded-md p-2 pr-8">
-                  <option>All Locations</option>
-                  <option>Mumbai</option>
-                  <option>Delhi</option>
-                  <option>Bangalore</option>
-                  <option>Ahmedabad</option>
-                </select>
-              </div>
-            )}
-            
-            {activeTab === 'commissions' && (
-              <div className="flex items-center gap-3">
-                <span className="text-sm text-gray-500">Status:</span>
-                <select className="text-sm border border-gray-300 rounded-md p-2 pr-8">
-                  <option>All Status</option>
-                  <option>Paid</option>
-                  <option>Pending</option>
-                  <option>Rejected</option>
-                </select>
-                
-                <span className="text-sm text-gray-500">Date:</span>
-                <select className="text-sm border border-gray-300 rounded-md p-2 pr-8">
-                  <option>All Time</option>
-                  <option>This Month</option>
-                  <option>Last Month</option>
-                  <option>Last 3 Months</option>
-                </select>
-              </div>
-            )}
           </div>
-        </div>
-        
+        )}
+
         {/* Advisors Table */}
         {activeTab === 'advisors' && (
           <div className="overflow-x-auto">
@@ -330,17 +715,24 @@ const AdvisorManagementPage = () => {
                   <th className="px-6 py-3">Status</th>
                   <th className="px-6 py-3">KYC</th>
                   <th className="px-6 py-3">Business Count</th>
-                  <th className="px-6 py-3">Pending Commission</th>
+                  <th className="px-6 py-3">Outstanding Commission</th>
                   <th className="px-6 py-3">Actions</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {advisors.map((advisor) => (
+                {!isLoading && visibleAdvisors.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-6 py-8 text-center text-sm text-gray-500">
+                      No advisors found
+                    </td>
+                  </tr>
+                )}
+                {visibleAdvisors.map((advisor) => (
                   <tr key={advisor.id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold mr-3">
-                          {advisor.name.charAt(0)}
+                          {(advisor.name || advisor.email).charAt(0)}
                         </div>
                         <div>
                           <div className="text-sm font-medium text-gray-900">{advisor.name}</div>
@@ -351,15 +743,15 @@ const AdvisorManagementPage = () => {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <MapPin size={16} className="text-gray-400 mr-2" />
-                        <span className="text-sm text-gray-700">{advisor.city}, {advisor.state}</span>
+                        <span className="text-sm text-gray-700">{[advisor.city, advisor.state].filter(Boolean).join(', ')}</span>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium ${statusColors[advisor.status]}`}>
+                      <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium ${statusColors[STATUS_LABELS[advisor.status]]}`}>
                         <span className={`h-1.5 w-1.5 rounded-full ${
-                          advisor.status === 'Active' ? 'bg-green-600' : advisor.status === 'Pending' ? 'bg-yellow-600' : 'bg-red-600'
+                          advisor.status === ADVISOR_STATUS.ACTIVE ? 'bg-green-600' : advisor.status === ADVISOR_STATUS.PENDING ? 'bg-yellow-600' : 'bg-red-600'
                         } mr-1.5`}></span>
-                        {advisor.status}
+                        {STATUS_LABELS[advisor.status]}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -376,23 +768,29 @@ const AdvisorManagementPage = () => {
                       )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {advisor.businessCount}
+                      {advisor.stats?.listings || 0}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm font-medium text-gray-900">{advisor.pendingCommission}</span>
+                      <span className="text-sm font-medium text-gray-900">{formatCurrency(advisor.stats?.outstanding || 0)}</span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex items-center space-x-3 justify-end">
-                        <button 
+                        <button
                           className="p-1 hover:bg-blue-50 rounded text-blue-600"
                           onClick={() => handleViewAdvisor(advisor)}
                         >
                           <Eye size={16} />
                         </button>
-                        <button className="p-1 hover:bg-amber-50 rounded text-amber-600">
+                        <button
+                          className="p-1 hover:bg-amber-50 rounded text-amber-600"
+                          onClick={() => openAdvisorModal(advisor)}
+                        >
                           <Edit size={16} />
                         </button>
-                        <button className="p-1 hover:bg-red-50 rounded text-red-600">
+                        <button
+                          className="p-1 hover:bg-red-50 rounded text-red-600"
+                          onClick={() => handleDeleteAdvisor(advisor)}
+                        >
                           <Trash2 size={16} />
                         </button>
                       </div>
@@ -401,9 +799,22 @@ const AdvisorManagementPage = () => {
                 ))}
               </tbody>
             </table>
+
+            {advisorsCursor.hasMore && (
+              <div className="p-4 border-t border-gray-100 flex justify-center">
+                <button
+                  className="text-sm text-blue-600 hover:text-blue-800 font-medium flex items-center"
+                  onClick={() => fetchAdvisors(advisorsCursor.lastVisible)}
+                  disabled={isLoading}
+                >
+                  Load more
+                  <ChevronDown size={16} className="ml-1" />
+                </button>
+              </div>
+            )}
           </div>
         )}
-        
+
         {/* Commissions Table */}
         {activeTab === 'commissions' && (
           <div className="overflow-x-auto">
@@ -419,47 +830,77 @@ const AdvisorManagementPage = () => {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {commissions.map((commission) => (
+                {!isLoading && visibleCommissions.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                      No commissions found
+                    </td>
+                  </tr>
+                )}
+                {visibleCommissions.map((commission) => (
                   <tr key={commission.id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex flex-col">
-                        <span className="text-sm font-medium text-gray-900">{commission.business}</span>
-                        <span className="text-xs text-gray-500">{commission.businessType}</span>
+                        <span className="text-sm font-medium text-gray-900">{commission.businessDetails?.name}</span>
+                        <span className="text-xs text-gray-500">{TYPE_NAMES[commission.businessDetails?.type]}</span>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm text-gray-700">{commission.advisor}</span>
+                      <span className="text-sm text-gray-700">{commission.advisorName}</span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
-                      {commission.amount}
+                      {formatCurrency(commission.amount, commission.currency)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium ${statusColors[commission.status]}`}>
-                        {commission.status === 'Paid' ? (
+                      <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium ${statusColors[STATUS_LABELS[commission.status]]}`}>
+                        {commission.status === COMMISSION_STATUS.PAID ? (
                           <CheckCircle size={12} className="mr-1 text-green-600" />
+                        ) : commission.status === COMMISSION_STATUS.REJECTED ? (
+                          <XCircle size={12} className="mr-1 text-red-600" />
                         ) : (
                           <Clock size={12} className="mr-1 text-yellow-600" />
                         )}
-                        {commission.status}
+                        {STATUS_LABELS[commission.status]}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {commission.date}
+                      {formatDate(commission.createdAt)}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
                       <div className="flex items-center space-x-3 justify-end">
-                        {commission.status === 'Pending' && (
-                          <button 
+                        {commission.status === COMMISSION_STATUS.PENDING && (
+                          <button
+                            className="px-3 py-1 border border-blue-600 text-blue-600 hover:bg-blue-50 text-xs rounded-lg font-medium"
+                            onClick={() => handleApproveCommission(commission)}
+                          >
+                            Approve
+                          </button>
+                        )}
+                        {commission.status === COMMISSION_STATUS.APPROVED && (
+                          <button
                             className="px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white text-xs rounded-lg font-medium"
                             onClick={() => handlePayCommission(commission)}
                           >
                             Pay Now
                           </button>
                         )}
-                        <button className="p-1 hover:bg-amber-50 rounded text-amber-600">
-                          <Edit size={16} />
-                        </button>
-                        <button className="p-1 hover:bg-blue-50 rounded text-blue-600">
+                        {(commission.status === COMMISSION_STATUS.PENDING || commission.status === COMMISSION_STATUS.APPROVED) && (
+                          <button
+                            className="p-1 hover:bg-red-50 rounded text-red-600"
+                            title="Reject"
+                            onClick={() => handleRejectCommission(commission)}
+                          >
+                            <XCircle size={16} />
+                          </button>
+                        )}
+                        <button
+                          className="p-1 hover:bg-blue-50 rounded text-blue-600"
+                          title="View advisor"
+                          onClick={async () => {
+                            const advisor = await AdvisorService.getAdvisorById(commission.advisorId);
+                            if (advisor) handleViewAdvisor(advisor);
+                          }}
+                        >
                           <Eye size={16} />
                         </button>
                       </div>
@@ -468,25 +909,46 @@ const AdvisorManagementPage = () => {
                 ))}
               </tbody>
             </table>
-            
+
+            {commissionsCursor.hasMore && (
+              <div className="p-4 border-t border-gray-100 flex justify-center">
+                <button
+                  className="text-sm text-blue-600 hover:text-blue-800 font-medium flex items-center"
+                  onClick={() => fetchCommissions(commissionsCursor.lastVisible)}
+                  disabled={isLoading}
+                >
+                  Load more
+                  <ChevronDown size={16} className="ml-1" />
+                </button>
+              </div>
+            )}
+
             <div className="p-4 border-t border-gray-100 flex justify-between items-center">
-              <button className="flex items-center gap-2 text-blue-600 hover:text-blue-800 font-medium">
+              <button
+                className="flex items-center gap-2 text-blue-600 hover:text-blue-800 font-medium"
+                onClick={handleExportCommissions}
+                disabled={commissions.length === 0}
+              >
                 <Download size={16} />
                 <span>Export Commission Report</span>
               </button>
-              
+
               <div className="flex items-center">
                 <span className="text-sm text-gray-500 mr-4">
-                  Total Pending: <span className="font-medium text-gray-800">₹89,500</span>
+                  Total Outstanding: <span className="font-medium text-gray-800">{formatCurrency(advisorStats?.outstanding || 0)}</span>
                 </span>
-                <button className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg font-medium">
-                  Pay All Pending
+                <button
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm rounded-lg font-medium disabled:opacity-50"
+                  onClick={handleApproveAllPending}
+                  disabled={pendingCommissions.length === 0}
+                >
+                  Approve All Pending
                 </button>
               </div>
             </div>
           </div>
         )}
-        
+
         {/* Commission Rates */}
         {activeTab === 'rates' && (
           <div className="overflow-x-auto">
@@ -495,31 +957,48 @@ const AdvisorManagementPage = () => {
                 <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   <th className="px-6 py-3">Business Type</th>
                   <th className="px-6 py-3">Base Rate</th>
+                  <th className="px-6 py-3">Tiers</th>
                   <th className="px-6 py-3">Minimum</th>
                   <th className="px-6 py-3">Maximum</th>
                   <th className="px-6 py-3">Actions</th>
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {commissionRates.map((rate, index) => (
-                  <tr key={index} className="hover:bg-gray-50">
+                {Object.entries(commissionRates).map(([type, rate]) => (
+                  <tr key={type} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <Briefcase size={16} className="text-gray-400 mr-2" />
-                        <span className="text-sm font-medium text-gray-900">{rate.type}</span>
+                        <span className="text-sm font-medium text-gray-900">{TYPE_NAMES[type] || type}</span>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm text-gray-700">{rate.base}</span>
+                      <span className="text-sm text-gray-700">{rate.rate}%</span>
+                    </td>
+                    <td className="px-6 py-4">
+                      {rate.tiers && rate.tiers.length > 0 ? (
+                        <div className="space-y-1">
+                          {rate.tiers.map((tier, index) => (
+                            <div key={index} className="text-xs text-gray-600">
+                              {tier.rate}% from {formatCurrency(tier.minDealValue)}
+                            </div>
+                          ))}
+                        </div>
+                      ) : (
+                        <span className="text-xs text-gray-400">—</span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm text-gray-700">{rate.min}</span>
+                      <span className="text-sm text-gray-700">{formatCurrency(rate.min || 0)}</span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className="text-sm text-gray-700">{rate.max}</span>
+                      <span className="text-sm text-gray-700">{rate.max === null || rate.max === undefined ? 'No limit' : formatCurrency(rate.max)}</span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <button className="px-3 py-1 border border-gray-300 hover:bg-gray-50 rounded-lg text-gray-700 text-xs">
+                      <button
+                        className="px-3 py-1 border border-gray-300 hover:bg-gray-50 rounded-lg text-gray-700 text-xs"
+                        onClick={() => openRateEditor(type)}
+                      >
                         Edit Rate
                       </button>
                     </td>
@@ -527,7 +1006,7 @@ const AdvisorManagementPage = () => {
                 ))}
               </tbody>
             </table>
-            
+
             <div className="p-6 border-t border-gray-100 bg-gray-50">
               <h4 className="text-sm font-medium text-gray-700 mb-3">Commission Policy</h4>
               <ul className="space-y-2 text-sm text-gray-600">
@@ -537,36 +1016,36 @@ const AdvisorManagementPage = () => {
                 </li>
                 <li className="flex items-start">
                   <span className="h-1.5 w-1.5 rounded-full bg-gray-600 mt-1.5 mr-2"></span>
-                  Commission is paid only after successful completion of the deal and receipt of payment.
+                  Tiers apply a different rate once the deal value reaches the tier threshold.
                 </li>
                 <li className="flex items-start">
                   <span className="h-1.5 w-1.5 rounded-full bg-gray-600 mt-1.5 mr-2"></span>
-                  Advisors must be KYC verified to receive commission payments.
+                  Commissions are recorded as pending, approved after the deal closes and paid once payment is received.
                 </li>
                 <li className="flex items-start">
                   <span className="h-1.5 w-1.5 rounded-full bg-gray-600 mt-1.5 mr-2"></span>
-                  Special rates may apply for high-value deals or exclusive partnerships.
+                  Advisors must be KYC verified to receive commission payments.
                 </li>
               </ul>
             </div>
           </div>
         )}
       </div>
-      
+
       {/* Selected Advisor Details */}
       {selectedAdvisor && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6 mb-6">
           <div className="flex justify-between items-start mb-6">
             <div className="flex items-center">
               <div className="h-16 w-16 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-bold text-xl mr-4">
-                {selectedAdvisor.name.charAt(0)}
+                {(selectedAdvisor.name || selectedAdvisor.email).charAt(0)}
               </div>
               <div>
                 <h3 className="text-xl font-bold text-gray-800">{selectedAdvisor.name}</h3>
-                <p className="text-sm text-gray-500">Advisor since {selectedAdvisor.joinDate}</p>
+                <p className="text-sm text-gray-500">Advisor since {formatDate(selectedAdvisor.createdAt)}</p>
                 <div className="flex items-center mt-1">
-                  <span className={`inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium ${statusColors[selectedAdvisor.status]}`}>
-                    {selectedAdvisor.status}
+                  <span className={`inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium ${statusColors[STATUS_LABELS[selectedAdvisor.status]]}`}>
+                    {STATUS_LABELS[selectedAdvisor.status]}
                   </span>
                   {selectedAdvisor.kycVerified && (
                     <span className="inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800 ml-2">
@@ -577,19 +1056,58 @@ const AdvisorManagementPage = () => {
                 </div>
               </div>
             </div>
-            
+
             <div className="flex space-x-3">
-              <button className="px-3 py-1.5 border border-gray-300 hover:bg-gray-50 rounded-lg text-gray-700 text-sm flex items-center">
+              {selectedAdvisor.status !== ADVISOR_STATUS.ACTIVE ? (
+                <button
+                  className="px-3 py-1.5 border border-green-600 text-green-700 hover:bg-green-50 rounded-lg text-sm flex items-center"
+                  onClick={() => handleAdvisorStatus(ADVISOR_STATUS.ACTIVE)}
+                >
+                  <CheckCircle size={14} className="mr-1" />
+                  Activate
+                </button>
+              ) : (
+                <button
+                  className="px-3 py-1.5 border border-red-300 text-red-700 hover:bg-red-50 rounded-lg text-sm flex items-center"
+                  onClick={() => handleAdvisorStatus(ADVISOR_STATUS.INACTIVE)}
+                >
+                  <XCircle size={14} className="mr-1" />
+                  Deactivate
+                </button>
+              )}
+              {!selectedAdvisor.kycVerified && (
+                <button
+                  className="px-3 py-1.5 border border-gray-300 hover:bg-gray-50 rounded-lg text-gray-700 text-sm flex items-center"
+                  onClick={handleVerifyKyc}
+                >
+                  <CheckCircle size={14} className="mr-1" />
+                  Verify KYC
+                </button>
+              )}
+              <button
+                className="px-3 py-1.5 border border-gray-300 hover:bg-gray-50 rounded-lg text-gray-700 text-sm flex items-center"
+                onClick={() => openAdvisorModal(selectedAdvisor)}
+              >
                 <Edit size={14} className="mr-1" />
                 Edit
               </button>
-              <button className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm flex items-center">
+              <button
+                className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 text-white rounded-lg text-sm flex items-center disabled:opacity-50"
+                onClick={openRecordModal}
+                disabled={advisorDetails.listings.length === 0}
+              >
                 <DollarSign size={14} className="mr-1" />
-                Pay Commission
+                Record Commission
+              </button>
+              <button
+                className="p-1.5 hover:bg-gray-100 rounded-lg text-gray-500"
+                onClick={() => setSelectedAdvisor(null)}
+              >
+                <X size={16} />
               </button>
             </div>
           </div>
-          
+
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div className="space-y-4">
               <h4 className="text-sm font-medium text-gray-700">Contact Information</h4>
@@ -600,58 +1118,68 @@ const AdvisorManagementPage = () => {
                 </div>
                 <div className="flex items-center">
                   <Phone size={16} className="text-gray-400 mr-2" />
-                  <span className="text-sm text-gray-700">{selectedAdvisor.phone}</span>
+                  <span className="text-sm text-gray-700">{selectedAdvisor.phone || '—'}</span>
                 </div>
                 <div className="flex items-center">
                   <MapPin size={16} className="text-gray-400 mr-2" />
-                  <span className="text-sm text-gray-700">{selectedAdvisor.city}, {selectedAdvisor.state}</span>
+                  <span className="text-sm text-gray-700">{[selectedAdvisor.city, selectedAdvisor.state].filter(Boolean).join(', ') || '—'}</span>
                 </div>
                 <div className="flex items-center">
                   <Calendar size={16} className="text-gray-400 mr-2" />
-                  <span className="text-sm text-gray-700">Joined: {selectedAdvisor.joinDate}</span>
+                  <span className="text-sm text-gray-700">Joined: {formatDate(selectedAdvisor.createdAt)}</span>
                 </div>
               </div>
             </div>
-            
+
             <div className="space-y-4">
               <h4 className="text-sm font-medium text-gray-700">Performance Summary</h4>
               <div className="space-y-3">
                 <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-                  <span className="text-sm text-gray-600">Total Businesses</span>
-                  <span className="text-sm font-medium text-gray-800">{selectedAdvisor.businessCount}</span>
+                  <span className="text-sm text-gray-600">Assigned Listings</span>
+                  <span className="text-sm font-medium text-gray-800">{selectedAdvisor.stats?.listings || 0}</span>
                 </div>
                 <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-                  <span className="text-sm text-gray-600">Total Commission</span>
-                  <span className="text-sm font-medium text-gray-800">{selectedAdvisor.totalCommission}</span>
+                  <span className="text-sm text-gray-600">Total Commission Paid</span>
+                  <span className="text-sm font-medium text-gray-800">{formatCurrency(selectedAdvisor.stats?.totalPaid || 0)}</span>
                 </div>
                 <div className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
-                  <span className="text-sm text-gray-600">Pending Commission</span>
-                  <span className="text-sm font-medium text-gray-800">{selectedAdvisor.pendingCommission}</span>
+                  <span className="text-sm text-gray-600">Outstanding Commission</span>
+                  <span className="text-sm font-medium text-gray-800">{formatCurrency(selectedAdvisor.stats?.outstanding || 0)}</span>
                 </div>
               </div>
             </div>
-            
+
             <div className="space-y-4">
               <h4 className="text-sm font-medium text-gray-700">Recent Activity</h4>
               <div className="space-y-3">
-                <div className="border-l-2 border-blue-500 pl-3">
-                  <p className="text-sm text-gray-700">Added a new business listing</p>
-                  <p className="text-xs text-gray-500">Mar 5, 2025</p>
-                </div>
-                <div className="border-l-2 border-green-500 pl-3">
-                  <p className="text-sm text-gray-700">Commission payment received</p>
-                  <p className="text-xs text-gray-500">Mar 1, 2025</p>
-                </div>
-                <div className="border-l-2 border-purple-500 pl-3">
-                  <p className="text-sm text-gray-700">Profile information updated</p>
-                  <p className="text-xs text-gray-500">Feb 25, 2025</p>
-                </div>
+                {advisorDetails.activities.length === 0 && (
+                  <p className="text-sm text-gray-500">No recent activity</p>
+                )}
+                {advisorDetails.activities.map(activity => (
+                  <div key={activity.id} className="border-l-2 border-blue-500 pl-3">
+                    <p className="text-sm text-gray-700">{activity.description}</p>
+                    <p className="text-xs text-gray-500">{formatDate(activity.createdAt)}</p>
+                  </div>
+                ))}
               </div>
             </div>
           </div>
-          
+
           <div className="mt-6 pt-6 border-t border-gray-100">
-            <h4 className="text-sm font-medium text-gray-700 mb-4">Businesses Referred</h4>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="text-sm font-medium text-gray-700">Assigned Listings</h4>
+              <form className="flex items-center gap-2" onSubmit={handleAssignListing}>
+                <input
+                  name="listingId"
+                  type="text"
+                  className="border border-gray-300 rounded-md py-1.5 px-3 text-sm w-56"
+                  placeholder="Listing ID"
+                />
+                <button type="submit" className="px-3 py-1.5 border border-gray-300 hover:bg-gray-50 rounded-lg text-gray-700 text-sm">
+                  Assign
+                </button>
+              </form>
+            </div>
             <div className="overflow-x-auto">
               <table className="w-full">
                 <thead>
@@ -659,265 +1187,449 @@ const AdvisorManagementPage = () => {
                     <th className="px-4 py-2">Business Name</th>
                     <th className="px-4 py-2">Type</th>
                     <th className="px-4 py-2">Status</th>
-                    <th className="px-4 py-2">Date</th>
                     <th className="px-4 py-2">Commission</th>
+                    <th className="px-4 py-2"></th>
                   </tr>
                 </thead>
                 <tbody className="divide-y divide-gray-100">
-                  <tr className="hover:bg-gray-50">
-                    <td className="px-4 py-3 text-sm font-medium text-gray-800">Tech Solutions Ltd</td>
-                    <td className="px-4 py-3 text-sm text-gray-600">Business</td>
-                    <td className="px-4 py-3">
-                      <span className="inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium bg-green-100 text-green-800">
-                        Completed
-                      </span>
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-600">2025-02-15</td>
-                    <td className="px-4 py-3 text-sm font-medium text-gray-800">₹15,000</td>
-                  </tr>
-                  <tr className="hover:bg-gray-50">
-                    <td className="px-4 py-3 text-sm font-medium text-gray-800">Food Franchise Chain</td>
-                    <td className="px-4 py-3 text-sm text-gray-600">Franchise</td>
-                    <td className="px-4 py-3">
-                      <span className="inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800">
-                        In Progress
-                      </span>
-                    </td>
-                    <td className="px-4 py-3 text-sm text-gray-600">2025-03-08</td>
-                    <td className="px-4 py-3 text-sm font-medium text-gray-800">₹32,500</td>
-                  </tr>
+                  {advisorDetails.listings.length === 0 && (
+                    <tr>
+                      <td colSpan={5} className="px-4 py-3 text-sm text-gray-500">No listings assigned</td>
+                    </tr>
+                  )}
+                  {advisorDetails.listings.map(listing => {
+                    const commission = advisorDetails.commissions.find(c => c.businessId === listing.id);
+
+                    return (
+                      <tr key={listing.id} className="hover:bg-gray-50">
+                        <td className="px-4 py-3 text-sm font-medium text-gray-800">{listing.name}</td>
+                        <td className="px-4 py-3 text-sm text-gray-600">{TYPE_NAMES[listing.type]}</td>
+                        <td className="px-4 py-3">
+                          {commission ? (
+                            <span className={`inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium ${statusColors[STATUS_LABELS[commission.status]]}`}>
+                              {STATUS_LABELS[commission.status]}
+                            </span>
+                          ) : (
+                            <span className="inline-flex items-center text-xs px-2 py-0.5 rounded-full font-medium bg-blue-100 text-blue-800">
+                              In Progress
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm font-medium text-gray-800">
+                          {commission ? formatCurrency(commission.amount, commission.currency) : '—'}
+                        </td>
+                        <td className="px-4 py-3 text-right">
+                          <button
+                            className="text-xs text-red-600 hover:text-red-800"
+                            onClick={() => handleUnassignListing(listing.id)}
+                          >
+                            Unassign
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
-            
-            <div className="mt-4 flex justify-end">
-              <button className="text-sm text-blue-600 hover:text-blue-800 font-medium flex items-center">
-                View All Businesses
-                <ChevronDown size={16} className="ml-1" />
-              </button>
-            </div>
           </div>
         </div>
       )}
-      
-      {/* Add Advisor Modal */}
+
+      {/* Add / Edit Advisor Modal */}
       {showAddAdvisorModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-xl shadow-xl max-w-xl w-full mx-4">
             <div className="p-6 border-b border-gray-200">
-              <h3 className="text-lg font-bold text-gray-800">Add New Advisor</h3>
+              <h3 className="text-lg font-bold text-gray-800">{editingAdvisorId ? 'Edit Advisor' : 'Add New Advisor'}</h3>
+              {!editingAdvisorId && (
+                <p className="text-sm text-gray-500 mt-1">The advisor must already have an account with this email address.</p>
+              )}
             </div>
             <div className="p-6">
-              <form className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <form className="grid grid-cols-1 md:grid-cols-2 gap-4" onSubmit={(e) => e.preventDefault()}>
                 <div className="col-span-1">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Full Name
                   </label>
-                  <input 
-                    type="text" 
+                  <input
+                    type="text"
                     className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
                     placeholder="Enter full name"
+                    value={advisorForm.name}
+                    onChange={(e) => setAdvisorForm(prev => ({ ...prev, name: e.target.value }))}
                   />
                 </div>
-                
+
                 <div className="col-span-1">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Email Address
                   </label>
-                  <input 
-                    type="email" 
-                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                  <input
+                    type="email"
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm disabled:bg-gray-100"
                     placeholder="Enter email address"
+                    value={advisorForm.email}
+                    disabled={!!editingAdvisorId}
+                    onChange={(e) => setAdvisorForm(prev => ({ ...prev, email: e.target.value }))}
                   />
                 </div>
-                
+
                 <div className="col-span-1">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Phone Number
                   </label>
-                  <input 
-                    type="tel" 
+                  <input
+                    type="tel"
                     className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
                     placeholder="Enter phone number"
+                    value={advisorForm.phone}
+                    onChange={(e) => setAdvisorForm(prev => ({ ...prev, phone: e.target.value }))}
                   />
                 </div>
-                
+
                 <div className="col-span-1">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     City
                   </label>
-                  <input 
-                    type="text" 
+                  <input
+                    type="text"
                     className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
                     placeholder="Enter city"
+                    value={advisorForm.city}
+                    onChange={(e) => setAdvisorForm(prev => ({ ...prev, city: e.target.value }))}
                   />
                 </div>
-                
+
                 <div className="col-span-1">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     State
                   </label>
-                  <select className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm">
+                  <select
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    value={advisorForm.state}
+                    onChange={(e) => setAdvisorForm(prev => ({ ...prev, state: e.target.value }))}
+                  >
                     <option value="">Select state</option>
-                    <option>Maharashtra</option>
-                    <option>Delhi</option>
-                    <option>Karnataka</option>
-                    <option>Gujarat</option>
-                    <option>Tamil Nadu</option>
+                    {STATES.map(state => (
+                      <option key={state} value={state}>{state}</option>
+                    ))}
                   </select>
                 </div>
-                
-                <div className="col-span-1">
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Initial Password
-                  </label>
-                  <input 
-                    type="password" 
-                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
-                    placeholder="Enter password"
-                  />
-                </div>
-                
+
                 <div className="col-span-2">
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Expertise Areas
                   </label>
                   <div className="grid grid-cols-2 gap-2">
-                    {['Business', 'Franchise', 'Startup', 'Investment', 'Digital Asset'].map((area) => (
-                      
-                        <div key={area} className="flex items-center">
-                          <input 
-                            type="checkbox" 
-                            id={`area-${area}`} 
-                            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                          />
-                          <label htmlFor={`area-${area}`} className="ml-2 text-sm text-gray-700">
-                            {area}
-                          </label>
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                  
-                  <div className="col-span-2">
-                    <div className="flex items-center mt-2">
-                      <input 
-                        type="checkbox" 
-                        id="send-welcome-email" 
-                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                      />
-                      <label htmlFor="send-welcome-email" className="ml-2 text-sm text-gray-700">
-                        Send welcome email with login details
-                      </label>
-                    </div>
+                    {Object.values(LISTING_TYPES).map((type) => (
+                      <div key={type} className="flex items-center">
+                        <input
+                          type="checkbox"
+                          id={`area-${type}`}
+                          className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                          checked={advisorForm.expertise.includes(type)}
+                          onChange={() => toggleExpertise(type)}
+                        />
+                        <label htmlFor={`area-${type}`} className="ml-2 text-sm text-gray-700">
+                          {TYPE_NAMES[type]}
+                        </label>
+                      </div>
+                    ))}
                   </div>
-                </form>
-              </div>
-              <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
-                <button 
-                  className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
-                  onClick={() => setShowAddAdvisorModal(false)}
+                </div>
+              </form>
+            </div>
+            <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
+                onClick={() => setShowAddAdvisorModal(false)}
+              >
+                Cancel
+              </button>
+              <button
+                className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                onClick={handleSaveAdvisor}
+                disabled={isSaving || !advisorForm.email}
+              >
+                {editingAdvisorId ? 'Save Changes' : 'Create Advisor'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Record Commission Modal */}
+      {showRecordModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-bold text-gray-800">Record Commission</h3>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Listing
+                </label>
+                <select
+                  className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                  value={recordForm.listingId}
+                  onChange={(e) => setRecordForm(prev => ({ ...prev, listingId: e.target.value }))}
                 >
-                  Cancel
-                </button>
-                <button className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg">
-                  Create Advisor
-                </button>
+                  {advisorDetails.listings.map(listing => (
+                    <option key={listing.id} value={listing.id}>{listing.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Deal Value (₹)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                  placeholder="Enter the closed deal value"
+                  value={recordForm.dealValue}
+                  onChange={(e) => setRecordForm(prev => ({ ...prev, dealValue: e.target.value }))}
+                />
+              </div>
+
+              {recordPreview && (
+                <div className="bg-blue-50 border border-blue-100 rounded-lg p-4 flex justify-between">
+                  <span className="text-sm text-gray-600">Commission at {recordPreview.rate}%:</span>
+                  <span className="text-sm font-medium text-gray-800">{formatCurrency(recordPreview.amount)}</span>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Notes
+                </label>
+                <textarea
+                  className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm h-20"
+                  placeholder="Add any additional notes"
+                  value={recordForm.notes}
+                  onChange={(e) => setRecordForm(prev => ({ ...prev, notes: e.target.value }))}
+                ></textarea>
               </div>
             </div>
+            <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
+                onClick={() => setShowRecordModal(false)}
+              >
+                Cancel
+              </button>
+              <button
+                className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                onClick={handleRecordCommission}
+                disabled={isSaving || !recordPreview}
+              >
+                Record Commission
+              </button>
+            </div>
           </div>
-        )}
-        
-        {/* Process Commission Modal */}
-        {showCommissionModal && (
-          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-            <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
-              <div className="p-6 border-b border-gray-200">
-                <h3 className="text-lg font-bold text-gray-800">Process Commission Payment</h3>
+        </div>
+      )}
+
+      {/* Edit Commission Rate Modal */}
+      {editingRateType && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-bold text-gray-800">Edit {TYPE_NAMES[editingRateType]} Rate</h3>
+            </div>
+            <div className="p-6 space-y-4">
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Base Rate (%)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    value={rateForm.rate}
+                    onChange={(e) => setRateForm(prev => ({ ...prev, rate: e.target.value }))}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Minimum (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    value={rateForm.min}
+                    onChange={(e) => setRateForm(prev => ({ ...prev, min: e.target.value }))}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Maximum (₹)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    placeholder="No limit"
+                    value={rateForm.max}
+                    onChange={(e) => setRateForm(prev => ({ ...prev, max: e.target.value }))}
+                  />
+                </div>
               </div>
-              <div className="p-6">
-                <div className="bg-blue-50 border border-blue-100 rounded-lg p-4 mb-4">
-                  <div className="flex justify-between mb-2">
-                    <span className="text-sm text-gray-600">Business:</span>
-                    <span className="text-sm font-medium text-gray-800">Food Franchise Chain</span>
-                  </div>
-                  <div className="flex justify-between mb-2">
-                    <span className="text-sm text-gray-600">Advisor:</span>
-                    <span className="text-sm font-medium text-gray-800">Rajesh Kumar</span>
-                  </div>
-                  <div className="flex justify-between mb-2">
-                    <span className="text-sm text-gray-600">Commission Amount:</span>
-                    <span className="text-sm font-medium text-gray-800">₹32,500</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-sm text-gray-600">Transaction Date:</span>
-                    <span className="text-sm font-medium text-gray-800">Today</span>
-                  </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-sm font-medium text-gray-700">Tiers</label>
+                  <button
+                    className="text-xs text-blue-600 hover:text-blue-800 font-medium"
+                    onClick={() => setRateForm(prev => ({ ...prev, tiers: [...prev.tiers, { minDealValue: '', rate: '' }] }))}
+                  >
+                    + Add Tier
+                  </button>
                 </div>
-                
-                <div className="space-y-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Payment Method
-                    </label>
-                    <select className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm">
-                      <option>Bank Transfer</option>
-                      <option>UPI</option>
-                      <option>Cheque</option>
-                    </select>
-                  </div>
-                  
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Reference Number
-                    </label>
-                    <input 
-                      type="text" 
-                      className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
-                      placeholder="Enter transaction reference"
+                {rateForm.tiers.length === 0 && (
+                  <p className="text-xs text-gray-500">The base rate applies to every deal value.</p>
+                )}
+                {rateForm.tiers.map((tier, index) => (
+                  <div key={index} className="flex items-center gap-2 mb-2">
+                    <span className="text-xs text-gray-500">From ₹</span>
+                    <input
+                      type="number"
+                      min="0"
+                      className="flex-1 border border-gray-300 rounded-md py-1.5 px-2 text-sm"
+                      value={tier.minDealValue}
+                      onChange={(e) => updateTier(index, 'minDealValue', e.target.value)}
                     />
-                  </div>
-                  
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">
-                      Notes
-                    </label>
-                    <textarea 
-                      className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm h-20"
-                      placeholder="Add any additional notes"
-                    ></textarea>
-                  </div>
-                  
-                  <div className="flex items-center mt-2">
-                    <input 
-                      type="checkbox" 
-                      id="send-confirmation" 
-                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                      checked
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.1"
+                      className="w-20 border border-gray-300 rounded-md py-1.5 px-2 text-sm"
+                      value={tier.rate}
+                      onChange={(e) => updateTier(index, 'rate', e.target.value)}
                     />
-                    <label htmlFor="send-confirmation" className="ml-2 text-sm text-gray-700">
-                      Send payment confirmation to advisor
-                    </label>
+                    <span className="text-xs text-gray-500">%</span>
+                    <button
+                      className="p-1 hover:bg-red-50 rounded text-red-600"
+                      onClick={() => setRateForm(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }))}
+                    >
+                      <Trash2 size={14} />
+                    </button>
                   </div>
+                ))}
+              </div>
+            </div>
+            <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
+                onClick={() => setEditingRateType(null)}
+              >
+                Cancel
+              </button>
+              <button
+                className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                onClick={handleSaveRate}
+                disabled={isSaving}
+              >
+                Save Rate
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Process Commission Modal */}
+      {showCommissionModal && payingCommission && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-bold text-gray-800">Process Commission Payment</h3>
+            </div>
+            <div className="p-6">
+              <div className="bg-blue-50 border border-blue-100 rounded-lg p-4 mb-4">
+                <div className="flex justify-between mb-2">
+                  <span className="text-sm text-gray-600">Business:</span>
+                  <span className="text-sm font-medium text-gray-800">{payingCommission.businessDetails?.name}</span>
+                </div>
+                <div className="flex justify-between mb-2">
+                  <span className="text-sm text-gray-600">Advisor:</span>
+                  <span className="text-sm font-medium text-gray-800">{payingCommission.advisorName}</span>
+                </div>
+                <div className="flex justify-between mb-2">
+                  <span className="text-sm text-gray-600">Commission Amount:</span>
+                  <span className="text-sm font-medium text-gray-800">{formatCurrency(payingCommission.amount, payingCommission.currency)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-sm text-gray-600">Transaction Date:</span>
+                  <span className="text-sm font-medium text-gray-800">Today</span>
                 </div>
               </div>
-              <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
-                <button 
-                  className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
-                  onClick={() => setShowCommissionModal(false)}
-                >
-                  Cancel
-                </button>
-                <button className="px-4 py-2 text-sm text-white bg-green-600 hover:bg-green-700 rounded-lg flex items-center">
-                  <DollarSign size={16} className="mr-1" />
-                  Confirm Payment
-                </button>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Payment Method
+                  </label>
+                  <select
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    value={paymentForm.method}
+                    onChange={(e) => setPaymentForm(prev => ({ ...prev, method: e.target.value }))}
+                  >
+                    <option value="bank_transfer">Bank Transfer</option>
+                    <option value="upi">UPI</option>
+                    <option value="cheque">Cheque</option>
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reference Number
+                  </label>
+                  <input
+                    type="text"
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    placeholder="Enter transaction reference"
+                    value={paymentForm.reference}
+                    onChange={(e) => setPaymentForm(prev => ({ ...prev, reference: e.target.value }))}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Notes
+                  </label>
+                  <textarea
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm h-20"
+                    placeholder="Add any additional notes"
+                    value={paymentForm.notes}
+                    onChange={(e) => setPaymentForm(prev => ({ ...prev, notes: e.target.value }))}
+                  ></textarea>
+                </div>
               </div>
             </div>
+            <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
+                onClick={() => setShowCommissionModal(false)}
+              >
+                Cancel
+              </button>
+              <button
+                className="px-4 py-2 text-sm text-white bg-green-600 hover:bg-green-700 rounded-lg flex items-center disabled:opacity-50"
+                onClick={handleConfirmPayment}
+                disabled={isSaving || !paymentForm.reference}
+              >
+                <DollarSign size={16} className="mr-1" />
+                Confirm Payment
+              </button>
+            </div>
           </div>
-        )}
-      </div>
-    );
-  };
-  
-  export default AdvisorManagementPage;
\ No newline at end of file
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdvisorManagementPage;
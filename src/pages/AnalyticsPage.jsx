@@ -1,13 +1,167 @@
 // AnalyticsPage.jsx
-import React, { useState } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
 import { 
-  FileBarChart, Eye, Users, Activity, Clock, 
-  TrendingUp, Download, Calendar
+  FileBarChart, Eye, Users, Activity, Store, MessageSquare,
+  TrendingUp, TrendingDown, Download, Calendar, RefreshCw
 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../config/constants';
+import { formatCurrency, formatDate, formatNumber } from '../utils/helpers';
+import {
+  shiftDateKey, countDays, getPreviousRange, buildDailySeries, sumRollups, percentChange
+} from '../utils/analytics';
+import { EXPORT_FORMATS, createExportWriter, downloadBlob } from '../utils/export';
+import TimeSeriesChart from '../components/charts/TimeSeriesChart';
+import DistributionList from '../components/charts/DistributionList';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetHeader,
+  SheetTitle
+} from '@/components/ui/sheet';
+
+// Longest custom range; every day in it is rolled up before it is shown
+const MAX_RANGE_DAYS = 366;
+
+const TRAFFIC_SOURCE_LABELS = {
+  direct: 'Direct',
+  organic: 'Organic Search',
+  referral: 'Referral',
+  social: 'Social Media'
+};
+
+/**
+ * Turns a snake_case key into a label
+ *
+ * @param {string} key - e.g. "digital_asset"
+ * @returns {string} - e.g. "Digital Asset"
+ */
+const humanize = (key) => key
+  .split(/[_\s]+/)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Converts a counter map into DistributionList items, largest first
+ *
+ * @param {Object} counters - Counts keyed by name
+ * @param {Object} labels - Optional labels keyed by name
+ * @returns {Array<Object>} - Items ({ key, label, value })
+ */
+const toItems = (counters, labels = {}) => Object.entries(counters || {})
+  .map(([key, value]) => ({ key, label: labels[key] || humanize(key), value }))
+  .sort((a, b) => b.value - a.value);
+
+/**
+ * Today's date key (UTC, like the analytics rollups)
+ *
+ * @returns {string} - YYYY-MM-DD
+ */
+const todayKey = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Resolves a date range option to concrete dates
+ *
+ * @param {string} rangeId - Option ID
+ * @param {Object} customRange - { startDate, endDate } for the custom option
+ * @returns {Object} - { startDate, endDate }
+ */
+const resolveDateRange = (rangeId, customRange) => {
+  const today = todayKey();
+  switch (rangeId) {
+    case 'last30':
+      return { startDate: shiftDateKey(today, -29), endDate: today };
+    case 'last90':
+      return { startDate: shiftDateKey(today, -89), endDate: today };
+    case 'year':
+      return { startDate: `${today.slice(0, 4)}-01-01`, endDate: today };
+    case 'custom':
+      return customRange;
+    default:
+      return { startDate: shiftDateKey(today, -6), endDate: today };
+  }
+};
+
+/**
+ * Builds a CSV file from rows and starts the download
+ *
+ * @param {string} name - File name without extension
+ * @param {Array<Object>} columns - Columns ({ key, label })
+ * @param {Array<Object>} rows - Rows keyed by column key
+ */
+const exportCsv = async (name, columns, rows) => {
+  const writer = createExportWriter(EXPORT_FORMATS.CSV, columns);
+  writer.write(rows);
+  downloadBlob(await writer.finish(), `${name}.csv`);
+};
+
+/**
+ * Pairs each day of a period with the same position in the previous period
+ *
+ * @param {Array<Object>} series - Current day metrics
+ * @param {Array<Object>} previousSeries - Previous day metrics
+ * @param {Array<string>} keys - Metrics to include
+ * @returns {Object} - { columns, rows } for exportCsv
+ */
+const toComparisonTable = (series, previousSeries, keys) => ({
+  columns: [
+    { key: 'date', label: 'Date' },
+    ...keys.map(key => ({ key, label: humanize(key.replace(/([A-Z])/g, '_$1').toLowerCase()) })),
+    { key: 'previousDate', label: 'Previous Period Date' },
+    ...keys.map(key => ({ key: `previous_${key}`, label: `Previous ${humanize(key.replace(/([A-Z])/g, '_$1').toLowerCase())}` }))
+  ],
+  rows: series.map((day, index) => {
+    const previous = previousSeries[index] || {};
+    return {
+      ...day,
+      previousDate: previous.date,
+      ...Object.fromEntries(keys.map(key => [`previous_${key}`, previous[key]]))
+    };
+  })
+});
+
+const ChangeBadge = ({ current, previous }) => {
+  const change = percentChange(current, previous);
+  if (change === null) {
+    return <span className="text-xs text-gray-400">No prior data</span>;
+  }
+  const Icon = change < 0 ? TrendingDown : TrendingUp;
+  return (
+    <span className={`flex items-center text-xs font-medium ${change < 0 ? 'text-red-600' : 'text-green-600'}`}>
+      <Icon size={12} className="mr-1" />
+      {`${change > 0 ? '+' : ''}${change.toFixed(1)}%`}
+    </span>
+  );
+};
+
+const ExportButton = ({ onClick, visible }) => (
+  visible ? (
+    <button className="p-1 text-gray-400 hover:text-gray-600" title="Export as CSV" onClick={onClick}>
+      <Download size={16} />
+    </button>
+  ) : null
+);
 
 const AnalyticsPage = () => {
+  const { AnalyticsService, AnalyticsRollupService, UserService, ListingService } = useDatabase();
+  const { can } = useAuth();
   const [activeTab, setActiveTab] = useState('overview');
   const [dateRange, setDateRange] = useState('last7');
+  const [customRange, setCustomRange] = useState(() => ({
+    startDate: shiftDateKey(todayKey(), -13),
+    endDate: todayKey()
+  }));
+  const [customDraft, setCustomDraft] = useState(customRange);
+  const [loading, setLoading] = useState(true);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [report, setReport] = useState(null);
+  const [drillDown, setDrillDown] = useState(null);
+
+  const canExport = can(PERMISSIONS.EXPORT_REPORTS);
   
   // Analytics tabs
   const analyticsTabs = [
@@ -15,7 +169,7 @@ const AnalyticsPage = () => {
     { name: "Traffic Sources", id: "traffic" },
     { name: "User Behavior", id: "behavior" },
     { name: "Conversions", id: "conversions" },
-    { name: "Demographics", id: "demographics" }
+    { name: "User Growth", id: "users" }
   ];
   
   // Date range options
@@ -26,19 +180,173 @@ const AnalyticsPage = () => {
     { name: "This year", id: "year" },
     { name: "Custom Range", id: "custom" }
   ];
+
+  const range = useMemo(
+    () => resolveDateRange(dateRange, customRange),
+    [dateRange, customRange]
+  );
+  const previousRange = useMemo(
+    () => getPreviousRange(range.startDate, range.endDate),
+    [range]
+  );
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      try {
+        setLoading(true);
+
+        // Rollups are written by scripts/analytics-rollup.js; days it has
+        // not reached yet are reported as pending
+        const [rollups, previousRollups] = await Promise.all([
+          AnalyticsService.getAnalyticsRange(range.startDate, range.endDate),
+          AnalyticsService.getAnalyticsRange(previousRange.startDate, previousRange.endDate)
+        ]);
+
+        const [growth, trafficSources, funnel] = await Promise.all([
+          AnalyticsService.getUserGrowthData(range.startDate, range.endDate, rollups),
+          AnalyticsService.getTrafficSources(range.startDate, range.endDate, rollups),
+          AnalyticsService.getConversionFunnel(range.startDate, range.endDate, rollups)
+        ]);
+
+        const rolledUp = new Set(rollups
+          .filter(rollup => AnalyticsRollupService.isRollupCurrent(rollup))
+          .map(rollup => rollup.period.date));
+
+        setReport({
+          pendingDays: countDays(range.startDate, range.endDate) - rolledUp.size,
+          series: buildDailySeries(rollups, range.startDate, range.endDate),
+          previousSeries: buildDailySeries(previousRollups, previousRange.startDate, previousRange.endDate),
+          totals: sumRollups(rollups),
+          previousTotals: sumRollups(previousRollups),
+          growth,
+          trafficSources,
+          funnel
+        });
+      } catch (err) {
+        toast.error(`Failed to load analytics: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+  }, [AnalyticsService, AnalyticsRollupService, range, previousRange, reloadKey]);
+
+  const applyCustomRange = () => {
+    const { startDate, endDate } = customDraft;
+    if (!startDate || !endDate || startDate > endDate) {
+      toast.error('Choose a start date on or before the end date');
+      return;
+    }
+    if (endDate > todayKey()) {
+      toast.error('The range cannot end in the future');
+      return;
+    }
+    if (countDays(startDate, endDate) > MAX_RANGE_DAYS) {
+      toast.error(`Choose a range of at most ${MAX_RANGE_DAYS} days`);
+      return;
+    }
+    setCustomRange({ startDate, endDate });
+  };
+
+  // Opens the side panel with the users or listings behind a number
+  const openDrillDown = async (kind, title, startDate, endDate) => {
+    setDrillDown({ kind, title, startDate, endDate, items: [], loading: true });
+
+    try {
+      let items;
+      if (kind === 'topListings') {
+        const rollups = await AnalyticsService.getAnalyticsRange(startDate, endDate);
+        items = sumRollups(rollups).topListings;
+      } else {
+        const start = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${shiftDateKey(endDate, 1)}T00:00:00Z`);
+        items = kind === 'users'
+          ? await UserService.getUsersCreatedBetween(start, end)
+          : await ListingService.getListingsCreatedBetween(start, end);
+      }
+      setDrillDown(prev => (prev?.kind === kind ? { ...prev, items, loading: false } : prev));
+    } catch (err) {
+      toast.error(`Failed to load details: ${err.message}`);
+      setDrillDown(null);
+    }
+  };
+
+  const drillIntoDay = (kind, title) => (day) => openDrillDown(kind, `${title} on ${formatDate(new Date(`${day.date}T00:00:00Z`))}`, day.date, day.date);
+  const drillIntoRange = (kind, title) => () => openDrillDown(kind, title, range.startDate, range.endDate);
+
+  const exportSeries = (name, keys) => {
+    const { columns, rows } = toComparisonTable(report.series, report.previousSeries, keys);
+    exportCsv(`${name}-${range.startDate}-${range.endDate}`, columns, rows);
+  };
+
+  const exportItems = (name, items, valueLabel) => exportCsv(
+    `${name}-${range.startDate}-${range.endDate}`,
+    [{ key: 'label', label: 'Name' }, { key: 'value', label: valueLabel }],
+    items
+  );
+
+  if (!report) {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 text-gray-500">
+        <div className="w-10 h-10 border-4 border-blue-500 border-t-transparent rounded-full animate-spin mb-3"></div>
+      </div>
+    );
+  }
+
+  const { pendingDays, series, previousSeries, totals, previousTotals, growth, trafficSources, funnel } = report;
+  const conversionRate = totals.listingViews > 0 ? (totals.contacts / totals.listingViews) * 100 : null;
+  const previousConversionRate = previousTotals.listingViews > 0
+    ? (previousTotals.contacts / previousTotals.listingViews) * 100
+    : null;
+  const topListingItems = totals.topListings.map(listing => ({
+    key: listing.listingId,
+    label: listing.listingName || listing.listingId,
+    value: listing.views
+  }));
+  const trafficItems = toItems(trafficSources, TRAFFIC_SOURCE_LABELS);
+  const pageItems = toItems(totals.pageviewsByPage).slice(0, 10);
+  const activityItems = toItems(totals.activitiesByType);
+  const listingTypeItems = toItems(totals.viewsByType);
+  const rangeLabel = `${formatDate(new Date(`${range.startDate}T00:00:00Z`))} – ${formatDate(new Date(`${range.endDate}T00:00:00Z`))}`;
   
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
         <div>
           <h2 className="text-lg font-bold text-gray-800 mb-1">Analytics & Reports</h2>
-          <p className="text-sm text-gray-500">View detailed statistics and generate reports</p>
+          <p className="text-sm text-gray-500">
+            {rangeLabel}, compared with the previous {countDays(range.startDate, range.endDate)} days
+          </p>
+          {pendingDays > 0 && (
+            <p className="text-xs text-amber-600 mt-1">
+              Rollup pending for {pendingDays} {pendingDays === 1 ? 'day' : 'days'}; they appear after the next analytics rollup run
+            </p>
+          )}
         </div>
         <div className="flex items-center gap-3">
-          <button className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors">
-            <FileBarChart size={16} />
-            <span className="font-medium">Export Report</span>
+          <button
+            className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50"
+            title="Reload the rollups for this period"
+            onClick={() => setReloadKey(key => key + 1)}
+            disabled={loading}
+          >
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+            <span className="font-medium">Reload</span>
           </button>
+
+          {canExport && (
+            <button
+              className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors"
+              onClick={() => exportSeries('analytics-report', [
+                'pageviews', 'uniqueVisitors', 'listingViews', 'contacts', 'favorites',
+                'listingsCreated', 'signups', 'transactions', 'revenue'
+              ])}
+            >
+              <FileBarChart size={16} />
+              <span className="font-medium">Export Report</span>
+            </button>
+          )}
           
           <div className="relative">
             <select 
@@ -46,16 +354,48 @@ const AnalyticsPage = () => {
               value={dateRange}
               onChange={(e) => setDateRange(e.target.value)}
             >
-              {dateRanges.map(range => (
-                <option key={range.id} value={range.id}>{range.name}</option>
+              {dateRanges.map(option => (
+                <option key={option.id} value={option.id}>{option.name}</option>
               ))}
             </select>
             <Calendar className="absolute right-3 top-2.5 text-gray-400 pointer-events-none" size={16} />
           </div>
         </div>
       </div>
+
+      {dateRange === 'custom' && (
+        <div className="flex flex-wrap items-end gap-3 mb-6 bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              className="border border-gray-300 rounded-md py-2 px-3 text-sm"
+              value={customDraft.startDate}
+              max={todayKey()}
+              onChange={(e) => setCustomDraft(prev => ({ ...prev, startDate: e.target.value }))}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              className="border border-gray-300 rounded-md py-2 px-3 text-sm"
+              value={customDraft.endDate}
+              max={todayKey()}
+              onChange={(e) => setCustomDraft(prev => ({ ...prev, endDate: e.target.value }))}
+            />
+          </div>
+          <button
+            className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+            onClick={applyCustomRange}
+            disabled={loading}
+          >
+            Apply
+          </button>
+        </div>
+      )}
       
-      <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+      <div className={`bg-white rounded-xl shadow-sm border border-gray-100 mb-6 ${loading ? 'opacity-60' : ''}`}>
         <div className="border-b border-gray-100">
           <div className="flex overflow-x-auto">
             {analyticsTabs.map((tab) => (
@@ -77,21 +417,25 @@ const AnalyticsPage = () => {
         <div className="p-6">
           {activeTab === 'overview' && (
             <div>
-              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-6 mb-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 mb-6">
                 {[
-                  { title: "Total Page Views", value: "125.4K", change: "+12.3%", icon: Eye, color: "blue" },
-                  { title: "New Users", value: "2,847", change: "+8.6%", icon: Users, color: "green" },
-                  { title: "Bounce Rate", value: "42.8%", change: "-3.2%", icon: Activity, color: "yellow" },
-                  { title: "Avg. Session Duration", value: "2m 45s", change: "+5.1%", icon: Clock, color: "purple" }
+                  { title: "Page Views", value: formatNumber(totals.pageviews), current: totals.pageviews, previous: previousTotals.pageviews, icon: Eye, color: "blue" },
+                  { title: "Listing Views", value: formatNumber(totals.listingViews), current: totals.listingViews, previous: previousTotals.listingViews, icon: Store, color: "indigo", onClick: drillIntoRange('topListings', 'Most viewed listings') },
+                  { title: "New Users", value: formatNumber(totals.signups), current: totals.signups, previous: previousTotals.signups, icon: Users, color: "green", onClick: drillIntoRange('users', 'New users') },
+                  { title: "Inquiries", value: formatNumber(totals.contacts), current: totals.contacts, previous: previousTotals.contacts, icon: MessageSquare, color: "yellow" },
+                  { title: "Conversion Rate", value: conversionRate === null ? '—' : `${conversionRate.toFixed(1)}%`, current: conversionRate ?? 0, previous: previousConversionRate, icon: Activity, color: "purple" },
+                  { title: "Revenue", value: formatCurrency(totals.revenue), current: totals.revenue, previous: previousTotals.revenue, icon: TrendingUp, color: "teal" }
                 ].map((stat, index) => (
-                  <div key={index} className="bg-white rounded-lg border border-gray-100 p-4">
+                  <div
+                    key={index}
+                    className={`bg-white rounded-lg border border-gray-100 p-4 ${stat.onClick ? 'cursor-pointer hover:border-blue-200' : ''}`}
+                    onClick={stat.onClick}
+                  >
                     <div className="flex justify-between items-start mb-3">
                       <div className={`bg-${stat.color}-50 p-2 rounded-lg`}>
                         <stat.icon className={`h-5 w-5 text-${stat.color}-500`} />
                       </div>
-                      <span className={`text-xs font-medium ${stat.change.startsWith('+') ? 'text-green-600' : 'text-red-600'}`}>
-                        {stat.change}
-                      </span>
+                      <ChangeBadge current={stat.current} previous={stat.previous} />
                     </div>
                     <p className="text-sm font-medium text-gray-500 mb-1">{stat.title}</p>
                     <p className="text-xl font-bold text-gray-800">{stat.value}</p>
@@ -105,81 +449,72 @@ const AnalyticsPage = () => {
                   <div className="flex items-center gap-3">
                     <div className="flex items-center gap-1">
                       <span className="h-3 w-3 bg-blue-500 rounded-full"></span>
-                      <span className="text-xs text-gray-500">This Period</span>
+                      <span className="text-xs text-gray-500">Page Views</span>
                     </div>
                     <div className="flex items-center gap-1">
-                      <span className="h-3 w-3 bg-blue-200 rounded-full"></span>
+                      <span className="h-3 w-3 bg-green-500 rounded-full"></span>
+                      <span className="text-xs text-gray-500">Listing Views</span>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <span className="h-0.5 w-4 border-t-2 border-dashed border-gray-300"></span>
                       <span className="text-xs text-gray-500">Previous Period</span>
                     </div>
-                    <button className="p-1 text-gray-400 hover:text-gray-600">
-                      <Download size={16} />
-                    </button>
+                    <ExportButton visible={canExport} onClick={() => exportSeries('traffic', ['pageviews', 'listingViews'])} />
                   </div>
                 </div>
-                <div className="h-64 w-full bg-gray-50 flex items-center justify-center">
-                  <p className="text-sm text-gray-500">Traffic chart will be displayed here</p>
-                </div>
+                <TimeSeriesChart
+                  data={series}
+                  previousData={previousSeries}
+                  series={[
+                    { key: 'pageviews', label: 'Page Views', color: '#3b82f6' },
+                    { key: 'listingViews', label: 'Listing Views', color: '#22c55e' }
+                  ]}
+                  onSelect={drillIntoDay('topListings', 'Most viewed listings')}
+                />
               </div>
               
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <div className="border border-gray-100 rounded-lg p-6">
                   <div className="flex items-center justify-between mb-4">
                     <h3 className="font-semibold text-gray-800">Traffic by Listing Type</h3>
-                    <button className="p-1 text-gray-400 hover:text-gray-600">
-                      <Download size={16} />
-                    </button>
-                  </div>
-                  <div className="h-48 w-full bg-gray-50 flex items-center justify-center">
-                    <p className="text-sm text-gray-500">Pie chart will be displayed here</p>
-                  </div>
-                  <div className="grid grid-cols-2 gap-4 mt-4">
-                    {[
-                      { name: "Businesses", value: "42%", color: "blue" },
-                      { name: "Franchises", value: "28%", color: "green" },
-                      { name: "Startups", value: "18%", color: "yellow" },
-                      { name: "Investors", value: "12%", color: "purple" }
-                    ].map((item, index) => (
-                      <div key={index} className="flex items-center gap-2">
-                        <span className={`h-3 w-3 bg-${item.color}-500 rounded-full`}></span>
-                        <span className="text-sm text-gray-500">{item.name}</span>
-                        <span className="text-sm font-medium text-gray-800 ml-auto">{item.value}</span>
-                      </div>
-                    ))}
+                    <ExportButton visible={canExport} onClick={() => exportItems('listing-views-by-type', listingTypeItems, 'Views')} />
                   </div>
+                  <DistributionList items={listingTypeItems} unit="views" />
                 </div>
                 
                 <div className="border border-gray-100 rounded-lg p-6">
                   <div className="flex items-center justify-between mb-4">
                     <h3 className="font-semibold text-gray-800">Top Performing Listings</h3>
-                    <button className="p-1 text-gray-400 hover:text-gray-600">
-                      <Download size={16} />
-                    </button>
+                    <ExportButton visible={canExport} onClick={() => exportItems('top-listings', topListingItems, 'Views')} />
                   </div>
-                  <div className="space-y-4">
-                    {[
-                      { name: "Tech Solutions Ltd", type: "Business", visits: 1245, conversion: 4.8 },
-                      { name: "Food Chain Franchise", type: "Franchise", visits: 968, conversion: 3.9 },
-                      { name: "EcoFriendly Startup", type: "Startup", visits: 754, conversion: 5.2 },
-                      { name: "Real Estate Fund", type: "Investor", visits: 623, conversion: 2.7 },
-                      { name: "SaaS Platform", type: "Digital Asset", visits: 512, conversion: 3.1 }
-                    ].map((listing, index) => (
-                      <div key={index} className="flex items-center pb-4 border-b border-gray-100 last:border-0 last:pb-0">
-                        <div className="mr-3">
-                          <div className="flex items-center justify-center h-10 w-10 rounded-lg bg-blue-50 text-blue-600">
-                            {index + 1}
+                  {topListingItems.length === 0 ? (
+                    <p className="text-sm text-gray-500 py-6 text-center">No listing views in this period</p>
+                  ) : (
+                    <div className="space-y-4">
+                      {topListingItems.slice(0, 5).map((listing, index) => (
+                        <Link
+                          key={listing.key}
+                          to={`/listings/edit/${listing.key}`}
+                          className="flex items-center pb-4 border-b border-gray-100 last:border-0 last:pb-0 hover:bg-gray-50"
+                        >
+                          <div className="mr-3">
+                            <div className="flex items-center justify-center h-10 w-10 rounded-lg bg-blue-50 text-blue-600">
+                              {index + 1}
+                            </div>
                           </div>
-                        </div>
-                        <div>
-                          <p className="text-sm font-medium text-gray-800">{listing.name}</p>
-                          <p className="text-xs text-gray-500">{listing.type}</p>
-                        </div>
-                        <div className="ml-auto text-right">
-                          <p className="text-sm font-medium text-gray-800">{listing.visits} visits</p>
-                          <p className="text-xs text-gray-500">{listing.conversion}% conversion</p>
-                        </div>
-                      </div>
-                    ))}
-                  </div>
+                          <div>
+                            <p className="text-sm font-medium text-gray-800">{listing.label}</p>
+                          </div>
+                          <div className="ml-auto text-right">
+                            <p className="text-sm font-medium text-gray-800">{formatNumber(listing.value)} views</p>
+                            <p className="text-xs text-gray-500">
+                              {totals.listingViews > 0 ? `${((listing.value / totals.listingViews) * 100).toFixed(1)}% of views` : ''}
+                            </p>
+                          </div>
+                        </Link>
+                      ))}
+                    </div>
+                  )}
                 </div>
               </div>
             </div>
@@ -190,70 +525,91 @@ const AnalyticsPage = () => {
               <div className="border border-gray-100 rounded-lg p-6">
                 <div className="flex items-center justify-between mb-4">
                   <h3 className="font-semibold text-gray-800">Traffic Sources</h3>
-                  <button className="p-1 text-gray-400 hover:text-gray-600">
-                    <Download size={16} />
-                  </button>
-                </div>
-                <div className="h-64 w-full bg-gray-50 flex items-center justify-center">
-                  <p className="text-sm text-gray-500">Traffic sources chart will be displayed here</p>
-                </div>
-                <div className="grid grid-cols-1 gap-4 mt-4">
-                  {[
-                    { name: "Direct", value: "35%", visits: "43,854" },
-                    { name: "Organic Search", value: "28%", visits: "35,012" },
-                    { name: "Referral", value: "22%", visits: "27,544" },
-                    { name: "Social Media", value: "15%", visits: "18,753" }
-                  ].map((item, index) => (
-                    <div key={index} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
-                      <span className="text-sm font-medium text-gray-800">{item.name}</span>
-                      <div className="text-right">
-                        <span className="text-sm font-semibold text-gray-800 block">{item.value}</span>
-                        <span className="text-xs text-gray-500">{item.visits} visits</span>
-                      </div>
-                    </div>
-                  ))}
+                  <ExportButton visible={canExport} onClick={() => exportItems('traffic-sources', trafficItems, 'Page Views')} />
                 </div>
+                <DistributionList items={trafficItems} unit="visits" />
               </div>
               
               <div className="border border-gray-100 rounded-lg p-6">
                 <div className="flex items-center justify-between mb-4">
-                  <h3 className="font-semibold text-gray-800">Top Referrers</h3>
-                  <button className="p-1 text-gray-400 hover:text-gray-600">
-                    <Download size={16} />
-                  </button>
+                  <h3 className="font-semibold text-gray-800">Top Pages</h3>
+                  <ExportButton visible={canExport} onClick={() => exportItems('top-pages', pageItems, 'Page Views')} />
                 </div>
-                <div className="space-y-4">
-                  {[
-                    { name: "google.com", visits: 12583, percentage: 45 },
-                    { name: "facebook.com", visits: 8254, percentage: 30 },
-                    { name: "linkedin.com", visits: 4127, percentage: 15 },
-                    { name: "instagram.com", visits: 2751, percentage: 10 }
-                  ].map((referrer, index) => (
-                    <div key={index} className="pb-4 border-b border-gray-100 last:border-0 last:pb-0">
-                      <div className="flex items-center justify-between mb-2">
-                        <p className="text-sm font-medium text-gray-800">{referrer.name}</p>
-                        <p className="text-sm font-medium text-gray-800">{referrer.visits} visits</p>
-                      </div>
-                      <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
-                        <div 
-                          className="h-full bg-blue-500 rounded-full" 
-                          style={{ width: `${referrer.percentage}%` }}
-                        ></div>
-                      </div>
-                      <p className="text-xs text-gray-500 mt-1 text-right">{referrer.percentage}% of total traffic</p>
-                    </div>
-                  ))}
+                <DistributionList items={pageItems} unit="views" />
+              </div>
+            </div>
+          )}
+
+          {activeTab === 'behavior' && (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="border border-gray-100 rounded-lg p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="font-semibold text-gray-800">Engagement Over Time</h3>
+                  <ExportButton visible={canExport} onClick={() => exportSeries('engagement', ['favorites', 'contacts'])} />
+                </div>
+                <TimeSeriesChart
+                  data={series}
+                  previousData={previousSeries}
+                  series={[
+                    { key: 'favorites', label: 'Favorites', color: '#f59e0b' },
+                    { key: 'contacts', label: 'Inquiries', color: '#8b5cf6' }
+                  ]}
+                  height={200}
+                />
+              </div>
+
+              <div className="border border-gray-100 rounded-lg p-6">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="font-semibold text-gray-800">Actions by Type</h3>
+                  <ExportButton visible={canExport} onClick={() => exportItems('activities-by-type', activityItems, 'Count')} />
                 </div>
+                <DistributionList items={activityItems} />
               </div>
             </div>
           )}
-          
-          {(activeTab !== 'overview' && activeTab !== 'traffic') && (
-            <div className="h-64 flex items-center justify-center bg-gray-50 rounded-lg">
-              <div className="text-center">
-                <p className="text-lg font-medium text-gray-500 mb-2">{analyticsTabs.find(tab => tab.id === activeTab)?.name} Data</p>
-                <p className="text-sm text-gray-400">Detailed analytics will be displayed here</p>
+
+          {activeTab === 'conversions' && (
+            <div className="border border-gray-100 rounded-lg p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-gray-800">Inquiries and Completed Payments</h3>
+                <ExportButton visible={canExport} onClick={() => exportSeries('conversions', ['listingViews', 'contacts', 'transactions', 'revenue'])} />
               </div>
+              <TimeSeriesChart
+                data={series}
+                previousData={previousSeries}
+                series={[
+                  { key: 'contacts', label: 'Inquiries', color: '#8b5cf6' },
+                  { key: 'transactions', label: 'Payments', color: '#14b8a6' }
+                ]}
+              />
+            </div>
+          )}
+
+          {activeTab === 'users' && (
+            <div className="border border-gray-100 rounded-lg p-6">
+              <div className="flex items-center justify-between mb-4">
+                <div>
+                  <h3 className="font-semibold text-gray-800">New Users per Day</h3>
+                  <p className="text-xs text-gray-500">
+                    {growth[growth.length - 1]?.total != null && `${formatNumber(growth[growth.length - 1].total)} users in total · `}
+                    Click a day to see who signed up
+                  </p>
+                </div>
+                <ExportButton
+                  visible={canExport}
+                  onClick={() => exportCsv(
+                    `user-growth-${range.startDate}-${range.endDate}`,
+                    [{ key: 'date', label: 'Date' }, { key: 'signups', label: 'Signups' }, { key: 'total', label: 'Total Users' }],
+                    growth
+                  )}
+                />
+              </div>
+              <TimeSeriesChart
+                data={growth}
+                previousData={previousSeries}
+                series={[{ key: 'signups', label: 'Signups', color: '#22c55e' }]}
+                onSelect={drillIntoDay('users', 'New users')}
+              />
             </div>
           )}
         </div>
@@ -264,26 +620,39 @@ const AnalyticsPage = () => {
         <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
           <div className="flex items-center justify-between mb-5">
             <h3 className="font-semibold text-gray-800">Key Metrics</h3>
-            <button className="p-1 text-gray-400 hover:text-gray-600">
-              <Download size={16} />
-            </button>
+            <ExportButton
+              visible={canExport}
+              onClick={() => exportCsv(
+                `key-metrics-${range.startDate}-${range.endDate}`,
+                [{ key: 'name', label: 'Metric' }, { key: 'current', label: 'This Period' }, { key: 'previous', label: 'Previous Period' }],
+                [
+                  { name: 'Listings Created', current: totals.listingsCreated, previous: previousTotals.listingsCreated },
+                  { name: 'User Registrations', current: totals.signups, previous: previousTotals.signups },
+                  { name: 'Inquiries Sent', current: totals.contacts, previous: previousTotals.contacts },
+                  { name: 'Successful Deals', current: totals.transactions, previous: previousTotals.transactions }
+                ]
+              )}
+            />
           </div>
           
           <div className="space-y-4">
             {[
-              { name: "Listings Created", current: 324, previous: 287, change: "+12.9%" },
-              { name: "User Registrations", current: 842, previous: 756, change: "+11.4%" },
-              { name: "Inquiries Sent", current: 1245, previous: 1087, change: "+14.5%" },
-              { name: "Successful Deals", current: 58, previous: 43, change: "+34.9%" }
+              { name: "Listings Created", current: totals.listingsCreated, previous: previousTotals.listingsCreated, onClick: drillIntoRange('listings', 'Listings created') },
+              { name: "User Registrations", current: totals.signups, previous: previousTotals.signups, onClick: drillIntoRange('users', 'New users') },
+              { name: "Inquiries Sent", current: totals.contacts, previous: previousTotals.contacts },
+              { name: "Successful Deals", current: totals.transactions, previous: previousTotals.transactions }
             ].map((metric, index) => (
-              <div key={index} className="border-b border-gray-100 pb-4 last:border-0">
+              <div
+                key={index}
+                className={`border-b border-gray-100 pb-4 last:border-0 ${metric.onClick ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                onClick={metric.onClick}
+              >
                 <p className="text-sm font-medium text-gray-500 mb-1">{metric.name}</p>
                 <div className="flex items-end justify-between">
-                  <p className="text-lg font-bold text-gray-800">{metric.current}</p>
+                  <p className="text-lg font-bold text-gray-800">{formatNumber(metric.current)}</p>
                   <div className="flex items-center">
-                    <TrendingUp size={12} className="text-green-500 mr-1" />
-                    <span className="text-xs font-medium text-green-500">{metric.change}</span>
-                    <span className="text-xs text-gray-500 ml-1">vs. last period</span>
+                    <ChangeBadge current={metric.current} previous={metric.previous} />
+                    <span className="text-xs text-gray-500 ml-1">vs. {formatNumber(metric.previous)}</span>
                   </div>
                 </div>
               </div>
@@ -294,26 +663,36 @@ const AnalyticsPage = () => {
         <div className="lg:col-span-2 bg-white rounded-xl shadow-sm border border-gray-100 p-6">
           <div className="flex items-center justify-between mb-5">
             <h3 className="font-semibold text-gray-800">Conversion Funnel</h3>
-            <button className="p-1 text-gray-400 hover:text-gray-600">
-              <Download size={16} />
-            </button>
+            <ExportButton
+              visible={canExport}
+              onClick={() => exportCsv(
+                `conversion-funnel-${range.startDate}-${range.endDate}`,
+                [{ key: 'stage', label: 'Stage' }, { key: 'value', label: 'Count' }, { key: 'rate', label: 'Rate (%)' }],
+                funnel.map(stage => ({ ...stage, rate: stage.rate === null ? null : Number(stage.rate.toFixed(2)) }))
+              )}
+            />
           </div>
           
-          <div className="h-64 w-full bg-gray-50 flex items-center justify-center mb-4">
-            <p className="text-sm text-gray-500">Conversion funnel chart will be displayed here</p>
+          <div className="space-y-3 mb-4">
+            {funnel.map(stage => (
+              <div key={stage.key} className="flex items-center gap-3">
+                <span className="w-36 text-sm text-gray-600">{stage.stage}</span>
+                <div className="flex-1 h-6 bg-gray-100 rounded overflow-hidden">
+                  <div
+                    className="h-full bg-blue-500 rounded"
+                    style={{ width: `${Math.min(stage.rate ?? 0, 100)}%` }}
+                  ></div>
+                </div>
+              </div>
+            ))}
           </div>
           
           <div className="grid grid-cols-1 sm:grid-cols-4 gap-4">
-            {[
-              { stage: "Visitors", value: 28547, percentage: "100%" },
-              { stage: "View Listing", value: 12483, percentage: "43.7%" },
-              { stage: "Contact Business", value: 2875, percentage: "10.1%" },
-              { stage: "Conversion", value: 987, percentage: "3.5%" }
-            ].map((stage, index) => (
-              <div key={index} className="bg-gray-50 p-3 rounded-lg">
+            {funnel.map(stage => (
+              <div key={stage.key} className="bg-gray-50 p-3 rounded-lg">
                 <p className="text-xs font-medium text-gray-500 mb-1">{stage.stage}</p>
-                <p className="text-lg font-bold text-gray-800">{stage.value.toLocaleString()}</p>
-                <p className="text-xs text-gray-500">{stage.percentage}</p>
+                <p className="text-lg font-bold text-gray-800">{formatNumber(stage.value)}</p>
+                <p className="text-xs text-gray-500">{stage.rate === null ? '—' : `${stage.rate.toFixed(1)}%`}</p>
               </div>
             ))}
           </div>
@@ -421,8 +800,63 @@ const AnalyticsPage = () => {
           </div>
         </div>
       </div>
+
+      {/* Drill-down */}
+      <Sheet open={drillDown !== null} onOpenChange={(isOpen) => !isOpen && setDrillDown(null)}>
+        <SheetContent className="overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>{drillDown?.title}</SheetTitle>
+            <SheetDescription>
+              {drillDown && drillDown.startDate !== drillDown.endDate
+                ? `${formatDate(new Date(`${drillDown.startDate}T00:00:00Z`))} – ${formatDate(new Date(`${drillDown.endDate}T00:00:00Z`))}`
+                : drillDown?.startDate && formatDate(new Date(`${drillDown.startDate}T00:00:00Z`))}
+            </SheetDescription>
+          </SheetHeader>
+
+          <div className="py-4">
+            {drillDown?.loading ? (
+              <div className="flex justify-center py-8">
+                <div className="w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full animate-spin"></div>
+              </div>
+            ) : drillDown?.items.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-8">Nothing to show for this period</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {drillDown?.kind === 'users' && drillDown.items.map(user => (
+                  <li key={user.id} className="py-3">
+                    <p className="text-sm font-medium text-gray-800">{user.displayName || user.email}</p>
+                    <p className="text-xs text-gray-500">
+                      {user.email} · {humanize(user.role || 'user')}
+                      {user.createdAt && ` · ${formatDate(user.createdAt, 'long')}`}
+                    </p>
+                  </li>
+                ))}
+                {drillDown?.kind === 'listings' && drillDown.items.map(listing => (
+                  <li key={listing.id} className="py-3">
+                    <Link to={`/listings/edit/${listing.id}`} className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                      {listing.name}
+                    </Link>
+                    <p className="text-xs text-gray-500">
+                      {humanize(listing.type || '')} · {humanize(listing.status || '')}
+                      {listing.createdAt && ` · ${formatDate(listing.createdAt, 'long')}`}
+                    </p>
+                  </li>
+                ))}
+                {drillDown?.kind === 'topListings' && drillDown.items.map(listing => (
+                  <li key={listing.listingId} className="py-3 flex items-center justify-between">
+                    <Link to={`/listings/edit/${listing.listingId}`} className="text-sm font-medium text-blue-600 hover:text-blue-800">
+                      {listing.listingName || listing.listingId}
+                    </Link>
+                    <span className="text-sm text-gray-600">{formatNumber(listing.views)} views</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </SheetContent>
+      </Sheet>
     </div>
   );
 };
 
-export default AnalyticsPage;
\ No newline at end of file
+export default AnalyticsPage;
@@ -1,25 +1,57 @@
 // ApplicationsPage.jsx
-import React, { useState } from 'react';
-import { 
-  Search, Filter, CheckCircle, XCircle, 
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Search, Filter, CheckCircle, XCircle,
   MessageSquare, User, Briefcase, Calendar,
   MapPin, Phone, Mail, ChevronDown, ArrowRight,
-  Eye, Check, X
+  Eye, Check, X, RefreshCw
 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { APPLICATION_STATUS } from '../config/constants';
+import { formatDate, getRelativeTime } from '../utils/helpers';
+import { toDate } from '../utils/export';
+
+// Display labels for the pipeline statuses
+const STATUS_LABELS = {
+  [APPLICATION_STATUS.NEW]: "New",
+  [APPLICATION_STATUS.IN_PROGRESS]: "In Progress",
+  [APPLICATION_STATUS.CONTACTED]: "Contacted",
+  [APPLICATION_STATUS.SUCCESSFUL]: "Successful",
+  [APPLICATION_STATUS.CLOSED]: "Closed",
+  [APPLICATION_STATUS.REJECTED]: "Rejected"
+};
+
+// Tab options, each mapped onto the statuses it lists
+const TABS = [
+  { name: "All Applications", id: "all", statuses: [] },
+  { name: "New", id: "new", statuses: [APPLICATION_STATUS.NEW] },
+  { name: "In Progress", id: "progress", statuses: [APPLICATION_STATUS.IN_PROGRESS] },
+  { name: "Contacted", id: "contacted", statuses: [APPLICATION_STATUS.CONTACTED] },
+  {
+    name: "Closed",
+    id: "closed",
+    statuses: [APPLICATION_STATUS.SUCCESSFUL, APPLICATION_STATUS.CLOSED, APPLICATION_STATUS.REJECTED]
+  }
+];
+
+const PAGE_SIZE = 20;
 
 const ApplicationsPage = () => {
+  const navigate = useNavigate();
+  const { ApplicationService } = useDatabase();
   const [activeTab, setActiveTab] = useState('all');
   const [selectedApp, setSelectedApp] = useState(null);
-  
-  // Tab options
-  const tabs = [
-    { name: "All Applications", id: "all", count: 156 },
-    { name: "New", id: "new", count: 42 },
-    { name: "In Progress", id: "progress", count: 37 },
-    { name: "Contacted", id: "contacted", count: 52 },
-    { name: "Closed", id: "closed", count: 25 }
-  ];
-  
+  const [applications, setApplications] = useState([]);
+  const [counts, setCounts] = useState({ all: 0 });
+  const [lastVisible, setLastVisible] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [messageText, setMessageText] = useState('');
+
   // Status badge colors
   const statusColors = {
     "New": "bg-blue-100 text-blue-800",
@@ -29,23 +61,133 @@ const ApplicationsPage = () => {
     "Closed": "bg-gray-100 text-gray-800",
     "Rejected": "bg-red-100 text-red-800"
   };
-  
-  // Mock application data
-  const applications = Array.from({ length: 10 }, (_, i) => ({
-    id: i + 1,
-    name: `Applicant ${i + 1}`,
-    email: `applicant${i + 1}@example.com`,
-    phone: `+91 ${9876543210 - i}`,
-    business: `Business Opportunity ${i + 1}`,
-    type: i % 5 === 0 ? "Business" : i % 5 === 1 ? "Franchise" : i % 5 === 2 ? "Startup" : i % 5 === 3 ? "Investor" : "Digital Asset",
-    status: i % 6 === 0 ? "New" : i % 6 === 1 ? "In Progress" : i % 6 === 2 ? "Contacted" : i % 6 === 3 ? "Successful" : i % 6 === 4 ? "Closed" : "Rejected",
-    date: `2025-0${Math.floor(Math.random() * 3) + 1}-${Math.floor(Math.random() * 28) + 1}`,
-    location: "Mumbai, India",
-    investment: `₹${(Math.floor(Math.random() * 50) + 10)}L - ₹${(Math.floor(Math.random() * 50) + 60)}L`,
-    notes: "Interested in exploring business opportunities in the tech sector. Looking for established businesses with good growth potential.",
-    messages: Math.floor(Math.random() * 5)
+
+  // Tab counts come from the per-status aggregate counts
+  const tabs = TABS.map(tab => ({
+    ...tab,
+    count: tab.statuses.length === 0
+      ? counts.all || 0
+      : tab.statuses.reduce((sum, status) => sum + (counts[status] || 0), 0)
   }));
-  
+
+  const fetchCounts = useCallback(async () => {
+    try {
+      setCounts(await ApplicationService.getApplicationCounts());
+    } catch (err) {
+      console.error('Error fetching application counts:', err);
+    }
+  }, [ApplicationService]);
+
+  // Loads the first page of the active tab, or the page after `cursor`
+  const fetchApplications = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+
+    try {
+      const tab = TABS.find(t => t.id === activeTab);
+      const result = await ApplicationService.getApplications(
+        { statuses: tab.statuses },
+        PAGE_SIZE,
+        cursor
+      );
+
+      setApplications(prev => cursor ? [...prev, ...result.applications] : result.applications);
+      setLastVisible(result.lastVisible);
+      setHasMore(result.hasMore);
+    } catch (err) {
+      toast.error(`Failed to load applications: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [ApplicationService, activeTab]);
+
+  useEffect(() => {
+    fetchApplications();
+  }, [fetchApplications]);
+
+  useEffect(() => {
+    fetchCounts();
+  }, [fetchCounts]);
+
+  // Search runs over the loaded page
+  const visibleApplications = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return applications;
+
+    return applications.filter(app =>
+      [app.name, app.email, app.business, app.listingName]
+        .some(value => value && value.toLowerCase().includes(term))
+    );
+  }, [applications, searchTerm]);
+
+  const currentApp = applications.find(a => a.id === selectedApp);
+  const nextStatuses = currentApp ? ApplicationService.APPLICATION_TRANSITIONS[currentApp.status] || [] : [];
+
+  // Replace an application in local state after a write
+  const refreshApplication = async (id) => {
+    const updated = await ApplicationService.getApplicationById(id);
+    if (updated) {
+      setApplications(prev => prev.map(app => app.id === id ? updated : app));
+    }
+  };
+
+  const handleStatusChange = async (status) => {
+    if (!currentApp) return;
+
+    setIsUpdating(true);
+    try {
+      await ApplicationService.updateApplicationStatus(currentApp.id, status);
+      await Promise.all([refreshApplication(currentApp.id), fetchCounts()]);
+      toast.success(`Application moved to ${STATUS_LABELS[status]}`);
+    } catch (err) {
+      toast.error(`Failed to update status: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleSendMessage = async () => {
+    if (!currentApp || !messageText.trim()) return;
+
+    setIsUpdating(true);
+    try {
+      await ApplicationService.addApplicationMessage(currentApp.id, messageText.trim());
+      setMessageText('');
+      await refreshApplication(currentApp.id);
+    } catch (err) {
+      toast.error(`Failed to send message: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  // Build the activity timeline from the recorded status history
+  const timeline = (currentApp?.statusHistory || []).map(entry => ({
+    action: entry.status === APPLICATION_STATUS.NEW
+      ? 'Application submitted'
+      : `Moved to ${STATUS_LABELS[entry.status]}${entry.note ? ` – ${entry.note}` : ''}`,
+    time: formatDate(entry.changedAt, 'long')
+  }));
+
+  const statusButtonClass = (status) => {
+    if (status === APPLICATION_STATUS.REJECTED) {
+      return 'bg-red-600 hover:bg-red-700 text-white';
+    }
+    if (status === APPLICATION_STATUS.SUCCESSFUL) {
+      return 'bg-green-600 hover:bg-green-700 text-white';
+    }
+    if (status === APPLICATION_STATUS.CLOSED) {
+      return 'bg-white border border-gray-300 hover:bg-gray-50 text-gray-700';
+    }
+    return 'bg-blue-600 hover:bg-blue-700 text-white';
+  };
+
+  const statusButtonIcon = (status) => {
+    if (status === APPLICATION_STATUS.REJECTED) return <X size={16} />;
+    if (status === APPLICATION_STATUS.CLOSED) return <XCircle size={16} />;
+    if (status === APPLICATION_STATUS.SUCCESSFUL) return <CheckCircle size={16} />;
+    return <Check size={16} />;
+  };
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
@@ -53,21 +195,33 @@ const ApplicationsPage = () => {
           <h2 className="text-lg font-bold text-gray-800 mb-1">Applications & Inquiries</h2>
           <p className="text-sm text-gray-500">Manage user inquiries and instant applications</p>
         </div>
+        <button
+          className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors"
+          onClick={() => {
+            fetchApplications();
+            fetchCounts();
+          }}
+        >
+          <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          <span className="font-medium">Refresh</span>
+        </button>
       </div>
-      
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         <div className="lg:col-span-1 bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
           <div className="p-4 border-b border-gray-100 bg-gray-50">
             <div className="relative">
-              <input 
-                type="text" 
-                placeholder="Search applications..." 
+              <input
+                type="text"
+                placeholder="Search applications..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
                 className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
               <Search size={16} className="absolute left-3 top-2.5 text-gray-400" />
             </div>
           </div>
-          
+
           <div className="border-b border-gray-100">
             <div className="flex overflow-x-auto">
               {tabs.map((tab) => (
@@ -78,7 +232,10 @@ const ApplicationsPage = () => {
                       ? 'border-blue-600 text-blue-600'
                       : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
                   }`}
-                  onClick={() => setActiveTab(tab.id)}
+                  onClick={() => {
+                    setActiveTab(tab.id);
+                    setSelectedApp(null);
+                  }}
                 >
                   {tab.name}
                   <span className="ml-2 bg-gray-100 text-gray-600 rounded-full px-2 py-0.5 text-xs">
@@ -88,69 +245,85 @@ const ApplicationsPage = () => {
               ))}
             </div>
           </div>
-          
+
           <div className="overflow-y-auto h-[calc(100vh-280px)]">
-            {applications.map((app) => (
-              <button
-                key={app.id}
-                className={`w-full text-left p-4 border-b border-gray-100 last:border-0 hover:bg-gray-50 transition-colors ${
-                  selectedApp === app.id ? 'bg-blue-50' : ''
-                }`}
-                onClick={() => setSelectedApp(app.id)}
-              >
-                <div className="flex justify-between items-start mb-2">
-                  <div className="flex items-center">
-                    <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold mr-3">
-                      {app.name.charAt(0)}
-                    </div>
-                    <div>
-                      <p className="text-sm font-medium text-gray-800">{app.name}</p>
-                      <p className="text-xs text-gray-500">{app.email}</p>
-                    </div>
-                  </div>
-                  <span className={`inline-flex text-xs px-2 py-0.5 rounded-full font-medium ${statusColors[app.status]}`}>
-                    {app.status}
-                  </span>
-                </div>
-                <p className="text-sm text-gray-700 mb-1">{app.business}</p>
-                <div className="flex items-center justify-between text-xs text-gray-500">
-                  <span>{app.date}</span>
-                  {app.messages > 0 && (
+            {isLoading && applications.length === 0 ? (
+              <div className="p-6 text-center text-sm text-gray-500">Loading applications...</div>
+            ) : visibleApplications.length === 0 ? (
+              <div className="p-6 text-center text-sm text-gray-500">No applications found</div>
+            ) : (
+              visibleApplications.map((app) => (
+                <button
+                  key={app.id}
+                  className={`w-full text-left p-4 border-b border-gray-100 last:border-0 hover:bg-gray-50 transition-colors ${
+                    selectedApp === app.id ? 'bg-blue-50' : ''
+                  }`}
+                  onClick={() => setSelectedApp(app.id)}
+                >
+                  <div className="flex justify-between items-start mb-2">
                     <div className="flex items-center">
-                      <MessageSquare size={12} className="mr-1" />
-                      <span>{app.messages}</span>
+                      <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold mr-3">
+                        {app.name?.charAt(0)}
+                      </div>
+                      <div>
+                        <p className="text-sm font-medium text-gray-800">{app.name}</p>
+                        <p className="text-xs text-gray-500">{app.email}</p>
+                      </div>
                     </div>
-                  )}
-                </div>
+                    <span className={`inline-flex text-xs px-2 py-0.5 rounded-full font-medium ${statusColors[STATUS_LABELS[app.status]]}`}>
+                      {STATUS_LABELS[app.status]}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-700 mb-1">{app.listingName || app.business}</p>
+                  <div className="flex items-center justify-between text-xs text-gray-500">
+                    <span>{formatDate(app.createdAt)}</span>
+                    {app.messageCount > 0 && (
+                      <div className="flex items-center">
+                        <MessageSquare size={12} className="mr-1" />
+                        <span>{app.messageCount}</span>
+                      </div>
+                    )}
+                  </div>
+                </button>
+              ))
+            )}
+
+            {hasMore && !searchTerm && (
+              <button
+                className="w-full p-3 text-sm font-medium text-blue-600 hover:bg-gray-50"
+                onClick={() => fetchApplications(lastVisible)}
+                disabled={isLoading}
+              >
+                {isLoading ? 'Loading...' : 'Load more'}
               </button>
-            ))}
+            )}
           </div>
         </div>
-        
+
         <div className="lg:col-span-2">
-          {selectedApp ? (
+          {currentApp ? (
             <div className="bg-white rounded-xl shadow-sm border border-gray-100">
               <div className="p-6 border-b border-gray-100 flex items-center justify-between">
                 <div className="flex items-center">
                   <div className="h-12 w-12 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold mr-4">
-                    {applications.find(a => a.id === selectedApp)?.name.charAt(0)}
+                    {currentApp.name?.charAt(0)}
                   </div>
                   <div>
                     <h3 className="text-lg font-bold text-gray-800">
-                      {applications.find(a => a.id === selectedApp)?.name}
+                      {currentApp.name}
                     </h3>
                     <p className="text-sm text-gray-500">
-                      Application for {applications.find(a => a.id === selectedApp)?.business}
+                      Application for {currentApp.listingName || currentApp.business}
                     </p>
                   </div>
                 </div>
                 <span className={`inline-flex text-xs px-2.5 py-1 rounded-full font-medium ${
-                  statusColors[applications.find(a => a.id === selectedApp)?.status]
+                  statusColors[STATUS_LABELS[currentApp.status]]
                 }`}>
-                  {applications.find(a => a.id === selectedApp)?.status}
+                  {STATUS_LABELS[currentApp.status]}
                 </span>
               </div>
-              
+
               <div className="p-6">
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
                   <div className="space-y-4">
@@ -159,66 +332,67 @@ const ApplicationsPage = () => {
                       <div className="space-y-2">
                         <div className="flex items-center">
                           <User size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">{applications.find(a => a.id === selectedApp)?.name}</span>
+                          <span className="text-sm text-gray-800">{currentApp.name}</span>
                         </div>
                         <div className="flex items-center">
                           <Mail size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">{applications.find(a => a.id === selectedApp)?.email}</span>
+                          <span className="text-sm text-gray-800">{currentApp.email}</span>
                         </div>
                         <div className="flex items-center">
                           <Phone size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">{applications.find(a => a.id === selectedApp)?.phone}</span>
-                        </div>
-                        <div className="flex items-center">
-                          <MapPin size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">{applications.find(a => a.id === selectedApp)?.location}</span>
+                          <span className="text-sm text-gray-800">{currentApp.phone}</span>
                         </div>
+                        {currentApp.location && (
+                          <div className="flex items-center">
+                            <MapPin size={16} className="text-gray-400 mr-2" />
+                            <span className="text-sm text-gray-800">{currentApp.location}</span>
+                          </div>
+                        )}
                       </div>
                     </div>
-                    
+
                     <div>
-                      <p className="text-xs font-medium text-gray-500 mb-1">Notes</p>
+                      <p className="text-xs font-medium text-gray-500 mb-1">Message</p>
                       <p className="text-sm text-gray-800 bg-gray-50 p-3 rounded-lg">
-                        {applications.find(a => a.id === selectedApp)?.notes}
+                        {currentApp.message}
                       </p>
                     </div>
                   </div>
-                  
+
                   <div className="space-y-4">
                     <div>
                       <p className="text-xs font-medium text-gray-500 mb-1">Business Interest</p>
                       <div className="space-y-2">
                         <div className="flex items-center">
                           <Briefcase size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">{applications.find(a => a.id === selectedApp)?.business}</span>
+                          <span className="text-sm text-gray-800">{currentApp.listingName || currentApp.business}</span>
                         </div>
                         <div className="flex items-center">
                           <Filter size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">{applications.find(a => a.id === selectedApp)?.type}</span>
+                          <span className="text-sm text-gray-800">{currentApp.listingType || currentApp.type}</span>
                         </div>
                         <div className="flex items-start">
                           <Calendar size={16} className="text-gray-400 mr-2 mt-0.5" />
                           <div>
-                            <span className="text-sm text-gray-800 block">Applied on {applications.find(a => a.id === selectedApp)?.date}</span>
-                            <span className="text-xs text-gray-500">5 days ago</span>
+                            <span className="text-sm text-gray-800 block">Applied on {formatDate(currentApp.createdAt)}</span>
+                            {toDate(currentApp.createdAt) && (
+                              <span className="text-xs text-gray-500">{getRelativeTime(toDate(currentApp.createdAt))}</span>
+                            )}
                           </div>
                         </div>
-                        <div className="flex items-center">
-                          <ChevronDown size={16} className="text-gray-400 mr-2" />
-                          <span className="text-sm text-gray-800">Investment Range: {applications.find(a => a.id === selectedApp)?.investment}</span>
-                        </div>
+                        {currentApp.investment && (
+                          <div className="flex items-center">
+                            <ChevronDown size={16} className="text-gray-400 mr-2" />
+                            <span className="text-sm text-gray-800">Investment Range: {currentApp.investment}</span>
+                          </div>
+                        )}
                       </div>
                     </div>
-                    
+
                     <div>
                       <p className="text-xs font-medium text-gray-500 mb-1">Activity Timeline</p>
                       <div className="space-y-3">
-                        {[
-                          { action: "Application submitted", time: "March 8, 2025 at 2:34 PM" },
-                          { action: "Application reviewed by admin", time: "March 9, 2025 at 10:15 AM" },
-                          { action: "Email sent to applicant", time: "March 9, 2025 at 11:30 AM" },
-                          { action: "Applicant viewed email", time: "March 9, 2025 at 3:45 PM" }
-                        ].map((activity, index) => (
+                        {timeline.map((activity, index) => (
                           <div key={index} className="flex items-start">
                             <div className="h-2 w-2 rounded-full bg-blue-500 mt-2 mr-3"></div>
                             <div>
@@ -231,59 +405,52 @@ const ApplicationsPage = () => {
                     </div>
                   </div>
                 </div>
-                
+
                 <div className="border-t border-gray-100 pt-6">
                   <h4 className="font-medium text-gray-800 mb-4">Communication</h4>
-                  
+
                   <div className="space-y-4 mb-6">
-                    {[
-                      { 
-                        sender: "System", 
-                        message: "Application received for Business Opportunity 1. Awaiting review.",
-                        time: "March 8, 2025 at 2:34 PM" 
-                      },
-                      { 
-                        sender: "Admin", 
-                        message: "Thank you for your interest in our business opportunity. We would like to schedule a call to discuss your application further.",
-                        time: "March 9, 2025 at 11:30 AM" 
-                      },
-                      { 
-                        sender: "Applicant", 
-                        message: "Thank you for getting back to me. I'm available for a call tomorrow between 10 AM and 2 PM.",
-                        time: "March 9, 2025 at 4:15 PM" 
-                      }
-                    ].map((message, index) => (
-                      <div 
-                        key={index} 
-                        className={`flex ${message.sender === 'Applicant' ? 'justify-end' : 'justify-start'}`}
+                    {(currentApp.messages || []).length === 0 && (
+                      <p className="text-sm text-gray-500">No messages yet.</p>
+                    )}
+                    {(currentApp.messages || []).map((message, index) => (
+                      <div
+                        key={index}
+                        className={`flex ${message.senderType === 'applicant' ? 'justify-end' : 'justify-start'}`}
                       >
-                        <div 
+                        <div
                           className={`max-w-lg rounded-lg p-4 ${
-                            message.sender === 'System' 
-                              ? 'bg-gray-100 text-gray-700' 
-                              : message.sender === 'Applicant'
+                            message.senderType === 'system'
+                              ? 'bg-gray-100 text-gray-700'
+                              : message.senderType === 'applicant'
                               ? 'bg-blue-100 text-blue-800'
                               : 'bg-green-100 text-green-800'
                           }`}
                         >
                           <div className="flex items-center justify-between mb-1">
-                            <span className="text-xs font-medium">{message.sender}</span>
-                            <span className="text-xs opacity-70">{message.time}</span>
+                            <span className="text-xs font-medium">{message.senderName}</span>
+                            <span className="text-xs opacity-70 ml-3">{formatDate(message.sentAt, 'long')}</span>
                           </div>
                           <p className="text-sm">{message.message}</p>
                         </div>
                       </div>
                     ))}
                   </div>
-                  
+
                   <div className="relative">
-                    <textarea 
-                      placeholder="Type a message..." 
+                    <textarea
+                      placeholder="Type a message..."
+                      value={messageText}
+                      onChange={(e) => setMessageText(e.target.value)}
                       className="w-full border border-gray-300 rounded-lg py-3 px-4 text-sm text-gray-700 h-24 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     ></textarea>
                     <div className="flex items-center justify-between p-3 border-t border-gray-200">
                       <div></div>
-                      <button className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors flex items-center">
+                      <button
+                        className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors flex items-center disabled:opacity-50"
+                        onClick={handleSendMessage}
+                        disabled={isUpdating || !messageText.trim()}
+                      >
                         <span className="font-medium">Send Message</span>
                         <ArrowRight size={16} className="ml-2" />
                       </button>
@@ -291,29 +458,39 @@ const ApplicationsPage = () => {
                   </div>
                 </div>
               </div>
-              
+
               <div className="p-6 border-t border-gray-100 bg-gray-50">
                 <div className="flex items-center justify-between">
                   <div className="flex items-center space-x-3">
-                    <button className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors">
+                    <button
+                      className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50"
+                      onClick={() => navigate(`/listings/edit/${currentApp.listingId}`)}
+                      disabled={!currentApp.listingId}
+                    >
                       <Eye size={16} />
                       <span className="font-medium">View Business</span>
                     </button>
-                    <button className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors">
+                    <a
+                      href={`mailto:${currentApp.email}`}
+                      className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors"
+                    >
                       <MessageSquare size={16} />
                       <span className="font-medium">Send Email</span>
-                    </button>
+                    </a>
                   </div>
-                  
+
                   <div className="flex items-center space-x-3">
-                    <button className="flex items-center gap-2 bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors">
-                      <X size={16} />
-                      <span className="font-medium">Reject</span>
-                    </button>
-                    <button className="flex items-center gap-2 bg-green-600 hover:bg-green-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors">
-                      <Check size={16} />
-                      <span className="font-medium">Approve</span>
-                    </button>
+                    {nextStatuses.map(status => (
+                      <button
+                        key={status}
+                        className={`flex items-center gap-2 py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50 ${statusButtonClass(status)}`}
+                        onClick={() => handleStatusChange(status)}
+                        disabled={isUpdating}
+                      >
+                        {statusButtonIcon(status)}
+                        <span className="font-medium">{STATUS_LABELS[status]}</span>
+                      </button>
+                    ))}
                   </div>
                 </div>
               </div>
@@ -337,4 +514,4 @@ const ApplicationsPage = () => {
   );
 };
 
-export default ApplicationsPage;
\ No newline at end of file
+export default ApplicationsPage;
@@ -0,0 +1,448 @@
+// pages/AuditLogPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  ScrollText, Search, Loader2, History, Download, ChevronDown, ChevronRight, ExternalLink
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS, AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import { getAuditChanges, getAuditEntityLink, formatAuditLabel } from '../utils/audit';
+import { EXPORT_FORMATS, createExportWriter, downloadBlob, toDate } from '../utils/export';
+import AuditChanges, { AuditActionBadge } from '../components/AuditChanges';
+import AuditTimeline from '../components/AuditTimeline';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+
+// Entries loaded per page
+const PAGE_SIZE = 25;
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+const EMPTY_FILTERS = {
+  actor: '',
+  action: '',
+  entityType: '',
+  entityId: '',
+  startDate: '',
+  endDate: ''
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'Entry ID' },
+  { key: 'timestamp', label: 'Time', type: 'date' },
+  { key: 'action', label: 'Action' },
+  { key: 'entityType', label: 'Entity Type' },
+  { key: 'entityId', label: 'Entity ID' },
+  { key: 'performedBy', label: 'Actor ID' },
+  { key: 'actorEmail', label: 'Actor Email' },
+  { key: 'severity', label: 'Severity' },
+  { key: 'status', label: 'Status' },
+  { key: 'fieldChanges', label: 'Changed Fields' },
+  { key: 'changes', label: 'Changes' },
+  { key: 'details', label: 'Details' }
+];
+
+/**
+ * Turns the filter form into getAuditLogs filters
+ *
+ * Dates cover whole local days. An actor given by email is looked up.
+ *
+ * @param {Object} form - Filter form values
+ * @param {Object} UserService - User service
+ * @returns {Promise<Object>} - Query filters
+ */
+const toQueryFilters = async (form, UserService) => {
+  const filters = {};
+  const actor = form.actor.trim();
+
+  if (actor.includes('@')) {
+    const user = await UserService.getUserByEmail(actor);
+    if (!user) {
+      throw new Error(`No user with email ${actor}`);
+    }
+    filters.performedBy = user.id;
+  } else if (actor) {
+    filters.performedBy = actor;
+  }
+
+  if (form.action) filters.action = form.action;
+  if (form.entityType) filters.entityType = form.entityType;
+  if (form.entityId.trim()) filters.entityId = form.entityId.trim();
+  if (form.startDate) filters.startDate = new Date(`${form.startDate}T00:00:00`);
+  if (form.endDate) filters.endDate = new Date(`${form.endDate}T23:59:59.999`);
+
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    throw new Error('The start date must be before the end date');
+  }
+
+  return filters;
+};
+
+/**
+ * Flattens an audit log entry into an export record
+ *
+ * @param {Object} log - Audit log entry
+ * @param {Object} actors - Map of user ID to { name, email }
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object} - Record keyed by export column
+ */
+const toExportRecord = (log, actors, format) => {
+  const changes = getAuditChanges(log)
+    .filter(change => change.recorded)
+    .map(({ path, before, after }) => ({ path, before, after }));
+  const details = { ...log.details };
+  delete details.changes;
+
+  // JSON keeps structured values; CSV cells need text
+  const structured = format === EXPORT_FORMATS.JSON;
+
+  return {
+    ...log,
+    timestamp: toDate(log.timestamp),
+    actorEmail: actors[log.performedBy]?.email || null,
+    fieldChanges: structured ? log.fieldChanges || [] : (log.fieldChanges || []).join(', '),
+    changes: structured ? changes : JSON.stringify(changes),
+    details: structured ? details : JSON.stringify(details)
+  };
+};
+
+const AuditLogPage = () => {
+  const { AuditLogService, UserService } = useDatabase();
+  const { can } = useAuth();
+  const [searchParams] = useSearchParams();
+  const linkedEntityType = searchParams.get('entityType') || '';
+  const linkedEntityId = searchParams.get('entityId') || '';
+
+  const [form, setForm] = useState({
+    ...EMPTY_FILTERS,
+    entityType: linkedEntityType,
+    entityId: linkedEntityId
+  });
+  const [filters, setFilters] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [actors, setActors] = useState({});
+  const [lastVisible, setLastVisible] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [timelineEntity, setTimelineEntity] = useState(null);
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const canExport = can(PERMISSIONS.EXPORT_REPORTS);
+
+  const fetchLogs = useCallback(async (queryFilters, cursor = null) => {
+    try {
+      setLoading(true);
+      const page = await AuditLogService.getAuditLogs(queryFilters, PAGE_SIZE, cursor);
+      const pageActors = await AuditLogService.getAuditActors(page.logs.map(log => log.performedBy));
+
+      setLogs(prev => (cursor ? [...prev, ...page.logs] : page.logs));
+      setActors(prev => ({ ...prev, ...pageActors }));
+      setLastVisible(page.lastVisible);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      toast.error(`Failed to load audit log: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [AuditLogService]);
+
+  const applyFilters = useCallback(async (values) => {
+    try {
+      const queryFilters = await toQueryFilters(values, UserService);
+      setFilters(queryFilters);
+      setExpandedId(null);
+      await fetchLogs(queryFilters);
+    } catch (err) {
+      toast.error(`Failed to load audit log: ${err.message}`);
+    }
+  }, [UserService, fetchLogs]);
+
+  // Reload whenever a link points the page at another entity
+  useEffect(() => {
+    const linkedForm = { ...EMPTY_FILTERS, entityType: linkedEntityType, entityId: linkedEntityId };
+    setForm(linkedForm);
+    applyFilters(linkedForm);
+  }, [applyFilters, linkedEntityType, linkedEntityId]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    applyFilters(form);
+  };
+
+  const handleReset = () => {
+    setForm(EMPTY_FILTERS);
+    applyFilters(EMPTY_FILTERS);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExportingFormat(format);
+      const { logs: allLogs, truncated } = await AuditLogService.getAllAuditLogs(filters);
+      const allActors = await AuditLogService.getAuditActors(allLogs.map(log => log.performedBy));
+
+      const writer = createExportWriter(format, EXPORT_COLUMNS);
+      writer.write(allLogs.map(log => toExportRecord(log, allActors, format)));
+      downloadBlob(await writer.finish(), `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      if (truncated) {
+        toast(`Exported the newest ${writer.count} entries. Narrow the filters to export the rest.`);
+      } else {
+        toast.success(`Exported ${writer.count} entries`);
+      }
+    } catch (err) {
+      toast.error(`Failed to export audit log: ${err.message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Audit Log</h2>
+          <p className="text-sm text-gray-500">Who changed what, and when</p>
+        </div>
+        {canExport && (
+          <div className="flex items-center gap-2">
+            {[EXPORT_FORMATS.CSV, EXPORT_FORMATS.JSON].map(format => (
+              <button
+                key={format}
+                className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                onClick={() => handleExport(format)}
+                disabled={!filters || exportingFormat !== null}
+              >
+                {exportingFormat === format ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                Export {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3">
+          <div>
+            <label htmlFor="auditActor" className="block text-sm font-medium text-gray-700 mb-1">Actor</label>
+            <input
+              id="auditActor"
+              type="text"
+              className={inputClassName}
+              placeholder="Email or user ID"
+              value={form.actor}
+              onChange={(e) => updateForm({ actor: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="auditAction" className="block text-sm font-medium text-gray-700 mb-1">Action</label>
+            <select
+              id="auditAction"
+              className={inputClassName}
+              value={form.action}
+              onChange={(e) => updateForm({ action: e.target.value })}
+            >
+              <option value="">All actions</option>
+              {Object.values(AUDIT_ACTIONS).map(action => (
+                <option key={action} value={action}>{formatAuditLabel(action)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="auditEntityType" className="block text-sm font-medium text-gray-700 mb-1">Entity type</label>
+            <select
+              id="auditEntityType"
+              className={inputClassName}
+              value={form.entityType}
+              onChange={(e) => updateForm({ entityType: e.target.value })}
+            >
+              <option value="">All types</option>
+              {Object.values(AUDIT_ENTITY_TYPES).map(type => (
+                <option key={type} value={type}>{formatAuditLabel(type)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="auditEntityId" className="block text-sm font-medium text-gray-700 mb-1">Entity ID</label>
+            <input
+              id="auditEntityId"
+              type="text"
+              className={`${inputClassName} font-mono`}
+              value={form.entityId}
+              onChange={(e) => updateForm({ entityId: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="auditStartDate" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              id="auditStartDate"
+              type="date"
+              className={inputClassName}
+              value={form.startDate}
+              max={form.endDate || undefined}
+              onChange={(e) => updateForm({ startDate: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="auditEndDate" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              id="auditEndDate"
+              type="date"
+              className={inputClassName}
+              value={form.endDate}
+              min={form.startDate || undefined}
+              onChange={(e) => updateForm({ endDate: e.target.value })}
+            />
+          </div>
+        </div>
+        <div className="flex items-center gap-3 mt-4">
+          <button
+            type="submit"
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            disabled={loading}
+          >
+            <Search size={16} />
+            Apply Filters
+          </button>
+          <button
+            type="button"
+            className="text-sm text-gray-600 hover:text-gray-800"
+            onClick={handleReset}
+          >
+            Reset
+          </button>
+        </div>
+      </form>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+        {logs.length === 0 && loading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading audit log...
+          </div>
+        ) : logs.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-12 text-gray-500">
+            <ScrollText className="h-8 w-8 mb-2" />
+            <p>No audit entries match these filters.</p>
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="w-8"></TableHead>
+                <TableHead>Time</TableHead>
+                <TableHead>Actor</TableHead>
+                <TableHead>Action</TableHead>
+                <TableHead>Entity</TableHead>
+                <TableHead>Changes</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {logs.map(log => {
+                const isExpanded = expandedId === log.id;
+                const changes = getAuditChanges(log);
+                const entityLink = getAuditEntityLink(log.entityType, log.entityId);
+                const entityName = log.details?.listingName || log.details?.name || log.details?.email;
+
+                return (
+                  <React.Fragment key={log.id}>
+                    <TableRow
+                      className="cursor-pointer"
+                      onClick={() => setExpandedId(isExpanded ? null : log.id)}
+                    >
+                      <TableCell>
+                        {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                      </TableCell>
+                      <TableCell className="text-sm whitespace-nowrap">{formatDate(log.timestamp, 'long')}</TableCell>
+                      <TableCell className="text-sm">
+                        <div>{actors[log.performedBy]?.name || log.performedBy}</div>
+                        {actors[log.performedBy]?.email && (
+                          <div className="text-xs text-gray-500">{actors[log.performedBy].email}</div>
+                        )}
+                      </TableCell>
+                      <TableCell><AuditActionBadge action={log.action} /></TableCell>
+                      <TableCell className="text-sm">
+                        <div className="text-gray-500">{formatAuditLabel(log.entityType)}</div>
+                        {entityLink ? (
+                          <Link
+                            to={entityLink}
+                            className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-800"
+                            onClick={(e) => e.stopPropagation()}
+                          >
+                            {entityName || <span className="font-mono">{log.entityId}</span>}
+                            <ExternalLink size={12} />
+                          </Link>
+                        ) : (
+                          <span className="font-mono">{entityName || log.entityId}</span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm text-gray-600">
+                        {changes.length > 0
+                          ? changes.map(change => change.path).join(', ')
+                          : '—'}
+                      </TableCell>
+                      <TableCell>
+                        {log.entityId && (
+                          <button
+                            className="p-1 text-gray-400 hover:text-blue-600"
+                            title="Entity timeline"
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setTimelineEntity({ type: log.entityType, id: log.entityId, name: entityName });
+                            }}
+                          >
+                            <History size={16} />
+                          </button>
+                        )}
+                      </TableCell>
+                    </TableRow>
+                    {isExpanded && (
+                      <TableRow className="bg-gray-50 hover:bg-gray-50">
+                        <TableCell></TableCell>
+                        <TableCell colSpan={6} className="py-4">
+                          <AuditChanges entry={log} />
+                        </TableCell>
+                      </TableRow>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+
+        {hasMore && (
+          <div className="flex justify-center p-4 border-t border-gray-100">
+            <button
+              type="button"
+              className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+              onClick={() => fetchLogs(filters, lastVisible)}
+              disabled={loading}
+            >
+              {loading && <Loader2 size={16} className="animate-spin" />}
+              Load more
+            </button>
+          </div>
+        )}
+      </div>
+
+      <AuditTimeline entity={timelineEntity} onClose={() => setTimelineEntity(null)} />
+    </div>
+  );
+};
+
+export default AuditLogPage;
@@ -12,105 +12,179 @@ import RecentListings from '../components/RecentListings';
 import InstantApplications from '../components/InstantApplications';
 import UserActivity from '../components/UserActivity';
 import { useDatabase } from '../contexts/DatabaseContext';
-import { LISTING_STATUS } from '../config/constants';
+import { METRIC_PERIODS } from '../config/constants';
+import { formatCurrency, formatDate, formatNumber } from '../utils/helpers';
+import { percentChange } from '../utils/analytics';
+
+// Pages listed in the activity table
+const PAGE_ACTIVITY_LIMIT = 10;
+
+/**
+ * Note for metrics that leave out days whose rollup is still pending
+ *
+ * @param {Object} pendingDays - { current, previous } from MetricsService.getDashboardMetrics
+ * @returns {string|undefined} - Card note
+ */
+const rollupPendingNote = (pendingDays) => {
+  const count = (pendingDays?.current || 0) + (pendingDays?.previous || 0);
+  if (count === 0) return undefined;
+  return `Rollup pending for ${count} ${count === 1 ? 'day' : 'days'}`;
+};
+
+/**
+ * Turns MetricsService KPIs into StatsCards entries
+ *
+ * @param {Object} metrics - Metrics from MetricsService.getDashboardMetrics
+ * @param {Object} pendingDays - Days left out of the activity metrics
+ * @returns {Array} - Stats cards
+ */
+const buildStats = (metrics, pendingDays) => [
+  {
+    title: "Total Users",
+    value: formatNumber(metrics.totalUsers.value),
+    change: metrics.totalUsers.change,
+    icon: Users,
+    color: "blue"
+  },
+  {
+    title: "Total Listings",
+    value: formatNumber(metrics.totalListings.value),
+    change: metrics.totalListings.change,
+    icon: Store,
+    color: "indigo"
+  },
+  {
+    title: "Pending Approvals",
+    value: formatNumber(metrics.pendingApprovals.value),
+    change: null,
+    note: "Current queue",
+    icon: Clock,
+    color: "yellow"
+  },
+  {
+    title: "Listing Visits",
+    value: formatNumber(metrics.visits.value),
+    change: metrics.visits.change,
+    note: rollupPendingNote(pendingDays),
+    icon: Eye,
+    color: "green"
+  },
+  {
+    title: "Conversion Rate",
+    value: metrics.conversionRate.value === null ? '—' : `${metrics.conversionRate.value.toFixed(1)}%`,
+    change: metrics.conversionRate.change,
+    note: rollupPendingNote(pendingDays),
+    icon: Activity,
+    color: "purple"
+  },
+  {
+    title: "Revenue",
+    value: formatCurrency(metrics.revenue.value),
+    change: metrics.revenue.change,
+    note: rollupPendingNote(pendingDays),
+    icon: TrendingUp,
+    color: "teal"
+  }
+];
+
+/**
+ * Shapes a listing for the RecentListings table
+ *
+ * @param {Object} listing - Listing document
+ * @returns {Object} - Table row
+ */
+const toRecentListingRow = (listing) => ({
+  id: listing.id,
+  name: listing.name,
+  type: listing.type ? listing.type.charAt(0).toUpperCase() + listing.type.slice(1) : '',
+  status: listing.status ? listing.status.charAt(0).toUpperCase() + listing.status.slice(1) : '',
+  owner: listing.ownerName || '',
+  date: listing.createdAt ? formatDate(listing.createdAt) : ''
+});
+
+/**
+ * Adds the change against the previous period to each page's views
+ *
+ * @param {Array} pages - AnalyticsService.getPageViewMetrics for the period
+ * @param {Array} previousPages - The same for the previous period
+ * @returns {Array} - Table rows ({ page, visits, share, change })
+ */
+const buildPageActivity = (pages, previousPages) => {
+  const previousVisits = new Map(previousPages.map(page => [page.page, page.visits]));
+  return pages.slice(0, PAGE_ACTIVITY_LIMIT).map(page => ({
+    ...page,
+    change: percentChange(page.visits, previousVisits.get(page.page) ?? 0)
+  }));
+};
 
 const DashboardPage = () => {
   // Get database services
   const { 
-    UserService, 
     ListingService, 
-    ActivityService,
-    SupportTicketService
+    SupportTicketService,
+    MetricsService,
+    AnalyticsService
   } = useDatabase();
   
   // State for dashboard data
+  const [periodDays, setPeriodDays] = useState(METRIC_PERIODS.LAST_30_DAYS.days);
   const [stats, setStats] = useState([]);
+  const [statsLoading, setStatsLoading] = useState(true);
   const [recentListings, setRecentListings] = useState([]);
   const [instantApps, setInstantApps] = useState([]);
   const [userActivity, setUserActivity] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   
-  // Fetch dashboard data on component mount
+  // Fetch KPIs whenever the reporting period changes
   useEffect(() => {
-    const fetchDashboardData = async () => {
+    const fetchMetrics = async () => {
       try {
-        // Fetch various counts for stats
-        const [
-          totalUsers,
-          totalListings,
-          pendingListings,
-          totalVisits,
-          conversionRate
-        ] = await Promise.all([
-          UserService.getUserCount(),
-          ListingService.getListingCount(),
-          ListingService.getListingCount(null, LISTING_STATUS.PENDING),
-          ActivityService.getTotalActivityCount('view_listing'),
-          // This would be a calculated metric in a real application
-          Promise.resolve(3.8)
+        setStatsLoading(true);
+        const { metrics, pendingDays } = await MetricsService.getDashboardMetrics(periodDays);
+        setStats(buildStats(metrics, pendingDays));
+      } catch (err) {
+        console.error("Error fetching dashboard metrics:", err);
+        setError(err.message);
+      } finally {
+        setStatsLoading(false);
+      }
+    };
+    
+    fetchMetrics();
+  }, [MetricsService, periodDays]);
+  
+  // Page views per page for the same period, read from the daily rollups
+  useEffect(() => {
+    const fetchPageActivity = async () => {
+      try {
+        const { current, previous } = MetricsService.getPeriodRanges(periodDays);
+        const [pages, previousPages] = await Promise.all([
+          AnalyticsService.getPageViewMetrics(current.dates[0], current.dates[current.dates.length - 1]),
+          AnalyticsService.getPageViewMetrics(previous.dates[0], previous.dates[previous.dates.length - 1])
         ]);
-        
-        // Prepare stats data
-        const statsData = [
-          {
-            title: "Total Users",
-            value: totalUsers.toString(),
-            change: "+12.5%", // This would be calculated in a real application
-            icon: Users,
-            color: "blue"
-          },
-          {
-            title: "Total Listings",
-            value: totalListings.toString(),
-            change: "+8.2%",
-            icon: Store,
-            color: "indigo"
-          },
-          {
-            title: "Pending Approvals",
-            value: pendingListings.toString(),
-            change: "+4.3%",
-            icon: Clock,
-            color: "yellow"
-          },
-          {
-            title: "Monthly Visits",
-            value: totalVisits.toString(),
-            change: "+16.7%",
-            icon: Eye,
-            color: "green"
-          },
-          {
-            title: "Conversion Rate",
-            value: `${conversionRate}%`,
-            change: "+1.2%",
-            icon: Activity,
-            color: "purple"
-          },
-          {
-            title: "Total Revenue",
-            value: "₹45.2L", // This would come from transaction data in a real app
-            change: "+9.8%",
-            icon: TrendingUp,
-            color: "teal"
-          }
-        ];
-        
-        setStats(statsData);
-        
+        setUserActivity(buildPageActivity(pages, previousPages));
+      } catch (err) {
+        console.error("Error fetching page activity:", err);
+        setUserActivity([]);
+      }
+    };
+    
+    fetchPageActivity();
+  }, [MetricsService, AnalyticsService, periodDays]);
+  
+  // Fetch the remaining dashboard data on component mount
+  useEffect(() => {
+    const fetchDashboardData = async () => {
+      try {
         // Fetch recent listings
         const listings = await ListingService.getRecentListings(5);
-        setRecentListings(listings);
+        setRecentListings(listings.map(toRecentListingRow));
         
         // Fetch recent support tickets/applications
         const applications = await SupportTicketService.getRecentTickets(3);
         setInstantApps(applications);
         
-        // Fetch user activity data
-        const activity = await ActivityService.getPageViewMetrics();
-        setUserActivity(activity);
-        
         setLoading(false);
       } catch (err) {
         console.error("Error fetching dashboard data:", err);
@@ -120,7 +194,7 @@ const DashboardPage = () => {
     };
     
     fetchDashboardData();
-  }, [UserService, ListingService, ActivityService, SupportTicketService]);
+  }, [ListingService, SupportTicketService]);
   
   // Show loading state
   if (loading) {
@@ -144,7 +218,20 @@ const DashboardPage = () => {
   return (
     <div>
       {/* Stats Cards */}
-      <StatsCards stats={stats} />
+      <div className="flex items-center justify-end mb-4">
+        <span className="text-sm text-gray-500 mr-2">Period:</span>
+        <select
+          className="text-sm border border-gray-300 rounded-md p-1"
+          value={periodDays}
+          onChange={(e) => setPeriodDays(Number(e.target.value))}
+          disabled={statsLoading}
+        >
+          {Object.values(METRIC_PERIODS).map(period => (
+            <option key={period.id} value={period.days}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+      <StatsCards stats={stats} comparisonLabel={`vs previous ${periodDays} days`} />
       
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mt-8">
         {/* Recent Listings */}
@@ -179,14 +266,7 @@ const DashboardPage = () => {
         <div className="p-6 border-b border-gray-100">
           <div className="flex items-center justify-between">
             <h2 className="text-lg font-bold text-gray-800">User Activity by Page</h2>
-            <div className="flex items-center">
-              <span className="text-sm text-gray-500 mr-2">Period:</span>
-              <select className="text-sm border border-gray-300 rounded-md p-1">
-                <option>Last 7 days</option>
-                <option>Last 30 days</option>
-                <option>Last 90 days</option>
-              </select>
-            </div>
+            <span className="text-sm text-gray-500">{`Last ${periodDays} days vs previous ${periodDays} days`}</span>
           </div>
         </div>
         <UserActivity activityData={userActivity} />
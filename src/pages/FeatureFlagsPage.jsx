@@ -0,0 +1,789 @@
+// pages/FeatureFlagsPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { Flag, Plus, Pencil, Trash, Search, Loader2, FlaskConical, UserCheck, BarChart3, Trophy } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import { validateData } from '../utils/validation';
+import { featureFlagSchema } from '../utils/validation/schemas';
+import { SEGMENT_ATTRIBUTES, SEGMENT_OPERATORS, NO_PLAN, describeRule } from '../utils/segments';
+import ExperimentResults from '../components/ExperimentResults';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle
+} from '@/components/ui/sheet';
+
+const ENVIRONMENTS = ['development', 'staging', 'production'];
+
+const EMPTY_FLAG = {
+  id: '',
+  description: '',
+  isEnabled: false,
+  environment: { development: true, staging: false, production: false },
+  rolloutPercentage: 100,
+  userSegments: []
+};
+
+const EMPTY_RULE = { attribute: 'role', operator: 'in', value: [] };
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+/**
+ * Whether a rule holds a list of values
+ *
+ * @param {Object} rule - Segment rule
+ * @returns {boolean} - True for the in / not_in operators
+ */
+const isListRule = (rule) => rule.operator === 'in' || rule.operator === 'not_in';
+
+/**
+ * Converts a stored flag to form state; list values other than roles are
+ * edited as comma-separated text
+ *
+ * @param {Object} flag - Feature flag
+ * @returns {Object} - Form state
+ */
+const toFormFlag = (flag) => ({
+  ...EMPTY_FLAG,
+  id: flag.id,
+  description: flag.description || '',
+  isEnabled: Boolean(flag.isEnabled),
+  environment: { ...EMPTY_FLAG.environment, ...flag.environment },
+  rolloutPercentage: flag.rolloutPercentage ?? 100,
+  userSegments: (flag.userSegments || []).map(segment => ({
+    name: segment.name,
+    rules: segment.rules.map(rule => ({
+      ...rule,
+      value: isListRule(rule) && rule.attribute !== 'role' && Array.isArray(rule.value)
+        ? rule.value.join(', ')
+        : rule.value
+    }))
+  }))
+});
+
+/**
+ * Converts form state back to the stored flag shape
+ *
+ * @param {Object} form - Form state
+ * @returns {Object} - Flag data
+ */
+const toStoredFlag = (form) => ({
+  id: form.id.trim(),
+  description: form.description.trim(),
+  isEnabled: form.isEnabled,
+  environment: form.environment,
+  rolloutPercentage: form.rolloutPercentage === '' ? NaN : Number(form.rolloutPercentage),
+  userSegments: form.userSegments.map(segment => ({
+    name: segment.name.trim(),
+    rules: segment.rules.map(rule => {
+      if (isListRule(rule) && typeof rule.value === 'string') {
+        return { ...rule, value: rule.value.split(',').map(value => value.trim()).filter(Boolean) };
+      }
+      if (rule.operator === 'within_days') {
+        return { ...rule, value: Number(rule.value) };
+      }
+      return rule;
+    })
+  }))
+});
+
+/**
+ * Explains an evaluation result
+ *
+ * @param {Object} result - Result of evaluateFeatureFlag
+ * @param {string} environment - Environment evaluated
+ * @returns {string} - Explanation
+ */
+const describeResult = (result, environment) => {
+  switch (result.reason) {
+    case 'disabled':
+      return 'Flag is switched off';
+    case 'environment':
+      return `Off in ${environment}`;
+    case 'segment':
+      return 'Not in any of its segments';
+    case 'rollout':
+      return `Outside the ${result.flag.rolloutPercentage}% rollout`;
+    default:
+      return result.segment ? `In segment "${result.segment.name}"` : 'Everyone';
+  }
+};
+
+const RuleValueInput = ({ rule, roles, planTypes, onChange, disabled }) => {
+  if (rule.attribute === 'role' && isListRule(rule)) {
+    const selected = Array.isArray(rule.value) ? rule.value : [];
+    return (
+      <div className="flex flex-wrap gap-3">
+        {roles.map(role => (
+          <label key={role.id} className="flex items-center gap-1 text-sm text-gray-700">
+            <Checkbox
+              checked={selected.includes(role.id)}
+              onCheckedChange={(checked) => onChange(
+                checked ? [...selected, role.id] : selected.filter(id => id !== role.id)
+              )}
+              disabled={disabled}
+            />
+            {role.name}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (rule.operator === 'before' || rule.operator === 'after') {
+    return (
+      <input
+        type="date"
+        className={inputClassName}
+        value={rule.value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      />
+    );
+  }
+
+  if (rule.operator === 'within_days') {
+    return (
+      <input
+        type="number"
+        min="1"
+        className={inputClassName}
+        value={rule.value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      />
+    );
+  }
+
+  return (
+    <>
+      <input
+        type="text"
+        className={inputClassName}
+        placeholder={rule.attribute === 'city' ? 'Mumbai, Pune' : `premium, ${NO_PLAN}`}
+        list={rule.attribute === 'planType' ? 'plan-types' : undefined}
+        value={rule.value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      />
+      {rule.attribute === 'planType' && (
+        <datalist id="plan-types">
+          {[...planTypes, NO_PLAN].map(type => <option key={type} value={type} />)}
+        </datalist>
+      )}
+    </>
+  );
+};
+
+const FeatureFlagsPage = () => {
+  const { FeatureFlagService, RoleService, PlanService, UserService } = useDatabase();
+  const { can } = useAuth();
+  const [flags, setFlags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [roles, setRoles] = useState([]);
+  const [planTypes, setPlanTypes] = useState([]);
+
+  const [editing, setEditing] = useState(null); // { isNew, form }
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [previewLookup, setPreviewLookup] = useState('');
+  const [previewEnvironment, setPreviewEnvironment] = useState('production');
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  const [resultsFlagId, setResultsFlagId] = useState(null);
+
+  const canEdit = can(PERMISSIONS.EDIT_SETTINGS);
+
+  const fetchFlags = useCallback(async () => {
+    try {
+      setLoading(true);
+      const allFlags = await FeatureFlagService.getAllFeatureFlags();
+      setFlags(allFlags.sort((a, b) => a.id.localeCompare(b.id)));
+    } catch (err) {
+      toast.error(`Failed to load feature flags: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [FeatureFlagService]);
+
+  useEffect(() => {
+    fetchFlags();
+
+    // Options for segment rules; the editor still works without them
+    RoleService.getRoles().then(setRoles).catch(() => setRoles([]));
+    PlanService.getActivePlans()
+      .then(plans => setPlanTypes([...new Set(plans.map(plan => plan.type).filter(Boolean))]))
+      .catch(() => setPlanTypes([]));
+  }, [fetchFlags, RoleService, PlanService]);
+
+  const openEditor = (flag = null) => {
+    setErrors({});
+    setEditing({ isNew: !flag, form: flag ? toFormFlag(flag) : EMPTY_FLAG });
+  };
+
+  const updateForm = (changes) => {
+    setEditing(prev => ({ ...prev, form: { ...prev.form, ...changes } }));
+  };
+
+  const updateSegment = (segmentIndex, changes) => {
+    updateForm({
+      userSegments: editing.form.userSegments.map((segment, index) => (
+        index === segmentIndex ? { ...segment, ...changes } : segment
+      ))
+    });
+  };
+
+  const updateRule = (segmentIndex, ruleIndex, changes) => {
+    const segment = editing.form.userSegments[segmentIndex];
+    updateSegment(segmentIndex, {
+      rules: segment.rules.map((rule, index) => {
+        if (index !== ruleIndex) return rule;
+        const updated = { ...rule, ...changes };
+
+        // A new attribute starts over with its first operator and no value
+        if (changes.attribute) {
+          updated.operator = SEGMENT_ATTRIBUTES[changes.attribute].operators[0];
+          updated.value = changes.attribute === 'role' ? [] : '';
+        } else if (changes.operator && isListRule(rule) !== isListRule(updated)) {
+          updated.value = isListRule(updated) && updated.attribute === 'role' ? [] : '';
+        }
+        return updated;
+      })
+    });
+  };
+
+  const handleSave = async () => {
+    const flagData = toStoredFlag(editing.form);
+    const validation = await validateData(flagData, featureFlagSchema);
+
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+
+      if (editing.isNew && await FeatureFlagService.getFeatureFlag(flagData.id)) {
+        setErrors({ id: 'A flag with this ID already exists' });
+        return;
+      }
+
+      const { id, ...data } = flagData;
+      await FeatureFlagService.setFeatureFlag(id, data);
+      toast.success(editing.isNew ? 'Feature flag created' : 'Feature flag updated');
+      setEditing(null);
+      fetchFlags();
+    } catch (err) {
+      toast.error(`Failed to save feature flag: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggle = async (flag, isEnabled) => {
+    try {
+      if (isEnabled) {
+        await FeatureFlagService.enableFeatureFlag(flag.id, Boolean(flag.environment?.production));
+      } else {
+        await FeatureFlagService.disableFeatureFlag(flag.id);
+      }
+      toast.success(`${flag.id} ${isEnabled ? 'enabled' : 'disabled'}`);
+      fetchFlags();
+    } catch (err) {
+      toast.error(`Failed to update feature flag: ${err.message}`);
+    }
+  };
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    const lookup = previewLookup.trim();
+    if (!lookup) return;
+
+    try {
+      setIsPreviewing(true);
+      let userId = lookup;
+
+      if (lookup.includes('@')) {
+        const user = await UserService.getUserByEmail(lookup);
+        if (!user) {
+          throw new Error(`No user with email ${lookup}`);
+        }
+        userId = user.id;
+      }
+
+      setPreview({
+        environment: previewEnvironment,
+        ...(await FeatureFlagService.getFeatureFlagsForUser(userId, previewEnvironment))
+      });
+    } catch (err) {
+      toast.error(`Failed to preview flags: ${err.message}`);
+      setPreview(null);
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const form = editing?.form;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Feature Flags</h2>
+          <p className="text-sm text-gray-500">Turn features on per environment, roll them out gradually or target user segments</p>
+        </div>
+        {canEdit && (
+          <button
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors"
+            onClick={() => openEditor()}
+          >
+            <Plus size={16} />
+            <span className="font-medium">New Flag</span>
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+        {loading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading flags...
+          </div>
+        ) : flags.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-12 text-gray-500">
+            <Flag className="h-8 w-8 mb-2" />
+            <p>No feature flags yet.</p>
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Flag</TableHead>
+                <TableHead>Enabled</TableHead>
+                <TableHead>Environments</TableHead>
+                <TableHead>Rollout</TableHead>
+                <TableHead>Targeting</TableHead>
+                <TableHead>Updated</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {flags.map(flag => (
+                <TableRow key={flag.id}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <span className="font-mono text-sm font-medium">{flag.id}</span>
+                      {flag.isTest && (
+                        <Badge variant="outline" className="gap-1">
+                          <FlaskConical size={12} />
+                          A/B · {flag.testVariants?.length || 0} variants
+                        </Badge>
+                      )}
+                      {!flag.isTest && flag.promotedVariant && (
+                        <Badge variant="outline" className="gap-1">
+                          <Trophy size={12} />
+                          {flag.promotedVariant.name || flag.promotedVariant.id}
+                        </Badge>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{flag.description}</p>
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={Boolean(flag.isEnabled)}
+                      onCheckedChange={(checked) => handleToggle(flag, checked)}
+                      disabled={!canEdit}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {ENVIRONMENTS.filter(env => flag.environment?.[env]).map(env => (
+                        <Badge key={env} variant="secondary">{env}</Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell>{flag.rolloutPercentage ?? 100}%</TableCell>
+                  <TableCell className="text-sm">
+                    {flag.userSegments?.length > 0
+                      ? flag.userSegments.map(segment => segment.name).join(', ')
+                      : <span className="text-gray-500">Everyone</span>}
+                  </TableCell>
+                  <TableCell className="text-sm text-gray-500">{formatDate(flag.updatedAt)}</TableCell>
+                  <TableCell>
+                    <div className="flex items-center">
+                      {flag.testVariants?.length > 0 && (
+                        <button
+                          className="p-1 text-gray-400 hover:text-blue-600"
+                          title="Test results"
+                          onClick={() => setResultsFlagId(flag.id)}
+                        >
+                          <BarChart3 size={16} />
+                        </button>
+                      )}
+                      <button
+                        className="p-1 text-gray-400 hover:text-blue-600"
+                        title={canEdit ? 'Edit flag' : 'View flag'}
+                        onClick={() => openEditor(flag)}
+                      >
+                        <Pencil size={16} />
+                      </button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+
+      {/* Preview as user */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
+        <h3 className="flex items-center gap-2 font-semibold text-gray-800 mb-1">
+          <UserCheck size={18} />
+          Preview as User
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">See which flags and variants a user gets.</p>
+
+        <form onSubmit={handlePreview} className="flex flex-wrap items-end gap-3 mb-4">
+          <div className="flex-1 min-w-[240px]">
+            <label htmlFor="previewLookup" className="block text-sm font-medium text-gray-700 mb-1">User email or ID</label>
+            <input
+              id="previewLookup"
+              type="text"
+              className={inputClassName}
+              value={previewLookup}
+              onChange={(e) => setPreviewLookup(e.target.value)}
+              placeholder="user@example.com"
+            />
+          </div>
+          <div>
+            <label htmlFor="previewEnvironment" className="block text-sm font-medium text-gray-700 mb-1">Environment</label>
+            <select
+              id="previewEnvironment"
+              className={inputClassName}
+              value={previewEnvironment}
+              onChange={(e) => setPreviewEnvironment(e.target.value)}
+            >
+              {ENVIRONMENTS.map(env => <option key={env} value={env}>{env}</option>)}
+            </select>
+          </div>
+          <button
+            type="submit"
+            className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            disabled={isPreviewing || !previewLookup.trim()}
+          >
+            {isPreviewing ? <Loader2 size={16} className="animate-spin" /> : <Search size={16} />}
+            Preview
+          </button>
+        </form>
+
+        {preview && (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              <span className="font-medium">{preview.user.displayName || preview.user.email}</span>
+              {' · '}role {preview.user.role || 'user'}
+              {' · '}plan {preview.user.currentPlan?.type || NO_PLAN}
+              {preview.user.location?.city && ` · ${preview.user.location.city}`}
+              {preview.user.createdAt && ` · joined ${formatDate(preview.user.createdAt)}`}
+            </p>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Flag</TableHead>
+                  <TableHead>Result</TableHead>
+                  <TableHead>Why</TableHead>
+                  <TableHead>Variant</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {preview.flags.map(result => (
+                  <TableRow key={result.flag.id}>
+                    <TableCell className="font-mono text-sm">{result.flag.id}</TableCell>
+                    <TableCell>
+                      <Badge className={result.enabled
+                        ? 'bg-green-100 text-green-800 border-green-300'
+                        : 'bg-gray-100 text-gray-600 border-gray-300'}
+                      >
+                        {result.enabled ? 'On' : 'Off'}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-sm text-gray-600">{describeResult(result, preview.environment)}</TableCell>
+                    <TableCell className="text-sm">{result.variant?.name || result.variant?.id || '—'}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </>
+        )}
+      </div>
+
+      {/* Create / edit */}
+      <Sheet open={editing !== null} onOpenChange={(isOpen) => !isOpen && !isSaving && setEditing(null)}>
+        <SheetContent className="sm:max-w-xl overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>{editing?.isNew ? 'New Feature Flag' : form?.id}</SheetTitle>
+            <SheetDescription>
+              Users get the flag when it is on in their environment, they are in one of its
+              segments (or it has none) and they fall inside the rollout.
+            </SheetDescription>
+          </SheetHeader>
+
+          {form && (
+            <fieldset disabled={!canEdit || isSaving} className="space-y-6 py-6">
+              {editing.isNew && (
+                <div>
+                  <label htmlFor="flagId" className="block text-sm font-medium text-gray-700 mb-1">ID</label>
+                  <input
+                    id="flagId"
+                    type="text"
+                    className={`${inputClassName} font-mono`}
+                    value={form.id}
+                    onChange={(e) => updateForm({ id: e.target.value })}
+                    placeholder="new-search-ui"
+                  />
+                  {errors.id && <p className="text-xs text-red-600 mt-1">{errors.id}</p>}
+                </div>
+              )}
+
+              <div>
+                <label htmlFor="flagDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  id="flagDescription"
+                  rows={2}
+                  className={inputClassName}
+                  value={form.description}
+                  onChange={(e) => updateForm({ description: e.target.value })}
+                />
+                {errors.description && <p className="text-xs text-red-600 mt-1">{errors.description}</p>}
+              </div>
+
+              <div className="flex items-center justify-between">
+                <label htmlFor="flagEnabled" className="text-sm font-medium text-gray-700">Enabled</label>
+                <Switch
+                  id="flagEnabled"
+                  checked={form.isEnabled}
+                  onCheckedChange={(checked) => updateForm({ isEnabled: checked })}
+                />
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Environments</p>
+                <div className="flex gap-4">
+                  {ENVIRONMENTS.map(env => (
+                    <label key={env} className="flex items-center gap-2 text-sm text-gray-700">
+                      <Checkbox
+                        checked={Boolean(form.environment[env])}
+                        onCheckedChange={(checked) => updateForm({
+                          environment: { ...form.environment, [env]: Boolean(checked) }
+                        })}
+                      />
+                      {env}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="flagRollout" className="block text-sm font-medium text-gray-700 mb-1">
+                  Rollout ({form.rolloutPercentage}% of eligible users)
+                </label>
+                <input
+                  id="flagRollout"
+                  type="range"
+                  min="0"
+                  max="100"
+                  className="w-full"
+                  value={form.rolloutPercentage}
+                  onChange={(e) => updateForm({ rolloutPercentage: Number(e.target.value) })}
+                />
+                {errors.rolloutPercentage && <p className="text-xs text-red-600 mt-1">{errors.rolloutPercentage}</p>}
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm font-medium text-gray-700">Segments</p>
+                  {canEdit && (
+                    <button
+                      type="button"
+                      className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800"
+                      onClick={() => updateForm({
+                        userSegments: [...form.userSegments, { name: '', rules: [EMPTY_RULE] }]
+                      })}
+                    >
+                      <Plus size={14} />
+                      Add segment
+                    </button>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mb-3">
+                  {form.userSegments.length === 0
+                    ? 'No segments: every user can get this flag.'
+                    : 'Users in any segment get the flag; a user is in a segment when all its rules match.'}
+                </p>
+
+                <div className="space-y-4">
+                  {form.userSegments.map((segment, segmentIndex) => (
+                    <div key={segmentIndex} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                      <div className="flex items-center gap-2">
+                        <input
+                          type="text"
+                          className={inputClassName}
+                          placeholder="Segment name, e.g. Mumbai premium owners"
+                          value={segment.name}
+                          onChange={(e) => updateSegment(segmentIndex, { name: e.target.value })}
+                        />
+                        {canEdit && (
+                          <button
+                            type="button"
+                            className="p-2 text-gray-400 hover:text-red-600"
+                            title="Remove segment"
+                            onClick={() => updateForm({
+                              userSegments: form.userSegments.filter((_, index) => index !== segmentIndex)
+                            })}
+                          >
+                            <Trash size={16} />
+                          </button>
+                        )}
+                      </div>
+                      {errors[`userSegments[${segmentIndex}].name`] && (
+                        <p className="text-xs text-red-600">{errors[`userSegments[${segmentIndex}].name`]}</p>
+                      )}
+                      {errors[`userSegments[${segmentIndex}].rules`] && (
+                        <p className="text-xs text-red-600">{errors[`userSegments[${segmentIndex}].rules`]}</p>
+                      )}
+
+                      {segment.rules.map((rule, ruleIndex) => {
+                        const errorPath = `userSegments[${segmentIndex}].rules[${ruleIndex}]`;
+                        const ruleError = errors[`${errorPath}.value`] || errors[`${errorPath}.operator`];
+                        return (
+                          <div key={ruleIndex} className="bg-gray-50 rounded-md p-3 space-y-2">
+                            <div className="flex items-center gap-2">
+                              <select
+                                className={inputClassName}
+                                value={rule.attribute}
+                                onChange={(e) => updateRule(segmentIndex, ruleIndex, { attribute: e.target.value })}
+                              >
+                                {Object.entries(SEGMENT_ATTRIBUTES).map(([key, attribute]) => (
+                                  <option key={key} value={key}>{attribute.label}</option>
+                                ))}
+                              </select>
+                              <select
+                                className={inputClassName}
+                                value={rule.operator}
+                                onChange={(e) => updateRule(segmentIndex, ruleIndex, { operator: e.target.value })}
+                              >
+                                {SEGMENT_ATTRIBUTES[rule.attribute].operators.map(operator => (
+                                  <option key={operator} value={operator}>{SEGMENT_OPERATORS[operator]}</option>
+                                ))}
+                              </select>
+                              {canEdit && segment.rules.length > 1 && (
+                                <button
+                                  type="button"
+                                  className="p-2 text-gray-400 hover:text-red-600"
+                                  title="Remove rule"
+                                  onClick={() => updateSegment(segmentIndex, {
+                                    rules: segment.rules.filter((_, index) => index !== ruleIndex)
+                                  })}
+                                >
+                                  <Trash size={14} />
+                                </button>
+                              )}
+                            </div>
+                            <RuleValueInput
+                              rule={rule}
+                              roles={roles}
+                              planTypes={planTypes}
+                              onChange={(value) => updateRule(segmentIndex, ruleIndex, { value })}
+                              disabled={!canEdit || isSaving}
+                            />
+                            {ruleError && <p className="text-xs text-red-600">{ruleError}</p>}
+                          </div>
+                        );
+                      })}
+
+                      {canEdit && (
+                        <button
+                          type="button"
+                          className="flex items-center gap-1 text-xs text-blue-600 hover:text-blue-800"
+                          onClick={() => updateSegment(segmentIndex, { rules: [...segment.rules, EMPTY_RULE] })}
+                        >
+                          <Plus size={12} />
+                          Add rule
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {!editing.isNew && form.userSegments.length > 0 && (
+                <div className="text-xs text-gray-500 space-y-1">
+                  {toStoredFlag(form).userSegments.map((segment, index) => (
+                    <p key={index}>
+                      <span className="font-medium">{segment.name || 'Unnamed'}:</span>{' '}
+                      {segment.rules.map(describeRule).join(' and ')}
+                    </p>
+                  ))}
+                </div>
+              )}
+            </fieldset>
+          )}
+
+          {canEdit && (
+            <SheetFooter>
+              <button
+                type="button"
+                className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm"
+                onClick={() => setEditing(null)}
+                disabled={isSaving}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                onClick={handleSave}
+                disabled={isSaving}
+              >
+                {isSaving && <Loader2 size={16} className="animate-spin" />}
+                {isSaving ? 'Saving...' : editing?.isNew ? 'Create Flag' : 'Save Changes'}
+              </button>
+            </SheetFooter>
+          )}
+        </SheetContent>
+      </Sheet>
+
+      <ExperimentResults
+        flagId={resultsFlagId}
+        canEdit={canEdit}
+        onClose={() => setResultsFlagId(null)}
+        onPromoted={() => {
+          setResultsFlagId(null);
+          fetchFlags();
+        }}
+      />
+    </div>
+  );
+};
+
+export default FeatureFlagsPage;
@@ -0,0 +1,545 @@
+// pages/FinancePage.jsx
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Wallet, Search, Loader2, Download, Undo2, AlertTriangle } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS, TRANSACTION_STATUS, TRANSACTION_TYPES } from '../config/constants';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { formatAuditLabel } from '../utils/audit';
+import { EXPORT_FORMATS, createExportWriter, downloadBlob } from '../utils/export';
+import {
+  filterByAmount,
+  getNetAmount,
+  getRefundedAmount,
+  getRefundableAmount,
+  summarizeRevenue,
+  summarizeTotals,
+  toPeriodKey,
+  toReconciliationRecord
+} from '../utils/finance';
+import { addDays } from '../utils/subscriptions';
+import RefundDialog from '../components/RefundDialog';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+
+// Ledger rows shown per page
+const PAGE_SIZE = 25;
+
+// Days covered by the default date range
+const DEFAULT_RANGE_DAYS = 30;
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+const STATUS_VARIANTS = {
+  [TRANSACTION_STATUS.COMPLETED]: 'default',
+  [TRANSACTION_STATUS.PENDING]: 'secondary',
+  [TRANSACTION_STATUS.FAILED]: 'destructive',
+  [TRANSACTION_STATUS.PARTIALLY_REFUNDED]: 'outline',
+  [TRANSACTION_STATUS.REFUNDED]: 'outline'
+};
+
+const EXPORT_COLUMNS = [
+  { key: 'id', label: 'Transaction ID' },
+  { key: 'createdAt', label: 'Created', type: 'date' },
+  { key: 'completedAt', label: 'Completed', type: 'date' },
+  { key: 'type', label: 'Type' },
+  { key: 'status', label: 'Status' },
+  { key: 'userId', label: 'User ID' },
+  { key: 'userEmail', label: 'User Email' },
+  { key: 'amount', label: 'Amount' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'refunded', label: 'Refunded' },
+  { key: 'refundable', label: 'Refundable' },
+  { key: 'refundCount', label: 'Refunds' },
+  { key: 'net', label: 'Net' },
+  { key: 'method', label: 'Payment Method' },
+  { key: 'gateway', label: 'Gateway' },
+  { key: 'gatewayTransactionId', label: 'Gateway Transaction ID' },
+  { key: 'reference', label: 'Reference' },
+  { key: 'refundedAt', label: 'Refunded At', type: 'date' }
+];
+
+/**
+ * Filter form covering the last DEFAULT_RANGE_DAYS days
+ *
+ * @returns {Object} - Filter form values
+ */
+const getDefaultFilters = () => {
+  const today = new Date();
+  return {
+    type: '',
+    status: '',
+    user: '',
+    startDate: toPeriodKey(addDays(today, -DEFAULT_RANGE_DAYS), 'day'),
+    endDate: toPeriodKey(today, 'day'),
+    minAmount: '',
+    maxAmount: ''
+  };
+};
+
+/**
+ * Turns the filter form into getAllTransactions filters and an amount range
+ *
+ * Dates cover whole local days. A user given by email is looked up. Amounts
+ * are not indexed, so they are applied to the loaded transactions.
+ *
+ * @param {Object} form - Filter form values
+ * @param {Object} UserService - User service
+ * @returns {Promise<Object>} - { filters, minAmount, maxAmount }
+ */
+const toQueryFilters = async (form, UserService) => {
+  const filters = {};
+  const user = form.user.trim();
+
+  if (user.includes('@')) {
+    const found = await UserService.getUserByEmail(user);
+    if (!found) {
+      throw new Error(`No user with email ${user}`);
+    }
+    filters.userId = found.id;
+  } else if (user) {
+    filters.userId = user;
+  }
+
+  if (form.type) filters.type = form.type;
+  if (form.status) filters.status = form.status;
+  if (form.startDate) filters.startDate = new Date(`${form.startDate}T00:00:00`);
+  if (form.endDate) filters.endDate = new Date(`${form.endDate}T23:59:59.999`);
+
+  if (filters.startDate && filters.endDate && filters.startDate > filters.endDate) {
+    throw new Error('The start date must be before the end date');
+  }
+
+  const minAmount = form.minAmount === '' ? null : Number(form.minAmount);
+  const maxAmount = form.maxAmount === '' ? null : Number(form.maxAmount);
+
+  if (minAmount !== null && maxAmount !== null && minAmount > maxAmount) {
+    throw new Error('The minimum amount must not exceed the maximum');
+  }
+
+  return { filters, minAmount, maxAmount };
+};
+
+const FinancePage = () => {
+  const { TransactionService, AuditLogService, UserService } = useDatabase();
+  const { can } = useAuth();
+
+  const [form, setForm] = useState(getDefaultFilters);
+  const [transactions, setTransactions] = useState([]);
+  const [users, setUsers] = useState({});
+  const [truncated, setTruncated] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [granularity, setGranularity] = useState('day');
+  const [page, setPage] = useState(0);
+  const [refunding, setRefunding] = useState(null);
+  const [lastQuery, setLastQuery] = useState(null);
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const canRefund = can(PERMISSIONS.REFUND_TRANSACTIONS);
+  const canExport = can(PERMISSIONS.EXPORT_REPORTS);
+
+  const totals = useMemo(() => summarizeTotals(transactions), [transactions]);
+  const revenue = useMemo(() => summarizeRevenue(transactions, granularity), [transactions, granularity]);
+  const pageCount = Math.max(1, Math.ceil(transactions.length / PAGE_SIZE));
+  const pageTransactions = transactions.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const fetchTransactions = useCallback(async (queryValues) => {
+    try {
+      setLoading(true);
+      const { filters, minAmount, maxAmount } = queryValues;
+      const result = await TransactionService.getAllTransactions(filters);
+      const matching = filterByAmount(result.transactions, minAmount, maxAmount);
+
+      setTransactions(matching);
+      setUsers(await AuditLogService.getAuditActors(matching.map(transaction => transaction.userId)));
+      setTruncated(result.truncated);
+      setPage(0);
+    } catch (err) {
+      toast.error(`Failed to load transactions: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [TransactionService, AuditLogService]);
+
+  const applyFilters = useCallback(async (values) => {
+    try {
+      const queryValues = await toQueryFilters(values, UserService);
+      setLastQuery(queryValues);
+      await fetchTransactions(queryValues);
+    } catch (err) {
+      toast.error(`Failed to load transactions: ${err.message}`);
+    }
+  }, [UserService, fetchTransactions]);
+
+  // The form starts out with the default filters
+  useEffect(() => {
+    applyFilters(getDefaultFilters());
+  }, [applyFilters]);
+
+  const updateForm = (changes) => {
+    setForm(prev => ({ ...prev, ...changes }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    applyFilters(form);
+  };
+
+  const handleReset = () => {
+    const defaults = getDefaultFilters();
+    setForm(defaults);
+    applyFilters(defaults);
+  };
+
+  const handleExport = async (format) => {
+    try {
+      setExportingFormat(format);
+      const writer = createExportWriter(format, EXPORT_COLUMNS);
+      writer.write(transactions.map(transaction => toReconciliationRecord(transaction, users)));
+      downloadBlob(await writer.finish(), `transactions-${new Date().toISOString().slice(0, 10)}.${format}`);
+
+      if (truncated) {
+        toast(`Exported the newest ${writer.count} transactions. Narrow the filters to export the rest.`);
+      } else {
+        toast.success(`Exported ${writer.count} transactions`);
+      }
+    } catch (err) {
+      toast.error(`Failed to export transactions: ${err.message}`);
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Finance</h2>
+          <p className="text-sm text-gray-500">Payments, refunds and advisor payouts</p>
+        </div>
+        {canExport && (
+          <div className="flex items-center gap-2">
+            {[EXPORT_FORMATS.CSV, EXPORT_FORMATS.JSON].map(format => (
+              <button
+                key={format}
+                className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                onClick={() => handleExport(format)}
+                disabled={loading || transactions.length === 0 || exportingFormat !== null}
+              >
+                {exportingFormat === format ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+                Export {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-sm border border-gray-100 p-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-4 lg:grid-cols-7 gap-3">
+          <div>
+            <label htmlFor="financeType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              id="financeType"
+              className={inputClassName}
+              value={form.type}
+              onChange={(e) => updateForm({ type: e.target.value })}
+            >
+              <option value="">All types</option>
+              {Object.values(TRANSACTION_TYPES).map(type => (
+                <option key={type} value={type}>{formatAuditLabel(type)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="financeStatus" className="block text-sm font-medium text-gray-700 mb-1">Status</label>
+            <select
+              id="financeStatus"
+              className={inputClassName}
+              value={form.status}
+              onChange={(e) => updateForm({ status: e.target.value })}
+            >
+              <option value="">All statuses</option>
+              {Object.values(TRANSACTION_STATUS).map(status => (
+                <option key={status} value={status}>{formatAuditLabel(status)}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="financeUser" className="block text-sm font-medium text-gray-700 mb-1">User</label>
+            <input
+              id="financeUser"
+              type="text"
+              className={inputClassName}
+              placeholder="Email or user ID"
+              value={form.user}
+              onChange={(e) => updateForm({ user: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="financeStartDate" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              id="financeStartDate"
+              type="date"
+              className={inputClassName}
+              value={form.startDate}
+              max={form.endDate || undefined}
+              onChange={(e) => updateForm({ startDate: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="financeEndDate" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              id="financeEndDate"
+              type="date"
+              className={inputClassName}
+              value={form.endDate}
+              min={form.startDate || undefined}
+              onChange={(e) => updateForm({ endDate: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="financeMinAmount" className="block text-sm font-medium text-gray-700 mb-1">Min amount</label>
+            <input
+              id="financeMinAmount"
+              type="number"
+              min="0"
+              step="0.01"
+              className={inputClassName}
+              value={form.minAmount}
+              onChange={(e) => updateForm({ minAmount: e.target.value })}
+            />
+          </div>
+          <div>
+            <label htmlFor="financeMaxAmount" className="block text-sm font-medium text-gray-700 mb-1">Max amount</label>
+            <input
+              id="financeMaxAmount"
+              type="number"
+              min="0"
+              step="0.01"
+              className={inputClassName}
+              value={form.maxAmount}
+              onChange={(e) => updateForm({ maxAmount: e.target.value })}
+            />
+          </div>
+        </div>
+        <div className="flex items-center gap-3 mt-4">
+          <button
+            type="submit"
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            disabled={loading}
+          >
+            <Search size={16} />
+            Apply Filters
+          </button>
+          <button
+            type="button"
+            className="text-sm text-gray-600 hover:text-gray-800"
+            onClick={handleReset}
+          >
+            Reset
+          </button>
+        </div>
+      </form>
+
+      {truncated && (
+        <div className="flex items-center gap-2 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg p-3 mb-6 text-sm">
+          <AlertTriangle size={16} />
+          Only the newest {transactions.length} transactions are included. Narrow the filters for complete figures.
+        </div>
+      )}
+
+      {totals.length > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
+          {totals.map(total => (
+            <div key={total.currency} className="bg-white rounded-xl shadow-sm border border-gray-100 p-4">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-sm text-gray-500">Net revenue · {total.currency}</span>
+                <span className="text-xs text-gray-400">{total.count} settled</span>
+              </div>
+              <div className="text-2xl font-bold text-gray-800 mb-2">{formatCurrency(total.net, total.currency)}</div>
+              <dl className="grid grid-cols-3 gap-2 text-xs">
+                <div>
+                  <dt className="text-gray-500">Gross</dt>
+                  <dd className="text-gray-800">{formatCurrency(total.gross, total.currency)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Refunds</dt>
+                  <dd className="text-gray-800">{formatCurrency(total.refunds, total.currency)}</dd>
+                </div>
+                <div>
+                  <dt className="text-gray-500">Payouts</dt>
+                  <dd className="text-gray-800">{formatCurrency(total.payouts, total.currency)}</dd>
+                </div>
+              </dl>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {revenue.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+          <div className="flex items-center justify-between p-4 border-b border-gray-100">
+            <h3 className="font-semibold text-gray-800">Revenue</h3>
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+              {[['day', 'Daily'], ['month', 'Monthly']].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  className={`py-1 px-3 ${granularity === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                  onClick={() => setGranularity(value)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div className="max-h-80 overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{granularity === 'month' ? 'Month' : 'Day'}</TableHead>
+                  <TableHead>Currency</TableHead>
+                  <TableHead className="text-right">Transactions</TableHead>
+                  <TableHead className="text-right">Gross</TableHead>
+                  <TableHead className="text-right">Refunds</TableHead>
+                  <TableHead className="text-right">Payouts</TableHead>
+                  <TableHead className="text-right">Net</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {revenue.map(row => (
+                  <TableRow key={`${row.period}|${row.currency}`}>
+                    <TableCell className="text-sm font-mono">{row.period}</TableCell>
+                    <TableCell className="text-sm">{row.currency}</TableCell>
+                    <TableCell className="text-sm text-right">{row.count}</TableCell>
+                    <TableCell className="text-sm text-right">{formatCurrency(row.gross, row.currency)}</TableCell>
+                    <TableCell className="text-sm text-right">{formatCurrency(row.refunds, row.currency)}</TableCell>
+                    <TableCell className="text-sm text-right">{formatCurrency(row.payouts, row.currency)}</TableCell>
+                    <TableCell className="text-sm text-right font-medium">{formatCurrency(row.net, row.currency)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+        {transactions.length === 0 && loading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading transactions...
+          </div>
+        ) : transactions.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-12 text-gray-500">
+            <Wallet className="h-8 w-8 mb-2" />
+            <p>No transactions match these filters.</p>
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>User</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+                <TableHead className="text-right">Refunded</TableHead>
+                <TableHead className="text-right">Net</TableHead>
+                <TableHead>Reference</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {pageTransactions.map(transaction => {
+                const refunded = getRefundedAmount(transaction);
+                const reference = transaction.payment?.gatewayTransactionId || transaction.payment?.reference;
+
+                return (
+                  <TableRow key={transaction.id}>
+                    <TableCell className="text-sm whitespace-nowrap">{formatDate(transaction.createdAt, 'long')}</TableCell>
+                    <TableCell className="text-sm">
+                      <div>{users[transaction.userId]?.name || transaction.userId}</div>
+                      {users[transaction.userId]?.email && (
+                        <div className="text-xs text-gray-500">{users[transaction.userId].email}</div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">{formatAuditLabel(transaction.type)}</TableCell>
+                    <TableCell>
+                      <Badge variant={STATUS_VARIANTS[transaction.status] || 'secondary'}>
+                        {formatAuditLabel(transaction.status)}
+                      </Badge>
+                    </TableCell>
+                    <TableCell className="text-sm text-right whitespace-nowrap">
+                      {formatCurrency(transaction.amount || 0, transaction.currency)}
+                    </TableCell>
+                    <TableCell className="text-sm text-right whitespace-nowrap">
+                      {refunded > 0 ? formatCurrency(refunded, transaction.currency) : '—'}
+                    </TableCell>
+                    <TableCell className="text-sm text-right whitespace-nowrap">
+                      {formatCurrency(getNetAmount(transaction), transaction.currency)}
+                    </TableCell>
+                    <TableCell className="text-xs font-mono text-gray-500">{reference || '—'}</TableCell>
+                    <TableCell>
+                      {canRefund && getRefundableAmount(transaction) > 0 && (
+                        <button
+                          className="p-1 text-gray-400 hover:text-red-600"
+                          title="Refund"
+                          onClick={() => setRefunding(transaction)}
+                        >
+                          <Undo2 size={16} />
+                        </button>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                );
+              })}
+            </TableBody>
+          </Table>
+        )}
+
+        {pageCount > 1 && (
+          <div className="flex items-center justify-between p-4 border-t border-gray-100 text-sm text-gray-600">
+            <span>
+              {page * PAGE_SIZE + 1}–{Math.min((page + 1) * PAGE_SIZE, transactions.length)} of {transactions.length}
+            </span>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-1 px-3 rounded-lg disabled:opacity-50"
+                onClick={() => setPage(page - 1)}
+                disabled={page === 0}
+              >
+                Previous
+              </button>
+              <button
+                type="button"
+                className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-1 px-3 rounded-lg disabled:opacity-50"
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pageCount - 1}
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <RefundDialog
+        transaction={refunding}
+        onClose={() => setRefunding(null)}
+        onRefunded={() => lastQuery && fetchTransactions(lastQuery)}
+      />
+    </div>
+  );
+};
+
+export default FinancePage;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useForm, Controller, useFieldArray } from 'react-hook-form';
 import { yupResolver } from '@hookform/resolvers/yup';
 import { v4 as uuidv4 } from 'uuid';
@@ -7,11 +7,12 @@ import {
   Check, AlertCircle, X, Upload, MapPin, Calendar, 
   DollarSign as Dollar, BuildingIcon, Users, Percent, Trophy, 
   FileText, Link, Clock, Instagram, Facebook, Twitter, Linkedin,
-  Plus, Trash, ChevronRight, ChevronLeft, HelpCircle, Image, File
+  Plus, Trash, ChevronRight, ChevronLeft, HelpCircle, Image, File,
+  Star, Lock, Loader2
 } from 'lucide-react';
 
 // Utility Imports
-import { LISTING_TYPES, LISTING_STATUS, BUSINESS_TYPES, FRANCHISE_TYPES } from '../config/constants';
+import { LISTING_TYPES, LISTING_STATUS, BUSINESS_TYPES, FRANCHISE_TYPES, MEDIA_ACCESS, MEDIA_LIMITS } from '../config/constants';
 import { getListingValidationSchema } from '../utils/validation/listing-schemas';
 import { useDatabase } from '@/contexts/DatabaseContext';
 import { formatCurrency } from '../utils/helpers';
@@ -172,7 +173,7 @@ const ListingFormPage = ({
   onCancel = () => {} 
 }) => {
   const isEditMode = !!id;
-  const { ListingService, IndustryService, LocationService } = useDatabase();
+  const { ListingService, IndustryService, LocationService, MediaService } = useDatabase();
 
   // State Management
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -185,11 +186,18 @@ const ListingFormPage = ({
     states: [],
     cities: {}
   });
+  // Uploads in flight per media slot ({ key, name, progress })
   const [fileUploads, setFileUploads] = useState({
     featuredImage: null,
     galleryImages: [],
     documents: []
   });
+  // Storage paths uploaded in this session and not saved yet, deleted on removal
+  const unsavedUploads = useRef(new Set());
+  // Storage paths of saved media removed or replaced in this session. The
+  // files stay, since the listing's versions still refer to them; listing.js
+  // deletes them once those versions are pruned
+  const supersededPaths = useRef(new Set());
   const [isFetchingData, setIsFetchingData] = useState(true);
   const [formSections, setFormSections] = useState(FORM_SECTIONS[LISTING_TYPES.BUSINESS]);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
@@ -430,10 +438,10 @@ const ListingFormPage = ({
   };
   
   // Dynamic arrays for repeatable fields
-  const { fields: galleryFields, append: appendGallery, remove: removeGallery } = 
+  const { fields: galleryFields, append: appendGallery, remove: removeGallery, move: moveGallery } = 
     useFieldArray({ control, name: "media.galleryImages" });
   
-  const { fields: documentFields, append: appendDocument, remove: removeDocument } = 
+  const { fields: documentFields, append: appendDocument, remove: removeDocument, update: updateDocument } = 
     useFieldArray({ control, name: "media.documents" });
 
   // Field arrays for specific listing types
@@ -530,40 +538,8 @@ const ListingFormPage = ({
     setFormError(null);
 
     try {
-      // Process uploads first if any
-      if (fileUploads.featuredImage) {
-        // In a real app, you would upload the file to storage here
-        // For now, we'll just simulate it
-        data.media.featuredImage = {
-          url: URL.createObjectURL(fileUploads.featuredImage),
-          path: `listings/${data.id}/featured-${fileUploads.featuredImage.name}`,
-          alt: data.name,
-          width: 800,
-          height: 600
-        };
-      }
-
-      // Handle gallery images
-      if (fileUploads.galleryImages.length > 0) {
-        data.media.galleryImages = fileUploads.galleryImages.map((file, index) => ({
-          url: URL.createObjectURL(file),
-          path: `listings/${data.id}/gallery-${index}-${file.name}`,
-          alt: `${data.name} - Image ${index + 1}`,
-          width: 800,
-          height: 600
-        }));
-      }
-
-      // Handle documents
-      if (fileUploads.documents.length > 0) {
-        data.media.documents = fileUploads.documents.map((file, index) => ({
-          url: URL.createObjectURL(file),
-          path: `listings/${data.id}/doc-${index}-${file.name}`,
-          name: file.name,
-          type: file.type,
-          size: file.size,
-          isPublic: true
-        }));
+      if (isUploadingMedia) {
+        throw new Error('Wait for media uploads to finish before saving');
       }
 
       // Clean up the data
@@ -589,6 +565,8 @@ const ListingFormPage = ({
         await ListingService.createListing(cleanData);
       }
       
+      unsavedUploads.current.clear();
+      supersededPaths.current.clear();
       setIsDraftSaved(true);
       setHasUnsavedChanges(false);
       onSubmitSuccess();
@@ -623,6 +601,8 @@ const ListingFormPage = ({
         await ListingService.createListing(currentData);
       }
       
+      unsavedUploads.current.clear();
+      supersededPaths.current.clear();
       setIsDraftSaved(true);
       setHasUnsavedChanges(false);
     } catch (error) {
@@ -633,25 +613,130 @@ const ListingFormPage = ({
     }
   };
 
-  // Handle file upload
-  const handleFileUpload = (e, type) => {
+  const isUploadingMedia = Boolean(fileUploads.featuredImage)
+    || fileUploads.galleryImages.length > 0
+    || fileUploads.documents.length > 0;
+
+  // Tracks the progress of one upload in the fileUploads state
+  const trackUpload = (type, key, changes) => {
+    setFileUploads(prev => {
+      if (type === 'featuredImage') {
+        return { ...prev, featuredImage: changes ? { ...prev.featuredImage, ...changes } : null };
+      }
+
+      const others = prev[type].filter(upload => upload.key !== key);
+      const current = prev[type].find(upload => upload.key === key);
+      return { ...prev, [type]: changes ? [...others, { ...current, key, ...changes }] : others };
+    });
+  };
+
+  // Upload selected files to Storage and add them to the form
+  const handleFileUpload = async (e, type) => {
     const files = Array.from(e.target.files);
-    
-    if (type === 'featuredImage' && files.length > 0) {
-      setFileUploads(prev => ({
-        ...prev,
-        featuredImage: files[0]
-      }));
-    } else if (type === 'galleryImages') {
-      setFileUploads(prev => ({
-        ...prev,
-        galleryImages: [...prev.galleryImages, ...files]
-      }));
-    } else if (type === 'documents') {
-      setFileUploads(prev => ({
-        ...prev,
-        documents: [...prev.documents, ...files]
-      }));
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    const listingId = id || getValues('id');
+    const kind = type === 'documents' ? 'document' : 'image';
+    const selected = type === 'featuredImage' ? files.slice(0, 1) : files;
+
+    const errors = selected.map(file => MediaService.validateMediaFile(file, kind)).filter(Boolean);
+    if (type === 'galleryImages'
+      && galleryFields.length + fileUploads.galleryImages.length + selected.length > MEDIA_LIMITS.MAX_GALLERY_IMAGES) {
+      errors.push(`A listing can have at most ${MEDIA_LIMITS.MAX_GALLERY_IMAGES} gallery images`);
+    }
+    if (errors.length > 0) {
+      setFormError(errors.join('\n'));
+      return;
+    }
+
+    await Promise.all(selected.map(async (file) => {
+      const key = uuidv4();
+      const onProgress = (progress) => trackUpload(type, key, { progress });
+      trackUpload(type, key, { name: file.name, progress: 0 });
+
+      try {
+        if (type === 'documents') {
+          const document = await MediaService.uploadListingDocument(listingId, file, { onProgress });
+          unsavedUploads.current.add(document.path);
+          appendDocument(document);
+        } else {
+          const image = await MediaService.uploadListingImage(listingId, file, { onProgress });
+          unsavedUploads.current.add(image.path);
+
+          if (type === 'featuredImage') {
+            const previous = getValues('media.featuredImage');
+            setValue('media.featuredImage', { ...image, alt: previous?.alt || '' }, { shouldDirty: true });
+            removeMediaFiles(previous);
+          } else {
+            appendGallery(image);
+          }
+        }
+      } catch (error) {
+        console.error('Media upload error:', error);
+        setFormError(`Failed to upload ${file.name}: ${error.message}`);
+      } finally {
+        trackUpload(type, key, null);
+      }
+    }));
+  };
+
+  // Files uploaded in this session are deleted right away; saved files are
+  // left to version pruning
+  const removeMediaFiles = (item) => {
+    if (!item?.path) return;
+
+    if (!unsavedUploads.current.delete(item.path)) {
+      supersededPaths.current.add(item.path);
+      return;
+    }
+
+    MediaService.deleteMediaFiles(item).catch(error => {
+      console.error('Error deleting media files:', error);
+    });
+  };
+
+  const handleRemoveFeaturedImage = () => {
+    removeMediaFiles(getValues('media.featuredImage'));
+    setValue('media.featuredImage', { url: '', path: '', alt: '' }, { shouldDirty: true });
+  };
+
+  const handleRemoveGalleryImage = (index) => {
+    removeMediaFiles(getValues(`media.galleryImages.${index}`));
+    removeGallery(index);
+  };
+
+  const handleRemoveDocument = (index) => {
+    removeMediaFiles(getValues(`media.documents.${index}`));
+    removeDocument(index);
+  };
+
+  const handleSetFeaturedImage = (index) => {
+    const media = getValues('media');
+    const image = media.galleryImages[index];
+    const { featuredImage, galleryImages } = MediaService.promoteToFeatured(media, image.id || image.path);
+
+    setValue('media.featuredImage', featuredImage, { shouldDirty: true });
+    setValue('media.galleryImages', galleryImages, { shouldDirty: true });
+  };
+
+  const handleDocumentAccessChange = async (index, restricted) => {
+    const document = getValues(`media.documents.${index}`);
+    const access = restricted ? MEDIA_ACCESS.VERIFIED_BUYERS : MEDIA_ACCESS.PUBLIC;
+
+    try {
+      const updated = await MediaService.setDocumentAccess(id || getValues('id'), document, access);
+      // Switching back before saving lands on the saved file's path again,
+      // which then has to survive the save
+      const isSavedPath = supersededPaths.current.delete(updated.path);
+      removeMediaFiles(document);
+      if (!isSavedPath) {
+        unsavedUploads.current.add(updated.path);
+      }
+      updateDocument(index, updated);
+    } catch (error) {
+      console.error('Error changing document access:', error);
+      setFormError(`Failed to change access for ${document.name}: ${error.message}`);
     }
   };
 
@@ -4120,28 +4205,32 @@ const ListingFormPage = ({
           </p>
           
           <div className="flex items-center justify-center border-2 border-dashed border-gray-300 rounded-lg p-6 mt-2">
-            {fileUploads.featuredImage || watch('media.featuredImage.url') ? (
+            {fileUploads.featuredImage ? (
+              <div className="w-full max-w-xs text-center space-y-2">
+                <Loader2 className="mx-auto h-8 w-8 text-gray-400 animate-spin" />
+                <p className="text-sm truncate">{fileUploads.featuredImage.name}</p>
+                <Progress value={fileUploads.featuredImage.progress} />
+              </div>
+            ) : watch('media.featuredImage.url') ? (
               <div className="text-center">
                 <div className="relative inline-block">
                   <img 
-                    src={fileUploads.featuredImage ? URL.createObjectURL(fileUploads.featuredImage) : watch('media.featuredImage.url')}
+                    src={watch('media.featuredImage.url')}
                     alt="Featured preview" 
                     className="max-h-48 rounded-md"
                   />
                   <Button
+                    type="button"
                     variant="destructive"
                     size="icon"
                     className="absolute -top-2 -right-2 h-6 w-6 rounded-full"
-                    onClick={() => {
-                      setFileUploads(prev => ({ ...prev, featuredImage: null }));
-                      setValue('media.featuredImage.url', '', { shouldDirty: true });
-                    }}
+                    onClick={handleRemoveFeaturedImage}
                   >
                     <X className="h-3 w-3" />
                   </Button>
                 </div>
                 <p className="text-sm mt-2">
-                  {fileUploads.featuredImage?.name || 'Current featured image'}
+                  {watch('media.featuredImage.originalName') || 'Current featured image'}
                 </p>
               </div>
             ) : (
@@ -4155,25 +4244,18 @@ const ListingFormPage = ({
                       id="featuredImage" 
                       type="file" 
                       className="sr-only" 
-                      accept="image/*"
+                      accept={MEDIA_LIMITS.IMAGE_TYPES.join(',')}
                       onChange={(e) => handleFileUpload(e, 'featuredImage')}
                     />
                   </Label>
                 </div>
                 <p className="text-xs text-gray-500 mt-1">
-                  PNG, JPG, or JPEG (max. 5MB)
+                  PNG, JPG or WebP (max. 5MB)
                 </p>
               </div>
             )}
           </div>
           
-          {watch('media.featuredImage.url') && !fileUploads.featuredImage && (
-            <div className="flex items-center justify-center space-x-2 text-sm">
-              <Image className="h-4 w-4 text-gray-500" />
-              <p>Using existing image</p>
-            </div>
-          )}
-          
           <div>
             <Label htmlFor="media.featuredImage.alt" className="font-medium text-gray-700">
               Image Alt Text (for accessibility)
@@ -4203,7 +4285,7 @@ const ListingFormPage = ({
                 id="galleryImages" 
                 type="file" 
                 className="sr-only" 
-                accept="image/*"
+                accept={MEDIA_LIMITS.IMAGE_TYPES.join(',')}
                 multiple
                 onChange={(e) => handleFileUpload(e, 'galleryImages')}
               />
@@ -4211,47 +4293,66 @@ const ListingFormPage = ({
           </div>
           
           <p className="text-sm text-gray-500">
-            Upload additional images to showcase different aspects of your business.
+            Upload additional images to showcase different aspects of your business. Use the arrows to
+            change their order, or the star to make one the featured image.
           </p>
           
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-2">
-            {fileUploads.galleryImages.length > 0 && fileUploads.galleryImages.map((file, index) => (
-              <div key={index} className="relative">
+            {galleryFields.map((field, index) => (
+              <div key={field.id} className="relative group">
                 <img 
-                  src={URL.createObjectURL(file)} 
-                  alt={`Gallery image ${index + 1}`} 
+                  src={field.thumbnailUrl || field.url} 
+                  alt={field.alt || `Gallery image ${index + 1}`} 
                   className="h-24 w-full object-cover rounded-md"
                 />
                 <Button
+                  type="button"
                   variant="destructive"
                   size="icon"
                   className="absolute -top-2 -right-2 h-6 w-6 rounded-full"
-                  onClick={() => {
-                    const newFiles = [...fileUploads.galleryImages];
-                    newFiles.splice(index, 1);
-                    setFileUploads(prev => ({ ...prev, galleryImages: newFiles }));
-                  }}
+                  onClick={() => handleRemoveGalleryImage(index)}
                 >
                   <X className="h-3 w-3" />
                 </Button>
+                <div className="absolute bottom-1 left-1 right-1 flex justify-between">
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    size="icon"
+                    className="h-6 w-6"
+                    disabled={index === 0}
+                    onClick={() => moveGallery(index, index - 1)}
+                  >
+                    <ChevronLeft className="h-3 w-3" />
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    size="icon"
+                    className="h-6 w-6"
+                    title="Set as featured image"
+                    onClick={() => handleSetFeaturedImage(index)}
+                  >
+                    <Star className="h-3 w-3" />
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    size="icon"
+                    className="h-6 w-6"
+                    disabled={index === galleryFields.length - 1}
+                    onClick={() => moveGallery(index, index + 1)}
+                  >
+                    <ChevronRight className="h-3 w-3" />
+                  </Button>
+                </div>
               </div>
             ))}
             
-            {galleryFields.map((field, index) => (
-              <div key={field.id} className="relative">
-                <img 
-                  src={field.url} 
-                  alt={field.alt || `Gallery image ${index + 1}`} 
-                  className="h-24 w-full object-cover rounded-md"
-                />
-                <Button
-                  variant="destructive"
-                  size="icon"
-                  className="absolute -top-2 -right-2 h-6 w-6 rounded-full"
-                  onClick={() => removeGallery(index)}
-                >
-                  <X className="h-3 w-3" />
-                </Button>
+            {fileUploads.galleryImages.map(upload => (
+              <div key={upload.key} className="h-24 flex flex-col justify-center space-y-2 border rounded-md p-2 bg-white">
+                <p className="text-xs truncate">{upload.name}</p>
+                <Progress value={upload.progress} />
               </div>
             ))}
             
@@ -4281,49 +4382,51 @@ const ListingFormPage = ({
           </div>
           
           <p className="text-sm text-gray-500">
-            Upload relevant business documents (business plan, financial statements, etc.)
+            Upload relevant business documents (business plan, financial statements, etc.). New documents
+            are only visible to verified buyers; switch off the lock to share one with everyone.
           </p>
           
           <div className="space-y-2 mt-2">
-            {fileUploads.documents.length > 0 && fileUploads.documents.map((file, index) => (
-              <div key={index} className="flex items-center justify-between border p-2 rounded-md">
+            {documentFields.map((field, index) => (
+              <div key={field.id} className="flex items-center justify-between border p-2 rounded-md">
                 <div className="flex items-center space-x-2">
                   <File className="h-5 w-5 text-blue-500" />
-                  <span className="text-sm truncate max-w-[200px]">{file.name}</span>
+                  <span className="text-sm truncate max-w-[200px]">{field.name}</span>
                   <span className="text-xs text-gray-500">
-                    ({(file.size / 1024 / 1024).toFixed(2)} MB)
+                    {field.size ? `(${(field.size / 1024 / 1024).toFixed(2)} MB)` : `(${field.type})`}
                   </span>
                 </div>
-                <Button
-                  variant="ghost"
-                  size="icon"
-                  onClick={() => {
-                    const newFiles = [...fileUploads.documents];
-                    newFiles.splice(index, 1);
-                    setFileUploads(prev => ({ ...prev, documents: newFiles }));
-                  }}
-                >
-                  <X className="h-4 w-4" />
-                </Button>
+                <div className="flex items-center space-x-3">
+                  <div className="flex items-center space-x-2">
+                    <Switch
+                      id={`document-access-${index}`}
+                      checked={field.access !== MEDIA_ACCESS.PUBLIC}
+                      onCheckedChange={(restricted) => handleDocumentAccessChange(index, restricted)}
+                    />
+                    <Label htmlFor={`document-access-${index}`} className="text-xs flex items-center">
+                      <Lock className="h-3 w-3 mr-1" />
+                      Verified buyers only
+                    </Label>
+                  </div>
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => handleRemoveDocument(index)}
+                  >
+                    <X className="h-4 w-4" />
+                  </Button>
+                </div>
               </div>
             ))}
             
-            {documentFields.map((field, index) => (
-              <div key={field.id} className="flex items-center justify-between border p-2 rounded-md">
+            {fileUploads.documents.map(upload => (
+              <div key={upload.key} className="border p-2 rounded-md space-y-2">
                 <div className="flex items-center space-x-2">
-                  <File className="h-5 w-5 text-blue-500" />
-                  <span className="text-sm truncate max-w-[200px]">{field.name}</span>
-                  <span className="text-xs text-gray-500">
-                    ({field.type})
-                  </span>
+                  <Loader2 className="h-4 w-4 text-gray-400 animate-spin" />
+                  <span className="text-sm truncate max-w-[200px]">{upload.name}</span>
                 </div>
-                <Button
-                  variant="ghost"
-                  size="icon"
-                  onClick={() => removeDocument(index)}
-                >
-                  <X className="h-4 w-4" />
-                </Button>
+                <Progress value={upload.progress} />
               </div>
             ))}
             
@@ -4333,24 +4436,6 @@ const ListingFormPage = ({
               </div>
             )}
           </div>
-          
-          <div className="flex items-center space-x-2">
-            <Controller
-              name="documentPrivacy"
-              control={control}
-              defaultValue={false}
-              render={({ field }) => (
-                <Checkbox
-                  id="documentPrivacy"
-                  checked={field.value}
-                  onCheckedChange={field.onChange}
-                />
-              )}
-            />
-            <Label htmlFor="documentPrivacy" className="text-sm">
-              Some documents contain confidential information and should only be shared with serious buyers
-            </Label>
-          </div>
         </div>
         
         {/* SEO Information */}
@@ -11639,7 +11724,7 @@ const ListingFormPage = ({
           <Button
             variant="outline"
             onClick={saveDraft}
-            disabled={isSubmitting}
+            disabled={isSubmitting || isUploadingMedia}
           >
             Save Draft
           </Button>
@@ -11647,7 +11732,7 @@ const ListingFormPage = ({
           <Button
             type="button"
             onClick={handleSubmit(onSubmit)}
-            disabled={isSubmitting}
+            disabled={isSubmitting || isUploadingMedia}
             className="bg-blue-600 hover:bg-blue-700"
           >
             {isSubmitting ? (
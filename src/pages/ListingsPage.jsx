@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Store, 
@@ -32,15 +32,25 @@ import {
   ChevronRight,
   Archive,
   Layers,
-  Grid
+  Grid,
+  ShieldCheck,
+  History
 } from 'lucide-react';
 import { toast } from 'react-hot-toast';
 import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
 
 // Utility and Service Imports
-import { LISTING_TYPES, LISTING_STATUS } from '../config/constants';
+import { LISTING_TYPES, LISTING_STATUS, PERMISSIONS, AUDIT_ENTITY_TYPES } from '../config/constants';
 
 import { formatCurrency, formatDate } from '../utils/helpers';
+import { EXPORT_FORMATS, createExportWriter, downloadBlob } from '../utils/export';
+import {
+  LISTING_EXPORT_COLUMNS,
+  EXPORT_COLUMN_GROUPS,
+  DEFAULT_EXPORT_COLUMNS,
+  buildListingExportRecord
+} from '../utils/listing-export';
 
 // UI Components
 import { Button } from '@/components/ui/button';
@@ -136,6 +146,9 @@ import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 
 // Custom Components
 import ListingFormPage from './ListingFormPage';
+import ListingImportDialog from '../components/ListingImportDialog';
+import ListingVersionHistory from '../components/ListingVersionHistory';
+import AuditTimeline from '../components/AuditTimeline';
 
 // Type and Status Styling
 const TYPE_ICONS = {
@@ -154,6 +167,15 @@ const TYPE_NAMES = {
   [LISTING_TYPES.DIGITAL_ASSET]: "Digital Asset"
 };
 
+// Listings fetched per round trip while exporting
+const EXPORT_BATCH_SIZE = 200;
+
+const EXPORT_FORMAT_LABELS = {
+  [EXPORT_FORMATS.CSV]: 'CSV (.csv)',
+  [EXPORT_FORMATS.XLSX]: 'Excel (.xlsx)',
+  [EXPORT_FORMATS.JSON]: 'JSON (.json)'
+};
+
 const STATUS_COLORS = {
   [LISTING_STATUS.DRAFT]: 'bg-gray-100 text-gray-800 border-gray-300',
   [LISTING_STATUS.PENDING]: 'bg-yellow-100 text-yellow-800 border-yellow-300',
@@ -164,11 +186,18 @@ const STATUS_COLORS = {
 
 const ListingsPage = () => {
   const navigate = useNavigate();
-  const { ListingService } = useDatabase();
+  const { ListingService, IndustryService } = useDatabase();
+  const { can } = useAuth();
   // State Management
   const [listings, setListings] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [isExporting, setIsExporting] = useState(false);
+  const [isExportDialogOpen, setIsExportDialogOpen] = useState(false);
+  const [isImportDialogOpen, setIsImportDialogOpen] = useState(false);
+  const [auditListing, setAuditListing] = useState(null);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.CSV);
+  const [exportColumns, setExportColumns] = useState(DEFAULT_EXPORT_COLUMNS);
+  const [exportProgress, setExportProgress] = useState(0);
   const [error, setError] = useState(null);
   const [filters, setFilters] = useState({
     type: '',
@@ -182,9 +211,10 @@ const ListingsPage = () => {
     pageSize: 10,
     totalItems: 0,
     totalPages: 1,
-    hasMore: false,
-    lastDocument: null
+    hasMore: false
   });
+  // pageCursors.current[n] is the cursor that starts page n + 1
+  const pageCursors = useRef([null]);
   const [currentView, setCurrentView] = useState('grid'); // 'grid', 'table', 'card'
   const [selectedListings, setSelectedListings] = useState([]);
   const [filterVisible, setFilterVisible] = useState(false);
@@ -199,9 +229,16 @@ const ListingsPage = () => {
       label: status.charAt(0).toUpperCase() + status.slice(1),
       checked: false
     })),
-    priceRange: { min: 0, max: 10000000 },
+    priceRange: { min: '', max: '' },
+    revenueRange: { min: '', max: '' },
+    industry: '',
+    city: '',
+    state: '',
     dateRange: { start: null, end: null }
   });
+  // Filters the current results were fetched with
+  const [appliedFilters, setAppliedFilters] = useState({});
+  const [industries, setIndustries] = useState([]);
 
   // Modal States
   const [isFormModalOpen, setIsFormModalOpen] = useState(false);
@@ -234,118 +271,116 @@ const ListingsPage = () => {
     return (count / stats.total) * 100;
   };
 
-  // Fetch Listings
-  const fetchListings = async (resetPagination = false) => {
+  // Build the service filters from the filter panel and search box
+  const buildActiveFilters = (options, searchTerm) => {
+    const activeFilters = {
+      types: options.types.filter(t => t.checked).map(t => t.value),
+      statuses: options.statuses.filter(s => s.checked).map(s => s.value),
+      minPrice: options.priceRange.min,
+      maxPrice: options.priceRange.max,
+      minRevenue: options.revenueRange.min,
+      maxRevenue: options.revenueRange.max,
+      industry: options.industry,
+      city: options.city.trim(),
+      state: options.state.trim(),
+      searchTerm: searchTerm.trim()
+    };
+
+    // Drop empty values so they are not sent as filters
+    return Object.fromEntries(
+      Object.entries(activeFilters).filter(([, value]) =>
+        Array.isArray(value) ? value.length > 0 : value !== '' && value !== null
+      )
+    );
+  };
+
+  // Load a page, walking forward from the nearest cached cursor
+  const loadPage = useCallback(async (pageNum) => {
+    let cursorIndex = Math.min(pageNum - 1, pageCursors.current.length - 1);
+
+    const fetchPageAt = async (index) => {
+      const page = await ListingService.getListings(
+        appliedFilters, 
+        pagination.pageSize, 
+        pageCursors.current[index]
+      );
+      pageCursors.current[index + 1] = page.lastDocument;
+      return page;
+    };
+
+    let result = await fetchPageAt(cursorIndex);
+    while (cursorIndex + 1 < pageNum && result.hasMore) {
+      cursorIndex++;
+      result = await fetchPageAt(cursorIndex);
+    }
+
+    setListings(result.listings);
+    setPagination(prev => ({
+      ...prev,
+      page: cursorIndex + 1,
+      hasMore: result.hasMore
+    }));
+  }, [ListingService, appliedFilters, pagination.pageSize]);
+
+  // Catalog-wide statistics from aggregate counts
+  const calculateStatistics = useCallback(async () => {
+    try {
+      const counts = await ListingService.getListingCounts();
+
+      setStats({
+        total: counts.total,
+        byType: counts.byType,
+        byStatus: counts.byStatus,
+        recentlyAdded: counts.recentlyAdded,
+        pendingApproval: counts.byStatus[LISTING_STATUS.PENDING] || 0,
+        publishedCount: counts.byStatus[LISTING_STATUS.PUBLISHED] || 0
+      });
+    } catch (err) {
+      console.error('Error fetching listing statistics:', err);
+    }
+  }, [ListingService]);
+
+  // Fetch Listings from the first page
+  const fetchListings = useCallback(async () => {
     setIsLoading(true);
     setError(null);
 
     try {
-      // Apply active filters
-      const activeFilters = {};
-      
-      // Type filters
-      const selectedTypes = filterOptions.types
-        .filter(t => t.checked)
-        .map(t => t.value);
-      if (selectedTypes.length > 0) {
-        activeFilters.type = selectedTypes[0]; // API limitation: can only filter by one type
-      }
-      
-      // Status filters
-      const selectedStatuses = filterOptions.statuses
-        .filter(s => s.checked)
-        .map(s => s.value);
-      if (selectedStatuses.length > 0) {
-        activeFilters.status = selectedStatuses[0]; // API limitation: can only filter by one status
-      }
-      
-      // Search term
-      if (filters.searchTerm) {
-        activeFilters.searchTerm = filters.searchTerm;
-      }
+      pageCursors.current = [null];
 
-      const result = await ListingService.getListings(
-        activeFilters, 
-        pagination.pageSize, 
-        resetPagination ? null : pagination.lastDocument
-      );
+      const [totalItems] = await Promise.all([
+        ListingService.getListingCount(null, null, appliedFilters),
+        loadPage(1),
+        calculateStatistics()
+      ]);
 
-      // Update listings
-      setListings(resetPagination ? result.listings : [...listings, ...result.listings]);
-      
-      // Update pagination
       setPagination(prev => ({
         ...prev,
-        page: resetPagination ? 1 : prev.page,
-        hasMore: result.hasMore,
-        lastDocument: result.lastDocument,
-        totalItems: Math.max(resetPagination ? result.listings.length : listings.length + result.listings.length, prev.totalItems),
-        totalPages: Math.ceil(Math.max(resetPagination ? result.listings.length : listings.length + result.listings.length, prev.totalItems) / prev.pageSize)
+        totalItems,
+        totalPages: Math.max(1, Math.ceil(totalItems / prev.pageSize))
       }));
-
-      // Calculate statistics
-      if (resetPagination) {
-        calculateStatistics(result.listings);
-      }
     } catch (err) {
       setError(err.message);
       toast.error(`Error: ${err.message}`);
     } finally {
       setIsLoading(false);
     }
-  };
+  }, [ListingService, appliedFilters, loadPage, calculateStatistics]);
 
-  // Calculate statistics from listings
-  const calculateStatistics = (listingsData) => {
-    const byType = {};
-    const byStatus = {};
-    const now = new Date();
-    const oneDayAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-
-    // Initialize counters
-    Object.values(LISTING_TYPES).forEach(type => { byType[type] = 0 });
-    Object.values(LISTING_STATUS).forEach(status => { byStatus[status] = 0 });
-    
-    let recentlyAdded = 0;
-    
-    listingsData.forEach(listing => {
-      // Count by type
-      if (listing.type) {
-        byType[listing.type] = (byType[listing.type] || 0) + 1;
-      }
-      
-      // Count by status
-      if (listing.status) {
-        byStatus[listing.status] = (byStatus[listing.status] || 0) + 1;
-      }
-      
-      // Count recently added
-      if (listing.createdAt) {
-        const createdDate = listing.createdAt.toDate ? listing.createdAt.toDate() : new Date(listing.createdAt);
-        if (createdDate > oneDayAgo) {
-          recentlyAdded++;
-        }
-      }
-    });
-    
-    setStats({
-      total: listingsData.length,
-      byType,
-      byStatus,
-      recentlyAdded,
-      pendingApproval: byStatus[LISTING_STATUS.PENDING] || 0,
-      publishedCount: byStatus[LISTING_STATUS.PUBLISHED] || 0
-    });
-  };
+  // Initial and Filter-based Listing Fetch; sorting happens in memory
+  useEffect(() => {
+    fetchListings();
+  }, [fetchListings]);
 
-  // Initial and Filter-based Listing Fetch
   useEffect(() => {
-    fetchListings(true);
-  }, [filters.sortBy, filters.sortOrder]);
+    IndustryService.getAllIndustries()
+      .then(setIndustries)
+      .catch(err => console.error('Error fetching industries:', err));
+  }, [IndustryService]);
 
   // Handle applying filters
   const handleApplyFilters = () => {
-    fetchListings(true);
+    setAppliedFilters(buildActiveFilters(filterOptions, filters.searchTerm));
     setFilterVisible(false);
   };
 
@@ -354,11 +389,30 @@ const ListingsPage = () => {
     setFilterOptions({
       types: filterOptions.types.map(type => ({ ...type, checked: false })),
       statuses: filterOptions.statuses.map(status => ({ ...status, checked: false })),
-      priceRange: { min: 0, max: 10000000 },
+      priceRange: { min: '', max: '' },
+      revenueRange: { min: '', max: '' },
+      industry: '',
+      city: '',
+      state: '',
       dateRange: { start: null, end: null }
     });
   };
 
+  // Reset filters and search, then reload
+  const handleClearAll = () => {
+    handleResetFilters();
+    setFilters(prev => ({ ...prev, searchTerm: '' }));
+    setAppliedFilters({});
+  };
+
+  // Update a min/max pair in the filter panel
+  const handleRangeChange = (range, bound, value) => {
+    setFilterOptions(prev => ({
+      ...prev,
+      [range]: { ...prev[range], [bound]: value }
+    }));
+  };
+
   // Handle Type Filter Toggle
   const handleTypeFilterToggle = (typeValue) => {
     setFilterOptions(prev => ({
@@ -382,8 +436,7 @@ const ListingsPage = () => {
   // Handle Search
   const handleSearch = (e) => {
     if (e.key === 'Enter') {
-      setFilters(prev => ({ ...prev, searchTerm: e.target.value }));
-      fetchListings(true);
+      setAppliedFilters(buildActiveFilters(filterOptions, e.target.value));
     }
   };
 
@@ -511,69 +564,47 @@ const ListingsPage = () => {
   };
 
   // Handle Pagination Change
-  const handlePageChange = (newPage) => {
-    if (newPage < 1 || newPage > pagination.totalPages) return;
-    
-    setPagination(prev => ({ ...prev, page: newPage }));
+  const handlePageChange = async (newPage) => {
+    if (newPage < 1 || newPage > pagination.totalPages || newPage === pagination.page || isLoading) return;
     
-    // If going to a previous page, refetch with new pagination
-    if (newPage < pagination.page) {
-      fetchListings(true);
-    } 
-    // If going to a next page and we have more results, load more
-    else if (newPage > pagination.page && pagination.hasMore) {
-      fetchListings(false);
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      await loadPage(newPage);
+    } catch (err) {
+      setError(err.message);
+      toast.error(`Error: ${err.message}`);
+    } finally {
+      setIsLoading(false);
     }
   };
 
   // Export Listings
+  // Streams every listing matching the applied filters, not just the current page
   const handleExportListings = async () => {
+    const columns = LISTING_EXPORT_COLUMNS.filter(column => exportColumns.includes(column.key));
+    if (columns.length === 0) {
+      toast.error('Select at least one column to export');
+      return;
+    }
+
     try {
       setIsExporting(true);
-      
-      // In a real application, this would call an API endpoint to generate CSV
-      // For now, we'll simulate the export with a basic CSV generation
-      
-      // Define headers based on common fields
-      const headers = [
-        'ID', 'Name', 'Type', 'Status', 'Location', 'Created Date', 
-        'Price/Investment', 'Owner', 'Views', 'Contact Requests'
-      ];
-      
-      // Transform listings to CSV rows
-      const rows = listings.map(listing => [
-        listing.id,
-        listing.name,
-        TYPE_NAMES[listing.type] || listing.type,
-        listing.status,
-        `${listing.location && listing.location.city ? listing.location.city : ''}, ${listing.location && listing.location.state ? listing.location.state : ''}`,
-        listing.createdAt ? formatDate(listing.createdAt) : 'N/A',
-        formatCurrency(
-          listing.businessDetails && listing.businessDetails.sale && listing.businessDetails.sale.askingPrice && listing.businessDetails.sale.askingPrice.value ? 
-          listing.businessDetails.sale.askingPrice.value : 
-          (listing.franchiseDetails && listing.franchiseDetails.investment && listing.franchiseDetails.investment.investmentRange && listing.franchiseDetails.investment.investmentRange.min && listing.franchiseDetails.investment.investmentRange.min.value ? 
-          listing.franchiseDetails.investment.investmentRange.min.value : 0)
-        ),
-        listing.ownerName || 'Unknown',
-        listing.analytics && listing.analytics.viewCount ? listing.analytics.viewCount : 0,
-        listing.analytics && listing.analytics.contactCount ? listing.analytics.contactCount : 0
-      ]);
-      
-      // Create CSV content
-      const csvContent = [
-        headers.join(','),
-        ...rows.map(row => row.join(','))
-      ].join('\n');
-      
-      // Create download link
-      const blob = new Blob([csvContent], { type: 'text/csv' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `listings-export-${new Date().toISOString().split('T')[0]}.csv`;
-      link.click();
-      
-      toast.success('Listings exported successfully');
+      setExportProgress(0);
+
+      const writer = createExportWriter(exportFormat, columns);
+
+      for await (const batch of ListingService.streamListings(appliedFilters, EXPORT_BATCH_SIZE)) {
+        writer.write(batch.map(listing => buildListingExportRecord(listing, columns)));
+        setExportProgress(writer.count);
+      }
+
+      const blob = await writer.finish();
+      downloadBlob(blob, `listings-export-${new Date().toISOString().split('T')[0]}.${exportFormat}`);
+
+      toast.success(`Exported ${writer.count} listings`);
+      setIsExportDialogOpen(false);
     } catch (err) {
       toast.error(`Failed to export listings: ${err.message}`);
     } finally {
@@ -581,22 +612,29 @@ const ListingsPage = () => {
     }
   };
 
+  const toggleExportColumn = (key, checked) => {
+    setExportColumns(prev => checked
+      ? [...prev, key]
+      : prev.filter(columnKey => columnKey !== key)
+    );
+  };
+
+  // Selects or clears every column in a group
+  const toggleExportGroup = (group, checked) => {
+    const groupKeys = LISTING_EXPORT_COLUMNS
+      .filter(column => column.group === group)
+      .map(column => column.key);
+
+    setExportColumns(prev => checked
+      ? [...new Set([...prev, ...groupKeys])]
+      : prev.filter(columnKey => !groupKeys.includes(columnKey))
+    );
+  };
+
   // Memoized listing filters for performance
   const filteredListings = useMemo(() => {
-    return listings
-      .filter(listing => {
-        // Filter by search term
-        if (filters.searchTerm && !listing.name.toLowerCase().includes(filters.searchTerm.toLowerCase())) {
-          return false;
-        }
-        
-        // Apply current page pagination
-        const startIdx = (pagination.page - 1) * pagination.pageSize;
-        const endIdx = startIdx + pagination.pageSize;
-        const listingIdx = listings.findIndex(l => l.id === listing.id);
-        
-        return listingIdx >= startIdx && listingIdx < endIdx;
-      })
+    // listings only ever holds the current page
+    return [...listings]
       .sort((a, b) => {
         // Apply sorting
         const aValue = a[filters.sortBy];
@@ -614,7 +652,7 @@ const ListingsPage = () => {
         
         return filters.sortOrder === 'asc' ? aValue - bValue : bValue - aValue;
       });
-  }, [listings, filters, pagination.page, pagination.pageSize]);
+  }, [listings, filters]);
 
   // Render Rating Stars
   const renderRatingStars = (rating = 0) => {
@@ -699,11 +737,7 @@ const ListingsPage = () => {
             <p className="text-gray-500 mt-2 max-w-md">
               {error ? error : "Try adjusting your filters or search terms to see more results."}
             </p>
-            <Button variant="outline" className="mt-4" onClick={() => {
-              handleResetFilters();
-              setFilters({...filters, searchTerm: ""});
-              fetchListings(true);
-            }}>
+            <Button variant="outline" className="mt-4" onClick={handleClearAll}>
               <RefreshCw className="h-4 w-4 mr-2" /> Reset Filters
             </Button>
           </div>
@@ -819,30 +853,30 @@ const ListingsPage = () => {
                           <Edit className="h-4 w-4 mr-2" /> Edit
                         </DropdownMenuItem>
                         <DropdownMenuSeparator />
-                        <DropdownMenuItem
-                          onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.PUBLISHED)}
-                          disabled={listing.status === LISTING_STATUS.PUBLISHED}
-                        >
-                          <Check className="h-4 w-4 mr-2 text-green-600" /> Publish
-                        </DropdownMenuItem>
+                        {listing.status === LISTING_STATUS.PENDING && (
+                          <DropdownMenuItem onSelect={() => navigate(`/moderation?listing=${listing.id}`)}>
+                            <ShieldCheck className="h-4 w-4 mr-2 text-blue-600" /> Review in Moderation
+                          </DropdownMenuItem>
+                        )}
                         <DropdownMenuItem
                           onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.PENDING)}
                           disabled={listing.status === LISTING_STATUS.PENDING}
                         >
                           <Clock className="h-4 w-4 mr-2 text-yellow-600" /> Mark as Pending
                         </DropdownMenuItem>
-                        <DropdownMenuItem
-                          onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.REJECTED)}
-                          disabled={listing.status === LISTING_STATUS.REJECTED}
-                        >
-                          <X className="h-4 w-4 mr-2 text-red-600" /> Reject
-                        </DropdownMenuItem>
                         <DropdownMenuItem
                           onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.ARCHIVED)}
                           disabled={listing.status === LISTING_STATUS.ARCHIVED}
                         >
                           <Archive className="h-4 w-4 mr-2 text-gray-600" /> Archive
                         </DropdownMenuItem>
+                        {can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+                          <DropdownMenuItem
+                            onSelect={() => setAuditListing({ type: AUDIT_ENTITY_TYPES.LISTING, id: listing.id, name: listing.name })}
+                          >
+                            <History className="h-4 w-4 mr-2" /> Audit History
+                          </DropdownMenuItem>
+                        )}
                         <DropdownMenuSeparator />
                         <DropdownMenuItem 
                           className="text-red-600"
@@ -933,11 +967,7 @@ const ListingsPage = () => {
                   <div className="flex flex-col items-center">
                     <AlertTriangle className="h-8 w-8 text-yellow-500 mb-2" />
                     <p className="text-gray-500">No listings found. Try adjusting your filters.</p>
-                    <Button variant="outline" className="mt-4" onClick={() => {
-                      handleResetFilters();
-                      setFilters({...filters, searchTerm: ""});
-                      fetchListings(true);
-                    }}>
+                    <Button variant="outline" className="mt-4" onClick={handleClearAll}>
                       Reset Filters
                     </Button>
                   </div>
@@ -1047,30 +1077,30 @@ const ListingsPage = () => {
                           <DropdownMenuContent align="end">
                             <DropdownMenuLabel>Actions</DropdownMenuLabel>
                             <DropdownMenuSeparator />
-                            <DropdownMenuItem
-                              onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.PUBLISHED)}
-                              disabled={listing.status === LISTING_STATUS.PUBLISHED}
-                            >
-                              <Check className="h-4 w-4 mr-2 text-green-600" /> Publish
-                            </DropdownMenuItem>
+                            {listing.status === LISTING_STATUS.PENDING && (
+                              <DropdownMenuItem onSelect={() => navigate(`/moderation?listing=${listing.id}`)}>
+                                <ShieldCheck className="h-4 w-4 mr-2 text-blue-600" /> Review in Moderation
+                              </DropdownMenuItem>
+                            )}
                             <DropdownMenuItem
                               onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.PENDING)}
                               disabled={listing.status === LISTING_STATUS.PENDING}
                             >
                               <Clock className="h-4 w-4 mr-2 text-yellow-600" /> Mark as Pending
                             </DropdownMenuItem>
-                            <DropdownMenuItem
-                              onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.REJECTED)}
-                              disabled={listing.status === LISTING_STATUS.REJECTED}
-                            >
-                              <X className="h-4 w-4 mr-2 text-red-600" /> Reject
-                            </DropdownMenuItem>
                             <DropdownMenuItem
                               onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.ARCHIVED)}
                               disabled={listing.status === LISTING_STATUS.ARCHIVED}
                             >
                               <Archive className="h-4 w-4 mr-2 text-gray-600" /> Archive
                             </DropdownMenuItem>
+                            {can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+                              <DropdownMenuItem
+                                onSelect={() => setAuditListing({ type: AUDIT_ENTITY_TYPES.LISTING, id: listing.id, name: listing.name })}
+                              >
+                                <History className="h-4 w-4 mr-2" /> Audit History
+                              </DropdownMenuItem>
+                            )}
                             <DropdownMenuSeparator />
                             <DropdownMenuItem 
                               className="text-red-600"
@@ -1131,11 +1161,7 @@ const ListingsPage = () => {
               <p className="text-gray-500 mt-2">
                 Try adjusting your filters or search terms to see more results.
               </p>
-              <Button variant="outline" className="mt-4" onClick={() => {
-                handleResetFilters();
-                setFilters({...filters, searchTerm: ""});
-                fetchListings(true);
-              }}>
+              <Button variant="outline" className="mt-4" onClick={handleClearAll}>
                 <RefreshCw className="h-4 w-4 mr-2" /> Reset Filters
               </Button>
             </CardContent>
@@ -1246,30 +1272,30 @@ const ListingsPage = () => {
                         </Button>
                       </DropdownMenuTrigger>
                       <DropdownMenuContent align="end">
-                        <DropdownMenuItem
-                          onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.PUBLISHED)}
-                          disabled={listing.status === LISTING_STATUS.PUBLISHED}
-                        >
-                          <Check className="h-4 w-4 mr-2 text-green-600" /> Publish
-                        </DropdownMenuItem>
+                        {listing.status === LISTING_STATUS.PENDING && (
+                          <DropdownMenuItem onSelect={() => navigate(`/moderation?listing=${listing.id}`)}>
+                            <ShieldCheck className="h-4 w-4 mr-2 text-blue-600" /> Review in Moderation
+                          </DropdownMenuItem>
+                        )}
                         <DropdownMenuItem
                           onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.PENDING)}
                           disabled={listing.status === LISTING_STATUS.PENDING}
                         >
                           <Clock className="h-4 w-4 mr-2 text-yellow-600" /> Mark as Pending
                         </DropdownMenuItem>
-                        <DropdownMenuItem
-                          onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.REJECTED)}
-                          disabled={listing.status === LISTING_STATUS.REJECTED}
-                        >
-                          <X className="h-4 w-4 mr-2 text-red-600" /> Reject
-                        </DropdownMenuItem>
                         <DropdownMenuItem
                           onSelect={() => handleStatusChange(listing.id, LISTING_STATUS.ARCHIVED)}
                           disabled={listing.status === LISTING_STATUS.ARCHIVED}
                         >
                           <Archive className="h-4 w-4 mr-2 text-gray-600" /> Archive
                         </DropdownMenuItem>
+                        {can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+                          <DropdownMenuItem
+                            onSelect={() => setAuditListing({ type: AUDIT_ENTITY_TYPES.LISTING, id: listing.id, name: listing.name })}
+                          >
+                            <History className="h-4 w-4 mr-2" /> Audit History
+                          </DropdownMenuItem>
+                        )}
                         <DropdownMenuSeparator />
                         <DropdownMenuItem 
                           className="text-red-600"
@@ -1729,10 +1755,11 @@ const ListingsPage = () => {
         </div>
         
         <Tabs defaultValue="details">
-          <TabsList className="grid w-full grid-cols-3">
+          <TabsList className="grid w-full grid-cols-4">
             <TabsTrigger value="details">Details</TabsTrigger>
             <TabsTrigger value="contact">Contact Info</TabsTrigger>
             <TabsTrigger value="analytics">Analytics</TabsTrigger>
+            <TabsTrigger value="history">History</TabsTrigger>
           </TabsList>
           
           <TabsContent value="details" className="space-y-4 pt-4">
@@ -1969,20 +1996,28 @@ const ListingsPage = () => {
               )}
             </div>
           </TabsContent>
+          
+          <TabsContent value="history" className="pt-4">
+            <ListingVersionHistory
+              listing={listing}
+              onRestored={(restored) => {
+                setSelectedListing(restored);
+                fetchListings();
+              }}
+            />
+          </TabsContent>
         </Tabs>
         
         <DialogFooter className="flex justify-between">
           <div className="flex items-center space-x-2">
-            <Button 
-              variant="outline"
-              onClick={() => {
-                handleStatusChange(listing.id, LISTING_STATUS.PUBLISHED);
-                setIsViewModalOpen(false);
-              }}
-              disabled={listing.status === LISTING_STATUS.PUBLISHED}
-            >
-              <Check className="h-4 w-4 mr-2" /> Publish
-            </Button>
+            {listing.status === LISTING_STATUS.PENDING && (
+              <Button 
+                variant="outline"
+                onClick={() => navigate(`/moderation?listing=${listing.id}`)}
+              >
+                <ShieldCheck className="h-4 w-4 mr-2" /> Review in Moderation
+              </Button>
+            )}
             <DropdownMenu>
               <DropdownMenuTrigger asChild>
                 <Button variant="outline">
@@ -2008,15 +2043,6 @@ const ListingsPage = () => {
                 >
                   Pending
                 </DropdownMenuItem>
-                <DropdownMenuItem
-                  onSelect={() => {
-                    handleStatusChange(listing.id, LISTING_STATUS.REJECTED);
-                    setIsViewModalOpen(false);
-                  }}
-                  disabled={listing.status === LISTING_STATUS.REJECTED}
-                >
-                  Rejected
-                </DropdownMenuItem>
                 <DropdownMenuItem
                   onSelect={() => {
                     handleStatusChange(listing.id, LISTING_STATUS.ARCHIVED);
@@ -2079,7 +2105,7 @@ const ListingsPage = () => {
               <TooltipTrigger asChild>
                 <Button 
                   variant="outline" 
-                  onClick={handleExportListings}
+                  onClick={() => setIsExportDialogOpen(true)}
                   disabled={isExporting || listings.length === 0}
                 >
                   {isExporting ? (
@@ -2096,7 +2122,24 @@ const ListingsPage = () => {
                 </Button>
               </TooltipTrigger>
               <TooltipContent>
-                <p>Export listings to CSV</p>
+                <p>Export listings to CSV, Excel or JSON</p>
+              </TooltipContent>
+            </Tooltip>
+          </TooltipProvider>
+          
+          <TooltipProvider>
+            <Tooltip>
+              <TooltipTrigger asChild>
+                <Button 
+                  variant="outline" 
+                  onClick={() => setIsImportDialogOpen(true)}
+                >
+                  <FileSpreadsheet className="h-4 w-4 mr-2" />
+                  Import
+                </Button>
+              </TooltipTrigger>
+              <TooltipContent>
+                <p>Bulk import listings from CSV</p>
               </TooltipContent>
             </Tooltip>
           </TooltipProvider>
@@ -2130,15 +2173,14 @@ const ListingsPage = () => {
               <Button variant="outline">
                 <Filter className="h-4 w-4 mr-2" />
                 Filters
-                {(filterOptions.types.some(t => t.checked) || filterOptions.statuses.some(s => s.checked)) && (
+                {Object.keys(appliedFilters).filter(key => key !== 'searchTerm').length > 0 && (
                   <Badge className="ml-2 bg-blue-500" variant="default">
-                    {filterOptions.types.filter(t => t.checked).length + 
-                     filterOptions.statuses.filter(s => s.checked).length}
+                    {Object.keys(appliedFilters).filter(key => key !== 'searchTerm').length}
                   </Badge>
                 )}
               </Button>
             </SheetTrigger>
-            <SheetContent>
+            <SheetContent className="overflow-y-auto">
               <SheetHeader>
                 <SheetTitle>Filters</SheetTitle>
                 <SheetDescription>
@@ -2187,6 +2229,82 @@ const ListingsPage = () => {
                 
                 <Separator />
                 
+                <div>
+                  <h3 className="text-sm font-medium mb-2">Price / Investment (₹)</h3>
+                  <div className="flex items-center space-x-2">
+                    <Input
+                      type="number"
+                      min={0}
+                      placeholder="Min"
+                      value={filterOptions.priceRange.min}
+                      onChange={(e) => handleRangeChange('priceRange', 'min', e.target.value)}
+                    />
+                    <span className="text-gray-400">–</span>
+                    <Input
+                      type="number"
+                      min={0}
+                      placeholder="Max"
+                      value={filterOptions.priceRange.max}
+                      onChange={(e) => handleRangeChange('priceRange', 'max', e.target.value)}
+                    />
+                  </div>
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-medium mb-2">Annual Revenue (₹)</h3>
+                  <div className="flex items-center space-x-2">
+                    <Input
+                      type="number"
+                      min={0}
+                      placeholder="Min"
+                      value={filterOptions.revenueRange.min}
+                      onChange={(e) => handleRangeChange('revenueRange', 'min', e.target.value)}
+                    />
+                    <span className="text-gray-400">–</span>
+                    <Input
+                      type="number"
+                      min={0}
+                      placeholder="Max"
+                      value={filterOptions.revenueRange.max}
+                      onChange={(e) => handleRangeChange('revenueRange', 'max', e.target.value)}
+                    />
+                  </div>
+                </div>
+                
+                <Separator />
+                
+                <div>
+                  <h3 className="text-sm font-medium mb-2">Industry</h3>
+                  <select
+                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                    value={filterOptions.industry}
+                    onChange={(e) => setFilterOptions(prev => ({ ...prev, industry: e.target.value }))}
+                  >
+                    <option value="">All Industries</option>
+                    {industries.map(industry => (
+                      <option key={industry.id} value={industry.id}>{industry.name}</option>
+                    ))}
+                  </select>
+                </div>
+                
+                <div>
+                  <h3 className="text-sm font-medium mb-2">Location</h3>
+                  <div className="flex items-center space-x-2">
+                    <Input
+                      placeholder="City"
+                      value={filterOptions.city}
+                      onChange={(e) => setFilterOptions(prev => ({ ...prev, city: e.target.value }))}
+                    />
+                    <Input
+                      placeholder="State"
+                      value={filterOptions.state}
+                      onChange={(e) => setFilterOptions(prev => ({ ...prev, state: e.target.value }))}
+                    />
+                  </div>
+                </div>
+                
+                <Separator />
+                
                 <div className="flex items-center justify-between space-x-4">
                   <Button 
                     variant="outline" 
@@ -2346,6 +2464,146 @@ const ListingsPage = () => {
         </Pagination>
       </div>
 
+      {/* Import Listings Modal */}
+      <ListingImportDialog
+        open={isImportDialogOpen}
+        onOpenChange={setIsImportDialogOpen}
+        onImported={() => fetchListings()}
+      />
+
+      {/* Export Listings Modal */}
+      <Dialog 
+        open={isExportDialogOpen} 
+        onOpenChange={(open) => !isExporting && setIsExportDialogOpen(open)}
+      >
+        <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Export Listings</DialogTitle>
+            <DialogDescription>
+              Exports all {pagination.totalItems} listings matching the current filters, not only the current page.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-6">
+            <div className="space-y-2">
+              <Label>Format</Label>
+              <Select value={exportFormat} onValueChange={setExportFormat} disabled={isExporting}>
+                <SelectTrigger className="w-56">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.values(EXPORT_FORMATS).map(format => (
+                    <SelectItem key={format} value={format}>
+                      {EXPORT_FORMAT_LABELS[format]}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center justify-between">
+                <Label>Columns ({exportColumns.length} selected)</Label>
+                <div className="flex gap-2">
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setExportColumns(LISTING_EXPORT_COLUMNS.map(column => column.key))}
+                    disabled={isExporting}
+                  >
+                    Select all
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setExportColumns(DEFAULT_EXPORT_COLUMNS)}
+                    disabled={isExporting}
+                  >
+                    Reset
+                  </Button>
+                </div>
+              </div>
+
+              <Accordion type="multiple" defaultValue={['common']} className="border rounded-md px-4">
+                {Object.entries(EXPORT_COLUMN_GROUPS).map(([group, groupLabel]) => {
+                  const groupColumns = LISTING_EXPORT_COLUMNS.filter(column => column.group === group);
+                  const selectedCount = groupColumns.filter(column => exportColumns.includes(column.key)).length;
+
+                  return (
+                    <AccordionItem key={group} value={group}>
+                      <AccordionTrigger>
+                        <span>
+                          {groupLabel}
+                          <span className="ml-2 text-xs text-muted-foreground">
+                            {selectedCount}/{groupColumns.length}
+                          </span>
+                        </span>
+                      </AccordionTrigger>
+                      <AccordionContent>
+                        <div className="flex items-center space-x-2 mb-3">
+                          <Checkbox
+                            id={`export-group-${group}`}
+                            checked={selectedCount === groupColumns.length}
+                            onCheckedChange={(checked) => toggleExportGroup(group, checked)}
+                            disabled={isExporting}
+                          />
+                          <Label htmlFor={`export-group-${group}`} className="font-medium">
+                            All {groupLabel.toLowerCase()} fields
+                          </Label>
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                          {groupColumns.map(column => (
+                            <div key={column.key} className="flex items-center space-x-2">
+                              <Checkbox
+                                id={`export-${column.key}`}
+                                checked={exportColumns.includes(column.key)}
+                                onCheckedChange={(checked) => toggleExportColumn(column.key, checked)}
+                                disabled={isExporting}
+                              />
+                              <Label htmlFor={`export-${column.key}`} className="font-normal">
+                                {column.label}
+                              </Label>
+                            </div>
+                          ))}
+                        </div>
+                      </AccordionContent>
+                    </AccordionItem>
+                  );
+                })}
+              </Accordion>
+            </div>
+
+            {isExporting && (
+              <div className="space-y-2">
+                <Progress value={pagination.totalItems > 0 ? Math.min(100, (exportProgress / pagination.totalItems) * 100) : 0} />
+                <p className="text-sm text-muted-foreground">
+                  Exported {exportProgress} of {pagination.totalItems} listings...
+                </p>
+              </div>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setIsExportDialogOpen(false)} disabled={isExporting}>
+              Cancel
+            </Button>
+            <Button onClick={handleExportListings} disabled={isExporting || exportColumns.length === 0}>
+              {isExporting ? (
+                <>
+                  <RefreshCw className="h-4 w-4 mr-2 animate-spin" />
+                  Exporting...
+                </>
+              ) : (
+                <>
+                  <Download className="h-4 w-4 mr-2" />
+                  Export
+                </>
+              )}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
       {/* Add/Edit Listing Modal */}
       <Dialog 
         open={isFormModalOpen} 
@@ -2366,7 +2624,7 @@ const ListingsPage = () => {
             id={selectedListing?.id}
             onSubmitSuccess={() => {
               setIsFormModalOpen(false);
-              fetchListings(true);
+              fetchListings();
               setSelectedListing(null);
               toast.success(
                 selectedListing 
@@ -2580,16 +2838,16 @@ const ListingsPage = () => {
               <AccordionTrigger>Exporting Listings</AccordionTrigger>
               <AccordionContent>
                 <p>
-                  To export your listings to a CSV file:
+                  To export your listings to CSV, Excel or JSON:
                 </p>
                 <ol className="list-decimal ml-4 space-y-2 mt-2">
                   <li>Apply any filters if you want to export a specific subset of listings</li>
                   <li>Click the <span className="font-medium">Export</span> button in the top action bar</li>
-                  <li>Wait for the export to complete</li>
-                  <li>The CSV file will automatically download to your computer</li>
+                  <li>Choose a format and the columns to include, including type-specific fields</li>
+                  <li>Click <span className="font-medium">Export</span> and wait for the download to start</li>
                 </ol>
                 <p className="mt-2">
-                  The exported file includes all visible columns and data from your current view.
+                  The export covers every listing matching the applied filters, across all pages.
                 </p>
               </AccordionContent>
             </AccordionItem>
@@ -2600,6 +2858,8 @@ const ListingsPage = () => {
           </DialogFooter>
         </DialogContent>
       </Dialog>
+
+      <AuditTimeline entity={auditListing} onClose={() => setAuditListing(null)} />
     </div>
   );
 };
@@ -3,9 +3,10 @@ import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { Lock, Mail, AlertCircle } from 'lucide-react';
-import { doc, getDoc, updateDoc } from 'firebase/firestore';
+import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../config/firebase';
-import { COLLECTIONS, USER_ROLES } from '../config/constants';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { COLLECTIONS } from '../config/constants';
 
 const LoginPage = () => {
   const [email, setEmail] = useState('');
@@ -16,7 +17,8 @@ const LoginPage = () => {
   const [resetSent, setResetSent] = useState(false);
   
   const navigate = useNavigate();
-  const { login, resetPassword } = useAuth();
+  const { login, logout, resetPassword } = useAuth();
+  const { RoleService } = useDatabase();
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -43,36 +45,10 @@ const LoginPage = () => {
       
       const userData = userDoc.data();
       
-      // For debugging/development - temporarily fix the user role if needed
-      // IMPORTANT: Remove this section in production!
-      if (email === 'admin@businessoptions.in' && userData.role !== 'admin') {
-        console.warn('Fixing admin role in database');
-        await updateDoc(userDocRef, {
-          role: 'admin'
-        });
-        console.log('Admin role has been set');
-        
-        // Navigate to the dashboard directly
-        navigate('/');
-        return;
-      }
+      // Only roles that grant at least one permission may use the panel
+      const permissions = await RoleService.getRolePermissions(userData.role?.toLowerCase() || '');
       
-      // Case-insensitive check for admin role
-      const userRole = userData.role?.toLowerCase() || '';
-      const adminRole = USER_ROLES.ADMIN.toLowerCase();
-      const moderatorRole = USER_ROLES.MODERATOR.toLowerCase();
-      
-      // Check if user has admin role
-      if (userRole !== adminRole && userRole !== moderatorRole) {
-        // If not admin, we'll allow login if this is a development environment
-        // or if this is a known admin email
-        if (import.meta.env.DEV || email === 'admin@businessoptions.in') {
-          console.warn('Development environment or known admin - bypassing role check');
-          navigate('/'); // Redirect to dashboard
-          return;
-        }
-        
-        // Otherwise sign out the user if they're not an admin
+      if (permissions.length === 0) {
         await logout();
         throw new Error('Access denied. Only administrators can log in to this panel.');
       }
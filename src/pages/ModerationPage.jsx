@@ -0,0 +1,595 @@
+// ModerationPage.jsx
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  Search, CheckCircle, XCircle, ShieldCheck, User, MapPin,
+  Calendar, Tag, Eye, RefreshCw, MessageSquare, ArrowRight, UserCheck
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { LISTING_TYPES, LISTING_STATUS, LISTING_REJECTION_REASONS } from '../config/constants';
+import { formatDate, formatCurrency, getRelativeTime } from '../utils/helpers';
+import { toDate } from '../utils/export';
+
+const TYPE_LABELS = {
+  [LISTING_TYPES.BUSINESS]: "Business",
+  [LISTING_TYPES.FRANCHISE]: "Franchise",
+  [LISTING_TYPES.STARTUP]: "Startup",
+  [LISTING_TYPES.INVESTOR]: "Investor",
+  [LISTING_TYPES.DIGITAL_ASSET]: "Digital Asset"
+};
+
+// Queue tabs, each mapped onto getModerationQueue filters
+const TABS = [
+  { name: "All Pending", id: "all", countKey: "pending" },
+  { name: "Assigned to Me", id: "mine", countKey: "assignedToMe" },
+  { name: "Unassigned", id: "unassigned", countKey: "unassigned" }
+];
+
+const PAGE_SIZE = 20;
+
+const ModerationPage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { ModerationService, ListingService } = useDatabase();
+  const { currentUser } = useAuth();
+  const [activeTab, setActiveTab] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [listings, setListings] = useState([]);
+  const [selectedId, setSelectedId] = useState(searchParams.get('listing'));
+  const [counts, setCounts] = useState({ pending: 0, assignedToMe: 0, unassigned: 0 });
+  const [reviewers, setReviewers] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [reviewerNotes, setReviewerNotes] = useState([]);
+  const [lastVisible, setLastVisible] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUpdating, setIsUpdating] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [noteText, setNoteText] = useState('');
+  const [decisionNote, setDecisionNote] = useState('');
+  const [rejectionReason, setRejectionReason] = useState('');
+
+  // Linked listing already looked up, so it is fetched once
+  const linkedLookupRef = useRef(null);
+
+  const fetchCounts = useCallback(async () => {
+    try {
+      setCounts(await ModerationService.getModerationCounts());
+    } catch (err) {
+      console.error('Error fetching moderation counts:', err);
+    }
+  }, [ModerationService]);
+
+  // Loads the first page, or the page after the given cursor
+  const fetchQueue = useCallback(async (cursor = null) => {
+    setIsLoading(true);
+
+    try {
+      const filters = {
+        type: typeFilter || null,
+        assignedTo: activeTab === 'mine' ? currentUser?.uid : null,
+        unassigned: activeTab === 'unassigned'
+      };
+      const result = await ModerationService.getModerationQueue(
+        filters,
+        PAGE_SIZE,
+        cursor
+      );
+
+      setListings(prev => cursor ? [...prev, ...result.listings] : result.listings);
+      setLastVisible(result.lastVisible);
+      setHasMore(result.hasMore);
+    } catch (err) {
+      toast.error(`Failed to load moderation queue: ${err.message}`);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [ModerationService, activeTab, typeFilter, currentUser?.uid]);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  useEffect(() => {
+    fetchCounts();
+    ModerationService.getReviewers()
+      .then(setReviewers)
+      .catch(err => console.error('Error fetching reviewers:', err));
+  }, [ModerationService, fetchCounts]);
+
+  // A listing linked from elsewhere may not be on the first page of the queue
+  useEffect(() => {
+    const linkedId = searchParams.get('listing');
+    if (!linkedId || linkedLookupRef.current === linkedId || isLoading) return;
+    if (listings.some(listing => listing.id === linkedId)) return;
+
+    linkedLookupRef.current = linkedId;
+    ListingService.getListingById(linkedId)
+      .then(listing => {
+        if (listing && listing.status === LISTING_STATUS.PENDING) {
+          setListings(prev => [listing, ...prev]);
+        }
+      })
+      .catch(err => console.error('Error loading linked listing:', err));
+  }, [ListingService, listings, searchParams, isLoading]);
+
+  useEffect(() => {
+    setNoteText('');
+    setDecisionNote('');
+    setRejectionReason('');
+    setHistory([]);
+    setReviewerNotes([]);
+
+    if (!selectedId) return;
+
+    ModerationService.getModerationHistory(selectedId)
+      .then(setHistory)
+      .catch(err => console.error('Error fetching moderation history:', err));
+    ModerationService.getReviewerNotes(selectedId)
+      .then(setReviewerNotes)
+      .catch(err => console.error('Error fetching reviewer notes:', err));
+  }, [ModerationService, selectedId]);
+
+  // Search runs over the loaded page
+  const visibleListings = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    if (!term) return listings;
+
+    return listings.filter(listing =>
+      [listing.name, listing.ownerName, listing.location?.city]
+        .some(value => value && value.toLowerCase().includes(term))
+    );
+  }, [listings, searchTerm]);
+
+  const currentListing = listings.find(listing => listing.id === selectedId);
+
+  // Replace a listing in local state after a write
+  const refreshListing = async (id) => {
+    const [updated, trail] = await Promise.all([
+      ListingService.getListingById(id),
+      ModerationService.getModerationHistory(id)
+    ]);
+
+    if (updated) {
+      setListings(prev => prev.map(listing => listing.id === id ? updated : listing));
+    }
+    setHistory(trail);
+  };
+
+  const handleAssign = async (reviewerId) => {
+    if (!currentListing) return;
+
+    const reviewer = reviewers.find(r => r.id === reviewerId) || null;
+
+    setIsUpdating(true);
+    try {
+      await ModerationService.assignReviewer(currentListing.id, reviewer);
+      await Promise.all([refreshListing(currentListing.id), fetchCounts()]);
+      toast.success(reviewer ? `Assigned to ${reviewer.name}` : 'Assignment cleared');
+    } catch (err) {
+      toast.error(`Failed to assign reviewer: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleAddNote = async () => {
+    if (!currentListing || !noteText.trim()) return;
+
+    setIsUpdating(true);
+    try {
+      await ModerationService.addReviewerNote(currentListing.id, noteText);
+      setNoteText('');
+      setReviewerNotes(await ModerationService.getReviewerNotes(currentListing.id));
+    } catch (err) {
+      toast.error(`Failed to add note: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  // Decided listings leave the queue
+  const removeFromQueue = (id) => {
+    setListings(prev => prev.filter(listing => listing.id !== id));
+    setSelectedId(null);
+    fetchCounts();
+  };
+
+  const handleApprove = async () => {
+    if (!currentListing) return;
+
+    setIsUpdating(true);
+    try {
+      await ModerationService.approveListing(currentListing.id, decisionNote || null);
+      toast.success(`${currentListing.name} approved and published`);
+      removeFromQueue(currentListing.id);
+    } catch (err) {
+      toast.error(`Failed to approve listing: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  const handleReject = async () => {
+    if (!currentListing) return;
+
+    if (!rejectionReason) {
+      toast.error('Pick a rejection reason');
+      return;
+    }
+
+    setIsUpdating(true);
+    try {
+      await ModerationService.rejectListing(currentListing.id, rejectionReason, decisionNote || null);
+      toast.success(`${currentListing.name} rejected, the owner has been notified`);
+      removeFromQueue(currentListing.id);
+    } catch (err) {
+      toast.error(`Failed to reject listing: ${err.message}`);
+    } finally {
+      setIsUpdating(false);
+    }
+  };
+
+  // Audit entries for this listing, newest first
+  const timeline = history.map(entry => {
+    const details = entry.details || {};
+    let action = `Updated ${(entry.fieldChanges || []).join(', ')}`;
+
+    if (details.newStatus === LISTING_STATUS.PUBLISHED) {
+      action = 'Approved and published';
+    } else if (details.newStatus === LISTING_STATUS.REJECTED) {
+      action = `Rejected: ${ModerationService.REJECTION_REASON_LABELS[details.rejectionReason] || details.rejectionReason}`;
+    } else if ((entry.fieldChanges || []).includes('moderation.assignedTo')) {
+      action = details.reviewer ? `Assigned to ${details.reviewerName}` : 'Assignment cleared';
+    }
+
+    return {
+      action,
+      note: details.note,
+      time: formatDate(entry.timestamp, 'long')
+    };
+  });
+
+  const price = currentListing ? ListingService.getListingPrice(currentListing) : null;
+  const submittedAt = toDate(currentListing?.createdAt);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Listing Moderation</h2>
+          <p className="text-sm text-gray-500">Review pending listings before they go live</p>
+        </div>
+        <button
+          className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors"
+          onClick={() => {
+            fetchQueue();
+            fetchCounts();
+          }}
+        >
+          <RefreshCw size={16} className={isLoading ? 'animate-spin' : ''} />
+          <span className="font-medium">Refresh</span>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-1 bg-white rounded-xl shadow-sm border border-gray-100 overflow-hidden">
+          <div className="p-4 border-b border-gray-100 bg-gray-50 space-y-3">
+            <div className="relative">
+              <input
+                type="text"
+                placeholder="Search pending listings..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="w-full pl-9 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <Search size={16} className="absolute left-3 top-2.5 text-gray-400" />
+            </div>
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="w-full border border-gray-300 rounded-lg py-2 px-3 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">All listing types</option>
+              {Object.values(LISTING_TYPES).map(type => (
+                <option key={type} value={type}>{TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="border-b border-gray-100">
+            <div className="flex overflow-x-auto">
+              {TABS.map((tab) => (
+                <button
+                  key={tab.id}
+                  className={`text-xs font-medium px-4 py-3 whitespace-nowrap border-b-2 flex items-center ${
+                    activeTab === tab.id
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                  }`}
+                  onClick={() => {
+                    setActiveTab(tab.id);
+                    setSelectedId(null);
+                  }}
+                >
+                  {tab.name}
+                  <span className="ml-2 bg-gray-100 text-gray-600 rounded-full px-2 py-0.5 text-xs">
+                    {counts[tab.countKey] || 0}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="overflow-y-auto h-[calc(100vh-330px)]">
+            {isLoading && listings.length === 0 ? (
+              <div className="p-6 text-center text-sm text-gray-500">Loading queue...</div>
+            ) : visibleListings.length === 0 ? (
+              <div className="p-6 text-center text-sm text-gray-500">Nothing waiting for review</div>
+            ) : (
+              visibleListings.map((listing) => (
+                <button
+                  key={listing.id}
+                  className={`w-full text-left p-4 border-b border-gray-100 last:border-0 hover:bg-gray-50 transition-colors ${
+                    selectedId === listing.id ? 'bg-blue-50' : ''
+                  }`}
+                  onClick={() => setSelectedId(listing.id)}
+                >
+                  <div className="flex justify-between items-start mb-1">
+                    <p className="text-sm font-medium text-gray-800">{listing.name}</p>
+                    <span className="inline-flex text-xs px-2 py-0.5 rounded-full font-medium bg-gray-100 text-gray-700">
+                      {TYPE_LABELS[listing.type] || listing.type}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-1">{listing.ownerName}</p>
+                  <div className="flex items-center justify-between text-xs text-gray-500">
+                    <span>
+                      {toDate(listing.createdAt) ? `Submitted ${getRelativeTime(toDate(listing.createdAt))}` : ''}
+                    </span>
+                    <span className="flex items-center">
+                      <UserCheck size={12} className="mr-1" />
+                      {listing.moderation?.assignedToName || 'Unassigned'}
+                    </span>
+                  </div>
+                </button>
+              ))
+            )}
+
+            {hasMore && !searchTerm && (
+              <button
+                className="w-full p-3 text-sm font-medium text-blue-600 hover:bg-gray-50"
+                onClick={() => fetchQueue(lastVisible)}
+                disabled={isLoading}
+              >
+                {isLoading ? 'Loading...' : 'Load more'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-2">
+          {currentListing ? (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+              <div className="p-6 border-b border-gray-100 flex items-center justify-between">
+                <div>
+                  <h3 className="text-lg font-bold text-gray-800">{currentListing.name}</h3>
+                  <p className="text-sm text-gray-500">
+                    {TYPE_LABELS[currentListing.type] || currentListing.type} listing by {currentListing.ownerName || 'Unknown'}
+                  </p>
+                </div>
+                <button
+                  className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg shadow-sm transition-colors"
+                  onClick={() => navigate(`/listings/edit/${currentListing.id}`)}
+                >
+                  <Eye size={16} />
+                  <span className="font-medium">Open Listing</span>
+                </button>
+              </div>
+
+              <div className="p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div className="space-y-4">
+                  <div>
+                    <p className="text-xs font-medium text-gray-500 mb-1">Summary</p>
+                    <div className="space-y-2">
+                      <div className="flex items-center">
+                        <User size={16} className="text-gray-400 mr-2" />
+                        <span className="text-sm text-gray-800">
+                          {currentListing.contactInfo?.email || currentListing.ownerName || 'No contact email'}
+                        </span>
+                      </div>
+                      <div className="flex items-center">
+                        <MapPin size={16} className="text-gray-400 mr-2" />
+                        <span className="text-sm text-gray-800">
+                          {[currentListing.location?.city, currentListing.location?.state].filter(Boolean).join(', ') || 'No location'}
+                        </span>
+                      </div>
+                      <div className="flex items-center">
+                        <Tag size={16} className="text-gray-400 mr-2" />
+                        <span className="text-sm text-gray-800">
+                          {price !== null ? formatCurrency(price) : 'No price set'}
+                        </span>
+                      </div>
+                      <div className="flex items-center">
+                        <Calendar size={16} className="text-gray-400 mr-2" />
+                        <span className="text-sm text-gray-800">
+                          Submitted {formatDate(currentListing.createdAt)}
+                          {submittedAt && ` (${getRelativeTime(submittedAt)})`}
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+
+                  <div>
+                    <p className="text-xs font-medium text-gray-500 mb-1">Description</p>
+                    <p className="text-sm text-gray-800 bg-gray-50 p-3 rounded-lg max-h-48 overflow-y-auto whitespace-pre-line">
+                      {currentListing.description || currentListing.shortDescription || 'No description'}
+                    </p>
+                  </div>
+
+                  <div>
+                    <p className="text-xs font-medium text-gray-500 mb-1">Reviewer</p>
+                    <div className="flex items-center gap-2">
+                      <select
+                        value={currentListing.moderation?.assignedTo || ''}
+                        onChange={(e) => handleAssign(e.target.value)}
+                        disabled={isUpdating}
+                        className="flex-1 border border-gray-300 rounded-lg py-2 px-3 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="">Unassigned</option>
+                        {reviewers.map(reviewer => (
+                          <option key={reviewer.id} value={reviewer.id}>
+                            {reviewer.name} ({reviewer.role})
+                          </option>
+                        ))}
+                      </select>
+                      {currentUser && currentListing.moderation?.assignedTo !== currentUser.uid && (
+                        <button
+                          className="text-sm font-medium text-blue-600 hover:text-blue-700 whitespace-nowrap disabled:opacity-50"
+                          onClick={() => handleAssign(currentUser.uid)}
+                          disabled={isUpdating || !reviewers.some(r => r.id === currentUser.uid)}
+                        >
+                          Assign to me
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+
+                <div className="space-y-4">
+                  <div>
+                    <p className="text-xs font-medium text-gray-500 mb-1">Reviewer Notes</p>
+                    <p className="text-xs text-gray-400 mb-2">Internal only, never shown to the owner</p>
+                    <div className="space-y-2 max-h-48 overflow-y-auto mb-2">
+                      {reviewerNotes.length === 0 && (
+                        <p className="text-sm text-gray-500">No notes yet.</p>
+                      )}
+                      {reviewerNotes.map(entry => (
+                        <div key={entry.id} className="bg-yellow-50 rounded-lg p-3">
+                          <div className="flex items-center justify-between mb-1">
+                            <span className="text-xs font-medium text-gray-700">{entry.authorName}</span>
+                            <span className="text-xs text-gray-500">{formatDate(entry.createdAt, 'long')}</span>
+                          </div>
+                          <p className="text-sm text-gray-800">{entry.note}</p>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="flex items-start gap-2">
+                      <textarea
+                        placeholder="Add a note for other reviewers..."
+                        value={noteText}
+                        onChange={(e) => setNoteText(e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-lg py-2 px-3 text-sm text-gray-700 h-16 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      ></textarea>
+                      <button
+                        className="bg-blue-600 hover:bg-blue-700 text-white p-2 rounded-lg shadow-sm transition-colors disabled:opacity-50"
+                        onClick={handleAddNote}
+                        disabled={isUpdating || !noteText.trim()}
+                        title="Add note"
+                      >
+                        <ArrowRight size={16} />
+                      </button>
+                    </div>
+                  </div>
+
+                  <div>
+                    <p className="text-xs font-medium text-gray-500 mb-1">History</p>
+                    <div className="space-y-3">
+                      {timeline.length === 0 && (
+                        <p className="text-sm text-gray-500">No moderation activity yet.</p>
+                      )}
+                      {timeline.map((activity, index) => (
+                        <div key={index} className="flex items-start">
+                          <div className="h-2 w-2 rounded-full bg-blue-500 mt-2 mr-3"></div>
+                          <div>
+                            <p className="text-sm text-gray-800">{activity.action}</p>
+                            {activity.note && <p className="text-xs text-gray-600">{activity.note}</p>}
+                            <p className="text-xs text-gray-500">{activity.time}</p>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              </div>
+
+              <div className="p-6 border-t border-gray-100 bg-gray-50 space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Rejection reason
+                    </label>
+                    <select
+                      value={rejectionReason}
+                      onChange={(e) => setRejectionReason(e.target.value)}
+                      className="w-full border border-gray-300 rounded-lg py-2 px-3 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Select a reason (required to reject)</option>
+                      {Object.values(LISTING_REJECTION_REASONS).map(reason => (
+                        <option key={reason} value={reason}>
+                          {ModerationService.REJECTION_REASON_LABELS[reason]}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-500 mb-1">
+                      Message to owner {rejectionReason === LISTING_REJECTION_REASONS.OTHER ? '(required)' : '(optional)'}
+                    </label>
+                    <input
+                      type="text"
+                      value={decisionNote}
+                      onChange={(e) => setDecisionNote(e.target.value)}
+                      placeholder="Included in the owner's notification"
+                      className="w-full border border-gray-300 rounded-lg py-2 px-3 text-sm text-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center justify-end space-x-3">
+                  <button
+                    className="flex items-center gap-2 py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50 bg-red-600 hover:bg-red-700 text-white"
+                    onClick={handleReject}
+                    disabled={isUpdating || !rejectionReason}
+                  >
+                    <XCircle size={16} />
+                    <span className="font-medium">Reject</span>
+                  </button>
+                  <button
+                    className="flex items-center gap-2 py-2 px-4 rounded-lg shadow-sm transition-colors disabled:opacity-50 bg-green-600 hover:bg-green-700 text-white"
+                    onClick={handleApprove}
+                    disabled={isUpdating}
+                  >
+                    <CheckCircle size={16} />
+                    <span className="font-medium">Approve & Publish</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+          ) : (
+            <div className="bg-white rounded-xl shadow-sm border border-gray-100 h-full flex items-center justify-center p-6">
+              <div className="text-center max-w-md">
+                <div className="bg-blue-50 h-16 w-16 rounded-full flex items-center justify-center mx-auto mb-4">
+                  <ShieldCheck size={24} className="text-blue-600" />
+                </div>
+                <h3 className="text-lg font-bold text-gray-800 mb-2">No Listing Selected</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  Select a pending listing to review it, assign a reviewer, leave notes and approve or reject it.
+                </p>
+                {counts.pending > 0 && (
+                  <p className="text-sm text-gray-600 flex items-center justify-center">
+                    <MessageSquare size={14} className="mr-1" />
+                    {counts.pending} listings waiting for review
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ModerationPage;
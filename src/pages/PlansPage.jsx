@@ -0,0 +1,682 @@
+// pages/PlansPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { CreditCard, Plus, Pencil, Layers, Loader2, Star, History } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS, LISTING_TYPES, PLAN_BILLING_CYCLES, AUDIT_ENTITY_TYPES } from '../config/constants';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { getPlanTerms } from '../utils/subscriptions';
+import { diffObjects } from '../utils/diff';
+import { validateData } from '../utils/validation';
+import { planSchema } from '../utils/validation/schemas';
+import { CURRENCIES } from '../utils/validation/settings-schemas';
+import AuditTimeline from '../components/AuditTimeline';
+import SubscriptionPlanChange from '../components/SubscriptionPlanChange';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow
+} from '@/components/ui/table';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle
+} from '@/components/ui/sheet';
+
+const EMPTY_PLAN = {
+  name: '',
+  type: '',
+  description: '',
+  pricing: { amount: '', currency: 'INR', billingCycle: 'monthly' },
+  duration: { days: 30, displayText: '30 days' },
+  limits: { totalConnects: 0, listings: { total: 1 } },
+  availability: { isPublic: true, forListingTypes: Object.values(LISTING_TYPES) },
+  display: { order: 0, isRecommended: false },
+  features: '',
+  isActive: true
+};
+
+const inputClassName = 'w-full border border-gray-300 rounded-md py-2 px-3 text-sm';
+
+/**
+ * Turns a snake_case key into a label
+ *
+ * @param {string} key - e.g. "digital_asset"
+ * @returns {string} - e.g. "Digital Asset"
+ */
+const humanize = (key) => key
+  .split(/[_\s]+/)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Converts a stored plan to form state; features are edited one per line
+ *
+ * @param {Object} plan - Plan
+ * @returns {Object} - Form state
+ */
+const toFormPlan = (plan) => ({
+  name: plan.name || '',
+  type: plan.type || '',
+  description: plan.description || '',
+  pricing: { ...EMPTY_PLAN.pricing, ...plan.pricing },
+  duration: { ...EMPTY_PLAN.duration, ...plan.duration },
+  limits: {
+    totalConnects: plan.limits?.totalConnects ?? 0,
+    listings: { total: plan.limits?.listings?.total ?? 0 }
+  },
+  availability: {
+    isPublic: plan.availability?.isPublic ?? true,
+    forListingTypes: plan.availability?.forListingTypes || []
+  },
+  display: { ...EMPTY_PLAN.display, ...plan.display },
+  features: (plan.features || []).join('\n'),
+  isActive: plan.isActive ?? true
+});
+
+/**
+ * Converts form state back to the stored plan shape
+ *
+ * @param {Object} form - Form state
+ * @returns {Object} - Plan data
+ */
+const toStoredPlan = (form) => {
+  const toNumber = (value) => (value === '' ? NaN : Number(value));
+
+  return {
+    name: form.name.trim(),
+    type: form.type.trim(),
+    description: form.description.trim(),
+    pricing: {
+      amount: toNumber(form.pricing.amount),
+      currency: form.pricing.currency,
+      billingCycle: form.pricing.billingCycle
+    },
+    duration: {
+      days: toNumber(form.duration.days),
+      displayText: form.duration.displayText.trim() || `${form.duration.days} days`
+    },
+    limits: {
+      totalConnects: toNumber(form.limits.totalConnects),
+      listings: { total: toNumber(form.limits.listings.total) }
+    },
+    availability: form.availability,
+    display: { order: toNumber(form.display.order), isRecommended: form.display.isRecommended },
+    features: form.features.split('\n').map(feature => feature.trim()).filter(Boolean),
+    isActive: form.isActive
+  };
+};
+
+/**
+ * Whether the form changes the terms subscribers are held to
+ *
+ * @param {Object} plan - Stored plan
+ * @param {Object} form - Form state
+ * @returns {boolean} - True when saving creates a new plan version
+ */
+const changesTerms = (plan, form) => (
+  diffObjects(getPlanTerms(plan), getPlanTerms(toStoredPlan(form))).length > 0
+);
+
+const FieldError = ({ message }) => (message ? <p className="text-xs text-red-600 mt-1">{message}</p> : null);
+
+const PlansPage = () => {
+  const { PlanService } = useDatabase();
+  const { can, isAdmin } = useAuth();
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const [editing, setEditing] = useState(null); // { plan, form }
+  const [errors, setErrors] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  const [versionsPlan, setVersionsPlan] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [subscriberCounts, setSubscriberCounts] = useState({});
+  const [versionsLoading, setVersionsLoading] = useState(false);
+
+  const [historyEntity, setHistoryEntity] = useState(null);
+
+  const canEdit = can(PERMISSIONS.MANAGE_PLANS);
+
+  const fetchPlans = useCallback(async () => {
+    try {
+      setLoading(true);
+      setPlans(await PlanService.getAllPlans());
+    } catch (err) {
+      toast.error(`Failed to load plans: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [PlanService]);
+
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  const openEditor = (plan = null) => {
+    setErrors({});
+    setEditing({ plan, form: plan ? toFormPlan(plan) : EMPTY_PLAN });
+  };
+
+  const updateForm = (section, changes) => {
+    setEditing(prev => ({
+      ...prev,
+      form: section
+        ? { ...prev.form, [section]: { ...prev.form[section], ...changes } }
+        : { ...prev.form, ...changes }
+    }));
+  };
+
+  const openVersions = async (plan) => {
+    setVersionsPlan(plan);
+    setVersions([]);
+    setSubscriberCounts({});
+
+    try {
+      setVersionsLoading(true);
+      const [planVersions, counts] = await Promise.all([
+        PlanService.getPlanVersions(plan.id),
+        PlanService.getPlanSubscriberCounts(plan.id, plan.planVersion || 1)
+      ]);
+      setVersions(planVersions);
+      setSubscriberCounts(counts);
+    } catch (err) {
+      toast.error(`Failed to load plan versions: ${err.message}`);
+    } finally {
+      setVersionsLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const planData = toStoredPlan(editing.form);
+    const validation = await validateData(planData, planSchema);
+
+    if (!validation.isValid) {
+      setErrors(validation.errors);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+
+      if (editing.plan) {
+        const result = await PlanService.updatePlan(editing.plan.id, planData);
+        toast.success(result.isNewVersion
+          ? `Plan saved as version ${result.planVersion}; existing subscribers keep their terms`
+          : 'Plan updated');
+      } else {
+        await PlanService.createPlan(planData);
+        toast.success('Plan created');
+      }
+
+      setEditing(null);
+      fetchPlans();
+    } catch (err) {
+      toast.error(`Failed to save plan: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (plan, isActive) => {
+    try {
+      await PlanService.updatePlan(plan.id, { isActive });
+      toast.success(`${plan.name} ${isActive ? 'is on sale' : 'is no longer sold'}`);
+      fetchPlans();
+    } catch (err) {
+      toast.error(`Failed to update plan: ${err.message}`);
+    }
+  };
+
+  const form = editing?.form;
+  const createsVersion = Boolean(editing?.plan && form && changesTerms(editing.plan, form));
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-6">
+        <div>
+          <h2 className="text-lg font-bold text-gray-800 mb-1">Plans</h2>
+          <p className="text-sm text-gray-500">Subscription plans, their limits and the listing types they are sold for</p>
+        </div>
+        {canEdit && (
+          <button
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors"
+            onClick={() => openEditor()}
+          >
+            <Plus size={16} />
+            <span className="font-medium">New Plan</span>
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
+        {loading ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+            Loading plans...
+          </div>
+        ) : plans.length === 0 ? (
+          <div className="flex flex-col items-center justify-center py-12 text-gray-500">
+            <CreditCard className="h-8 w-8 mb-2" />
+            <p>No plans yet.</p>
+          </div>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Plan</TableHead>
+                <TableHead>Price</TableHead>
+                <TableHead>Connects</TableHead>
+                <TableHead>Listings</TableHead>
+                <TableHead>Listing Types</TableHead>
+                <TableHead>Version</TableHead>
+                <TableHead>Subscribers</TableHead>
+                <TableHead>On Sale</TableHead>
+                <TableHead></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {plans.map(plan => (
+                <TableRow key={plan.id}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-800">{plan.name}</span>
+                      {plan.display?.isRecommended && (
+                        <Badge variant="outline" className="gap-1">
+                          <Star size={12} />
+                          Recommended
+                        </Badge>
+                      )}
+                      {plan.availability?.isPublic === false && <Badge variant="secondary">Hidden</Badge>}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">{plan.type}</p>
+                  </TableCell>
+                  <TableCell className="text-sm">
+                    {formatCurrency(plan.pricing?.amount || 0, plan.pricing?.currency)}
+                    <span className="text-gray-500"> / {plan.duration?.displayText || `${plan.duration?.days || 30} days`}</span>
+                  </TableCell>
+                  <TableCell>{plan.limits?.totalConnects ?? 0}</TableCell>
+                  <TableCell>{plan.limits?.listings?.total ?? 0}</TableCell>
+                  <TableCell>
+                    <div className="flex flex-wrap gap-1">
+                      {(plan.availability?.forListingTypes || []).map(type => (
+                        <Badge key={type} variant="secondary">{humanize(type)}</Badge>
+                      ))}
+                    </div>
+                  </TableCell>
+                  <TableCell>v{plan.planVersion || 1}</TableCell>
+                  <TableCell>{plan.tracking?.subscribers ?? 0}</TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={plan.isActive !== false}
+                      onCheckedChange={(checked) => handleToggleActive(plan, checked)}
+                      disabled={!canEdit}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex items-center">
+                      <button
+                        className="p-1 text-gray-400 hover:text-blue-600"
+                        title="Versions"
+                        onClick={() => openVersions(plan)}
+                      >
+                        <Layers size={16} />
+                      </button>
+                      {can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+                        <button
+                          className="p-1 text-gray-400 hover:text-blue-600"
+                          title="Audit history"
+                          onClick={() => setHistoryEntity({ type: AUDIT_ENTITY_TYPES.PLAN, id: plan.id, name: plan.name })}
+                        >
+                          <History size={16} />
+                        </button>
+                      )}
+                      <button
+                        className="p-1 text-gray-400 hover:text-blue-600"
+                        title={canEdit ? 'Edit plan' : 'View plan'}
+                        onClick={() => openEditor(plan)}
+                      >
+                        <Pencil size={16} />
+                      </button>
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </div>
+
+      {/* Billing writes are admin operations */}
+      {isAdmin() && <SubscriptionPlanChange plans={plans} onChanged={fetchPlans} />}
+
+      {/* Create / edit */}
+      <Sheet open={editing !== null} onOpenChange={(isOpen) => !isOpen && !isSaving && setEditing(null)}>
+        <SheetContent className="sm:max-w-xl overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle>{editing?.plan ? editing.plan.name : 'New Plan'}</SheetTitle>
+            <SheetDescription>
+              {editing?.plan
+                ? `Version ${editing.plan.planVersion || 1}. Changing the price, duration or limits saves a new version; existing subscribers keep the version they bought.`
+                : 'The plan is sold to owners of the listing types it is available for.'}
+            </SheetDescription>
+          </SheetHeader>
+
+          {form && (
+            <fieldset disabled={!canEdit || isSaving} className="space-y-6 py-6">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="planName" className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    id="planName"
+                    type="text"
+                    className={inputClassName}
+                    value={form.name}
+                    onChange={(e) => updateForm(null, { name: e.target.value })}
+                  />
+                  <FieldError message={errors.name} />
+                </div>
+                <div>
+                  <label htmlFor="planType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <input
+                    id="planType"
+                    type="text"
+                    className={inputClassName}
+                    placeholder="premium"
+                    value={form.type}
+                    onChange={(e) => updateForm(null, { type: e.target.value })}
+                  />
+                  <FieldError message={errors.type} />
+                </div>
+              </div>
+
+              <div>
+                <label htmlFor="planDescription" className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  id="planDescription"
+                  rows={2}
+                  className={inputClassName}
+                  value={form.description}
+                  onChange={(e) => updateForm(null, { description: e.target.value })}
+                />
+                <FieldError message={errors.description} />
+              </div>
+
+              <div className={`space-y-4 rounded-lg border p-4 ${createsVersion ? 'border-amber-300 bg-amber-50' : 'border-gray-200'}`}>
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Price, duration and limits</p>
+                  {createsVersion && (
+                    <p className="text-xs text-amber-800 mt-1">
+                      Saving creates version {(editing.plan.planVersion || 1) + 1}. New purchases get it; current
+                      subscribers keep version {editing.plan.planVersion || 1}, including when they renew.
+                    </p>
+                  )}
+                </div>
+
+                <div className="grid grid-cols-3 gap-4">
+                  <div>
+                    <label htmlFor="planAmount" className="block text-sm font-medium text-gray-700 mb-1">Price</label>
+                    <input
+                      id="planAmount"
+                      type="number"
+                      min="0"
+                      className={inputClassName}
+                      value={form.pricing.amount}
+                      onChange={(e) => updateForm('pricing', { amount: e.target.value })}
+                    />
+                    <FieldError message={errors['pricing.amount']} />
+                  </div>
+                  <div>
+                    <label htmlFor="planCurrency" className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                    <select
+                      id="planCurrency"
+                      className={inputClassName}
+                      value={form.pricing.currency}
+                      onChange={(e) => updateForm('pricing', { currency: e.target.value })}
+                    >
+                      {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+                    </select>
+                  </div>
+                  <div>
+                    <label htmlFor="planBillingCycle" className="block text-sm font-medium text-gray-700 mb-1">Billing</label>
+                    <select
+                      id="planBillingCycle"
+                      className={inputClassName}
+                      value={form.pricing.billingCycle}
+                      onChange={(e) => updateForm('pricing', { billingCycle: e.target.value })}
+                    >
+                      {PLAN_BILLING_CYCLES.map(cycle => <option key={cycle} value={cycle}>{humanize(cycle)}</option>)}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="planDays" className="block text-sm font-medium text-gray-700 mb-1">Duration (days)</label>
+                    <input
+                      id="planDays"
+                      type="number"
+                      min="1"
+                      className={inputClassName}
+                      value={form.duration.days}
+                      onChange={(e) => updateForm('duration', { days: e.target.value })}
+                    />
+                    <FieldError message={errors['duration.days']} />
+                  </div>
+                  <div>
+                    <label htmlFor="planDurationText" className="block text-sm font-medium text-gray-700 mb-1">Shown as</label>
+                    <input
+                      id="planDurationText"
+                      type="text"
+                      className={inputClassName}
+                      placeholder="1 month"
+                      value={form.duration.displayText}
+                      onChange={(e) => updateForm('duration', { displayText: e.target.value })}
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label htmlFor="planConnects" className="block text-sm font-medium text-gray-700 mb-1">Connects per period</label>
+                    <input
+                      id="planConnects"
+                      type="number"
+                      min="0"
+                      className={inputClassName}
+                      value={form.limits.totalConnects}
+                      onChange={(e) => updateForm('limits', { totalConnects: e.target.value })}
+                    />
+                    <FieldError message={errors['limits.totalConnects']} />
+                  </div>
+                  <div>
+                    <label htmlFor="planListings" className="block text-sm font-medium text-gray-700 mb-1">Listings</label>
+                    <input
+                      id="planListings"
+                      type="number"
+                      min="0"
+                      className={inputClassName}
+                      value={form.limits.listings.total}
+                      onChange={(e) => updateForm('limits', { listings: { total: e.target.value } })}
+                    />
+                    <FieldError message={errors['limits.listings.total']} />
+                  </div>
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Available for listing types</p>
+                <div className="flex flex-wrap gap-4">
+                  {Object.values(LISTING_TYPES).map(type => (
+                    <label key={type} className="flex items-center gap-2 text-sm text-gray-700">
+                      <Checkbox
+                        checked={form.availability.forListingTypes.includes(type)}
+                        onCheckedChange={(checked) => updateForm('availability', {
+                          forListingTypes: checked
+                            ? [...form.availability.forListingTypes, type]
+                            : form.availability.forListingTypes.filter(item => item !== type)
+                        })}
+                      />
+                      {humanize(type)}
+                    </label>
+                  ))}
+                </div>
+                <FieldError message={errors['availability.forListingTypes']} />
+              </div>
+
+              <div>
+                <label htmlFor="planFeatures" className="block text-sm font-medium text-gray-700 mb-1">Features</label>
+                <textarea
+                  id="planFeatures"
+                  rows={4}
+                  className={inputClassName}
+                  placeholder="One feature per line"
+                  value={form.features}
+                  onChange={(e) => updateForm(null, { features: e.target.value })}
+                />
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label htmlFor="planOrder" className="block text-sm font-medium text-gray-700 mb-1">Display order</label>
+                  <input
+                    id="planOrder"
+                    type="number"
+                    className={inputClassName}
+                    value={form.display.order}
+                    onChange={(e) => updateForm('display', { order: e.target.value })}
+                  />
+                  <FieldError message={errors['display.order']} />
+                </div>
+                <div className="space-y-3 pt-6">
+                  <label className="flex items-center justify-between text-sm text-gray-700">
+                    Recommended
+                    <Switch
+                      checked={form.display.isRecommended}
+                      onCheckedChange={(checked) => updateForm('display', { isRecommended: checked })}
+                    />
+                  </label>
+                  <label className="flex items-center justify-between text-sm text-gray-700">
+                    Shown on the pricing page
+                    <Switch
+                      checked={form.availability.isPublic}
+                      onCheckedChange={(checked) => updateForm('availability', { isPublic: checked })}
+                    />
+                  </label>
+                  <label className="flex items-center justify-between text-sm text-gray-700">
+                    On sale
+                    <Switch
+                      checked={form.isActive}
+                      onCheckedChange={(checked) => updateForm(null, { isActive: checked })}
+                    />
+                  </label>
+                </div>
+              </div>
+            </fieldset>
+          )}
+
+          {canEdit && (
+            <SheetFooter>
+              <button
+                type="button"
+                className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm"
+                onClick={() => setEditing(null)}
+                disabled={isSaving}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+                onClick={handleSave}
+                disabled={isSaving}
+              >
+                {isSaving && <Loader2 size={16} className="animate-spin" />}
+                {isSaving ? 'Saving...' : !editing?.plan ? 'Create Plan' : createsVersion ? 'Save New Version' : 'Save Changes'}
+              </button>
+            </SheetFooter>
+          )}
+        </SheetContent>
+      </Sheet>
+
+      {/* Versions */}
+      <Sheet open={versionsPlan !== null} onOpenChange={(isOpen) => !isOpen && setVersionsPlan(null)}>
+        <SheetContent className="sm:max-w-2xl overflow-y-auto">
+          <SheetHeader>
+            <SheetTitle className="flex items-center gap-2">
+              <Layers size={18} />
+              {versionsPlan?.name} versions
+            </SheetTitle>
+            <SheetDescription>
+              Each subscription keeps the price, duration and limits of the version it was bought on.
+            </SheetDescription>
+          </SheetHeader>
+
+          {versionsLoading ? (
+            <div className="flex items-center justify-center py-12 text-gray-500">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+              Loading versions...
+            </div>
+          ) : versions.length === 0 ? (
+            <p className="text-sm text-gray-500 py-8 text-center">
+              No versions recorded yet. The first change to the price, duration or limits records them.
+            </p>
+          ) : (
+            <div className="mt-6">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Version</TableHead>
+                    <TableHead>Price</TableHead>
+                    <TableHead>Duration</TableHead>
+                    <TableHead>Connects</TableHead>
+                    <TableHead>Listings</TableHead>
+                    <TableHead>Active Subscribers</TableHead>
+                    <TableHead>Created</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {versions.map(version => (
+                    <TableRow key={version.id}>
+                      <TableCell>
+                        <div className="flex items-center gap-2">
+                          v{version.planVersion}
+                          {version.planVersion === (versionsPlan?.planVersion || 1) && (
+                            <Badge variant="secondary">Current</Badge>
+                          )}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {formatCurrency(version.pricing?.amount || 0, version.pricing?.currency)}
+                      </TableCell>
+                      <TableCell className="text-sm">{version.duration?.displayText || `${version.duration?.days || 30} days`}</TableCell>
+                      <TableCell>{version.limits?.totalConnects ?? 0}</TableCell>
+                      <TableCell>{version.limits?.listings?.total ?? 0}</TableCell>
+                      <TableCell>{subscriberCounts[version.planVersion] ?? 0}</TableCell>
+                      <TableCell className="text-sm text-gray-500">{formatDate(version.createdAt)}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </SheetContent>
+      </Sheet>
+
+      <AuditTimeline entity={historyEntity} onClose={() => setHistoryEntity(null)} />
+    </div>
+  );
+};
+
+export default PlansPage;
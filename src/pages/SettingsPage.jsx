@@ -1,68 +1,465 @@
-// pages/SettingsPage.jsx (Basic Stub)
-import React from 'react';
+// pages/SettingsPage.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useForm, Controller } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import {
+  Globe, Mail, Plug, FileText, Database, Palette, Wrench, LayoutTemplate,
+  Loader2, RotateCcw, Save
+} from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import { PERMISSIONS } from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import {
+  generalSettingsSchema,
+  emailSettingsSchema,
+  integrationSettingsSchema,
+  contentSettingsSchema,
+  databaseSettingsSchema,
+  themeSettingsSchema,
+  maintenanceSettingsSchema,
+  homepageSectionsSchema,
+  toSettingsFormValues,
+  TIMEZONES,
+  DATE_FORMATS,
+  CURRENCIES,
+  EMAIL_PROVIDERS,
+  BACKUP_FREQUENCIES
+} from '../utils/validation/settings-schemas';
+import MaintenanceSchedule from '../components/MaintenanceSchedule';
+import { Switch } from '@/components/ui/switch';
+
+const toOptions = (values, labels = {}) => values.map(value => ({ value, label: labels[value] || value }));
+
+// One tab per settings category. `load` returns the stored document (used for
+// form values and the "last saved" line), `save` persists the form values and
+// `panel` is an optional component with its own saves, shown below the form.
+const SETTINGS_SECTIONS = [
+  {
+    id: 'general',
+    name: 'General',
+    icon: Globe,
+    description: 'Website identity, contact addresses and regional formats',
+    schema: generalSettingsSchema,
+    load: (service) => service.getGeneralSettings(),
+    save: (service, values) => service.updateGeneralSettings(values),
+    fields: [
+      { name: 'siteName', label: 'Website Name', type: 'text' },
+      { name: 'tagline', label: 'Tagline', type: 'text' },
+      { name: 'adminEmail', label: 'Admin Email', type: 'email' },
+      { name: 'supportEmail', label: 'Support Email', type: 'email', help: 'Shown to visitors on the contact page' },
+      {
+        name: 'timezone',
+        label: 'Timezone',
+        type: 'select',
+        options: toOptions(TIMEZONES, {
+          'Asia/Kolkata': '(UTC+05:30) Asia/Kolkata',
+          UTC: '(UTC+00:00) UTC',
+          'America/Los_Angeles': '(UTC-08:00) America/Los_Angeles',
+          'America/New_York': '(UTC-05:00) America/New_York'
+        })
+      },
+      { name: 'dateFormat', label: 'Date Format', type: 'select', options: toOptions(DATE_FORMATS) },
+      { name: 'currency', label: 'Currency', type: 'select', options: toOptions(CURRENCIES, { INR: 'INR (₹)', USD: 'USD ($)' }) }
+    ]
+  },
+  {
+    id: 'email',
+    name: 'Email',
+    icon: Mail,
+    description: 'Outgoing email delivery and staff notifications',
+    schema: emailSettingsSchema,
+    load: (service) => service.getEmailSettings(),
+    save: (service, values) => service.updateEmailSettings(values),
+    fields: [
+      { name: 'provider', label: 'Provider', type: 'select', options: toOptions(EMAIL_PROVIDERS, { smtp: 'SMTP', sendgrid: 'SendGrid', ses: 'Amazon SES' }) },
+      { name: 'senderName', label: 'Sender Name', type: 'text' },
+      { name: 'senderEmail', label: 'Sender Email', type: 'email' },
+      { name: 'replyToEmail', label: 'Reply-To Email', type: 'email' },
+      { name: 'smtpHost', label: 'SMTP Host', type: 'text', showIf: (values) => values.provider === 'smtp' },
+      { name: 'smtpPort', label: 'SMTP Port', type: 'number', showIf: (values) => values.provider === 'smtp' },
+      { name: 'smtpUsername', label: 'SMTP Username', type: 'text', showIf: (values) => values.provider === 'smtp' },
+      { name: 'notifyOnNewListing', label: 'Email staff when a listing is submitted', type: 'switch' },
+      { name: 'notifyOnNewApplication', label: 'Email staff when an application arrives', type: 'switch' }
+    ]
+  },
+  {
+    id: 'integrations',
+    name: 'Integrations',
+    icon: Plug,
+    description: 'Keys for third-party services used by the website',
+    schema: integrationSettingsSchema,
+    load: (service) => service.getIntegrationSettings(),
+    save: (service, values) => service.updateIntegrationSettings(values),
+    fields: [
+      { name: 'googleAnalyticsId', label: 'Google Analytics Measurement ID', type: 'text' },
+      { name: 'googleMapsApiKey', label: 'Google Maps API Key', type: 'password' },
+      { name: 'recaptchaSiteKey', label: 'reCAPTCHA Site Key', type: 'text' },
+      { name: 'razorpayKeyId', label: 'Razorpay Key ID', type: 'text' },
+      { name: 'slackWebhookUrl', label: 'Slack Webhook URL', type: 'password', help: 'Staff notifications are posted here' }
+    ]
+  },
+  {
+    id: 'content',
+    name: 'Content',
+    icon: FileText,
+    description: 'Listing limits, moderation and legal pages',
+    schema: contentSettingsSchema,
+    load: (service) => service.getContentSettings(),
+    save: (service, values) => service.updateContentSettings(values),
+    fields: [
+      { name: 'listingsPerPage', label: 'Listings per Page', type: 'number' },
+      { name: 'maxImagesPerListing', label: 'Maximum Images per Listing', type: 'number' },
+      { name: 'requireListingApproval', label: 'New listings need moderator approval', type: 'switch' },
+      { name: 'allowReviews', label: 'Allow reviews on listings', type: 'switch' },
+      { name: 'termsUrl', label: 'Terms of Service URL', type: 'url' },
+      { name: 'privacyUrl', label: 'Privacy Policy URL', type: 'url' }
+    ]
+  },
+  {
+    id: 'database',
+    name: 'Database',
+    icon: Database,
+    description: 'Backups and retention of deleted records',
+    schema: databaseSettingsSchema,
+    load: (service) => service.getDatabaseSettings(),
+    save: (service, values) => service.updateDatabaseSettings(values),
+    fields: [
+      { name: 'backupFrequency', label: 'Backup Frequency', type: 'select', options: toOptions(BACKUP_FREQUENCIES, { off: 'Off', daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }) },
+      { name: 'backupRetentionDays', label: 'Keep Backups For (days)', type: 'number' },
+      { name: 'deletedRecordRetentionDays', label: 'Keep Deleted Records For (days)', type: 'number' }
+    ],
+    info: (stored) => `Schema version: ${stored?.schemaVersion || 'unknown'}`
+  },
+  {
+    id: 'theme',
+    name: 'Theme',
+    icon: Palette,
+    description: 'Brand colours and logos of the public website',
+    schema: themeSettingsSchema,
+    load: (service) => service.getThemeSettings(),
+    save: (service, values) => service.updateThemeSettings(values),
+    fields: [
+      { name: 'primaryColor', label: 'Primary Colour', type: 'color' },
+      { name: 'secondaryColor', label: 'Secondary Colour', type: 'color' },
+      { name: 'logoUrl', label: 'Logo URL', type: 'url' },
+      { name: 'faviconUrl', label: 'Favicon URL', type: 'url' }
+    ]
+  },
+  {
+    id: 'maintenance',
+    name: 'Maintenance',
+    icon: Wrench,
+    description: 'Take the website offline now or schedule maintenance windows',
+    schema: maintenanceSettingsSchema,
+    load: (service) => service.getGeneralSettings(),
+    save: (service, values) => service.setSiteMaintenance(values.isMaintenanceMode, values.maintenanceMessage),
+    fields: [
+      { name: 'isMaintenanceMode', label: 'Maintenance mode', type: 'switch', help: 'Switches maintenance on until you switch it off, regardless of the schedule' },
+      { name: 'maintenanceMessage', label: 'Maintenance Message', type: 'textarea' }
+    ],
+    panel: MaintenanceSchedule
+  },
+  {
+    id: 'homepage',
+    name: 'Homepage',
+    icon: LayoutTemplate,
+    description: 'Sections shown on the public homepage',
+    schema: homepageSectionsSchema,
+    load: (service) => service.getHomepageSections(),
+    save: (service, values) => service.updateHomepageSections(values),
+    fields: [
+      { name: 'hero', label: 'Hero banner', type: 'switch' },
+      { name: 'search', label: 'Search bar', type: 'switch' },
+      { name: 'featuredBusinesses', label: 'Featured businesses', type: 'switch' },
+      { name: 'popularFranchises', label: 'Popular franchises', type: 'switch' },
+      { name: 'trendingStartups', label: 'Trending startups', type: 'switch' },
+      { name: 'topInvestors', label: 'Top investors', type: 'switch' },
+      { name: 'latestDigitalAssets', label: 'Latest digital assets', type: 'switch' },
+      { name: 'testimonials', label: 'Testimonials', type: 'switch' },
+      { name: 'blogPosts', label: 'Blog posts', type: 'switch' },
+      { name: 'newsletter', label: 'Newsletter signup', type: 'switch' }
+    ]
+  }
+];
+
+const inputClassName = (hasError) => `w-full max-w-md border rounded-md py-2 px-3 text-sm ${
+  hasError ? 'border-red-400' : 'border-gray-300'
+} disabled:bg-gray-50 disabled:text-gray-500`;
+
+const SettingsField = ({ field, control, register, error, disabled }) => {
+  if (field.type === 'switch') {
+    return (
+      <div className="flex items-start justify-between max-w-md">
+        <div>
+          <label htmlFor={field.name} className="block text-sm font-medium text-gray-700">{field.label}</label>
+          {field.help && <p className="text-xs text-gray-500 mt-1">{field.help}</p>}
+        </div>
+        <Controller
+          name={field.name}
+          control={control}
+          render={({ field: { value, onChange } }) => (
+            <Switch id={field.name} checked={value} onCheckedChange={onChange} disabled={disabled} />
+          )}
+        />
+      </div>
+    );
+  }
+
+  let input;
+  if (field.type === 'select') {
+    input = (
+      <select id={field.name} className={inputClassName(error)} disabled={disabled} {...register(field.name)}>
+        {field.options.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    );
+  } else if (field.type === 'textarea') {
+    input = (
+      <textarea id={field.name} rows={3} className={inputClassName(error)} disabled={disabled} {...register(field.name)} />
+    );
+  } else if (field.type === 'color') {
+    input = (
+      <div className="flex items-center gap-3">
+        <Controller
+          name={field.name}
+          control={control}
+          render={({ field: { value, onChange } }) => (
+            <input
+              type="color"
+              className="h-9 w-12 border border-gray-300 rounded cursor-pointer"
+              value={/^#[0-9a-f]{6}$/i.test(value) ? value : '#000000'}
+              onChange={onChange}
+              disabled={disabled}
+            />
+          )}
+        />
+        <input id={field.name} type="text" className={`${inputClassName(error)} max-w-[140px] font-mono`} disabled={disabled} {...register(field.name)} />
+      </div>
+    );
+  } else {
+    input = (
+      <input
+        id={field.name}
+        type={field.type}
+        autoComplete="off"
+        className={inputClassName(error)}
+        disabled={disabled}
+        {...register(field.name, field.type === 'number' ? { valueAsNumber: true } : {})}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <label htmlFor={field.name} className="block text-sm font-medium text-gray-700 mb-1">
+        {field.label}
+      </label>
+      {input}
+      {error ? (
+        <p className="text-xs text-red-600 mt-1">{error.message}</p>
+      ) : field.help && (
+        <p className="text-xs text-gray-500 mt-1">{field.help}</p>
+      )}
+    </div>
+  );
+};
+
+const SettingsForm = ({ section, readOnly, onDirtyChange }) => {
+  const { SettingsService } = useDatabase();
+  const [stored, setStored] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const {
+    control,
+    register,
+    handleSubmit,
+    reset,
+    watch,
+    formState: { errors, isDirty, isSubmitting }
+  } = useForm({
+    resolver: yupResolver(section.schema),
+    defaultValues: section.schema.getDefault(),
+    mode: 'onChange'
+  });
+
+  const values = watch();
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        setLoading(true);
+        const data = await section.load(SettingsService);
+        setStored(data);
+        reset(toSettingsFormValues(section.schema, data));
+      } catch (err) {
+        toast.error(`Failed to load ${section.name.toLowerCase()} settings: ${err.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSettings();
+  }, [SettingsService, section, reset]);
+
+  useEffect(() => {
+    onDirtyChange(section.id, isDirty);
+  }, [onDirtyChange, section.id, isDirty]);
+
+  const onSubmit = async (formValues) => {
+    try {
+      await section.save(SettingsService, formValues);
+      toast.success(`${section.name} settings saved`);
+
+      // Reload so the form and "last saved" line reflect what was stored
+      const data = await section.load(SettingsService);
+      setStored(data);
+      reset(toSettingsFormValues(section.schema, data));
+    } catch (err) {
+      toast.error(`Failed to save ${section.name.toLowerCase()} settings: ${err.message}`);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12 text-gray-500">
+        <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+        Loading settings...
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)}>
+      <div className="flex items-start justify-between mb-6">
+        <div>
+          <h3 className="font-semibold text-gray-800">{section.name} Settings</h3>
+          <p className="text-sm text-gray-500">{section.description}</p>
+        </div>
+        <div className="text-right text-xs text-gray-500">
+          {stored?.updatedAt && <p>Last saved {formatDate(stored.updatedAt, 'long')}</p>}
+          {section.info && <p>{section.info(stored)}</p>}
+        </div>
+      </div>
+
+      <div className="space-y-6">
+        {section.fields
+          .filter(field => !field.showIf || field.showIf(values))
+          .map(field => (
+            <SettingsField
+              key={field.name}
+              field={field}
+              control={control}
+              register={register}
+              error={errors[field.name]}
+              disabled={readOnly || isSubmitting}
+            />
+          ))}
+      </div>
+
+      {!readOnly && (
+        <div className="flex items-center justify-end gap-3 mt-8 pt-6 border-t border-gray-100">
+          {isDirty && <span className="text-sm text-amber-600 mr-auto">You have unsaved changes</span>}
+          <button
+            type="button"
+            className="flex items-center gap-2 bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            onClick={() => reset()}
+            disabled={!isDirty || isSubmitting}
+          >
+            <RotateCcw size={16} />
+            Discard
+          </button>
+          <button
+            type="submit"
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg text-sm disabled:opacity-50"
+            disabled={!isDirty || isSubmitting}
+          >
+            {isSubmitting ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />}
+            {isSubmitting ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      )}
+    </form>
+  );
+};
 
 const SettingsPage = () => {
+  const { can } = useAuth();
+  const [activeTab, setActiveTab] = useState(SETTINGS_SECTIONS[0].id);
+  const [dirtySections, setDirtySections] = useState({});
+
+  const readOnly = !can(PERMISSIONS.EDIT_SETTINGS);
+  const hasUnsavedChanges = Object.values(dirtySections).some(Boolean);
+
+  const handleDirtyChange = useCallback((sectionId, isDirty) => {
+    setDirtySections(prev => (prev[sectionId] === isDirty ? prev : { ...prev, [sectionId]: isDirty }));
+  }, []);
+
+  // Warn before leaving the page with unsaved changes in any tab
+  useEffect(() => {
+    if (!hasUnsavedChanges) return undefined;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedChanges]);
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
         <div>
           <h2 className="text-lg font-bold text-gray-800 mb-1">Settings</h2>
-          <p className="text-sm text-gray-500">Configure your admin panel and website settings</p>
+          <p className="text-sm text-gray-500">
+            {readOnly
+              ? 'You can view these settings but not change them'
+              : 'Configure your admin panel and website settings. Each tab is saved separately.'}
+          </p>
         </div>
       </div>
-      
-      <div className="bg-white rounded-xl shadow-sm border border-gray-100 p-6">
-        <h3 className="font-semibold text-gray-800 mb-4">General Settings</h3>
-        
-        <div className="space-y-6">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Website Name
-            </label>
-            <input 
-              type="text" 
-              className="w-full max-w-md border border-gray-300 rounded-md py-2 px-3 text-sm"
-              value="Business Options"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Admin Email
-            </label>
-            <input 
-              type="email" 
-              className="w-full max-w-md border border-gray-300 rounded-md py-2 px-3 text-sm"
-              value="admin@business-options.com"
-            />
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Timezone
-            </label>
-            <select className="w-full max-w-md border border-gray-300 rounded-md py-2 px-3 text-sm">
-              <option>(UTC+05:30) Asia/Kolkata</option>
-              <option>(UTC+00:00) UTC</option>
-              <option>(UTC-08:00) America/Los_Angeles</option>
-              <option>(UTC-05:00) America/New_York</option>
-            </select>
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Date Format
-            </label>
-            <select className="w-full max-w-md border border-gray-300 rounded-md py-2 px-3 text-sm">
-              <option>DD/MM/YYYY</option>
-              <option>MM/DD/YYYY</option>
-              <option>YYYY-MM-DD</option>
-            </select>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-100">
+        <div className="border-b border-gray-100">
+          <div className="flex overflow-x-auto">
+            {SETTINGS_SECTIONS.map(section => (
+              <button
+                key={section.id}
+                className={`flex items-center gap-2 text-sm font-medium px-5 py-4 whitespace-nowrap border-b-2 ${
+                  activeTab === section.id
+                    ? 'border-blue-600 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+                onClick={() => setActiveTab(section.id)}
+              >
+                <section.icon size={16} />
+                {section.name}
+                {dirtySections[section.id] && (
+                  <span className="h-2 w-2 rounded-full bg-amber-500" title="Unsaved changes"></span>
+                )}
+              </button>
+            ))}
           </div>
         </div>
+
+        {/* Every form stays mounted so unsaved edits survive switching tabs */}
+        {SETTINGS_SECTIONS.map(section => (
+          <div key={section.id} className={`p-6 ${activeTab === section.id ? '' : 'hidden'}`}>
+            <SettingsForm section={section} readOnly={readOnly} onDirtyChange={handleDirtyChange} />
+            {section.panel && (
+              <div className="mt-8 pt-6 border-t border-gray-100">
+                <section.panel readOnly={readOnly} />
+              </div>
+            )}
+          </div>
+        ))}
       </div>
     </div>
   );
 };
 
-export default SettingsPage;
\ No newline at end of file
+export default SettingsPage;
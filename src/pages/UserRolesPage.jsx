@@ -1,117 +1,296 @@
 // pages/UserRolesPage.jsx
-import React, { useState } from 'react';
-import { 
-  PlusCircle, Search, Filter, Eye, Edit, Trash2, 
-  ShieldCheck, Lock, Check, X, Save
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import {
+  PlusCircle, Search, Filter, Edit, Trash2,
+  ShieldCheck, Lock, Save, Copy, RefreshCw, XCircle, History
 } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { useDatabase } from '../contexts/DatabaseContext';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  USER_ROLES, USER_STATUS, PERMISSIONS, PERMISSION_GROUPS, ALL_PERMISSIONS,
+  INVITATION_STATUS, AUDIT_ENTITY_TYPES
+} from '../config/constants';
+import { formatDate } from '../utils/helpers';
+import { formatPermissionLabel } from '../utils/permissions';
+import AuditTimeline from '../components/AuditTimeline';
+
+const EMPTY_ROLE_FORM = { name: '', description: '' };
+const EMPTY_USER_FORM = { displayName: '', email: '', role: '' };
 
 const UserRolesPage = () => {
-  const [activeTab, setActiveTab] = useState('users');
+  const { RoleService, InvitationService } = useDatabase();
+  const { currentUser, can, isAdmin } = useAuth();
+  const [activeTab, setActiveTab] = useState(can(PERMISSIONS.VIEW_USERS) ? 'users' : 'roles');
   const [showAddUserModal, setShowAddUserModal] = useState(false);
   const [showPermissionsModal, setShowPermissionsModal] = useState(false);
-  const [selectedUser, setSelectedUser] = useState(null);
-  
-  // Mock data for users with different roles
-  const users = [
-    { 
-      id: 1, 
-      name: 'John Doe', 
-      email: 'john@example.com', 
-      role: 'Super Admin', 
-      status: 'Active', 
-      lastLogin: '2025-03-09 14:32',
-      permissions: ['all'] 
-    },
-    { 
-      id: 2, 
-      name: 'Jane Smith', 
-      email: 'jane@example.com', 
-      role: 'Content Manager', 
-      status: 'Active', 
-      lastLogin: '2025-03-08 10:15',
-      permissions: ['view_listings', 'edit_listings', 'view_content', 'edit_content'] 
-    },
-    { 
-      id: 3, 
-      name: 'Mike Johnson', 
-      email: 'mike@example.com', 
-      role: 'Support Admin', 
-      status: 'Active', 
-      lastLogin: '2025-03-07 16:45',
-      permissions: ['view_users', 'view_applications', 'respond_applications'] 
-    },
-    { 
-      id: 4, 
-      name: 'Sarah Williams', 
-      email: 'sarah@example.com', 
-      role: 'Analytics Manager', 
-      status: 'Inactive', 
-      lastLogin: '2025-02-28 09:20',
-      permissions: ['view_analytics', 'export_reports'] 
+  const [showRoleModal, setShowRoleModal] = useState(false);
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [invitationFilter, setInvitationFilter] = useState('');
+  const [editingUser, setEditingUser] = useState(null);
+  const [userForm, setUserForm] = useState(EMPTY_USER_FORM);
+  // Link of the invitation just created or resent; it is never shown again
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [editingRole, setEditingRole] = useState(null);
+  const [roleForm, setRoleForm] = useState(EMPTY_ROLE_FORM);
+  const [auditEntity, setAuditEntity] = useState(null);
+  const [selectedRole, setSelectedRole] = useState(null);
+  const [draftPermissions, setDraftPermissions] = useState([]);
+
+  const canManageRoles = can(PERMISSIONS.MANAGE_ROLES);
+  const canViewUsers = can(PERMISSIONS.VIEW_USERS);
+  const canInvite = can([PERMISSIONS.CREATE_USERS, PERMISSIONS.MANAGE_ROLES]);
+
+  const statusColors = {
+    [USER_STATUS.ACTIVE]: 'bg-green-100 text-green-800',
+    [USER_STATUS.SUSPENDED]: 'bg-yellow-100 text-yellow-800',
+    [USER_STATUS.DISABLED]: 'bg-red-100 text-red-800'
+  };
+
+  const invitationStatusColors = {
+    [INVITATION_STATUS.PENDING]: 'bg-blue-100 text-blue-800',
+    [INVITATION_STATUS.ACCEPTED]: 'bg-green-100 text-green-800',
+    [INVITATION_STATUS.EXPIRED]: 'bg-gray-100 text-gray-800',
+    [INVITATION_STATUS.REVOKED]: 'bg-red-100 text-red-800'
+  };
+
+  const fetchData = useCallback(async () => {
+    setIsLoading(true);
+
+    try {
+      const [roleList, staffList, invitationList] = await Promise.all([
+        RoleService.getRoles(),
+        canViewUsers ? RoleService.getStaffUsers() : [],
+        canInvite ? InvitationService.getInvitations() : []
+      ]);
+      setRoles(roleList);
+      setUsers(staffList);
+      setInvitations(invitationList);
+    } catch (err) {
+      toast.error(`Failed to load roles: ${err.message}`);
+    } finally {
+      setIsLoading(false);
     }
-  ];
-  
-  // Mock data for predefined roles and their permissions
-  const roles = [
-    { 
-      id: 1, 
-      name: 'Super Admin', 
-      description: 'Full access to all system functions', 
-      users: 1,
-      permissions: ['all']
-    },
-    { 
-      id: 2, 
-      name: 'Content Manager', 
-      description: 'Manage website content and listings', 
-      users: 3,
-      permissions: ['view_listings', 'edit_listings', 'delete_listings', 'view_content', 'edit_content']
-    },
-    { 
-      id: 3, 
-      name: 'Support Admin', 
-      description: 'Handle user inquiries and applications', 
-      users: 5,
-      permissions: ['view_users', 'view_applications', 'respond_applications']
-    },
-    { 
-      id: 4, 
-      name: 'Analytics Manager', 
-      description: 'Access to analytics and reports', 
-      users: 2,
-      permissions: ['view_analytics', 'export_reports']
-    },
-    { 
-      id: 5, 
-      name: 'Advisor Manager', 
-      description: 'Manage advisors and their commissions', 
-      users: 2,
-      permissions: ['view_advisors', 'edit_advisors', 'view_commissions']
+  }, [RoleService, InvitationService, canViewUsers, canInvite]);
+
+  useEffect(() => {
+    fetchData();
+  }, [fetchData]);
+
+  const rolesById = useMemo(
+    () => Object.fromEntries(roles.map(role => [role.id, role])),
+    [roles]
+  );
+
+  // Only Super Admins may hand out roles with full access
+  const assignableRoles = useMemo(
+    () => roles.filter(role => isAdmin() || !role.permissions?.includes(ALL_PERMISSIONS)),
+    [roles, isAdmin]
+  );
+
+  const visibleUsers = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return users.filter(user =>
+      (!statusFilter || (user.status || USER_STATUS.ACTIVE) === statusFilter)
+      && (!term || [user.displayName, user.email, rolesById[user.role]?.name]
+        .some(value => value?.toLowerCase().includes(term)))
+    );
+  }, [users, searchTerm, statusFilter, rolesById]);
+
+  const visibleInvitations = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return invitations.filter(invitation =>
+      (!invitationFilter || invitation.status === invitationFilter)
+      && (!term || [invitation.displayName, invitation.email, invitation.roleName]
+        .some(value => value?.toLowerCase().includes(term)))
+    );
+  }, [invitations, searchTerm, invitationFilter]);
+
+  const visibleRoles = useMemo(() => {
+    const term = searchTerm.trim().toLowerCase();
+    return roles.filter(role =>
+      !term || [role.name, role.description].some(value => value?.toLowerCase().includes(term))
+    );
+  }, [roles, searchTerm]);
+
+  // Permissions modal edits a role; from the users tab it opens the user's role
+  const handleEditPermissions = (role) => {
+    if (!role) {
+      toast.error('This user has no known role');
+      return;
     }
-  ];
-  
-  // All available permissions in the system
-  const allPermissions = {
-    users: ['view_users', 'create_users', 'edit_users', 'delete_users'],
-    listings: ['view_listings', 'create_listings', 'edit_listings', 'delete_listings', 'approve_listings'],
-    content: ['view_content', 'edit_content', 'publish_content'],
-    applications: ['view_applications', 'respond_applications', 'delete_applications'],
-    analytics: ['view_analytics', 'export_reports'],
-    advisors: ['view_advisors', 'create_advisors', 'edit_advisors', 'delete_advisors', 'view_commissions', 'pay_commissions'],
-    settings: ['view_settings', 'edit_settings']
+    setSelectedRole(role);
+    setDraftPermissions(role.permissions || []);
+    setShowPermissionsModal(true);
   };
-  
-  const statusColors = {
-    'Active': 'bg-green-100 text-green-800',
-    'Inactive': 'bg-red-100 text-red-800',
-    'Pending': 'bg-yellow-100 text-yellow-800'
+
+  const togglePermission = (permission) => {
+    setDraftPermissions(prev => (
+      prev.includes(permission)
+        ? prev.filter(item => item !== permission)
+        : [...prev, permission]
+    ));
   };
-  
-  const handleEditPermissions = (user) => {
-    setSelectedUser(user);
-    setShowPermissionsModal(true);
+
+  const handleSavePermissions = async () => {
+    try {
+      setIsSaving(true);
+      await RoleService.updateRole(selectedRole.id, { permissions: draftPermissions });
+      toast.success(`Permissions updated for ${selectedRole.name}`);
+      setShowPermissionsModal(false);
+      fetchData();
+    } catch (err) {
+      toast.error(`Failed to save permissions: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openRoleModal = (role = null) => {
+    setEditingRole(role);
+    setRoleForm(role ? { name: role.name, description: role.description || '' } : EMPTY_ROLE_FORM);
+    setShowRoleModal(true);
+  };
+
+  const handleSaveRole = async () => {
+    try {
+      setIsSaving(true);
+      if (editingRole) {
+        await RoleService.updateRole(editingRole.id, roleForm);
+        toast.success('Role updated');
+        setShowRoleModal(false);
+        fetchData();
+      } else {
+        const roleId = await RoleService.createRole({ ...roleForm, permissions: [] });
+        toast.success('Role created, now choose its permissions');
+        setShowRoleModal(false);
+        await fetchData();
+        handleEditPermissions({ id: roleId, name: roleForm.name.trim(), permissions: [] });
+      }
+    } catch (err) {
+      toast.error(`Failed to save role: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDeleteRole = async (role) => {
+    if (!window.confirm(`Delete the ${role.name} role?`)) return;
+
+    try {
+      await RoleService.deleteRole(role.id);
+      toast.success('Role deleted');
+      fetchData();
+    } catch (err) {
+      toast.error(`Failed to delete role: ${err.message}`);
+    }
   };
-  
+
+  const openUserModal = (user = null) => {
+    setEditingUser(user);
+    setInviteUrl('');
+    setUserForm(user
+      ? { displayName: user.displayName || '', email: user.email || '', role: user.role || '' }
+      : EMPTY_USER_FORM);
+    setShowAddUserModal(true);
+  };
+
+  const handleSaveUser = async () => {
+    if (!userForm.role) {
+      toast.error('Select a role');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      if (editingUser) {
+        await RoleService.assignRole(editingUser.id, userForm.role);
+        toast.success(`${editingUser.displayName || editingUser.email} is now ${rolesById[userForm.role]?.name}`);
+      } else {
+        if (!userForm.email.trim()) {
+          toast.error('Email address is required');
+          return;
+        }
+        const invitation = await InvitationService.createInvitation({
+          email: userForm.email,
+          displayName: userForm.displayName,
+          role: userForm.role
+        });
+        toast.success(`Invitation created for ${userForm.email.trim()}`);
+        // Keep the modal open so the link can be copied
+        setInviteUrl(invitation.inviteUrl);
+        fetchData();
+        return;
+      }
+      setShowAddUserModal(false);
+      fetchData();
+    } catch (err) {
+      toast.error(`Failed to save user: ${err.message}`);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRemoveAccess = async (user) => {
+    if (user.id === currentUser?.uid) {
+      toast.error('You cannot remove your own access');
+      return;
+    }
+    if (!window.confirm(`Remove admin panel access for ${user.displayName || user.email}?`)) return;
+
+    try {
+      await RoleService.assignRole(user.id, USER_ROLES.USER);
+      toast.success('Access removed');
+      fetchData();
+    } catch (err) {
+      toast.error(`Failed to remove access: ${err.message}`);
+    }
+  };
+
+  const handleCopyInviteUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl);
+      toast.success('Invitation link copied');
+    } catch (err) {
+      toast.error(`Failed to copy link: ${err.message}`);
+    }
+  };
+
+  const handleResendInvitation = async (invitation) => {
+    if (!window.confirm(`Issue a new link for ${invitation.email}? The previous link will stop working.`)) return;
+
+    try {
+      const renewed = await InvitationService.resendInvitation(invitation.id);
+      setEditingUser(null);
+      setUserForm({ displayName: invitation.displayName || '', email: invitation.email, role: invitation.role });
+      setInviteUrl(renewed.inviteUrl);
+      setShowAddUserModal(true);
+      fetchData();
+    } catch (err) {
+      toast.error(`Failed to resend invitation: ${err.message}`);
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+
+    try {
+      await InvitationService.revokeInvitation(invitation.id);
+      toast.success('Invitation revoked');
+      fetchData();
+    } catch (err) {
+      toast.error(`Failed to revoke invitation: ${err.message}`);
+    }
+  };
+
+  const hasAllPermissions = draftPermissions.includes(ALL_PERMISSIONS);
+
   return (
     <div>
       <div className="flex items-center justify-between mb-6">
@@ -119,28 +298,32 @@ const UserRolesPage = () => {
           <h2 className="text-lg font-bold text-gray-800 mb-1">User Roles & Permissions</h2>
           <p className="text-sm text-gray-500">Manage admin users and their access permissions</p>
         </div>
-        <button 
-          className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors"
-          onClick={() => setShowAddUserModal(true)}
-        >
-          <PlusCircle size={16} />
-          <span className="font-medium">Add Admin User</span>
-        </button>
+        {canInvite && (
+          <button
+            className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-lg shadow-sm transition-colors"
+            onClick={() => openUserModal()}
+          >
+            <PlusCircle size={16} />
+            <span className="font-medium">Invite Admin User</span>
+          </button>
+        )}
       </div>
-      
+
       {/* Tabs */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-100 mb-6">
         <div className="flex border-b border-gray-100">
-          <button
-            className={`px-6 py-4 text-sm font-medium ${
-              activeTab === 'users'
-                ? 'border-b-2 border-blue-600 text-blue-600'
-                : 'text-gray-500 hover:text-gray-700'
-            }`}
-            onClick={() => setActiveTab('users')}
-          >
-            Admin Users
-          </button>
+          {canViewUsers && (
+            <button
+              className={`px-6 py-4 text-sm font-medium ${
+                activeTab === 'users'
+                  ? 'border-b-2 border-blue-600 text-blue-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+              onClick={() => setActiveTab('users')}
+            >
+              Admin Users
+            </button>
+          )}
           <button
             className={`px-6 py-4 text-sm font-medium ${
               activeTab === 'roles'
@@ -151,38 +334,75 @@ const UserRolesPage = () => {
           >
             Roles & Permissions
           </button>
+          {canInvite && (
+            <button
+              className={`px-6 py-4 text-sm font-medium ${
+                activeTab === 'invitations'
+                  ? 'border-b-2 border-blue-600 text-blue-600'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+              onClick={() => setActiveTab('invitations')}
+            >
+              Invitations
+            </button>
+          )}
         </div>
-        
+
         {/* Search & Filter */}
         <div className="p-4 bg-gray-50 border-b border-gray-100">
           <div className="flex flex-wrap items-center justify-between gap-4">
             <div className="flex items-center gap-2">
               <div className="relative">
-                <input 
-                  type="text" 
-                  placeholder={`Search ${activeTab === 'users' ? 'users' : 'roles'}...`} 
+                <input
+                  type="text"
+                  placeholder={`Search ${activeTab === 'users' ? 'users' : activeTab}...`}
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
                   className="pl-9 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-64"
                 />
                 <Search size={16} className="absolute left-3 top-2.5 text-gray-400" />
               </div>
-              
+
               <button className="p-2 border border-gray-300 rounded-lg hover:bg-gray-100">
                 <Filter size={16} className="text-gray-500" />
               </button>
             </div>
-            
-            <div className="flex items-center gap-3">
-              <span className="text-sm text-gray-500">Status:</span>
-              <select className="text-sm border border-gray-300 rounded-md p-2 pr-8">
-                <option>All Status</option>
-                <option>Active</option>
-                <option>Inactive</option>
-                <option>Pending</option>
-              </select>
-            </div>
+
+            {activeTab === 'users' && (
+              <div className="flex items-center gap-3">
+                <span className="text-sm text-gray-500">Status:</span>
+                <select
+                  className="text-sm border border-gray-300 rounded-md p-2 pr-8"
+                  value={statusFilter}
+                  onChange={(e) => setStatusFilter(e.target.value)}
+                >
+                  <option value="">All Status</option>
+                  <option value={USER_STATUS.ACTIVE}>Active</option>
+                  <option value={USER_STATUS.SUSPENDED}>Suspended</option>
+                  <option value={USER_STATUS.DISABLED}>Disabled</option>
+                </select>
+              </div>
+            )}
+
+            {activeTab === 'invitations' && (
+              <div className="flex items-center gap-3">
+                <span className="text-sm text-gray-500">Status:</span>
+                <select
+                  className="text-sm border border-gray-300 rounded-md p-2 pr-8"
+                  value={invitationFilter}
+                  onChange={(e) => setInvitationFilter(e.target.value)}
+                >
+                  <option value="">All Status</option>
+                  <option value={INVITATION_STATUS.PENDING}>Pending</option>
+                  <option value={INVITATION_STATUS.ACCEPTED}>Accepted</option>
+                  <option value={INVITATION_STATUS.EXPIRED}>Expired</option>
+                  <option value={INVITATION_STATUS.REVOKED}>Revoked</option>
+                </select>
+              </div>
+            )}
           </div>
         </div>
-        
+
         {/* Admin Users Table */}
         {activeTab === 'users' && (
           <div className="overflow-x-auto">
@@ -197,59 +417,171 @@ const UserRolesPage = () => {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {users.map((user) => (
-                  <tr key={user.id} className="hover:bg-gray-50">
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold mr-3">
-                          {user.name.charAt(0)}
+                {visibleUsers.map((user) => {
+                  const name = user.displayName || user.email;
+                  const status = user.status || USER_STATUS.ACTIVE;
+                  return (
+                    <tr key={user.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <div className="h-10 w-10 rounded-full bg-blue-100 flex items-center justify-center text-blue-600 font-semibold mr-3">
+                            {name?.charAt(0).toUpperCase()}
+                          </div>
+                          <div>
+                            <div className="text-sm font-medium text-gray-900">{name}</div>
+                            <div className="text-sm text-gray-500">{user.email}</div>
+                          </div>
                         </div>
-                        <div>
-                          <div className="text-sm font-medium text-gray-900">{user.name}</div>
-                          <div className="text-sm text-gray-500">{user.email}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="flex items-center">
+                          <ShieldCheck size={16} className="text-blue-600 mr-2" />
+                          <span className="text-sm text-gray-700">{rolesById[user.role]?.name || user.role}</span>
                         </div>
-                      </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium capitalize ${statusColors[status]}`}>
+                          <span className={`h-1.5 w-1.5 rounded-full ${
+                            status === USER_STATUS.ACTIVE ? 'bg-green-600' : 'bg-red-600'
+                          } mr-1.5`}></span>
+                          {status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {user.lastLogin ? formatDate(user.lastLogin, 'long') : 'Never'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex items-center space-x-3 justify-end">
+                          {can(PERMISSIONS.VIEW_AUDIT_LOG) && (
+                            <button
+                              className="p-1 hover:bg-gray-100 rounded text-gray-600"
+                              title="Audit history"
+                              onClick={() => setAuditEntity({ type: AUDIT_ENTITY_TYPES.USER, id: user.id, name })}
+                            >
+                              <History size={16} />
+                            </button>
+                          )}
+                          {canManageRoles && (
+                            <button
+                              className="p-1 hover:bg-blue-50 rounded text-blue-600"
+                              title="Edit role permissions"
+                              onClick={() => handleEditPermissions(rolesById[user.role])}
+                            >
+                              <Lock size={16} />
+                            </button>
+                          )}
+                          {canManageRoles && (
+                            <button
+                              className="p-1 hover:bg-amber-50 rounded text-amber-600"
+                              title="Change role"
+                              onClick={() => openUserModal(user)}
+                            >
+                              <Edit size={16} />
+                            </button>
+                          )}
+                          {canManageRoles && user.id !== currentUser?.uid && (
+                            <button
+                              className="p-1 hover:bg-red-50 rounded text-red-600"
+                              title="Remove admin access"
+                              onClick={() => handleRemoveAccess(user)}
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+                {!isLoading && visibleUsers.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-6 py-8 text-center text-sm text-gray-500">
+                      No admin users found
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {/* Invitations Table */}
+        {activeTab === 'invitations' && (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <th className="px-6 py-3">Invitee</th>
+                  <th className="px-6 py-3">Role</th>
+                  <th className="px-6 py-3">Status</th>
+                  <th className="px-6 py-3">Invited</th>
+                  <th className="px-6 py-3">Expires</th>
+                  <th className="px-6 py-3">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {visibleInvitations.map((invitation) => (
+                  <tr key={invitation.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{invitation.displayName || invitation.email}</div>
+                      <div className="text-sm text-gray-500">{invitation.email}</div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <ShieldCheck size={16} className="text-blue-600 mr-2" />
-                        <span className="text-sm text-gray-700">{user.role}</span>
+                        <span className="text-sm text-gray-700">{rolesById[invitation.role]?.name || invitation.roleName}</span>
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium ${statusColors[user.status]}`}>
-                        <span className={`h-1.5 w-1.5 rounded-full ${
-                          user.status === 'Active' ? 'bg-green-600' : 'bg-red-600'
-                        } mr-1.5`}></span>
-                        {user.status}
+                      <span className={`inline-flex items-center text-xs px-2.5 py-1 rounded-full font-medium capitalize ${invitationStatusColors[invitation.status]}`}>
+                        {invitation.status}
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {user.lastLogin}
+                      <div>{invitation.createdAt ? formatDate(invitation.createdAt, 'long') : '—'}</div>
+                      <div className="text-xs">by {invitation.invitedByName || 'Unknown'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {invitation.status === INVITATION_STATUS.ACCEPTED
+                        ? `Accepted ${invitation.acceptedAt ? formatDate(invitation.acceptedAt, 'long') : ''}`
+                        : invitation.expiresAt ? formatDate(invitation.expiresAt, 'long') : '—'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <div className="flex items-center space-x-3 justify-end">
-                        <button
-                          className="p-1 hover:bg-blue-50 rounded text-blue-600"
-                          onClick={() => handleEditPermissions(user)}
-                        >
-                          <Lock size={16} />
-                        </button>
-                        <button className="p-1 hover:bg-amber-50 rounded text-amber-600">
-                          <Edit size={16} />
-                        </button>
-                        <button className="p-1 hover:bg-red-50 rounded text-red-600">
-                          <Trash2 size={16} />
-                        </button>
-                      </div>
+                      {[INVITATION_STATUS.PENDING, INVITATION_STATUS.EXPIRED].includes(invitation.status) && (
+                        <div className="flex items-center space-x-3 justify-end">
+                          <button
+                            className="p-1 hover:bg-blue-50 rounded text-blue-600"
+                            title="Resend with a new link"
+                            onClick={() => handleResendInvitation(invitation)}
+                          >
+                            <RefreshCw size={16} />
+                          </button>
+                          {invitation.status === INVITATION_STATUS.PENDING && (
+                            <button
+                              className="p-1 hover:bg-red-50 rounded text-red-600"
+                              title="Revoke invitation"
+                              onClick={() => handleRevokeInvitation(invitation)}
+                            >
+                              <XCircle size={16} />
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </td>
                   </tr>
                 ))}
+                {!isLoading && visibleInvitations.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-6 py-8 text-center text-sm text-gray-500">
+                      No invitations found
+                    </td>
+                  </tr>
+                )}
               </tbody>
             </table>
           </div>
         )}
-        
+
         {/* Roles Table */}
         {activeTab === 'roles' && (
           <div className="overflow-x-auto">
@@ -263,149 +595,247 @@ const UserRolesPage = () => {
                 </tr>
               </thead>
               <tbody className="divide-y divide-gray-100">
-                {roles.map((role) => (
+                {visibleRoles.map((role) => (
                   <tr key={role.id} className="hover:bg-gray-50">
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <ShieldCheck size={18} className="text-blue-600 mr-2" />
                         <span className="text-sm font-medium text-gray-800">{role.name}</span>
+                        {role.isSystem && (
+                          <span className="ml-2 text-xs text-gray-500">Built-in</span>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4">
                       <p className="text-sm text-gray-600">{role.description}</p>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                      {role.users} {role.users === 1 ? 'user' : 'users'}
+                      {role.userCount} {role.userCount === 1 ? 'user' : 'users'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                      <div className="flex items-center space-x-3 justify-end">
-                        <button className="p-1 hover:bg-blue-50 rounded text-blue-600">
-                          <Lock size={16} />
-                        </button>
-                        <button className="p-1 hover:bg-amber-50 rounded text-amber-600">
-                          <Edit size={16} />
-                        </button>
-                        {role.name !== 'Super Admin' && (
-                          <button className="p-1 hover:bg-red-50 rounded text-red-600">
-                            <Trash2 size={16} />
+                      {canManageRoles && (role.id !== USER_ROLES.ADMIN || isAdmin()) && (
+                        <div className="flex items-center space-x-3 justify-end">
+                          <button
+                            className="p-1 hover:bg-blue-50 rounded text-blue-600"
+                            title="Edit permissions"
+                            onClick={() => handleEditPermissions(role)}
+                          >
+                            <Lock size={16} />
                           </button>
-                        )}
-                      </div>
+                          <button
+                            className="p-1 hover:bg-amber-50 rounded text-amber-600"
+                            title="Rename"
+                            onClick={() => openRoleModal(role)}
+                          >
+                            <Edit size={16} />
+                          </button>
+                          {!role.isSystem && (
+                            <button
+                              className="p-1 hover:bg-red-50 rounded text-red-600"
+                              title="Delete role"
+                              onClick={() => handleDeleteRole(role)}
+                            >
+                              <Trash2 size={16} />
+                            </button>
+                          )}
+                        </div>
+                      )}
                     </td>
                   </tr>
                 ))}
               </tbody>
             </table>
-            
-            <div className="p-4 border-t border-gray-100">
-              <button className="flex items-center gap-2 text-blue-600 hover:text-blue-800 font-medium">
-                <PlusCircle size={16} />
-                <span>Create New Role</span>
-              </button>
-            </div>
+
+            {canManageRoles && (
+              <div className="p-4 border-t border-gray-100">
+                <button
+                  className="flex items-center gap-2 text-blue-600 hover:text-blue-800 font-medium"
+                  onClick={() => openRoleModal()}
+                >
+                  <PlusCircle size={16} />
+                  <span>Create New Role</span>
+                </button>
+              </div>
+            )}
           </div>
         )}
       </div>
-      
-      {/* Add User Modal */}
+
+      {/* Invite User Modal (also changes an existing user's role) */}
       {showAddUserModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
             <div className="p-6 border-b border-gray-200">
-              <h3 className="text-lg font-bold text-gray-800">Add Admin User</h3>
+              <h3 className="text-lg font-bold text-gray-800">
+                {editingUser ? 'Change Role' : inviteUrl ? 'Invitation Link' : 'Invite Admin User'}
+              </h3>
             </div>
-            <div className="p-6">
-              <form className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Full Name
-                  </label>
-                  <input 
-                    type="text" 
-                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
-                    placeholder="Enter full name"
-                  />
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Email Address
-                  </label>
-                  <input 
-                    type="email" 
-                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
-                    placeholder="Enter email address"
-                  />
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Role
-                  </label>
-                  <select className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm">
-                    <option value="">Select a role</option>
-                    {roles.map(role => (
-                      <option key={role.id} value={role.id}>{role.name}</option>
-                    ))}
-                  </select>
-                </div>
-                
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Initial Password
-                  </label>
-                  <input 
-                    type="password" 
-                    className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
-                    placeholder="Enter password"
-                  />
-                  <p className="text-xs text-gray-500 mt-1">
-                    Password must be at least 8 characters with a number and special character.
-                  </p>
-                </div>
-                
-                <div className="flex items-center">
-                  <input 
-                    type="checkbox" 
-                    id="send-email" 
-                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            {inviteUrl ? (
+              <div className="p-6 space-y-3">
+                <p className="text-sm text-gray-600">
+                  Send this link to <span className="font-medium">{userForm.email.trim()}</span>. It can be
+                  used once to create their account and will not be shown again.
+                </p>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    readOnly
+                    className="flex-1 border border-gray-300 rounded-md py-2 px-3 text-sm bg-gray-50"
+                    value={inviteUrl}
+                    onFocus={(e) => e.target.select()}
                   />
-                  <label htmlFor="send-email" className="ml-2 text-sm text-gray-700">
-                    Send welcome email with login details
-                  </label>
+                  <button
+                    className="p-2 border border-gray-300 rounded-lg hover:bg-gray-100"
+                    title="Copy link"
+                    onClick={handleCopyInviteUrl}
+                  >
+                    <Copy size={16} className="text-gray-600" />
+                  </button>
                 </div>
-              </form>
-            </div>
+              </div>
+            ) : (
+              <div className="p-6">
+                <form className="space-y-4" onSubmit={(e) => e.preventDefault()}>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Full Name
+                    </label>
+                    <input
+                      type="text"
+                      className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm disabled:bg-gray-100"
+                      placeholder="Enter full name"
+                      value={userForm.displayName}
+                      onChange={(e) => setUserForm(prev => ({ ...prev, displayName: e.target.value }))}
+                      disabled={Boolean(editingUser)}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Email Address
+                    </label>
+                    <input
+                      type="email"
+                      className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm disabled:bg-gray-100"
+                      placeholder="Enter email address"
+                      value={userForm.email}
+                      onChange={(e) => setUserForm(prev => ({ ...prev, email: e.target.value }))}
+                      disabled={Boolean(editingUser)}
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Role
+                    </label>
+                    <select
+                      className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                      value={userForm.role}
+                      onChange={(e) => setUserForm(prev => ({ ...prev, role: e.target.value }))}
+                    >
+                      <option value="">Select a role</option>
+                      {assignableRoles.map(role => (
+                        <option key={role.id} value={role.id}>{role.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                </form>
+              </div>
+            )}
             <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
-              <button 
+              <button
                 className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
                 onClick={() => setShowAddUserModal(false)}
+                disabled={isSaving}
+              >
+                {inviteUrl ? 'Done' : 'Cancel'}
+              </button>
+              {!inviteUrl && (
+                <button
+                  className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                  onClick={handleSaveUser}
+                  disabled={isSaving}
+                >
+                  {editingUser ? 'Save Role' : isSaving ? 'Creating...' : 'Create Invitation'}
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Role Modal */}
+      {showRoleModal && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-xl shadow-xl max-w-md w-full mx-4">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-bold text-gray-800">
+                {editingRole ? `Edit Role: ${editingRole.name}` : 'Create New Role'}
+              </h3>
+            </div>
+            <div className="p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Role Name
+                </label>
+                <input
+                  type="text"
+                  className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                  placeholder="e.g. Content Manager"
+                  value={roleForm.name}
+                  onChange={(e) => setRoleForm(prev => ({ ...prev, name: e.target.value }))}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Description
+                </label>
+                <textarea
+                  className="w-full border border-gray-300 rounded-md py-2 px-3 text-sm"
+                  rows={3}
+                  placeholder="What this role is for"
+                  value={roleForm.description}
+                  onChange={(e) => setRoleForm(prev => ({ ...prev, description: e.target.value }))}
+                />
+              </div>
+            </div>
+            <div className="p-6 border-t border-gray-200 flex justify-end space-x-3">
+              <button
+                className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
+                onClick={() => setShowRoleModal(false)}
+                disabled={isSaving}
               >
                 Cancel
               </button>
-              <button className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg">
-                Create User
+              <button
+                className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+                onClick={handleSaveRole}
+                disabled={isSaving || !roleForm.name.trim()}
+              >
+                {editingRole ? 'Save Role' : 'Create Role'}
               </button>
             </div>
           </div>
         </div>
       )}
-      
+
       {/* Permissions Modal */}
-      {showPermissionsModal && selectedUser && (
+      {showPermissionsModal && selectedRole && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full mx-4 max-h-[80vh] overflow-auto">
             <div className="p-6 border-b border-gray-200 sticky top-0 bg-white z-10">
               <div className="flex justify-between items-center">
                 <h3 className="text-lg font-bold text-gray-800">
-                  Edit Permissions: {selectedUser.name}
+                  Edit Permissions: {selectedRole.name}
                 </h3>
-                <span className="text-sm font-medium text-blue-600">Role: {selectedUser.role}</span>
+                <span className="text-sm font-medium text-blue-600">
+                  Applies to {rolesById[selectedRole.id]?.userCount ?? 0} {rolesById[selectedRole.id]?.userCount === 1 ? 'user' : 'users'}
+                </span>
               </div>
             </div>
             <div className="p-6">
               <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                {Object.entries(allPermissions).map(([category, permissions]) => (
+                {Object.entries(PERMISSION_GROUPS).map(([category, permissions]) => (
                   <div key={category} className="border border-gray-200 rounded-lg p-4">
                     <h4 className="font-medium text-gray-800 mb-3 capitalize">
                       {category.replace('_', ' ')}
@@ -414,15 +844,16 @@ const UserRolesPage = () => {
                       {permissions.map(permission => (
                         <div key={permission} className="flex items-center justify-between">
                           <div className="flex items-center">
-                            <input 
-                              type="checkbox" 
-                              id={permission} 
-                              checked={selectedUser.permissions.includes(permission) || selectedUser.permissions.includes('all')}
-                              disabled={selectedUser.permissions.includes('all')}
+                            <input
+                              type="checkbox"
+                              id={permission}
+                              checked={hasAllPermissions || draftPermissions.includes(permission)}
+                              disabled={hasAllPermissions}
+                              onChange={() => togglePermission(permission)}
                               className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
                             />
                             <label htmlFor={permission} className="ml-2 text-sm text-gray-700">
-                              {permission.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}
+                              {formatPermissionLabel(permission)}
                             </label>
                           </div>
                           {permission.startsWith('view_') && (
@@ -434,32 +865,41 @@ const UserRolesPage = () => {
                   </div>
                 ))}
               </div>
-              
-              <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-100">
-                <div className="flex items-center mb-2">
-                  <input 
-                    type="checkbox" 
-                    id="all-permissions" 
-                    checked={selectedUser.permissions.includes('all')}
-                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-                  />
-                  <label htmlFor="all-permissions" className="ml-2 text-sm font-medium text-blue-800">
-                    Grant All Permissions (Super Admin Access)
-                  </label>
+
+              {isAdmin() && (
+                <div className="mt-6 p-4 bg-blue-50 rounded-lg border border-blue-100">
+                  <div className="flex items-center mb-2">
+                    <input
+                      type="checkbox"
+                      id="all-permissions"
+                      checked={hasAllPermissions}
+                      disabled={selectedRole.id === USER_ROLES.ADMIN}
+                      onChange={() => togglePermission(ALL_PERMISSIONS)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <label htmlFor="all-permissions" className="ml-2 text-sm font-medium text-blue-800">
+                      Grant All Permissions (Super Admin Access)
+                    </label>
+                  </div>
+                  <p className="text-xs text-blue-700 ml-6">
+                    This will give the role full access to all system functions. Use with caution.
+                  </p>
                 </div>
-                <p className="text-xs text-blue-700 ml-6">
-                  This will give the user full access to all system functions. Use with caution.
-                </p>
-              </div>
+              )}
             </div>
             <div className="p-6 border-t border-gray-200 flex justify-end space-x-3 sticky bottom-0 bg-white z-10">
-              <button 
+              <button
                 className="px-4 py-2 text-sm text-gray-700 hover:bg-gray-100 border border-gray-300 rounded-lg"
                 onClick={() => setShowPermissionsModal(false)}
+                disabled={isSaving}
               >
                 Cancel
               </button>
-              <button className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg flex items-center">
+              <button
+                className="px-4 py-2 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg flex items-center disabled:opacity-50"
+                onClick={handleSavePermissions}
+                disabled={isSaving}
+              >
                 <Save size={16} className="mr-1" />
                 Save Permissions
               </button>
@@ -467,8 +907,10 @@ const UserRolesPage = () => {
           </div>
         </div>
       )}
+
+      <AuditTimeline entity={auditEntity} onClose={() => setAuditEntity(null)} />
     </div>
   );
 };
 
-export default UserRolesPage;
\ No newline at end of file
+export default UserRolesPage;
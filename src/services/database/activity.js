@@ -161,23 +161,6 @@ import {
     return snapshot.data().count;
   }
   
-  /**
-   * Gets page view metrics for the analytics dashboard
-   * 
-   * @returns {Promise<Array>} - Array of page view metrics
-   */
-  export async function getPageViewMetrics() {
-    // In a real application, this would query aggregated analytics data
-    // For this example, we'll return mock data
-    return [
-      { page: "Business Listings", visits: 12453, interaction: 68, conversion: 3.2 },
-      { page: "Franchise Opportunities", visits: 8764, interaction: 72, conversion: 4.1 },
-      { page: "Startup Showcase", visits: 6542, interaction: 65, conversion: 2.8 },
-      { page: "Investor Network", visits: 4321, interaction: 58, conversion: 2.3 },
-      { page: "Digital Assets", visits: 3897, interaction: 61, conversion: 2.7 }
-    ];
-  }
-  
   /**
    * Gets user activity history with pagination
    * 
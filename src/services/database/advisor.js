@@ -0,0 +1,720 @@
+// src/services/database/advisor.js
+/**
+ * Advisor Service
+ * Handles advisor onboarding, listing assignment, commission rates and the
+ * pending → approved → paid commission lifecycle
+ */
+import {
+    collection, doc, getDoc, getDocs, query, where, orderBy,
+    limit, startAfter, serverTimestamp, updateDoc, arrayUnion,
+    arrayRemove, increment, Timestamp, getAggregateFromServer, count, sum
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import {
+    COLLECTIONS, LISTING_TYPES, ADVISOR_STATUS, COMMISSION_STATUS, NOTIFICATION_TYPES
+  } from '../../config/constants';
+  import { omit } from '../../utils/helpers';
+  import { BaseService } from './index';
+  import { getUserByEmail } from './user';
+  import { getSettings, updateSettings } from './settings';
+  import { createNotification } from './notification';
+  import { processAdvisorCommission } from './transaction-operations';
+
+  // Settings document holding the commission rate table
+  const COMMISSION_RATES_SETTINGS = 'commissionRates';
+
+  /**
+   * Default commission rates by listing type, used until an admin saves
+   * their own table. Rates are percentages of the deal value; tiers raise
+   * the rate once the deal value reaches minDealValue.
+   */
+  export const DEFAULT_COMMISSION_RATES = {
+    [LISTING_TYPES.BUSINESS]: { rate: 5, min: 10000, max: 50000, tiers: [] },
+    [LISTING_TYPES.FRANCHISE]: { rate: 7, min: 25000, max: 100000, tiers: [] },
+    [LISTING_TYPES.STARTUP]: { rate: 6, min: 15000, max: 75000, tiers: [] },
+    [LISTING_TYPES.INVESTOR]: { rate: 3, min: 20000, max: null, tiers: [] },
+    [LISTING_TYPES.DIGITAL_ASSET]: { rate: 8, min: 5000, max: 30000, tiers: [] }
+  };
+
+  /**
+   * Allowed commission status transitions
+   * Pending → Approved → Paid, with rejection possible before payment
+   */
+  export const COMMISSION_TRANSITIONS = {
+    [COMMISSION_STATUS.PENDING]: [COMMISSION_STATUS.APPROVED, COMMISSION_STATUS.REJECTED],
+    [COMMISSION_STATUS.APPROVED]: [COMMISSION_STATUS.PAID, COMMISSION_STATUS.REJECTED],
+    [COMMISSION_STATUS.PAID]: [],
+    [COMMISSION_STATUS.REJECTED]: []
+  };
+
+  // Start of the current calendar month, for "this month" deltas
+  function startOfMonth() {
+    const now = new Date();
+    return Timestamp.fromDate(new Date(now.getFullYear(), now.getMonth(), 1));
+  }
+
+  /**
+   * Onboards an existing user as an advisor
+   *
+   * The advisor profile shares its ID with the user account so that
+   * commissions, activities and the user's balances line up.
+   *
+   * @param {Object} advisorData - Advisor data (email, name, phone, city, state, expertise)
+   * @returns {Promise<Object>} - Created advisor with ID
+   */
+  export async function onboardAdvisor(advisorData) {
+    if (!advisorData.email) {
+      throw new Error('Advisor email is required');
+    }
+
+    const user = await getUserByEmail(advisorData.email.trim().toLowerCase());
+
+    if (!user) {
+      throw new Error(`No user account found for ${advisorData.email}`);
+    }
+
+    const existing = await BaseService.getDocument(COLLECTIONS.ADVISORS, user.id, true);
+    if (existing && !existing.isDeleted) {
+      throw new Error(`${advisorData.email} is already an advisor`);
+    }
+
+    const advisor = {
+      userId: user.id,
+      name: advisorData.name || user.displayName || '',
+      email: user.email,
+      phone: advisorData.phone || user.phoneNumber || '',
+      city: advisorData.city || '',
+      state: advisorData.state || '',
+      expertise: advisorData.expertise || [],
+      status: ADVISOR_STATUS.PENDING,
+      kycVerified: false,
+      assignedListings: [],
+      stats: {
+        listings: 0,
+        conversions: 0,
+        outstanding: 0,
+        totalPaid: 0
+      },
+      activatedAt: null
+    };
+
+    return BaseService.createDocument(COLLECTIONS.ADVISORS, advisor, user.id);
+  }
+
+  /**
+   * Gets an advisor by ID
+   *
+   * @param {string} id - Advisor ID (same as the user ID)
+   * @returns {Promise<Object|null>} - Advisor data or null if not found
+   */
+  export async function getAdvisorById(id) {
+    return BaseService.getDocument(COLLECTIONS.ADVISORS, id);
+  }
+
+  /**
+   * Gets advisors with filtering and pagination
+   *
+   * @param {Object} filters - Filters to apply (status, city)
+   * @param {number} pageSize - Number of advisors per page
+   * @param {string|null} lastVisible - Last document ID for pagination
+   * @returns {Promise<Object>} - Paginated results
+   */
+  export async function getAdvisors(filters = {}, pageSize = 20, lastVisible = null) {
+    const advisorsRef = collection(db, COLLECTIONS.ADVISORS);
+    let constraints = [
+      where('isDeleted', '==', false)
+    ];
+
+    if (filters.status) {
+      constraints.push(where('status', '==', filters.status));
+    }
+
+    if (filters.city) {
+      constraints.push(where('city', '==', filters.city));
+    }
+
+    constraints.push(orderBy('createdAt', 'desc'));
+
+    if (lastVisible) {
+      const lastDoc = await getDoc(doc(db, COLLECTIONS.ADVISORS, lastVisible));
+      if (lastDoc.exists()) {
+        constraints.push(startAfter(lastDoc));
+      }
+    }
+
+    constraints.push(limit(pageSize));
+
+    const q = query(advisorsRef, ...constraints);
+    const snapshot = await getDocs(q);
+
+    return {
+      advisors: snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })),
+      lastVisible: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null,
+      hasMore: snapshot.docs.length >= pageSize
+    };
+  }
+
+  /**
+   * Updates an advisor's profile
+   *
+   * @param {string} id - Advisor ID
+   * @param {Object} advisorData - Fields to update
+   * @returns {Promise<string>} - Advisor ID
+   */
+  export async function updateAdvisor(id, advisorData) {
+    // Status, stats and assignments have dedicated operations
+    const profile = omit(advisorData, ['status', 'stats', 'assignedListings']);
+    return BaseService.updateDocument(COLLECTIONS.ADVISORS, id, profile);
+  }
+
+  /**
+   * Changes an advisor's status
+   *
+   * @param {string} id - Advisor ID
+   * @param {string} status - New status (ADVISOR_STATUS)
+   * @returns {Promise<string>} - Advisor ID
+   */
+  export async function setAdvisorStatus(id, status) {
+    if (!Object.values(ADVISOR_STATUS).includes(status)) {
+      throw new Error(`Invalid advisor status: ${status}`);
+    }
+
+    const updateData = { status };
+
+    if (status === ADVISOR_STATUS.ACTIVE) {
+      updateData.activatedAt = serverTimestamp();
+    }
+
+    return BaseService.updateDocument(COLLECTIONS.ADVISORS, id, updateData);
+  }
+
+  /**
+   * Marks an advisor's KYC as verified
+   *
+   * @param {string} id - Advisor ID
+   * @returns {Promise<string>} - Advisor ID
+   */
+  export async function verifyAdvisorKyc(id) {
+    const currentUser = auth.currentUser;
+
+    return BaseService.updateDocument(COLLECTIONS.ADVISORS, id, {
+      kycVerified: true,
+      kycVerifiedAt: serverTimestamp(),
+      kycVerifiedBy: currentUser?.uid || 'system'
+    });
+  }
+
+  /**
+   * Removes an advisor (soft delete)
+   *
+   * @param {string} id - Advisor ID
+   * @param {string|null} reason - Deletion reason
+   * @returns {Promise<string>} - Advisor ID
+   */
+  export async function deleteAdvisor(id, reason = null) {
+    return BaseService.deleteDocument(COLLECTIONS.ADVISORS, id, reason);
+  }
+
+  /**
+   * Assigns a listing to an advisor, moving it off any previous advisor
+   *
+   * @param {string} advisorId - Advisor ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<string>} - Advisor ID
+   */
+  export async function assignListingToAdvisor(advisorId, listingId) {
+    const listingRef = doc(db, COLLECTIONS.LISTINGS, listingId);
+    const listingSnap = await getDoc(listingRef);
+
+    if (!listingSnap.exists()) {
+      throw new Error('Listing not found');
+    }
+
+    const previousAdvisorId = listingSnap.data().advisorId;
+
+    if (previousAdvisorId === advisorId) {
+      return advisorId;
+    }
+
+    if (previousAdvisorId) {
+      await unassignListing(previousAdvisorId, listingId);
+    }
+
+    await updateDoc(doc(db, COLLECTIONS.ADVISORS, advisorId), {
+      assignedListings: arrayUnion(listingId),
+      'stats.listings': increment(1),
+      updatedAt: serverTimestamp()
+    });
+
+    await updateDoc(listingRef, {
+      advisorId,
+      updatedAt: serverTimestamp()
+    });
+
+    return advisorId;
+  }
+
+  /**
+   * Removes a listing from an advisor
+   *
+   * @param {string} advisorId - Advisor ID
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<string>} - Advisor ID
+   */
+  export async function unassignListing(advisorId, listingId) {
+    await updateDoc(doc(db, COLLECTIONS.ADVISORS, advisorId), {
+      assignedListings: arrayRemove(listingId),
+      'stats.listings': increment(-1),
+      updatedAt: serverTimestamp()
+    });
+
+    await updateDoc(doc(db, COLLECTIONS.LISTINGS, listingId), {
+      advisorId: null,
+      updatedAt: serverTimestamp()
+    });
+
+    return advisorId;
+  }
+
+  /**
+   * Gets the listings assigned to an advisor
+   *
+   * @param {string} advisorId - Advisor ID
+   * @returns {Promise<Array>} - Array of listings
+   */
+  export async function getAssignedListings(advisorId) {
+    const q = query(
+      collection(db, COLLECTIONS.LISTINGS),
+      where('advisorId', '==', advisorId),
+      where('isDeleted', '==', false)
+    );
+
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
+
+  /**
+   * Gets the commission rate table, falling back to the defaults for any
+   * listing type that has not been configured
+   *
+   * @returns {Promise<Object>} - Rates keyed by listing type
+   */
+  export async function getCommissionRates() {
+    const settings = await getSettings(COMMISSION_RATES_SETTINGS);
+
+    return {
+      ...DEFAULT_COMMISSION_RATES,
+      ...(settings?.rates || {})
+    };
+  }
+
+  /**
+   * Updates the commission rate for a listing type
+   *
+   * @param {string} listingType - Listing type
+   * @param {Object} rateData - Rate data (rate, min, max, tiers)
+   * @returns {Promise<Object>} - Saved rate
+   */
+  export async function updateCommissionRate(listingType, rateData) {
+    if (!Object.values(LISTING_TYPES).includes(listingType)) {
+      throw new Error(`Invalid listing type: ${listingType}`);
+    }
+
+    const rate = Number(rateData.rate);
+    const min = rateData.min === null || rateData.min === '' ? 0 : Number(rateData.min);
+    const max = rateData.max === null || rateData.max === '' ? null : Number(rateData.max);
+
+    if (isNaN(rate) || rate < 0 || rate > 100) {
+      throw new Error('Rate must be a percentage between 0 and 100');
+    }
+
+    if (isNaN(min) || min < 0 || (max !== null && (isNaN(max) || max < min))) {
+      throw new Error('Maximum commission must be greater than the minimum');
+    }
+
+    const tiers = (rateData.tiers || [])
+      .map(tier => ({ minDealValue: Number(tier.minDealValue), rate: Number(tier.rate) }));
+
+    tiers.forEach((tier, index) => {
+      if (isNaN(tier.minDealValue) || tier.minDealValue < 0) {
+        throw new Error(`Tier ${index + 1}: deal value must be zero or more`);
+      }
+      if (isNaN(tier.rate) || tier.rate < 0 || tier.rate > 100) {
+        throw new Error(`Tier ${index + 1}: rate must be a percentage between 0 and 100`);
+      }
+    });
+
+    tiers.sort((a, b) => a.minDealValue - b.minDealValue);
+    if (tiers.some((tier, index) => index > 0 && tier.minDealValue === tiers[index - 1].minDealValue)) {
+      throw new Error('Each tier must start at a different deal value');
+    }
+
+    const saved = { rate, min, max, tiers };
+
+    await updateSettings(COMMISSION_RATES_SETTINGS, {
+      rates: { [listingType]: saved }
+    });
+
+    return saved;
+  }
+
+  /**
+   * Calculates the commission for a deal
+   *
+   * The rate comes from the highest tier whose minDealValue the deal
+   * reaches (or the base rate), and the result is clamped to min/max.
+   *
+   * @param {string} listingType - Listing type
+   * @param {number} dealValue - Deal value
+   * @param {Object|null} rates - Rate table (loaded when not provided)
+   * @returns {Promise<Object>} - { amount, rate }
+   */
+  export async function calculateCommission(listingType, dealValue, rates = null) {
+    const table = rates || await getCommissionRates();
+    const config = table[listingType];
+
+    if (!config) {
+      throw new Error(`No commission rate configured for ${listingType}`);
+    }
+
+    const tier = (config.tiers || [])
+      .filter(tier => dealValue >= tier.minDealValue)
+      .pop();
+
+    const rate = tier ? tier.rate : config.rate;
+    let amount = Math.round(dealValue * rate) / 100;
+
+    if (config.min) {
+      amount = Math.max(amount, config.min);
+    }
+
+    if (config.max !== null && config.max !== undefined) {
+      amount = Math.min(amount, config.max);
+    }
+
+    return { amount, rate };
+  }
+
+  /**
+   * Records a commission owed to an advisor for a closed deal
+   *
+   * @param {string} advisorId - Advisor ID
+   * @param {string} listingId - Listing the deal closed on
+   * @param {number} dealValue - Deal value
+   * @param {string|null} notes - Optional notes
+   * @returns {Promise<Object>} - Created commission with ID
+   */
+  export async function createCommission(advisorId, listingId, dealValue, notes = null) {
+    const advisor = await getAdvisorById(advisorId);
+
+    if (!advisor) {
+      throw new Error('Advisor not found');
+    }
+
+    const listingSnap = await getDoc(doc(db, COLLECTIONS.LISTINGS, listingId));
+
+    if (!listingSnap.exists()) {
+      throw new Error('Listing not found');
+    }
+
+    const listing = listingSnap.data();
+    const { amount, rate } = await calculateCommission(listing.type, dealValue);
+    const currentUser = auth.currentUser;
+    const now = Timestamp.now();
+
+    const commission = {
+      advisorId,
+      advisorName: advisor.name,
+      businessId: listingId,
+      businessDetails: {
+        name: listing.name,
+        type: listing.type
+      },
+      dealValue,
+      rate,
+      amount,
+      currency: 'INR',
+      status: COMMISSION_STATUS.PENDING,
+      notes,
+      statusHistory: [{
+        status: COMMISSION_STATUS.PENDING,
+        changedAt: now,
+        changedBy: currentUser?.uid || 'system',
+        note: notes
+      }]
+    };
+
+    const created = await BaseService.createDocument(COLLECTIONS.ADVISOR_COMMISSIONS, commission);
+
+    await updateDoc(doc(db, COLLECTIONS.ADVISORS, advisorId), {
+      'stats.outstanding': increment(amount),
+      'stats.conversions': increment(1),
+      updatedAt: serverTimestamp()
+    });
+
+    // processAdvisorCommission settles this balance when the commission is paid
+    await updateDoc(doc(db, COLLECTIONS.USERS, advisorId), {
+      pendingCommission: increment(amount)
+    });
+
+    return created;
+  }
+
+  /**
+   * Gets a commission by ID
+   *
+   * @param {string} id - Commission ID
+   * @returns {Promise<Object|null>} - Commission data or null if not found
+   */
+  export async function getCommissionById(id) {
+    return BaseService.getDocument(COLLECTIONS.ADVISOR_COMMISSIONS, id);
+  }
+
+  /**
+   * Gets commissions with filtering and pagination
+   *
+   * @param {Object} filters - Filters to apply (status, advisorId, since)
+   * @param {number} pageSize - Number of commissions per page
+   * @param {string|null} lastVisible - Last document ID for pagination
+   * @returns {Promise<Object>} - Paginated results
+   */
+  export async function getCommissions(filters = {}, pageSize = 20, lastVisible = null) {
+    const commissionsRef = collection(db, COLLECTIONS.ADVISOR_COMMISSIONS);
+    let constraints = [
+      where('isDeleted', '==', false)
+    ];
+
+    if (filters.status) {
+      constraints.push(where('status', '==', filters.status));
+    }
+
+    if (filters.advisorId) {
+      constraints.push(where('advisorId', '==', filters.advisorId));
+    }
+
+    if (filters.since) {
+      constraints.push(where('createdAt', '>=', Timestamp.fromDate(filters.since)));
+    }
+
+    constraints.push(orderBy('createdAt', 'desc'));
+
+    if (lastVisible) {
+      const lastDoc = await getDoc(doc(db, COLLECTIONS.ADVISOR_COMMISSIONS, lastVisible));
+      if (lastDoc.exists()) {
+        constraints.push(startAfter(lastDoc));
+      }
+    }
+
+    constraints.push(limit(pageSize));
+
+    const q = query(commissionsRef, ...constraints);
+    const snapshot = await getDocs(q);
+
+    return {
+      commissions: snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })),
+      lastVisible: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null,
+      hasMore: snapshot.docs.length >= pageSize
+    };
+  }
+
+  // Loads a commission and checks the requested transition is allowed
+  async function getCommissionForTransition(id, status) {
+    const commission = await getCommissionById(id);
+
+    if (!commission) {
+      throw new Error('Commission not found');
+    }
+
+    const allowed = COMMISSION_TRANSITIONS[commission.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(`Cannot move commission from ${commission.status} to ${status}`);
+    }
+
+    return commission;
+  }
+
+  /**
+   * Approves a pending commission for payment
+   *
+   * @param {string} id - Commission ID
+   * @param {string|null} note - Optional approval note
+   * @returns {Promise<string>} - Commission ID
+   */
+  export async function approveCommission(id, note = null) {
+    const commission = await getCommissionForTransition(id, COMMISSION_STATUS.APPROVED);
+    const currentUser = auth.currentUser;
+    const now = Timestamp.now();
+
+    await BaseService.updateDocument(COLLECTIONS.ADVISOR_COMMISSIONS, id, {
+      status: COMMISSION_STATUS.APPROVED,
+      approvedAt: now,
+      approvedBy: currentUser?.uid || 'system',
+      statusHistory: arrayUnion({
+        status: COMMISSION_STATUS.APPROVED,
+        changedAt: now,
+        changedBy: currentUser?.uid || 'system',
+        note
+      })
+    });
+
+    await createNotification({
+      userId: commission.advisorId,
+      type: NOTIFICATION_TYPES.TRANSACTION,
+      title: 'Commission approved',
+      message: `Your commission for ${commission.businessDetails?.name} has been approved for payment.`,
+      related: {
+        commissionId: id,
+        listingId: commission.businessId
+      }
+    });
+
+    return id;
+  }
+
+  /**
+   * Rejects a commission that has not been paid yet
+   *
+   * @param {string} id - Commission ID
+   * @param {string} reason - Rejection reason
+   * @returns {Promise<string>} - Commission ID
+   */
+  export async function rejectCommission(id, reason) {
+    const commission = await getCommissionForTransition(id, COMMISSION_STATUS.REJECTED);
+    const currentUser = auth.currentUser;
+    const now = Timestamp.now();
+
+    await BaseService.updateDocument(COLLECTIONS.ADVISOR_COMMISSIONS, id, {
+      status: COMMISSION_STATUS.REJECTED,
+      rejectedAt: now,
+      rejectedBy: currentUser?.uid || 'system',
+      rejectionReason: reason,
+      statusHistory: arrayUnion({
+        status: COMMISSION_STATUS.REJECTED,
+        changedAt: now,
+        changedBy: currentUser?.uid || 'system',
+        note: reason
+      })
+    });
+
+    await updateDoc(doc(db, COLLECTIONS.ADVISORS, commission.advisorId), {
+      'stats.outstanding': increment(-commission.amount),
+      'stats.conversions': increment(-1),
+      updatedAt: serverTimestamp()
+    });
+
+    await updateDoc(doc(db, COLLECTIONS.USERS, commission.advisorId), {
+      pendingCommission: increment(-commission.amount)
+    });
+
+    return id;
+  }
+
+  /**
+   * Pays an approved commission
+   *
+   * @param {string} id - Commission ID
+   * @param {Object} paymentData - Payment data (method, reference, notes)
+   * @returns {Promise<Object>} - Transaction result
+   */
+  export async function payCommission(id, paymentData) {
+    const commission = await getCommissionForTransition(id, COMMISSION_STATUS.PAID);
+    const advisor = await getAdvisorById(commission.advisorId);
+
+    if (!advisor?.kycVerified) {
+      throw new Error('Advisor must be KYC verified before commissions are paid');
+    }
+
+    const result = await processAdvisorCommission(commission.advisorId, commission.businessId, {
+      ...paymentData,
+      amount: commission.amount,
+      currency: commission.currency,
+      commissionId: id
+    });
+
+    await createNotification({
+      userId: commission.advisorId,
+      type: NOTIFICATION_TYPES.TRANSACTION,
+      title: 'Commission paid',
+      message: `Your commission for ${commission.businessDetails?.name} has been paid.`,
+      related: {
+        commissionId: id,
+        transactionId: result.transactionId
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Gets headline advisor figures with this month's change
+   *
+   * @returns {Promise<Object>} - Totals and monthly deltas
+   */
+  export async function getAdvisorStats() {
+    const advisorsRef = collection(db, COLLECTIONS.ADVISORS);
+    const commissionsRef = collection(db, COLLECTIONS.ADVISOR_COMMISSIONS);
+    const monthStart = startOfMonth();
+    const notDeleted = where('isDeleted', '==', false);
+    const converted = where('status', 'in', [
+      COMMISSION_STATUS.PENDING, COMMISSION_STATUS.APPROVED, COMMISSION_STATUS.PAID
+    ]);
+    const paid = where('status', '==', COMMISSION_STATUS.PAID);
+
+    const [
+      totalAdvisors, newAdvisors, activeAdvisors, newlyActive,
+      paidTotal, paidThisMonth, conversions, newConversions, outstanding
+    ] = await Promise.all([
+      getAggregateFromServer(query(advisorsRef, notDeleted), { count: count() }),
+      getAggregateFromServer(
+        query(advisorsRef, notDeleted, where('createdAt', '>=', monthStart)),
+        { count: count() }
+      ),
+      getAggregateFromServer(
+        query(advisorsRef, notDeleted, where('status', '==', ADVISOR_STATUS.ACTIVE)),
+        { count: count() }
+      ),
+      getAggregateFromServer(
+        query(advisorsRef, notDeleted, where('status', '==', ADVISOR_STATUS.ACTIVE),
+          where('activatedAt', '>=', monthStart)),
+        { count: count() }
+      ),
+      getAggregateFromServer(query(commissionsRef, notDeleted, paid), { amount: sum('amount') }),
+      getAggregateFromServer(
+        query(commissionsRef, notDeleted, paid, where('paymentDate', '>=', monthStart)),
+        { amount: sum('amount') }
+      ),
+      getAggregateFromServer(query(commissionsRef, notDeleted, converted), { count: count() }),
+      getAggregateFromServer(
+        query(commissionsRef, notDeleted, converted, where('createdAt', '>=', monthStart)),
+        { count: count() }
+      ),
+      getAggregateFromServer(
+        query(commissionsRef, notDeleted, where('status', 'in', [
+          COMMISSION_STATUS.PENDING, COMMISSION_STATUS.APPROVED
+        ])),
+        { amount: sum('amount') }
+      )
+    ]);
+
+    return {
+      totalAdvisors: totalAdvisors.data().count,
+      newAdvisors: newAdvisors.data().count,
+      activeAdvisors: activeAdvisors.data().count,
+      newlyActiveAdvisors: newlyActive.data().count,
+      totalPaid: paidTotal.data().amount || 0,
+      paidThisMonth: paidThisMonth.data().amount || 0,
+      conversions: conversions.data().count,
+      newConversions: newConversions.data().count,
+      outstanding: outstanding.data().amount || 0
+    };
+  }
@@ -9,6 +9,7 @@ import {
   import { db } from '../../config/firebase';
   import { COLLECTIONS } from '../../config/constants';
   import { BaseService } from './index';
+  import { buildDailySeries, sumRollups } from '../../utils/analytics';
   
   /**
    * Creates a new analytics record
@@ -80,15 +81,19 @@ import {
   /**
    * Gets analytics data for a date range
    * 
-   * @param {string} startDate - Start date (YYYY-MM-DD)
-   * @param {string} endDate - End date (YYYY-MM-DD)
+   * Daily and monthly documents are maintained by AnalyticsRollupService.
+   * 
+   * @param {string} startDate - Start date (YYYY-MM-DD, or YYYY-MM for monthly)
+   * @param {string} endDate - End date (YYYY-MM-DD, or YYYY-MM for monthly)
+   * @param {string} periodType - 'daily' or 'monthly'
    * @returns {Promise<Array>} - Array of analytics records
    */
-  export async function getAnalyticsRange(startDate, endDate) {
+  export async function getAnalyticsRange(startDate, endDate, periodType = 'daily') {
     const analyticsRef = collection(db, COLLECTIONS.ANALYTICS);
     
     const q = query(
       analyticsRef,
+      where('period.type', '==', periodType),
       where('period.date', '>=', startDate),
       where('period.date', '<=', endDate),
       orderBy('period.date', 'asc')
@@ -105,14 +110,15 @@ import {
   /**
    * Records a page view event
    * 
+   * Only the activity is written; scripts/analytics-rollup.js folds it into
+   * the day's analytics document.
+   * 
    * @param {string} page - Page path or name
    * @param {string|null} userId - User ID (if authenticated)
    * @param {Object} metadata - Additional metadata
    * @returns {Promise<void>}
    */
   export async function recordPageView(page, userId = null, metadata = {}) {
-    const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-    
     // Add pageview event to activities collection
     await addDoc(collection(db, COLLECTIONS.ACTIVITIES), {
       type: 'page_view',
@@ -120,111 +126,95 @@ import {
       userId: userId || 'anonymous',
       metadata: {
         ...metadata,
+        referrer: metadata.referrer ?? (document.referrer || null),
         userAgent: navigator.userAgent,
         timestamp: new Date().toISOString()
       },
       createdAt: serverTimestamp()
     });
-    
-    // Increment pageview count in analytics collection
-    try {
-      const docRef = doc(db, COLLECTIONS.ANALYTICS, today);
-      const docSnap = await getDoc(docRef);
-      
-      if (docSnap.exists()) {
-        // Update existing analytics
-        const data = docSnap.data();
-        const currentPageviews = data.engagement?.totalPageviews || 0;
-        
-        await setDoc(docRef, {
-          engagement: {
-            totalPageviews: currentPageviews + 1
-          },
-          updatedAt: serverTimestamp()
-        }, { merge: true });
-      } else {
-        // Create new analytics record
-        await setDoc(docRef, {
-          period: {
-            date: today,
-            type: 'daily'
-          },
-          engagement: {
-            totalPageviews: 1
-          },
-          createdAt: serverTimestamp(),
-          updatedAt: serverTimestamp()
-        });
-      }
-    } catch (error) {
-      console.error('Error updating analytics:', error);
-    }
   }
   
+  
   /**
-   * Gets page view metrics for the analytics dashboard
+   * Loads daily rollups for a range unless the caller already has them
    * 
-   * @returns {Promise<Array>} - Array of page view metrics
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array|null} rollups - Daily documents from getAnalyticsRange
+   * @returns {Promise<Array>} - Daily analytics documents
    */
-  export async function getPageViewMetrics() {
-    // In a real application, this would query and aggregate analytics data
-    // For this example, we'll return mock data
-    return [
-      { page: "Business Listings", visits: 12453, interaction: 68, conversion: 3.2 },
-      { page: "Franchise Opportunities", visits: 8764, interaction: 72, conversion: 4.1 },
-      { page: "Startup Showcase", visits: 6542, interaction: 65, conversion: 2.8 },
-      { page: "Investor Network", visits: 4321, interaction: 58, conversion: 2.3 },
-      { page: "Digital Assets", visits: 3897, interaction: 61, conversion: 2.7 }
-    ];
+  function resolveRollups(startDate, endDate, rollups) {
+    return rollups ? Promise.resolve(rollups) : getAnalyticsRange(startDate, endDate);
   }
   
   /**
-   * Gets user growth data for the dashboard
+   * Gets daily user growth for a date range
    * 
-   * @param {number} months - Number of months to include
-   * @returns {Promise<Array>} - Array of user growth data points
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array|null} rollups - Daily documents already loaded for the range
+   * @returns {Promise<Array>} - [{ date, signups, total }], total null where not rolled up
    */
-  export async function getUserGrowthData(months = 6) {
-    // In a real application, this would query and aggregate analytics data
-    // For this example, we'll return mock data
-    return [
-      { month: "Oct", users: 1850 },
-      { month: "Nov", users: 2100 },
-      { month: "Dec", users: 2300 },
-      { month: "Jan", users: 2600 },
-      { month: "Feb", users: 2850 },
-      { month: "Mar", users: 3200 }
-    ];
+  export async function getUserGrowthData(startDate, endDate, rollups = null) {
+    const days = buildDailySeries(await resolveRollups(startDate, endDate, rollups), startDate, endDate);
+    return days.map(day => ({ date: day.date, signups: day.signups, total: day.totalUsers }));
   }
   
   /**
-   * Gets traffic source breakdown
+   * Gets page views per page for a date range, most viewed first
+   * 
+   * Days without a rollup are not counted.
    * 
-   * @returns {Promise<Object>} - Traffic source data
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array|null} rollups - Daily documents already loaded for the range
+   * @returns {Promise<Array>} - [{ page, visits, share }] with share in percent of all page views
    */
-  export async function getTrafficSources() {
-    // In a real application, this would query and aggregate analytics data
-    // For this example, we'll return mock data
-    return {
-      direct: 35,
-      organic: 28,
-      referral: 22,
-      social: 15
-    };
+  export async function getPageViewMetrics(startDate, endDate, rollups = null) {
+    const totals = sumRollups(await resolveRollups(startDate, endDate, rollups));
+    const pageviews = Object.values(totals.pageviewsByPage).reduce((sum, visits) => sum + visits, 0);
+  
+    return Object.entries(totals.pageviewsByPage)
+      .map(([page, visits]) => ({ page, visits, share: pageviews > 0 ? (visits / pageviews) * 100 : 0 }))
+      .sort((a, b) => b.visits - a.visits);
+  }
+  
+  /**
+   * Gets page views per traffic source for a date range
+   * 
+   * Sources are classified from the referrer recorded with each page view.
+   * 
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array|null} rollups - Daily documents already loaded for the range
+   * @returns {Promise<Object>} - Page views keyed by direct, organic, referral and social
+   */
+  export async function getTrafficSources(startDate, endDate, rollups = null) {
+    return sumRollups(await resolveRollups(startDate, endDate, rollups)).trafficSources;
   }
   
   /**
-   * Gets conversion funnel data
+   * Gets the conversion funnel for a date range
    * 
-   * @returns {Promise<Array>} - Funnel stages with counts and rates
+   * Visitors are signed-in unique visitors per day, summed over the range.
+   * 
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @param {Array|null} rollups - Daily documents already loaded for the range
+   * @returns {Promise<Array>} - Funnel stages ({ key, stage, value, rate }) with rate relative to the first stage
    */
-  export async function getConversionFunnel() {
-    // In a real application, this would query and aggregate analytics data
-    // For this example, we'll return mock data
-    return [
-      { stage: "Visitors", value: 28547, percentage: "100%" },
-      { stage: "View Listing", value: 12483, percentage: "43.7%" },
-      { stage: "Contact Business", value: 2875, percentage: "10.1%" },
-      { stage: "Conversion", value: 987, percentage: "3.5%" }
+  export async function getConversionFunnel(startDate, endDate, rollups = null) {
+    const totals = sumRollups(await resolveRollups(startDate, endDate, rollups));
+    const stages = [
+      { key: 'uniqueVisitors', stage: 'Visitors', value: totals.uniqueVisitors },
+      { key: 'listingViews', stage: 'View Listing', value: totals.listingViews },
+      { key: 'contacts', stage: 'Contact Business', value: totals.contacts },
+      { key: 'transactions', stage: 'Conversion', value: totals.transactions }
     ];
-  }
\ No newline at end of file
+    const base = stages[0].value || Math.max(...stages.map(stage => stage.value));
+  
+    return stages.map(stage => ({
+      ...stage,
+      rate: base > 0 ? (stage.value / base) * 100 : null
+    }));
+  }
@@ -0,0 +1,472 @@
+// src/services/database/analyticsRollup.js
+/**
+ * Analytics Rollup Service
+ * Folds raw activity, user, listing and transaction data into daily
+ * analytics/{YYYY-MM-DD} documents and monthly analytics/{YYYY-MM} summaries.
+ * Rollups are written by scripts/analytics-rollup.js; the admin panel only
+ * reads them.
+ */
+import {
+    collection, doc, getDoc, getDocs, setDoc, query, where, orderBy, limit, startAfter,
+    serverTimestamp, Timestamp, getAggregateFromServer, count
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import { COLLECTIONS, TRANSACTION_STATUS } from '../../config/constants';
+  import { mergeTopListings } from '../../utils/analytics';
+  
+  // Bump when the shape of rollup documents changes so backfills recompute them
+  export const ROLLUP_VERSION = 1;
+  
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  
+  // Activities read per round trip while folding a day
+  const ACTIVITY_BATCH_SIZE = 500;
+  
+  // Top-level fields of a rollup document that are not summed into months
+  const NON_METRIC_FIELDS = ['period', 'rollup', 'createdAt', 'updatedAt', 'topListings', 'users'];
+  
+  const SEARCH_ENGINES = ['google.', 'bing.', 'duckduckgo.', 'yahoo.', 'baidu.', 'yandex.'];
+  const SOCIAL_NETWORKS = ['facebook.', 'instagram.', 'linkedin.', 'twitter.', 'x.com', 't.co', 'youtube.', 'whatsapp.'];
+  
+  /**
+   * Formats a date as the ID of its daily analytics document
+   *
+   * Days are UTC, matching AnalyticsService.recordPageView.
+   *
+   * @param {Date} date - Date
+   * @returns {string} - YYYY-MM-DD
+   */
+  export function toDateKey(date) {
+    return date.toISOString().slice(0, 10);
+  }
+  
+  /**
+   * Start and end of a UTC day
+   *
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Object} - { start, end } as Timestamps, end exclusive
+   */
+  export function getDayRange(dateKey) {
+    const start = Date.parse(`${dateKey}T00:00:00.000Z`);
+    return { start: Timestamp.fromMillis(start), end: Timestamp.fromMillis(start + DAY_MS) };
+  }
+  
+  /**
+   * Lists every day between two dates, inclusive
+   *
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Array<string>} - Date keys in ascending order
+   */
+  export function listDateKeys(startDate, endDate) {
+    const keys = [];
+    const end = Date.parse(`${endDate}T00:00:00.000Z`);
+  
+    for (let day = Date.parse(`${startDate}T00:00:00.000Z`); day <= end; day += DAY_MS) {
+      keys.push(toDateKey(new Date(day)));
+    }
+  
+    return keys;
+  }
+  
+  /**
+   * Classifies a referrer URL into a traffic source
+   *
+   * @param {string|null} referrer - document.referrer recorded with a page view
+   * @returns {string} - direct, organic, social or referral
+   */
+  export function classifyTrafficSource(referrer) {
+    if (!referrer) return 'direct';
+  
+    let host;
+    try {
+      host = new URL(referrer).hostname.toLowerCase();
+    } catch {
+      return 'direct';
+    }
+  
+    // Rollups also run in Node (scripts/analytics-rollup.js), without a window
+    if (typeof window !== 'undefined' && host === window.location.hostname) return 'direct';
+    if (SEARCH_ENGINES.some(engine => host.includes(engine))) return 'organic';
+    if (SOCIAL_NETWORKS.some(network => host === network || host.includes(network))) return 'social';
+    return 'referral';
+  }
+  
+  /**
+   * Increments a counter in a plain object
+   *
+   * @param {Object} counters - Counters keyed by name
+   * @param {string} key - Counter to increment
+   * @param {number} amount - Amount to add
+   */
+  function bump(counters, key, amount = 1) {
+    counters[key] = (counters[key] || 0) + amount;
+  }
+  
+  /**
+   * Counts documents created within a range
+   *
+   * @param {string} collectionName - Collection to count
+   * @param {Object} range - { start, end }
+   * @returns {Promise<number>} - Number of documents
+   */
+  async function countCreated(collectionName, range) {
+    const snapshot = await getAggregateFromServer(
+      query(
+        collection(db, collectionName),
+        where('createdAt', '>=', range.start),
+        where('createdAt', '<', range.end)
+      ),
+      { count: count() }
+    );
+    return snapshot.data().count;
+  }
+  
+  /**
+   * Folds the activities of a range into engagement and listing counters
+   *
+   * @param {Object} range - { start, end }
+   * @returns {Promise<Object>} - { engagement, listingViews, topListings, activityCount }
+   */
+  async function foldActivities(range) {
+    const engagement = {
+      totalPageviews: 0,
+      uniqueVisitors: 0,
+      pageviewsByPage: {},
+      trafficSources: { direct: 0, organic: 0, referral: 0, social: 0 },
+      activitiesByType: {}
+    };
+    const listingViews = { total: 0, uniqueViewers: 0, byType: {} };
+    const visitors = new Set();
+    const viewers = new Set();
+    const viewsByListing = {};
+    let activityCount = 0;
+    let cursor = null;
+  
+    do {
+      const snapshot = await getDocs(query(
+        collection(db, COLLECTIONS.ACTIVITIES),
+        where('createdAt', '>=', range.start),
+        where('createdAt', '<', range.end),
+        orderBy('createdAt', 'asc'),
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(ACTIVITY_BATCH_SIZE)
+      ));
+  
+      snapshot.docs.forEach(docSnap => {
+        const activity = docSnap.data();
+        activityCount += 1;
+        bump(engagement.activitiesByType, activity.type || 'unknown');
+  
+        if (activity.type === 'page_view') {
+          const page = activity.page || activity.metadata?.page || 'unknown';
+          engagement.totalPageviews += 1;
+          bump(engagement.pageviewsByPage, page);
+          bump(engagement.trafficSources, classifyTrafficSource(activity.metadata?.referrer));
+          if (activity.userId && activity.userId !== 'anonymous') {
+            visitors.add(activity.userId);
+          }
+        } else if (activity.type === 'view_listing') {
+          const { listingId, listingName, listingType } = activity.related || {};
+          listingViews.total += 1;
+          bump(listingViews.byType, listingType || 'unknown');
+          if (activity.userId) viewers.add(activity.userId);
+          if (listingId) {
+            viewsByListing[listingId] = viewsByListing[listingId] || { listingId, listingName: listingName || '', views: 0 };
+            viewsByListing[listingId].views += 1;
+          }
+        }
+      });
+  
+      cursor = snapshot.docs.length === ACTIVITY_BATCH_SIZE ? snapshot.docs[snapshot.docs.length - 1] : null;
+    } while (cursor);
+  
+    engagement.uniqueVisitors = visitors.size;
+    listingViews.uniqueViewers = viewers.size;
+  
+    return {
+      engagement,
+      listingViews,
+      topListings: mergeTopListings([], Object.values(viewsByListing)),
+      activityCount
+    };
+  }
+  
+  /**
+   * Sums the transactions created within a range
+   *
+   * Revenue is net of refunds: completed and later (partially) refunded
+   * payments count towards gross revenue, their refunded amounts are
+   * subtracted.
+   *
+   * @param {Object} range - { start, end }
+   * @returns {Promise<Object>} - { count, completed, failed, grossRevenue, refunds, revenue }
+   */
+  export async function computeTransactionTotals(range) {
+    const snapshot = await getDocs(query(
+      collection(db, COLLECTIONS.TRANSACTIONS),
+      where('createdAt', '>=', range.start),
+      where('createdAt', '<', range.end)
+    ));
+  
+    const totals = { count: 0, completed: 0, failed: 0, grossRevenue: 0, refunds: 0, revenue: 0 };
+  
+    snapshot.docs.forEach(docSnap => {
+      const transaction = docSnap.data();
+      if (transaction.isDeleted) return;
+  
+      totals.count += 1;
+      const amount = Number(transaction.amount) || 0;
+  
+      if (transaction.status === TRANSACTION_STATUS.COMPLETED) {
+        totals.completed += 1;
+        totals.grossRevenue += amount;
+      } else if ([TRANSACTION_STATUS.REFUNDED, TRANSACTION_STATUS.PARTIALLY_REFUNDED].includes(transaction.status)) {
+        totals.completed += 1;
+        totals.grossRevenue += amount;
+        totals.refunds += Number(transaction.refund?.refundAmount ?? amount) || 0;
+      } else if (transaction.status === TRANSACTION_STATUS.FAILED) {
+        totals.failed += 1;
+      }
+    });
+  
+    totals.revenue = totals.grossRevenue - totals.refunds;
+    return totals;
+  }
+  
+  /**
+   * Computes every rollup metric of a day from the raw collections
+   *
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Promise<Object>} - Metric groups of the daily analytics document
+   */
+  export async function computeDailyMetrics(dateKey) {
+    const range = getDayRange(dateKey);
+  
+    const [activities, contacts, favorites, signups, listingsCreated, totalUsers, transactions] = await Promise.all([
+      foldActivities(range),
+      countCreated(COLLECTIONS.APPLICATIONS, range),
+      countCreated(COLLECTIONS.FAVORITES, range),
+      countCreated(COLLECTIONS.USERS, range),
+      countCreated(COLLECTIONS.LISTINGS, range),
+      getAggregateFromServer(
+        query(
+          collection(db, COLLECTIONS.USERS),
+          where('isDeleted', '==', false),
+          where('createdAt', '<', range.end)
+        ),
+        { count: count() }
+      ),
+      computeTransactionTotals(range)
+    ]);
+  
+    return {
+      engagement: activities.engagement,
+      listings: {
+        views: activities.listingViews.total,
+        uniqueViewers: activities.listingViews.uniqueViewers,
+        viewsByType: activities.listingViews.byType,
+        contacts,
+        favorites,
+        created: listingsCreated
+      },
+      users: {
+        signups,
+        total: totalUsers.data().count
+      },
+      transactions,
+      topListings: activities.topListings,
+      activityCount: activities.activityCount
+    };
+  }
+  
+  /**
+   * Checks whether a rollup document is complete and current
+   *
+   * @param {Object|undefined} data - Analytics document data
+   * @returns {boolean} - True when it need not be recomputed
+   */
+  export function isRollupCurrent(data) {
+    return Boolean(data?.rollup)
+      && data.rollup.version === ROLLUP_VERSION
+      && !data.rollup.isPartial;
+  }
+  
+  /**
+   * Folds one day of raw data into analytics/{YYYY-MM-DD}
+   *
+   * The document is rewritten as a whole, so re-running a day is safe. Days
+   * that have not ended yet are stored as partial and picked up again by the
+   * next run.
+   *
+   * @param {string} dateKey - YYYY-MM-DD
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Recompute even if a current rollup exists
+   * @returns {Promise<Object>} - { date, skipped, data }
+   */
+  export async function rollupDay(dateKey, { force = false } = {}) {
+    const docRef = doc(db, COLLECTIONS.ANALYTICS, dateKey);
+    const existing = await getDoc(docRef);
+  
+    if (!force && existing.exists() && isRollupCurrent(existing.data())) {
+      return { date: dateKey, skipped: true, data: existing.data() };
+    }
+  
+    const range = getDayRange(dateKey);
+    const { activityCount, ...metrics } = await computeDailyMetrics(dateKey);
+  
+    const data = {
+      period: { date: dateKey, type: 'daily', start: range.start, end: range.end },
+      ...metrics,
+      rollup: {
+        version: ROLLUP_VERSION,
+        isPartial: range.end.toMillis() > Date.now(),
+        activityCount,
+        computedAt: Timestamp.now(),
+        computedBy: auth.currentUser?.uid || 'system'
+      },
+      createdAt: existing.exists() ? existing.data().createdAt || serverTimestamp() : serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+  
+    await setDoc(docRef, data);
+    return { date: dateKey, skipped: false, data };
+  }
+  
+  /**
+   * Adds the numeric leaves of one metrics object onto another
+   *
+   * @param {Object} target - Accumulator, modified in place
+   * @param {Object} source - Metrics to add
+   * @returns {Object} - The accumulator
+   */
+  function addMetrics(target, source) {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        target[key] = (target[key] || 0) + value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value) && typeof value.toMillis !== 'function') {
+        target[key] = addMetrics(target[key] || {}, value);
+      }
+    });
+    return target;
+  }
+  
+  /**
+   * Summarises the daily documents of a month into analytics/{YYYY-MM}
+   *
+   * Missing or outdated days are rolled up first. Counters are summed, so
+   * uniqueVisitors and uniqueViewers are totals of daily uniques; users.total
+   * is taken from the last day.
+   *
+   * @param {string} monthKey - YYYY-MM
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Recompute every day of the month as well
+   * @returns {Promise<Object>} - { month, days, data }
+   */
+  export async function rollupMonth(monthKey, { force = false } = {}) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const today = toDateKey(new Date());
+    const endDate = `${monthKey}-${String(lastDay).padStart(2, '0')}`;
+    const dateKeys = listDateKeys(`${monthKey}-01`, endDate < today ? endDate : today);
+  
+    const totals = {};
+    let topListings = [];
+    let users = { signups: 0, total: 0 };
+    let isPartial = endDate >= today;
+  
+    for (const dateKey of dateKeys) {
+      const { data } = await rollupDay(dateKey, { force });
+  
+      const metrics = Object.fromEntries(
+        Object.entries(data).filter(([key]) => !NON_METRIC_FIELDS.includes(key))
+      );
+      addMetrics(totals, metrics);
+      topListings = mergeTopListings(topListings, data.topListings);
+      users = { signups: users.signups + (data.users?.signups || 0), total: data.users?.total ?? users.total };
+      isPartial = isPartial || Boolean(data.rollup?.isPartial);
+    }
+  
+    const monthStart = Timestamp.fromMillis(Date.UTC(year, month - 1, 1));
+    const monthEnd = Timestamp.fromMillis(Date.UTC(year, month, 1));
+    const docRef = doc(db, COLLECTIONS.ANALYTICS, monthKey);
+    const existing = await getDoc(docRef);
+  
+    const data = {
+      period: { date: monthKey, type: 'monthly', start: monthStart, end: monthEnd },
+      ...totals,
+      users,
+      topListings,
+      rollup: {
+        version: ROLLUP_VERSION,
+        isPartial,
+        days: dateKeys.length,
+        computedAt: Timestamp.now(),
+        computedBy: auth.currentUser?.uid || 'system'
+      },
+      createdAt: existing.exists() ? existing.data().createdAt || serverTimestamp() : serverTimestamp(),
+      updatedAt: serverTimestamp()
+    };
+  
+    await setDoc(docRef, data);
+    return { month: monthKey, days: dateKeys.length, data };
+  }
+  
+  /**
+   * Rolls up a date range and the months it touches
+   *
+   * Days with a current rollup are skipped unless forced, so an interrupted
+   * backfill can simply be started again.
+   *
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @param {Object} options - Options
+   * @param {boolean} options.force - Recompute days that already have a current rollup
+   * @param {Function} options.onProgress - Called with { done, total, date } after each day
+   * @returns {Promise<Object>} - { days, skipped, months, failed: [{ date, error }] }
+   */
+  export async function backfillAnalytics(startDate, endDate, { force = false, onProgress } = {}) {
+    const today = toDateKey(new Date());
+    const dateKeys = listDateKeys(startDate, endDate < today ? endDate : today);
+    const summary = { days: 0, skipped: 0, months: 0, failed: [] };
+  
+    for (const [index, dateKey] of dateKeys.entries()) {
+      try {
+        const result = await rollupDay(dateKey, { force });
+        summary[result.skipped ? 'skipped' : 'days'] += 1;
+      } catch (error) {
+        console.error(`Analytics rollup failed for ${dateKey}:`, error);
+        summary.failed.push({ date: dateKey, error: error.message });
+      }
+      onProgress?.({ done: index + 1, total: dateKeys.length, date: dateKey });
+    }
+  
+    // Days are current now, so months only re-read them
+    const monthKeys = [...new Set(dateKeys.map(dateKey => dateKey.slice(0, 7)))];
+    for (const monthKey of monthKeys) {
+      try {
+        await rollupMonth(monthKey);
+        summary.months += 1;
+      } catch (error) {
+        console.error(`Analytics rollup failed for ${monthKey}:`, error);
+        summary.failed.push({ date: monthKey, error: error.message });
+      }
+    }
+  
+    return summary;
+  }
+  
+  /**
+   * Brings the recent rollups up to date
+   *
+   * Run by scripts/analytics-rollup.js: re-folds today and any recent day
+   * whose rollup is missing, partial or from an older version.
+   *
+   * @param {number} lookbackDays - Days before today to check
+   * @returns {Promise<Object>} - Backfill summary
+   */
+  export async function refreshRecentRollups(lookbackDays = 7) {
+    const today = new Date();
+    const start = new Date(today.getTime() - lookbackDays * DAY_MS);
+    return backfillAnalytics(toDateKey(start), toDateKey(today));
+  }
@@ -0,0 +1,374 @@
+// src/services/database/application.js
+/**
+ * Application Service
+ * Handles operations related to listing inquiries and instant applications
+ */
+import {
+    collection, doc, getDoc, getDocs, query, where, orderBy,
+    limit, startAfter, serverTimestamp, arrayUnion, writeBatch,
+    increment, Timestamp, getAggregateFromServer, count
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import { COLLECTIONS, APPLICATION_STATUS, NOTIFICATION_TYPES } from '../../config/constants';
+  import { applicationSchema } from '../../utils/validation/schemas';
+  import { validateData } from '../../utils/validation';
+  import { BaseService } from './index';
+  import { createNotification, buildNotification } from './notification';
+
+  /**
+   * Allowed status transitions for the triage pipeline
+   * New → In Progress → Contacted → Successful/Closed/Rejected
+   */
+  export const APPLICATION_TRANSITIONS = {
+    [APPLICATION_STATUS.NEW]: [
+      APPLICATION_STATUS.IN_PROGRESS,
+      APPLICATION_STATUS.CLOSED,
+      APPLICATION_STATUS.REJECTED
+    ],
+    [APPLICATION_STATUS.IN_PROGRESS]: [
+      APPLICATION_STATUS.CONTACTED,
+      APPLICATION_STATUS.CLOSED,
+      APPLICATION_STATUS.REJECTED
+    ],
+    [APPLICATION_STATUS.CONTACTED]: [
+      APPLICATION_STATUS.SUCCESSFUL,
+      APPLICATION_STATUS.CLOSED,
+      APPLICATION_STATUS.REJECTED
+    ],
+    [APPLICATION_STATUS.SUCCESSFUL]: [],
+    [APPLICATION_STATUS.CLOSED]: [APPLICATION_STATUS.IN_PROGRESS],
+    [APPLICATION_STATUS.REJECTED]: []
+  };
+
+  // Field on the application that records when each status was entered
+  const STATUS_TIMESTAMP_FIELDS = {
+    [APPLICATION_STATUS.NEW]: 'timestamps.newAt',
+    [APPLICATION_STATUS.IN_PROGRESS]: 'timestamps.inProgressAt',
+    [APPLICATION_STATUS.CONTACTED]: 'timestamps.contactedAt',
+    [APPLICATION_STATUS.SUCCESSFUL]: 'timestamps.successfulAt',
+    [APPLICATION_STATUS.CLOSED]: 'timestamps.closedAt',
+    [APPLICATION_STATUS.REJECTED]: 'timestamps.rejectedAt'
+  };
+
+  /**
+   * Creates a new application for a listing
+   *
+   * The application, the listing's contact counter and the owner's
+   * notification are written in one batch, so an inquiry is never saved
+   * without its owner hearing about it.
+   *
+   * @param {Object} applicationData - Application data (name, email, phone, business, type, message, listingId)
+   * @returns {Promise<Object>} - Created application with ID
+   */
+  export async function createApplication(applicationData) {
+    const validation = await validateData(applicationData, applicationSchema);
+
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${JSON.stringify(validation.errors)}`);
+    }
+
+    const currentUser = auth.currentUser;
+
+    // Link to the listing the inquiry is about
+    let listing = null;
+    if (applicationData.listingId) {
+      const listingSnap = await getDoc(doc(db, COLLECTIONS.LISTINGS, applicationData.listingId));
+
+      if (!listingSnap.exists()) {
+        throw new Error('Listing not found');
+      }
+
+      listing = listingSnap.data();
+    }
+
+    const now = Timestamp.now();
+    const timestamp = serverTimestamp();
+    const stamps = {
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      createdBy: currentUser?.uid || 'system',
+      version: 1,
+      isDeleted: false
+    };
+
+    const application = {
+      ...applicationData,
+      userId: applicationData.userId || currentUser?.uid || null,
+      listingId: applicationData.listingId || null,
+      listingName: listing?.name || applicationData.business,
+      listingType: listing?.type || applicationData.type,
+      listingOwnerId: listing?.ownerId || null,
+      status: APPLICATION_STATUS.NEW,
+      assignedTo: null,
+      timestamps: {
+        newAt: now
+      },
+      statusHistory: [{
+        status: APPLICATION_STATUS.NEW,
+        changedAt: now,
+        changedBy: currentUser?.uid || 'system',
+        note: null
+      }],
+      messages: [],
+      messageCount: 0,
+      ...stamps
+    };
+
+    const applicationRef = doc(collection(db, COLLECTIONS.APPLICATIONS));
+    const batch = writeBatch(db);
+    batch.set(applicationRef, application);
+
+    if (application.listingId) {
+      // Keep the listing's contact counter in step with real inquiries
+      batch.update(doc(db, COLLECTIONS.LISTINGS, application.listingId), {
+        'analytics.contactCount': increment(1)
+      });
+
+      if (application.listingOwnerId) {
+        batch.set(doc(collection(db, COLLECTIONS.NOTIFICATIONS)), {
+          ...buildNotification({
+            userId: application.listingOwnerId,
+            type: NOTIFICATION_TYPES.APPLICATION,
+            title: `New inquiry for ${application.listingName}`,
+            message: `${application.name} sent an inquiry about your listing.`,
+            related: {
+              applicationId: applicationRef.id,
+              listingId: application.listingId
+            }
+          }),
+          ...stamps
+        });
+      }
+    }
+
+    await batch.commit();
+
+    return { id: applicationRef.id, ...application };
+  }
+
+  /**
+   * Gets an application by ID
+   *
+   * @param {string} id - Application ID
+   * @returns {Promise<Object|null>} - Application data or null if not found
+   */
+  export async function getApplicationById(id) {
+    return BaseService.getDocument(COLLECTIONS.APPLICATIONS, id);
+  }
+
+  /**
+   * Gets applications with filtering and pagination
+   *
+   * @param {Object} filters - Filters to apply (status, statuses, listingId, userId, assignedTo)
+   * @param {number} pageSize - Number of applications per page
+   * @param {string|null} lastVisible - Last document ID for pagination
+   * @returns {Promise<Object>} - Paginated results
+   */
+  export async function getApplications(filters = {}, pageSize = 20, lastVisible = null) {
+    const applicationsRef = collection(db, COLLECTIONS.APPLICATIONS);
+    let constraints = [
+      where('isDeleted', '==', false)
+    ];
+
+    if (filters.status) {
+      constraints.push(where('status', '==', filters.status));
+    } else if (filters.statuses && filters.statuses.length > 0) {
+      constraints.push(where('status', 'in', filters.statuses));
+    }
+
+    if (filters.listingId) {
+      constraints.push(where('listingId', '==', filters.listingId));
+    }
+
+    if (filters.userId) {
+      constraints.push(where('userId', '==', filters.userId));
+    }
+
+    if (filters.assignedTo) {
+      constraints.push(where('assignedTo', '==', filters.assignedTo));
+    }
+
+    constraints.push(orderBy('createdAt', 'desc'));
+
+    if (lastVisible) {
+      const lastDoc = await getDoc(doc(db, COLLECTIONS.APPLICATIONS, lastVisible));
+      if (lastDoc.exists()) {
+        constraints.push(startAfter(lastDoc));
+      }
+    }
+
+    constraints.push(limit(pageSize));
+
+    const q = query(applicationsRef, ...constraints);
+    const snapshot = await getDocs(q);
+
+    return {
+      applications: snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      })),
+      lastVisible: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null,
+      hasMore: snapshot.docs.length >= pageSize
+    };
+  }
+
+  /**
+   * Gets applications submitted for a listing
+   *
+   * @param {string} listingId - Listing ID
+   * @param {number} pageSize - Number of applications per page
+   * @returns {Promise<Object>} - Paginated results
+   */
+  export async function getListingApplications(listingId, pageSize = 20) {
+    return getApplications({ listingId }, pageSize);
+  }
+
+  /**
+   * Gets applications submitted by a user
+   *
+   * @param {string|null} userId - User ID (defaults to current user)
+   * @param {number} pageSize - Number of applications per page
+   * @returns {Promise<Object>} - Paginated results
+   */
+  export async function getUserApplications(userId = null, pageSize = 20) {
+    const currentUser = auth.currentUser;
+    const targetUserId = userId || (currentUser ? currentUser.uid : null);
+
+    if (!targetUserId) {
+      throw new Error('User ID is required');
+    }
+
+    return getApplications({ userId: targetUserId }, pageSize);
+  }
+
+  /**
+   * Gets application counts per status for the triage tabs
+   *
+   * @returns {Promise<Object>} - Counts keyed by status plus an "all" total
+   */
+  export async function getApplicationCounts() {
+    const applicationsRef = collection(db, COLLECTIONS.APPLICATIONS);
+    const statuses = Object.values(APPLICATION_STATUS);
+
+    const snapshots = await Promise.all(statuses.map(status =>
+      getAggregateFromServer(
+        query(applicationsRef, where('isDeleted', '==', false), where('status', '==', status)),
+        { count: count() }
+      )
+    ));
+
+    const counts = { all: 0 };
+
+    statuses.forEach((status, index) => {
+      counts[status] = snapshots[index].data().count;
+      counts.all += counts[status];
+    });
+
+    return counts;
+  }
+
+  /**
+   * Moves an application to a new status in the pipeline
+   *
+   * @param {string} id - Application ID
+   * @param {string} status - New status
+   * @param {string|null} note - Optional note recorded with the change
+   * @returns {Promise<string>} - Application ID
+   */
+  export async function updateApplicationStatus(id, status, note = null) {
+    const application = await getApplicationById(id);
+
+    if (!application) {
+      throw new Error('Application not found');
+    }
+
+    const allowed = APPLICATION_TRANSITIONS[application.status] || [];
+    if (!allowed.includes(status)) {
+      throw new Error(`Cannot move application from ${application.status} to ${status}`);
+    }
+
+    const currentUser = auth.currentUser;
+    const now = Timestamp.now();
+
+    await BaseService.updateDocument(COLLECTIONS.APPLICATIONS, id, {
+      status,
+      [STATUS_TIMESTAMP_FIELDS[status]]: now,
+      statusHistory: arrayUnion({
+        status,
+        changedAt: now,
+        changedBy: currentUser?.uid || 'system',
+        note
+      })
+    });
+
+    if (application.userId) {
+      await createNotification({
+        userId: application.userId,
+        type: NOTIFICATION_TYPES.APPLICATION,
+        title: `Your inquiry for ${application.listingName} was updated`,
+        message: `Status changed to ${status.replace('_', ' ')}.`,
+        related: {
+          applicationId: id,
+          listingId: application.listingId
+        }
+      });
+    }
+
+    return id;
+  }
+
+  /**
+   * Assigns an application to a staff member
+   *
+   * @param {string} id - Application ID
+   * @param {string} userId - Assignee user ID
+   * @returns {Promise<string>} - Application ID
+   */
+  export async function assignApplication(id, userId) {
+    await BaseService.updateDocument(COLLECTIONS.APPLICATIONS, id, {
+      assignedTo: userId,
+      assignedAt: serverTimestamp()
+    });
+
+    return id;
+  }
+
+  /**
+   * Adds a message to an application's communication thread
+   *
+   * @param {string} id - Application ID
+   * @param {string} message - Message text
+   * @param {string} senderType - Sender type ('admin', 'applicant', 'system')
+   * @returns {Promise<string>} - Application ID
+   */
+  export async function addApplicationMessage(id, message, senderType = 'admin') {
+    const currentUser = auth.currentUser;
+    if (!currentUser && senderType !== 'system') {
+      throw new Error('User must be authenticated to add an application message');
+    }
+
+    await BaseService.updateDocument(COLLECTIONS.APPLICATIONS, id, {
+      messages: arrayUnion({
+        senderId: currentUser?.uid || 'system',
+        senderName: currentUser?.displayName || currentUser?.email || 'System',
+        senderType,
+        message,
+        sentAt: Timestamp.now()
+      }),
+      messageCount: increment(1),
+      lastMessageAt: serverTimestamp()
+    }, false);
+
+    return id;
+  }
+
+  /**
+   * Deletes an application (soft delete)
+   *
+   * @param {string} id - Application ID
+   * @param {string|null} reason - Deletion reason
+   * @returns {Promise<string>} - Application ID
+   */
+  export async function deleteApplication(id, reason = null) {
+    return BaseService.deleteDocument(COLLECTIONS.APPLICATIONS, id, reason);
+  }
@@ -7,7 +7,7 @@ import {
     orderBy, limit, startAfter
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
-  import { COLLECTIONS } from '../../config/constants';
+  import { COLLECTIONS, AUDIT_EXPORT_LIMIT } from '../../config/constants';
   
   /**
    * Creates a new audit log entry
@@ -89,9 +89,12 @@ import {
       constraints.push(where('status', '==', filters.status));
     }
     
-    // Add date range filter if provided
-    if (filters.startDate && filters.endDate) {
+    // Add date range filter if provided; either end may be left open
+    if (filters.startDate) {
       constraints.push(where('timestamp', '>=', new Date(filters.startDate)));
+    }
+    
+    if (filters.endDate) {
       constraints.push(where('timestamp', '<=', new Date(filters.endDate)));
     }
     
@@ -122,6 +125,29 @@ import {
     };
   }
   
+  /**
+   * Gets every audit log matching the filters, for exports
+   * 
+   * @param {Object} filters - Filters to apply, as for getAuditLogs
+   * @param {number} maxEntries - Most entries to return
+   * @returns {Promise<Object>} - { logs, truncated } where truncated means
+   *   more entries matched than maxEntries
+   */
+  export async function getAllAuditLogs(filters = {}, maxEntries = AUDIT_EXPORT_LIMIT) {
+    const logs = [];
+    let lastVisible = null;
+    let hasMore = true;
+    
+    while (hasMore && logs.length < maxEntries) {
+      const page = await getAuditLogs(filters, Math.min(500, maxEntries - logs.length), lastVisible);
+      logs.push(...page.logs);
+      lastVisible = page.lastVisible;
+      hasMore = page.hasMore;
+    }
+    
+    return { logs, truncated: hasMore };
+  }
+  
   /**
    * Gets entity audit trail
    * 
@@ -174,6 +200,24 @@ import {
     }));
   }
   
+  /**
+   * Looks up the users who performed audit logged actions
+   * 
+   * @param {Array<string>} userIds - performedBy values; 'system' is skipped
+   * @returns {Promise<Object>} - Map of user ID to { name, email } for users that exist
+   */
+  export async function getAuditActors(userIds) {
+    const ids = [...new Set(userIds)].filter(id => id && id !== 'system');
+    const snapshots = await Promise.all(ids.map(id => getDoc(doc(db, COLLECTIONS.USERS, id))));
+    
+    return Object.fromEntries(snapshots
+      .filter(snapshot => snapshot.exists())
+      .map(snapshot => {
+        const user = snapshot.data();
+        return [snapshot.id, { name: user.displayName || user.email, email: user.email }];
+      }));
+  }
+  
   /**
    * Logs a create action
    * 
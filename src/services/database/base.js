@@ -7,10 +7,64 @@
 import { 
   collection, doc, setDoc, addDoc, getDoc, 
   updateDoc, deleteDoc, query, where, orderBy, 
-  limit, getDocs, serverTimestamp, arrayUnion 
+  limit, getDocs, serverTimestamp, arrayUnion, Timestamp
 } from "firebase/firestore";
 import { auth, db } from '../../config/firebase';
 import { v4 as uuidv4 } from 'uuid';
+import { COLLECTIONS } from '../../config/constants';
+import {
+  getMaintenanceState, canBypassMaintenance, createMaintenanceError
+} from '../../utils/maintenance';
+
+// General settings and the signed-in user's role are re-read at most this often
+const MAINTENANCE_CACHE_MS = 30 * 1000;
+
+let maintenanceCache = null;
+
+/**
+ * Forgets the cached maintenance settings, e.g. after they were changed
+ */
+export function clearMaintenanceCache() {
+  maintenanceCache = null;
+}
+
+/**
+ * Rejects writes while maintenance is in effect
+ *
+ * The state is evaluated on every call, so scheduled windows take effect at
+ * their exact boundaries even with cached settings. Users whose role is in
+ * the bypass list keep write access. If the settings cannot be read (e.g.
+ * offline) the write is let through and Firestore rules decide.
+ *
+ * @throws {Error} - Error with code 'maintenance/active' when blocked
+ */
+async function assertWritable() {
+  const uid = auth.currentUser?.uid || null;
+
+  if (!maintenanceCache || maintenanceCache.uid !== uid
+    || Date.now() - maintenanceCache.fetchedAt > MAINTENANCE_CACHE_MS) {
+    try {
+      const [settingsSnap, userSnap] = await Promise.all([
+        getDoc(doc(db, COLLECTIONS.SETTINGS, 'general')),
+        uid ? getDoc(doc(db, COLLECTIONS.USERS, uid)) : null
+      ]);
+      maintenanceCache = {
+        uid,
+        settings: settingsSnap.exists() ? settingsSnap.data() : null,
+        role: userSnap?.exists() ? userSnap.data().role || null : null,
+        fetchedAt: Date.now()
+      };
+    } catch (error) {
+      console.warn("Couldn't check maintenance status:", error);
+      return;
+    }
+  }
+
+  const state = getMaintenanceState(maintenanceCache.settings);
+  if (state.active && !canBypassMaintenance(state, maintenanceCache.role)) {
+    throw createMaintenanceError(state);
+  }
+}
 
 /**
  * Creates a new document in the specified collection
@@ -19,9 +73,12 @@ import { v4 as uuidv4 } from 'uuid';
  * @param {Object} data - Document data
  * @param {string|null} id - Optional document ID
  * @returns {Promise<Object>} - Created document with ID
+ * @throws {Error} - Maintenance error (code 'maintenance/active') while writes are blocked
  */
 export async function createDocument(collectionName, data, id = null) {
   try {
+    await assertWritable();
+    
     const timestamp = serverTimestamp();
     const currentUser = auth.currentUser;
     
@@ -102,9 +159,12 @@ export async function getDocument(collectionName, id, includeDeleted = false) {
  * @param {Object} data - Data to update
  * @param {boolean} trackVersion - Whether to track version history
  * @returns {Promise<Object>} - Updated document
+ * @throws {Error} - Maintenance error (code 'maintenance/active') while writes are blocked
  */
 export async function updateDocument(collectionName, id, data, trackVersion = true) {
   try {
+    await assertWritable();
+    
     const docRef = doc(db, collectionName, id);
     let currentData;
     
@@ -146,7 +206,8 @@ export async function updateDocument(collectionName, id, data, trackVersion = tr
           version: currentVersion + 1,
           changes: changedFields,
           changedBy: currentUser?.uid || 'system',
-          changedAt: timestamp
+          // serverTimestamp() is not allowed inside array elements
+          changedAt: Timestamp.now()
         })
       };
     }
@@ -170,9 +231,12 @@ export async function updateDocument(collectionName, id, data, trackVersion = tr
  * @param {string} id - Document ID
  * @param {string|null} reason - Optional reason for deletion
  * @returns {Promise<string>} - Document ID
+ * @throws {Error} - Maintenance error (code 'maintenance/active') while writes are blocked
  */
 export async function deleteDocument(collectionName, id, reason = null) {
   try {
+    await assertWritable();
+    
     const docRef = doc(db, collectionName, id);
     const timestamp = serverTimestamp();
     const currentUser = auth.currentUser;
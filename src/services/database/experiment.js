@@ -0,0 +1,259 @@
+/**
+ * Experiment Service
+ * Handles A/B test exposures, conversion goals and results
+ */
+import { 
+    doc, getDoc, getDocs, setDoc, updateDoc, collection, query, where, 
+    orderBy, limit, startAfter, serverTimestamp, increment
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import { COLLECTIONS } from '../../config/constants';
+  import { slugify } from '../../utils/helpers';
+  import { summarizeExperiment } from '../../utils/experiments';
+  import { getFeatureFlag, setFeatureFlag } from './featureFlag';
+  
+  // Documents read per query when scanning exposures and activities
+  const SCAN_BATCH_SIZE = 500;
+  
+  // Exposures already written in this session, so repeat renders do not write again
+  const recordedExposures = new Set();
+  
+  /**
+   * Records that a user was served a variant of an A/B test
+   * 
+   * Each user has one exposure document per test holding the first exposure
+   * time and the assigned variant. Failures are logged, never thrown, so
+   * serving the variant does not depend on the write.
+   * 
+   * @param {Object} flag - Feature flag
+   * @param {string} userId - User ID
+   * @param {Object} variant - Served variant
+   * @returns {Promise<void>}
+   */
+  export async function recordExposure(flag, userId, variant) {
+    if (!userId || !variant) {
+      return;
+    }
+    
+    const exposureId = `${flag.id}_${userId}`;
+    if (recordedExposures.has(exposureId)) {
+      return;
+    }
+    recordedExposures.add(exposureId);
+    
+    try {
+      const exposureRef = doc(db, COLLECTIONS.EXPERIMENT_EXPOSURES, exposureId);
+      const exposureSnap = await getDoc(exposureRef);
+      
+      if (exposureSnap.exists()) {
+        await updateDoc(exposureRef, {
+          lastExposedAt: serverTimestamp(),
+          exposureCount: increment(1)
+        });
+      } else {
+        await setDoc(exposureRef, {
+          flagId: flag.id,
+          userId,
+          variantId: variant.id || variant.name,
+          exposedAt: serverTimestamp(),
+          lastExposedAt: serverTimestamp(),
+          exposureCount: 1
+        });
+      }
+    } catch (error) {
+      recordedExposures.delete(exposureId);
+      console.error(`Error recording exposure for ${flag.id}:`, error);
+    }
+  }
+  
+  /**
+   * Sets the conversion goals of an A/B test
+   * 
+   * A goal counts a user as converted once they log an activity of its type
+   * after their first exposure.
+   * 
+   * @param {string} flagId - Feature flag ID
+   * @param {Array<Object>} goals - Goals ({ name, activityType, id? })
+   * @returns {Promise<Array>} - Saved goals
+   */
+  export async function setConversionGoals(flagId, goals) {
+    const flag = await getFeatureFlag(flagId);
+    if (!flag) {
+      throw new Error('Feature flag not found');
+    }
+    
+    const ids = new Set();
+    const conversionGoals = goals.map((goal, index) => {
+      const name = (goal.name || '').trim();
+      const activityType = (goal.activityType || '').trim();
+      if (!name || !activityType) {
+        throw new Error('Every goal needs a name and an activity type');
+      }
+      
+      const id = goal.id || slugify(name) || `goal-${index + 1}`;
+      if (ids.has(id)) {
+        throw new Error(`Goal "${name}" is defined twice`);
+      }
+      ids.add(id);
+      
+      return { id, name, activityType };
+    });
+    
+    await setFeatureFlag(flagId, { conversionGoals });
+    return conversionGoals;
+  }
+  
+  /**
+   * Loads every exposure of an A/B test
+   * 
+   * @param {string} flagId - Feature flag ID
+   * @returns {Promise<Array>} - Exposures with exposedAt as a Date
+   */
+  async function getExposures(flagId) {
+    const exposures = [];
+    let cursor = null;
+    let snapshot;
+    
+    do {
+      snapshot = await getDocs(query(
+        collection(db, COLLECTIONS.EXPERIMENT_EXPOSURES),
+        where('flagId', '==', flagId),
+        orderBy('exposedAt', 'asc'),
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(SCAN_BATCH_SIZE)
+      ));
+      
+      snapshot.docs.forEach(docSnap => {
+        const exposure = docSnap.data();
+        // Skip writes whose server timestamp has not resolved yet
+        if (exposure.exposedAt) {
+          exposures.push({ ...exposure, exposedAt: exposure.exposedAt.toDate() });
+        }
+      });
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    } while (snapshot.docs.length === SCAN_BATCH_SIZE);
+    
+    return exposures;
+  }
+  
+  /**
+   * Finds the exposed users who converted on an activity type
+   * 
+   * @param {string} activityType - Goal activity type
+   * @param {Map<string, Date>} exposedAtByUser - First exposure time per user
+   * @param {Date} since - Earliest exposure of the test
+   * @returns {Promise<Set<string>>} - IDs of converted users
+   */
+  async function getConvertedUsers(activityType, exposedAtByUser, since) {
+    const converted = new Set();
+    let cursor = null;
+    let snapshot;
+    
+    do {
+      snapshot = await getDocs(query(
+        collection(db, COLLECTIONS.ACTIVITIES),
+        where('type', '==', activityType),
+        where('createdAt', '>=', since),
+        orderBy('createdAt', 'asc'),
+        ...(cursor ? [startAfter(cursor)] : []),
+        limit(SCAN_BATCH_SIZE)
+      ));
+      
+      snapshot.docs.forEach(docSnap => {
+        const { userId, createdAt } = docSnap.data();
+        const exposedAt = exposedAtByUser.get(userId);
+        if (exposedAt && createdAt && createdAt.toDate() >= exposedAt) {
+          converted.add(userId);
+        }
+      });
+      cursor = snapshot.docs[snapshot.docs.length - 1];
+    } while (snapshot.docs.length === SCAN_BATCH_SIZE);
+    
+    return converted;
+  }
+  
+  /**
+   * Gets the results of an A/B test
+   * 
+   * Users are counted once, in the variant of their first exposure. The
+   * first variant is the control the others are compared against.
+   * 
+   * @param {string} flagId - Feature flag ID
+   * @returns {Promise<Object>} - { flag, startedAt, totalExposures, goals }
+   *   where each goal adds { rows, winner } from summarizeExperiment
+   */
+  export async function getExperimentResults(flagId) {
+    const flag = await getFeatureFlag(flagId);
+    if (!flag) {
+      throw new Error('Feature flag not found');
+    }
+    
+    const variants = flag.testVariants || [];
+    if (variants.length === 0) {
+      throw new Error('This feature flag has no test variants');
+    }
+    
+    const exposures = await getExposures(flagId);
+    const exposedAtByUser = new Map(exposures.map(exposure => [exposure.userId, exposure.exposedAt]));
+    const startedAt = exposures.length > 0 ? exposures[0].exposedAt : null;
+    
+    const goals = [];
+    for (const goal of flag.conversionGoals || []) {
+      const converted = startedAt
+        ? await getConvertedUsers(goal.activityType, exposedAtByUser, startedAt)
+        : new Set();
+      
+      const groups = variants.map(variant => {
+        const variantId = variant.id || variant.name;
+        const variantExposures = exposures.filter(exposure => exposure.variantId === variantId);
+        return {
+          variant,
+          exposures: variantExposures.length,
+          conversions: variantExposures.filter(exposure => converted.has(exposure.userId)).length
+        };
+      });
+      
+      goals.push({ ...goal, ...summarizeExperiment(groups) });
+    }
+    
+    return {
+      flag,
+      startedAt,
+      totalExposures: exposures.length,
+      goals
+    };
+  }
+  
+  /**
+   * Ends an A/B test by promoting one variant
+   * 
+   * The flag stops being a test and serves the promoted variant to everyone
+   * it is enabled for. Variants and goals are kept for reference.
+   * 
+   * @param {string} flagId - Feature flag ID
+   * @param {string} variantId - ID of the winning variant
+   * @returns {Promise<string>} - Feature flag ID
+   */
+  export async function promoteWinner(flagId, variantId) {
+    const flag = await getFeatureFlag(flagId);
+    if (!flag) {
+      throw new Error('Feature flag not found');
+    }
+    
+    if (!flag.isTest) {
+      throw new Error('This feature flag is not a running A/B test');
+    }
+    
+    const variant = (flag.testVariants || []).find(candidate => (candidate.id || candidate.name) === variantId);
+    if (!variant) {
+      throw new Error('Variant not found');
+    }
+    
+    return setFeatureFlag(flagId, {
+      isTest: false,
+      promotedVariant: variant,
+      promotedAt: serverTimestamp(),
+      promotedBy: auth.currentUser?.uid || null,
+      rolloutPercentage: 100
+    });
+  }
@@ -8,6 +8,13 @@ import {
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
   import { COLLECTIONS } from '../../config/constants';
+  import { findMatchingSegment } from '../../utils/segments';
+  import { slugify } from '../../utils/helpers';
+  import { diffObjects } from '../../utils/diff';
+  import { logCreateAction, logUpdateAction } from './auditLog';
+  import { recordExposure } from './experiment';
+  
+  const ENTITY_TYPE = 'featureFlag';
   
   /**
    * Gets a feature flag by ID
@@ -62,6 +69,17 @@ import {
     const docRef = doc(db, COLLECTIONS.FEATURE_FLAGS, id);
     await setDoc(docRef, flag, { merge: true });
     
+    if (existingFlag) {
+      const changes = diffObjects(existingFlag, { ...existingFlag, ...flagData }, {
+        ignore: ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'promotedAt']
+      });
+      await logUpdateAction(ENTITY_TYPE, id, Object.keys(flagData), {
+        changes: changes.map(({ path, before, after }) => ({ path, before, after }))
+      });
+    } else {
+      await logCreateAction(ENTITY_TYPE, id, { description: flagData.description || null });
+    }
+    
     return id;
   }
   
@@ -156,31 +174,39 @@ import {
   }
   
   /**
-   * Checks if a feature flag is enabled for a user
+   * Evaluates a flag for a user
    * 
-   * @param {string} id - Feature flag ID
-   * @param {string} userId - User ID
+   * Checks, in order: the flag is on, it is on in the environment, the user
+   * is in one of its segments (when it has any) and the user falls inside
+   * the rollout percentage.
+   * 
+   * @param {Object|null} flag - Feature flag
+   * @param {Object|null} user - User document (needed for segmented flags)
    * @param {string} environment - Environment ('development', 'staging', 'production')
-   * @returns {Promise<boolean>} - Whether the feature is enabled for the user
+   * @returns {Object} - { enabled, reason, segment, variant } where reason is
+   *   'disabled', 'environment', 'segment', 'rollout' or 'enabled'
    */
-  export async function isFeatureEnabledForUser(id, userId, environment = 'production') {
-    const flag = await getFeatureFlag(id);
+  export function evaluateFeatureFlag(flag, user, environment = 'production') {
+    const result = { enabled: false, reason: 'disabled', segment: null, variant: null };
+    const userId = user?.uid || user?.id || '';
     
     // Feature doesn't exist or is disabled
     if (!flag || !flag.isEnabled) {
-      return false;
+      return result;
     }
     
     // Feature is not enabled in this environment
     if (!flag.environment || !flag.environment[environment]) {
-      return false;
+      return { ...result, reason: 'environment' };
     }
     
     // Check user segments if specified
     if (flag.userSegments && flag.userSegments.length > 0) {
-      // This would need to be implemented based on how user segments are defined
-      // For example, checking if the user belongs to any of the specified segments
-      return false; // Placeholder
+      const segment = user ? findMatchingSegment(flag.userSegments, user) : null;
+      if (!segment) {
+        return { ...result, reason: 'segment' };
+      }
+      result.segment = segment;
     }
     
     // Check rollout percentage
@@ -189,33 +215,136 @@ import {
       const hash = hashString(userId);
       const userPercentile = hash % 100;
       
-      return userPercentile < flag.rolloutPercentage;
+      if (userPercentile >= flag.rolloutPercentage) {
+        return { ...result, reason: 'rollout' };
+      }
+    }
+    
+    return {
+      ...result,
+      enabled: true,
+      reason: 'enabled',
+      variant: selectTestVariant(flag, userId)
+    };
+  }
+  
+  /**
+   * Checks if a feature flag is enabled for a user
+   * 
+   * @param {string} id - Feature flag ID
+   * @param {string} userId - User ID
+   * @param {string} environment - Environment ('development', 'staging', 'production')
+   * @param {Object|null} user - User document, loaded when omitted and the flag is segmented
+   * @returns {Promise<boolean>} - Whether the feature is enabled for the user
+   */
+  export async function isFeatureEnabledForUser(id, userId, environment = 'production', user = null) {
+    const flag = await getFeatureFlag(id);
+    
+    let profile = user;
+    if (!profile && flag?.userSegments?.length > 0) {
+      profile = await getUserProfile(userId);
+    }
+    
+    return evaluateFeatureFlag(flag, profile || { uid: userId }, environment).enabled;
+  }
+  
+  /**
+   * Evaluates every flag for a user, e.g. to preview what they get
+   * 
+   * @param {string} userId - User ID
+   * @param {string} environment - Environment ('development', 'staging', 'production')
+   * @returns {Promise<Object>} - { user, flags } where flags are
+   *   { flag, enabled, reason, segment, variant } sorted by flag ID
+   */
+  export async function getFeatureFlagsForUser(userId, environment = 'production') {
+    const [user, flags] = await Promise.all([
+      getUserProfile(userId),
+      getAllFeatureFlags()
+    ]);
+    
+    if (!user) {
+      throw new Error('User not found');
     }
     
-    // Default: feature is enabled
-    return true;
+    return {
+      user,
+      flags: flags
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map(flag => ({ flag, ...evaluateFeatureFlag(flag, user, environment) }))
+    };
   }
   
   /**
    * Gets A/B test variant for a user
    * 
+   * Users who do not get the flag (environment, segments, rollout) get no
+   * variant. Serving a variant of a running test records an exposure.
+   * 
    * @param {string} id - Feature flag ID
    * @param {string} userId - User ID
+   * @param {string} environment - Environment ('development', 'staging', 'production')
+   * @param {Object|null} user - User document, loaded when omitted and the flag is segmented
    * @returns {Promise<Object|null>} - Test variant or null if not applicable
    */
-  export async function getTestVariantForUser(id, userId) {
+  export async function getTestVariantForUser(id, userId, environment = 'production', user = null) {
     const flag = await getFeatureFlag(id);
     
-    // Feature doesn't exist, is disabled, or is not a test
-    if (!flag || !flag.isEnabled || !flag.isTest || !flag.testVariants || flag.testVariants.length === 0) {
+    let profile = user;
+    if (!profile && flag?.userSegments?.length > 0) {
+      profile = await getUserProfile(userId);
+    }
+    
+    const { variant } = evaluateFeatureFlag(flag, profile || { uid: userId }, environment);
+    
+    if (variant && flag.isTest) {
+      await recordExposure(flag, userId, variant);
+    }
+    
+    return variant;
+  }
+  
+  /**
+   * Picks a user's variant of an A/B test
+   * 
+   * Assignment is deterministic and follows the variant weights. The hash is
+   * salted with the flag ID so it is independent of the rollout check and
+   * of other tests. Once a winner is promoted everyone gets it.
+   * 
+   * @param {Object} flag - Feature flag
+   * @param {string} userId - User ID
+   * @returns {Object|null} - Test variant or null if the flag is not a test
+   */
+  function selectTestVariant(flag, userId) {
+    if (!flag.isTest) {
+      return flag.promotedVariant || null;
+    }
+    
+    if (!flag.testVariants || flag.testVariants.length === 0) {
       return null;
     }
     
-    // Deterministic variant selection based on user ID
-    const hash = hashString(userId);
-    const variantIndex = hash % flag.testVariants.length;
+    const bucket = hashString(`${flag.id}:${userId}`) % 100;
+    let cumulative = 0;
+    
+    for (const variant of flag.testVariants) {
+      cumulative += variant.weight ?? 100 / flag.testVariants.length;
+      if (bucket < cumulative) {
+        return variant;
+      }
+    }
     
-    return flag.testVariants[variantIndex];
+    return flag.testVariants[flag.testVariants.length - 1];
+  }
+  
+  /**
+   * Loads the user document segments are matched against
+   * 
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - User data or null if not found
+   */
+  async function getUserProfile(userId) {
+    const docSnap = await getDoc(doc(db, COLLECTIONS.USERS, userId));
+    return docSnap.exists() ? { id: docSnap.id, uid: docSnap.id, ...docSnap.data() } : null;
   }
   
   /**
@@ -267,7 +396,8 @@ import {
    * @param {string} id - Test ID
    * @param {string} description - Test description
    * @param {Array} variants - Test variants
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options (isEnabled, environment,
+   *   rolloutPercentage, conversionGoals)
    * @returns {Promise<string>} - Feature flag ID
    */
   export async function createABTest(id, description, variants, options = {}) {
@@ -293,11 +423,18 @@ import {
       }));
     }
     
+    // Exposures are recorded against the variant ID
+    variants = variants.map((variant, index) => ({
+      ...variant,
+      id: variant.id || slugify(variant.name || '') || `variant-${index + 1}`
+    }));
+    
     return setFeatureFlag(id, {
       description,
       isEnabled: options.isEnabled !== undefined ? options.isEnabled : true,
       isTest: true,
       testVariants: variants,
+      conversionGoals: options.conversionGoals || [],
       environment: options.environment || {
         development: true,
         staging: true,
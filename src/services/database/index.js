@@ -25,6 +25,7 @@ import * as TransactionService from './transaction';
 import * as PaymentMethodService from './paymentMethod';
 import * as PromotionService from './promotion';
 import * as AnalyticsService from './analytics';
+import * as AnalyticsRollupService from './analyticsRollup';
 import * as ContentPageService from './contentPage';
 import * as SettingsService from './settings';
 import * as EnumService from './enum';
@@ -32,7 +33,15 @@ import * as ReportService from './report';
 import * as FaqService from './faq';
 import * as AuditLogService from './auditLog';
 import * as FeatureFlagService from './featureFlag';
+import * as ExperimentService from './experiment';
 import * as SupportTicketService from './supportTicket';
+import * as ApplicationService from './application';
+import * as AdvisorService from './advisor';
+import * as ModerationService from './moderation';
+import * as MediaService from './media';
+import * as RoleService from './role';
+import * as InvitationService from './invitation';
+import * as MetricsService from './metrics';
 
 // Export entity-specific services
 export {
@@ -53,6 +62,7 @@ export {
   PaymentMethodService,
   PromotionService,
   AnalyticsService,
+  AnalyticsRollupService,
   ContentPageService,
   SettingsService,
   EnumService,
@@ -60,7 +70,15 @@ export {
   FaqService,
   AuditLogService,
   FeatureFlagService,
-  SupportTicketService
+  ExperimentService,
+  SupportTicketService,
+  ApplicationService,
+  AdvisorService,
+  ModerationService,
+  MediaService,
+  RoleService,
+  InvitationService,
+  MetricsService
 };
 
 // Complex transaction operations
@@ -0,0 +1,385 @@
+// src/services/database/invitation.js
+/**
+ * Invitation Service
+ * Invite-based provisioning of admin panel users
+ */
+import {
+    collection, doc, getDoc, getDocs, query, where, orderBy, limit,
+    writeBatch, serverTimestamp, Timestamp
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import {
+    COLLECTIONS, INVITATION_STATUS, INVITATION_EXPIRY_DAYS, USER_STATUS, MEMBER_ROLES
+  } from '../../config/constants';
+  import { BaseService } from './index';
+  import { getRoleById, assertCanGrantRole } from './role';
+  import { logCreateAction, logUpdateAction } from './auditLog';
+  
+  const ENTITY_TYPE = 'invitation';
+  
+  // Path of the public page that completes an invitation
+  const ACCEPT_PATH = '/accept-invite';
+  
+  /**
+   * Generates a random URL-safe secret
+   *
+   * @returns {string} - 64 hex characters (256 bits)
+   */
+  function generateSecret() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Hashes an invitation secret; only the hash is stored
+   *
+   * The hash is also the ID of the invitation's link document, so only
+   * whoever holds the link can find or accept it.
+   *
+   * @param {string} secret - Invitation secret
+   * @returns {Promise<string>} - Lowercase hex SHA-256 digest
+   */
+  async function hashSecret(secret) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+  
+  /**
+   * Splits an invite token into invitation ID and secret
+   *
+   * @param {string} token - Token from the invite link ("{invitationId}.{secret}")
+   * @returns {Object} - { invitationId, secret }
+   */
+  export function parseInviteToken(token) {
+    const [invitationId, secret] = String(token || '').split('.');
+    if (!invitationId || !secret) {
+      throw new Error('This invitation link is invalid');
+    }
+    return { invitationId, secret };
+  }
+  
+  /**
+   * Builds the link an invitee opens to sign up
+   *
+   * @param {string} invitationId - Invitation ID
+   * @param {string} secret - Invitation secret
+   * @returns {string} - Absolute URL
+   */
+  function buildInviteUrl(invitationId, secret) {
+    return `${window.location.origin}${ACCEPT_PATH}?token=${invitationId}.${secret}`;
+  }
+  
+  /**
+   * Gets the effective status of an invitation
+   *
+   * @param {Object} invitation - Invitation data
+   * @returns {string} - One of INVITATION_STATUS
+   */
+  export function getInvitationStatus(invitation) {
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      return invitation.status;
+    }
+  
+    const expiresAt = invitation.expiresAt?.toMillis?.() ?? 0;
+    return expiresAt < Date.now() ? INVITATION_STATUS.EXPIRED : INVITATION_STATUS.PENDING;
+  }
+  
+  /**
+   * Public part of an invitation, shown on the accept page
+   *
+   * Stored at invitationLinks/{tokenHash}; the invitation itself is only
+   * readable by staff who can invite.
+   *
+   * @param {string} invitationId - Invitation ID
+   * @param {Object} invitation - Invitation data
+   * @returns {Object} - Link document data
+   */
+  function buildInviteLink(invitationId, invitation) {
+    return {
+      invitationId,
+      email: invitation.email,
+      displayName: invitation.displayName,
+      role: invitation.role,
+      roleName: invitation.roleName,
+      status: INVITATION_STATUS.PENDING,
+      expiresAt: invitation.expiresAt,
+      invitedBy: invitation.invitedBy
+    };
+  }
+  
+  /**
+   * Computes the expiry timestamp of a new or renewed invitation
+   *
+   * @param {number} days - Days until expiry
+   * @returns {Timestamp} - Expiry time
+   */
+  function expiryFromNow(days) {
+    return Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  
+  /**
+   * Invites someone to the admin panel with a role
+   *
+   * @param {Object} invitationData - { email, displayName, role }
+   * @param {number} expiresInDays - Days the link stays valid
+   * @returns {Promise<Object>} - { id, inviteUrl } (the URL is only available now)
+   */
+  export async function createInvitation(invitationData, expiresInDays = INVITATION_EXPIRY_DAYS) {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('Authentication required to invite users');
+    }
+  
+    const email = invitationData.email?.trim().toLowerCase();
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('A valid email address is required');
+    }
+  
+    if (MEMBER_ROLES.includes(invitationData.role)) {
+      throw new Error('Invitations are for admin panel roles only');
+    }
+  
+    const role = await getRoleById(invitationData.role);
+    if (!role || role.isDeleted) {
+      throw new Error('Role not found');
+    }
+  
+    await assertCanGrantRole(role.id);
+  
+    const pending = await getDocs(query(
+      collection(db, COLLECTIONS.INVITATIONS),
+      where('email', '==', email),
+      where('status', '==', INVITATION_STATUS.PENDING)
+    ));
+    if (pending.docs.some(docSnap => getInvitationStatus(docSnap.data()) === INVITATION_STATUS.PENDING)) {
+      throw new Error(`${email} already has a pending invitation, resend or revoke it instead`);
+    }
+  
+    const secret = generateSecret();
+    const tokenHash = await hashSecret(secret);
+    const timestamp = serverTimestamp();
+    const invitationRef = doc(collection(db, COLLECTIONS.INVITATIONS));
+    const invitation = {
+      email,
+      displayName: invitationData.displayName?.trim() || '',
+      role: role.id,
+      roleName: role.name,
+      status: INVITATION_STATUS.PENDING,
+      tokenHash,
+      expiresAt: expiryFromNow(expiresInDays),
+      invitedBy: currentUser.uid,
+      invitedByName: currentUser.displayName || currentUser.email,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      createdBy: currentUser.uid,
+      version: 1,
+      isDeleted: false
+    };
+  
+    const batch = writeBatch(db);
+    batch.set(invitationRef, invitation);
+    batch.set(doc(db, COLLECTIONS.INVITATION_LINKS, tokenHash), buildInviteLink(invitationRef.id, invitation));
+    await batch.commit();
+  
+    await logCreateAction(ENTITY_TYPE, invitationRef.id, { email, role: role.id });
+  
+    return { id: invitationRef.id, inviteUrl: buildInviteUrl(invitationRef.id, secret) };
+  }
+  
+  /**
+   * Gets invitations, newest first
+   *
+   * @param {string|null} status - Effective status to filter by
+   * @param {number} limitCount - Maximum number of invitations
+   * @returns {Promise<Array>} - Invitations with their effective status
+   */
+  export async function getInvitations(status = null, limitCount = 100) {
+    const snapshot = await getDocs(query(
+      collection(db, COLLECTIONS.INVITATIONS),
+      orderBy('createdAt', 'desc'),
+      limit(limitCount)
+    ));
+  
+    return snapshot.docs
+      .map(docSnap => {
+        const data = docSnap.data();
+        return { ...data, id: docSnap.id, status: getInvitationStatus(data) };
+      })
+      .filter(invitation => !status || invitation.status === status);
+  }
+  
+  /**
+   * Revokes a pending invitation so its link stops working
+   *
+   * @param {string} invitationId - Invitation ID
+   * @returns {Promise<string>} - Invitation ID
+   */
+  export async function revokeInvitation(invitationId) {
+    const invitation = await BaseService.getDocument(COLLECTIONS.INVITATIONS, invitationId);
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+  
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      throw new Error(`Invitation is already ${invitation.status}`);
+    }
+  
+    await assertCanGrantRole(invitation.role);
+  
+    const batch = writeBatch(db);
+    batch.update(doc(db, COLLECTIONS.INVITATIONS, invitationId), {
+      status: INVITATION_STATUS.REVOKED,
+      revokedAt: serverTimestamp(),
+      revokedBy: auth.currentUser?.uid || 'system',
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'system'
+    });
+    // Kept, so the link reports the revocation instead of looking invalid
+    batch.update(doc(db, COLLECTIONS.INVITATION_LINKS, invitation.tokenHash), {
+      status: INVITATION_STATUS.REVOKED
+    });
+    await batch.commit();
+  
+    await logUpdateAction(ENTITY_TYPE, invitationId, ['status'], { email: invitation.email, action: 'revoke' });
+  
+    return invitationId;
+  }
+  
+  /**
+   * Issues a fresh link for a pending or expired invitation
+   *
+   * The previous link stops working because its link document is deleted.
+   *
+   * @param {string} invitationId - Invitation ID
+   * @param {number} expiresInDays - Days the new link stays valid
+   * @returns {Promise<Object>} - { id, inviteUrl }
+   */
+  export async function resendInvitation(invitationId, expiresInDays = INVITATION_EXPIRY_DAYS) {
+    const invitation = await BaseService.getDocument(COLLECTIONS.INVITATIONS, invitationId);
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+  
+    if (invitation.status !== INVITATION_STATUS.PENDING) {
+      throw new Error(`Invitation is ${invitation.status} and cannot be resent`);
+    }
+  
+    await assertCanGrantRole(invitation.role);
+  
+    const secret = generateSecret();
+    const tokenHash = await hashSecret(secret);
+    const expiresAt = expiryFromNow(expiresInDays);
+  
+    const batch = writeBatch(db);
+    batch.update(doc(db, COLLECTIONS.INVITATIONS, invitationId), {
+      tokenHash,
+      expiresAt,
+      resentAt: serverTimestamp(),
+      resentBy: auth.currentUser?.uid || 'system',
+      updatedAt: serverTimestamp(),
+      updatedBy: auth.currentUser?.uid || 'system'
+    });
+    batch.delete(doc(db, COLLECTIONS.INVITATION_LINKS, invitation.tokenHash));
+    batch.set(doc(db, COLLECTIONS.INVITATION_LINKS, tokenHash), buildInviteLink(invitationId, { ...invitation, expiresAt }));
+    await batch.commit();
+  
+    await logUpdateAction(ENTITY_TYPE, invitationId, ['tokenHash', 'expiresAt'], { email: invitation.email, action: 'resend' });
+  
+    return { id: invitationId, inviteUrl: buildInviteUrl(invitationId, secret) };
+  }
+  
+  /**
+   * Loads the invitation behind an invite token and checks it can be used
+   *
+   * @param {string} token - Token from the invite link
+   * @returns {Promise<Object>} - Invitation ({ id, email, displayName, role, roleName, expiresAt, invitedBy, tokenHash })
+   */
+  export async function getInvitationByToken(token) {
+    const { invitationId, secret } = parseInviteToken(token);
+    const tokenHash = await hashSecret(secret);
+    const snapshot = await getDoc(doc(db, COLLECTIONS.INVITATION_LINKS, tokenHash));
+  
+    if (!snapshot.exists() || snapshot.data().invitationId !== invitationId) {
+      throw new Error('This invitation link is invalid');
+    }
+  
+    const invitation = { ...snapshot.data(), id: invitationId };
+  
+    switch (getInvitationStatus(invitation)) {
+      case INVITATION_STATUS.ACCEPTED:
+        throw new Error('This invitation has already been used, sign in instead');
+      case INVITATION_STATUS.REVOKED:
+        throw new Error('This invitation has been revoked');
+      case INVITATION_STATUS.EXPIRED:
+        throw new Error('This invitation has expired, ask an administrator to resend it');
+      default:
+        return {
+          id: invitation.id,
+          email: invitation.email,
+          displayName: invitation.displayName,
+          role: invitation.role,
+          roleName: invitation.roleName,
+          expiresAt: invitation.expiresAt,
+          invitedBy: invitation.invitedBy || null,
+          tokenHash
+        };
+    }
+  }
+  
+  /**
+   * Binds an invitation to a newly signed-up account and creates its profile
+   *
+   * All writes go in one batch; firestore.rules only accepts the profile's
+   * role when the same batch marks the invitation accepted by this UID, and
+   * only accepts that when the batch also marks the invitation's link
+   * document, whose ID only the link holder knows, accepted by this UID.
+   *
+   * @param {string} token - Token from the invite link
+   * @param {Object} user - Firebase Auth user created for the invitee
+   * @param {Object} profile - { displayName }
+   * @returns {Promise<Object>} - Created user profile
+   */
+  export async function completeInvitation(token, user, profile = {}) {
+    const { invitationId } = parseInviteToken(token);
+    const invitation = await getInvitationByToken(token);
+  
+    if (user.email?.toLowerCase() !== invitation.email) {
+      throw new Error(`This invitation is for ${invitation.email}`);
+    }
+  
+    const timestamp = serverTimestamp();
+    const userProfile = {
+      uid: user.uid,
+      email: invitation.email,
+      displayName: profile.displayName?.trim() || invitation.displayName || invitation.email.split('@')[0],
+      role: invitation.role,
+      status: USER_STATUS.ACTIVE,
+      invitationId,
+      invitedBy: invitation.invitedBy || null,
+      emailVerified: user.emailVerified,
+      phoneNumber: '',
+      phoneVerified: false,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      lastLogin: timestamp,
+      version: 1,
+      isDeleted: false
+    };
+  
+    const batch = writeBatch(db);
+    batch.update(doc(db, COLLECTIONS.INVITATIONS, invitationId), {
+      status: INVITATION_STATUS.ACCEPTED,
+      acceptedBy: user.uid,
+      acceptedAt: timestamp,
+      updatedAt: timestamp
+    });
+    batch.update(doc(db, COLLECTIONS.INVITATION_LINKS, invitation.tokenHash), {
+      status: INVITATION_STATUS.ACCEPTED,
+      acceptedBy: user.uid,
+      acceptedAt: timestamp
+    });
+    batch.set(doc(db, COLLECTIONS.USERS, user.uid), userProfile);
+    await batch.commit();
+  
+    return userProfile;
+  }
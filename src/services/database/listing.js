@@ -8,15 +8,81 @@ import {
     limit, 
     startAfter, 
     serverTimestamp,
-    addDoc,
     updateDoc,
-    deleteDoc,
-    getDoc
+    getDoc,
+    setDoc,
+    Timestamp,
+    getAggregateFromServer,
+    count,
+    runTransaction,
+    writeBatch,
+    deleteDoc
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
-  import { COLLECTIONS, LISTING_STATUS } from '../../config/constants';
-  import { v4 as uuidv4 } from 'uuid';
+  import { COLLECTIONS, LISTING_STATUS, LISTING_TYPES } from '../../config/constants';
   import { getListingValidationSchema } from '../../utils/validation/listing-schemas';
+  import {
+    tokenize, getListingPrice, getListingRevenue, buildSearchFields
+  } from '../../utils/listing-search';
+  import { logUpdateAction } from './auditLog';
+  import { deleteMediaFiles } from './media';
+  
+  // Page-fill attempts when some search terms are matched in memory
+  const MAX_SEARCH_ROUNDS = 5;
+  
+  // Listings a count reads when part of the filter is matched in memory
+  const COUNT_SCAN_PAGE_SIZE = 500;
+  const MAX_COUNT_SCAN = 2000;
+  
+  // Subcollection of listings/{id} holding the prior state of each version
+  const VERSIONS_SUBCOLLECTION = 'versions';
+  
+  // Bookkeeping and derived fields left out of version snapshots
+  const SNAPSHOT_EXCLUDED_FIELDS = ['id', 'versionHistory', 'searchKeywords'];
+  
+  // Lifecycle fields a restore leaves at their current values, so restoring
+  // content never reverts ownership, moderation, advisor assignment, counters
+  // or the rating reviews produce
+  const RESTORE_PRESERVED_FIELDS = [
+    'ownerId', 'ownerName', 'status', 'moderation', 'analytics', 'advisorId',
+    'rating', 'reviewCount', 'createdAt', 'createdBy', 'isDeleted', 'deletedAt', 'deletedBy'
+  ];
+  
+  // Versions kept per listing, both as versionHistory entries and as
+  // snapshots in the versions subcollection; older ones are pruned
+  const VERSION_HISTORY_LIMIT = 50;
+  
+  // Statuses only a moderation decision (moderation.js) may set
+  const MODERATED_STATUSES = [LISTING_STATUS.PUBLISHED, LISTING_STATUS.REJECTED];
+  
+  // Search helpers stay reachable as ListingService.*
+  export { tokenize, getListingPrice, getListingRevenue, buildSearchFields };
+  
+  // Checks the search terms that were not part of the query itself
+  function matchesKeywords(listing, tokens) {
+    const keywords = listing.searchKeywords || [];
+    return tokens.every(token => keywords.includes(token));
+  }
+  
+  /**
+   * Validate listing data against the schema for its type
+   * @param {Object} listingData - Listing data
+   * @returns {Promise<Object>} - { isValid, errors } with errors keyed by field path
+   */
+  export async function validateListingData(listingData) {
+    const schema = getListingValidationSchema(listingData.type);
+  
+    try {
+      await schema.validate(listingData, { abortEarly: false });
+      return { isValid: true, errors: {} };
+    } catch (validationError) {
+      const errors = {};
+      (validationError.inner?.length ? validationError.inner : [validationError]).forEach(err => {
+        errors[err.path || 'listing'] = err.message;
+      });
+      return { isValid: false, errors };
+    }
+  }
   
   /**
    * Create a new listing with comprehensive validation
@@ -30,30 +96,54 @@ import {
     }
   
     // Validate listing data based on type
-    const schema = getListingValidationSchema(listingData.type);
+    const validation = await validateListingData(listingData);
+    if (!validation.isValid) {
+      throw new Error(JSON.stringify(validation.errors));
+    }
+  
+    // Prepare listing data. The form pre-generates an ID so media uploaded
+    // before the first save already sits in the listing's Storage folder.
+    const listingRef = listingData.id
+      ? doc(db, COLLECTIONS.LISTINGS, listingData.id)
+      : doc(collection(db, COLLECTIONS.LISTINGS));
+    const listing = buildNewListing(listingData, listingRef.id, currentUser);
+  
     try {
-      await schema.validate(listingData, { abortEarly: false });
-    } catch (validationError) {
-      const errors = {};
-      validationError.inner.forEach(err => {
-        errors[err.path] = err.message;
-      });
-      throw new Error(JSON.stringify(errors));
+      await setDoc(listingRef, listing);
+      return listingRef.id;
+    } catch (error) {
+      console.error('Listing creation error:', error);
+      throw new Error('Failed to create listing');
     }
+  }
   
-    // Prepare listing data
-    const listingId = uuidv4();
+  /**
+   * Builds the document of a new listing owned by the current user
+   * @param {Object} listingData - Validated listing data
+   * @param {string} listingId - ID of the new document
+   * @param {Object} currentUser - Firebase Auth user
+   * @returns {Object} - Listing document
+   */
+  function buildNewListing(listingData, listingId, currentUser) {
     const timestamp = serverTimestamp();
   
-    const listing = {
+    return {
       ...listingData,
+      ...buildSearchFields(listingData),
       id: listingId,
       ownerId: currentUser.uid,
       ownerName: currentUser.displayName || currentUser.email,
-      status: listingData.status || LISTING_STATUS.DRAFT,
+      status: listingData.status && !MODERATED_STATUSES.includes(listingData.status)
+        ? listingData.status
+        : LISTING_STATUS.DRAFT,
       createdAt: timestamp,
       updatedAt: timestamp,
       version: 1,
+      isDeleted: false,
+      // Explicit null so the moderation queue can query unassigned listings
+      moderation: {
+        assignedTo: null
+      },
       analytics: {
         viewCount: 0,
         uniqueViewCount: 0,
@@ -61,15 +151,86 @@ import {
         favoriteCount: 0
       }
     };
+  }
   
-    try {
-      const listingsRef = collection(db, COLLECTIONS.LISTINGS);
-      await addDoc(listingsRef, listing);
-      return listingId;
-    } catch (error) {
-      console.error('Listing creation error:', error);
-      throw new Error('Failed to create listing');
+  /**
+   * Bulk-create listings, validating every row first
+   *
+   * Rows are validated up front; valid rows are then written in batched
+   * writes, so each batch is saved or rejected as a whole. Imported
+   * listings always start as drafts whatever the file says, and reach the
+   * site only through moderation. In dry-run mode nothing is written and
+   * the result only reports which rows would fail.
+   *
+   * @param {Array<Object>} rows - Rows to import ({ rowNumber, data })
+   * @param {Object} options - Import options
+   * @param {boolean} options.dryRun - Validate only, without creating listings
+   * @param {number} options.batchSize - Listings per batched write (at most 500)
+   * @param {Function} options.onProgress - Called with the number of rows processed
+   * @returns {Promise<Object>} - { total, valid, created, failed }
+   */
+  export async function importListings(rows, { dryRun = false, batchSize = 100, onProgress } = {}) {
+    const currentUser = auth.currentUser;
+    if (!currentUser && !dryRun) {
+      throw new Error('Authentication required to import listings');
+    }
+  
+    const failed = [];
+    const validRows = [];
+  
+    for (const row of rows) {
+      const validation = await validateListingData(row.data);
+  
+      if (validation.isValid) {
+        validRows.push(row);
+      } else {
+        failed.push({ rowNumber: row.rowNumber, errors: validation.errors });
+      }
     }
+  
+    const created = [];
+  
+    if (dryRun) {
+      onProgress?.(rows.length);
+    } else {
+      let processed = failed.length;
+      onProgress?.(processed);
+  
+      const size = Math.min(Math.max(batchSize, 1), 500);
+  
+      for (let i = 0; i < validRows.length; i += size) {
+        const chunk = validRows.slice(i, i + size);
+        const batch = writeBatch(db);
+  
+        const written = chunk.map(({ rowNumber, data }) => {
+          const listingRef = doc(collection(db, COLLECTIONS.LISTINGS));
+          batch.set(listingRef, buildNewListing({ ...data, status: LISTING_STATUS.DRAFT }, listingRef.id, currentUser));
+          return { rowNumber, id: listingRef.id };
+        });
+  
+        try {
+          await batch.commit();
+          created.push(...written);
+        } catch (error) {
+          console.error('Listing import batch error:', error);
+          written.forEach(({ rowNumber }) => {
+            failed.push({ rowNumber, errors: { listing: error.message || 'Failed to create listing' } });
+          });
+        }
+  
+        processed += chunk.length;
+        onProgress?.(processed);
+      }
+    }
+  
+    failed.sort((a, b) => a.rowNumber - b.rowNumber);
+  
+    return {
+      total: rows.length,
+      valid: validRows.length,
+      created,
+      failed
+    };
   }
   
   /**
@@ -90,6 +251,10 @@ import {
       throw new Error('Listing not found');
     }
   
+    if (MODERATED_STATUSES.includes(updateData.status) && updateData.status !== existingListing.status) {
+      throw new Error('Listings are published and rejected through moderation');
+    }
+  
     const schema = getListingValidationSchema(existingListing.type);
     try {
       await schema.validate(updateData, { abortEarly: false });
@@ -101,13 +266,10 @@ import {
       throw new Error(JSON.stringify(errors));
     }
   
-    const listingRef = doc(db, COLLECTIONS.LISTINGS, listingId);
-    
     try {
-      await updateDoc(listingRef, {
+      await commitListingChange(listingId, {
         ...updateData,
-        updatedAt: serverTimestamp(),
-        version: (existingListing.version || 0) + 1
+        ...buildSearchFields({ ...existingListing, ...updateData })
       });
     } catch (error) {
       console.error('Listing update error:', error);
@@ -115,6 +277,238 @@ import {
     }
   }
   
+  /**
+   * Write changes to a listing, snapshotting its prior state as a version
+   *
+   * Runs in a transaction so the snapshot in listings/{id}/versions, the
+   * version bump and the versionHistory entry always agree. Every content
+   * change to a listing should go through here. Snapshots past the kept
+   * versions are pruned once the change is saved.
+   *
+   * @param {string} listingId - Listing ID
+   * @param {Object} changes - Fields to write (dotted paths allowed unless replacing)
+   * @param {Object} options - Change options
+   * @param {string} options.reason - Why the version was created ('update', 'moderation', 'restore')
+   * @param {number|null} options.restoredFrom - Version restored from, for restores
+   * @param {boolean} options.replace - Replace the whole document instead of merging
+   * @returns {Promise<number>} - New version number
+   */
+  export async function commitListingChange(listingId, changes, { reason = 'update', restoredFrom = null, replace = false } = {}) {
+    const currentUser = auth.currentUser;
+    const listingRef = doc(db, COLLECTIONS.LISTINGS, listingId);
+  
+    const version = await runTransaction(db, async (transaction) => {
+      const snap = await transaction.get(listingRef);
+      if (!snap.exists()) {
+        throw new Error('Listing not found');
+      }
+  
+      const current = snap.data();
+      const currentVersion = current.version || 1;
+      const newVersion = currentVersion + 1;
+  
+      const snapshotData = { ...current };
+      SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete snapshotData[field]);
+  
+      transaction.set(doc(listingRef, VERSIONS_SUBCOLLECTION, String(currentVersion)), {
+        version: currentVersion,
+        data: snapshotData,
+        supersededAt: serverTimestamp(),
+        supersededBy: currentUser?.uid || 'system'
+      });
+  
+      const historyEntry = {
+        version: newVersion,
+        changes: [...new Set(Object.keys(changes).map(path => path.split('.')[0]))],
+        changedBy: currentUser?.uid || 'system',
+        changedByName: currentUser?.displayName || currentUser?.email || 'System',
+        changedAt: Timestamp.now(),
+        reason,
+        restoredFrom
+      };
+  
+      const versionFields = {
+        updatedAt: serverTimestamp(),
+        updatedBy: currentUser?.uid || 'system',
+        version: newVersion,
+        versionHistory: [...(current.versionHistory || []), historyEntry].slice(-VERSION_HISTORY_LIMIT)
+      };
+  
+      if (replace) {
+        transaction.set(listingRef, { ...changes, ...versionFields, id: listingId });
+      } else {
+        transaction.update(listingRef, { ...changes, ...versionFields });
+      }
+  
+      return newVersion;
+    });
+  
+    // The change is saved either way; a failed prune is retried by the next one
+    pruneListingVersions(listingId, version).catch(error => {
+      console.error('Error pruning listing versions:', error);
+    });
+  
+    return version;
+  }
+  
+  // Storage paths of a listing's media (see media.js)
+  function getMediaPaths(data) {
+    return getMediaItems(data).flatMap(item => [item.path, item.thumbnailPath]).filter(Boolean);
+  }
+  
+  function getMediaItems(data) {
+    const media = data?.media || {};
+    return [media.featuredImage, ...(media.galleryImages || []), ...(media.documents || [])]
+      .filter(item => item?.path);
+  }
+  
+  /**
+   * Delete the snapshots that fell out of the kept versions
+   *
+   * Media replaced in an edit stays in Storage while a kept snapshot still
+   * points at it, so restoring a version never brings back a broken file.
+   * Files only the pruned snapshots use are deleted with them.
+   *
+   * @param {string} listingId - Listing ID
+   * @param {number} latestVersion - Current version of the listing
+   * @returns {Promise<void>}
+   */
+  async function pruneListingVersions(listingId, latestVersion) {
+    const oldestKept = latestVersion - VERSION_HISTORY_LIMIT;
+    if (oldestKept <= 1) return;
+  
+    const versionsRef = collection(db, COLLECTIONS.LISTINGS, listingId, VERSIONS_SUBCOLLECTION);
+    const [prunedSnapshot, keptSnapshot, listing] = await Promise.all([
+      getDocs(query(versionsRef, where('version', '<', oldestKept))),
+      getDocs(query(versionsRef, where('version', '>=', oldestKept))),
+      getListingById(listingId)
+    ]);
+    if (prunedSnapshot.empty) return;
+  
+    const keptPaths = new Set([
+      ...getMediaPaths(listing),
+      ...keptSnapshot.docs.flatMap(docSnap => getMediaPaths(docSnap.data().data))
+    ]);
+  
+    const orphaned = new Map();
+    prunedSnapshot.docs.forEach(docSnap => {
+      getMediaItems(docSnap.data().data)
+        .filter(item => !keptPaths.has(item.path))
+        .forEach(item => orphaned.set(item.path, item));
+    });
+  
+    await Promise.all(prunedSnapshot.docs.map(docSnap => deleteDoc(docSnap.ref)));
+    await Promise.all([...orphaned.values()].map(deleteMediaFiles));
+  }
+  
+  /**
+   * Get the stored versions of a listing, newest first
+   *
+   * The current state is the listing itself; each entry here is the state
+   * a listing had before it was replaced by the next version.
+   *
+   * @param {string} listingId - Listing ID
+   * @param {number} limitCount - Maximum number of versions
+   * @returns {Promise<Array>} - Version snapshots ({ version, data, supersededAt, supersededBy })
+   */
+  export async function getListingVersions(listingId, limitCount = 50) {
+    const versionsRef = collection(db, COLLECTIONS.LISTINGS, listingId, VERSIONS_SUBCOLLECTION);
+    const snapshot = await getDocs(query(versionsRef, orderBy('version', 'desc'), limit(limitCount)));
+  
+    return snapshot.docs.map(docSnap => ({
+      id: docSnap.id,
+      ...docSnap.data()
+    }));
+  }
+  
+  /**
+   * Get the data of one version of a listing
+   *
+   * @param {string} listingId - Listing ID
+   * @param {number} version - Version number (the current version reads the listing itself)
+   * @returns {Promise<Object|null>} - Listing data at that version, or null if not stored
+   */
+  export async function getListingVersion(listingId, version) {
+    const listing = await getListingById(listingId);
+    if (!listing) return null;
+  
+    if (version === (listing.version || 1)) {
+      return listing;
+    }
+  
+    const versionSnap = await getDoc(doc(db, COLLECTIONS.LISTINGS, listingId, VERSIONS_SUBCOLLECTION, String(version)));
+    return versionSnap.exists() ? { ...versionSnap.data().data, id: listingId, version } : null;
+  }
+  
+  /**
+   * Restore a listing's content to an earlier version
+   *
+   * The restore is a new version (the replaced state is snapshotted like
+   * any update) and is written to the audit log. Lifecycle fields such as
+   * status, ownership and analytics keep their current values.
+   *
+   * @param {string} listingId - Listing ID
+   * @param {number} version - Version to restore
+   * @param {string|null} note - Optional reason recorded in the audit log
+   * @returns {Promise<number>} - New version number
+   */
+  export async function restoreListingVersion(listingId, version, note = null) {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('Authentication required to restore a listing');
+    }
+  
+    const [current, target] = await Promise.all([
+      getListingById(listingId),
+      getListingVersion(listingId, version)
+    ]);
+  
+    if (!current) {
+      throw new Error('Listing not found');
+    }
+  
+    if (!target) {
+      throw new Error(`Version ${version} of this listing is not available`);
+    }
+  
+    if (version === (current.version || 1)) {
+      throw new Error('This version is already the current one');
+    }
+  
+    const restored = { ...target };
+    SNAPSHOT_EXCLUDED_FIELDS.forEach(field => delete restored[field]);
+    delete restored.version;
+    RESTORE_PRESERVED_FIELDS.forEach(field => {
+      if (current[field] === undefined) {
+        delete restored[field];
+      } else {
+        restored[field] = current[field];
+      }
+    });
+  
+    const changedFields = Object.keys({ ...current, ...restored }).filter(field =>
+      !SNAPSHOT_EXCLUDED_FIELDS.includes(field)
+      && !['version', 'updatedAt', 'updatedBy'].includes(field)
+      && JSON.stringify(current[field] ?? null) !== JSON.stringify(restored[field] ?? null)
+    );
+  
+    const newVersion = await commitListingChange(listingId, {
+      ...restored,
+      ...buildSearchFields(restored)
+    }, { reason: 'restore', restoredFrom: version, replace: true });
+  
+    await logUpdateAction('listing', listingId, changedFields, {
+      action: 'restore',
+      listingName: current.name,
+      restoredFromVersion: version,
+      previousVersion: current.version || 1,
+      newVersion,
+      note
+    });
+  
+    return newVersion;
+  }
+  
   /**
    * Get a listing by ID
    * @param {string} listingId - Listing ID
@@ -126,7 +520,7 @@ import {
       const listingSnap = await getDoc(listingRef);
       
       return listingSnap.exists() 
-        ? { id: listingSnap.id, ...listingSnap.data() } 
+        ? { ...listingSnap.data(), id: listingSnap.id } 
         : null;
     } catch (error) {
       console.error('Get listing error:', error);
@@ -134,8 +528,104 @@ import {
     }
   }
   
+  /**
+   * Translates getListings filters into query constraints
+   *
+   * Search terms beyond the first, and the industry when a search is also
+   * running, cannot be expressed in the same query; those are returned as
+   * an in-memory matcher.
+   *
+   * @param {Object} filters - Filtering options (see getListings)
+   * @returns {Object} - { constraints, needsMemoryFilter, matches }
+   */
+  function buildListingFilters(filters = {}) {
+    const {
+      types, statuses, type, status,
+      minPrice, maxPrice, minRevenue, maxRevenue,
+      industry, city, state, searchTerm,
+      ...equalityFilters
+    } = filters;
+  
+    const queryConstraints = [
+      where('isDeleted', '==', false)
+    ];
+  
+    const typeValues = types && types.length > 0 ? types : type ? [type] : [];
+    if (typeValues.length === 1) {
+      queryConstraints.push(where('type', '==', typeValues[0]));
+    } else if (typeValues.length > 1) {
+      queryConstraints.push(where('type', 'in', typeValues));
+    }
+  
+    const statusValues = statuses && statuses.length > 0 ? statuses : status ? [status] : [];
+    if (statusValues.length === 1) {
+      queryConstraints.push(where('status', '==', statusValues[0]));
+    } else if (statusValues.length > 1) {
+      queryConstraints.push(where('status', 'in', statusValues));
+    }
+  
+    if (city) {
+      queryConstraints.push(where('location.city', '==', city));
+    }
+  
+    if (state) {
+      queryConstraints.push(where('location.state', '==', state));
+    }
+  
+    if (minPrice !== undefined && minPrice !== null && minPrice !== '') {
+      queryConstraints.push(where('price', '>=', Number(minPrice)));
+    }
+  
+    if (maxPrice !== undefined && maxPrice !== null && maxPrice !== '') {
+      queryConstraints.push(where('price', '<=', Number(maxPrice)));
+    }
+  
+    if (minRevenue !== undefined && minRevenue !== null && minRevenue !== '') {
+      queryConstraints.push(where('revenue', '>=', Number(minRevenue)));
+    }
+  
+    if (maxRevenue !== undefined && maxRevenue !== null && maxRevenue !== '') {
+      queryConstraints.push(where('revenue', '<=', Number(maxRevenue)));
+    }
+  
+    Object.entries(equalityFilters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryConstraints.push(where(key, '==', value));
+      }
+    });
+  
+    // Only one array-contains is allowed per query: the longest search
+    // term goes to the server, other terms and the industry (when a search
+    // is also running) are checked in memory
+    const searchTokens = tokenize(searchTerm).sort((a, b) => b.length - a.length);
+    const remainingTokens = searchTokens.slice(1);
+    let industryInMemory = false;
+  
+    if (searchTokens.length > 0) {
+      queryConstraints.push(where('searchKeywords', 'array-contains', searchTokens[0]));
+      industryInMemory = !!industry;
+    } else if (industry) {
+      queryConstraints.push(where('industries', 'array-contains', industry));
+    }
+  
+    const needsMemoryFilter = remainingTokens.length > 0 || industryInMemory;
+    const matches = (listing) =>
+      matchesKeywords(listing, remainingTokens)
+      && (!industryInMemory || (listing.industries || []).includes(industry));
+  
+    return { constraints: queryConstraints, needsMemoryFilter, matches };
+  }
+  
   /**
    * Get paginated listings with advanced filtering
+   *
+   * Supported filters:
+   * - types / statuses: arrays matched with `in` (type / status for a single value)
+   * - minPrice / maxPrice, minRevenue / maxRevenue: ranges over the indexed price and revenue
+   * - industry: industry ID, city / state: location
+   * - searchTerm: matched against the keyword index
+   * Any other key is applied as an equality filter.
+   *
    * @param {Object} filters - Filtering options
    * @param {number} pageSize - Number of listings per page
    * @param {Object} lastDocument - Last document for pagination
@@ -148,42 +638,55 @@ import {
   ) {
     try {
       const listingsRef = collection(db, COLLECTIONS.LISTINGS);
-      let queryConstraints = [
-        where('isDeleted', '!=', true)
-      ];
-  
-      // Dynamic filtering
-      Object.entries(filters).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-          queryConstraints.push(where(key, '==', value));
-        }
-      });
+      const { constraints, needsMemoryFilter, matches } = buildListingFilters(filters);
+      const queryConstraints = [...constraints];
   
       // Default sorting
       queryConstraints.push(orderBy('createdAt', 'desc'));
   
-      // Pagination
-      if (lastDocument) {
-        queryConstraints.push(startAfter(lastDocument));
-      }
-      queryConstraints.push(limit(pageSize + 1)); // Fetch one extra to check for more
+      const listings = [];
+      let cursor = lastDocument;
+      let lastVisibleDoc = null;
+      let hasMore = false;
   
-      const listingsQuery = query(listingsRef, ...queryConstraints);
-      const snapshot = await getDocs(listingsQuery);
+      for (let round = 0; round < (needsMemoryFilter ? MAX_SEARCH_ROUNDS : 1); round++) {
+        const pageConstraints = [...queryConstraints];
   
-      const listings = snapshot.docs.map(doc => ({
-        id: doc.id,
-        ...doc.data()
-      }));
+        // Pagination
+        if (cursor) {
+          pageConstraints.push(startAfter(cursor));
+        }
+        pageConstraints.push(limit(pageSize + 1)); // Fetch one extra to check for more
   
-      const hasMore = listings.length > pageSize;
-      const finalListings = hasMore ? listings.slice(0, pageSize) : listings;
-      const lastVisibleDoc = hasMore 
-        ? snapshot.docs[pageSize - 1] 
-        : snapshot.docs[snapshot.docs.length - 1];
+        const listingsQuery = query(listingsRef, ...pageConstraints);
+        const snapshot = await getDocs(listingsQuery);
+        const batch = snapshot.docs.slice(0, pageSize);
+  
+        for (const docSnap of batch) {
+          const listing = { ...docSnap.data(), id: docSnap.id };
+          lastVisibleDoc = docSnap;
+  
+          if (!needsMemoryFilter || matches(listing)) {
+            listings.push(listing);
+          }
+  
+          if (listings.length === pageSize) {
+            break;
+          }
+        }
+  
+        hasMore = snapshot.docs.length > pageSize
+          || (listings.length === pageSize && lastVisibleDoc !== batch[batch.length - 1]);
+  
+        if (listings.length === pageSize || snapshot.docs.length <= pageSize) {
+          break;
+        }
+  
+        cursor = lastVisibleDoc;
+      }
   
       return {
-        listings: finalListings,
+        listings,
         hasMore,
         lastDocument: lastVisibleDoc
       };
@@ -193,6 +696,165 @@ import {
     }
   }
   
+  /**
+   * Gets the most recently created listings
+   *
+   * @param {number} limitCount - Number of listings
+   * @returns {Promise<Array>} - Listings, newest first
+   */
+  export async function getRecentListings(limitCount = 5) {
+    const { listings } = await getListings({}, limitCount);
+    return listings;
+  }
+  
+  /**
+   * Gets listings created within a date range, newest first
+   *
+   * @param {Date} start - Range start (inclusive)
+   * @param {Date} end - Range end (exclusive)
+   * @param {number} limitCount - Maximum number of listings
+   * @returns {Promise<Array>} - Listings
+   */
+  export async function getListingsCreatedBetween(start, end, limitCount = 100) {
+    const snapshot = await getDocs(query(
+      collection(db, COLLECTIONS.LISTINGS),
+      where('isDeleted', '==', false),
+      where('createdAt', '>=', Timestamp.fromDate(start)),
+      where('createdAt', '<', Timestamp.fromDate(end)),
+      orderBy('createdAt', 'desc'),
+      limit(limitCount)
+    ));
+  
+    return snapshot.docs.map(docSnap => ({ ...docSnap.data(), id: docSnap.id }));
+  }
+  
+  /**
+   * Iterate over every listing matching the filters, one page at a time
+   *
+   * Used for exports and other full-catalog jobs so callers never hold
+   * more than a batch of listings in memory.
+   *
+   * @param {Object} filters - Filtering options (see getListings)
+   * @param {number} batchSize - Number of listings fetched per round trip
+   * @yields {Array<Object>} - Next batch of listings
+   */
+  export async function* streamListings(filters = {}, batchSize = 100) {
+    let cursor = null;
+    let hasMore = true;
+  
+    while (hasMore) {
+      const page = await getListings(filters, batchSize, cursor);
+  
+      if (page.listings.length > 0) {
+        yield page.listings;
+      }
+  
+      hasMore = page.hasMore && page.lastDocument !== null;
+      cursor = page.lastDocument;
+    }
+  }
+  
+  /**
+   * Count listings matching a type, status and getListings-style filters
+   *
+   * Uses an aggregate count query. When part of the filter has to be
+   * matched in memory (extra search terms, or the industry alongside a
+   * search), up to MAX_COUNT_SCAN candidates are read and matched; beyond
+   * that the count is extrapolated from the matching share of those read.
+   *
+   * @param {string|null} type - Listing type
+   * @param {string|null} status - Listing status
+   * @param {Object} filters - Additional filters (see getListings)
+   * @returns {Promise<number>} - Number of listings
+   */
+  export async function getListingCount(type = null, status = null, filters = {}) {
+    try {
+      const { constraints, needsMemoryFilter, matches } = buildListingFilters({
+        ...filters,
+        ...(type ? { type, types: null } : {}),
+        ...(status ? { status, statuses: null } : {})
+      });
+      const listingsRef = collection(db, COLLECTIONS.LISTINGS);
+  
+      const snapshot = await getAggregateFromServer(
+        query(listingsRef, ...constraints),
+        { count: count() }
+      );
+      const candidates = snapshot.data().count;
+  
+      if (!needsMemoryFilter || candidates === 0) {
+        return candidates;
+      }
+  
+      let scanned = 0;
+      let matched = 0;
+      let cursor = null;
+  
+      while (scanned < Math.min(candidates, MAX_COUNT_SCAN)) {
+        const page = await getDocs(query(
+          listingsRef,
+          ...constraints,
+          orderBy('createdAt', 'desc'),
+          ...(cursor ? [startAfter(cursor)] : []),
+          limit(COUNT_SCAN_PAGE_SIZE)
+        ));
+  
+        if (page.empty) break;
+  
+        page.docs.forEach(docSnap => {
+          if (matches(docSnap.data())) matched++;
+        });
+        scanned += page.size;
+        cursor = page.docs[page.docs.length - 1];
+      }
+  
+      return scanned >= candidates || scanned === 0 ? matched : Math.round(matched / scanned * candidates);
+    } catch (error) {
+      console.error('Listing count error:', error);
+      throw new Error('Failed to count listings');
+    }
+  }
+  
+  /**
+   * Catalog-wide listing counts per type and status
+   *
+   * @returns {Promise<Object>} - { total, byType, byStatus, recentlyAdded }
+   */
+  export async function getListingCounts() {
+    const types = Object.values(LISTING_TYPES);
+    const statuses = Object.values(LISTING_STATUS);
+    const oneDayAgo = Timestamp.fromDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    const listingsRef = collection(db, COLLECTIONS.LISTINGS);
+  
+    try {
+      const [total, typeCounts, statusCounts, recent] = await Promise.all([
+        getListingCount(),
+        Promise.all(types.map(type => getListingCount(type))),
+        Promise.all(statuses.map(status => getListingCount(null, status))),
+        getAggregateFromServer(
+          query(listingsRef, where('isDeleted', '==', false), where('createdAt', '>=', oneDayAgo)),
+          { count: count() }
+        )
+      ]);
+  
+      const byType = {};
+      types.forEach((type, index) => { byType[type] = typeCounts[index]; });
+  
+      const byStatus = {};
+      statuses.forEach((status, index) => { byStatus[status] = statusCounts[index]; });
+  
+      return {
+        total,
+        byType,
+        byStatus,
+        recentlyAdded: recent.data().count
+      };
+    } catch (error) {
+      console.error('Listing counts error:', error);
+      throw new Error('Failed to count listings');
+    }
+  }
+  
   /**
    * Delete a listing
    * @param {string} listingId - Listing ID to delete
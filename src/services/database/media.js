@@ -0,0 +1,401 @@
+// src/services/database/media.js
+/**
+ * Media Service
+ * Uploads listing images and documents to Firebase Storage
+ *
+ * Files live under listings/{listingId}/ in Storage:
+ *   images/{id}.jpg and images/{id}-thumb.jpg for gallery and featured images
+ *   documents/public/{id}-{name} for documents anyone can open
+ *   documents/restricted/{id}-{name} for documents only verified buyers can open
+ * storage.rules enforces the same types, sizes and access split.
+ */
+import {
+    ref,
+    uploadBytesResumable,
+    getDownloadURL,
+    getBlob,
+    deleteObject
+  } from 'firebase/storage';
+  import { v4 as uuidv4 } from 'uuid';
+  import { storage, auth } from '../../config/firebase';
+  import { MEDIA_ACCESS, MEDIA_LIMITS } from '../../config/constants';
+  import { resizeImage } from '../../utils/image';
+  import { getListingById, commitListingChange } from './listing';
+  
+  // Folder per document access level
+  const DOCUMENT_FOLDERS = {
+    [MEDIA_ACCESS.PUBLIC]: 'public',
+    [MEDIA_ACCESS.VERIFIED_BUYERS]: 'restricted'
+  };
+  
+  /**
+   * Makes a file name safe to use in a Storage path
+   *
+   * @param {string} name - Original file name
+   * @returns {string} - Lowercase name with unsafe characters replaced
+   */
+  function sanitizeFileName(name) {
+    return String(name || 'file')
+      .toLowerCase()
+      .replace(/[^a-z0-9._-]+/g, '-')
+      .replace(/-+/g, '-')
+      .slice(-100);
+  }
+  
+  /**
+   * Checks a file against the upload limits for its kind
+   *
+   * @param {File} file - File to check
+   * @param {string} kind - 'image' or 'document'
+   * @returns {string|null} - Error message, or null when the file is accepted
+   */
+  export function validateMediaFile(file, kind) {
+    const isImage = kind === 'image';
+    const allowedTypes = isImage ? MEDIA_LIMITS.IMAGE_TYPES : MEDIA_LIMITS.DOCUMENT_TYPES;
+    const maxSize = isImage ? MEDIA_LIMITS.MAX_IMAGE_SIZE : MEDIA_LIMITS.MAX_DOCUMENT_SIZE;
+  
+    if (!allowedTypes.includes(file.type)) {
+      return isImage
+        ? `${file.name}: only JPG, PNG and WebP images are allowed`
+        : `${file.name}: only PDF, Word and Excel documents are allowed`;
+    }
+  
+    if (file.size > maxSize) {
+      return `${file.name}: file is larger than ${Math.round(maxSize / 1024 / 1024)}MB`;
+    }
+  
+    return null;
+  }
+  
+  /**
+   * Uploads a blob, reporting progress in bytes
+   *
+   * @param {string} path - Storage path
+   * @param {Blob} blob - Content to upload
+   * @param {Object} metadata - Storage metadata (contentType, customMetadata)
+   * @param {Function} onProgress - Called with bytes transferred so far
+   * @returns {Promise<void>}
+   */
+  function uploadBlob(path, blob, metadata, onProgress) {
+    return new Promise((resolve, reject) => {
+      const task = uploadBytesResumable(ref(storage, path), blob, metadata);
+  
+      task.on(
+        'state_changed',
+        snapshot => onProgress?.(snapshot.bytesTransferred),
+        reject,
+        resolve
+      );
+    });
+  }
+  
+  /**
+   * Builds the custom metadata stored with every uploaded file
+   *
+   * @param {string} listingId - Listing ID
+   * @param {Object} extra - Additional metadata
+   * @returns {Object} - Custom metadata
+   */
+  function buildCustomMetadata(listingId, extra = {}) {
+    return {
+      listingId,
+      uploadedBy: auth.currentUser?.uid || 'anonymous',
+      ...extra
+    };
+  }
+  
+  /**
+   * Resizes an image, creates its thumbnail and uploads both
+   *
+   * @param {string} listingId - Listing ID (the folder the image is stored in)
+   * @param {File} file - Image file
+   * @param {Object} options - Upload options
+   * @param {Function} options.onProgress - Called with the upload percentage (0-100)
+   * @returns {Promise<Object>} - Media item ({ id, url, path, thumbnailUrl, thumbnailPath, width, height, ... })
+   */
+  export async function uploadListingImage(listingId, file, { onProgress } = {}) {
+    if (!auth.currentUser) {
+      throw new Error('Authentication required to upload images');
+    }
+  
+    const error = validateMediaFile(file, 'image');
+    if (error) {
+      throw new Error(error);
+    }
+  
+    const [image, thumbnail] = await Promise.all([
+      resizeImage(file, { maxDimension: MEDIA_LIMITS.IMAGE_MAX_DIMENSION }),
+      resizeImage(file, { maxDimension: MEDIA_LIMITS.THUMBNAIL_MAX_DIMENSION, quality: 0.75 })
+    ]);
+  
+    const id = uuidv4();
+    const extension = image.contentType === 'image/png' ? 'png' : 'jpg';
+    const path = `listings/${listingId}/images/${id}.${extension}`;
+    const thumbnailPath = `listings/${listingId}/images/${id}-thumb.${extension}`;
+    const customMetadata = buildCustomMetadata(listingId, { originalName: file.name });
+  
+    // Report both uploads as one bar
+    const totalBytes = image.blob.size + thumbnail.blob.size;
+    const transferred = { image: 0, thumbnail: 0 };
+    const reportProgress = (key) => (bytes) => {
+      transferred[key] = bytes;
+      onProgress?.(Math.round(((transferred.image + transferred.thumbnail) / totalBytes) * 100));
+    };
+  
+    await Promise.all([
+      uploadBlob(path, image.blob, { contentType: image.contentType, customMetadata }, reportProgress('image')),
+      uploadBlob(thumbnailPath, thumbnail.blob, { contentType: thumbnail.contentType, customMetadata }, reportProgress('thumbnail'))
+    ]);
+  
+    const [url, thumbnailUrl] = await Promise.all([
+      getDownloadURL(ref(storage, path)),
+      getDownloadURL(ref(storage, thumbnailPath))
+    ]);
+  
+    return {
+      id,
+      url,
+      path,
+      thumbnailUrl,
+      thumbnailPath,
+      alt: '',
+      width: image.width,
+      height: image.height,
+      contentType: image.contentType,
+      size: image.blob.size,
+      originalName: file.name,
+      uploadedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Uploads a listing document with an access level
+   *
+   * Restricted documents are stored without a download URL; callers open
+   * them through getDocumentUrl so storage.rules can check the buyer.
+   *
+   * @param {string} listingId - Listing ID
+   * @param {File} file - Document file
+   * @param {Object} options - Upload options
+   * @param {string} options.access - One of MEDIA_ACCESS (defaults to verified buyers)
+   * @param {Function} options.onProgress - Called with the upload percentage (0-100)
+   * @returns {Promise<Object>} - Document item ({ id, name, path, url, type, size, access, isPublic, ... })
+   */
+  export async function uploadListingDocument(listingId, file, { access = MEDIA_ACCESS.VERIFIED_BUYERS, onProgress } = {}) {
+    if (!auth.currentUser) {
+      throw new Error('Authentication required to upload documents');
+    }
+  
+    const error = validateMediaFile(file, 'document');
+    if (error) {
+      throw new Error(error);
+    }
+  
+    if (!DOCUMENT_FOLDERS[access]) {
+      throw new Error(`Unknown document access level: ${access}`);
+    }
+  
+    const id = uuidv4();
+    const path = `listings/${listingId}/documents/${DOCUMENT_FOLDERS[access]}/${id}-${sanitizeFileName(file.name)}`;
+  
+    await uploadBlob(path, file, {
+      contentType: file.type,
+      contentDisposition: `attachment; filename="${sanitizeFileName(file.name)}"`,
+      customMetadata: buildCustomMetadata(listingId, { access })
+    }, bytes => onProgress?.(Math.round((bytes / file.size) * 100)));
+  
+    const isPublic = access === MEDIA_ACCESS.PUBLIC;
+  
+    return {
+      id,
+      name: file.name,
+      path,
+      url: isPublic ? await getDownloadURL(ref(storage, path)) : null,
+      type: file.type,
+      size: file.size,
+      access,
+      isPublic,
+      uploadedAt: new Date().toISOString()
+    };
+  }
+  
+  /**
+   * Changes who can open a document
+   *
+   * Access follows the Storage folder, so the file is copied to the folder
+   * of the new level. The old copy is left in place because the saved
+   * listing may still point at it; delete it with deleteMediaFiles once
+   * the listing has been saved with the returned item.
+   *
+   * @param {string} listingId - Listing ID
+   * @param {Object} document - Document item
+   * @param {string} access - One of MEDIA_ACCESS
+   * @returns {Promise<Object>} - Updated document item
+   */
+  export async function setDocumentAccess(listingId, document, access) {
+    if (document.access === access) {
+      return document;
+    }
+  
+    if (!DOCUMENT_FOLDERS[access]) {
+      throw new Error(`Unknown document access level: ${access}`);
+    }
+  
+    const blob = await getBlob(ref(storage, document.path));
+    const path = `listings/${listingId}/documents/${DOCUMENT_FOLDERS[access]}/${document.path.split('/').pop()}`;
+  
+    await uploadBlob(path, blob, {
+      contentType: document.type,
+      customMetadata: buildCustomMetadata(listingId, { access })
+    });
+  
+    const isPublic = access === MEDIA_ACCESS.PUBLIC;
+  
+    return {
+      ...document,
+      path,
+      url: isPublic ? await getDownloadURL(ref(storage, path)) : null,
+      access,
+      isPublic
+    };
+  }
+  
+  /**
+   * Gets a URL to open a document
+   *
+   * @param {Object} document - Document item
+   * @returns {Promise<string>} - Download URL
+   */
+  export async function getDocumentUrl(document) {
+    if (document.url) {
+      return document.url;
+    }
+  
+    try {
+      return await getDownloadURL(ref(storage, document.path));
+    } catch (error) {
+      if (error.code === 'storage/unauthorized') {
+        throw new Error('This document is only available to verified buyers');
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Deletes a Storage object, ignoring files that are already gone
+   *
+   * @param {string} path - Storage path
+   * @returns {Promise<void>}
+   */
+  async function deleteStorageObject(path) {
+    try {
+      await deleteObject(ref(storage, path));
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') {
+        throw error;
+      }
+    }
+  }
+  
+  /**
+   * Deletes the files of an image or document item
+   *
+   * @param {Object} item - Media item (path and optional thumbnailPath)
+   * @returns {Promise<void>}
+   */
+  export async function deleteMediaFiles(item) {
+    const paths = [item?.path, item?.thumbnailPath].filter(Boolean);
+    await Promise.all(paths.map(deleteStorageObject));
+  }
+  
+  /**
+   * Moves an item within a list
+   *
+   * @param {Array} items - Items
+   * @param {number} fromIndex - Current index
+   * @param {number} toIndex - Target index
+   * @returns {Array} - New array
+   */
+  export function moveMediaItem(items, fromIndex, toIndex) {
+    const result = [...items];
+    const [item] = result.splice(fromIndex, 1);
+    result.splice(Math.max(0, Math.min(toIndex, result.length)), 0, item);
+    return result;
+  }
+  
+  /**
+   * Makes a gallery image the featured image
+   *
+   * The previous featured image, if any, takes the promoted image's place
+   * in the gallery so no upload is lost.
+   *
+   * @param {Object} media - Listing media ({ featuredImage, galleryImages })
+   * @param {string} imageId - ID (or path) of the gallery image to feature
+   * @returns {Object} - New { featuredImage, galleryImages }
+   */
+  export function promoteToFeatured(media, imageId) {
+    const galleryImages = [...(media?.galleryImages || [])];
+    const index = galleryImages.findIndex(image => (image.id || image.path) === imageId);
+  
+    if (index === -1) {
+      throw new Error('Image is not in the gallery');
+    }
+  
+    const [image] = galleryImages.splice(index, 1);
+    const previous = media?.featuredImage;
+  
+    if (previous?.url) {
+      galleryImages.splice(index, 0, { ...previous });
+    }
+  
+    return {
+      featuredImage: { ...image, alt: image.alt || previous?.alt || '' },
+      galleryImages
+    };
+  }
+  
+  /**
+   * Saves a new gallery order for a listing
+   *
+   * @param {string} listingId - Listing ID
+   * @param {Array<string>} orderedIds - Gallery image IDs (or paths) in the new order
+   * @returns {Promise<number>} - New listing version
+   */
+  export async function reorderGalleryImages(listingId, orderedIds) {
+    const listing = await getListingById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+  
+    const gallery = listing.media?.galleryImages || [];
+    const byId = new Map(gallery.map(image => [image.id || image.path, image]));
+  
+    if (orderedIds.length !== gallery.length || orderedIds.some(id => !byId.has(id))) {
+      throw new Error('The new order must contain every gallery image exactly once');
+    }
+  
+    return commitListingChange(listingId, {
+      'media.galleryImages': orderedIds.map(id => byId.get(id))
+    });
+  }
+  
+  /**
+   * Makes a gallery image the featured image of a saved listing
+   *
+   * @param {string} listingId - Listing ID
+   * @param {string} imageId - ID (or path) of the gallery image
+   * @returns {Promise<number>} - New listing version
+   */
+  export async function setFeaturedImage(listingId, imageId) {
+    const listing = await getListingById(listingId);
+    if (!listing) {
+      throw new Error('Listing not found');
+    }
+  
+    const { featuredImage, galleryImages } = promoteToFeatured(listing.media, imageId);
+  
+    return commitListingChange(listingId, {
+      'media.featuredImage': featuredImage,
+      'media.galleryImages': galleryImages
+    });
+  }
@@ -0,0 +1,238 @@
+// src/services/database/metrics.js
+/**
+ * Metrics Service
+ * Dashboard KPIs compared with the previous period
+ */
+import {
+    collection, query, where, Timestamp,
+    getAggregateFromServer, count
+  } from 'firebase/firestore';
+  import { db } from '../../config/firebase';
+  import { COLLECTIONS, LISTING_STATUS, METRIC_PERIODS } from '../../config/constants';
+  import { getAnalyticsRange } from './analytics';
+  import {
+    toDateKey, getDayRange, listDateKeys, isRollupCurrent, computeTransactionTotals
+  } from './analyticsRollup';
+  
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  
+  // Days without a current rollup that sumActivity computes from the raw
+  // collections, newest first; older gaps are reported as pending instead
+  // of scanning a whole period's transactions
+  const MAX_LIVE_DAYS = 2;
+  
+  /**
+   * Resolves a reporting period and the equally long period before it
+   *
+   * Periods are whole UTC days ending today, so they line up with the daily
+   * analytics rollups.
+   *
+   * @param {number} days - Period length in days
+   * @param {Date} now - Day the current period ends on
+   * @returns {Object} - { current, previous }, each { start, end, dates } with Timestamps and date keys
+   */
+  export function getPeriodRanges(days, now = new Date()) {
+    const today = getDayRange(toDateKey(now));
+    const end = today.end.toMillis();
+    const start = end - days * DAY_MS;
+    const previousStart = start - days * DAY_MS;
+  
+    const toRange = (from, to) => ({
+      start: Timestamp.fromMillis(from),
+      end: Timestamp.fromMillis(to),
+      dates: listDateKeys(toDateKey(new Date(from)), toDateKey(new Date(to - DAY_MS)))
+    });
+  
+    return {
+      current: toRange(start, end),
+      previous: toRange(previousStart, start)
+    };
+  }
+  
+  /**
+   * Percentage change between two values
+   *
+   * @param {number} current - Value for the current period
+   * @param {number|null} previous - Value for the previous period
+   * @returns {number|null} - Change in percent, or null when there is no base to compare with
+   */
+  export function percentChange(current, previous) {
+    if (previous === null || previous === undefined || previous === 0) {
+      return null;
+    }
+    return ((current - previous) / previous) * 100;
+  }
+  
+  /**
+   * Builds a metric with its comparison to the previous period
+   *
+   * @param {number} value - Value for the current period
+   * @param {number|null} previous - Value for the previous period
+   * @returns {Object} - { value, previous, change }
+   */
+  function toMetric(value, previous) {
+    return { value, previous, change: percentChange(value, previous) };
+  }
+  
+  /**
+   * Counts documents matching the given constraints
+   *
+   * @param {string} collectionName - Collection to count
+   * @param {Array} constraints - Query constraints
+   * @returns {Promise<number>} - Number of documents
+   */
+  async function countDocuments(collectionName, constraints) {
+    const snapshot = await getAggregateFromServer(
+      query(collection(db, collectionName), ...constraints),
+      { count: count() }
+    );
+    return snapshot.data().count;
+  }
+  
+  /**
+   * Total non-deleted documents that existed at the end of a range
+   *
+   * @param {string} collectionName - Collection to count
+   * @param {Object} range - { end }
+   * @returns {Promise<number>} - Number of documents
+   */
+  function countTotalAt(collectionName, range) {
+    return countDocuments(collectionName, [
+      where('isDeleted', '==', false),
+      where('createdAt', '<', range.end)
+    ]);
+  }
+  
+  /**
+   * Computes a day's totals from the raw collections when it has no
+   * current rollup (typically today)
+   *
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Promise<Object>} - { visits, contacts, revenue }
+   */
+  async function computeLiveDay(dateKey) {
+    const range = getDayRange(dateKey);
+    const createdWithin = [where('createdAt', '>=', range.start), where('createdAt', '<', range.end)];
+  
+    const [visits, contacts, transactions] = await Promise.all([
+      countDocuments(COLLECTIONS.ACTIVITIES, [where('type', '==', 'view_listing'), ...createdWithin]),
+      countDocuments(COLLECTIONS.APPLICATIONS, createdWithin),
+      computeTransactionTotals(range)
+    ]);
+  
+    return { visits, contacts, revenue: transactions.revenue };
+  }
+  
+  /**
+   * Sums listing views, contacts and net revenue over a range
+   *
+   * Reads the daily rollups and falls back to the raw collections for the
+   * newest MAX_LIVE_DAYS days that are missing or partial. Any other such
+   * day is left out and counted in pendingDays until its rollup exists.
+   *
+   * @param {Object} range - Range from getPeriodRanges
+   * @returns {Promise<Object>} - { visits, contacts, revenue, pendingDays }
+   */
+  async function sumActivity(range) {
+    const rollups = await getAnalyticsRange(range.dates[0], range.dates[range.dates.length - 1]);
+    const byDate = new Map(rollups.map(rollup => [rollup.period.date, rollup]));
+  
+    const missing = range.dates.filter(dateKey => !isRollupCurrent(byDate.get(dateKey)));
+    const liveDates = missing.slice(-MAX_LIVE_DAYS);
+  
+    const days = await Promise.all(range.dates.map(dateKey => {
+      if (liveDates.includes(dateKey)) {
+        return computeLiveDay(dateKey);
+      }
+      const rollup = byDate.get(dateKey);
+      if (!isRollupCurrent(rollup)) {
+        return { visits: 0, contacts: 0, revenue: 0 };
+      }
+      return {
+        visits: rollup.listings?.views || 0,
+        contacts: rollup.listings?.contacts || 0,
+        revenue: rollup.transactions?.revenue || 0
+      };
+    }));
+  
+    const totals = days.reduce((sum, day) => ({
+      visits: sum.visits + day.visits,
+      contacts: sum.contacts + day.contacts,
+      revenue: sum.revenue + day.revenue
+    }), { visits: 0, contacts: 0, revenue: 0 });
+  
+    return { ...totals, pendingDays: missing.length - liveDates.length };
+  }
+  
+  /**
+   * Conversion rate: applications per listing view, in percent
+   *
+   * @param {number} applications - Applications in the period
+   * @param {number} visits - Listing views in the period
+   * @returns {number|null} - Rate, or null without any views
+   */
+  function conversionRate(applications, visits) {
+    return visits > 0 ? (applications / visits) * 100 : null;
+  }
+  
+  /**
+   * Computes the dashboard KPIs for a period and the period before it
+   *
+   * Totals (users, listings) are counted as they stood at the end of each
+   * period. Pending approvals is the current moderation queue; there is no
+   * history of the queue, so it carries no comparison. Revenue is net of
+   * refunds. Visits, conversion and revenue leave out days whose rollup is
+   * still pending (see sumActivity).
+   *
+   * @param {number} days - Period length in days
+   * @returns {Promise<Object>} - { days, ranges, metrics, pendingDays } where every metric is { value, previous, change }
+   */
+  export async function getDashboardMetrics(days = METRIC_PERIODS.LAST_30_DAYS.days) {
+    const ranges = getPeriodRanges(days);
+    const { current, previous } = ranges;
+  
+    try {
+      const [
+        users, previousUsers,
+        listings, previousListings,
+        pendingApprovals,
+        activity, previousActivity
+      ] = await Promise.all([
+        countTotalAt(COLLECTIONS.USERS, current),
+        countTotalAt(COLLECTIONS.USERS, previous),
+        countTotalAt(COLLECTIONS.LISTINGS, current),
+        countTotalAt(COLLECTIONS.LISTINGS, previous),
+        countDocuments(COLLECTIONS.LISTINGS, [
+          where('isDeleted', '==', false),
+          where('status', '==', LISTING_STATUS.PENDING)
+        ]),
+        sumActivity(current),
+        sumActivity(previous)
+      ]);
+  
+      const rate = conversionRate(activity.contacts, activity.visits);
+      const previousRate = conversionRate(previousActivity.contacts, previousActivity.visits);
+  
+      return {
+        days,
+        ranges,
+        // Days left out of the activity metrics, per period
+        pendingDays: { current: activity.pendingDays, previous: previousActivity.pendingDays },
+        metrics: {
+          totalUsers: toMetric(users, previousUsers),
+          totalListings: toMetric(listings, previousListings),
+          pendingApprovals: toMetric(pendingApprovals, null),
+          visits: toMetric(activity.visits, previousActivity.visits),
+          conversionRate: {
+            value: rate,
+            previous: previousRate,
+            change: rate === null ? null : percentChange(rate, previousRate)
+          },
+          revenue: toMetric(activity.revenue, previousActivity.revenue)
+        }
+      };
+    } catch (error) {
+      console.error('Dashboard metrics error:', error);
+      throw new Error('Failed to compute dashboard metrics');
+    }
+  }
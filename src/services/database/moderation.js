@@ -0,0 +1,348 @@
+// src/services/database/moderation.js
+/**
+ * Moderation Service
+ * Handles the review queue for listings submitted for publication
+ */
+import {
+    collection, doc, getDoc, getDocs, addDoc, query, where, orderBy,
+    limit, startAfter, arrayUnion, serverTimestamp, Timestamp, getAggregateFromServer, count
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import {
+    COLLECTIONS, LISTING_STATUS, LISTING_REJECTION_REASONS,
+    NOTIFICATION_TYPES, PERMISSIONS
+  } from '../../config/constants';
+  import { getListingById, commitListingChange } from './listing';
+  import { getRoles, getStaffUsers } from './role';
+  import { logUpdateAction, getEntityAuditTrail } from './auditLog';
+  import { createNotification } from './notification';
+  import { hasPermission } from '../../utils/permissions';
+
+  /**
+   * Owner-facing wording for each rejection reason
+   */
+  export const REJECTION_REASON_LABELS = {
+    [LISTING_REJECTION_REASONS.INCOMPLETE_INFORMATION]: 'Incomplete information',
+    [LISTING_REJECTION_REASONS.INACCURATE_FINANCIALS]: 'Financials could not be verified',
+    [LISTING_REJECTION_REASONS.DUPLICATE_LISTING]: 'Duplicate of an existing listing',
+    [LISTING_REJECTION_REASONS.PROHIBITED_CONTENT]: 'Prohibited business or content',
+    [LISTING_REJECTION_REASONS.POOR_QUALITY_MEDIA]: 'Images or documents are missing or unclear',
+    [LISTING_REJECTION_REASONS.CONTACT_DETAILS_IN_DESCRIPTION]: 'Contact details in the description',
+    [LISTING_REJECTION_REASONS.UNVERIFIED_OWNERSHIP]: 'Ownership could not be verified',
+    [LISTING_REJECTION_REASONS.OTHER]: 'Other'
+  };
+
+  // Audit entries for moderation use the listing as their entity
+  const ENTITY_TYPE = 'listing';
+
+  // Subcollection of listings/{id} holding reviewer notes; unlike the
+  // listing itself it is readable by reviewers only
+  const NOTES_SUBCOLLECTION = 'reviewerNotes';
+
+  /**
+   * Gets pending listings, oldest submission first
+   *
+   * @param {Object} filters - Filters to apply (type, assignedTo, unassigned)
+   * @param {number} pageSize - Number of listings per page
+   * @param {string|null} lastVisible - Last document ID for pagination
+   * @returns {Promise<Object>} - Paginated results
+   */
+  export async function getModerationQueue(filters = {}, pageSize = 20, lastVisible = null) {
+    const listingsRef = collection(db, COLLECTIONS.LISTINGS);
+    const constraints = [
+      where('isDeleted', '==', false),
+      where('status', '==', LISTING_STATUS.PENDING)
+    ];
+
+    if (filters.type) {
+      constraints.push(where('type', '==', filters.type));
+    }
+
+    if (filters.assignedTo) {
+      constraints.push(where('moderation.assignedTo', '==', filters.assignedTo));
+    } else if (filters.unassigned) {
+      constraints.push(where('moderation.assignedTo', '==', null));
+    }
+
+    constraints.push(orderBy('createdAt', 'asc'));
+
+    if (lastVisible) {
+      const lastDoc = await getDoc(doc(db, COLLECTIONS.LISTINGS, lastVisible));
+      if (lastDoc.exists()) {
+        constraints.push(startAfter(lastDoc));
+      }
+    }
+
+    constraints.push(limit(pageSize));
+
+    const snapshot = await getDocs(query(listingsRef, ...constraints));
+
+    return {
+      listings: snapshot.docs.map(docSnap => ({
+        ...docSnap.data(),
+        id: docSnap.id
+      })),
+      lastVisible: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null,
+      hasMore: snapshot.docs.length >= pageSize
+    };
+  }
+
+  /**
+   * Gets queue counts for the moderation tabs
+   *
+   * Unassigned listings are those created with an empty moderation
+   * assignment (see createListing).
+   *
+   * @param {string|null} reviewerId - Reviewer to count assignments for (defaults to current user)
+   * @returns {Promise<Object>} - { pending, assignedToMe, unassigned }
+   */
+  export async function getModerationCounts(reviewerId = null) {
+    const listingsRef = collection(db, COLLECTIONS.LISTINGS);
+    const targetReviewerId = reviewerId || auth.currentUser?.uid || null;
+    const pendingConstraints = [
+      where('isDeleted', '==', false),
+      where('status', '==', LISTING_STATUS.PENDING)
+    ];
+
+    const [pending, assignedToMe, unassigned] = await Promise.all([
+      getAggregateFromServer(query(listingsRef, ...pendingConstraints), { count: count() }),
+      targetReviewerId
+        ? getAggregateFromServer(
+          query(listingsRef, ...pendingConstraints, where('moderation.assignedTo', '==', targetReviewerId)),
+          { count: count() }
+        )
+        : null,
+      getAggregateFromServer(
+        query(listingsRef, ...pendingConstraints, where('moderation.assignedTo', '==', null)),
+        { count: count() }
+      )
+    ]);
+
+    return {
+      pending: pending.data().count,
+      assignedToMe: assignedToMe ? assignedToMe.data().count : 0,
+      unassigned: unassigned.data().count
+    };
+  }
+
+  /**
+   * Gets the staff members who can review listings
+   *
+   * @returns {Promise<Array>} - Users whose role grants approve_listings
+   */
+  export async function getReviewers() {
+    const [roles, staff] = await Promise.all([getRoles(), getStaffUsers()]);
+    const reviewerRoles = roles
+      .filter(role => hasPermission(role.permissions, PERMISSIONS.APPROVE_LISTINGS))
+      .map(role => role.id);
+
+    return staff
+      .filter(user => reviewerRoles.includes(user.role))
+      .map(user => ({
+        id: user.id,
+        name: user.displayName || [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+        email: user.email,
+        role: user.role
+      }));
+  }
+  
+  /**
+   * Loads a listing and checks it is waiting for review
+   *
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Object>} - Listing data
+   */
+  async function getPendingListing(listingId) {
+    const listing = await getListingById(listingId);
+
+    if (!listing || listing.isDeleted) {
+      throw new Error('Listing not found');
+    }
+
+    if (listing.status !== LISTING_STATUS.PENDING) {
+      throw new Error(`Listing is ${listing.status}, only pending listings can be moderated`);
+    }
+
+    return listing;
+  }
+
+  /**
+   * Assigns a pending listing to a reviewer, or clears the assignment
+   *
+   * @param {string} listingId - Listing ID
+   * @param {Object|null} reviewer - Reviewer ({ id, name }) or null to unassign
+   * @returns {Promise<string>} - Listing ID
+   */
+  export async function assignReviewer(listingId, reviewer) {
+    const listing = await getPendingListing(listingId);
+    const currentUser = auth.currentUser;
+
+    await commitListingChange(listingId, {
+      'moderation.assignedTo': reviewer?.id || null,
+      'moderation.assignedToName': reviewer?.name || null,
+      'moderation.assignedAt': reviewer ? Timestamp.now() : null,
+      'moderation.assignedBy': currentUser?.uid || 'system'
+    }, { reason: 'moderation' });
+
+    await logUpdateAction(ENTITY_TYPE, listingId, ['moderation.assignedTo'], {
+      listingName: listing.name,
+      previousReviewer: listing.moderation?.assignedTo || null,
+      reviewer: reviewer?.id || null,
+      reviewerName: reviewer?.name || null
+    });
+
+    return listingId;
+  }
+
+  /**
+   * Adds an internal reviewer note to a listing (never shown to the owner)
+   *
+   * @param {string} listingId - Listing ID
+   * @param {string} note - Note text
+   * @returns {Promise<string>} - Note ID
+   */
+  export async function addReviewerNote(listingId, note) {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('User must be authenticated to add a reviewer note');
+    }
+
+    if (!note || !note.trim()) {
+      throw new Error('Note cannot be empty');
+    }
+
+    const noteRef = await addDoc(collection(db, COLLECTIONS.LISTINGS, listingId, NOTES_SUBCOLLECTION), {
+      note: note.trim(),
+      authorId: currentUser.uid,
+      authorName: currentUser.displayName || currentUser.email,
+      createdAt: serverTimestamp()
+    });
+
+    return noteRef.id;
+  }
+
+  /**
+   * Gets the reviewer notes of a listing, oldest first
+   *
+   * @param {string} listingId - Listing ID
+   * @returns {Promise<Array>} - Notes ({ id, note, authorId, authorName, createdAt })
+   */
+  export async function getReviewerNotes(listingId) {
+    const snapshot = await getDocs(query(
+      collection(db, COLLECTIONS.LISTINGS, listingId, NOTES_SUBCOLLECTION),
+      orderBy('createdAt', 'asc')
+    ));
+
+    return snapshot.docs.map(docSnap => ({ ...docSnap.data(), id: docSnap.id }));
+  }
+
+  /**
+   * Records a moderation decision, audits it and notifies the owner
+   *
+   * @param {Object} listing - Pending listing
+   * @param {string} status - Resulting listing status
+   * @param {Object} decision - { reason, note }
+   * @returns {Promise<string>} - Listing ID
+   */
+  async function recordDecision(listing, status, { reason = null, note = null }) {
+    const currentUser = auth.currentUser;
+    if (!currentUser) {
+      throw new Error('User must be authenticated to moderate listings');
+    }
+
+    const now = Timestamp.now();
+    const reviewerName = currentUser.displayName || currentUser.email;
+    const trimmedNote = note?.trim() || null;
+
+    await commitListingChange(listing.id, {
+      status,
+      'moderation.decision': status,
+      'moderation.reviewedBy': currentUser.uid,
+      'moderation.reviewedByName': reviewerName,
+      'moderation.reviewedAt': now,
+      'moderation.rejectionReason': reason,
+      'moderation.decisionNote': trimmedNote,
+      'moderation.history': arrayUnion({
+        decision: status,
+        reason,
+        note: trimmedNote,
+        reviewedBy: currentUser.uid,
+        reviewedByName: reviewerName,
+        reviewedAt: now
+      })
+    }, { reason: 'moderation' });
+
+    await logUpdateAction(ENTITY_TYPE, listing.id, ['status', 'moderation'], {
+      listingName: listing.name,
+      previousStatus: listing.status,
+      newStatus: status,
+      rejectionReason: reason,
+      note: trimmedNote
+    });
+
+    if (listing.ownerId) {
+      const approved = status === LISTING_STATUS.PUBLISHED;
+      const reasonText = reason ? REJECTION_REASON_LABELS[reason] || reason : null;
+
+      await createNotification({
+        userId: listing.ownerId,
+        type: NOTIFICATION_TYPES.LISTING,
+        title: approved
+          ? `Your listing "${listing.name}" is now live`
+          : `Your listing "${listing.name}" was not approved`,
+        message: approved
+          ? `It passed review and is now visible to buyers and investors.${trimmedNote ? ` ${trimmedNote}` : ''}`
+          : `Reason: ${reasonText}.${trimmedNote ? ` ${trimmedNote}` : ''} Update the listing and submit it again for review.`,
+        importance: approved ? 'medium' : 'high',
+        related: {
+          listingId: listing.id
+        }
+      });
+    }
+
+    return listing.id;
+  }
+
+  /**
+   * Approves a pending listing and publishes it
+   *
+   * @param {string} listingId - Listing ID
+   * @param {string|null} note - Optional note sent to the owner
+   * @returns {Promise<string>} - Listing ID
+   */
+  export async function approveListing(listingId, note = null) {
+    const listing = await getPendingListing(listingId);
+    return recordDecision(listing, LISTING_STATUS.PUBLISHED, { note });
+  }
+
+  /**
+   * Rejects a pending listing with a reason
+   *
+   * @param {string} listingId - Listing ID
+   * @param {string} reason - One of LISTING_REJECTION_REASONS
+   * @param {string|null} note - Note sent to the owner (required for "other")
+   * @returns {Promise<string>} - Listing ID
+   */
+  export async function rejectListing(listingId, reason, note = null) {
+    if (!Object.values(LISTING_REJECTION_REASONS).includes(reason)) {
+      throw new Error('A valid rejection reason is required');
+    }
+
+    if (reason === LISTING_REJECTION_REASONS.OTHER && !note?.trim()) {
+      throw new Error('Explain the rejection when the reason is "Other"');
+    }
+
+    const listing = await getPendingListing(listingId);
+    return recordDecision(listing, LISTING_STATUS.REJECTED, { reason, note });
+  }
+
+  /**
+   * Gets the moderation audit trail of a listing
+   *
+   * @param {string} listingId - Listing ID
+   * @param {number} limitCount - Maximum number of entries
+   * @returns {Promise<Array>} - Audit log entries, newest first
+   */
+  export async function getModerationHistory(listingId, limitCount = 20) {
+    return getEntityAuditTrail(ENTITY_TYPE, listingId, limitCount);
+  }
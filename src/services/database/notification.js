@@ -13,18 +13,18 @@ import {
   import { BaseService } from './index';
   
   /**
-   * Creates a notification
+   * Fills in the defaults of a new notification
    * 
    * @param {Object} notificationData - Notification data
-   * @returns {Promise<string>} - Notification ID
+   * @returns {Object} - Notification ready to be written
    */
-  export async function createNotification(notificationData) {
+  export function buildNotification(notificationData) {
     // Ensure required fields are present
     if (!notificationData.userId || !notificationData.type || !notificationData.title) {
       throw new Error('Missing required notification fields');
     }
     
-    return BaseService.createDocument(COLLECTIONS.NOTIFICATIONS, {
+    return {
       ...notificationData,
       status: {
         isRead: false,
@@ -33,7 +33,17 @@ import {
       },
       importance: notificationData.importance || 'medium',
       expiresAt: notificationData.expiresAt || null
-    });
+    };
+  }
+  
+  /**
+   * Creates a notification
+   * 
+   * @param {Object} notificationData - Notification data
+   * @returns {Promise<string>} - Notification ID
+   */
+  export async function createNotification(notificationData) {
+    return BaseService.createDocument(COLLECTIONS.NOTIFICATIONS, buildNotification(notificationData));
   }
   
   /**
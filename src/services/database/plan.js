@@ -3,20 +3,56 @@
  * Handles operations related to subscription plans
  */
 import { 
-    collection, doc, getDoc, getDocs, query, where, orderBy, limit
+    collection, doc, getDoc, getDocs, query, where, orderBy, limit,
+    setDoc, serverTimestamp, getCountFromServer
   } from 'firebase/firestore';
-import { db } from '../../config/firebase';
-import { COLLECTIONS } from '../../config/constants';
+import { db, auth } from '../../config/firebase';
+import { COLLECTIONS, AUDIT_ENTITY_TYPES, SUBSCRIPTION_STATUS } from '../../config/constants';
 import { BaseService } from './index';
+import { getPlanTerms } from '../../utils/subscriptions';
+import { diffObjects } from '../../utils/diff';
+import { logCreateAction, logUpdateAction } from './auditLog';
+
+const ENTITY_TYPE = AUDIT_ENTITY_TYPES.PLAN;
+
+// plans/{id}/versions/{planVersion} holds the terms of every plan version
+const VERSIONS_SUBCOLLECTION = 'versions';
+
+/**
+ * Stores the terms of a plan version
+ * 
+ * @param {string} planId - Plan ID
+ * @param {number} planVersion - Plan version
+ * @param {Object} plan - Plan data with the terms of that version
+ * @returns {Promise<void>}
+ */
+async function savePlanVersion(planId, planVersion, plan) {
+  await setDoc(doc(db, COLLECTIONS.PLANS, planId, VERSIONS_SUBCOLLECTION, String(planVersion)), {
+    planVersion,
+    name: plan.name || null,
+    ...getPlanTerms(plan),
+    createdAt: serverTimestamp(),
+    createdBy: auth.currentUser?.uid || 'system'
+  });
+}
 
 /**
  * Creates a new plan
  * 
  * @param {Object} planData - Plan data
- * @returns {Promise<string>} - Plan ID
+ * @returns {Promise<Object>} - Created plan
  */
 export async function createPlan(planData) {
-  return BaseService.createDocument(COLLECTIONS.PLANS, planData);
+  const plan = await BaseService.createDocument(COLLECTIONS.PLANS, {
+    ...planData,
+    planVersion: 1,
+    tracking: { subscribers: 0, ...(planData.tracking || {}) }
+  });
+  
+  await savePlanVersion(plan.id, 1, plan);
+  await logCreateAction(ENTITY_TYPE, plan.id, { name: plan.name, type: plan.type || null });
+  
+  return plan;
 }
 
 /**
@@ -32,12 +68,112 @@ export async function getPlanById(id) {
 /**
  * Updates a plan
  * 
+ * Changes to the price, duration or limits are saved as a new plan version.
+ * New purchases get the new version; existing subscriptions keep the terms
+ * of the version they bought, including at renewal.
+ * 
  * @param {string} id - Plan ID
  * @param {Object} planData - Plan data to update
- * @returns {Promise<string>} - Plan ID
+ * @returns {Promise<Object>} - { id, planVersion, isNewVersion }
  */
 export async function updatePlan(id, planData) {
-  return BaseService.updateDocument(COLLECTIONS.PLANS, id, planData);
+  const plan = await getPlanById(id);
+  
+  if (!plan) {
+    throw new Error('Plan not found');
+  }
+  
+  const updated = { ...plan, ...planData };
+  const currentVersion = plan.planVersion || 1;
+  const termChanges = diffObjects(getPlanTerms(plan), getPlanTerms(updated));
+  const isNewVersion = termChanges.length > 0;
+  const planVersion = isNewVersion ? currentVersion + 1 : currentVersion;
+  
+  await BaseService.updateDocument(COLLECTIONS.PLANS, id, isNewVersion ? { ...planData, planVersion } : planData);
+  
+  if (isNewVersion) {
+    // Plans created before versioning have no snapshot of the terms they were sold on
+    if (!plan.planVersion) {
+      await savePlanVersion(id, currentVersion, plan);
+    }
+    await savePlanVersion(id, planVersion, updated);
+  }
+  
+  const changes = diffObjects(plan, updated, {
+    ignore: ['id', 'createdAt', 'createdBy', 'updatedAt', 'updatedBy', 'version', 'versionHistory', 'tracking']
+  });
+  await logUpdateAction(ENTITY_TYPE, id, Object.keys(planData), {
+    changes: [
+      ...changes.map(({ path, before, after }) => ({ path, before, after })),
+      ...(isNewVersion ? [{ path: 'planVersion', before: currentVersion, after: planVersion }] : [])
+    ]
+  });
+  
+  return { id, planVersion, isNewVersion };
+}
+
+/**
+ * Gets the stored versions of a plan, newest first
+ * 
+ * @param {string} planId - Plan ID
+ * @returns {Promise<Array>} - Versions ({ planVersion, name, pricing, duration, limits, createdAt, createdBy })
+ */
+export async function getPlanVersions(planId) {
+  const versionsRef = collection(db, COLLECTIONS.PLANS, planId, VERSIONS_SUBCOLLECTION);
+  const snapshot = await getDocs(query(versionsRef, orderBy('planVersion', 'desc')));
+  
+  return snapshot.docs.map(doc => ({
+    id: doc.id,
+    ...doc.data()
+  }));
+}
+
+/**
+ * Gets the terms of one plan version
+ * 
+ * @param {string} planId - Plan ID
+ * @param {number} planVersion - Plan version
+ * @returns {Promise<Object|null>} - { pricing, duration, limits }, or null if not stored
+ */
+export async function getPlanVersionTerms(planId, planVersion) {
+  const versionSnap = await getDoc(doc(db, COLLECTIONS.PLANS, planId, VERSIONS_SUBCOLLECTION, String(planVersion)));
+  return versionSnap.exists() ? getPlanTerms(versionSnap.data()) : null;
+}
+
+/**
+ * Counts the active subscriptions of a plan per plan version
+ * 
+ * Subscriptions bought before plans were versioned count towards version 1.
+ * 
+ * @param {string} planId - Plan ID
+ * @param {number} currentVersion - Latest plan version
+ * @returns {Promise<Object>} - Map of plan version to subscription count
+ */
+export async function getPlanSubscriberCounts(planId, currentVersion = 1) {
+  const subscriptionsRef = collection(db, COLLECTIONS.SUBSCRIPTIONS);
+  const baseConstraints = [
+    where('planId', '==', planId),
+    where('status', '==', SUBSCRIPTION_STATUS.ACTIVE),
+    where('isDeleted', '==', false)
+  ];
+  
+  const versions = Array.from({ length: currentVersion }, (_, index) => index + 1);
+  const [total, ...perVersion] = await Promise.all([
+    getCountFromServer(query(subscriptionsRef, ...baseConstraints)),
+    ...versions.map(planVersion => getCountFromServer(
+      query(subscriptionsRef, ...baseConstraints, where('planVersion', '==', planVersion))
+    ))
+  ]);
+  
+  const counts = {};
+  versions.forEach((planVersion, index) => {
+    counts[planVersion] = perVersion[index].data().count;
+  });
+  
+  const versioned = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  counts[1] = (counts[1] || 0) + total.data().count - versioned;
+  
+  return counts;
 }
 
 /**
@@ -6,7 +6,7 @@
 import { 
     collection, doc, getDoc, getDocs, query, where,
     orderBy, limit, deleteDoc, serverTimestamp,
-    increment
+    increment, updateDoc, arrayUnion
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
   import { COLLECTIONS } from '../../config/constants';
@@ -69,12 +69,9 @@ import {
       }
     };
     
-    const reviewId = await BaseService.createDocument(COLLECTIONS.REVIEWS, review);
-    
-    // Update listing rating
-    await updateListingRating(reviewData.listingId);
-    
-    return reviewId;
+    // New reviews wait for moderation and count towards the listing rating
+    // once setReviewStatus publishes them
+    return BaseService.createDocument(COLLECTIONS.REVIEWS, review);
   }
   
   /**
@@ -119,13 +116,14 @@ import {
       }
     };
     
-    await BaseService.updateDocument(COLLECTIONS.REVIEWS, id, updateData);
-    
-    // Update listing rating if rating was changed
-    if (reviewData.rating && reviewData.rating !== review.rating) {
-      await updateListingRating(review.listingId);
+    // A changed rating goes back through moderation before the listing
+    // rating picks it up
+    if (reviewData.rating && reviewData.rating !== review.rating && review.visibility?.status === 'live') {
+      updateData['visibility.status'] = 'pending';
     }
     
+    await BaseService.updateDocument(COLLECTIONS.REVIEWS, id, updateData);
+    
     return id;
   }
   
@@ -157,6 +155,31 @@ import {
     return id;
   }
   
+  /**
+   * Publishes or takes down a review and recomputes its listing's rating
+   * 
+   * Only review moderators (approve_listings) may write the rating.
+   * 
+   * @param {string} id - Review ID
+   * @param {string} status - 'live', 'pending' or 'hidden'
+   * @returns {Promise<string>} - Review ID
+   */
+  export async function setReviewStatus(id, status) {
+    const review = await getReviewById(id);
+    
+    if (!review) {
+      throw new Error('Review not found');
+    }
+    
+    await BaseService.updateDocument(COLLECTIONS.REVIEWS, id, {
+      'visibility.status': status
+    });
+    
+    await updateListingRating(review.listingId);
+    
+    return id;
+  }
+  
   /**
    * Gets reviews for a listing
    * 
@@ -235,7 +258,7 @@ import {
   }
   
   /**
-   * Updates the rating of a listing based on its reviews
+   * Updates the rating of a listing based on its live reviews
    * 
    * @param {string} listingId - Listing ID
    * @returns {Promise<void>}
@@ -0,0 +1,330 @@
+// src/services/database/role.js
+/**
+ * Role Service
+ * Custom admin panel roles and the permissions they grant
+ */
+import {
+    collection, doc, getDoc, getDocs, query, where,
+    getAggregateFromServer, count
+  } from 'firebase/firestore';
+  import { db, auth } from '../../config/firebase';
+  import {
+    COLLECTIONS, PERMISSIONS, ALL_PERMISSIONS, SYSTEM_ROLES, MEMBER_ROLES, USER_ROLES
+  } from '../../config/constants';
+  import { BaseService } from './index';
+  import { updateUserRole } from './user';
+  import { logCreateAction, logUpdateAction, logDeleteAction } from './auditLog';
+  import { slugify } from '../../utils/helpers';
+  import { resolveRolePermissions, canGrantPermissions } from '../../utils/permissions';
+  
+  const ENTITY_TYPE = 'role';
+  
+  const KNOWN_PERMISSIONS = [ALL_PERMISSIONS, ...Object.values(PERMISSIONS)];
+  
+  /**
+   * Checks a permission list and removes duplicates
+   *
+   * @param {Array<string>} permissions - Permissions to check
+   * @returns {Array<string>} - Clean permission list
+   */
+  function normalizePermissions(permissions = []) {
+    const unknown = permissions.filter(permission => !KNOWN_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+  
+    return permissions.includes(ALL_PERMISSIONS) ? [ALL_PERMISSIONS] : [...new Set(permissions)];
+  }
+  
+  /**
+   * Counts the users holding a role
+   *
+   * @param {string} roleId - Role ID
+   * @returns {Promise<number>} - Number of users
+   */
+  async function countRoleUsers(roleId) {
+    const snapshot = await getAggregateFromServer(
+      query(
+        collection(db, COLLECTIONS.USERS),
+        where('isDeleted', '==', false),
+        where('role', '==', roleId)
+      ),
+      { count: count() }
+    );
+  
+    return snapshot.data().count;
+  }
+  
+  /**
+   * Gets every admin panel role with its user count
+   *
+   * Built-in roles are listed even before an admin has saved them.
+   *
+   * @returns {Promise<Array>} - Roles ({ id, name, description, permissions, isSystem, userCount })
+   */
+  export async function getRoles() {
+    const saved = await BaseService.queryDocuments(COLLECTIONS.ROLES, [], 'name');
+    const savedIds = saved.map(role => role.id);
+  
+    const roles = [
+      ...Object.entries(SYSTEM_ROLES)
+        .filter(([id]) => !savedIds.includes(id))
+        .map(([id, role]) => ({ id, ...role })),
+      ...saved
+    ].map(role => ({ ...role, isSystem: Boolean(SYSTEM_ROLES[role.id]) }));
+  
+    const counts = await Promise.all(roles.map(role => countRoleUsers(role.id)));
+  
+    return roles
+      .map((role, index) => ({ ...role, userCount: counts[index] }))
+      .sort((a, b) => Number(b.isSystem) - Number(a.isSystem) || a.name.localeCompare(b.name));
+  }
+  
+  /**
+   * Gets a role by ID, falling back to the built-in definition
+   *
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Object|null>} - Role or null if it does not exist
+   */
+  export async function getRoleById(roleId) {
+    const saved = await BaseService.getDocument(COLLECTIONS.ROLES, roleId);
+    if (saved) {
+      return { ...saved, isSystem: Boolean(SYSTEM_ROLES[roleId]) };
+    }
+  
+    return SYSTEM_ROLES[roleId] ? { id: roleId, ...SYSTEM_ROLES[roleId], isSystem: true } : null;
+  }
+  
+  /**
+   * Gets the permissions a role grants
+   *
+   * @param {string} roleId - Role ID
+   * @returns {Promise<Array<string>>} - Granted permissions
+   */
+  export async function getRolePermissions(roleId) {
+    if (!roleId || MEMBER_ROLES.includes(roleId)) return [];
+  
+    const snapshot = await getDoc(doc(db, COLLECTIONS.ROLES, roleId));
+    return resolveRolePermissions(roleId, snapshot.exists() ? snapshot.data() : null);
+  }
+  
+  /**
+   * Creates a custom role
+   *
+   * @param {Object} roleData - Role data ({ name, description, permissions })
+   * @returns {Promise<string>} - Role ID
+   */
+  export async function createRole(roleData) {
+    const name = roleData.name?.trim();
+    if (!name) {
+      throw new Error('Role name is required');
+    }
+  
+    const id = slugify(name);
+    if (!id || MEMBER_ROLES.includes(id) || SYSTEM_ROLES[id]) {
+      throw new Error(`"${name}" is reserved, choose another role name`);
+    }
+  
+    const existing = await getDoc(doc(db, COLLECTIONS.ROLES, id));
+    if (existing.exists() && !existing.data().isDeleted) {
+      throw new Error(`A role named "${name}" already exists`);
+    }
+  
+    const permissions = normalizePermissions(roleData.permissions);
+    await assertCanEditRole(id, [], permissions);
+  
+    await BaseService.createDocument(COLLECTIONS.ROLES, {
+      id,
+      name,
+      description: roleData.description?.trim() || '',
+      permissions
+    }, id);
+  
+    await logCreateAction(ENTITY_TYPE, id, { name, permissions });
+  
+    return id;
+  }
+  
+  /**
+   * Updates a role's name, description or permissions
+   *
+   * Saving a built-in role for the first time creates its document. The
+   * Super Admin role always keeps full access so the panel cannot be
+   * locked out.
+   *
+   * @param {string} roleId - Role ID
+   * @param {Object} updates - Fields to update ({ name, description, permissions })
+   * @returns {Promise<string>} - Role ID
+   */
+  export async function updateRole(roleId, updates) {
+    const role = await getRoleById(roleId);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+  
+    const changes = {};
+  
+    if (updates.name !== undefined) {
+      if (!updates.name.trim()) {
+        throw new Error('Role name is required');
+      }
+      changes.name = updates.name.trim();
+    }
+  
+    if (updates.description !== undefined) {
+      changes.description = updates.description.trim();
+    }
+  
+    if (updates.permissions !== undefined) {
+      if (roleId === USER_ROLES.ADMIN && !updates.permissions.includes(ALL_PERMISSIONS)) {
+        throw new Error('The Super Admin role must keep full access');
+      }
+      changes.permissions = normalizePermissions(updates.permissions);
+    }
+  
+    await assertCanEditRole(roleId, role.permissions, changes.permissions || role.permissions);
+  
+    const saved = await getDoc(doc(db, COLLECTIONS.ROLES, roleId));
+  
+    if (saved.exists()) {
+      await BaseService.updateDocument(COLLECTIONS.ROLES, roleId, changes);
+    } else {
+      await BaseService.createDocument(COLLECTIONS.ROLES, {
+        id: roleId,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        ...changes
+      }, roleId);
+    }
+  
+    await logUpdateAction(ENTITY_TYPE, roleId, Object.keys(changes), {
+      previousPermissions: role.permissions,
+      permissions: changes.permissions || role.permissions,
+      changes: Object.keys(changes)
+        .filter(field => JSON.stringify(role[field] ?? null) !== JSON.stringify(changes[field]))
+        .map(field => ({ path: field, before: role[field] ?? null, after: changes[field] }))
+    });
+  
+    return roleId;
+  }
+  
+  /**
+   * Deletes a custom role that no user holds
+   *
+   * @param {string} roleId - Role ID
+   * @returns {Promise<string>} - Role ID
+   */
+  export async function deleteRole(roleId) {
+    if (SYSTEM_ROLES[roleId]) {
+      throw new Error('Built-in roles cannot be deleted');
+    }
+  
+    const userCount = await countRoleUsers(roleId);
+    if (userCount > 0) {
+      throw new Error(`Reassign the ${userCount} ${userCount === 1 ? 'user' : 'users'} with this role before deleting it`);
+    }
+  
+    await BaseService.deleteDocument(COLLECTIONS.ROLES, roleId);
+    await logDeleteAction(ENTITY_TYPE, roleId);
+  
+    return roleId;
+  }
+  
+  /**
+   * Gets the users who hold an admin panel role
+   *
+   * @returns {Promise<Array>} - Users, newest first
+   */
+  export async function getStaffUsers() {
+    const snapshot = await getDocs(query(
+      collection(db, COLLECTIONS.USERS),
+      where('role', 'not-in', MEMBER_ROLES)
+    ));
+  
+    return snapshot.docs
+      .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+      .filter(user => !user.isDeleted)
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+  }
+  
+  /**
+   * Gives a user a role
+   *
+   * @param {string} userId - User ID
+   * @param {string} roleId - Role ID (a member role removes admin panel access)
+   * @returns {Promise<string>} - User ID
+   */
+  export async function assignRole(userId, roleId) {
+    if (!MEMBER_ROLES.includes(roleId)) {
+      const role = await getRoleById(roleId);
+      if (!role || role.isDeleted) {
+        throw new Error('Role not found');
+      }
+    }
+  
+    const userSnap = await getDoc(doc(db, COLLECTIONS.USERS, userId));
+    if (!userSnap.exists()) {
+      throw new Error('User not found');
+    }
+  
+    // Taking a role away needs the same access as handing it out
+    await assertCanGrantRole(userSnap.data().role);
+    await assertCanGrantRole(roleId);
+  
+    return updateUserRole(userId, roleId);
+  }
+  
+  /**
+   * Rejects handing out a role that grants more than the signed-in user holds
+   *
+   * Mirrors canGrantRole in firestore.rules.
+   *
+   * @param {string} roleId - Role ID
+   * @throws {Error} - When the role grants a permission the user lacks
+   */
+  export async function assertCanGrantRole(roleId) {
+    const { permissions: granted } = await getOwnRole();
+  
+    if (!canGrantPermissions(granted, await getRolePermissions(roleId))) {
+      throw new Error('You can only grant roles whose permissions you hold yourself');
+    }
+  }
+  
+  /**
+   * Gets the signed-in user's role and the permissions it grants
+   *
+   * @returns {Promise<Object>} - { roleId, permissions }
+   */
+  async function getOwnRole() {
+    const currentUser = auth.currentUser;
+    const userSnap = currentUser ? await getDoc(doc(db, COLLECTIONS.USERS, currentUser.uid)) : null;
+    const roleId = userSnap?.exists() ? (userSnap.data().role || '').toLowerCase() : null;
+  
+    return { roleId, permissions: await getRolePermissions(roleId) };
+  }
+  
+  /**
+   * Rejects saving a role the signed-in user could not hand out
+   *
+   * Both the permissions the role had and the ones it is saved with must be
+   * held by the user, and only Super Admins may edit the role they hold
+   * themselves. Mirrors the roles rule in firestore.rules.
+   *
+   * @param {string} roleId - Role ID
+   * @param {Array<string>} previous - Permissions the role grants now
+   * @param {Array<string>} next - Permissions the role is saved with
+   * @throws {Error} - When the user may not save the role
+   */
+  async function assertCanEditRole(roleId, previous, next) {
+    const own = await getOwnRole();
+    if (own.permissions.includes(ALL_PERMISSIONS)) return;
+  
+    if (own.roleId === roleId) {
+      throw new Error('You cannot edit the role you hold yourself');
+    }
+  
+    if (!canGrantPermissions(own.permissions, previous) || !canGrantPermissions(own.permissions, next)) {
+      throw new Error('You can only edit roles whose permissions you hold yourself');
+    }
+  }
@@ -3,10 +3,45 @@
  * Handles operations related to application settings
  */
 import { 
-    doc, getDoc, setDoc, serverTimestamp
+    doc, getDoc, setDoc, serverTimestamp, Timestamp
   } from 'firebase/firestore';
+  import { v4 as uuidv4 } from 'uuid';
   import { db, auth } from '../../config/firebase';
-  import { COLLECTIONS } from '../../config/constants';
+  import { COLLECTIONS, USER_ROLES } from '../../config/constants';
+  import { diffObjects, mergeDeep } from '../../utils/diff';
+  import { formatDate } from '../../utils/helpers';
+  import { getMaintenanceState, getMaintenanceWindows } from '../../utils/maintenance';
+  import { logUpdateAction } from './auditLog';
+  import { clearMaintenanceCache } from './base';
+  
+  const ENTITY_TYPE = 'settings';
+  
+  // Written by updateSettings itself, never part of a change
+  const BOOKKEEPING_FIELDS = ['updatedAt', 'updatedBy'];
+  
+  // Credentials are recorded as changed without their values
+  const SECRET_FIELD_PATTERN = /(key|secret|password|token|webhookurl)$/i;
+  
+  // Finished maintenance windows kept for reference
+  const PAST_WINDOWS_KEPT = 10;
+  
+  // Windows that have not ended yet; firestore.rules only looks at this many
+  // windows from the end of the list when enforcing maintenance
+  const MAX_UPCOMING_MAINTENANCE_WINDOWS = 5;
+  
+  /**
+   * Hides the value of credential fields in an audit entry
+   * 
+   * @param {string} path - Dotted field path
+   * @param {*} value - Field value
+   * @returns {*} - Value to record
+   */
+  function redactSecret(path, value) {
+    if (value === null || !SECRET_FIELD_PATTERN.test(path.split('.').pop())) {
+      return value;
+    }
+    return '••••••';
+  }
   
   /**
    * Gets settings by category
@@ -28,6 +63,10 @@ import {
   /**
    * Updates settings
    * 
+   * Only fields whose value actually changes are recorded in the audit log,
+   * with their before and after values (credentials redacted). Saving an
+   * unchanged category writes nothing.
+   * 
    * @param {string} category - Settings category
    * @param {Object} settingsData - Settings data to update
    * @returns {Promise<string>} - Settings category
@@ -39,6 +78,15 @@ import {
     }
     
     const docRef = doc(db, COLLECTIONS.SETTINGS, category);
+    const current = (await getSettings(category)) || {};
+    // setDoc with merge keeps nested fields the update leaves out
+    const changes = diffObjects(current, mergeDeep(current, settingsData), {
+      ignore: BOOKKEEPING_FIELDS
+    });
+    
+    if (changes.length === 0) {
+      return category;
+    }
     
     await setDoc(docRef, {
       ...settingsData,
@@ -46,6 +94,18 @@ import {
       updatedBy: currentUser.uid
     }, { merge: true });
     
+    if (category === 'general') {
+      clearMaintenanceCache();
+    }
+    
+    await logUpdateAction(ENTITY_TYPE, category, changes.map(change => change.path), {
+      changes: changes.map(change => ({
+        path: change.path,
+        before: redactSecret(change.path, change.before),
+        after: redactSecret(change.path, change.after)
+      }))
+    });
+    
     return category;
   }
   
@@ -55,7 +115,7 @@ import {
    * @returns {Promise<Object>} - Object with all settings by category
    */
   export async function getAllSettings() {
-    const categories = ['general', 'email', 'integrations', 'content', 'database'];
+    const categories = ['general', 'email', 'integrations', 'content', 'database', 'theme'];
     const settings = {};
     
     for (const category of categories) {
@@ -173,11 +233,29 @@ export async function getDatabaseSchemaVersion() {
 /**
  * Gets site maintenance status
  * 
+ * True while maintenance is switched on manually or a scheduled window is
+ * in progress.
+ * 
  * @returns {Promise<boolean>} - Whether site is in maintenance mode
  */
 export async function getSiteMaintenance() {
   const settings = await getGeneralSettings();
-  return settings?.isMaintenanceMode || false;
+  return getMaintenanceState(settings).active;
+}
+
+/**
+ * Gets the full maintenance status
+ * 
+ * @returns {Promise<Object>} - Maintenance state (see getMaintenanceState) plus
+ *   isMaintenanceMode, the manual switch, and windows, every scheduled window
+ */
+export async function getMaintenanceStatus() {
+  const settings = await getGeneralSettings();
+  return {
+    ...getMaintenanceState(settings),
+    isMaintenanceMode: settings?.isMaintenanceMode || false,
+    windows: getMaintenanceWindows(settings)
+  };
 }
 
 /**
@@ -256,4 +334,110 @@ export async function updateHomepageSections(sectionData) {
   return updateSettings('theme', {
     homepageSections: sectionData
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Schedules a maintenance window
+ * 
+ * Maintenance switches on at startAt and off at endAt on its own. Windows
+ * may not overlap.
+ * 
+ * @param {Object} windowData - Window details
+ * @param {Date} windowData.startAt - Start of the window
+ * @param {Date} windowData.endAt - End of the window
+ * @param {string} windowData.message - Message shown while it is in progress
+ * @returns {Promise<Object>} - Scheduled window
+ */
+export async function scheduleMaintenanceWindow({ startAt, endAt, message }) {
+  const now = new Date();
+  
+  if (!(startAt instanceof Date) || !(endAt instanceof Date) || isNaN(startAt) || isNaN(endAt)) {
+    throw new Error('A maintenance window needs a valid start and end');
+  }
+  if (endAt <= startAt) {
+    throw new Error('A maintenance window must end after it starts');
+  }
+  if (endAt <= now) {
+    throw new Error('A maintenance window cannot end in the past');
+  }
+  if (!message?.trim()) {
+    throw new Error('A maintenance window needs a message for visitors');
+  }
+  
+  const settings = await getGeneralSettings();
+  const windows = getMaintenanceWindows(settings);
+  const overlapping = windows.find(window => window.startAt < endAt && startAt < window.endAt);
+  if (overlapping) {
+    throw new Error(`This window overlaps the one starting ${formatDate(overlapping.startAt, 'long')}`);
+  }
+  
+  const scheduled = {
+    id: uuidv4(),
+    startAt,
+    endAt,
+    message: message.trim(),
+    createdBy: auth.currentUser?.uid || null,
+    createdAt: Timestamp.fromDate(now)
+  };
+  
+  const upcoming = windows.filter(existing => existing.endAt > now);
+  const past = windows.filter(existing => existing.endAt <= now).slice(-PAST_WINDOWS_KEPT);
+  
+  if (upcoming.length >= MAX_UPCOMING_MAINTENANCE_WINDOWS) {
+    throw new Error(`At most ${MAX_UPCOMING_MAINTENANCE_WINDOWS} maintenance windows can be scheduled at a time`);
+  }
+  
+  await saveMaintenanceWindows([...past, ...upcoming, scheduled]);
+  return scheduled;
+}
+
+/**
+ * Cancels a maintenance window
+ * 
+ * Cancelling a window that is in progress ends maintenance immediately.
+ * 
+ * @param {string} windowId - Window ID
+ * @returns {Promise<string>} - Settings category
+ */
+export async function cancelMaintenanceWindow(windowId) {
+  const settings = await getGeneralSettings();
+  const windows = getMaintenanceWindows(settings);
+  
+  if (!windows.some(window => window.id === windowId)) {
+    throw new Error('Maintenance window not found');
+  }
+  
+  return saveMaintenanceWindows(windows.filter(window => window.id !== windowId));
+}
+
+/**
+ * Sets the roles that keep write access during maintenance
+ * 
+ * Admins are always included so maintenance can never lock everyone out.
+ * 
+ * @param {Array<string>} roleIds - Role IDs
+ * @returns {Promise<string>} - Settings category
+ */
+export async function updateMaintenanceBypassRoles(roleIds) {
+  return updateGeneralSettings({
+    maintenanceBypassRoles: [...new Set([USER_ROLES.ADMIN, ...roleIds])]
+  });
+}
+
+/**
+ * Stores the maintenance windows, sorted by start
+ * 
+ * @param {Array<Object>} windows - Windows with Date boundaries
+ * @returns {Promise<string>} - Settings category
+ */
+async function saveMaintenanceWindows(windows) {
+  return updateGeneralSettings({
+    maintenanceWindows: windows
+      .sort((a, b) => a.startAt - b.startAt)
+      .map(window => ({
+        ...window,
+        startAt: Timestamp.fromDate(window.startAt),
+        endAt: Timestamp.fromDate(window.endAt)
+      }))
+  });
+}
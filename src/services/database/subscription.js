@@ -6,17 +6,44 @@
 import { 
     collection, doc, getDoc, getDocs, query, where, orderBy, 
     limit, startAfter, serverTimestamp, updateDoc, arrayUnion,
-    increment, writeBatch
+    increment, writeBatch, runTransaction, setDoc, Timestamp
 } from 'firebase/firestore';
 import { db, auth } from '../../config/firebase';
-import { COLLECTIONS, SUBSCRIPTION_STATUS } from '../../config/constants';
+import {
+  COLLECTIONS,
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_GRACE_DAYS,
+  SUBSCRIPTION_REMINDER_DAYS,
+  SUBSCRIPTION_SWEEP_INTERVAL_MINUTES,
+  NOTIFICATION_TYPES,
+  TRANSACTION_STATUS
+} from '../../config/constants';
 import { BaseService } from './index';
 import { TransactionOperations } from './index';
 import * as PlanService from './plan'; // Import PlanService instead of copy-pasting its code
+import { createNotification } from './notification';
+import { addDays, daysUntil, getLifecycleStep, calculatePlanChange } from '../../utils/subscriptions';
+import { formatDate } from '../../utils/helpers';
+
+// Job document that records sweep runs and keeps overlapping runs from sweeping at once
+const SWEEP_JOB_ID = 'subscriptionSweep';
+
+// Subscriptions read per query in one sweep; the rest are picked up by the next run
+const SWEEP_BATCH_SIZE = 500;
+
+// Notification titles per reason a subscription was paused
+const PAUSE_TITLES = {
+  ended: 'Subscription ended',
+  renewal_pending: 'Subscription renewal payment pending',
+  renewal_failed: 'Subscription renewal failed'
+};
 
 /**
  * Creates a subscription
  * 
+ * Records a purchase whose payment has completed; only admins may, so
+ * nobody can activate a plan for themselves without paying.
+ * 
  * @param {string} userId - User ID
  * @param {string} planId - Plan ID
  * @param {Object} paymentData - Payment information
@@ -170,9 +197,62 @@ export async function cancelSubscription(id, reason) {
   return id;
 }
 
+/**
+ * Works out what moving a subscription to another plan would cost
+ * 
+ * The quote takes the user's account credit into account, as the change
+ * itself does.
+ * 
+ * @param {string} id - Subscription ID
+ * @param {string} planId - Plan to move to
+ * @param {Object} options - { now } current time
+ * @returns {Promise<Object>} - Quote (see calculatePlanChange) with the current and new plan
+ */
+export async function previewPlanChange(id, planId, { now = new Date() } = {}) {
+  const subscription = await getSubscriptionById(id);
+  
+  if (!subscription) {
+    throw new Error('Subscription not found');
+  }
+  
+  if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+    throw new Error('Only active subscriptions can change plan');
+  }
+  
+  const [plan, userDoc] = await Promise.all([
+    PlanService.getPlanById(planId),
+    getDoc(doc(db, COLLECTIONS.USERS, subscription.userId))
+  ]);
+  
+  if (!plan || plan.isActive === false) {
+    throw new Error('Plan is not available');
+  }
+  
+  return {
+    ...calculatePlanChange(subscription, plan, now, userDoc.exists() ? userDoc.data().creditBalance : 0),
+    subscription,
+    plan
+  };
+}
+
+/**
+ * Moves a subscription to another plan with prorated credit
+ * 
+ * @param {string} id - Subscription ID
+ * @param {string} planId - Plan to move to
+ * @param {Object} options - { now, paymentData } payment details for the amount due
+ * @returns {Promise<Object>} - New subscription and transaction IDs with the applied quote
+ */
+export async function changePlan(id, planId, { now = new Date(), paymentData = {} } = {}) {
+  return TransactionOperations.processPlanChange(id, planId, { now, paymentData });
+}
+
 /**
  * Uses subscription connects
  * 
+ * Subscribers spend one connect per call under the security rules; larger
+ * counts are for admins.
+ * 
  * @param {string} userId - User ID
  * @param {number} count - Number of connects to use
  * @param {string|null} listingId - Related listing ID
@@ -227,9 +307,10 @@ export async function useSubscriptionConnects(userId, count, listingId = null, c
  * 
  * @param {string} id - Subscription ID
  * @param {number} daysThreshold - Days threshold for expiration
+ * @param {Date} now - Current time
  * @returns {Promise<boolean>} - Whether the subscription is about to expire
  */
-export async function isSubscriptionAboutToExpire(id, daysThreshold = 7) {
+export async function isSubscriptionAboutToExpire(id, daysThreshold = 7, now = new Date()) {
   const subscription = await getSubscriptionById(id);
   
   if (!subscription || subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
@@ -240,10 +321,386 @@ export async function isSubscriptionAboutToExpire(id, daysThreshold = 7) {
     return false;
   }
   
-  const endDate = subscription.endDate.toDate();
-  const now = new Date();
-  const diffTime = endDate - now;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  const diffDays = daysUntil(subscription.endDate.toDate(), now);
   
   return diffDays <= daysThreshold && diffDays > 0;
-}
\ No newline at end of file
+}
+
+/**
+ * Charges a subscription for another period of its plan
+ * 
+ * The period is granted once the pending renewal charge completes (see
+ * TransactionService.completeTransaction), or right away when there is
+ * nothing to pay.
+ * 
+ * @param {string} id - Subscription ID
+ * @param {Object} options - { now } current time
+ * @returns {Promise<Object>} - Renewal result with the charge's status and the end date it pays for
+ */
+export async function renewSubscription(id, { now = new Date() } = {}) {
+  return TransactionOperations.processSubscriptionRenewal(id, { now });
+}
+
+/**
+ * Moves subscriptions through their lifecycle
+ * 
+ * Active subscriptions without an end date get one, subscribers are reminded
+ * before their end date, ended subscriptions with auto-renew are charged for
+ * the next period and paused for the grace period until the charge
+ * completes, ended subscriptions without it are paused as well, and paused
+ * subscriptions expire once the grace period is over.
+ * 
+ * Run on a schedule by scripts/subscription-sweep.js. Runs are claimed on
+ * the job document so the sweep runs at most once per
+ * SUBSCRIPTION_SWEEP_INTERVAL_MINUTES unless forced. With dryRun the steps
+ * are worked out and returned but not applied.
+ * 
+ * @param {Object} options - { now, force, dryRun, graceDays, reminderDays }
+ * @returns {Promise<Object|null>} - Sweep summary, or null when a recent run was found
+ */
+export async function runSubscriptionSweep({
+  now = new Date(),
+  force = false,
+  dryRun = false,
+  graceDays = SUBSCRIPTION_GRACE_DAYS,
+  reminderDays = SUBSCRIPTION_REMINDER_DAYS
+} = {}) {
+  if (!dryRun && !(await claimSweep(now, force))) {
+    return null;
+  }
+  
+  const summary = {
+    checked: 0,
+    endDatesSet: 0,
+    reminded: 0,
+    renewed: 0,
+    paused: 0,
+    expired: 0,
+    steps: [],
+    errors: []
+  };
+  
+  const subscriptions = await getSweepCandidates(now, reminderDays);
+  
+  for (const subscription of subscriptions) {
+    summary.checked++;
+    
+    try {
+      await sweepSubscription(subscription, now, { graceDays, reminderDays, dryRun }, summary);
+    } catch (error) {
+      console.error(`Error sweeping subscription ${subscription.id}:`, error);
+      summary.errors.push({ subscriptionId: subscription.id, message: error.message });
+    }
+  }
+  
+  if (!dryRun) {
+    const { steps, errors, ...counts } = summary;
+    await setDoc(doc(db, COLLECTIONS.JOBS, SWEEP_JOB_ID), {
+      lastCompletedAt: Timestamp.fromDate(now),
+      lastResult: { ...counts, steps: steps.length, errors: errors.length }
+    }, { merge: true });
+  }
+  
+  return summary;
+}
+
+/**
+ * Claims the sweep job unless it started within the sweep interval
+ * 
+ * @param {Date} now - Current time
+ * @param {boolean} force - Claim even when a recent run exists
+ * @returns {Promise<boolean>} - Whether this caller should run the sweep
+ */
+async function claimSweep(now, force) {
+  const jobRef = doc(db, COLLECTIONS.JOBS, SWEEP_JOB_ID);
+  
+  return runTransaction(db, async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    const lastStartedAt = jobDoc.exists() ? jobDoc.data().lastStartedAt?.toDate() : null;
+    const nextRunAt = lastStartedAt
+      ? new Date(lastStartedAt.getTime() + SUBSCRIPTION_SWEEP_INTERVAL_MINUTES * 60 * 1000)
+      : null;
+    
+    if (!force && nextRunAt && nextRunAt > now) {
+      return false;
+    }
+    
+    transaction.set(jobRef, {
+      lastStartedAt: Timestamp.fromDate(now),
+      lastStartedBy: auth.currentUser?.uid || 'system'
+    }, { merge: true });
+    
+    return true;
+  });
+}
+
+/**
+ * Gets the subscriptions that may have a lifecycle step due
+ * 
+ * @param {Date} now - Current time
+ * @param {Array<number>} reminderDays - Reminder thresholds in days
+ * @returns {Promise<Array>} - Subscriptions, without duplicates
+ */
+async function getSweepCandidates(now, reminderDays) {
+  const subscriptionsRef = collection(db, COLLECTIONS.SUBSCRIPTIONS);
+  const reminderHorizon = addDays(now, Math.max(0, ...reminderDays));
+  
+  const queries = [
+    // Purchased before end dates were stored
+    query(
+      subscriptionsRef,
+      where('status', '==', SUBSCRIPTION_STATUS.ACTIVE),
+      where('endDate', '==', null),
+      limit(SWEEP_BATCH_SIZE)
+    ),
+    // Ending soon or already ended
+    query(
+      subscriptionsRef,
+      where('status', '==', SUBSCRIPTION_STATUS.ACTIVE),
+      where('endDate', '<=', Timestamp.fromDate(reminderHorizon)),
+      orderBy('endDate', 'asc'),
+      limit(SWEEP_BATCH_SIZE)
+    ),
+    // Grace period over
+    query(
+      subscriptionsRef,
+      where('status', '==', SUBSCRIPTION_STATUS.PAUSED),
+      where('graceEndsAt', '<=', Timestamp.fromDate(now)),
+      orderBy('graceEndsAt', 'asc'),
+      limit(SWEEP_BATCH_SIZE)
+    )
+  ];
+  
+  const snapshots = await Promise.all(queries.map(q => getDocs(q)));
+  const subscriptions = new Map();
+  
+  snapshots.forEach(snapshot => {
+    snapshot.docs.forEach(doc => {
+      subscriptions.set(doc.id, { id: doc.id, ...doc.data() });
+    });
+  });
+  
+  return [...subscriptions.values()];
+}
+
+/**
+ * Applies the due lifecycle steps of one subscription
+ * 
+ * A subscription that just got its end date is checked again, so a backfilled
+ * subscription that already ended is renewed or paused in the same run.
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Date} now - Current time
+ * @param {Object} options - { graceDays, reminderDays, dryRun }
+ * @param {Object} summary - Sweep summary to update
+ */
+async function sweepSubscription(subscription, now, options, summary) {
+  const { dryRun } = options;
+  let current = subscription;
+  let step = getLifecycleStep(current, now, options);
+  
+  while (step) {
+    summary.steps.push({ subscriptionId: subscription.id, ...step });
+    
+    switch (step.type) {
+      case 'set_end_date':
+        if (!dryRun) {
+          await setSubscriptionEndDate(current, step.endDate);
+        }
+        summary.endDatesSet++;
+        current = { ...current, endDate: Timestamp.fromDate(step.endDate) };
+        step = getLifecycleStep(current, now, options);
+        continue;
+      
+      case 'remind':
+        if (!dryRun) {
+          await sendExpiryReminder(current, step);
+        }
+        summary.reminded++;
+        break;
+      
+      case 'renew':
+        if (dryRun) {
+          summary.renewed++;
+          break;
+        }
+        
+        try {
+          const renewal = await TransactionOperations.processSubscriptionRenewal(current.id, { now });
+          summary.renewed++;
+          
+          // The new period starts once the charge completes; until then the
+          // subscription waits in its grace period
+          if (renewal.status === TRANSACTION_STATUS.PENDING) {
+            await pauseSubscription(current, addDays(step.periodStart, options.graceDays), now, 'renewal_pending');
+            summary.paused++;
+          }
+        } catch (error) {
+          // A subscription that cannot renew ends like one without auto-renew
+          summary.errors.push({ subscriptionId: current.id, message: `Renewal failed: ${error.message}` });
+          await pauseSubscription(current, addDays(step.periodStart, options.graceDays), now, 'renewal_failed');
+          summary.paused++;
+        }
+        break;
+      
+      case 'pause':
+        if (!dryRun) {
+          await pauseSubscription(current, step.graceEndsAt, now, current.pendingRenewal ? 'renewal_pending' : 'ended');
+        }
+        summary.paused++;
+        break;
+      
+      case 'expire':
+        if (!dryRun) {
+          await expireSubscription(current, now);
+        }
+        summary.expired++;
+        break;
+      
+      default:
+        break;
+    }
+    
+    step = null;
+  }
+}
+
+/**
+ * Stores the end date of a subscription and its user's current plan
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Date} endDate - End date
+ */
+async function setSubscriptionEndDate(subscription, endDate) {
+  const endTimestamp = Timestamp.fromDate(endDate);
+  
+  await BaseService.updateDocument(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+    endDate: endTimestamp
+  }, false);
+  
+  await updateDoc(doc(db, COLLECTIONS.USERS, subscription.userId), {
+    'currentPlan.endDate': endTimestamp,
+    updatedAt: serverTimestamp()
+  });
+}
+
+/**
+ * Reminds a subscriber that their subscription ends soon
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Object} step - Reminder step ({ daysLeft, thresholds, endDate })
+ */
+async function sendExpiryReminder(subscription, step) {
+  const planName = subscription.details?.planName || 'subscription';
+  const dayLabel = step.daysLeft === 1 ? 'day' : 'days';
+  const message = subscription.payment?.hasAutoRenew
+    ? `Your ${planName} plan renews automatically in ${step.daysLeft} ${dayLabel}, on ${formatDate(step.endDate)}.`
+    : `Your ${planName} plan ends in ${step.daysLeft} ${dayLabel}, on ${formatDate(step.endDate)}. Renew to keep your benefits.`;
+  
+  await createNotification({
+    userId: subscription.userId,
+    type: NOTIFICATION_TYPES.SUBSCRIPTION,
+    title: subscription.payment?.hasAutoRenew ? 'Subscription renewing soon' : 'Subscription ending soon',
+    message,
+    importance: step.daysLeft <= 1 ? 'high' : 'medium',
+    related: {
+      subscriptionId: subscription.id,
+      planId: subscription.planId
+    }
+  });
+  
+  await BaseService.updateDocument(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+    'lifecycle.remindersSent': arrayUnion(...step.thresholds),
+    'lifecycle.lastReminderAt': serverTimestamp()
+  }, false);
+}
+
+/**
+ * Pauses an ended subscription for its grace period
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Date} graceEndsAt - End of the grace period
+ * @param {Date} now - Current time
+ * @param {string} reason - Why the subscription was paused
+ */
+async function pauseSubscription(subscription, graceEndsAt, now, reason) {
+  await BaseService.updateDocument(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+    status: SUBSCRIPTION_STATUS.PAUSED,
+    isActive: false,
+    pausedDate: Timestamp.fromDate(now),
+    graceEndsAt: Timestamp.fromDate(graceEndsAt),
+    statusHistory: arrayUnion({
+      status: SUBSCRIPTION_STATUS.PAUSED,
+      date: Timestamp.fromDate(now),
+      reason
+    })
+  });
+  
+  await updateDoc(doc(db, COLLECTIONS.USERS, subscription.userId), {
+    'currentPlan.status': SUBSCRIPTION_STATUS.PAUSED,
+    updatedAt: serverTimestamp()
+  });
+  
+  const planName = subscription.details?.planName || 'subscription';
+  await createNotification({
+    userId: subscription.userId,
+    type: NOTIFICATION_TYPES.SUBSCRIPTION,
+    title: PAUSE_TITLES[reason] || PAUSE_TITLES.ended,
+    message: reason === 'renewal_pending'
+      ? `Your ${planName} plan is paused until its renewal payment goes through. It expires if the payment has not gone through by ${formatDate(graceEndsAt)}.`
+      : `Your ${planName} plan is paused. Renew before ${formatDate(graceEndsAt)} to keep your benefits.`,
+    importance: 'high',
+    related: {
+      subscriptionId: subscription.id,
+      planId: subscription.planId
+    }
+  });
+}
+
+/**
+ * Expires a paused subscription whose grace period is over
+ * 
+ * @param {Object} subscription - Subscription
+ * @param {Date} now - Current time
+ */
+async function expireSubscription(subscription, now) {
+  // A renewal charge that never went through can no longer be completed
+  if (subscription.pendingRenewal?.transactionId) {
+    await BaseService.updateDocument(COLLECTIONS.TRANSACTIONS, subscription.pendingRenewal.transactionId, {
+      status: TRANSACTION_STATUS.FAILED,
+      failureReason: 'grace_period_over'
+    }, false);
+  }
+  
+  await BaseService.updateDocument(COLLECTIONS.SUBSCRIPTIONS, subscription.id, {
+    status: SUBSCRIPTION_STATUS.EXPIRED,
+    isActive: false,
+    expiredDate: Timestamp.fromDate(now),
+    pendingRenewal: null,
+    statusHistory: arrayUnion({
+      status: SUBSCRIPTION_STATUS.EXPIRED,
+      date: Timestamp.fromDate(now),
+      reason: 'grace_period_over'
+    })
+  });
+  
+  // Account credit put towards the failed renewal goes back to the user
+  const creditApplied = subscription.pendingRenewal?.creditApplied || 0;
+  await updateDoc(doc(db, COLLECTIONS.USERS, subscription.userId), {
+    'currentPlan.status': SUBSCRIPTION_STATUS.EXPIRED,
+    ...(creditApplied > 0 && { creditBalance: increment(creditApplied) }),
+    updatedAt: serverTimestamp()
+  });
+  
+  await createNotification({
+    userId: subscription.userId,
+    type: NOTIFICATION_TYPES.SUBSCRIPTION,
+    title: 'Subscription expired',
+    message: `Your ${subscription.details?.planName || 'subscription'} plan has expired.`,
+    importance: 'high',
+    related: {
+      subscriptionId: subscription.id,
+      planId: subscription.planId
+    }
+  });
+}
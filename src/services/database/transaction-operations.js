@@ -4,10 +4,18 @@
  */
 import { 
     doc, getDoc, runTransaction, serverTimestamp, 
-    increment, collection, addDoc
+    increment, collection, addDoc, arrayUnion, Timestamp
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
-  import { COLLECTIONS, SUBSCRIPTION_STATUS } from '../../config/constants';
+  import {
+    COLLECTIONS, SUBSCRIPTION_STATUS, COMMISSION_STATUS, TRANSACTION_STATUS, TRANSACTION_TYPES
+  } from '../../config/constants';
+  import {
+    addDays, getPlanDurationDays, getPlanTerms, getSubscriptionEndDate, calculatePlanChange, applyAccountCredit
+  } from '../../utils/subscriptions';
+  import {
+    getRefundOutcome, getRefundedAmount, getPaidSubscriptionId, getRevocableConnects
+  } from '../../utils/finance';
   
   /**
    * Transfers listing ownership from one user to another
@@ -128,6 +136,9 @@ import {
   /**
    * Processes a subscription purchase
    * 
+   * The user's account credit pays for as much of the plan's price as it
+   * covers; the rest needs a completed payment.
+   * 
    * @param {string} userId - User ID
    * @param {string} planId - Plan ID
    * @param {Object} paymentData - Payment information
@@ -152,12 +163,25 @@ import {
       
       const user = userDoc.data();
       const plan = planDoc.data();
+      const terms = getPlanTerms(plan);
+      const price = terms.pricing.amount || 0;
+      const currency = terms.pricing.currency || paymentData.currency;
+      const { creditApplied, amountDue } = applyAccountCredit(price, user.creditBalance);
+      
+      if (amountDue > 0 && !paymentData.transactionId) {
+        throw new Error(`A completed payment of ${amountDue} ${currency} is required for this plan`);
+      }
+      
+      if (amountDue > 0 && paymentData.amount !== undefined && paymentData.amount < amountDue) {
+        throw new Error(`The payment does not cover the ${amountDue} ${currency} due`);
+      }
+      
       const timestamp = serverTimestamp();
       
       // Calculate dates
       const startDate = timestamp;
-      // End date calculation (simplified)
-      // In a real app, you would use a proper date library to add days
+      const durationDays = getPlanDurationDays(plan);
+      const endDate = Timestamp.fromDate(addDays(new Date(), durationDays));
       
       // Create transaction reference
       const transactionRef = doc(collection(db, COLLECTIONS.TRANSACTIONS));
@@ -168,14 +192,20 @@ import {
       // Prepare transaction data
       const transactionData = {
         userId,
-        type: 'subscription_purchase',
-        amount: paymentData.amount,
-        currency: paymentData.currency,
-        status: 'completed',
+        type: TRANSACTION_TYPES.SUBSCRIPTION_PURCHASE,
+        amount: amountDue,
+        currency,
+        status: TRANSACTION_STATUS.COMPLETED,
+        // A purchase paid for by account credit alone records no payment
         payment: {
-          method: paymentData.method,
-          gateway: paymentData.gateway,
-          gatewayTransactionId: paymentData.transactionId
+          ...(paymentData.method && { method: paymentData.method }),
+          ...(paymentData.gateway && { gateway: paymentData.gateway }),
+          ...(paymentData.transactionId && { gatewayTransactionId: paymentData.transactionId }),
+          creditApplied
+        },
+        related: {
+          subscriptionId: subscriptionRef.id,
+          planId
         },
         createdAt: timestamp,
         updatedAt: timestamp,
@@ -189,14 +219,17 @@ import {
         userId,
         planId,
         planType: plan.type,
+        // The plan version bought; renewals keep these terms after the plan changes
+        planVersion: plan.planVersion || 1,
+        terms,
         status: SUBSCRIPTION_STATUS.ACTIVE,
         isActive: true,
         startDate,
-        endDate: null, // This would be calculated properly in production
+        endDate,
         payment: {
-          amount: paymentData.amount,
-          currency: paymentData.currency,
-          paymentMethod: paymentData.method,
+          amount: price,
+          currency,
+          paymentMethod: paymentData.method || null,
           transactionId: transactionRef.id,
           hasAutoRenew: paymentData.autoRenew || false
         },
@@ -204,7 +237,7 @@ import {
           planName: plan.name,
           planFeatures: plan.features,
           duration: plan.duration?.displayText || '30 days',
-          durationDays: plan.duration?.days || 30
+          durationDays
         },
         usage: {
           connectsTotal: plan.limits?.totalConnects || 0,
@@ -225,9 +258,11 @@ import {
         'currentPlan.name': plan.name,
         'currentPlan.type': plan.type,
         'currentPlan.startDate': startDate,
+        'currentPlan.endDate': endDate,
         'currentPlan.isAutoRenew': paymentData.autoRenew || false,
         'currentPlan.status': SUBSCRIPTION_STATUS.ACTIVE,
         'connectsBalance': (user.connectsBalance || 0) + (plan.limits?.totalConnects || 0),
+        'creditBalance': increment(-creditApplied),
         'updatedAt': timestamp
       };
       
@@ -250,9 +285,667 @@ import {
     });
   }
   
+  /**
+   * Charges a subscription for another period of its plan
+   * 
+   * The new period starts where the previous one ended, or at `now` when the
+   * subscription lapsed for longer than a whole period. Price, duration and
+   * limits come from the plan version the subscription was bought on, so
+   * later plan changes do not reach existing subscribers.
+   * 
+   * The charge is recorded as a pending 'subscription_renewal' transaction
+   * against the stored payment method, together with the period it pays
+   * for. The user's account credit pays for as much of it as it covers and
+   * is taken right away. Nothing is granted until that transaction completes
+   * (completeSubscriptionRenewal); meanwhile the sweep keeps the
+   * subscription paused for its grace period. A renewal with nothing left to
+   * pay is granted right away.
+   * 
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} options - { now } current time, defaults to the system clock
+   * @returns {Promise<Object>} - { success, subscriptionId, transactionId, status, endDate } where
+   *   status is the renewal transaction's status and endDate the end of the period it pays for
+   */
+  export async function processSubscriptionRenewal(subscriptionId, { now = new Date() } = {}) {
+    return runTransaction(db, async (transaction) => {
+      const subscriptionRef = doc(db, COLLECTIONS.SUBSCRIPTIONS, subscriptionId);
+      const subscriptionDoc = await transaction.get(subscriptionRef);
+      
+      if (!subscriptionDoc.exists()) {
+        throw new Error('Subscription does not exist');
+      }
+      
+      const subscription = subscriptionDoc.data();
+      
+      if (![SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAUSED].includes(subscription.status)) {
+        throw new Error('Only active or paused subscriptions can be renewed');
+      }
+      
+      if (subscription.pendingRenewal?.transactionId) {
+        throw new Error('A renewal charge for this subscription is already pending');
+      }
+      
+      const planRef = doc(db, COLLECTIONS.PLANS, subscription.planId);
+      const userRef = doc(db, COLLECTIONS.USERS, subscription.userId);
+      
+      const planDoc = await transaction.get(planRef);
+      const userDoc = await transaction.get(userRef);
+      
+      // Plans that stopped selling still renew for the subscribers they have
+      if (!planDoc.exists() || planDoc.data().isDeleted) {
+        throw new Error('Plan is no longer available');
+      }
+      
+      if (!userDoc.exists()) {
+        throw new Error('User does not exist');
+      }
+      
+      const terms = subscription.terms || await getSubscriptionTerms(transaction, subscription, planDoc.data());
+      const timestamp = serverTimestamp();
+      
+      // Calculate the new period
+      const durationDays = getPlanDurationDays(terms);
+      const previousEndDate = getSubscriptionEndDate(subscription);
+      const periodStart = previousEndDate && addDays(previousEndDate, durationDays) > now
+        ? previousEndDate
+        : now;
+      const price = terms.pricing?.amount ?? subscription.payment?.amount ?? 0;
+      const currency = terms.pricing?.currency || subscription.payment?.currency;
+      const { creditApplied, amountDue } = applyAccountCredit(price, userDoc.data().creditBalance);
+      const renewal = {
+        periodStart: Timestamp.fromDate(periodStart),
+        endDate: Timestamp.fromDate(addDays(periodStart, durationDays)),
+        durationDays,
+        connects: terms.limits?.totalConnects || 0,
+        terms,
+        price,
+        creditApplied
+      };
+      const isFree = amountDue <= 0;
+      const status = isFree ? TRANSACTION_STATUS.COMPLETED : TRANSACTION_STATUS.PENDING;
+      
+      const transactionRef = doc(collection(db, COLLECTIONS.TRANSACTIONS));
+      
+      transaction.set(transactionRef, {
+        userId: subscription.userId,
+        type: TRANSACTION_TYPES.SUBSCRIPTION_RENEWAL,
+        amount: amountDue,
+        currency,
+        status,
+        payment: {
+          method: subscription.payment?.paymentMethod || null,
+          isRecurring: true
+        },
+        related: {
+          subscriptionId,
+          planId: subscription.planId
+        },
+        renewal,
+        ...(isFree && { completedAt: timestamp }),
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        version: 1,
+        isDeleted: false
+      });
+      
+      if (creditApplied > 0) {
+        transaction.update(userRef, {
+          creditBalance: increment(-creditApplied),
+          updatedAt: timestamp
+        });
+      }
+      
+      if (isFree) {
+        grantRenewal(transaction, {
+          subscriptionRef, userRef, transactionId: transactionRef.id, renewal, currency, now, timestamp
+        });
+      } else {
+        transaction.update(subscriptionRef, {
+          pendingRenewal: {
+            transactionId: transactionRef.id,
+            amount: amountDue,
+            creditApplied,
+            currency,
+            endDate: renewal.endDate
+          },
+          updatedAt: timestamp
+        });
+      }
+      
+      return {
+        success: true,
+        subscriptionId,
+        transactionId: transactionRef.id,
+        status,
+        endDate: renewal.endDate.toDate()
+      };
+    });
+  }
+  
+  /**
+   * Grants a paid renewal: the new period, its connects and its payment
+   * 
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} renewal - Refs, the renewal period and payment ({ subscriptionRef, userRef,
+   *   transactionId, renewal, currency, now, timestamp })
+   */
+  function grantRenewal(transaction, { subscriptionRef, userRef, transactionId, renewal, currency, now, timestamp }) {
+    transaction.update(subscriptionRef, {
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      isActive: true,
+      currentPeriodStart: renewal.periodStart,
+      endDate: renewal.endDate,
+      graceEndsAt: null,
+      pendingRenewal: null,
+      renewalCount: increment(1),
+      terms: renewal.terms,
+      // The period's price, including any part paid from account credit
+      'payment.amount': renewal.price,
+      'payment.currency': currency,
+      'payment.transactionId': transactionId,
+      'details.durationDays': renewal.durationDays,
+      'usage.connectsTotal': renewal.connects,
+      'usage.connectsUsed': 0,
+      'usage.connectsRemaining': renewal.connects,
+      'lifecycle.remindersSent': [],
+      statusHistory: arrayUnion({
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        date: Timestamp.fromDate(now),
+        reason: 'renewed'
+      }),
+      updatedAt: timestamp
+    });
+    
+    transaction.update(userRef, {
+      'currentPlan.status': SUBSCRIPTION_STATUS.ACTIVE,
+      'currentPlan.endDate': renewal.endDate,
+      connectsBalance: increment(renewal.connects),
+      updatedAt: timestamp
+    });
+  }
+  
+  /**
+   * Completes a pending renewal charge and grants the period it paid for
+   * 
+   * Call once the payment gateway has settled the charge. The subscription
+   * must still be active or in its grace period; once it expired the charge
+   * can only be failed.
+   * 
+   * @param {string} transactionId - Pending 'subscription_renewal' transaction ID
+   * @param {Object} paymentData - { transactionId, gateway } of the settled payment
+   * @param {Object} options - { now } current time, defaults to the system clock
+   * @returns {Promise<Object>} - { success, subscriptionId, transactionId, endDate }
+   */
+  export async function completeSubscriptionRenewal(transactionId, paymentData = {}, { now = new Date() } = {}) {
+    return runTransaction(db, async (transaction) => {
+      const transactionRef = doc(db, COLLECTIONS.TRANSACTIONS, transactionId);
+      const transactionDoc = await transaction.get(transactionRef);
+      
+      if (!transactionDoc.exists()) {
+        throw new Error('Transaction does not exist');
+      }
+      
+      const renewalCharge = transactionDoc.data();
+      
+      if (renewalCharge.type !== TRANSACTION_TYPES.SUBSCRIPTION_RENEWAL || !renewalCharge.renewal) {
+        throw new Error('Transaction is not a subscription renewal');
+      }
+      
+      if (renewalCharge.status !== TRANSACTION_STATUS.PENDING) {
+        throw new Error('Only pending renewal charges can be completed');
+      }
+      
+      const subscriptionId = renewalCharge.related?.subscriptionId;
+      const subscriptionRef = doc(db, COLLECTIONS.SUBSCRIPTIONS, subscriptionId);
+      const subscriptionDoc = await transaction.get(subscriptionRef);
+      
+      if (!subscriptionDoc.exists()) {
+        throw new Error('Subscription does not exist');
+      }
+      
+      const subscription = subscriptionDoc.data();
+      
+      if (subscription.pendingRenewal?.transactionId !== transactionId
+        || ![SUBSCRIPTION_STATUS.ACTIVE, SUBSCRIPTION_STATUS.PAUSED].includes(subscription.status)) {
+        throw new Error('The subscription is no longer waiting for this renewal');
+      }
+      
+      const userRef = doc(db, COLLECTIONS.USERS, subscription.userId);
+      const userDoc = await transaction.get(userRef);
+      
+      if (!userDoc.exists()) {
+        throw new Error('User does not exist');
+      }
+      
+      const timestamp = serverTimestamp();
+      
+      transaction.update(transactionRef, {
+        status: TRANSACTION_STATUS.COMPLETED,
+        ...(paymentData.gateway && { 'payment.gateway': paymentData.gateway }),
+        ...(paymentData.transactionId && { 'payment.gatewayTransactionId': paymentData.transactionId }),
+        completedAt: timestamp,
+        updatedAt: timestamp
+      });
+      
+      grantRenewal(transaction, {
+        subscriptionRef,
+        userRef,
+        transactionId,
+        renewal: renewalCharge.renewal,
+        currency: renewalCharge.currency,
+        now,
+        timestamp
+      });
+      
+      return {
+        success: true,
+        subscriptionId,
+        transactionId,
+        endDate: renewalCharge.renewal.endDate.toDate()
+      };
+    });
+  }
+  
+  /**
+   * Moves an active subscription to another plan
+   * 
+   * The current subscription is closed and a new one starts on the new plan,
+   * with the unused days credited against its price and the remaining
+   * connects carried over (see calculatePlanChange). The adjustment is
+   * recorded as a 'subscription_change' transaction. The user's creditBalance
+   * pays what the unused days do not cover, and credit beyond the new price
+   * is added to it.
+   * 
+   * When an amount is due the change needs a completed payment for it, so
+   * the new plan is never granted before it is paid for.
+   * 
+   * @param {string} subscriptionId - Current subscription ID
+   * @param {string} planId - Plan to move to
+   * @param {Object} options - { now, paymentData } where paymentData is the
+   *   completed payment of the amount due ({ transactionId, method, gateway, amount })
+   * @returns {Promise<Object>} - Transaction result with the new subscription ID and the quote
+   */
+  export async function processPlanChange(subscriptionId, planId, { now = new Date(), paymentData = {} } = {}) {
+    return runTransaction(db, async (transaction) => {
+      const subscriptionRef = doc(db, COLLECTIONS.SUBSCRIPTIONS, subscriptionId);
+      const subscriptionDoc = await transaction.get(subscriptionRef);
+      
+      if (!subscriptionDoc.exists()) {
+        throw new Error('Subscription does not exist');
+      }
+      
+      const subscription = { id: subscriptionId, ...subscriptionDoc.data() };
+      
+      if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+        throw new Error('Only active subscriptions can change plan');
+      }
+      
+      if (subscription.planId === planId) {
+        throw new Error('Subscription is already on this plan');
+      }
+      
+      const planRef = doc(db, COLLECTIONS.PLANS, planId);
+      const previousPlanRef = doc(db, COLLECTIONS.PLANS, subscription.planId);
+      const userRef = doc(db, COLLECTIONS.USERS, subscription.userId);
+      
+      const planDoc = await transaction.get(planRef);
+      const previousPlanDoc = await transaction.get(previousPlanRef);
+      const userDoc = await transaction.get(userRef);
+      
+      if (!planDoc.exists() || planDoc.data().isDeleted || planDoc.data().isActive === false) {
+        throw new Error('Plan is not available');
+      }
+      
+      if (!userDoc.exists()) {
+        throw new Error('User does not exist');
+      }
+      
+      const plan = { id: planId, ...planDoc.data() };
+      const quote = calculatePlanChange(subscription, plan, now, userDoc.data().creditBalance);
+      
+      if (quote.amountDue > 0 && !paymentData.transactionId) {
+        throw new Error(`A completed payment of ${quote.amountDue} ${quote.currency} is required to change plan`);
+      }
+      
+      if (quote.amountDue > 0 && paymentData.amount !== undefined && paymentData.amount < quote.amountDue) {
+        throw new Error(`The payment does not cover the ${quote.amountDue} ${quote.currency} due; preview the change again`);
+      }
+      
+      // A change with nothing to pay records no payment
+      const paymentMethod = paymentData.method || subscription.payment?.paymentMethod;
+      const payment = paymentData.transactionId
+        ? {
+            ...(paymentMethod && { method: paymentMethod }),
+            ...(paymentData.gateway && { gateway: paymentData.gateway }),
+            gatewayTransactionId: paymentData.transactionId
+          }
+        : null;
+      
+      const hasAutoRenew = subscription.payment?.hasAutoRenew || false;
+      const timestamp = serverTimestamp();
+      const changedAt = Timestamp.fromDate(now);
+      const endDate = Timestamp.fromDate(quote.endDate);
+      
+      const transactionRef = doc(collection(db, COLLECTIONS.TRANSACTIONS));
+      const newSubscriptionRef = doc(collection(db, COLLECTIONS.SUBSCRIPTIONS));
+      
+      transaction.set(transactionRef, {
+        userId: subscription.userId,
+        type: TRANSACTION_TYPES.SUBSCRIPTION_CHANGE,
+        amount: quote.amountDue,
+        currency: quote.currency,
+        status: TRANSACTION_STATUS.COMPLETED,
+        ...(payment && { payment }),
+        adjustment: {
+          direction: quote.direction,
+          fromSubscriptionId: subscriptionId,
+          fromPlanId: subscription.planId,
+          toSubscriptionId: newSubscriptionRef.id,
+          toPlanId: planId,
+          charge: quote.charge,
+          unusedDays: quote.period.unusedDays,
+          periodDays: quote.period.days,
+          credit: quote.credit.amount,
+          connectsCarriedOver: quote.credit.connects,
+          creditApplied: quote.creditApplied,
+          accountCredit: quote.accountCredit
+        },
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        completedAt: timestamp,
+        version: 1,
+        isDeleted: false
+      });
+      
+      transaction.set(newSubscriptionRef, {
+        userId: subscription.userId,
+        planId,
+        planType: plan.type,
+        planVersion: plan.planVersion || 1,
+        terms: getPlanTerms(plan),
+        previousSubscriptionId: subscriptionId,
+        status: SUBSCRIPTION_STATUS.ACTIVE,
+        isActive: true,
+        startDate: changedAt,
+        endDate,
+        payment: {
+          amount: quote.charge,
+          currency: quote.currency,
+          ...(paymentMethod && { paymentMethod }),
+          transactionId: transactionRef.id,
+          hasAutoRenew
+        },
+        details: {
+          planName: plan.name,
+          planFeatures: plan.features,
+          duration: plan.duration?.displayText || `${quote.durationDays} days`,
+          durationDays: quote.durationDays
+        },
+        usage: {
+          connectsTotal: quote.connects.total,
+          connectsUsed: 0,
+          connectsRemaining: quote.connects.total,
+          listingsTotal: plan.limits?.listings?.total || 0,
+          listingsUsed: subscription.usage?.listingsUsed || 0
+        },
+        statusHistory: [{
+          status: SUBSCRIPTION_STATUS.ACTIVE,
+          date: changedAt,
+          reason: `plan_${quote.direction}`
+        }],
+        createdAt: timestamp,
+        updatedAt: timestamp,
+        version: 1,
+        isDeleted: false
+      });
+      
+      transaction.update(subscriptionRef, {
+        status: SUBSCRIPTION_STATUS.CANCELLED,
+        isActive: false,
+        cancelledDate: changedAt,
+        cancellationReason: 'plan_change',
+        replacedBy: newSubscriptionRef.id,
+        'usage.connectsRemaining': 0,
+        statusHistory: arrayUnion({
+          status: SUBSCRIPTION_STATUS.CANCELLED,
+          date: changedAt,
+          reason: 'plan_change'
+        }),
+        updatedAt: timestamp
+      });
+      
+      // Carried-over connects are already part of the balance
+      transaction.update(userRef, {
+        'currentPlan.id': planId,
+        'currentPlan.name': plan.name,
+        'currentPlan.type': plan.type,
+        'currentPlan.startDate': changedAt,
+        'currentPlan.endDate': endDate,
+        'currentPlan.isAutoRenew': hasAutoRenew,
+        'currentPlan.status': SUBSCRIPTION_STATUS.ACTIVE,
+        connectsBalance: increment(quote.connects.plan),
+        creditBalance: increment(quote.accountCredit - quote.creditApplied),
+        updatedAt: timestamp
+      });
+      
+      transaction.update(planRef, {
+        'tracking.subscribers': increment(1),
+        updatedAt: timestamp
+      });
+      
+      // Subscriber counts are kept on every plan that is not deleted, retired ones included
+      if (previousPlanDoc.exists() && !previousPlanDoc.data().isDeleted) {
+        transaction.update(previousPlanRef, {
+          'tracking.subscribers': increment(-1),
+          updatedAt: timestamp
+        });
+      }
+      
+      return {
+        success: true,
+        subscriptionId: newSubscriptionRef.id,
+        transactionId: transactionRef.id,
+        quote
+      };
+    });
+  }
+  
+  /**
+   * Refunds all or part of a payment
+   * 
+   * Each refund is recorded as an entry in the transaction's refunds ledger
+   * with the balance still refundable after it; the transaction keeps the
+   * running total and is 'partially_refunded' until nothing is left.
+   * 
+   * The subscription the payment paid for can be cancelled, and the unused
+   * connects it granted revoked, in the same operation. Both only apply while
+   * the payment still covers the subscription's current period.
+   * 
+   * @param {string} transactionId - Transaction ID
+   * @param {Object} refundData - { amount, reason, subscriptionId, cancelSubscription, revokeConnects }
+   *   where a null amount refunds the remaining balance and subscriptionId
+   *   overrides the subscription recorded on the transaction
+   * @returns {Promise<Object>} - Transaction result with the ledger entry ID and remaining balance
+   */
+  export async function processRefund(transactionId, {
+    amount = null,
+    reason,
+    subscriptionId = null,
+    cancelSubscription = false,
+    revokeConnects = false
+  }) {
+    return runTransaction(db, async (transaction) => {
+      const transactionRef = doc(db, COLLECTIONS.TRANSACTIONS, transactionId);
+      const transactionDoc = await transaction.get(transactionRef);
+      
+      if (!transactionDoc.exists() || transactionDoc.data().isDeleted) {
+        throw new Error('Transaction not found');
+      }
+      
+      const payment = { id: transactionId, ...transactionDoc.data() };
+      const outcome = getRefundOutcome(payment, amount);
+      const isReversal = cancelSubscription || revokeConnects;
+      let subscription = null;
+      let user = null;
+      let planDoc = null;
+      let revokedConnects = 0;
+      
+      const paidSubscriptionId = subscriptionId || getPaidSubscriptionId(payment);
+      const subscriptionRef = paidSubscriptionId && doc(db, COLLECTIONS.SUBSCRIPTIONS, paidSubscriptionId);
+      const userRef = doc(db, COLLECTIONS.USERS, payment.userId);
+      
+      if (isReversal) {
+        if (!subscriptionRef) {
+          throw new Error('No subscription is recorded for this payment');
+        }
+        
+        const subscriptionDoc = await transaction.get(subscriptionRef);
+        const userDoc = await transaction.get(userRef);
+        
+        if (!subscriptionDoc.exists()) {
+          throw new Error('Subscription does not exist');
+        }
+        
+        subscription = subscriptionDoc.data();
+        user = userDoc.exists() ? userDoc.data() : null;
+        
+        if (cancelSubscription) {
+          planDoc = await transaction.get(doc(db, COLLECTIONS.PLANS, subscription.planId));
+        }
+        
+        // A renewal or plan change since then is paid for by another transaction
+        if (subscription.payment?.transactionId !== transactionId) {
+          throw new Error('The subscription is no longer covered by this payment');
+        }
+        
+        if (revokeConnects) {
+          revokedConnects = getRevocableConnects(payment, subscription);
+        }
+      }
+      
+      const currentUser = auth.currentUser;
+      const timestamp = serverTimestamp();
+      const refundDate = Timestamp.now();
+      const processedBy = currentUser?.uid || 'system';
+      const isActive = subscription?.status === SUBSCRIPTION_STATUS.ACTIVE
+        || subscription?.status === SUBSCRIPTION_STATUS.PAUSED;
+      const cancelsSubscription = cancelSubscription && isActive;
+      
+      const entryRef = doc(collection(db, COLLECTIONS.TRANSACTIONS, transactionId, 'refunds'));
+      
+      transaction.set(entryRef, {
+        amount: outcome.amount,
+        currency: payment.currency || null,
+        reason,
+        refundedBefore: getRefundedAmount(payment),
+        remaining: outcome.remaining,
+        reversal: {
+          subscriptionId: isReversal ? paidSubscriptionId : null,
+          subscriptionCancelled: cancelsSubscription,
+          connectsRevoked: revokedConnects
+        },
+        processedBy,
+        createdAt: timestamp
+      });
+      
+      transaction.update(transactionRef, {
+        status: outcome.status,
+        refund: {
+          isRefunded: outcome.remaining === 0,
+          refundAmount: outcome.refunded,
+          remainingAmount: outcome.remaining,
+          refundCount: (payment.refund?.refundCount || (payment.refund ? 1 : 0)) + 1,
+          refundDate,
+          refundReason: reason,
+          refundRequestedBy: processedBy,
+          refundProcessedBy: processedBy
+        },
+        refundedAt: timestamp,
+        updatedAt: timestamp,
+        updatedBy: processedBy
+      });
+      
+      if (cancelsSubscription || revokedConnects > 0) {
+        transaction.update(subscriptionRef, {
+          ...(cancelsSubscription && {
+            status: SUBSCRIPTION_STATUS.CANCELLED,
+            isActive: false,
+            cancelledDate: refundDate,
+            cancellationReason: 'refund',
+            statusHistory: arrayUnion({
+              status: SUBSCRIPTION_STATUS.CANCELLED,
+              date: refundDate,
+              reason: 'refund'
+            })
+          }),
+          ...(revokedConnects > 0 && {
+            'usage.connectsRemaining': increment(-revokedConnects),
+            'usage.connectsRevoked': increment(revokedConnects)
+          }),
+          updatedAt: timestamp
+        });
+      }
+      
+      if (user && (cancelsSubscription || revokedConnects > 0)) {
+        const isCurrentPlan = user.currentPlan?.id === subscription.planId;
+        
+        transaction.update(userRef, {
+          ...(cancelsSubscription && isCurrentPlan && {
+            'currentPlan.status': SUBSCRIPTION_STATUS.CANCELLED
+          }),
+          ...(revokedConnects > 0 && {
+            connectsBalance: Math.max(0, (user.connectsBalance || 0) - revokedConnects)
+          }),
+          updatedAt: timestamp
+        });
+      }
+      
+      if (cancelsSubscription && planDoc.exists()) {
+        transaction.update(planDoc.ref, {
+          'tracking.subscribers': increment(-1),
+          updatedAt: timestamp
+        });
+      }
+      
+      return {
+        success: true,
+        transactionId,
+        refundId: entryRef.id,
+        amount: outcome.amount,
+        remaining: outcome.remaining,
+        status: outcome.status,
+        subscriptionCancelled: cancelsSubscription,
+        connectsRevoked: revokedConnects
+      };
+    });
+  }
+  
+  /**
+   * Terms of a subscription bought before terms were stored on it
+   * 
+   * @param {Object} transaction - Firestore transaction
+   * @param {Object} subscription - Subscription data
+   * @param {Object} plan - Current plan data
+   * @returns {Promise<Object>} - Terms of the subscription's plan version, or the current plan's
+   */
+  async function getSubscriptionTerms(transaction, subscription, plan) {
+    if (subscription.planVersion) {
+      const versionRef = doc(db, COLLECTIONS.PLANS, subscription.planId, 'versions', String(subscription.planVersion));
+      const versionDoc = await transaction.get(versionRef);
+      if (versionDoc.exists()) {
+        return getPlanTerms(versionDoc.data());
+      }
+    }
+    
+    return getPlanTerms(plan);
+  }
+  
   /**
    * Processes an advisor commission payment
    * 
+   * When paymentData.commissionId is set, the existing approved commission
+   * is marked as paid instead of a new commission record being created.
+   * 
    * @param {string} advisorId - Advisor user ID
    * @param {string} businessId - Business listing ID
    * @param {Object} paymentData - Payment information
@@ -263,9 +956,11 @@ import {
       // Get advisor and business
       const advisorRef = doc(db, COLLECTIONS.USERS, advisorId);
       const businessRef = doc(db, COLLECTIONS.LISTINGS, businessId);
+      const advisorProfileRef = doc(db, COLLECTIONS.ADVISORS, advisorId);
       
       const advisorDoc = await transaction.get(advisorRef);
       const businessDoc = await transaction.get(businessRef);
+      const advisorProfileDoc = await transaction.get(advisorProfileRef);
       
       if (!advisorDoc.exists()) {
         throw new Error('Advisor does not exist');
@@ -275,6 +970,24 @@ import {
         throw new Error('Business listing does not exist');
       }
       
+      // Paying out an existing commission requires it to be approved first
+      let existingCommission = null;
+      if (paymentData.commissionId) {
+        const existingCommissionDoc = await transaction.get(
+          doc(db, COLLECTIONS.ADVISOR_COMMISSIONS, paymentData.commissionId)
+        );
+        
+        if (!existingCommissionDoc.exists()) {
+          throw new Error('Commission does not exist');
+        }
+        
+        existingCommission = existingCommissionDoc.data();
+        
+        if (existingCommission.status !== COMMISSION_STATUS.APPROVED) {
+          throw new Error('Only approved commissions can be paid');
+        }
+      }
+      
       const advisor = advisorDoc.data();
       const business = businessDoc.data();
       const timestamp = serverTimestamp();
@@ -282,7 +995,9 @@ import {
       
       // Create transaction reference
       const transactionRef = doc(collection(db, COLLECTIONS.TRANSACTIONS));
-      const commissionRef = doc(collection(db, 'advisorCommissions')); // Use a dedicated collection for commissions
+      const commissionRef = paymentData.commissionId
+        ? doc(db, COLLECTIONS.ADVISOR_COMMISSIONS, paymentData.commissionId)
+        : doc(collection(db, COLLECTIONS.ADVISOR_COMMISSIONS));
       
       // Prepare transaction data
       const transactionData = {
@@ -315,7 +1030,7 @@ import {
         businessId,
         amount: paymentData.amount,
         currency: paymentData.currency || 'INR',
-        status: 'paid',
+        status: COMMISSION_STATUS.PAID,
         paymentDate: timestamp,
         paymentMethod: paymentData.method,
         paymentReference: paymentData.reference,
@@ -334,7 +1049,31 @@ import {
       
       // Set documents in transaction
       transaction.set(transactionRef, transactionData);
-      transaction.set(commissionRef, commissionData);
+      
+      if (existingCommission) {
+        transaction.update(commissionRef, {
+          status: COMMISSION_STATUS.PAID,
+          paymentDate: timestamp,
+          paymentMethod: paymentData.method,
+          paymentReference: paymentData.reference,
+          transactionId: transactionRef.id,
+          notes: paymentData.notes || existingCommission.notes || '',
+          paidBy: currentUser?.uid || 'system',
+          updatedAt: timestamp
+        });
+      } else {
+        transaction.set(commissionRef, commissionData);
+      }
+      
+      // Keep the advisor profile totals in step with the payout
+      if (advisorProfileDoc.exists()) {
+        transaction.update(advisorProfileRef, {
+          'stats.totalPaid': increment(paymentData.amount),
+          'stats.outstanding': increment(existingCommission ? -paymentData.amount : 0),
+          'stats.conversions': increment(existingCommission ? 0 : 1),
+          updatedAt: timestamp
+        });
+      }
       
       // Update advisor's total commission amount
       transaction.update(advisorRef, {
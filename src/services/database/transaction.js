@@ -8,8 +8,9 @@ import {
     limit, startAfter, serverTimestamp
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
-  import { COLLECTIONS } from '../../config/constants';
-  import { BaseService } from './index';
+  import { COLLECTIONS, FINANCE_SCAN_LIMIT, TRANSACTION_TYPES } from '../../config/constants';
+  import { BaseService, TransactionOperations } from './index';
+  import { getPaidSubscriptionId } from '../../utils/finance';
   
   /**
    * Creates a new transaction
@@ -99,13 +100,107 @@ import {
     };
   }
   
+  /**
+   * Gets transactions across all users, newest first
+   * 
+   * @param {Object} filters - { type, status, userId, startDate, endDate }; either
+   *   end of the date range may be left open
+   * @param {number} pageSize - Number of transactions per page
+   * @param {string|null} lastVisible - Last document ID for pagination
+   * @returns {Promise<Object>} - Transactions and pagination info
+   */
+  export async function getTransactions(filters = {}, pageSize = 25, lastVisible = null) {
+    const transactionsRef = collection(db, COLLECTIONS.TRANSACTIONS);
+    let constraints = [];
+    
+    if (filters.type) {
+      constraints.push(where('type', '==', filters.type));
+    }
+    
+    if (filters.status) {
+      constraints.push(where('status', '==', filters.status));
+    }
+    
+    if (filters.userId) {
+      constraints.push(where('userId', '==', filters.userId));
+    }
+    
+    if (filters.startDate) {
+      constraints.push(where('createdAt', '>=', new Date(filters.startDate)));
+    }
+    
+    if (filters.endDate) {
+      constraints.push(where('createdAt', '<=', new Date(filters.endDate)));
+    }
+    
+    constraints.push(orderBy('createdAt', 'desc'));
+    
+    if (lastVisible) {
+      const lastDoc = await getDoc(doc(db, COLLECTIONS.TRANSACTIONS, lastVisible));
+      if (lastDoc.exists()) {
+        constraints.push(startAfter(lastDoc));
+      }
+    }
+    
+    constraints.push(limit(pageSize));
+    
+    const q = query(transactionsRef, ...constraints);
+    const snapshot = await getDocs(q);
+    
+    // Soft-deleted transactions are skipped here rather than in the query so
+    // every filter combination can use the createdAt indexes
+    return {
+      transactions: snapshot.docs
+        .map(doc => ({
+          id: doc.id,
+          ...doc.data()
+        }))
+        .filter(transaction => !transaction.isDeleted),
+      lastVisible: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1].id : null,
+      hasMore: snapshot.docs.length >= pageSize
+    };
+  }
+  
+  /**
+   * Gets every transaction matching the filters, for summaries and exports
+   * 
+   * @param {Object} filters - Filters to apply, as for getTransactions
+   * @param {number} maxEntries - Most transactions to return
+   * @returns {Promise<Object>} - { transactions, truncated } where truncated means
+   *   more transactions matched than maxEntries
+   */
+  export async function getAllTransactions(filters = {}, maxEntries = FINANCE_SCAN_LIMIT) {
+    const transactions = [];
+    let lastVisible = null;
+    let hasMore = true;
+    
+    while (hasMore && transactions.length < maxEntries) {
+      const page = await getTransactions(filters, Math.min(500, maxEntries - transactions.length), lastVisible);
+      transactions.push(...page.transactions);
+      lastVisible = page.lastVisible;
+      hasMore = page.hasMore;
+    }
+    
+    return { transactions, truncated: hasMore };
+  }
+  
   /**
    * Marks a transaction as completed
    * 
+   * Completing a renewal charge also grants the subscription period it pays
+   * for (TransactionOperations.completeSubscriptionRenewal).
+   * 
    * @param {string} id - Transaction ID
+   * @param {Object} paymentData - { transactionId, gateway } of the settled payment, for renewals
    * @returns {Promise<string>} - Transaction ID
    */
-  export async function completeTransaction(id) {
+  export async function completeTransaction(id, paymentData = {}) {
+    const transaction = await getTransactionById(id);
+    if (transaction?.type === TRANSACTION_TYPES.SUBSCRIPTION_RENEWAL) {
+      await TransactionOperations.completeSubscriptionRenewal(id, paymentData);
+      return id;
+    }
+    
     const timestamp = serverTimestamp();
     
     return BaseService.updateDocument(COLLECTIONS.TRANSACTIONS, id, {
@@ -134,37 +229,68 @@ import {
   /**
    * Processes a refund
    * 
+   * A transaction can be refunded several times until its whole amount has
+   * been returned; see TransactionOperations.processRefund for the ledger and
+   * the optional reversal of the subscription it paid for.
+   * 
    * @param {string} id - Transaction ID
    * @param {string} reason - Refund reason
-   * @param {number|null} amount - Refund amount (if partial)
-   * @returns {Promise<string>} - Transaction ID
+   * @param {number|null} amount - Refund amount; null refunds the remaining balance
+   * @param {Object} options - { cancelSubscription, revokeConnects }
+   * @returns {Promise<Object>} - Refund result ({ refundId, amount, remaining, status, ... })
    */
-  export async function refundTransaction(id, reason, amount = null) {
-    const transaction = await getTransactionById(id);
-    
-    if (!transaction) {
-      throw new Error('Transaction not found');
+  export async function refundTransaction(id, reason, amount = null, {
+    cancelSubscription = false,
+    revokeConnects = false
+  } = {}) {
+    if (!reason || !reason.trim()) {
+      throw new Error('A refund reason is required');
     }
     
-    if (transaction.status !== 'completed') {
-      throw new Error('Only completed transactions can be refunded');
-    }
+    let subscriptionId = null;
     
-    const timestamp = serverTimestamp();
-    const refundAmount = amount || transaction.amount;
+    if (cancelSubscription || revokeConnects) {
+      const transaction = await getTransactionById(id);
+      
+      if (!transaction) {
+        throw new Error('Transaction not found');
+      }
+      
+      // Purchases made before transactions recorded their subscription
+      if (!getPaidSubscriptionId(transaction)) {
+        const snapshot = await getDocs(query(
+          collection(db, COLLECTIONS.SUBSCRIPTIONS),
+          where('payment.transactionId', '==', id),
+          limit(1)
+        ));
+        subscriptionId = snapshot.empty ? null : snapshot.docs[0].id;
+      }
+    }
     
-    // Update transaction
-    return BaseService.updateDocument(COLLECTIONS.TRANSACTIONS, id, {
-      status: 'refunded',
-      refund: {
-        isRefunded: true,
-        refundAmount,
-        refundDate: timestamp,
-        refundReason: reason,
-        refundRequestedBy: auth.currentUser ? auth.currentUser.uid : 'system',
-        refundProcessedBy: auth.currentUser ? auth.currentUser.uid : 'system'
-      },
-      refundedAt: timestamp
+    return TransactionOperations.processRefund(id, {
+      amount,
+      reason: reason.trim(),
+      subscriptionId,
+      cancelSubscription,
+      revokeConnects
     });
   }
+  
+  /**
+   * Gets the refunds ledger of a transaction, oldest first
+   * 
+   * @param {string} id - Transaction ID
+   * @returns {Promise<Array<Object>>} - Refund entries
+   */
+  export async function getTransactionRefunds(id) {
+    const snapshot = await getDocs(query(
+      collection(db, COLLECTIONS.TRANSACTIONS, id, 'refunds'),
+      orderBy('createdAt', 'asc')
+    ));
+    
+    return snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  }
   
\ No newline at end of file
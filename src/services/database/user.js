@@ -5,12 +5,13 @@
 import { 
     collection, doc, setDoc, getDoc, updateDoc, 
     query, where, getDocs, serverTimestamp, limit, 
-    orderBy, startAfter, documentId, increment
+    orderBy, startAfter, documentId, increment, Timestamp
   } from 'firebase/firestore';
   import { db, auth } from '../../config/firebase';
   import { createUserWithEmailAndPassword, updateProfile } from 'firebase/auth';
   import { COLLECTIONS, USER_ROLES, USER_STATUS } from '../../config/constants';
   import { BaseService } from './index';
+  import { logUpdateAction, logPermissionChange } from './auditLog';
   
   /**
    * Creates a new user with Firebase Auth and Firestore profile
@@ -128,6 +129,7 @@ import {
     const docRef = doc(db, COLLECTIONS.USERS, uid);
     const timestamp = serverTimestamp();
     const currentUser = auth.currentUser;
+    const previousRole = (await getDoc(docRef)).data().role;
     
     await updateDoc(docRef, {
       role,
@@ -136,18 +138,13 @@ import {
       'roleHistory': {
         changedAt: timestamp,
         changedBy: currentUser?.uid || 'system',
-        previousRole: (await getDoc(docRef)).data().role,
+        previousRole,
         newRole: role
       }
     });
     
-    // Log as audit event
-    await BaseService.createDocument(COLLECTIONS.AUDIT_LOGS, {
-      action: 'update_user_role',
-      entityType: 'user',
-      entityId: uid,
-      performedBy: currentUser?.uid || 'system',
-      details: { newRole: role }
+    await logPermissionChange(uid, role, {
+      changes: [{ path: 'role', before: previousRole ?? null, after: role }]
     });
     
     return uid;
@@ -164,6 +161,7 @@ import {
     const docRef = doc(db, COLLECTIONS.USERS, uid);
     const timestamp = serverTimestamp();
     const currentUser = auth.currentUser;
+    const previousStatus = (await getDoc(docRef)).data().status || USER_STATUS.ACTIVE;
     
     await updateDoc(docRef, {
       status: USER_STATUS.SUSPENDED,
@@ -174,13 +172,11 @@ import {
       updatedBy: currentUser?.uid || 'system'
     });
     
-    // Log as audit event
-    await BaseService.createDocument(COLLECTIONS.AUDIT_LOGS, {
-      action: 'deactivate_user',
-      entityType: 'user',
-      entityId: uid,
-      performedBy: currentUser?.uid || 'system',
-      details: { reason }
+    await logUpdateAction('user', uid, ['status'], {
+      action: 'deactivate',
+      reason,
+      previousStatus,
+      newStatus: USER_STATUS.SUSPENDED
     });
     
     return uid;
@@ -277,4 +273,26 @@ import {
     const snapshot = await getDocs(q);
     
     return snapshot.size;
-  }
\ No newline at end of file
+  }
+  
+  /**
+   * Gets users who signed up within a date range, newest first
+   * 
+   * @param {Date} start - Range start (inclusive)
+   * @param {Date} end - Range end (exclusive)
+   * @param {number} limitCount - Maximum number of users
+   * @returns {Promise<Array>} - Users
+   */
+  export async function getUsersCreatedBetween(start, end, limitCount = 100) {
+    const q = query(
+      collection(db, COLLECTIONS.USERS),
+      where('isDeleted', '==', false),
+      where('createdAt', '>=', Timestamp.fromDate(start)),
+      where('createdAt', '<', Timestamp.fromDate(end)),
+      orderBy('createdAt', 'desc'),
+      limit(limitCount)
+    );
+    const snapshot = await getDocs(q);
+    
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+  }
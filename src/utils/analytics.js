@@ -0,0 +1,179 @@
+/**
+ * Analytics Helpers
+ * Date ranges and totals over the daily analytics rollups
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Most viewed listings kept when merging rollups
+export const TOP_LISTINGS_LIMIT = 10;
+
+/**
+ * Moves a YYYY-MM-DD date key by a number of days (UTC)
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} - YYYY-MM-DD
+ */
+export function shiftDateKey(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T00:00:00.000Z`) + days * DAY_MS).toISOString().slice(0, 10);
+  }
+  
+  /**
+   * Number of days in an inclusive date range
+   *
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {number} - Days, at least 1
+   */
+  export function countDays(startDate, endDate) {
+    const days = Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY_MS) + 1;
+    return Math.max(days, 1);
+  }
+  
+  /**
+   * The equally long range right before a range
+   *
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Object} - { startDate, endDate }
+   */
+  export function getPreviousRange(startDate, endDate) {
+    const days = countDays(startDate, endDate);
+    return {
+      startDate: shiftDateKey(startDate, -days),
+      endDate: shiftDateKey(startDate, -1)
+    };
+  }
+  
+  /**
+   * Merges most-viewed listing lists, keeping the top entries
+   *
+   * @param {Array} current - Merged entries so far ({ listingId, listingName, views })
+   * @param {Array} incoming - Entries to add
+   * @param {number} limitCount - Entries to keep
+   * @returns {Array} - Top listings by views
+   */
+  export function mergeTopListings(current, incoming, limitCount = TOP_LISTINGS_LIMIT) {
+    const byId = new Map(current.map(entry => [entry.listingId, { ...entry }]));
+  
+    (incoming || []).forEach(entry => {
+      const merged = byId.get(entry.listingId);
+      if (merged) {
+        merged.views += entry.views;
+      } else {
+        byId.set(entry.listingId, { ...entry });
+      }
+    });
+  
+    return [...byId.values()]
+      .sort((a, b) => b.views - a.views)
+      .slice(0, limitCount);
+  }
+  
+  /**
+   * Adds the counters of one map onto another
+   *
+   * @param {Object} target - Accumulator, modified in place
+   * @param {Object} source - Counters to add
+   * @returns {Object} - The accumulator
+   */
+  function addCounters(target, source) {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      target[key] = (target[key] || 0) + (Number(value) || 0);
+    });
+    return target;
+  }
+  
+  /**
+   * Flattens a daily rollup into the headline numbers of that day
+   *
+   * @param {string} date - YYYY-MM-DD
+   * @param {Object|null} rollup - analytics/{date} document, null when missing
+   * @returns {Object} - Day metrics, zero for a missing rollup
+   */
+  export function toDayMetrics(date, rollup) {
+    return {
+      date,
+      pageviews: rollup?.engagement?.totalPageviews || 0,
+      uniqueVisitors: rollup?.engagement?.uniqueVisitors || 0,
+      listingViews: rollup?.listings?.views || 0,
+      contacts: rollup?.listings?.contacts || 0,
+      favorites: rollup?.listings?.favorites || 0,
+      listingsCreated: rollup?.listings?.created || 0,
+      signups: rollup?.users?.signups || 0,
+      totalUsers: rollup?.users?.total ?? null,
+      transactions: rollup?.transactions?.completed || 0,
+      revenue: rollup?.transactions?.revenue || 0
+    };
+  }
+  
+  /**
+   * One entry per day of a range, filling days without a rollup with zeros
+   *
+   * @param {Array} rollups - Daily analytics documents
+   * @param {string} startDate - YYYY-MM-DD
+   * @param {string} endDate - YYYY-MM-DD
+   * @returns {Array<Object>} - Day metrics in date order
+   */
+  export function buildDailySeries(rollups, startDate, endDate) {
+    const byDate = new Map(rollups.map(rollup => [rollup.period?.date || rollup.id, rollup]));
+    const series = [];
+  
+    for (let date = startDate; date <= endDate; date = shiftDateKey(date, 1)) {
+      series.push(toDayMetrics(date, byDate.get(date) || null));
+    }
+  
+    return series;
+  }
+  
+  /**
+   * Totals of a set of daily rollups
+   *
+   * @param {Array} rollups - Daily analytics documents
+   * @returns {Object} - Summed headline numbers plus breakdowns
+   *   (trafficSources, pageviewsByPage, activitiesByType, viewsByType, topListings)
+   */
+  export function sumRollups(rollups) {
+    const totals = {
+      ...toDayMetrics(null, null),
+      trafficSources: { direct: 0, organic: 0, referral: 0, social: 0 },
+      pageviewsByPage: {},
+      activitiesByType: {},
+      viewsByType: {},
+      topListings: []
+    };
+    delete totals.date;
+  
+    rollups.forEach(rollup => {
+      const day = toDayMetrics(null, rollup);
+      Object.keys(day).forEach(key => {
+        if (key === 'date') return;
+        if (key === 'totalUsers') {
+          totals.totalUsers = day.totalUsers ?? totals.totalUsers;
+        } else {
+          totals[key] += day[key];
+        }
+      });
+  
+      addCounters(totals.trafficSources, rollup.engagement?.trafficSources);
+      addCounters(totals.pageviewsByPage, rollup.engagement?.pageviewsByPage);
+      addCounters(totals.activitiesByType, rollup.engagement?.activitiesByType);
+      addCounters(totals.viewsByType, rollup.listings?.viewsByType);
+      totals.topListings = mergeTopListings(totals.topListings, rollup.topListings);
+    });
+  
+    return totals;
+  }
+  
+  /**
+   * Percentage change between two values
+   *
+   * @param {number} current - Current value
+   * @param {number} previous - Previous value
+   * @returns {number|null} - Change in percent, null without a base
+   */
+  export function percentChange(current, previous) {
+    if (!previous) return null;
+    return ((current - previous) / previous) * 100;
+  }
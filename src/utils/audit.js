@@ -0,0 +1,110 @@
+/**
+ * Audit Log Helpers
+ * Reads before/after changes out of audit log entries and links entries to
+ * the admin page of the entity they refer to
+ */
+import { AUDIT_ENTITY_TYPES } from '../config/constants';
+
+// Older entries record a single before/after pair as separate detail fields
+const LEGACY_CHANGE_FIELDS = [
+  { path: 'status', before: 'previousStatus', after: 'newStatus' },
+  { path: 'permissions', before: 'previousPermissions', after: 'permissions' },
+  { path: 'moderation.assignedTo', before: 'previousReviewer', after: 'reviewer' },
+  { path: 'version', before: 'previousVersion', after: 'newVersion' }
+];
+
+// Admin page of each entity type
+const ENTITY_LINKS = {
+  [AUDIT_ENTITY_TYPES.LISTING]: entityId => `/listings/edit/${entityId}`,
+  [AUDIT_ENTITY_TYPES.USER]: () => '/user-roles',
+  [AUDIT_ENTITY_TYPES.ROLE]: () => '/user-roles',
+  [AUDIT_ENTITY_TYPES.INVITATION]: () => '/user-roles',
+  [AUDIT_ENTITY_TYPES.SETTINGS]: () => '/settings',
+  [AUDIT_ENTITY_TYPES.FEATURE_FLAG]: () => '/feature-flags',
+  [AUDIT_ENTITY_TYPES.PLAN]: () => '/plans'
+};
+
+/**
+ * Gets the field changes of an audit log entry
+ *
+ * Entries written with details.changes carry full before/after values.
+ * For older entries the known before/after detail pairs are used and the
+ * remaining changed fields are listed without values.
+ *
+ * @param {Object} entry - Audit log entry
+ * @returns {Array<Object>} - Changes ({ path, before, after, recorded })
+ */
+export function getAuditChanges(entry) {
+    const details = entry.details || {};
+  
+    if (Array.isArray(details.changes)) {
+      return details.changes.map(change => ({ ...change, recorded: true }));
+    }
+  
+    const changes = LEGACY_CHANGE_FIELDS
+      .filter(field => field.before in details)
+      .map(field => ({
+        path: field.path,
+        before: details[field.before] ?? null,
+        after: details[field.after] ?? null,
+        recorded: true
+      }));
+  
+    const recordedPaths = new Set(changes.map(change => change.path));
+    (entry.fieldChanges || []).forEach(path => {
+      if (!recordedPaths.has(path)) {
+        changes.push({ path, before: null, after: null, recorded: false });
+      }
+    });
+  
+    return changes;
+  }
+  
+  /**
+   * Gets the details of an audit log entry not already shown as changes
+   *
+   * @param {Object} entry - Audit log entry
+   * @returns {Array<Array>} - [key, value] pairs with a value
+   */
+  export function getAuditDetails(entry) {
+    const details = entry.details || {};
+    const shown = new Set(['changes']);
+  
+    if (!Array.isArray(details.changes)) {
+      LEGACY_CHANGE_FIELDS
+        .filter(field => field.before in details)
+        .forEach(field => {
+          shown.add(field.before);
+          shown.add(field.after);
+        });
+    }
+  
+    return Object.entries(details)
+      .filter(([key, value]) => !shown.has(key) && value !== null && value !== undefined && value !== '');
+  }
+  
+  /**
+   * Gets the admin page of the entity an audit log entry refers to
+   *
+   * @param {string} entityType - Entity type
+   * @param {string} entityId - Entity ID
+   * @returns {string|null} - Route, or null for entity types without a page
+   */
+  export function getAuditEntityLink(entityType, entityId) {
+    const link = ENTITY_LINKS[entityType];
+    return link && entityId ? link(entityId) : null;
+  }
+  
+  /**
+   * Formats an audit log key for display ("permission_change" -> "Permission Change")
+   *
+   * @param {string} key - Action or entity type
+   * @returns {string} - Display label
+   */
+  export function formatAuditLabel(key) {
+    return (key || '')
+      .replace(/([a-z])([A-Z])/g, '$1_$2')
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
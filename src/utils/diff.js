@@ -0,0 +1,129 @@
+/**
+ * Diff Helpers
+ * Field-level comparison of nested documents
+ */
+
+/**
+ * Checks whether a value is a plain object that should be walked into
+ *
+ * Firestore timestamps, dates and arrays are compared as whole values.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null
+      && typeof value === 'object'
+      && !Array.isArray(value)
+      && !(value instanceof Date)
+      && typeof value.toDate !== 'function';
+  }
+
+  /**
+   * Normalizes a leaf value so equal values compare equal
+   *
+   * @param {*} value - Leaf value
+   * @returns {*} - Comparable value
+   */
+  function normalizeValue(value) {
+    if (value === undefined || value === '') return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    return value;
+  }
+  
+  /**
+   * Flattens a nested object into dotted paths
+   *
+   * @param {Object} source - Object to flatten
+   * @param {string} prefix - Path prefix
+   * @param {Object} result - Accumulator
+   * @returns {Object} - Map of dotted path to leaf value
+   */
+  export function flattenObject(source, prefix = '', result = {}) {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}.${key}` : key;
+  
+      if (isPlainObject(value) && Object.keys(value).length > 0) {
+        flattenObject(value, path, result);
+      } else {
+        result[path] = normalizeValue(value);
+      }
+    });
+  
+    return result;
+  }
+  
+  /**
+   * Compares two documents field by field
+   *
+   * @param {Object} before - Earlier document
+   * @param {Object} after - Later document
+   * @param {Object} options - Options
+   * @param {Array<string>} options.ignore - Top-level fields or path prefixes to skip
+   * @returns {Array<Object>} - Changes ({ path, before, after, kind }) sorted by path,
+   *   kind is 'added', 'removed' or 'changed'
+   */
+  export function diffObjects(before, after, { ignore = [] } = {}) {
+    const flatBefore = flattenObject(before);
+    const flatAfter = flattenObject(after);
+    const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+  
+    paths.forEach(path => {
+      if (ignore.some(prefix => path === prefix || path.startsWith(`${prefix}.`))) return;
+  
+      const oldValue = flatBefore[path] ?? null;
+      const newValue = flatAfter[path] ?? null;
+  
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+  
+      changes.push({
+        path,
+        before: oldValue,
+        after: newValue,
+        kind: oldValue === null ? 'added' : newValue === null ? 'removed' : 'changed'
+      });
+    });
+  
+    return changes.sort((a, b) => a.path.localeCompare(b.path));
+  }
+  
+  /**
+   * Applies a partial update the way Firestore's set with merge does
+   *
+   * Nested objects are merged key by key; arrays, timestamps and other
+   * values replace what was there.
+   *
+   * @param {Object} target - Current document
+   * @param {Object} source - Partial update
+   * @returns {Object} - New merged object
+   */
+  export function mergeDeep(target, source) {
+    const result = { ...(target || {}) };
+  
+    Object.entries(source || {}).forEach(([key, value]) => {
+      result[key] = isPlainObject(value) && isPlainObject(result[key])
+        ? mergeDeep(result[key], value)
+        : value;
+    });
+  
+    return result;
+  }
+  
+  /**
+   * Formats a flattened diff value for display
+   *
+   * @param {*} value - Value from diffObjects
+   * @returns {string} - Display text
+   */
+  export function formatDiffValue(value) {
+    if (value === null || value === undefined) return '—';
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '—';
+      return value.map(item => (typeof item === 'object' ? JSON.stringify(item) : item)).join(', ');
+    }
+    if (typeof value === 'object') return JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+  }
@@ -0,0 +1,108 @@
+/**
+ * Experiment Statistics
+ * Conversion rates, confidence intervals and significance for A/B tests
+ */
+
+// Two-sided confidence level used throughout the results view
+export const CONFIDENCE_LEVEL = 0.95;
+
+// z value for CONFIDENCE_LEVEL
+const Z_95 = 1.959964;
+
+// Smallest group size the normal approximation is reported for
+export const MIN_SAMPLE_SIZE = 30;
+
+/**
+ * Standard normal cumulative distribution function
+ *
+ * Abramowitz and Stegun 7.1.26 approximation of erf, accurate to ~1e-7.
+ *
+ * @param {number} z - z score
+ * @returns {number} - P(Z <= z)
+ */
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592)
+      * t * Math.exp(-x * x);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+  
+  /**
+   * Wilson score interval of a conversion rate
+   *
+   * Behaves well for small samples and rates near 0 or 1, unlike the plain
+   * normal interval.
+   *
+   * @param {number} conversions - Converted users
+   * @param {number} exposures - Exposed users
+   * @returns {Object|null} - { low, high } as fractions, null without exposures
+   */
+  export function wilsonInterval(conversions, exposures) {
+    if (exposures === 0) return null;
+  
+    const p = conversions / exposures;
+    const z2 = Z_95 * Z_95;
+    const denominator = 1 + z2 / exposures;
+    const center = (p + z2 / (2 * exposures)) / denominator;
+    const margin = (Z_95 * Math.sqrt((p * (1 - p)) / exposures + z2 / (4 * exposures * exposures))) / denominator;
+  
+    return { low: Math.max(0, center - margin), high: Math.min(1, center + margin) };
+  }
+  
+  /**
+   * Two-sided two-proportion z-test of a variant against the control
+   *
+   * @param {Object} control - { conversions, exposures }
+   * @param {Object} variant - { conversions, exposures }
+   * @returns {Object|null} - { z, pValue }, null when either group is empty
+   *   or nobody converted in either
+   */
+  export function twoProportionTest(control, variant) {
+    if (control.exposures === 0 || variant.exposures === 0) return null;
+  
+    const pooled = (control.conversions + variant.conversions) / (control.exposures + variant.exposures);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / control.exposures + 1 / variant.exposures));
+    if (standardError === 0) return null;
+  
+    const z = (variant.conversions / variant.exposures - control.conversions / control.exposures) / standardError;
+    return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+  }
+  
+  /**
+   * Summarizes an experiment for one conversion goal
+   *
+   * The first variant is the control. A winner is only named when it beats
+   * the control significantly; when several do, the highest rate wins.
+   *
+   * @param {Array<Object>} groups - Per variant { variant, exposures, conversions }
+   * @returns {Object} - { rows, winner } where rows add rate, interval, lift,
+   *   pValue, significant and enoughData; winner is a row or null
+   */
+  export function summarizeExperiment(groups) {
+    const control = groups[0];
+    const controlRate = control && control.exposures > 0 ? control.conversions / control.exposures : null;
+  
+    const rows = groups.map((group, index) => {
+      const rate = group.exposures > 0 ? group.conversions / group.exposures : null;
+      const test = index === 0 ? null : twoProportionTest(control, group);
+      const enoughData = group.exposures >= MIN_SAMPLE_SIZE && control.exposures >= MIN_SAMPLE_SIZE;
+  
+      return {
+        ...group,
+        isControl: index === 0,
+        rate,
+        interval: wilsonInterval(group.conversions, group.exposures),
+        lift: index === 0 || rate === null || !controlRate ? null : (rate - controlRate) / controlRate,
+        pValue: test ? test.pValue : null,
+        significant: Boolean(test) && enoughData && test.pValue < 1 - CONFIDENCE_LEVEL,
+        enoughData
+      };
+    });
+  
+    const winner = rows
+      .filter(row => row.significant && row.rate > controlRate)
+      .sort((a, b) => b.rate - a.rate)[0] || null;
+  
+    return { rows, winner };
+  }
@@ -0,0 +1,245 @@
+/**
+ * Export Helpers
+ * Builds CSV, XLSX and JSON files from tabular data in the browser, and
+ * parses CSV files back into rows for imports
+ */
+import writeXlsxFile from 'write-excel-file/browser';
+
+export const EXPORT_FORMATS = {
+  CSV: 'csv',
+  XLSX: 'xlsx',
+  JSON: 'json'
+};
+
+const MIME_TYPES = {
+  [EXPORT_FORMATS.CSV]: 'text/csv;charset=utf-8',
+  [EXPORT_FORMATS.XLSX]: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  [EXPORT_FORMATS.JSON]: 'application/json'
+};
+
+/**
+ * Converts Firestore timestamps and date strings to Date objects
+ *
+ * @param {*} value - Value to convert
+ * @returns {Date|null} - Date or null if the value is not a valid date
+ */
+export function toDate(value) {
+    if (!value) return null;
+  
+    const date = value instanceof Date
+      ? value
+      : value?.toDate
+        ? value.toDate()
+        : new Date(value);
+  
+    return isNaN(date.getTime()) ? null : date;
+  }
+  
+  /**
+   * Escapes a single value for a CSV cell (RFC 4180)
+   *
+   * @param {*} value - Cell value
+   * @returns {string} - Escaped cell
+   */
+  export function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+  
+    let text = value instanceof Date ? value.toISOString() : String(value);
+  
+    // Spreadsheet apps execute cells starting with these as formulas
+    if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') {
+      text = `'${text}`;
+    }
+  
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+  
+    return text;
+  }
+  
+  /**
+   * Builds one CSV line from a list of values
+   *
+   * @param {Array} values - Cell values
+   * @returns {string} - CSV line terminated with CRLF
+   */
+  export function toCsvRow(values) {
+    return `${values.map(escapeCsvValue).join(',')}\r\n`;
+  }
+  
+  /**
+   * Parses CSV text into rows of cells (RFC 4180)
+   *
+   * Handles quoted cells with embedded commas, quotes and line breaks,
+   * CRLF or LF line endings and a leading UTF-8 BOM. Blank lines are skipped.
+   *
+   * @param {string} text - CSV text
+   * @returns {Array<Array<string>>} - Rows of cell values
+   */
+  export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  
+    const endRow = () => {
+      row.push(cell);
+      if (row.length > 1 || row[0] !== '') {
+        rows.push(row);
+      }
+      row = [];
+      cell = '';
+    };
+  
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+  
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        cell += char;
+      }
+    }
+  
+    if (cell !== '' || row.length > 0) {
+      endRow();
+    }
+  
+    return rows;
+  }
+  
+  /**
+   * Creates an incremental writer for the given format
+   *
+   * Rows are appended batch by batch with `write` and the file is produced
+   * by `finish`. CSV and JSON are kept as string chunks; XLSX needs the
+   * full sheet so its rows are buffered until the end.
+   *
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {Array<Object>} columns - Columns ({ key, label, type })
+   * @returns {Object} - Writer with write(records) and finish() => Promise<Blob>
+   */
+  export function createExportWriter(format, columns) {
+    const chunks = [];
+    const rows = [];
+    let recordCount = 0;
+  
+    if (format === EXPORT_FORMATS.CSV) {
+      // BOM so Excel picks up UTF-8 (₹ and non-Latin names)
+      chunks.push('\uFEFF', toCsvRow(columns.map(column => column.label)));
+    } else if (format === EXPORT_FORMATS.JSON) {
+      chunks.push('[');
+    } else if (format === EXPORT_FORMATS.XLSX) {
+      rows.push(columns.map(column => ({ value: column.label, fontWeight: 'bold' })));
+    } else {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+  
+    return {
+      /**
+       * Appends records, each an object keyed by column key
+       * @param {Array<Object>} records - Records to append
+       */
+      write(records) {
+        records.forEach(record => {
+          if (format === EXPORT_FORMATS.CSV) {
+            chunks.push(toCsvRow(columns.map(column => record[column.key])));
+          } else if (format === EXPORT_FORMATS.JSON) {
+            const entry = {};
+            columns.forEach(column => {
+              const value = record[column.key];
+              entry[column.key] = value instanceof Date ? value.toISOString() : value ?? null;
+            });
+            chunks.push(`${recordCount > 0 ? ',' : ''}\n  ${JSON.stringify(entry)}`);
+          } else {
+            rows.push(columns.map(column => toXlsxCell(record[column.key], column.type)));
+          }
+  
+          recordCount++;
+        });
+      },
+  
+      /**
+       * Number of records written so far
+       */
+      get count() {
+        return recordCount;
+      },
+  
+      /**
+       * Produces the file
+       * @returns {Promise<Blob>} - File contents
+       */
+      async finish() {
+        if (format === EXPORT_FORMATS.XLSX) {
+          return writeXlsxFile(rows).toBlob();
+        }
+  
+        if (format === EXPORT_FORMATS.JSON) {
+          chunks.push(recordCount > 0 ? '\n]\n' : ']\n');
+        }
+  
+        return new Blob(chunks, { type: MIME_TYPES[format] });
+      }
+    };
+  }
+  
+  /**
+   * Converts a value to a write-excel-file cell
+   *
+   * @param {*} value - Cell value
+   * @param {string} type - Column type ('string', 'number', 'date', 'boolean')
+   * @returns {Object|null} - Cell definition or null for an empty cell
+   */
+  function toXlsxCell(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+  
+    switch (type) {
+      case 'number':
+        return typeof value === 'number' ? { value, type: Number } : { value: String(value), type: String };
+      case 'date': {
+        const date = toDate(value);
+        return date ? { value: date, type: Date, format: 'yyyy-mm-dd' } : null;
+      }
+      case 'boolean':
+        return { value: Boolean(value), type: Boolean };
+      default:
+        return { value: String(value), type: String };
+    }
+  }
+  
+  /**
+   * Triggers a browser download for a Blob
+   *
+   * @param {Blob} blob - File contents
+   * @param {string} filename - Download file name
+   */
+  export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
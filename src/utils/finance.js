@@ -0,0 +1,266 @@
+/**
+ * Finance Helpers
+ * Revenue figures and reconciliation records derived from transactions
+ */
+import { TRANSACTION_STATUS, TRANSACTION_TYPES } from '../config/constants';
+import { toDate } from './export';
+
+// Money received from members
+export const REVENUE_TYPES = [
+  TRANSACTION_TYPES.SUBSCRIPTION_PURCHASE,
+  TRANSACTION_TYPES.SUBSCRIPTION_RENEWAL,
+  TRANSACTION_TYPES.SUBSCRIPTION_CHANGE
+];
+
+// Money paid out to advisors
+export const PAYOUT_TYPES = [TRANSACTION_TYPES.ADVISOR_COMMISSION];
+
+// Statuses whose money actually moved
+const SETTLED_STATUSES = [
+  TRANSACTION_STATUS.COMPLETED,
+  TRANSACTION_STATUS.PARTIALLY_REFUNDED,
+  TRANSACTION_STATUS.REFUNDED
+];
+
+// Statuses that may still take a refund
+const REFUNDABLE_STATUSES = [TRANSACTION_STATUS.COMPLETED, TRANSACTION_STATUS.PARTIALLY_REFUNDED];
+
+/**
+ * Rounds an amount to whole paise/cents
+ *
+ * @param {number} amount - Amount
+ * @returns {number} - Rounded amount
+ */
+export function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+  
+  /**
+   * Total amount refunded on a transaction, over all its refunds
+   *
+   * @param {Object} transaction - Transaction
+   * @returns {number} - Refunded amount
+   */
+  export function getRefundedAmount(transaction) {
+    return transaction.refund?.refundAmount || 0;
+  }
+  
+  /**
+   * Amount that can still be refunded on a transaction
+   *
+   * @param {Object} transaction - Transaction
+   * @returns {number} - Refundable amount; zero for unsettled transactions and payouts
+   */
+  export function getRefundableAmount(transaction) {
+    if (!REFUNDABLE_STATUSES.includes(transaction.status) || !REVENUE_TYPES.includes(transaction.type)) {
+      return 0;
+    }
+    return roundAmount(Math.max(0, (transaction.amount || 0) - getRefundedAmount(transaction)));
+  }
+  
+  /**
+   * Works out the effect of one more refund on a transaction
+   *
+   * @param {Object} transaction - Transaction
+   * @param {number|null} amount - Amount to refund; null refunds the whole remaining balance
+   * @returns {Object} - { amount, refunded, remaining, status } where refunded is the
+   *   total after this refund and status the transaction's new status
+   */
+  export function getRefundOutcome(transaction, amount = null) {
+    const refundable = getRefundableAmount(transaction);
+  
+    if (refundable <= 0) {
+      throw new Error('Only completed payments with a remaining balance can be refunded');
+    }
+  
+    const refundAmount = amount === null ? refundable : roundAmount(amount);
+  
+    if (!(refundAmount > 0) || refundAmount > refundable) {
+      throw new Error(`Refund amount must be more than zero and at most the remaining ${refundable}`);
+    }
+  
+    const remaining = roundAmount(refundable - refundAmount);
+  
+    return {
+      amount: refundAmount,
+      refunded: roundAmount(getRefundedAmount(transaction) + refundAmount),
+      remaining,
+      status: remaining > 0 ? TRANSACTION_STATUS.PARTIALLY_REFUNDED : TRANSACTION_STATUS.REFUNDED
+    };
+  }
+  
+  /**
+   * Subscription a payment paid for
+   *
+   * Plan changes record the new subscription in their adjustment; purchases
+   * and renewals record it under related. Purchases made before that was
+   * stored return null.
+   *
+   * @param {Object} transaction - Transaction
+   * @returns {string|null} - Subscription ID
+   */
+  export function getPaidSubscriptionId(transaction) {
+    return transaction.adjustment?.toSubscriptionId || transaction.related?.subscriptionId || null;
+  }
+  
+  /**
+   * Unused connects of a subscription that its payment granted
+   *
+   * Connects carried over from a previous plan were paid for by that plan and
+   * are left alone.
+   *
+   * @param {Object} transaction - Transaction that paid for the subscription
+   * @param {Object} subscription - Subscription
+   * @returns {number} - Connects that can be revoked
+   */
+  export function getRevocableConnects(transaction, subscription) {
+    const granted = (subscription.usage?.connectsTotal || 0) - (transaction.adjustment?.connectsCarriedOver || 0);
+    return Math.max(0, Math.min(subscription.usage?.connectsRemaining || 0, granted));
+  }
+  
+  /**
+   * Effect of a transaction on the books
+   *
+   * Settled revenue counts net of refunds and payouts count as negative;
+   * pending and failed transactions count as zero.
+   *
+   * @param {Object} transaction - Transaction
+   * @returns {number} - Net amount
+   */
+  export function getNetAmount(transaction) {
+    if (!SETTLED_STATUSES.includes(transaction.status)) return 0;
+  
+    if (REVENUE_TYPES.includes(transaction.type)) {
+      return roundAmount((transaction.amount || 0) - getRefundedAmount(transaction));
+    }
+  
+    return PAYOUT_TYPES.includes(transaction.type) ? -(transaction.amount || 0) : 0;
+  }
+  
+  /**
+   * Keeps the transactions whose amount lies in a range
+   *
+   * @param {Array<Object>} transactions - Transactions
+   * @param {number|null} minAmount - Lowest amount, inclusive
+   * @param {number|null} maxAmount - Highest amount, inclusive
+   * @returns {Array<Object>} - Matching transactions
+   */
+  export function filterByAmount(transactions, minAmount = null, maxAmount = null) {
+    return transactions.filter(transaction => (
+      (minAmount === null || (transaction.amount || 0) >= minAmount)
+      && (maxAmount === null || (transaction.amount || 0) <= maxAmount)
+    ));
+  }
+  
+  /**
+   * Local calendar period a date falls in
+   *
+   * @param {Date} date - Date
+   * @param {string} granularity - 'day' or 'month'
+   * @returns {string} - YYYY-MM-DD or YYYY-MM
+   */
+  export function toPeriodKey(date, granularity) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    if (granularity === 'month') {
+      return `${date.getFullYear()}-${month}`;
+    }
+    return `${date.getFullYear()}-${month}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+  
+  /**
+   * Totals transactions per day or month and currency, newest period first
+   *
+   * @param {Array<Object>} transactions - Transactions
+   * @param {string} granularity - 'day' or 'month'
+   * @returns {Array<Object>} - Rows ({ period, currency, count, gross, refunds, payouts, net })
+   */
+  export function summarizeRevenue(transactions, granularity = 'day') {
+    const rows = new Map();
+  
+    transactions.forEach(transaction => {
+      const createdAt = toDate(transaction.createdAt);
+      if (!createdAt || !SETTLED_STATUSES.includes(transaction.status)) return;
+  
+      const period = toPeriodKey(createdAt, granularity);
+      const currency = transaction.currency || 'INR';
+      const key = `${period}|${currency}`;
+  
+      if (!rows.has(key)) {
+        rows.set(key, { period, currency, count: 0, gross: 0, refunds: 0, payouts: 0, net: 0 });
+      }
+  
+      const row = rows.get(key);
+      row.count++;
+  
+      if (REVENUE_TYPES.includes(transaction.type)) {
+        row.gross += transaction.amount || 0;
+        row.refunds += getRefundedAmount(transaction);
+      } else if (PAYOUT_TYPES.includes(transaction.type)) {
+        row.payouts += transaction.amount || 0;
+      }
+      row.net += getNetAmount(transaction);
+    });
+  
+    return [...rows.values()]
+      .map(row => ({
+        ...row,
+        gross: roundAmount(row.gross),
+        refunds: roundAmount(row.refunds),
+        payouts: roundAmount(row.payouts),
+        net: roundAmount(row.net)
+      }))
+      .sort((a, b) => b.period.localeCompare(a.period) || a.currency.localeCompare(b.currency));
+  }
+  
+  /**
+   * Totals per currency over all given transactions
+   *
+   * @param {Array<Object>} transactions - Transactions
+   * @returns {Array<Object>} - Rows ({ currency, count, gross, refunds, payouts, net })
+   */
+  export function summarizeTotals(transactions) {
+    const totals = new Map();
+  
+    summarizeRevenue(transactions, 'month').forEach(row => {
+      const total = totals.get(row.currency) || { currency: row.currency, count: 0, gross: 0, refunds: 0, payouts: 0, net: 0 };
+      ['count', 'gross', 'refunds', 'payouts', 'net'].forEach(field => {
+        total[field] = roundAmount(total[field] + row[field]);
+      });
+      totals.set(row.currency, total);
+    });
+  
+    return [...totals.values()];
+  }
+  
+  /**
+   * Flattens a transaction into a reconciliation export record
+   *
+   * Gateway references let the export be matched line by line against
+   * payment gateway settlements.
+   *
+   * @param {Object} transaction - Transaction
+   * @param {Object} users - Map of user ID to { name, email }
+   * @returns {Object} - Record keyed by export column
+   */
+  export function toReconciliationRecord(transaction, users = {}) {
+    return {
+      id: transaction.id,
+      createdAt: toDate(transaction.createdAt),
+      completedAt: toDate(transaction.completedAt),
+      type: transaction.type,
+      status: transaction.status,
+      userId: transaction.userId,
+      userEmail: users[transaction.userId]?.email || null,
+      amount: transaction.amount ?? null,
+      currency: transaction.currency || null,
+      refunded: getRefundedAmount(transaction),
+      refundable: getRefundableAmount(transaction),
+      refundCount: transaction.refund?.refundCount || (transaction.refund ? 1 : 0),
+      net: getNetAmount(transaction),
+      method: transaction.payment?.method || null,
+      gateway: transaction.payment?.gateway || null,
+      gatewayTransactionId: transaction.payment?.gatewayTransactionId || null,
+      reference: transaction.payment?.reference || null,
+      refundedAt: toDate(transaction.refundedAt)
+    };
+  }
@@ -206,6 +206,7 @@ export function slugify(str) {
       'completed': 'bg-green-100 text-green-800',
       'failed': 'bg-red-100 text-red-800',
       'refunded': 'bg-purple-100 text-purple-800',
+      'partially_refunded': 'bg-purple-100 text-purple-800',
       'suspended': 'bg-red-100 text-red-800',
       'disabled': 'bg-red-100 text-red-800',
       'expired': 'bg-red-100 text-red-800',
@@ -253,4 +254,17 @@ export function slugify(str) {
     } else {
       return `${diffSec} ${diffSec === 1 ? 'second' : 'seconds'}`;
     }
+  }
+  
+  /**
+   * Copies an object without the given keys
+   * 
+   * @param {Object} object - Source object
+   * @param {Array<string>} keys - Keys to leave out
+   * @returns {Object} - Shallow copy without those keys
+   */
+  export function omit(object, keys) {
+    return Object.fromEntries(
+      Object.entries(object || {}).filter(([key]) => !keys.includes(key))
+    );
   }
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * Image Helpers
+ * Client-side resizing of images before upload
+ */
+
+/**
+ * Loads a file into a drawable image
+ *
+ * @param {File|Blob} file - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>} - Decoded image
+ */
+function loadImage(file) {
+    if (typeof createImageBitmap === 'function') {
+      return createImageBitmap(file);
+    }
+  
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(file);
+      const image = new Image();
+      image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+      };
+      image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(`Could not read image ${file.name || ''}`.trim()));
+      };
+      image.src = url;
+    });
+  }
+  
+  /**
+   * Computes dimensions that fit within a square bound, keeping the aspect ratio
+   *
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @param {number} maxDimension - Longest allowed side
+   * @returns {Object} - { width, height }, never larger than the source
+   */
+  export function fitWithin(width, height, maxDimension) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return {
+      width: Math.round(width * scale),
+      height: Math.round(height * scale)
+    };
+  }
+  
+  /**
+   * Resizes an image so its longest side is at most maxDimension
+   *
+   * PNGs stay PNG to keep transparency; everything else is re-encoded as
+   * JPEG, which also strips EXIF data such as GPS coordinates.
+   *
+   * @param {File|Blob} file - Image file
+   * @param {Object} options - Resize options
+   * @param {number} options.maxDimension - Longest allowed side in pixels
+   * @param {number} options.quality - Encoder quality between 0 and 1
+   * @returns {Promise<Object>} - { blob, width, height, contentType }
+   */
+  export async function resizeImage(file, { maxDimension, quality = 0.85 }) {
+    const image = await loadImage(file);
+    const { width, height } = fitWithin(image.width, image.height, maxDimension);
+    const contentType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+  
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+  
+    if (typeof image.close === 'function') {
+      image.close();
+    }
+  
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        result => (result ? resolve(result) : reject(new Error('Could not encode image'))),
+        contentType,
+        quality
+      );
+    });
+  
+    return { blob, width, height, contentType };
+  }
@@ -0,0 +1,172 @@
+/**
+ * Listing Export Columns
+ * Catalog of listing fields that can be exported, grouped by listing type
+ */
+import { LISTING_TYPES } from '../config/constants';
+import { toDate } from './export';
+
+// Columns shared by every listing type use this group
+export const COMMON_GROUP = 'common';
+
+export const EXPORT_COLUMN_GROUPS = {
+  [COMMON_GROUP]: 'General',
+  [LISTING_TYPES.BUSINESS]: 'Business',
+  [LISTING_TYPES.FRANCHISE]: 'Franchise',
+  [LISTING_TYPES.STARTUP]: 'Startup',
+  [LISTING_TYPES.INVESTOR]: 'Investor',
+  [LISTING_TYPES.DIGITAL_ASSET]: 'Digital Asset'
+};
+
+/**
+ * Exportable columns
+ *
+ * `key` is the dotted path of the field on the listing document, `type`
+ * drives cell formatting ('string', 'number', 'date', 'boolean', 'list').
+ */
+export const LISTING_EXPORT_COLUMNS = [
+  // General
+  { key: 'id', label: 'ID', group: COMMON_GROUP, type: 'string' },
+  { key: 'name', label: 'Name', group: COMMON_GROUP, type: 'string' },
+  { key: 'type', label: 'Type', group: COMMON_GROUP, type: 'string' },
+  { key: 'status', label: 'Status', group: COMMON_GROUP, type: 'string' },
+  { key: 'headline', label: 'Headline', group: COMMON_GROUP, type: 'string' },
+  { key: 'shortDescription', label: 'Short Description', group: COMMON_GROUP, type: 'string' },
+  { key: 'description', label: 'Description', group: COMMON_GROUP, type: 'string' },
+  { key: 'industries', label: 'Industries', group: COMMON_GROUP, type: 'list' },
+  { key: 'seo.keywords', label: 'Keywords', group: COMMON_GROUP, type: 'list' },
+  { key: 'location.city', label: 'City', group: COMMON_GROUP, type: 'string' },
+  { key: 'location.state', label: 'State', group: COMMON_GROUP, type: 'string' },
+  { key: 'location.country', label: 'Country', group: COMMON_GROUP, type: 'string' },
+  { key: 'price', label: 'Price/Investment', group: COMMON_GROUP, type: 'number' },
+  { key: 'revenue', label: 'Annual Revenue', group: COMMON_GROUP, type: 'number' },
+  { key: 'ownerId', label: 'Owner ID', group: COMMON_GROUP, type: 'string' },
+  { key: 'ownerName', label: 'Owner', group: COMMON_GROUP, type: 'string' },
+  { key: 'contactInfo.email', label: 'Contact Email', group: COMMON_GROUP, type: 'string' },
+  { key: 'contactInfo.phone', label: 'Contact Phone', group: COMMON_GROUP, type: 'string' },
+  { key: 'contactInfo.contactName', label: 'Contact Name', group: COMMON_GROUP, type: 'string' },
+  { key: 'analytics.viewCount', label: 'Views', group: COMMON_GROUP, type: 'number' },
+  { key: 'analytics.contactCount', label: 'Contact Requests', group: COMMON_GROUP, type: 'number' },
+  { key: 'analytics.favoriteCount', label: 'Favorites', group: COMMON_GROUP, type: 'number' },
+  { key: 'createdAt', label: 'Created Date', group: COMMON_GROUP, type: 'date' },
+  { key: 'updatedAt', label: 'Updated Date', group: COMMON_GROUP, type: 'date' },
+
+  // Business
+  { key: 'businessDetails.businessType', label: 'Business Type', group: LISTING_TYPES.BUSINESS, type: 'string' },
+  { key: 'businessDetails.establishedYear', label: 'Established Year', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.sale.askingPrice.value', label: 'Asking Price', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.sale.askingPrice.priceMultiple', label: 'Price Multiple', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.financials.annualRevenue.value', label: 'Business Annual Revenue', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.financials.monthlyRevenue.value', label: 'Monthly Revenue', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.financials.profitMargin.percentage', label: 'Profit Margin %', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.operations.employees.count', label: 'Employees', group: LISTING_TYPES.BUSINESS, type: 'number' },
+  { key: 'businessDetails.sale.reasonForSelling', label: 'Reason for Selling', group: LISTING_TYPES.BUSINESS, type: 'string' },
+
+  // Franchise
+  { key: 'franchiseDetails.franchiseBrand', label: 'Franchise Brand', group: LISTING_TYPES.FRANCHISE, type: 'string' },
+  { key: 'franchiseDetails.franchiseType', label: 'Franchise Type', group: LISTING_TYPES.FRANCHISE, type: 'string' },
+  { key: 'franchiseDetails.totalOutlets', label: 'Total Outlets', group: LISTING_TYPES.FRANCHISE, type: 'number' },
+  { key: 'franchiseDetails.investment.investmentRange.min.value', label: 'Investment Min', group: LISTING_TYPES.FRANCHISE, type: 'number' },
+  { key: 'franchiseDetails.investment.investmentRange.max.value', label: 'Investment Max', group: LISTING_TYPES.FRANCHISE, type: 'number' },
+  { key: 'franchiseDetails.investment.franchiseFee.value', label: 'Franchise Fee', group: LISTING_TYPES.FRANCHISE, type: 'number' },
+  { key: 'franchiseDetails.investment.royaltyFee.percentage', label: 'Royalty %', group: LISTING_TYPES.FRANCHISE, type: 'number' },
+  { key: 'franchiseDetails.performance.profitability.paybackPeriod', label: 'Payback Period', group: LISTING_TYPES.FRANCHISE, type: 'string' },
+
+  // Startup
+  { key: 'startupDetails.stage', label: 'Startup Stage', group: LISTING_TYPES.STARTUP, type: 'string' },
+  { key: 'startupDetails.foundedDate', label: 'Founded Date', group: LISTING_TYPES.STARTUP, type: 'date' },
+  { key: 'startupDetails.team.teamSize.total', label: 'Team Size', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.funding.current.isRaising', label: 'Currently Raising', group: LISTING_TYPES.STARTUP, type: 'boolean' },
+  { key: 'startupDetails.funding.current.targetAmount.value', label: 'Funding Target', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.funding.current.equity', label: 'Equity Offered %', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.funding.current.preMoney.value', label: 'Pre-money Valuation', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.funding.current.minimumInvestment.value', label: 'Minimum Investment', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.funding.history.totalRaised.value', label: 'Total Raised', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.funding.financials.burnRate.value', label: 'Monthly Burn Rate', group: LISTING_TYPES.STARTUP, type: 'number' },
+  { key: 'startupDetails.traction.userBase.total', label: 'Total Users', group: LISTING_TYPES.STARTUP, type: 'number' },
+
+  // Investor
+  { key: 'investorDetails.investorType', label: 'Investor Type', group: LISTING_TYPES.INVESTOR, type: 'string' },
+  { key: 'investorDetails.investment.capacity.minInvestment.value', label: 'Ticket Size Min', group: LISTING_TYPES.INVESTOR, type: 'number' },
+  { key: 'investorDetails.investment.capacity.maxInvestment.value', label: 'Ticket Size Max', group: LISTING_TYPES.INVESTOR, type: 'number' },
+  { key: 'investorDetails.investment.capacity.totalFundsAvailable.value', label: 'Total Funds Available', group: LISTING_TYPES.INVESTOR, type: 'number' },
+  { key: 'investorDetails.investment.preferences.typicalRounds', label: 'Typical Rounds', group: LISTING_TYPES.INVESTOR, type: 'list' },
+  { key: 'investorDetails.focus.geographicFocus', label: 'Geographic Focus', group: LISTING_TYPES.INVESTOR, type: 'list' },
+  { key: 'investorDetails.portfolio.overview.totalInvestments', label: 'Total Investments', group: LISTING_TYPES.INVESTOR, type: 'number' },
+
+  // Digital asset
+  { key: 'digitalAssetDetails.assetType', label: 'Asset Type', group: LISTING_TYPES.DIGITAL_ASSET, type: 'string' },
+  { key: 'digitalAssetDetails.platform', label: 'Platform', group: LISTING_TYPES.DIGITAL_ASSET, type: 'string' },
+  { key: 'digitalAssetDetails.niche', label: 'Niche', group: LISTING_TYPES.DIGITAL_ASSET, type: 'string' },
+  { key: 'digitalAssetDetails.domainInfo.domain', label: 'Domain', group: LISTING_TYPES.DIGITAL_ASSET, type: 'string' },
+  { key: 'digitalAssetDetails.sale.price.asking.value', label: 'Digital Asset Asking Price', group: LISTING_TYPES.DIGITAL_ASSET, type: 'number' },
+  { key: 'digitalAssetDetails.traffic.overview.monthlyVisitors', label: 'Monthly Visitors', group: LISTING_TYPES.DIGITAL_ASSET, type: 'number' },
+  { key: 'digitalAssetDetails.traffic.overview.monthlyPageviews', label: 'Monthly Pageviews', group: LISTING_TYPES.DIGITAL_ASSET, type: 'number' },
+  { key: 'digitalAssetDetails.traffic.overview.trafficTrend', label: 'Traffic Trend', group: LISTING_TYPES.DIGITAL_ASSET, type: 'string' },
+  { key: 'digitalAssetDetails.traffic.seo.organicTraffic', label: 'Organic Traffic', group: LISTING_TYPES.DIGITAL_ASSET, type: 'number' },
+  { key: 'digitalAssetDetails.traffic.behavior.bounceRate', label: 'Bounce Rate %', group: LISTING_TYPES.DIGITAL_ASSET, type: 'number' },
+  { key: 'digitalAssetDetails.users.subscribers', label: 'Subscribers', group: LISTING_TYPES.DIGITAL_ASSET, type: 'number' }
+];
+
+// Columns selected when the export dialog opens, matching the old CSV export
+export const DEFAULT_EXPORT_COLUMNS = [
+  'id', 'name', 'type', 'status', 'location.city', 'location.state', 'createdAt',
+  'price', 'ownerName', 'analytics.viewCount', 'analytics.contactCount'
+];
+
+/**
+ * Reads a dotted path from an object
+ *
+ * @param {Object} source - Object to read from
+ * @param {string} path - Dotted path, e.g. 'location.city'
+ * @returns {*} - Value or undefined
+ */
+export function getValueAtPath(source, path) {
+    return path.split('.').reduce(
+      (value, segment) => (value === null || value === undefined ? undefined : value[segment]),
+      source
+    );
+  }
+  
+  /**
+   * Builds an export record for a listing
+   *
+   * Values are normalized per column type: dates become Date objects, lists
+   * are joined with "; " and missing values become null.
+   *
+   * @param {Object} listing - Listing data
+   * @param {Array<Object>} columns - Columns from LISTING_EXPORT_COLUMNS
+   * @returns {Object} - Record keyed by column key
+   */
+  export function buildListingExportRecord(listing, columns) {
+    const record = {};
+  
+    columns.forEach(column => {
+      const value = getValueAtPath(listing, column.key);
+  
+      if (value === null || value === undefined || value === '') {
+        record[column.key] = null;
+        return;
+      }
+  
+      switch (column.type) {
+        case 'date':
+          record[column.key] = toDate(value);
+          break;
+        case 'list':
+          record[column.key] = Array.isArray(value) ? value.join('; ') : String(value);
+          break;
+        case 'number': {
+          const number = Number(value);
+          record[column.key] = Number.isFinite(number) ? number : String(value);
+          break;
+        }
+        case 'boolean':
+          record[column.key] = Boolean(value);
+          break;
+        default:
+          record[column.key] = typeof value === 'object' ? JSON.stringify(value) : value;
+      }
+    });
+  
+    return record;
+  }
@@ -0,0 +1,171 @@
+/**
+ * Listing Import Helpers
+ * Maps CSV columns onto the listing shape for bulk imports
+ */
+import { LISTING_TYPES, LISTING_STATUS } from '../config/constants';
+import { parseCsv, toCsvRow } from './export';
+import { LISTING_EXPORT_COLUMNS } from './listing-export';
+
+// Fields set by the system on create, never taken from an import file.
+// Imports cannot publish: every imported listing starts as a draft.
+const SYSTEM_FIELDS = [
+  'id', 'ownerId', 'ownerName', 'status', 'price', 'revenue', 'createdAt', 'updatedAt',
+  'analytics.viewCount', 'analytics.contactCount', 'analytics.favoriteCount'
+];
+
+/**
+ * Fields a CSV column can be mapped to. Shares keys and labels with the
+ * export catalog so an exported file can be imported again.
+ */
+export const LISTING_IMPORT_FIELDS = LISTING_EXPORT_COLUMNS.filter(
+  column => !SYSTEM_FIELDS.includes(column.key)
+);
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+/**
+ * Normalizes a header or label for matching
+ *
+ * @param {string} text - Header text
+ * @returns {string} - Lowercase text without punctuation
+ */
+function normalizeHeader(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+  
+  /**
+   * Parses an import file into headers and numbered data rows
+   *
+   * @param {string} text - CSV text
+   * @returns {Object} - { headers, rows } where rows are { rowNumber, cells }
+   */
+  export function parseListingCsv(text) {
+    const [headers = [], ...dataRows] = parseCsv(text);
+  
+    return {
+      headers: headers.map(header => header.trim()),
+      // Row 1 is the header, so data starts at row 2 as shown in spreadsheets
+      rows: dataRows.map((cells, index) => ({ rowNumber: index + 2, cells }))
+    };
+  }
+  
+  /**
+   * Guesses the listing field for each CSV header by key or label
+   *
+   * @param {Array<string>} headers - CSV headers
+   * @returns {Array<string|null>} - Field key per header, null when unmapped
+   */
+  export function autoMapHeaders(headers) {
+    return headers.map(header => {
+      const normalized = normalizeHeader(header);
+      const field = LISTING_IMPORT_FIELDS.find(column =>
+        normalizeHeader(column.key) === normalized || normalizeHeader(column.label) === normalized
+      );
+  
+      return field ? field.key : null;
+    });
+  }
+  
+  /**
+   * Sets a value at a dotted path, creating intermediate objects
+   *
+   * @param {Object} target - Object to modify
+   * @param {string} path - Dotted path
+   * @param {*} value - Value to set
+   */
+  function setValueAtPath(target, path, value) {
+    const segments = path.split('.');
+    let current = target;
+  
+    segments.slice(0, -1).forEach(segment => {
+      if (typeof current[segment] !== 'object' || current[segment] === null) {
+        current[segment] = {};
+      }
+      current = current[segment];
+    });
+  
+    current[segments[segments.length - 1]] = value;
+  }
+  
+  /**
+   * Converts a raw cell to the value stored for a field type
+   *
+   * @param {string} raw - Cell text
+   * @param {string} type - Field type
+   * @returns {*} - Coerced value (unparseable numbers are kept as text so validation reports them)
+   */
+  function coerceCellValue(raw, type) {
+    // Undo the formula guard added by the CSV export
+    const text = /^'[=+\-@]/.test(raw) ? raw.slice(1) : raw;
+  
+    switch (type) {
+      case 'number': {
+        const number = Number(text.replace(/[₹$,\s]/g, ''));
+        return Number.isFinite(number) ? number : text;
+      }
+      case 'boolean':
+        return TRUE_VALUES.includes(text.toLowerCase());
+      case 'list':
+        return text.split(/[;|]/).map(item => item.trim()).filter(Boolean);
+      default:
+        return text;
+    }
+  }
+  
+  /**
+   * Builds listing data from a CSV row using a column mapping
+   *
+   * Type accepts either its stored value or its display label
+   * ("Digital Asset"); status is always draft.
+   *
+   * @param {Array<string>} cells - Row cells
+   * @param {Array<string|null>} mapping - Field key per column
+   * @returns {Object} - Listing data ready for validation
+   */
+  export function buildListingFromRow(cells, mapping) {
+    const listing = {};
+  
+    mapping.forEach((key, index) => {
+      const raw = (cells[index] ?? '').trim();
+      if (!key || raw === '') return;
+  
+      const field = LISTING_IMPORT_FIELDS.find(column => column.key === key);
+      setValueAtPath(listing, key, coerceCellValue(raw, field?.type));
+    });
+  
+    if (listing.type) {
+      const normalized = normalizeHeader(listing.type);
+      listing.type = Object.values(LISTING_TYPES).find(type => normalizeHeader(type) === normalized)
+        || listing.type;
+    }
+  
+    listing.status = LISTING_STATUS.DRAFT;
+  
+    return listing;
+  }
+  
+  /**
+   * Builds a CSV error report for failed rows
+   *
+   * Each line repeats the original cells so the file can be fixed and
+   * imported again, with the row number and errors in front.
+   *
+   * @param {Array<string>} headers - Original CSV headers
+   * @param {Array<Object>} rows - Parsed rows ({ rowNumber, cells })
+   * @param {Array<Object>} failed - Failures ({ rowNumber, errors })
+   * @returns {Blob} - CSV file
+   */
+  export function buildImportErrorReport(headers, rows, failed) {
+    const cellsByRow = new Map(rows.map(row => [row.rowNumber, row.cells]));
+    const chunks = ['\uFEFF', toCsvRow(['Row', 'Errors', ...headers])];
+  
+    failed.forEach(({ rowNumber, errors }) => {
+      const messages = Object.entries(errors)
+        .map(([path, message]) => `${path}: ${message}`)
+        .join('; ');
+  
+      chunks.push(toCsvRow([rowNumber, messages, ...(cellsByRow.get(rowNumber) || [])]));
+    });
+  
+    return new Blob(chunks, { type: 'text/csv;charset=utf-8' });
+  }
@@ -0,0 +1,90 @@
+/**
+ * Listing Search Fields
+ * Denormalized fields that listing search and filters query on
+ */
+
+// Longest keyword prefix stored in the search index
+const MAX_KEYWORD_LENGTH = 15;
+
+/**
+ * Splits text into lowercase search tokens
+ *
+ * Letters of any script stay together with their combining marks, so
+ * Devanagari words are not broken at vowel signs.
+ *
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Unique tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  const tokens = String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(token => token.length > 1)
+    .map(token => token.slice(0, MAX_KEYWORD_LENGTH));
+
+  return [...new Set(tokens)];
+}
+
+/**
+ * Gets the headline price of a listing, whatever its type
+ * @param {Object} listing - Listing data
+ * @returns {number|null} - Price or null when not set
+ */
+export function getListingPrice(listing) {
+  const price = listing.businessDetails?.sale?.askingPrice?.value
+    ?? listing.franchiseDetails?.investment?.investmentRange?.min?.value
+    ?? listing.startupDetails?.funding?.current?.targetAmount?.value
+    ?? listing.investorDetails?.investment?.capacity?.minInvestment?.value
+    ?? listing.digitalAssetDetails?.sale?.price?.asking?.value;
+
+  return typeof price === 'number' ? price : null;
+}
+
+/**
+ * Gets the annual revenue of a listing where the type reports one
+ * @param {Object} listing - Listing data
+ * @returns {number|null} - Annual revenue or null when not reported
+ */
+export function getListingRevenue(listing) {
+  const revenue = listing.businessDetails?.financials?.annualRevenue?.value;
+
+  return typeof revenue === 'number' ? revenue : null;
+}
+
+/**
+ * Builds the denormalized search fields stored alongside a listing
+ *
+ * searchKeywords holds every token and its prefixes from the name,
+ * headline, descriptions, location and tags, so a single array-contains
+ * query can match partial words across the whole catalog.
+ *
+ * @param {Object} listing - Full listing data
+ * @returns {Object} - Fields to merge into the listing document
+ */
+export function buildSearchFields(listing) {
+  const text = [
+    listing.name,
+    listing.headline,
+    listing.shortDescription,
+    listing.description,
+    listing.location?.city,
+    listing.location?.state,
+    ...(listing.tags || []),
+    ...(listing.seo?.keywords || [])
+  ].join(' ');
+
+  const keywords = new Set();
+  tokenize(text).forEach(token => {
+    for (let i = 2; i <= token.length; i++) {
+      keywords.add(token.slice(0, i));
+    }
+  });
+
+  return {
+    searchKeywords: [...keywords],
+    price: getListingPrice(listing),
+    revenue: getListingRevenue(listing)
+  };
+}
@@ -0,0 +1,110 @@
+/**
+ * Maintenance Helpers
+ * Works out whether maintenance is in effect from the general settings:
+ * the manual switch (isMaintenanceMode) or a scheduled window covering now
+ */
+import {
+  MAINTENANCE_BYPASS_ROLES,
+  MAINTENANCE_ERROR_CODE
+} from '../config/constants';
+import { formatDate } from './helpers';
+import { toDate } from './export';
+
+  /**
+   * Scheduled windows sorted by start, with dates resolved
+   *
+   * @param {Object|null} settings - General settings
+   * @returns {Array<Object>} - Windows ({ id, startAt, endAt, message, ... })
+   */
+  export function getMaintenanceWindows(settings) {
+    return (settings?.maintenanceWindows || [])
+      .map(window => ({ ...window, startAt: toDate(window.startAt), endAt: toDate(window.endAt) }))
+      .filter(window => window.startAt && window.endAt)
+      .sort((a, b) => a.startAt - b.startAt);
+  }
+  
+  /**
+   * Works out the maintenance state at a moment
+   *
+   * Scheduled windows switch maintenance on at their start and off at their
+   * end without anything being written; the manual switch wins while on.
+   *
+   * @param {Object|null} settings - General settings
+   * @param {Date} now - Moment to evaluate
+   * @returns {Object} - { active, source ('manual'|'scheduled'|null), message,
+   *   window (current window), nextWindow (next upcoming window), bypassRoles }
+   */
+  export function getMaintenanceState(settings, now = new Date()) {
+    const windows = getMaintenanceWindows(settings);
+    const current = windows.find(window => window.startAt <= now && now < window.endAt) || null;
+    const nextWindow = windows.find(window => window.startAt > now) || null;
+    const bypassRoles = settings?.maintenanceBypassRoles || MAINTENANCE_BYPASS_ROLES;
+  
+    if (settings?.isMaintenanceMode) {
+      return {
+        active: true,
+        source: 'manual',
+        message: settings.maintenanceMessage || current?.message || '',
+        window: current,
+        nextWindow,
+        bypassRoles
+      };
+    }
+  
+    return {
+      active: Boolean(current),
+      source: current ? 'scheduled' : null,
+      message: current?.message || '',
+      window: current,
+      nextWindow,
+      bypassRoles
+    };
+  }
+  
+  /**
+   * Whether a role keeps write access during maintenance
+   *
+   * @param {Object} state - Result of getMaintenanceState
+   * @param {string|null} role - User's role ID
+   * @returns {boolean} - Whether writes are allowed
+   */
+  export function canBypassMaintenance(state, role) {
+    return Boolean(role) && state.bypassRoles.includes(role.toLowerCase());
+  }
+  
+  /**
+   * Error thrown for writes blocked by maintenance
+   *
+   * @param {Object} state - Result of getMaintenanceState
+   * @returns {Error} - Error with code MAINTENANCE_ERROR_CODE
+   */
+  export function createMaintenanceError(state) {
+    const until = state.source === 'scheduled' && state.window
+      ? ` until ${formatDate(state.window.endAt, 'long')}`
+      : '';
+    const error = new Error(
+      `The site is in maintenance${until}, so changes cannot be saved right now.`
+        + (state.message ? ` ${state.message}` : '')
+    );
+    error.code = MAINTENANCE_ERROR_CODE;
+    return error;
+  }
+  
+  /**
+   * Formats the time left until a moment as a countdown
+   *
+   * @param {Date} target - Moment counted down to
+   * @param {Date} now - Current time
+   * @returns {string} - e.g. "2d 03:14:05" or "00:04:59"
+   */
+  export function formatCountdown(target, now = new Date()) {
+    const totalSeconds = Math.max(0, Math.floor((target - now) / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const clock = [
+      Math.floor((totalSeconds % 86400) / 3600),
+      Math.floor((totalSeconds % 3600) / 60),
+      totalSeconds % 60
+    ].map(part => String(part).padStart(2, '0')).join(':');
+  
+    return days > 0 ? `${days}d ${clock}` : clock;
+  }
@@ -0,0 +1,64 @@
+/**
+ * Permission Helpers
+ * Resolves what a role grants and checks permissions against it
+ */
+import { ALL_PERMISSIONS, SYSTEM_ROLES, MEMBER_ROLES } from '../config/constants';
+
+/**
+ * Checks whether a set of granted permissions includes a permission
+ *
+ * @param {Array<string>} granted - Permissions granted to the user
+ * @param {string|Array<string>} permission - Permission, or a list of which any one suffices
+ * @returns {boolean} - Whether the permission is granted
+ */
+export function hasPermission(granted, permission) {
+    if (!Array.isArray(granted) || granted.length === 0) return false;
+    if (granted.includes(ALL_PERMISSIONS)) return true;
+  
+    const required = Array.isArray(permission) ? permission : [permission];
+    return required.some(item => granted.includes(item));
+  }
+  
+  /**
+   * Resolves the permissions of a role
+   *
+   * A saved roles/{id} document wins; built-in roles fall back to their
+   * defaults and marketplace roles never grant anything.
+   *
+   * @param {string} roleId - Role ID (users/{uid}.role)
+   * @param {Object|null} roleData - roles/{id} document data, if it exists
+   * @returns {Array<string>} - Granted permissions
+   */
+  export function resolveRolePermissions(roleId, roleData = null) {
+    if (!roleId || MEMBER_ROLES.includes(roleId)) return [];
+    if (roleData && !roleData.isDeleted && Array.isArray(roleData.permissions)) return roleData.permissions;
+    return SYSTEM_ROLES[roleId]?.permissions || [];
+  }
+  
+  /**
+   * Checks whether someone may hand out a set of permissions
+   *
+   * Only holders of every permission in the set can grant it, so no one can
+   * raise a user above their own access; 'all' is reserved to Super Admins.
+   *
+   * @param {Array<string>} granted - Permissions of the granting user
+   * @param {Array<string>} permissions - Permissions to be granted
+   * @returns {boolean} - Whether they may be granted
+   */
+  export function canGrantPermissions(granted, permissions) {
+    if (Array.isArray(granted) && granted.includes(ALL_PERMISSIONS)) return true;
+    return permissions.every(permission => permission !== ALL_PERMISSIONS && hasPermission(granted, permission));
+  }
+  
+  /**
+   * Formats a permission key for display ("approve_listings" -> "Approve Listings")
+   *
+   * @param {string} permission - Permission key
+   * @returns {string} - Display label
+   */
+  export function formatPermissionLabel(permission) {
+    return permission
+      .split('_')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
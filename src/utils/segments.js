@@ -0,0 +1,116 @@
+/**
+ * Segment Helpers
+ * Matches users against feature flag segments defined by user attributes
+ */
+import { toDate } from './export';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Plan type of users without an active subscription
+export const NO_PLAN = 'none';
+
+// Attributes a segment rule can test, with the operators each supports
+export const SEGMENT_ATTRIBUTES = {
+  role: { label: 'Role', operators: ['in', 'not_in'] },
+  planType: { label: 'Plan type', operators: ['in', 'not_in'] },
+  city: { label: 'City', operators: ['in', 'not_in'] },
+  signupDate: { label: 'Signup date', operators: ['before', 'after', 'within_days'] }
+};
+
+export const SEGMENT_OPERATORS = {
+  in: 'is one of',
+  not_in: 'is not one of',
+  before: 'is before',
+  after: 'is on or after',
+  within_days: 'is within the last (days)'
+};
+
+/**
+ * Reads the attributes segments are defined on from a user document
+ *
+ * @param {Object} user - User document
+ * @returns {Object} - { role, planType, city, signupDate }
+ */
+export function getUserAttributes(user) {
+    const plan = user?.currentPlan;
+    const hasActivePlan = plan?.type && (!plan.status || plan.status === 'active');
+  
+    return {
+      role: (user?.role || '').toLowerCase(),
+      planType: hasActivePlan ? plan.type.toLowerCase() : NO_PLAN,
+      city: (user?.location?.city || user?.city || '').trim().toLowerCase(),
+      signupDate: toDate(user?.createdAt)
+    };
+  }
+  
+  /**
+   * Checks one rule against a user's attributes
+   *
+   * List operators compare case-insensitively. Date rules never match users
+   * without a signup date.
+   *
+   * @param {Object} rule - Rule ({ attribute, operator, value })
+   * @param {Object} attributes - Result of getUserAttributes
+   * @param {Date} now - Reference time for within_days
+   * @returns {boolean} - Whether the rule matches
+   */
+  export function matchesRule(rule, attributes, now = new Date()) {
+    const actual = attributes[rule.attribute];
+  
+    switch (rule.operator) {
+      case 'in':
+      case 'not_in': {
+        const values = (Array.isArray(rule.value) ? rule.value : [rule.value])
+          .map(value => String(value).trim().toLowerCase())
+          .filter(Boolean);
+        const found = values.includes(actual);
+        return rule.operator === 'in' ? found : !found;
+      }
+      case 'before':
+        return Boolean(actual) && actual < new Date(rule.value);
+      case 'after':
+        return Boolean(actual) && actual >= new Date(rule.value);
+      case 'within_days':
+        return Boolean(actual) && now - actual <= Number(rule.value) * DAY_MS;
+      default:
+        return false;
+    }
+  }
+  
+  /**
+   * Checks whether a user belongs to a segment (every rule must match)
+   *
+   * @param {Object} segment - Segment ({ name, rules })
+   * @param {Object} user - User document
+   * @param {Date} now - Reference time
+   * @returns {boolean} - Whether the user is in the segment
+   */
+  export function matchesSegment(segment, user, now = new Date()) {
+    const attributes = getUserAttributes(user);
+    return (segment.rules || []).length > 0
+      && segment.rules.every(rule => matchesRule(rule, attributes, now));
+  }
+  
+  /**
+   * Finds the first segment a user belongs to
+   *
+   * @param {Array<Object>} segments - Segments
+   * @param {Object} user - User document
+   * @param {Date} now - Reference time
+   * @returns {Object|null} - Matching segment or null
+   */
+  export function findMatchingSegment(segments, user, now = new Date()) {
+    return (segments || []).find(segment => matchesSegment(segment, user, now)) || null;
+  }
+  
+  /**
+   * Describes a rule in words, e.g. "Role is one of admin, moderator"
+   *
+   * @param {Object} rule - Rule ({ attribute, operator, value })
+   * @returns {string} - Description
+   */
+  export function describeRule(rule) {
+    const attribute = SEGMENT_ATTRIBUTES[rule.attribute]?.label || rule.attribute;
+    const value = Array.isArray(rule.value) ? rule.value.join(', ') : rule.value;
+    return `${attribute} ${SEGMENT_OPERATORS[rule.operator] || rule.operator} ${value}`;
+  }
@@ -0,0 +1,219 @@
+/**
+ * Subscription Lifecycle Helpers
+ * Date arithmetic and the next lifecycle step of a subscription. Every
+ * function takes the current time as an argument so sweeps can run, and be
+ * checked, against any clock.
+ */
+import {
+  SUBSCRIPTION_STATUS,
+  SUBSCRIPTION_GRACE_DAYS,
+  SUBSCRIPTION_REMINDER_DAYS,
+  DEFAULT_PLAN_DURATION_DAYS
+} from '../config/constants';
+import { toDate } from './export';
+import { roundAmount } from './finance';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Adds whole days to a date
+ *
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} - New date
+ */
+export function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+  }
+  
+  /**
+   * Days from now until a date, rounded up
+   *
+   * @param {Date} date - Target date
+   * @param {Date} now - Current time
+   * @returns {number} - Days left; zero or less once the date has passed
+   */
+  export function daysUntil(date, now) {
+    return Math.ceil((date.getTime() - now.getTime()) / DAY_MS);
+  }
+  
+  /**
+   * Length of one subscription period in days
+   *
+   * @param {Object} plan - Plan (duration.days)
+   * @returns {number} - Days per period
+   */
+  export function getPlanDurationDays(plan) {
+    return plan?.duration?.days || DEFAULT_PLAN_DURATION_DAYS;
+  }
+  
+  /**
+   * Terms of a plan that subscribers are held to: price, period and limits
+   *
+   * Changing any of these creates a new plan version; subscriptions keep the
+   * terms of the version they bought.
+   *
+   * @param {Object} plan - Plan or plan version
+   * @returns {Object} - { pricing, duration, limits }
+   */
+  export function getPlanTerms(plan) {
+    return {
+      pricing: plan?.pricing || {},
+      duration: plan?.duration || {},
+      limits: plan?.limits || {}
+    };
+  }
+  
+  /**
+   * End date of a subscription, derived from its start when it was never stored
+   *
+   * @param {Object} subscription - Subscription
+   * @returns {Date|null} - End date, null when the start is unknown too
+   */
+  export function getSubscriptionEndDate(subscription) {
+    const endDate = toDate(subscription.endDate);
+    if (endDate) return endDate;
+  
+    const startDate = toDate(subscription.currentPeriodStart || subscription.startDate || subscription.createdAt);
+    if (!startDate) return null;
+  
+    return addDays(startDate, subscription.details?.durationDays || DEFAULT_PLAN_DURATION_DAYS);
+  }
+  
+  /**
+   * Reminder thresholds reached and not yet sent
+   *
+   * A sweep that runs late sends one reminder for the nearest threshold and
+   * marks the earlier ones as sent.
+   *
+   * @param {Object} subscription - Active subscription
+   * @param {Date} now - Current time
+   * @param {Array<number>} reminderDays - Days before the end date
+   * @returns {Object|null} - { daysLeft, thresholds } or null when none is due
+   */
+  export function getDueReminder(subscription, now, reminderDays = SUBSCRIPTION_REMINDER_DAYS) {
+    const endDate = getSubscriptionEndDate(subscription);
+    if (!endDate || endDate <= now) return null;
+  
+    const daysLeft = daysUntil(endDate, now);
+    const sent = subscription.lifecycle?.remindersSent || [];
+    const thresholds = reminderDays.filter(days => daysLeft <= days && !sent.includes(days));
+  
+    return thresholds.length > 0 ? { daysLeft, thresholds } : null;
+  }
+  
+  /**
+   * Works out the next lifecycle step of a subscription
+   *
+   * Active subscriptions without an end date get one. Past their end date
+   * they renew when auto-renew is on and are paused for the grace period
+   * otherwise, or while a renewal charge is still pending; before it they
+   * get expiry reminders. Paused subscriptions expire once their grace
+   * period is over.
+   *
+   * @param {Object} subscription - Subscription
+   * @param {Date} now - Current time
+   * @param {Object} options - { graceDays, reminderDays }
+   * @returns {Object|null} - Step ({ type, ... }) where type is 'set_end_date',
+   *   'remind', 'renew', 'pause' or 'expire'; null when nothing is due
+   */
+  export function getLifecycleStep(subscription, now, {
+    graceDays = SUBSCRIPTION_GRACE_DAYS,
+    reminderDays = SUBSCRIPTION_REMINDER_DAYS
+  } = {}) {
+    if (subscription.isDeleted) return null;
+  
+    if (subscription.status === SUBSCRIPTION_STATUS.ACTIVE) {
+      const endDate = getSubscriptionEndDate(subscription);
+      if (!endDate) return null;
+  
+      if (!subscription.endDate) {
+        return { type: 'set_end_date', endDate };
+      }
+  
+      if (endDate <= now) {
+        return subscription.payment?.hasAutoRenew && !subscription.pendingRenewal
+          ? { type: 'renew', periodStart: endDate }
+          : { type: 'pause', graceEndsAt: addDays(endDate, graceDays) };
+      }
+  
+      const reminder = getDueReminder(subscription, now, reminderDays);
+      return reminder ? { type: 'remind', ...reminder, endDate } : null;
+    }
+  
+    if (subscription.status === SUBSCRIPTION_STATUS.PAUSED) {
+      const graceEndsAt = toDate(subscription.graceEndsAt);
+      return graceEndsAt && graceEndsAt <= now ? { type: 'expire' } : null;
+    }
+  
+    return null;
+  }
+  
+  /**
+   * Settles a charge against the user's account credit first
+   *
+   * @param {number} amount - Amount charged
+   * @param {number} creditBalance - Account credit (users.creditBalance)
+   * @returns {Object} - { creditApplied, amountDue }
+   */
+  export function applyAccountCredit(amount, creditBalance = 0) {
+    const creditApplied = roundAmount(Math.min(Math.max(0, creditBalance || 0), Math.max(0, amount)));
+    return { creditApplied, amountDue: roundAmount(Math.max(0, amount - creditApplied)) };
+  }
+  
+  /**
+   * Works out the charge for moving a subscription to another plan
+   *
+   * The unused days of the current period are credited at the price paid for
+   * it and the remaining connects move over to the new plan. The new plan
+   * starts a fresh period now. Whatever the unused days do not cover is paid
+   * from the user's account credit first; credit beyond the new price is
+   * added to it.
+   *
+   * @param {Object} subscription - Active subscription
+   * @param {Object} plan - Plan to move to, with its id
+   * @param {Date} now - Current time
+   * @param {number} creditBalance - The user's account credit
+   * @returns {Object} - Quote ({ direction, currency, period, credit, charge, creditApplied,
+   *   amountDue, accountCredit, connects, startDate, endDate })
+   */
+  export function calculatePlanChange(subscription, plan, now, creditBalance = 0) {
+    const currentTerms = subscription.terms || {};
+    const newTerms = getPlanTerms(plan);
+    const currency = subscription.payment?.currency || currentTerms.pricing?.currency;
+    const newCurrency = newTerms.pricing.currency || currency;
+  
+    if (currency && newCurrency && currency !== newCurrency) {
+      throw new Error(`Cannot change from a ${currency} plan to a ${newCurrency} plan`);
+    }
+  
+    const periodDays = subscription.details?.durationDays || getPlanDurationDays(currentTerms);
+    const endDate = getSubscriptionEndDate(subscription);
+    const unusedDays = endDate ? Math.min(periodDays, Math.max(0, daysUntil(endDate, now))) : 0;
+    const paid = subscription.payment?.amount ?? currentTerms.pricing?.amount ?? 0;
+    const creditAmount = roundAmount(paid * unusedDays / periodDays);
+    const charge = newTerms.pricing.amount || 0;
+    const connectsRemaining = subscription.usage?.connectsRemaining || 0;
+    const planConnects = newTerms.limits.totalConnects || 0;
+    const durationDays = getPlanDurationDays(newTerms);
+    const { creditApplied, amountDue } = applyAccountCredit(charge - creditAmount, creditBalance);
+  
+    return {
+      direction: charge > paid ? 'upgrade' : charge < paid ? 'downgrade' : 'change',
+      currency: newCurrency,
+      period: { days: periodDays, unusedDays, paid },
+      credit: { amount: creditAmount, connects: connectsRemaining },
+      charge,
+      creditApplied,
+      amountDue,
+      accountCredit: roundAmount(Math.max(0, creditAmount - charge)),
+      connects: {
+        plan: planConnects,
+        carriedOver: connectsRemaining,
+        total: planConnects + connectsRemaining
+      },
+      durationDays,
+      startDate: now,
+      endDate: addDays(now, durationDays)
+    };
+  }
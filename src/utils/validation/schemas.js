@@ -3,7 +3,8 @@
  * Defines Yup validation schemas for various entity types
  */
 import * as Yup from 'yup';
-import { USER_ROLES, LISTING_TYPES, LISTING_STATUS } from '../../config/constants';
+import { USER_ROLES, LISTING_TYPES, LISTING_STATUS, PLAN_BILLING_CYCLES } from '../../config/constants';
+import { SEGMENT_ATTRIBUTES } from '../segments';
 
 // Phone number regex for Indian numbers
 const phoneRegExp = /^(\+91[\-\s]?)?[0]?(91)?[6789]\d{9}$/;
@@ -228,16 +229,47 @@ export const planSchema = Yup.object().shape({
   description: Yup.string()
     .max(500, 'Description must be less than 500 characters')
     .required('Description is required'),
-  'pricing.amount': Yup.number()
-    .min(0, 'Price cannot be negative')
-    .required('Price is required'),
-  'pricing.currency': Yup.string()
-    .required('Currency is required'),
-  'pricing.billingCycle': Yup.string()
-    .required('Billing cycle is required'),
-  'duration.days': Yup.number()
-    .min(1, 'Duration must be at least 1 day')
-    .required('Duration in days is required')
+  pricing: Yup.object().shape({
+    amount: Yup.number()
+      .typeError('Price must be a number')
+      .min(0, 'Price cannot be negative')
+      .required('Price is required'),
+    currency: Yup.string()
+      .required('Currency is required'),
+    billingCycle: Yup.string()
+      .oneOf(PLAN_BILLING_CYCLES, 'Invalid billing cycle')
+      .required('Billing cycle is required')
+  }),
+  duration: Yup.object().shape({
+    days: Yup.number()
+      .typeError('Duration must be a number')
+      .integer('Duration must be whole days')
+      .min(1, 'Duration must be at least 1 day')
+      .required('Duration in days is required')
+  }),
+  limits: Yup.object().shape({
+    totalConnects: Yup.number()
+      .typeError('Connects must be a number')
+      .integer('Connects must be a whole number')
+      .min(0, 'Connects cannot be negative')
+      .required('Connects are required'),
+    listings: Yup.object().shape({
+      total: Yup.number()
+        .typeError('Listings must be a number')
+        .integer('Listings must be a whole number')
+        .min(0, 'Listings cannot be negative')
+        .required('Listings are required')
+    })
+  }),
+  availability: Yup.object().shape({
+    forListingTypes: Yup.array()
+      .of(Yup.string().oneOf(Object.values(LISTING_TYPES)))
+      .min(1, 'Select at least one listing type')
+  }),
+  display: Yup.object().shape({
+    order: Yup.number()
+      .typeError('Display order must be a number')
+  })
 });
 
 /**
@@ -293,4 +325,54 @@ export const commissionSchema = Yup.object().shape({
     .required('Currency is required'),
   paymentMethod: Yup.string()
     .required('Payment method is required')
-});
\ No newline at end of file
+});
+/**
+ * Feature flag segment rule validation schema
+ */
+export const segmentRuleSchema = Yup.object().shape({
+  attribute: Yup.string()
+    .oneOf(Object.keys(SEGMENT_ATTRIBUTES), 'Invalid attribute')
+    .required('Attribute is required'),
+  operator: Yup.string()
+    .required('Operator is required')
+    .test('operator-for-attribute', 'Operator does not apply to this attribute', function (operator) {
+      return SEGMENT_ATTRIBUTES[this.parent.attribute]?.operators.includes(operator) ?? false;
+    }),
+  value: Yup.mixed()
+    .test('rule-value', 'Enter a value for this rule', function (value) {
+      const { operator } = this.parent;
+      if (operator === 'in' || operator === 'not_in') {
+        return Array.isArray(value) && value.length > 0;
+      }
+      if (operator === 'within_days') {
+        return Number.isInteger(Number(value)) && Number(value) > 0;
+      }
+      return Boolean(value) && !isNaN(new Date(value));
+    })
+});
+
+/**
+ * Feature flag validation schema
+ */
+export const featureFlagSchema = Yup.object().shape({
+  id: Yup.string()
+    .matches(/^[a-z0-9][a-z0-9_-]*$/, 'Use lowercase letters, numbers, dashes and underscores')
+    .max(60, 'ID must be less than 60 characters')
+    .required('ID is required'),
+  description: Yup.string()
+    .max(300, 'Description must be less than 300 characters')
+    .required('Description is required'),
+  rolloutPercentage: Yup.number()
+    .typeError('Rollout must be a number')
+    .min(0, 'Rollout cannot be below 0%')
+    .max(100, 'Rollout cannot exceed 100%')
+    .required('Rollout is required'),
+  userSegments: Yup.array().of(Yup.object().shape({
+    name: Yup.string()
+      .trim()
+      .required('Segment name is required'),
+    rules: Yup.array()
+      .of(segmentRuleSchema)
+      .min(1, 'Add at least one rule')
+  }))
+});
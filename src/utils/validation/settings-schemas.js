@@ -0,0 +1,187 @@
+/**
+ * Settings Validation Schemas
+ * One Yup schema per settings category; field defaults double as the
+ * initial values for categories that have never been saved
+ */
+import * as Yup from 'yup';
+
+// URL regex pattern
+const urlRegExp = /^(https?:\/\/)?(www\.)?[-a-zA-Z0-9@:%._+~#=]{1,256}\.[a-zA-Z0-9()]{1,6}\b([-a-zA-Z0-9()@:%_+.~#?&//=]*)$/;
+
+// Hex colour, e.g. #2563eb
+const colorRegExp = /^#[0-9a-f]{6}$/i;
+
+export const TIMEZONES = ['Asia/Kolkata', 'UTC', 'America/Los_Angeles', 'America/New_York'];
+
+export const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD'];
+
+export const CURRENCIES = ['INR', 'USD'];
+
+export const EMAIL_PROVIDERS = ['smtp', 'sendgrid', 'ses'];
+
+export const BACKUP_FREQUENCIES = ['off', 'daily', 'weekly', 'monthly'];
+
+// Optional string that is stored as an empty string when left blank
+const optionalString = () => Yup.string().trim().default('');
+
+const optionalUrl = (message) => optionalString().matches(urlRegExp, {
+  message,
+  excludeEmptyString: true
+});
+
+export const generalSettingsSchema = Yup.object().shape({
+  siteName: Yup.string()
+    .trim()
+    .min(2, 'Website name must be at least 2 characters')
+    .max(60, 'Website name must be less than 60 characters')
+    .required('Website name is required')
+    .default('Business Options'),
+  tagline: optionalString()
+    .max(120, 'Tagline must be less than 120 characters'),
+  adminEmail: Yup.string()
+    .trim()
+    .email('Invalid email address')
+    .required('Admin email is required')
+    .default(''),
+  supportEmail: optionalString()
+    .email('Invalid email address'),
+  timezone: Yup.string()
+    .oneOf(TIMEZONES, 'Invalid timezone')
+    .default('Asia/Kolkata'),
+  dateFormat: Yup.string()
+    .oneOf(DATE_FORMATS, 'Invalid date format')
+    .default('DD/MM/YYYY'),
+  currency: Yup.string()
+    .oneOf(CURRENCIES, 'Invalid currency')
+    .default('INR')
+});
+
+export const emailSettingsSchema = Yup.object().shape({
+  provider: Yup.string()
+    .oneOf(EMAIL_PROVIDERS, 'Invalid email provider')
+    .default('smtp'),
+  senderName: Yup.string()
+    .trim()
+    .max(60, 'Sender name must be less than 60 characters')
+    .required('Sender name is required')
+    .default('Business Options'),
+  senderEmail: Yup.string()
+    .trim()
+    .email('Invalid email address')
+    .required('Sender email is required')
+    .default(''),
+  replyToEmail: optionalString()
+    .email('Invalid email address'),
+  smtpHost: optionalString()
+    .when('provider', {
+      is: 'smtp',
+      then: schema => schema.required('SMTP host is required')
+    }),
+  smtpPort: Yup.number()
+    .typeError('SMTP port must be a number')
+    .integer('SMTP port must be a whole number')
+    .min(1, 'Invalid port')
+    .max(65535, 'Invalid port')
+    .default(587),
+  smtpUsername: optionalString(),
+  notifyOnNewListing: Yup.boolean().default(true),
+  notifyOnNewApplication: Yup.boolean().default(true)
+});
+
+export const integrationSettingsSchema = Yup.object().shape({
+  googleAnalyticsId: optionalString()
+    .matches(/^(G|UA)-[A-Z0-9-]+$/i, { message: 'Use a G-XXXXXXX or UA-XXXXX-X measurement ID', excludeEmptyString: true }),
+  googleMapsApiKey: optionalString(),
+  recaptchaSiteKey: optionalString(),
+  razorpayKeyId: optionalString()
+    .matches(/^rzp_(live|test)_/, { message: 'Razorpay key IDs start with rzp_live_ or rzp_test_', excludeEmptyString: true }),
+  slackWebhookUrl: optionalUrl('Invalid webhook URL')
+});
+
+export const contentSettingsSchema = Yup.object().shape({
+  listingsPerPage: Yup.number()
+    .typeError('Listings per page must be a number')
+    .integer('Listings per page must be a whole number')
+    .min(6, 'Show at least 6 listings per page')
+    .max(100, 'Show at most 100 listings per page')
+    .default(12),
+  maxImagesPerListing: Yup.number()
+    .typeError('Maximum images must be a number')
+    .integer('Maximum images must be a whole number')
+    .min(1, 'Allow at least 1 image')
+    .max(50, 'Allow at most 50 images')
+    .default(10),
+  requireListingApproval: Yup.boolean().default(true),
+  allowReviews: Yup.boolean().default(true),
+  termsUrl: optionalUrl('Invalid URL'),
+  privacyUrl: optionalUrl('Invalid URL')
+});
+
+export const databaseSettingsSchema = Yup.object().shape({
+  backupFrequency: Yup.string()
+    .oneOf(BACKUP_FREQUENCIES, 'Invalid backup frequency')
+    .default('daily'),
+  backupRetentionDays: Yup.number()
+    .typeError('Retention must be a number')
+    .integer('Retention must be a whole number of days')
+    .min(1, 'Keep backups for at least 1 day')
+    .max(365, 'Keep backups for at most 365 days')
+    .default(30),
+  deletedRecordRetentionDays: Yup.number()
+    .typeError('Retention must be a number')
+    .integer('Retention must be a whole number of days')
+    .min(0, 'Retention cannot be negative')
+    .max(3650, 'Retention must be less than 10 years')
+    .default(90)
+});
+
+export const themeSettingsSchema = Yup.object().shape({
+  primaryColor: Yup.string()
+    .matches(colorRegExp, 'Use a hex colour such as #2563eb')
+    .default('#2563eb'),
+  secondaryColor: Yup.string()
+    .matches(colorRegExp, 'Use a hex colour such as #2563eb')
+    .default('#4f46e5'),
+  logoUrl: optionalUrl('Invalid logo URL'),
+  faviconUrl: optionalUrl('Invalid favicon URL')
+});
+
+export const maintenanceSettingsSchema = Yup.object().shape({
+  isMaintenanceMode: Yup.boolean().default(false),
+  maintenanceMessage: optionalString()
+    .max(300, 'Message must be less than 300 characters')
+    .when('isMaintenanceMode', {
+      is: true,
+      then: schema => schema.required('Tell visitors why the site is down')
+    })
+});
+
+export const homepageSectionsSchema = Yup.object().shape({
+  hero: Yup.boolean().default(true),
+  search: Yup.boolean().default(true),
+  featuredBusinesses: Yup.boolean().default(true),
+  popularFranchises: Yup.boolean().default(true),
+  trendingStartups: Yup.boolean().default(true),
+  topInvestors: Yup.boolean().default(true),
+  latestDigitalAssets: Yup.boolean().default(true),
+  testimonials: Yup.boolean().default(true),
+  blogPosts: Yup.boolean().default(true),
+  newsletter: Yup.boolean().default(true)
+});
+
+/**
+ * Picks a category's fields from stored settings, filling gaps with defaults
+ *
+ * Bookkeeping fields (updatedAt, updatedBy) and fields owned by other
+ * forms are dropped so they never show up as form values.
+ *
+ * @param {Object} schema - Category schema
+ * @param {Object|null} stored - Stored settings document
+ * @returns {Object} - Form values
+ */
+export const toSettingsFormValues = (schema, stored) => {
+  const defaults = schema.getDefault();
+  return Object.fromEntries(
+    Object.keys(defaults).map(key => [key, stored?.[key] ?? defaults[key]])
+  );
+};
@@ -0,0 +1,489 @@
+// tests/emulators/firestore.rules.test.js
+import { createHash } from 'node:crypto';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, increment, writeBatch, serverTimestamp
+} from 'firebase/firestore';
+import { createTestEnvironment, seed, seedUsers, firestoreAs, daysFromNow } from './setup';
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await seedUsers(testEnv);
+});
+
+describe('staff permissions', () => {
+  it('resolves the moderator defaults without a role document', async () => {
+    const db = firestoreAs(testEnv, 'moderator');
+    await assertSucceeds(getDoc(doc(db, 'users/buyer')));
+    await assertFails(getDoc(doc(db, 'transactions/t1')));
+    await assertFails(setDoc(doc(db, 'industries/retail'), { name: 'Retail' }));
+  });
+
+  it('limits a custom role to its own permissions', async () => {
+    const db = firestoreAs(testEnv, 'analyst');
+    await assertSucceeds(getDoc(doc(db, 'analytics/2026-10')));
+    await assertFails(getDoc(doc(db, 'users/buyer')));
+    await assertFails(getDoc(doc(db, 'transactions/t1')));
+    await assertFails(getDoc(doc(db, 'auditLogs/a1')));
+    await assertFails(setDoc(doc(db, 'industries/retail'), { name: 'Retail' }));
+  });
+
+  it('treats any role holding all as Super Admin', async () => {
+    await seed(testEnv, {
+      'users/root': { uid: 'root', role: 'superuser' },
+      'listings/l1': { ownerId: 'owner', status: 'draft' }
+    });
+    const db = firestoreAs(testEnv, 'root');
+    await assertSucceeds(getDoc(doc(db, 'transactions/t1')));
+    await assertSucceeds(deleteDoc(doc(db, 'listings/l1')));
+  });
+
+  it('gives member roles no staff access', async () => {
+    const db = firestoreAs(testEnv, 'owner');
+    await assertFails(getDoc(doc(db, 'users/buyer')));
+    await assertFails(getDoc(doc(db, 'analytics/2026-10')));
+  });
+});
+
+describe('profiles', () => {
+  const profile = { uid: 'newcomer', email: 'new@example.com', displayName: 'New', role: 'user', status: 'active', isDeleted: false };
+
+  it('lets a new account create its own plain profile', async () => {
+    await assertSucceeds(setDoc(doc(firestoreAs(testEnv, 'newcomer'), 'users/newcomer'), profile));
+  });
+
+  it('keeps plan, balances and verification out of a self-created profile', async () => {
+    const db = firestoreAs(testEnv, 'newcomer');
+    await assertFails(setDoc(doc(db, 'users/newcomer'), { ...profile, connectsBalance: 500 }));
+    await assertFails(setDoc(doc(db, 'users/newcomer'), { ...profile, currentPlan: { id: 'premium', status: 'active' } }));
+    await assertFails(setDoc(doc(db, 'users/newcomer'), { ...profile, verification: { isIdentityVerified: true } }));
+    await assertFails(setDoc(doc(db, 'users/newcomer'), { ...profile, status: 'verified' }));
+  });
+
+  it('keeps identity verification out of profile edits', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertSucceeds(updateDoc(doc(db, 'users/buyer'), { displayName: 'Buyer' }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { 'verification.isIdentityVerified': true }));
+  });
+});
+
+describe('role management', () => {
+  it('lets role managers grant roles within their own permissions', async () => {
+    const db = firestoreAs(testEnv, 'roleManager');
+    await assertSucceeds(updateDoc(doc(db, 'users/buyer'), { role: 'viewer' }));
+  });
+
+  it('stops role managers from granting more than they hold', async () => {
+    const db = firestoreAs(testEnv, 'roleManager');
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { role: 'analyst' }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { role: 'moderator' }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { role: 'admin' }));
+  });
+
+  it('stops role managers from demoting admins or wider roles', async () => {
+    const db = firestoreAs(testEnv, 'roleManager');
+    await assertFails(updateDoc(doc(db, 'users/admin'), { role: 'user' }));
+    await assertFails(updateDoc(doc(db, 'users/moderator'), { role: 'user' }));
+  });
+
+  it('lets role managers edit roles only within their own permissions', async () => {
+    const db = firestoreAs(testEnv, 'roleManager');
+    await assertSucceeds(updateDoc(doc(db, 'roles/viewer'), { permissions: ['view_users', 'manage_roles'] }));
+    await assertSucceeds(setDoc(doc(db, 'roles/support'), { name: 'Support', permissions: ['view_users'] }));
+    await assertFails(updateDoc(doc(db, 'roles/viewer'), { permissions: ['view_users', 'refund_transactions'] }));
+    await assertFails(setDoc(doc(db, 'roles/support2'), { name: 'Support', permissions: ['all'] }));
+  });
+
+  it('stops role managers from editing wider roles or their own', async () => {
+    const db = firestoreAs(testEnv, 'roleManager');
+    await assertFails(updateDoc(doc(db, 'roles/finance'), { permissions: ['view_users'] }));
+    await assertFails(setDoc(doc(db, 'roles/moderator'), { name: 'Moderator', permissions: ['view_users'] }));
+    await assertFails(updateDoc(doc(db, 'roles/role_manager'), { description: 'Handles roles' }));
+  });
+
+  it('applies the same limit to invitations', async () => {
+    const db = firestoreAs(testEnv, 'roleManager');
+    await assertSucceeds(setDoc(doc(db, 'invitations/i1'), { email: 'a@example.com', role: 'viewer', status: 'pending' }));
+    await assertFails(setDoc(doc(db, 'invitations/i2'), { email: 'b@example.com', role: 'finance', status: 'pending' }));
+  });
+
+  it('keeps users from changing their own role', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertSucceeds(updateDoc(doc(db, 'users/buyer'), { displayName: 'Buyer' }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { role: 'admin' }));
+  });
+});
+
+describe('notifications', () => {
+  const notification = (userId, extra = {}) => ({
+    userId,
+    type: 'system',
+    title: 'Hello',
+    ...extra
+  });
+
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'messages/m1': { sender: 'buyer', recipient: 'owner', chatroomId: 'c1' }
+    });
+  });
+
+  it('lets users notify themselves', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertSucceeds(setDoc(doc(db, 'notifications/n1'), notification('buyer', { createdBy: 'buyer' })));
+  });
+
+  it('rejects notifications to unrelated users', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertFails(setDoc(doc(db, 'notifications/n1'), notification('other', { createdBy: 'buyer' })));
+  });
+
+  it('lets a sender notify the recipient of their message', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    const message = { createdBy: 'buyer', type: 'message', related: { messageId: 'm1' } };
+    await assertSucceeds(setDoc(doc(db, 'notifications/n1'), notification('owner', message)));
+    await assertFails(setDoc(doc(db, 'notifications/n2'), notification('other', message)));
+  });
+
+  it('rejects message notifications for someone else\'s message', async () => {
+    const db = firestoreAs(testEnv, 'other');
+    const message = { createdBy: 'other', type: 'message', related: { messageId: 'm1' } };
+    await assertFails(setDoc(doc(db, 'notifications/n1'), notification('owner', message)));
+  });
+
+  it('lets moderators notify listing owners', async () => {
+    const db = firestoreAs(testEnv, 'moderator');
+    await assertSucceeds(setDoc(doc(db, 'notifications/n1'), notification('owner', { createdBy: 'moderator' })));
+  });
+});
+
+describe('analytics', () => {
+  const rollup = { period: { date: '2026-10-01', type: 'daily' }, engagement: { totalPageviews: 10 } };
+
+  it('leaves the rollups to admin accounts', async () => {
+    await assertSucceeds(setDoc(doc(firestoreAs(testEnv, 'admin'), 'analytics/2026-10-01'), rollup));
+    await assertFails(setDoc(doc(firestoreAs(testEnv, 'analyst'), 'analytics/2026-10-01'), rollup));
+    await assertFails(setDoc(doc(firestoreAs(testEnv, 'buyer'), 'analytics/2026-10-01'), rollup));
+  });
+});
+
+describe('listing counters', () => {
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'listings/l1': {
+        ownerId: 'owner',
+        status: 'published',
+        title: 'Cafe',
+        analytics: { viewCount: 3, favoriteCount: 1, contactCount: 0 },
+        rating: { average: 4, count: 2 },
+        reviewCount: 2
+      }
+    });
+  });
+
+  it('lets owners edit their listing but not its counters or rating', async () => {
+    const db = firestoreAs(testEnv, 'owner');
+    await assertSucceeds(updateDoc(doc(db, 'listings/l1'), { title: 'Corner Cafe' }));
+    await assertFails(updateDoc(doc(db, 'listings/l1'), { 'analytics.viewCount': 1000 }));
+    await assertFails(updateDoc(doc(db, 'listings/l1'), { 'rating.average': 5 }));
+    await assertFails(updateDoc(doc(db, 'listings/l1'), { reviewCount: 50 }));
+  });
+
+  it('lets visitors bump counters one step at a time', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertSucceeds(updateDoc(doc(db, 'listings/l1'), { 'analytics.viewCount': increment(1) }));
+    await assertSucceeds(updateDoc(doc(db, 'listings/l1'), { 'analytics.favoriteCount': increment(-1) }));
+    await assertFails(updateDoc(doc(db, 'listings/l1'), { 'analytics.viewCount': increment(5) }));
+    await assertFails(updateDoc(doc(db, 'listings/l1'), { 'analytics.contactCount': increment(-1) }));
+    await assertFails(updateDoc(doc(db, 'listings/l1'), { 'analytics.revenue': 1 }));
+  });
+
+  it('leaves the rating to review moderators', async () => {
+    await assertFails(updateDoc(doc(firestoreAs(testEnv, 'buyer'), 'listings/l1'), { 'rating.average': 5, reviewCount: 3 }));
+    await assertSucceeds(updateDoc(doc(firestoreAs(testEnv, 'moderator'), 'listings/l1'), { 'rating.average': 4.5, reviewCount: 3 }));
+  });
+});
+
+describe('listing versions', () => {
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'listings/l1': { ownerId: 'owner', status: 'draft', title: 'Cafe', version: 60 },
+      'listings/l1/versions/9': { version: 9, data: { title: 'Old cafe' } },
+      'listings/l1/versions/10': { version: 10, data: { title: 'Cafe' } }
+    });
+  });
+
+  it('lets owners prune only the versions past the kept 50', async () => {
+    const db = firestoreAs(testEnv, 'owner');
+    await assertSucceeds(deleteDoc(doc(db, 'listings/l1/versions/9')));
+    await assertFails(deleteDoc(doc(db, 'listings/l1/versions/10')));
+  });
+
+  it('keeps other users from pruning versions', async () => {
+    await assertFails(deleteDoc(doc(firestoreAs(testEnv, 'buyer'), 'listings/l1/versions/9')));
+  });
+});
+
+describe('applications', () => {
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'listings/l1': { ownerId: 'owner', status: 'published', analytics: { contactCount: 0 } },
+      'applications/a1': { userId: 'buyer', listingId: 'l1', listingOwnerId: 'owner', status: 'new', messageCount: 0 }
+    });
+  });
+
+  it('lets listing owners reply but not change the status', async () => {
+    const db = firestoreAs(testEnv, 'owner');
+    await assertSucceeds(updateDoc(doc(db, 'applications/a1'), { messageCount: 1 }));
+    await assertFails(updateDoc(doc(db, 'applications/a1'), { status: 'successful' }));
+    await assertFails(updateDoc(doc(db, 'applications/a1'), { assignedTo: 'owner' }));
+  });
+
+  it('lets staff triage applications', async () => {
+    const db = firestoreAs(testEnv, 'moderator');
+    await assertSucceeds(updateDoc(doc(db, 'applications/a1'), { status: 'in_progress' }));
+  });
+
+  it('notifies the listing owner in the same batch as the inquiry', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'applications/a2'), { userId: 'buyer', listingId: 'l1', listingOwnerId: 'owner', status: 'new' });
+    batch.update(doc(db, 'listings/l1'), { 'analytics.contactCount': increment(1) });
+    batch.set(doc(db, 'notifications/n1'), {
+      userId: 'owner', type: 'application', title: 'New inquiry', createdBy: 'buyer',
+      related: { applicationId: 'a2', listingId: 'l1' }
+    });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('addresses inquiries only to the owner of their listing', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'applications/a3'), { userId: 'buyer', listingId: 'l1', listingOwnerId: 'other', status: 'new' });
+    batch.set(doc(db, 'notifications/n2'), {
+      userId: 'other', type: 'application', title: 'Urgent: verify your account', createdBy: 'buyer',
+      related: { applicationId: 'a3', listingId: 'l1' }
+    });
+    await assertFails(batch.commit());
+    await assertFails(setDoc(doc(db, 'applications/a4'), { userId: 'buyer', listingOwnerId: 'other', status: 'new' }));
+  });
+
+  it('rejects inquiry notifications to anyone but the listing owner', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertFails(setDoc(doc(db, 'notifications/n1'), {
+      userId: 'other', type: 'application', title: 'New inquiry', createdBy: 'buyer',
+      related: { applicationId: 'a1', listingId: 'l1' }
+    }));
+  });
+});
+
+describe('moderation', () => {
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'listings/l1': { ownerId: 'owner', status: 'pending', title: 'Cafe', moderation: { assignedTo: null } },
+      'listings/l1/reviewerNotes/n1': { note: 'Check the lease', authorId: 'moderator', authorName: 'Mod' }
+    });
+  });
+
+  it('keeps reviewer notes away from the listing owner', async () => {
+    const ownerDb = firestoreAs(testEnv, 'owner');
+    await assertFails(getDoc(doc(ownerDb, 'listings/l1/reviewerNotes/n1')));
+    await assertFails(setDoc(doc(ownerDb, 'listings/l1/reviewerNotes/n2'), { note: 'Looks fine', authorId: 'owner' }));
+
+    const moderatorDb = firestoreAs(testEnv, 'moderator');
+    await assertSucceeds(getDoc(doc(moderatorDb, 'listings/l1/reviewerNotes/n1')));
+    await assertSucceeds(setDoc(doc(moderatorDb, 'listings/l1/reviewerNotes/n2'), { note: 'Asked for accounts', authorId: 'moderator' }));
+    await assertFails(setDoc(doc(moderatorDb, 'listings/l1/reviewerNotes/n3'), { note: 'Forged', authorId: 'admin' }));
+    await assertFails(updateDoc(doc(moderatorDb, 'listings/l1/reviewerNotes/n1'), { note: 'Edited' }));
+  });
+
+  it('lets only reviewers publish or reject a listing', async () => {
+    const ownerDb = firestoreAs(testEnv, 'owner');
+    await assertFails(updateDoc(doc(ownerDb, 'listings/l1'), { status: 'published' }));
+    await assertFails(updateDoc(doc(ownerDb, 'listings/l1'), { status: 'rejected' }));
+    await assertFails(updateDoc(doc(ownerDb, 'listings/l1'), { 'moderation.assignedTo': 'owner' }));
+    await assertSucceeds(updateDoc(doc(ownerDb, 'listings/l1'), { status: 'draft' }));
+    await assertFails(setDoc(doc(ownerDb, 'listings/l2'), { ownerId: 'owner', status: 'published' }));
+
+    const moderatorDb = firestoreAs(testEnv, 'moderator');
+    await assertSucceeds(updateDoc(doc(moderatorDb, 'listings/l1'), { status: 'published' }));
+  });
+
+  it('lets owners edit a published listing without changing its status', async () => {
+    await seed(testEnv, { 'listings/l1': { ownerId: 'owner', status: 'published', title: 'Cafe' } });
+    const db = firestoreAs(testEnv, 'owner');
+    await assertSucceeds(updateDoc(doc(db, 'listings/l1'), { title: 'Corner Cafe', status: 'published' }));
+    await assertSucceeds(updateDoc(doc(db, 'listings/l1'), { status: 'archived' }));
+  });
+});
+
+describe('invitations', () => {
+  const SECRET = 'a'.repeat(64);
+  const TOKEN_HASH = createHash('sha256').update(SECRET).digest('hex');
+
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'invitations/i1': {
+        email: 'invitee@example.com', role: 'analyst', roleName: 'Analyst',
+        status: 'pending', tokenHash: TOKEN_HASH, expiresAt: daysFromNow(7), invitedBy: 'admin'
+      },
+      [`invitationLinks/${TOKEN_HASH}`]: {
+        invitationId: 'i1', email: 'invitee@example.com', role: 'analyst', roleName: 'Analyst',
+        status: 'pending', expiresAt: daysFromNow(7), invitedBy: 'admin'
+      }
+    });
+  });
+
+  const inviteeDb = () => testEnv.authenticatedContext('invitee', { email: 'invitee@example.com' }).firestore();
+
+  const accept = (db, linkPath = `invitationLinks/${TOKEN_HASH}`) => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'invitations/i1'), { status: 'accepted', acceptedBy: 'invitee', acceptedAt: serverTimestamp() });
+    batch.update(doc(db, linkPath), { status: 'accepted', acceptedBy: 'invitee', acceptedAt: serverTimestamp() });
+    batch.set(doc(db, 'users/invitee'), { uid: 'invitee', email: 'invitee@example.com', role: 'analyst', invitationId: 'i1' });
+    return batch.commit();
+  };
+
+  it('shows the link preview to its holder but keeps invitations private', async () => {
+    const db = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(db, `invitationLinks/${TOKEN_HASH}`)));
+    await assertFails(getDocs(collection(db, 'invitationLinks')));
+    await assertFails(getDoc(doc(db, 'invitations/i1')));
+    await assertFails(getDoc(doc(inviteeDb(), 'invitations/i1')));
+    await assertSucceeds(getDoc(doc(firestoreAs(testEnv, 'admin'), 'invitations/i1')));
+  });
+
+  it('lets the invitee accept with the link and take the invited role', async () => {
+    await assertSucceeds(accept(inviteeDb()));
+  });
+
+  it('refuses to accept without the link', async () => {
+    const db = inviteeDb();
+    await assertFails(updateDoc(doc(db, 'invitations/i1'), { status: 'accepted', acceptedBy: 'invitee' }));
+    await assertFails(setDoc(doc(db, 'users/invitee'), { uid: 'invitee', email: 'invitee@example.com', role: 'analyst', invitationId: 'i1' }));
+  });
+
+  it('refuses other accounts and expired or revoked invitations', async () => {
+    const otherDb = testEnv.authenticatedContext('invitee', { email: 'someone@example.com' }).firestore();
+    await assertFails(accept(otherDb));
+
+    await seed(testEnv, { 'invitations/i1': { email: 'invitee@example.com', role: 'analyst', status: 'pending', tokenHash: TOKEN_HASH, expiresAt: daysFromNow(-1) } });
+    await assertFails(accept(inviteeDb()));
+
+    await seed(testEnv, { 'invitations/i1': { email: 'invitee@example.com', role: 'analyst', status: 'revoked', tokenHash: TOKEN_HASH, expiresAt: daysFromNow(7) } });
+    await assertFails(accept(inviteeDb()));
+  });
+});
+
+describe('maintenance', () => {
+  const scheduleWindow = (startDays, endDays) => seed(testEnv, {
+    'settings/general': {
+      maintenanceWindows: [{ id: 'w1', startAt: daysFromNow(startDays), endAt: daysFromNow(endDays), message: 'Upgrade' }]
+    }
+  });
+
+  beforeEach(async () => {
+    await seed(testEnv, { 'listings/l1': { ownerId: 'owner', status: 'draft', title: 'Cafe' } });
+  });
+
+  it('blocks writes during a scheduled window except for bypass roles', async () => {
+    await scheduleWindow(-1, 1);
+    await assertFails(updateDoc(doc(firestoreAs(testEnv, 'owner'), 'listings/l1'), { title: 'Corner Cafe' }));
+    await assertSucceeds(updateDoc(doc(firestoreAs(testEnv, 'admin'), 'listings/l1'), { title: 'Corner Cafe' }));
+  });
+
+  it('allows writes outside the window', async () => {
+    await scheduleWindow(1, 2);
+    await assertSucceeds(updateDoc(doc(firestoreAs(testEnv, 'owner'), 'listings/l1'), { title: 'Corner Cafe' }));
+  });
+
+  it('follows the manual switch and the bypass list', async () => {
+    await seed(testEnv, { 'settings/general': { isMaintenanceMode: true, maintenanceBypassRoles: ['admin', 'moderator'] } });
+    await assertFails(updateDoc(doc(firestoreAs(testEnv, 'owner'), 'listings/l1'), { title: 'Corner Cafe' }));
+    await assertSucceeds(updateDoc(doc(firestoreAs(testEnv, 'moderator'), 'listings/l1'), { title: 'Corner Cafe' }));
+  });
+
+  it('keeps profiles writable so people can still sign in', async () => {
+    await seed(testEnv, { 'settings/general': { isMaintenanceMode: true } });
+    await assertSucceeds(updateDoc(doc(firestoreAs(testEnv, 'owner'), 'users/owner'), { lastLogin: serverTimestamp() }));
+  });
+});
+
+describe('refunds', () => {
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'users/buyer': { uid: 'buyer', role: 'user', connectsBalance: 10, currentPlan: { id: 'basic', status: 'active' } },
+      'subscriptions/s1': { userId: 'buyer', planId: 'basic', status: 'active', usage: { connectsRemaining: 10 } }
+    });
+  });
+
+  it('lets finance staff cancel the refunded subscription and revoke its connects', async () => {
+    const db = firestoreAs(testEnv, 'finance');
+    const batch = writeBatch(db);
+    batch.update(doc(db, 'subscriptions/s1'), {
+      status: 'cancelled',
+      isActive: false,
+      cancellationReason: 'refund',
+      'usage.connectsRemaining': increment(-4),
+      updatedAt: serverTimestamp()
+    });
+    batch.update(doc(db, 'users/buyer'), {
+      'currentPlan.status': 'cancelled',
+      connectsBalance: 6,
+      updatedAt: serverTimestamp()
+    });
+    await assertSucceeds(batch.commit());
+  });
+
+  it('limits the reversal to cancelling and taking connects back', async () => {
+    const db = firestoreAs(testEnv, 'finance');
+    await assertFails(updateDoc(doc(db, 'subscriptions/s1'), { status: 'active', planId: 'premium' }));
+    await assertFails(updateDoc(doc(db, 'subscriptions/s1'), { 'usage.connectsRemaining': 50 }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { connectsBalance: 50 }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { 'currentPlan.id': 'premium' }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { role: 'admin' }));
+  });
+
+  it('gives staff without refund_transactions no reversal', async () => {
+    const db = firestoreAs(testEnv, 'analyst');
+    await assertFails(updateDoc(doc(db, 'subscriptions/s1'), { status: 'cancelled' }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { connectsBalance: 6 }));
+  });
+});
+
+describe('purchases', () => {
+  beforeEach(async () => {
+    await seed(testEnv, {
+      'users/buyer': { uid: 'buyer', role: 'user', connectsBalance: 10 },
+      'subscriptions/s1': { userId: 'buyer', planId: 'basic', status: 'active', usage: { connectsUsed: 0, connectsRemaining: 10 } }
+    });
+  });
+
+  it('keeps buyers from activating a plan or recording a payment themselves', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertFails(setDoc(doc(db, 'subscriptions/s2'), { userId: 'buyer', planId: 'premium', status: 'active' }));
+    await assertFails(setDoc(doc(db, 'transactions/t2'), {
+      userId: 'buyer', type: 'subscription_purchase', amount: 0, status: 'completed'
+    }));
+  });
+
+  it('lets buyers spend one connect at a time', async () => {
+    const db = firestoreAs(testEnv, 'buyer');
+    await assertSucceeds(updateDoc(doc(db, 'subscriptions/s1'), { 'usage.connectsUsed': 1, 'usage.connectsRemaining': 9 }));
+    await assertSucceeds(updateDoc(doc(db, 'users/buyer'), { connectsBalance: 9 }));
+    await assertFails(updateDoc(doc(db, 'subscriptions/s1'), { 'usage.connectsRemaining': 50 }));
+    await assertFails(updateDoc(doc(db, 'subscriptions/s1'), { 'usage.connectsUsed': 2, 'usage.connectsRemaining': 7 }));
+    await assertFails(updateDoc(doc(db, 'users/buyer'), { connectsBalance: 100 }));
+  });
+});
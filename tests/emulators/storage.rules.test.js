@@ -0,0 +1,78 @@
+// tests/emulators/storage.rules.test.js
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+import { createTestEnvironment, seed, seedUsers, storageAs } from './setup';
+
+const PDF = { contentType: 'application/pdf' };
+const JPEG = { contentType: 'image/jpeg' };
+const bytes = (size = 16) => new Uint8Array(size);
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.clearStorage();
+  await seedUsers(testEnv);
+  await seed(testEnv, {
+    'users/verified': { uid: 'verified', role: 'user', verification: { isIdentityVerified: true } },
+    'listings/l1': { ownerId: 'owner', status: 'published' },
+    'listings/draft': { ownerId: 'owner', status: 'draft' }
+  });
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const storage = context.storage();
+    await uploadBytes(ref(storage, 'listings/l1/images/cafe.jpg'), bytes(), JPEG);
+    await uploadBytes(ref(storage, 'listings/l1/documents/public/menu.pdf'), bytes(), PDF);
+    await uploadBytes(ref(storage, 'listings/l1/documents/restricted/accounts.pdf'), bytes(), PDF);
+    await uploadBytes(ref(storage, 'listings/draft/images/cafe.jpg'), bytes(), JPEG);
+  });
+});
+
+describe('listing media uploads', () => {
+  it('lets owners upload images and documents of an allowed type and size', async () => {
+    const storage = storageAs(testEnv, 'owner');
+    await assertSucceeds(uploadBytes(ref(storage, 'listings/l1/images/front.jpg'), bytes(), JPEG));
+    await assertSucceeds(uploadBytes(ref(storage, 'listings/l1/documents/restricted/lease.pdf'), bytes(), PDF));
+    await assertFails(uploadBytes(ref(storage, 'listings/l1/images/front.gif'), bytes(), { contentType: 'image/gif' }));
+    await assertFails(uploadBytes(ref(storage, 'listings/l1/documents/public/run.exe'), bytes(), { contentType: 'application/x-msdownload' }));
+    await assertFails(uploadBytes(ref(storage, 'listings/l1/images/huge.jpg'), bytes(5 * 1024 * 1024 + 1), JPEG));
+  });
+
+  it('lets business owners upload to a listing that is not saved yet', async () => {
+    await assertSucceeds(uploadBytes(ref(storageAs(testEnv, 'owner'), 'listings/new/images/front.jpg'), bytes(), JPEG));
+    await assertFails(uploadBytes(ref(storageAs(testEnv, 'buyer'), 'listings/new/images/front.jpg'), bytes(), JPEG));
+  });
+
+  it('keeps other users from changing a listing\'s media', async () => {
+    const storage = storageAs(testEnv, 'other');
+    await assertFails(uploadBytes(ref(storage, 'listings/l1/images/front.jpg'), bytes(), JPEG));
+    await assertFails(deleteObject(ref(storage, 'listings/l1/images/cafe.jpg')));
+    await assertSucceeds(deleteObject(ref(storageAs(testEnv, 'moderator'), 'listings/l1/images/cafe.jpg')));
+  });
+});
+
+describe('listing media reads', () => {
+  it('shows published listing media to anyone', async () => {
+    const storage = storageAs(testEnv);
+    await assertSucceeds(getBytes(ref(storage, 'listings/l1/images/cafe.jpg')));
+    await assertSucceeds(getBytes(ref(storage, 'listings/l1/documents/public/menu.pdf')));
+    await assertFails(getBytes(ref(storage, 'listings/draft/images/cafe.jpg')));
+  });
+
+  it('shows restricted documents only to verified buyers, the owner and staff', async () => {
+    const path = 'listings/l1/documents/restricted/accounts.pdf';
+    await assertFails(getBytes(ref(storageAs(testEnv), path)));
+    await assertFails(getBytes(ref(storageAs(testEnv, 'buyer'), path)));
+    await assertSucceeds(getBytes(ref(storageAs(testEnv, 'verified'), path)));
+    await assertSucceeds(getBytes(ref(storageAs(testEnv, 'owner'), path)));
+    await assertSucceeds(getBytes(ref(storageAs(testEnv, 'moderator'), path)));
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { diffObjects, mergeDeep } from '../../src/utils/diff';
+
+describe('mergeDeep', () => {
+  it('merges nested objects and replaces other values', () => {
+    const current = { site: { name: 'Shop', logo: 'a.png' }, tags: ['a', 'b'], mode: 'live' };
+
+    expect(mergeDeep(current, { site: { name: 'Store' }, tags: ['c'] })).toEqual({
+      site: { name: 'Store', logo: 'a.png' },
+      tags: ['c'],
+      mode: 'live'
+    });
+    expect(current.site.name).toBe('Shop');
+  });
+
+  it('keeps timestamps and dates whole', () => {
+    const at = new Date('2026-01-01T00:00:00Z');
+    expect(mergeDeep({ window: { start: new Date(0) } }, { window: { start: at } }).window.start).toBe(at);
+  });
+});
+
+describe('diffObjects with a partial nested update', () => {
+  it('reports only the fields the update changes', () => {
+    const current = { smtp: { host: 'mail.example.com', port: 25 } };
+    const changes = diffObjects(current, mergeDeep(current, { smtp: { port: 587 } }));
+
+    expect(changes).toEqual([{ path: 'smtp.port', before: 25, after: 587, kind: 'changed' }]);
+  });
+});
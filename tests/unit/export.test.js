@@ -0,0 +1,62 @@
+// tests/unit/export.test.js
+import { describe, expect, it } from 'vitest';
+import {
+  EXPORT_FORMATS, escapeCsvValue, toCsvRow, parseCsv, createExportWriter
+} from '../../src/utils/export';
+
+const columns = [
+  { key: 'name', label: 'Name', type: 'string' },
+  { key: 'price', label: 'Price', type: 'number' }
+];
+
+describe('escapeCsvValue', () => {
+  it('quotes cells with commas, quotes and line breaks', () => {
+    expect(escapeCsvValue('Tea, Coffee')).toBe('"Tea, Coffee"');
+    expect(escapeCsvValue('The "Best" Cafe')).toBe('"The ""Best"" Cafe"');
+    expect(escapeCsvValue('Line\nbreak')).toBe('"Line\nbreak"');
+  });
+
+  it('defuses spreadsheet formulas but not negative numbers', () => {
+    expect(escapeCsvValue('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsvValue(-5)).toBe('-5');
+  });
+
+  it('leaves empty values blank', () => {
+    expect(escapeCsvValue(null)).toBe('');
+    expect(escapeCsvValue(undefined)).toBe('');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads back what toCsvRow writes', () => {
+    const values = ['Tea, Coffee', 'The "Best" Cafe', 'Line\nbreak', ''];
+    expect(parseCsv(toCsvRow(values))).toEqual([values]);
+  });
+
+  it('skips a BOM and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\n\nc,d\n')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
+
+describe('createExportWriter', () => {
+  it('writes CSV with a header row across batches', async () => {
+    const writer = createExportWriter(EXPORT_FORMATS.CSV, columns);
+    writer.write([{ name: 'Cafe, Pune', price: 100 }]);
+    writer.write([{ name: 'Bakery', price: null }]);
+
+    const text = await (await writer.finish()).text();
+    expect(writer.count).toBe(2);
+    expect(parseCsv(text)).toEqual([['Name', 'Price'], ['Cafe, Pune', '100'], ['Bakery', '']]);
+  });
+
+  it('writes valid JSON keyed by column', async () => {
+    const writer = createExportWriter(EXPORT_FORMATS.JSON, columns);
+    writer.write([{ name: 'Cafe', price: 100, ignored: true }]);
+
+    expect(JSON.parse(await (await writer.finish()).text())).toEqual([{ name: 'Cafe', price: 100 }]);
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => createExportWriter('pdf', columns)).toThrow('Unsupported export format');
+  });
+});
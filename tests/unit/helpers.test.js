@@ -0,0 +1,16 @@
+// tests/unit/helpers.test.js
+import { describe, expect, it } from 'vitest';
+import { omit } from '../../src/utils/helpers';
+
+describe('omit', () => {
+  it('leaves out the given keys without touching the source', () => {
+    const advisor = { name: 'Asha', email: 'asha@example.com', status: 'active' };
+    expect(omit(advisor, ['email', 'status'])).toEqual({ name: 'Asha' });
+    expect(advisor.email).toBe('asha@example.com');
+  });
+
+  it('ignores keys that are not there', () => {
+    expect(omit({ name: 'Asha' }, ['stats'])).toEqual({ name: 'Asha' });
+    expect(omit(null, ['stats'])).toEqual({});
+  });
+});
@@ -0,0 +1,26 @@
+// tests/unit/listing-import.test.js
+import { describe, expect, it } from 'vitest';
+import { autoMapHeaders, buildListingFromRow } from '../../src/utils/listing-import';
+import { LISTING_STATUS, LISTING_TYPES } from '../../src/config/constants';
+
+describe('autoMapHeaders', () => {
+  it('maps headers by key or label and leaves system fields unmapped', () => {
+    expect(autoMapHeaders(['Name', 'location.city', 'Status', 'Owner ID'])).toEqual(['name', 'location.city', null, null]);
+  });
+});
+
+describe('buildListingFromRow', () => {
+  it('nests dotted fields and normalizes the type label', () => {
+    const listing = buildListingFromRow(['Corner Cafe', 'Digital Asset', 'Pune'], ['name', 'type', 'location.city']);
+    expect(listing).toMatchObject({
+      name: 'Corner Cafe',
+      type: LISTING_TYPES.DIGITAL_ASSET,
+      location: { city: 'Pune' }
+    });
+  });
+
+  it('always imports listings as drafts', () => {
+    const listing = buildListingFromRow(['Corner Cafe', 'published'], ['name', 'status']);
+    expect(listing.status).toBe(LISTING_STATUS.DRAFT);
+  });
+});
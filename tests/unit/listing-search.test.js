@@ -0,0 +1,39 @@
+// tests/unit/listing-search.test.js
+import { describe, expect, it } from 'vitest';
+import { tokenize, buildSearchFields, getListingPrice } from '../../src/utils/listing-search';
+
+describe('tokenize', () => {
+  it('lowercases, dedupes and drops single characters', () => {
+    expect(tokenize('Cafe & Bakery, cafe in B block')).toEqual(['cafe', 'bakery', 'in', 'block']);
+  });
+
+  it('keeps Devanagari words whole across vowel signs', () => {
+    expect(tokenize('किराना दुकान')).toEqual(['किराना', 'दुकान']);
+  });
+
+  it('keeps accented letters inside the word', () => {
+    expect(tokenize('Café Müller')).toEqual(['café', 'müller']);
+  });
+
+  it('caps token length', () => {
+    expect(tokenize('a'.repeat(30))[0]).toHaveLength(15);
+  });
+});
+
+describe('buildSearchFields', () => {
+  it('indexes every prefix of every token', () => {
+    const { searchKeywords } = buildSearchFields({ name: 'Cafe', location: { city: 'Pune' } });
+    expect(searchKeywords).toEqual(['ca', 'caf', 'cafe', 'pu', 'pun', 'pune']);
+  });
+
+  it('derives price and revenue from the type details', () => {
+    const listing = {
+      businessDetails: {
+        sale: { askingPrice: { value: 500000 } },
+        financials: { annualRevenue: { value: 1200000 } }
+      }
+    };
+    expect(buildSearchFields(listing)).toMatchObject({ price: 500000, revenue: 1200000 });
+    expect(getListingPrice({})).toBeNull();
+  });
+});
@@ -0,0 +1,63 @@
+// tests/unit/permissions.test.js
+import { readFileSync } from 'node:fs';
+import { describe, expect, it } from 'vitest';
+import {
+  hasPermission, resolveRolePermissions, canGrantPermissions
+} from '../../src/utils/permissions';
+import { SYSTEM_ROLES, USER_ROLES } from '../../src/config/constants';
+
+describe('resolveRolePermissions', () => {
+  it('falls back to the built-in defaults', () => {
+    expect(resolveRolePermissions('admin')).toEqual(['all']);
+    expect(resolveRolePermissions('moderator')).toEqual(SYSTEM_ROLES[USER_ROLES.MODERATOR].permissions);
+  });
+
+  it('prefers a saved role document', () => {
+    expect(resolveRolePermissions('moderator', { permissions: ['view_users'] })).toEqual(['view_users']);
+    expect(resolveRolePermissions('moderator', { permissions: ['view_users'], isDeleted: true }))
+      .toEqual(SYSTEM_ROLES[USER_ROLES.MODERATOR].permissions);
+  });
+
+  it('never grants member roles anything', () => {
+    expect(resolveRolePermissions('user', { permissions: ['all'] })).toEqual([]);
+    expect(resolveRolePermissions('business_owner')).toEqual([]);
+    expect(resolveRolePermissions('')).toEqual([]);
+  });
+
+  it('matches the moderator defaults in the security rules', () => {
+    for (const file of ['firestore.rules', 'storage.rules']) {
+      const rules = readFileSync(file, 'utf8');
+      const defaults = rules.match(/roleId == 'moderator'\s*\?\s*\[([^\]]*)\]/);
+      expect(defaults, file).not.toBeNull();
+      const permissions = defaults[1].match(/'[^']+'/g).map(item => item.slice(1, -1));
+      expect(permissions, file).toEqual(SYSTEM_ROLES[USER_ROLES.MODERATOR].permissions);
+    }
+  });
+});
+
+describe('hasPermission', () => {
+  it('accepts any one of several permissions', () => {
+    expect(hasPermission(['view_users'], ['edit_users', 'view_users'])).toBe(true);
+    expect(hasPermission(['view_users'], 'edit_users')).toBe(false);
+  });
+
+  it('lets all imply every permission', () => {
+    expect(hasPermission(['all'], 'refund_transactions')).toBe(true);
+  });
+});
+
+describe('canGrantPermissions', () => {
+  it('allows granting a subset of your own permissions', () => {
+    expect(canGrantPermissions(['manage_roles', 'view_users'], ['view_users'])).toBe(true);
+    expect(canGrantPermissions(['manage_roles', 'view_users'], [])).toBe(true);
+  });
+
+  it('rejects permissions the granter lacks', () => {
+    expect(canGrantPermissions(['manage_roles', 'view_users'], ['view_users', 'edit_users'])).toBe(false);
+  });
+
+  it('reserves all to Super Admins', () => {
+    expect(canGrantPermissions(['manage_roles'], ['all'])).toBe(false);
+    expect(canGrantPermissions(['all'], ['all'])).toBe(true);
+  });
+});
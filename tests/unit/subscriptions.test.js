@@ -0,0 +1,149 @@
+// tests/unit/subscriptions.test.js
+import { describe, expect, it } from 'vitest';
+import {
+  addDays, getSubscriptionEndDate, getDueReminder, getLifecycleStep, calculatePlanChange, applyAccountCredit
+} from '../../src/utils/subscriptions';
+import { SUBSCRIPTION_STATUS } from '../../src/config/constants';
+
+const start = new Date('2025-03-01T00:00:00Z');
+const end = addDays(start, 30);
+
+const active = (changes = {}) => ({
+  id: 'sub-1',
+  status: SUBSCRIPTION_STATUS.ACTIVE,
+  startDate: start,
+  endDate: end,
+  details: { durationDays: 30 },
+  payment: { amount: 30, currency: 'USD', hasAutoRenew: false },
+  ...changes
+});
+
+describe('getSubscriptionEndDate', () => {
+  it('derives a missing end date from the start and period length', () => {
+    expect(getSubscriptionEndDate(active({ endDate: null }))).toEqual(end);
+  });
+
+  it('prefers the current period start of a renewed subscription', () => {
+    const periodStart = addDays(start, 30);
+    expect(getSubscriptionEndDate(active({ endDate: null, currentPeriodStart: periodStart })))
+      .toEqual(addDays(periodStart, 30));
+  });
+});
+
+describe('getDueReminder', () => {
+  it('sends one reminder for the nearest threshold when the sweep runs late', () => {
+    expect(getDueReminder(active(), addDays(end, -0.5), [7, 1])).toEqual({ daysLeft: 1, thresholds: [7, 1] });
+  });
+
+  it('skips thresholds that were already sent', () => {
+    const subscription = active({ lifecycle: { remindersSent: [7] } });
+    expect(getDueReminder(subscription, addDays(end, -5), [7, 1])).toBeNull();
+    expect(getDueReminder(subscription, addDays(end, -1), [7, 1])).toEqual({ daysLeft: 1, thresholds: [1] });
+  });
+});
+
+describe('getLifecycleStep', () => {
+  it('sets the end date of a subscription bought before end dates were stored', () => {
+    expect(getLifecycleStep(active({ endDate: null }), addDays(start, 1)))
+      .toEqual({ type: 'set_end_date', endDate: end });
+  });
+
+  it('does nothing mid-period and reminds before the end date', () => {
+    expect(getLifecycleStep(active(), addDays(start, 10))).toBeNull();
+    expect(getLifecycleStep(active(), addDays(end, -3), { reminderDays: [7, 1] }))
+      .toEqual({ type: 'remind', daysLeft: 3, thresholds: [7], endDate: end });
+  });
+
+  it('renews an ended subscription with auto-renew', () => {
+    const subscription = active({ payment: { amount: 30, hasAutoRenew: true } });
+    expect(getLifecycleStep(subscription, addDays(end, 1))).toEqual({ type: 'renew', periodStart: end });
+  });
+
+  it('waits out the grace period of a pending renewal charge', () => {
+    const subscription = active({
+      payment: { hasAutoRenew: true },
+      pendingRenewal: { transactionId: 't1', amount: 100, currency: 'USD' }
+    });
+    expect(getLifecycleStep(subscription, addDays(end, 1)))
+      .toEqual({ type: 'pause', graceEndsAt: addDays(end, 7) });
+  });
+
+  it('pauses an ended subscription for the grace period', () => {
+    expect(getLifecycleStep(active(), end, { graceDays: 7 }))
+      .toEqual({ type: 'pause', graceEndsAt: addDays(end, 7) });
+  });
+
+  it('expires a paused subscription once the grace period is over', () => {
+    const paused = active({ status: SUBSCRIPTION_STATUS.PAUSED, graceEndsAt: addDays(end, 7) });
+    expect(getLifecycleStep(paused, addDays(end, 6))).toBeNull();
+    expect(getLifecycleStep(paused, addDays(end, 7))).toEqual({ type: 'expire' });
+  });
+
+  it('leaves deleted, cancelled and expired subscriptions alone', () => {
+    const later = addDays(end, 60);
+    expect(getLifecycleStep(active({ isDeleted: true }), later)).toBeNull();
+    expect(getLifecycleStep(active({ status: SUBSCRIPTION_STATUS.CANCELLED }), later)).toBeNull();
+    expect(getLifecycleStep(active({ status: SUBSCRIPTION_STATUS.EXPIRED }), later)).toBeNull();
+  });
+});
+
+describe('calculatePlanChange', () => {
+  const plan = (amount, connects = 10) => ({
+    id: 'plan-2',
+    pricing: { amount, currency: 'USD' },
+    duration: { days: 30 },
+    limits: { totalConnects: connects }
+  });
+
+  it('credits the unused days and carries over remaining connects', () => {
+    const subscription = active({ usage: { connectsRemaining: 4 } });
+    const quote = calculatePlanChange(subscription, plan(60), addDays(start, 15));
+
+    expect(quote.direction).toBe('upgrade');
+    expect(quote.credit).toEqual({ amount: 15, connects: 4 });
+    expect(quote.amountDue).toBe(45);
+    expect(quote.accountCredit).toBe(0);
+    expect(quote.connects).toEqual({ plan: 10, carriedOver: 4, total: 14 });
+    expect(quote.endDate).toEqual(addDays(start, 45));
+  });
+
+  it('keeps credit beyond the new price as account credit', () => {
+    const quote = calculatePlanChange(active(), plan(10), addDays(start, 6));
+
+    expect(quote.direction).toBe('downgrade');
+    expect(quote.amountDue).toBe(0);
+    expect(quote.accountCredit).toBe(14);
+  });
+
+  it('pays what the unused days do not cover from account credit', () => {
+    const quote = calculatePlanChange(active(), plan(60), addDays(start, 15), 20);
+
+    expect(quote.creditApplied).toBe(20);
+    expect(quote.amountDue).toBe(25);
+    expect(quote.accountCredit).toBe(0);
+  });
+
+  it('leaves account credit alone when the unused days cover the new price', () => {
+    const quote = calculatePlanChange(active(), plan(10), addDays(start, 6), 20);
+
+    expect(quote.creditApplied).toBe(0);
+    expect(quote.accountCredit).toBe(14);
+  });
+
+  it('refuses to change between currencies', () => {
+    expect(() => calculatePlanChange(active(), { ...plan(60), pricing: { amount: 60, currency: 'EUR' } }, start))
+      .toThrow('Cannot change from a USD plan to a EUR plan');
+  });
+});
+
+describe('applyAccountCredit', () => {
+  it('uses credit up to the amount charged', () => {
+    expect(applyAccountCredit(30, 50)).toEqual({ creditApplied: 30, amountDue: 0 });
+    expect(applyAccountCredit(30, 12.5)).toEqual({ creditApplied: 12.5, amountDue: 17.5 });
+  });
+
+  it('charges the full amount without credit', () => {
+    expect(applyAccountCredit(30)).toEqual({ creditApplied: 0, amountDue: 30 });
+    expect(applyAccountCredit(0, 10)).toEqual({ creditApplied: 0, amountDue: 0 });
+  });
+});
@@ -9,4 +9,9 @@ export default defineConfig({
       '@': path.resolve(__dirname, './src'),
     },
   },
+  test: {
+    // Emulator-backed suites run through `npm run test:emulators`
+    include: ['tests/unit/**/*.test.js'],
+    environment: 'node',
+  },
 })
\ No newline at end of file
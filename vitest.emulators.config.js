@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config'
+
+// Rules and service tests against the Firebase emulators; started by
+// `npm run test:emulators`, which sets FIREBASE_EMULATOR_HUB for them
+export default defineConfig({
+  test: {
+    include: ['tests/emulators/**/*.test.js'],
+    environment: 'node',
+    // Suites share the emulators and clear their data between tests
+    fileParallelism: false,
+    testTimeout: 20000,
+    hookTimeout: 30000,
+  },
+})